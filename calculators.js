@@ -90,6 +90,8 @@ const CVDCalculators = (function() {
    * @param {string} fromUnit - Original unit ('mg/dL' or 'nmol/L')
    * @param {string} toUnit - Target unit ('mg/dL' or 'nmol/L')
    * @returns {number} - Converted Lp(a) value
+   * @deprecated Single fixed factor; the true factor depends on apo(a) isoform size. Use
+   * UnitConverterService.convertLpa (js/utils/unit-converter.js) for an approximate value with its range.
    */
   function convertLpa(value, fromUnit, toUnit) {
     if (value === null || value === undefined) return null;
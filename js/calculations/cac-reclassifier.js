@@ -0,0 +1,93 @@
+/**
+ * Coronary Artery Calcium Reclassification Module
+ * @file /js/calculations/cac-reclassifier.js
+ * @description Post-test reclassification of calculated risk by coronary artery calcium (CAC) score.
+ * A CAC (Agatston) of 0 moves the patient one category down, unless they smoke, have diabetes or a
+ * family history of premature ASCVD, where a zero score does not lower risk. CAC ≥100, or at or above
+ * the 75th MESA percentile for age, sex and ethnicity, moves the patient one category up.
+ * The MESA percentile is taken as reported (CT report or the MESA CAC calculator); it is not derived here.
+ * Used by RiskCalculator.calculateCombinedRisk and TreatmentRecommendationsService._determineLipidTargetsCCS.
+ * @version 1.0.0
+ * @reference Grundy SM, et al. 2018 AHA/ACC Guideline on the Management of Blood Cholesterol. Circulation. 2019;139:e1082-e1143.
+ * @reference McClelland RL, et al. Distribution of coronary artery calcium by race, gender, and age: MESA. Circulation. 2006;113(1):30-37.
+ * @exports CacReclassificationService
+ */
+
+'use strict';
+
+class CacReclassificationService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '1.0.0';
+        this.CITATION = 'Grundy SM, et al. 2018 AHA/ACC Cholesterol Guideline (CAC for risk decisions in intermediate-risk adults); percentiles per McClelland RL, et al. Circulation. 2006 (MESA).';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `CacReclassifier: ${message}`, data); }
+
+    _toNumber(value) { return value === null || value === undefined || value === '' ? NaN : Number(value); }
+
+    /**
+     * Reclassification direction for a CAC result.
+     * @param {number} score - Agatston score.
+     * @param {number} [percentile] - MESA percentile (0-100) for the patient's age, sex and ethnicity.
+     * @param {object} [context={}] - Risk factors that stop a zero score from lowering risk.
+     * @param {boolean} [context.isSmoker]
+     * @param {boolean} [context.hasDiabetes]
+     * @param {boolean} [context.familyHistory] - Premature ASCVD in a first-degree relative.
+     * @returns {object|null} `{ score, percentile, band, direction ('down' | 'up' | 'none'), reason, citation }`, or null without a valid score.
+     */
+    evaluate(score, percentile, context = {}) {
+        const agatston = this._toNumber(score);
+        if (!isFinite(agatston) || agatston < 0) return null;
+        let mesaPercentile = this._toNumber(percentile);
+        if (!isFinite(mesaPercentile) || mesaPercentile < 0 || mesaPercentile > 100) {
+            if (percentile !== undefined && percentile !== null && percentile !== '') this._log('warn', `Ignoring invalid MESA percentile "${percentile}".`);
+            mesaPercentile = null;
+        }
+
+        const CT = this.dependencies.ClinicalThresholds;
+        const upScore = CT?.get('CAC.UPCLASSIFY_SCORE', 100) || 100;
+        const upPercentile = CT?.get('CAC.UPCLASSIFY_PERCENTILE', 75) || 75;
+        const band = agatston === 0 ? '0' : agatston < 100 ? '1-99' : agatston < 300 ? '100-299' : '≥300';
+
+        let direction = 'none';
+        let reason;
+        if (agatston === 0) {
+            const exceptions = [context.isSmoker && 'current smoking', context.hasDiabetes && 'diabetes', context.familyHistory && 'family history of premature ASCVD'].filter(Boolean);
+            if (exceptions.length) reason = `CAC 0, but not down-classified because of ${exceptions.join(', ')}.`;
+            else { direction = 'down'; reason = 'CAC 0: risk down-classified; statin therapy may be deferred.'; }
+        } else if (agatston >= upScore) {
+            direction = 'up'; reason = `CAC ${agatston} (≥${upScore}): risk up-classified; statin therapy favoured.`;
+        } else if (mesaPercentile !== null && mesaPercentile >= upPercentile) {
+            direction = 'up'; reason = `CAC ${agatston} at the ${mesaPercentile}th MESA percentile (≥${upPercentile}th): risk up-classified.`;
+        } else {
+            reason = `CAC ${agatston}${mesaPercentile !== null ? ` (${mesaPercentile}th MESA percentile)` : ''}: calculated risk category retained.`;
+        }
+        return { score: agatston, percentile: mesaPercentile, band, direction, reason, citation: this.CITATION };
+    }
+
+    /**
+     * Moves a risk category one step along its scale in the evaluated direction. A zero score does not
+     * lower the top category of a scale; an up-classification stops at the top.
+     * @param {string} category - Category as reported by the calculator (e.g. 'intermediate').
+     * @param {string[]} scale - The calculator's categories, lowest first.
+     * @param {object|null} evaluation - Result of evaluate().
+     * @returns {{ original: string, category: string, changed: boolean, direction: string }}
+     */
+    reclassify(category, scale, evaluation) {
+        const index = scale.indexOf(category);
+        let next = index;
+        if (index >= 0 && evaluation?.direction === 'up') next = Math.min(index + 1, scale.length - 1);
+        if (index > 0 && index < scale.length - 1 && evaluation?.direction === 'down') next = index - 1;
+        return { original: category, category: index >= 0 ? scale[next] : category, changed: next !== index, direction: evaluation?.direction || 'none' };
+    }
+}
+
+export default CacReclassificationService;
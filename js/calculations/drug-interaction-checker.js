@@ -0,0 +1,167 @@
+/**
+ * Drug Interaction Checker Module
+ * @file /js/calculations/drug-interaction-checker.js
+ * @description Checks a medication list against the structured tables in drug-interactions.js: drug-drug
+ * interactions, therapeutic duplication and drug-condition contraindications (eGFR / CKD stage, pregnancy).
+ * Drugs are resolved through the medication database by generic or brand name, so the class and subClass
+ * rules apply; a drug proposed only by class (e.g. 'Statin' from a START recommendation) matches class rules
+ * and rules naming a member of the class, with the members listed in `appliesTo`.
+ * Alerts are graded contraindicated > major > moderate > minor; grades below DRUG_INTERACTIONS.MIN_ALERT_SEVERITY
+ * are dropped. Used by TreatmentRecommendationsService (recommendations.interactionAlerts) and MedicationEvaluator.
+ * @version 1.0.0
+ * @reference Wiggins BS, et al. Recommendations for Management of Clinically Significant Drug-Drug Interactions With Statins. Circulation. 2016;134(21):e468-e495.
+ * @exports DrugInteractionService
+ */
+
+'use strict';
+
+import DRUG_INTERACTIONS from '../data/drug-interactions.js';
+
+class DrugInteractionService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional), MedicationDatabase (MedicationDatabaseService),
+     * Interactions (optional; defaults to the bundled DRUG_INTERACTIONS tables).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+            MedicationDatabase: dependencies.MedicationDatabase || (typeof window !== 'undefined' ? window.MedicationDatabase : undefined),
+            Interactions: dependencies.Interactions || DRUG_INTERACTIONS,
+        };
+        this.VERSION = '1.0.0';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `DrugInteraction: ${message}`, data); }
+
+    /**
+     * A medication as `{ name, key, class, subClass, dose, isClassOnly }`, looked up by generic name, brand name, a
+     * generic name it starts (e.g. 'Diltiazem' for 'Diltiazem CD') or begins with; unlisted drugs keep the name given.
+     * @param {string|object} med - Name, or `{ name, dose }`, or `{ class }` for a drug proposed by class.
+     * @returns {object|null}
+     */
+    resolve(med) {
+        const input = typeof med === 'string' ? { name: med } : (med || {});
+        const name = String(input.name || '').trim();
+        if (!name && input.class) return { name: input.class, key: input.class.toLowerCase(), class: input.class, subClass: null, dose: null, isClassOnly: true };
+        if (!name) return null;
+        const MD = this.dependencies.MedicationDatabase;
+        const key = name.toLowerCase();
+        const all = MD?.getAll?.() || [];
+        const entry = MD?.getByName?.(name)
+            || all.find(m => (m.brandNames || []).some(b => b.toLowerCase() === key))
+            || all.find(m => m.name.toLowerCase().startsWith(`${key} `))
+            || all.find(m => key.startsWith(`${m.name.toLowerCase()} `)); // Free text with a dose, 'atorvastatin 20mg'
+        if (!entry && MD?.getByClass?.(name).length) return { name, key, class: name, subClass: null, dose: null, isClassOnly: true }; // 'Statin'
+        return { name: entry?.name || name, key: (entry?.name || name).toLowerCase(), class: entry?.class || null, subClass: entry?.subClass || null, dose: input.dose || null, isClassOnly: false };
+    }
+
+    /** Patient conditions the contraindication table reads: eGFR, CKD stage and flags (pregnancy, breastfeeding). */
+    conditionsFrom(patientData = {}) {
+        const isSet = (v) => v === true || ['true', 'yes', '1'].includes(String(v).toLowerCase());
+        const egfr = parseFloat(patientData.egfr ?? patientData.eGFR);
+        return {
+            egfr: isNaN(egfr) ? null : egfr,
+            ckdStage: patientData.ckd_stage || patientData.ckdStage || null,
+            flags: ['pregnancy', 'breastfeeding'].filter(flag => isSet(patientData[flag])),
+        };
+    }
+
+    /**
+     * Whether a drug matches one side of a rule. A class-only drug matches the class, or the side's named drugs of
+     * that class, which are returned so the alert can say which members it applies to.
+     * @returns {false|true|Array<string>}
+     * @private
+     */
+    _matches(drug, side = {}) {
+        const lower = (list) => (list || []).map(v => v.toLowerCase());
+        if (drug.class && lower(side.classes).includes(drug.class.toLowerCase())) return true;
+        if (drug.subClass && lower(side.subClasses).includes(drug.subClass.toLowerCase())) return true;
+        const names = lower(side.names);
+        if (!drug.isClassOnly) return names.some(n => drug.key === n || drug.key.startsWith(`${n} `));
+        const members = (this.dependencies.MedicationDatabase?.getByClass?.(drug.class) || []).map(m => m.name).filter(m => names.includes(m.toLowerCase()));
+        return members.length ? members : false;
+    }
+
+    _conditionApplies(condition, patient) {
+        if (patient.egfr !== null && condition.egfrBelow !== undefined && patient.egfr < condition.egfrBelow && patient.egfr >= (condition.egfrAtLeast ?? 0)) return true;
+        if (patient.egfr === null && condition.ckdStages?.includes(patient.ckdStage)) return true; // Stage only when no eGFR was entered
+        return (condition.flags || []).some(flag => patient.flags.includes(flag));
+    }
+
+    _alert(rule, type, drugs, extra = {}) {
+        return { id: rule.id, type, severity: rule.severity, drugs, effect: rule.effect, management: rule.management, ...extra };
+    }
+
+    /**
+     * Every interaction, duplication and contraindication in a medication list.
+     * @param {Array<string|object>} medications - Current (and proposed) medications.
+     * @param {object} [options={}]
+     * @param {object} [options.patient] - Patient data for the contraindications (see conditionsFrom()).
+     * @returns {Array<object>} Alerts `{ id, type: 'interaction'|'duplication'|'condition', severity, drugs, effect,
+     * management, condition?, appliesTo? }`, most severe first.
+     */
+    check(medications = [], { patient } = {}) {
+        const T = this.dependencies.Interactions;
+        const drugs = (medications || []).map(med => this.resolve(med)).filter(Boolean);
+        const alerts = [];
+        drugs.forEach((first, i) => drugs.slice(i + 1).forEach(second => {
+            if (first.key === second.key) return;
+            T.INTERACTIONS.forEach(rule => {
+                const [x, y] = [[first, second], [second, first]].find(([a, b]) => this._matches(a, rule.a) && this._matches(b, rule.b)) || [];
+                if (!x) return;
+                const members = [this._matches(x, rule.a), this._matches(y, rule.b)].find(Array.isArray);
+                alerts.push(this._alert(rule, 'interaction', [x.name, y.name], members ? { appliesTo: members } : {}));
+            });
+            if (first.class && first.class === second.class && !T.DUPLICATION.exemptClasses.includes(first.class)) {
+                alerts.push(this._alert({ id: 'duplication', ...T.DUPLICATION }, 'duplication', [first.name, second.name], { effect: `${first.class}: ${T.DUPLICATION.effect}` }));
+            }
+        }));
+        if (patient) {
+            const conditions = this.conditionsFrom(patient);
+            drugs.forEach(drug => T.CONDITIONS.forEach(rule => {
+                if (this._matches(drug, rule.drug) && this._conditionApplies(rule.condition, conditions)) alerts.push(this._alert(rule, 'condition', [drug.name], { condition: rule.label }));
+            }));
+        }
+        return this.grade(alerts);
+    }
+
+    /**
+     * Alerts raised by adding drugs to the current list; a proposed drug already on the list (e.g. a dose increase)
+     * is checked against the rest of the list.
+     * @param {Array<string|object>} currentMedications
+     * @param {string|object|Array<string|object>} proposed - Drug(s) to add.
+     * @param {object} [options={}] - As for check().
+     * @returns {Array<object>} Alerts involving a proposed drug, each with `proposed` (its name).
+     */
+    checkAddition(currentMedications = [], proposed = [], options = {}) {
+        const added = (Array.isArray(proposed) ? proposed : [proposed]).map(med => this.resolve(med)).filter(Boolean);
+        if (!added.length) return [];
+        const addedKeys = added.map(d => d.key);
+        const current = (currentMedications || []).filter(med => !addedKeys.includes(this.resolve(med)?.key));
+        return this.check([...current, ...added], options)
+            .filter(alert => alert.drugs.some(name => addedKeys.includes(name.toLowerCase())))
+            .map(alert => ({ ...alert, proposed: alert.drugs.find(name => addedKeys.includes(name.toLowerCase())) }));
+    }
+
+    /** Sorts alerts most severe first, dropping duplicates and grades below DRUG_INTERACTIONS.MIN_ALERT_SEVERITY. */
+    grade(alerts = []) {
+        const order = this.dependencies.Interactions.SEVERITY_ORDER;
+        const minimum = this.dependencies.ClinicalThresholds?.get('DRUG_INTERACTIONS.MIN_ALERT_SEVERITY', 'minor') || 'minor';
+        const cutoff = order.indexOf(minimum) === -1 ? order.length - 1 : order.indexOf(minimum);
+        const seen = new Set();
+        return alerts
+            .filter(alert => order.indexOf(alert.severity) <= cutoff)
+            .filter(alert => { const key = `${alert.id}|${[...alert.drugs].sort().join('|')}`; return !seen.has(key) && seen.add(key); })
+            .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+    }
+
+    /** Highest severity among alerts, or null. */
+    highestSeverity(alerts = []) {
+        const order = this.dependencies.Interactions.SEVERITY_ORDER;
+        return alerts.reduce((worst, alert) => (worst === null || order.indexOf(alert.severity) < order.indexOf(worst) ? alert.severity : worst), null);
+    }
+}
+
+export default DrugInteractionService;
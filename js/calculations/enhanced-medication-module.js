@@ -1,8 +1,10 @@
 /**
  * Enhanced Medication Evaluation Module
  * @file /js/calculations/medication-evaluation.js
- * @description Evaluates current medications and provides recommendations based on risk assessment
- * @version 2.0.1
+ * @description Evaluates current medications and provides recommendations based on risk assessment.
+ * Proposed medications are checked for interactions and contraindications (DrugInteractionService).
+ * A SMART result in the risk data (`riskData.smart`) sets the recurrent risk compared with SMART_RISK_CATEGORY.VERY_HIGH.
+ * @version 2.0.5
  * @author CVD Risk Assessment Team
  */
 
@@ -11,9 +13,19 @@ import { isValidNumber, convertUnits } from '../utils/validation-helpers.js';
 import { LipidThresholds } from '../data/clinical-thresholds.js';
 import { Medications } from '../data/medication-database.js';
 import { EventBus } from '../utils/event-bus.js';
+import MedicationDatabase from '../data/medication-database.js';
+import DrugInteractionService from './drug-interaction-checker.js';
 
 class MedicationEvaluator {
-    constructor() {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies. Expected: ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.drugInteractions = new DrugInteractionService({ MedicationDatabase });
+
         this.riskCategories = {
             LOW: { name: 'Low Risk', threshold: 0.1, ldlTarget: 3.5, nonHdlTarget: 4.2, apoBTarget: 1.05 },
             MODERATE: { name: 'Moderate Risk', threshold: 0.2, ldlTarget: 2.5, nonHdlTarget: 3.2, apoBTarget: 0.85 },
@@ -103,7 +115,7 @@ class MedicationEvaluator {
     /**
      * Evaluates the current medications and provides recommendations
      * @param {Object} patientData - Patient clinical data
-     * @param {Object} riskData - Risk calculation data
+     * @param {Object} riskData - Risk calculation data; `smart` is a RiskCalculator SMART result for established ASCVD
      * @param {Array} currentMedications - List of current medications
      * @returns {Object} Evaluation results and recommendations
      */
@@ -119,6 +131,9 @@ class MedicationEvaluator {
         // Normalize units for consistency
         this._normalizeUnits(patientData);
         
+        // SMART 10-year recurrent risk for established ASCVD
+        if (riskData.smart?.success) patientData.recurrentRiskPercent = riskData.smart.tenYearRiskPercent;
+        
         // Determine risk category and targets
         const riskCategory = this._determineRiskCategory(riskData);
         const targets = this._determineLipidTargets(riskCategory, patientData);
@@ -168,13 +183,39 @@ class MedicationEvaluator {
             )
         };
         
+        // Check the proposed medications against the current list
+        result.interactionAlerts = this._checkInteractions(
+            patientData,
+            currentMedications,
+            result.treatmentIntensification,
+            result.alternativeOptions
+        );
+        
         // Publish the evaluation results for other modules
         EventBus.publish('medication-evaluation-complete', result);
         
         return result;
     }
     
-dL' && patientData.nonHdl) {
+    /**
+     * Converts lipid values reported in mg/dL to mmol/L (ApoB to g/L) in place
+     * @param {Object} patientData - Patient clinical data
+     * @private
+     */
+    _normalizeUnits(patientData) {
+        if (patientData.ldlUnit === 'mg/dL' && patientData.ldl) {
+            patientData.ldl = convertUnits(patientData.ldl, 'mg/dL', 'mmol/L', 'ldl');
+        }
+        
+        if (patientData.totalCholesterolUnit === 'mg/dL' && patientData.totalCholesterol) {
+            patientData.totalCholesterol = convertUnits(patientData.totalCholesterol, 'mg/dL', 'mmol/L', 'totalCholesterol');
+        }
+        
+        if (patientData.hdlUnit === 'mg/dL' && patientData.hdl) {
+            patientData.hdl = convertUnits(patientData.hdl, 'mg/dL', 'mmol/L', 'hdl');
+        }
+        
+        if (patientData.nonHdlUnit === 'mg/dL' && patientData.nonHdl) {
             patientData.nonHdl = convertUnits(patientData.nonHdl, 'mg/dL', 'mmol/L', 'nonHdl');
         }
         
@@ -483,8 +524,13 @@ dL' && patientData.nonHdl) {
         // ASCVD + elevated Lp(a)
         const hasElevatedLpa = patientData.lpa && patientData.lpa >= 50; // ≥50 mg/dL
         
+        // SMART 10-year recurrent risk at or above SMART_RISK_CATEGORY.VERY_HIGH (RiskCalculator 'smart' result)
+        const veryHighRecurrentRisk = this.dependencies.ClinicalThresholds?.get('SMART_RISK_CATEGORY.VERY_HIGH', 20) || 20;
+        const hasVeryHighRecurrentRisk = typeof patientData.recurrentRiskPercent === 'number' && patientData.recurrentRiskPercent >= veryHighRecurrentRisk;
+        
         return (vascularBedCount >= 2) || 
                hasRecentACS || 
+               hasVeryHighRecurrentRisk || 
                (hasASCVD && hasDiabetes) || 
                (hasASCVD && hasCKD) || 
                (hasASCVD && hasFH) ||
@@ -893,6 +939,28 @@ dL' && patientData.nonHdl) {
         };
     }
     
+    /**
+     * Checks the medications proposed by treatment intensification and the alternative options
+     * for interactions with current medications and for contraindications (eGFR, pregnancy)
+     * @param {Object} patientData - Patient clinical data
+     * @param {Array} currentMedications - Current medication names
+     * @param {Object} intensification - Treatment intensification recommendation
+     * @param {Array} alternativeOptions - Alternative medication options
+     * @returns {Array} Interaction alerts, most severe first
+     * @private
+     */
+    _checkInteractions(patientData, currentMedications, intensification, alternativeOptions) {
+        const proposed = [intensification, ...(alternativeOptions || [])]
+            .flatMap(option => option?.medications || [])
+            .map(med => med.name);
+        
+        const alerts = [...new Set(proposed)].flatMap(name =>
+            this.drugInteractions.checkAddition(currentMedications, name, { patient: patientData })
+        );
+        
+        return this.drugInteractions.grade(alerts);
+    }
+    
     /**
      * Gets alternative medication options
      * @param {Object} patientData - Patient clinical data
@@ -1663,52 +1731,6 @@ dL' && patientData.nonHdl) {
         
         // Cap at 90% reduction as a reasonable physiological maximum
         return Math.min(totalReduction, 0.90);
-    }number} Estimated LDL reduction as a decimal
-     * @private
-     */
-    _estimateLDLReduction(statinIntensity, hasEzetimibe, hasPCSK9, otherTherapies) {
-        let reduction = 0;
-        
-        // Statin reduction (approximate based on clinical data)
-        if (statinIntensity === 'low') {
-            reduction = 0.20; // ~20% reduction
-        } else if (statinIntensity === 'moderate') {
-            reduction = 0.35; // ~35% reduction
-        } else if (statinIntensity === 'high') {
-            reduction = 0.50; // ~50% reduction
-        }
-        
-        // Ezetimibe adds ~18% reduction to statin therapy
-        if (hasEzetimibe) {
-            // Apply additional reduction to remaining LDL
-            reduction = reduction + (1 - reduction) * 0.18;
-        }
-        
-        // PCSK9 inhibitors add ~60% reduction to existing therapy
-        if (hasPCSK9) {
-            // Apply additional reduction to remaining LDL
-            reduction = reduction + (1 - reduction) * 0.60;
-        }
-        
-        // Other therapies
-        if (otherTherapies && otherTherapies.length > 0) {
-            otherTherapies.forEach(therapy => {
-                const therapyLower = therapy.toLowerCase();
-                
-                // Apply reductions for each additional therapy
-                if (therapyLower.includes('bempedoic')) {
-                    reduction = reduction + (1 - reduction) * 0.18; // ~18% additional
-                } else if (therapyLower.includes('colesevelam') || 
-                          therapyLower.includes('colestipol') || 
-                          therapyLower.includes('cholestyramine')) {
-                    reduction = reduction + (1 - reduction) * 0.15; // ~15% additional
-                } else if (therapyLower.includes('niacin')) {
-                    reduction = reduction + (1 - reduction) * 0.15; // ~15% additional
-                }
-            });
-        }
-        
-        return Math.min(reduction, 0.90); // Cap at 90% reduction as a reasonable maximum
     }
 }
 
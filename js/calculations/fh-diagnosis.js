@@ -0,0 +1,232 @@
+/**
+ * Familial Hypercholesterolemia Diagnosis Module
+ * @file /js/calculations/fh-diagnosis.js
+ * @description Clinical diagnosis of heterozygous familial hypercholesterolemia (FH) by the Dutch Lipid
+ * Clinic Network (DLCN) score, the Simon Broome criteria and the Canadian FH definition. Each uses the
+ * untreated LDL-C; when only an on-treatment value is known it is back-calculated from the current
+ * statin intensity and add-on therapy (the same LDL-C reductions TreatmentRecommendationsService
+ * uses). Shown on the Medication & Labs tab and used by TreatmentRecommendationsService for the FH
+ * targets and BC PCSK9 inhibitor coverage.
+ * @version 1.0.1
+ * @reference Nordestgaard BG, et al. Familial hypercholesterolaemia is underdiagnosed and undertreated in the general population. Eur Heart J. 2013;34(45):3478-3490 (DLCN).
+ * @reference Scientific Steering Committee on behalf of the Simon Broome Register Group. Risk of fatal coronary heart disease in familial hypercholesterolaemia. BMJ. 1991;303(6807):893-896.
+ * @reference Ruel I, et al. Simplified Canadian Definition for Familial Hypercholesterolemia. Can J Cardiol. 2018;34(9):1210-1214.
+ * @exports FHDiagnosisService
+ */
+
+'use strict';
+
+const MG_DL_PER_MMOL_L = 38.67;
+
+// DLCN points; only the highest-scoring criterion in each group counts
+const DLCN_GROUPS = {
+    familyHistory: [
+        { key: 'relativeTendonXanthomas', points: 2, label: 'First-degree relative with tendon xanthomas or arcus cornealis' },
+        { key: 'childHighLdl', points: 2, label: 'Child (<18 years) with LDL-C above the 95th percentile' },
+        { key: 'firstDegreePrematureASCVD', points: 1, label: 'First-degree relative with premature coronary or vascular disease' },
+        { key: 'firstDegreeHighLdl', points: 1, label: 'First-degree relative with LDL-C above the 95th percentile' },
+    ],
+    clinicalHistory: [
+        { key: 'prematureCoronaryDisease', points: 2, label: 'Premature coronary artery disease' },
+        { key: 'prematureOtherVascularDisease', points: 1, label: 'Premature cerebral or peripheral vascular disease' },
+    ],
+    physicalExamination: [
+        { key: 'tendonXanthomas', points: 6, label: 'Tendon xanthomas' },
+        { key: 'arcusBefore45', points: 4, label: 'Arcus cornealis before age 45' },
+    ],
+};
+const DLCN_LDL_BANDS = [{ min: 8.5, points: 8 }, { min: 6.5, points: 5 }, { min: 5.0, points: 3 }, { min: 4.0, points: 1 }];
+
+class FHDiagnosisService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '1.0.1';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `FHDiagnosis: ${message}`, data); }
+
+    _toNumber(value) { return value === null || value === undefined || value === '' ? NaN : Number(value); }
+
+    /**
+     * Fraction of LDL-C removed by a regimen, combining the statin and each add-on multiplicatively. The statin
+     * counts by its dose-specific reduction when known (statinLdlReduction), otherwise by intensity.
+     * @param {object} therapy - `{ statinIntensity ('none'|'low'|'moderate'|'high'), statinLdlReduction, hasEzetimibe, hasPCSK9, hasBempedoicAcid, hasBAS }`.
+     * @returns {number} 0 to 0.95.
+     */
+    estimateLdlReduction(therapy = {}) {
+        const CT = this.dependencies.ClinicalThresholds;
+        let ldlRemaining = 1.0;
+        if (therapy.statinLdlReduction > 0) ldlRemaining *= (1 - therapy.statinLdlReduction);
+        else if (therapy.statinIntensity === 'low') ldlRemaining *= (1 - (CT?.get('STATIN_EFFECT.LOW.LDL_REDUCTION', 0.25)));
+        else if (therapy.statinIntensity === 'moderate') ldlRemaining *= (1 - (CT?.get('STATIN_EFFECT.MODERATE.LDL_REDUCTION', 0.35)));
+        else if (therapy.statinIntensity === 'high') ldlRemaining *= (1 - (CT?.get('STATIN_EFFECT.HIGH.LDL_REDUCTION', 0.50)));
+        if (therapy.hasEzetimibe) ldlRemaining *= (1 - (CT?.get('EZETIMIBE.ADDON_LDL_REDUCTION', 0.20)));
+        if (therapy.hasPCSK9) ldlRemaining *= (1 - (CT?.get('PCSK9I.ADDON_LDL_REDUCTION', 0.55)));
+        if (therapy.hasBempedoicAcid) ldlRemaining *= (1 - (CT?.get('BEMPEDOIC.ADDON_LDL_REDUCTION', 0.18)));
+        if (therapy.hasBAS) ldlRemaining *= (1 - (CT?.get('BAS.ADDON_LDL_REDUCTION', 0.15)));
+        return Math.min(1 - ldlRemaining, 0.95); // Cap at 95%
+    }
+
+    /**
+     * Untreated LDL-C: the known pre-treatment value, else the current value divided by the fraction
+     * the current therapy leaves.
+     * @param {number} ldl - Current LDL-C (mmol/L).
+     * @param {object} [therapy] - As for estimateLdlReduction().
+     * @param {number} [knownUntreatedLdl] - Documented pre-treatment LDL-C (mmol/L).
+     * @returns {object|null} `{ value, estimated, reductionPercent, basis }`, or null without an LDL-C.
+     */
+    estimateUntreatedLdl(ldl, therapy = {}, knownUntreatedLdl) {
+        const known = this._toNumber(knownUntreatedLdl);
+        if (known > 0) return { value: known, estimated: false, reductionPercent: 0, basis: 'Documented pre-treatment LDL-C' };
+        const current = this._toNumber(ldl);
+        if (!(current > 0)) return null;
+        const reduction = this.estimateLdlReduction(therapy);
+        if (reduction <= 0) return { value: current, estimated: false, reductionPercent: 0, basis: 'No lipid-lowering therapy' };
+        return {
+            value: parseFloat((current / (1 - reduction)).toFixed(2)), estimated: true, reductionPercent: Math.round(reduction * 100),
+            basis: `Back-calculated from ${current} mmol/L on ${this._describeTherapy(therapy)} (≈${Math.round(reduction * 100)}% LDL-C lowering)`
+        };
+    }
+
+    _describeTherapy(therapy) {
+        const parts = therapy.statinIntensity && therapy.statinIntensity !== 'none' ? [`${therapy.statinIntensity}-intensity statin`] : [];
+        if (therapy.hasEzetimibe) parts.push('ezetimibe');
+        if (therapy.hasPCSK9) parts.push('PCSK9 inhibitor');
+        if (therapy.hasBempedoicAcid) parts.push('bempedoic acid');
+        if (therapy.hasBAS) parts.push('bile acid sequestrant');
+        return parts.join(' + ');
+    }
+
+    /**
+     * Maps the Medication & Labs form ('ml-fh-*' fields, LDL-C and total cholesterol with their units,
+     * and the current lipid therapy) to evaluate() inputs.
+     * @param {object} formData - Form values keyed by field name.
+     * @returns {object}
+     */
+    fromFormData(formData = {}) {
+        const on = (key) => formData[key] === 'on' || formData[key] === true || formData[key] === 'true';
+        const toMmol = (value, unit) => {
+            const number = this._toNumber(value);
+            if (isNaN(number)) return null;
+            return /mg/i.test(String(unit || '')) ? parseFloat((number / MG_DL_PER_MMOL_L).toFixed(2)) : number;
+        };
+        const personalHistory = formData['ml-fh-premature-ascvd'];
+        return {
+            age: this._toNumber(formData.age),
+            ldl: toMmol(formData.ldl_cholesterol, formData.ldl_cholesterol_unit),
+            totalCholesterol: toMmol(formData.total_cholesterol, formData.total_cholesterol_unit),
+            untreatedLdl: toMmol(formData['ml-fh-untreated-ldl'], formData.ldl_cholesterol_unit),
+            therapy: { statinIntensity: formData['ml-statin-intensity'] || 'none', hasEzetimibe: on('ml-on-ezetimibe'), hasPCSK9: on('ml-on-pcsk9i') },
+            tendonXanthomas: on('ml-fh-tendon-xanthomas'),
+            arcusBefore45: on('ml-fh-arcus'),
+            prematureCoronaryDisease: personalHistory === 'coronary',
+            prematureOtherVascularDisease: personalHistory === 'cerebral_peripheral',
+            firstDegreePrematureASCVD: on('ml-fh-fdr-premature-ascvd'),
+            firstDegreeHighLdl: on('ml-fh-fdr-high-ldl'),
+            relativeTendonXanthomas: on('ml-fh-relative-xanthomas'),
+            childHighLdl: on('ml-fh-child-high-ldl'),
+            secondDegreePrematureMI: on('ml-fh-sdr-premature-mi'),
+            geneticTest: formData['ml-fh-genetic-test'] || 'not_done',
+        };
+    }
+
+    /**
+     * Dutch Lipid Clinic Network score.
+     * @param {object} inputs - evaluate() inputs.
+     * @param {number|null} untreatedLdl - mmol/L.
+     * @returns {{ score: number, category: string, points: Array<{ criterion: string, points: number }> }}
+     */
+    scoreDLCN(inputs, untreatedLdl) {
+        const points = [];
+        Object.values(DLCN_GROUPS).forEach(group => {
+            const met = group.find(criterion => inputs[criterion.key] === true); // Groups are ordered by points
+            if (met) points.push({ criterion: met.label, points: met.points });
+        });
+        const band = untreatedLdl !== null ? DLCN_LDL_BANDS.find(b => untreatedLdl >= b.min) : null;
+        if (band) points.push({ criterion: `Untreated LDL-C ${untreatedLdl} mmol/L (≥${band.min})`, points: band.points });
+        if (inputs.geneticTest === 'positive') points.push({ criterion: 'Functional LDLR, APOB or PCSK9 mutation', points: 8 });
+        const score = points.reduce((sum, p) => sum + p.points, 0);
+        const category = score > 8 ? 'definite' : score >= 6 ? 'probable' : score >= 3 ? 'possible' : 'unlikely';
+        return { score, category, points };
+    }
+
+    /**
+     * Simon Broome criteria. Definite: raised cholesterol with tendon xanthomas (patient or relative) or a
+     * causal mutation; possible: raised cholesterol with a family history of premature MI or raised cholesterol.
+     * @returns {{ category: 'definite'|'possible'|'unlikely', basis: string }}
+     */
+    evaluateSimonBroome(inputs, untreatedLdl) {
+        const child = inputs.age < 16;
+        const [tcLimit, ldlLimit] = child ? [6.7, 4.0] : [7.5, 4.9];
+        const raised = (inputs.totalCholesterol > tcLimit) || (untreatedLdl !== null && untreatedLdl > ldlLimit);
+        if (!raised) return { category: 'unlikely', basis: `Total cholesterol not >${tcLimit} and untreated LDL-C not >${ldlLimit} mmol/L` };
+        const lipidText = `Total cholesterol >${tcLimit} or LDL-C >${ldlLimit} mmol/L`;
+        if (inputs.geneticTest === 'positive') return { category: 'definite', basis: `${lipidText} with a causal mutation` };
+        if (inputs.tendonXanthomas || inputs.relativeTendonXanthomas) return { category: 'definite', basis: `${lipidText} with tendon xanthomas` };
+        if (inputs.firstDegreePrematureASCVD || inputs.secondDegreePrematureMI) return { category: 'possible', basis: `${lipidText} with a family history of premature MI` };
+        if (inputs.firstDegreeHighLdl) return { category: 'possible', basis: `${lipidText} with a family history of raised cholesterol` };
+        return { category: 'unlikely', basis: `${lipidText} without xanthomas, mutation or family history` };
+    }
+
+    /**
+     * Canadian FH definition: LDL-C ≥8.5 mmol/L, or the age-specific threshold with a causal mutation in the
+     * patient or a first-degree relative, is definite; the threshold with a first-degree relative above it,
+     * premature ASCVD (patient or first-degree relative) or tendon xanthomas is probable. Secondary causes
+     * of hypercholesterolemia must be excluded first.
+     * @returns {{ category: 'definite'|'probable'|'unlikely', threshold: number|null, basis: string }}
+     */
+    evaluateCanadian(inputs, untreatedLdl) {
+        const CT = this.dependencies.ClinicalThresholds;
+        if (untreatedLdl === null) return { category: 'unlikely', threshold: null, basis: 'No LDL-C' };
+        const definiteLdl = CT?.get('FH_DIAGNOSIS.CANADIAN_LDL_DEFINITE', 8.5) || 8.5;
+        const threshold = inputs.age < 18 ? (CT?.get('FH_DIAGNOSIS.CANADIAN_LDL_BY_AGE.UNDER_18', 4.0) || 4.0)
+            : inputs.age < 40 ? (CT?.get('FH_DIAGNOSIS.CANADIAN_LDL_BY_AGE.AGE_18_39', 4.5) || 4.5)
+            : (CT?.get('FH_DIAGNOSIS.CANADIAN_LDL_BY_AGE.AGE_40_PLUS', 5.0) || 5.0);
+        if (untreatedLdl >= definiteLdl) return { category: 'definite', threshold, basis: `Untreated LDL-C ≥${definiteLdl} mmol/L` };
+        if (untreatedLdl < threshold) return { category: 'unlikely', threshold, basis: `Untreated LDL-C below the ${threshold} mmol/L threshold for age` };
+        const lipidText = `Untreated LDL-C ≥${threshold} mmol/L`;
+        if (inputs.geneticTest === 'positive' || inputs.geneticTest === 'relative_positive') return { category: 'definite', threshold, basis: `${lipidText} with a causal mutation (patient or first-degree relative)` };
+        const features = [
+            inputs.firstDegreeHighLdl && 'first-degree relative with raised LDL-C',
+            (inputs.prematureCoronaryDisease || inputs.prematureOtherVascularDisease || inputs.firstDegreePrematureASCVD) && 'premature ASCVD',
+            inputs.tendonXanthomas && 'tendon xanthomas',
+        ].filter(Boolean);
+        if (features.length) return { category: 'probable', threshold, basis: `${lipidText} with ${features.join(', ')}` };
+        return { category: 'unlikely', threshold, basis: `${lipidText} without a supporting feature` };
+    }
+
+    /**
+     * FH diagnosis by all three definitions.
+     * @param {object} inputs - See fromFormData() for the fields; LDL-C and total cholesterol in mmol/L.
+     * `geneticTest` is 'positive' | 'relative_positive' | 'negative' | 'not_done'.
+     * @returns {object|null} `{ untreatedLdl, dlcn, simonBroome, canadian, confirmed, summary }`, or null with
+     * neither an LDL-C nor a causal mutation. `confirmed` is true when any definition is definite or
+     * probable (DLCN score ≥ FH_DIAGNOSIS.DLCN_CONFIRMED_SCORE).
+     */
+    evaluate(inputs = {}) {
+        const untreated = this.estimateUntreatedLdl(inputs.ldl, inputs.therapy, inputs.untreatedLdl);
+        if (!untreated && inputs.geneticTest !== 'positive') {
+            this._log('info', 'No LDL-C or genetic result; FH not assessed.');
+            return null;
+        }
+        const untreatedLdl = untreated?.value ?? null;
+        const dlcn = this.scoreDLCN(inputs, untreatedLdl);
+        const simonBroome = this.evaluateSimonBroome(inputs, untreatedLdl);
+        const canadian = this.evaluateCanadian(inputs, untreatedLdl);
+        const confirmedScore = this.dependencies.ClinicalThresholds?.get('FH_DIAGNOSIS.DLCN_CONFIRMED_SCORE', 6) || 6;
+        const confirmed = dlcn.score >= confirmedScore || simonBroome.category === 'definite' || canadian.category !== 'unlikely';
+        return {
+            untreatedLdl: untreated, dlcn, simonBroome, canadian, confirmed,
+            summary: `DLCN ${dlcn.score} (${dlcn.category}); Simon Broome ${simonBroome.category}; Canadian ${canadian.category}`
+        };
+    }
+}
+
+export default FHDiagnosisService;
@@ -4,18 +4,24 @@
  * @description Advanced implementation of the 2008 Framingham Heart Study General CVD risk algorithm.
  * Designed to be a pure calculation engine, receiving pre-processed data.
  * Based on user's v3.0.0 [cite: uploaded:framingham-algorithm.js] and enhanced for service architecture.
- * @version 3.1.0
+ * Risk enhancers (Lp(a), family history, hs-CRP, ABI, ...) come from the RiskEnhancerService registry.
+ * @version 3.4.1
  * @author CVD Risk Assessment Team
  * @reference D'Agostino RB Sr, et al. General cardiovascular risk profile for use in primary care: the Framingham Heart Study. Circulation. 2008;117(6):743-53.
  */
 
 'use strict';
 
+import RiskHorizonService from './risk-horizons.js';
+import LpaModifierService from './lpa-modifier.js';
+import RiskEnhancerService from './risk-enhancers.js';
+
 class FraminghamRiskScore {
     /**
      * Constructor initializes all necessary calculator components.
      * @param {object} [dependencies={}] - Injected dependencies.
-     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional for risk categories/modifiers).
+     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional for risk categories/modifiers), RiskHorizons (optional),
+     * LpaModifier (optional, shared Lp(a) curve service), RiskEnhancers (optional, shared enhancer registry).
      */
     constructor(dependencies = {}) {
         this.dependencies = {
@@ -23,8 +29,11 @@ class FraminghamRiskScore {
             PerformanceMonitor: dependencies.PerformanceMonitor || { start: () => Date.now(), end: (label, startTime) => console.log(`${label} took ${Date.now() - startTime}ms`) },
             ClinicalThresholds: dependencies.ClinicalThresholds || window.ClinicalThresholds, // Assumes global if not passed
         };
+        this.dependencies.RiskHorizons = dependencies.RiskHorizons || new RiskHorizonService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.LpaModifier = dependencies.LpaModifier || new LpaModifierService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.RiskEnhancers = dependencies.RiskEnhancers || new RiskEnhancerService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds, LpaModifier: this.dependencies.LpaModifier });
 
-        this.VERSION = '3.1.0';
+        this.VERSION = '3.4.1';
 
         this.FEMALE = 0;
         this.MALE = 1;
@@ -72,7 +81,8 @@ class FraminghamRiskScore {
      * @param {object} validatedData - Data from RiskCalculator._prepareAndValidateData.
      * Expected fields: age (number), sex ('male'/'female'), totalCholesterol (number, mmol/L),
      * hdl (number, mmol/L), systolicBP (number), onBPMeds (boolean),
-     * isSmoker (boolean), hasDiabetes (boolean). Optional: lpa, lpaUnit, familyHistory, isSouthAsian.
+     * isSmoker (boolean), hasDiabetes (boolean). Optional: lpa, lpaUnit, lpaCurve, and the fields read by the
+     * risk enhancers (familyHistory, isSouthAsian, hsCrp, apoB, abi, prematureMenopause, preeclampsia, chronicInflammatoryDisease, hiv).
      * @returns {object} Data processed for the Framingham formula (e.g., log-transformed values).
      * @private
      */
@@ -107,8 +117,11 @@ class FraminghamRiskScore {
             // Carry over modifier-related fields if present in validatedData
             p.lpa = validatedData.lpa !== undefined ? Number(validatedData.lpa) : undefined;
             p.lpaUnit = validatedData.lpaUnit || this.dependencies.ClinicalThresholds?.get('LPA.DEFAULT_UNIT', 'mg/dL') || 'mg/dL';
+            p.lpaCurve = validatedData.lpaCurve; // Optional; LpaModifierService default otherwise
+            p.lpaAssay = { assayType: validatedData.lpaAssayType, alternate: validatedData.lpaAlternate }; // Optional; which Lp(a) value the curve uses
             p.familyHistory = validatedData.familyHistory ? 1 : 0;
             p.isSouthAsian = validatedData.isSouthAsian ? 1 : 0;
+            p.enhancerInputs = { ...validatedData }; // Enhancers configured in ClinicalThresholds may read any validated field
 
             // Input validation for critical algorithm inputs (secondary check)
             const criticalFields = {age: p.age, total_cholesterol: p.total_cholesterol, hdl: p.hdl, sbp: p.sbp};
@@ -168,51 +181,21 @@ class FraminghamRiskScore {
         return Math.max(0, Math.min(1, risk)); // Clamp between 0 and 1
     }
 
+    /**
+     * Applies the registered risk enhancers (RiskEnhancerService) to the base risk.
+     * @returns {{ modifiedRisk: number, modifiersApplied: object[], lpaModifier: object|null }} One audit entry per applied enhancer.
+     * @private
+     */
     _applyRiskModifiers(baseRiskProportion, processedData) {
-        let modifiedRisk = baseRiskProportion;
-        const modifiersAppliedDetails = []; // Changed from modifiersApplied to avoid conflict with a potential input field
-        const CT = this.dependencies.ClinicalThresholds;
-
         try {
-            // Lp(a) modifier
-            if (processedData.lpa !== undefined && !isNaN(processedData.lpa)) {
-                let lpaStdMgDl = processedData.lpa;
-                if (String(processedData.lpaUnit).toLowerCase().includes('nmol')) {
-                    const conversionFactor = CT?.get('LPA.CONVERSION_NMOL_TO_MG', 2.17) || 2.17;
-                    lpaStdMgDl = processedData.lpa / conversionFactor;
-                }
-                let factor = 1.0;
-                const lpaVeryHighMgDl = CT?.get('LPA.VERY_HIGH_RISK_MG', 100) || 100;
-                const lpaHighMgDl = CT?.get('LPA.HIGH_RISK_MG', 50) || 50;
-                const lpaModerateMgDl = CT?.get('LPA.MODERATE_RISK_MG', 30) || 30;
-
-                if (lpaStdMgDl >= lpaVeryHighMgDl) factor = CT?.get('RISK_MODIFIERS.LPA_VERY_HIGH_FACTOR', 1.7) || 1.7;
-                else if (lpaStdMgDl >= lpaHighMgDl) factor = CT?.get('RISK_MODIFIERS.LPA_HIGH_FACTOR', 1.4) || 1.4;
-                else if (lpaStdMgDl >= lpaModerateMgDl) factor = CT?.get('RISK_MODIFIERS.LPA_MODERATE_FACTOR', 1.2) || 1.2;
-
-                if (factor > 1.0) {
-                    modifiedRisk *= factor;
-                    modifiersAppliedDetails.push({ type: 'Lp(a)', factor: parseFloat(factor.toFixed(2)), value: `${processedData.lpa} ${processedData.lpaUnit}`, effect: `~${Math.round((factor - 1) * 100)}% risk increase` });
-                }
-            }
-            // Family history modifier
-            if (processedData.familyHistory === 1) {
-                const factor = CT?.get('RISK_MODIFIERS.FAMILY_HISTORY_FRS_FACTOR', 1.6) || 1.6;
-                modifiedRisk *= factor;
-                modifiersAppliedDetails.push({ type: 'Family History of Premature CVD', factor: parseFloat(factor.toFixed(2)), effect: `~${Math.round((factor - 1) * 100)}% risk increase` });
-            }
-            // South Asian ethnicity modifier
-            if (processedData.isSouthAsian === 1) {
-                const factor = CT?.get('RISK_MODIFIERS.SOUTH_ASIAN_FRS_FACTOR', 1.5) || 1.5;
-                modifiedRisk *= factor;
-                modifiersAppliedDetails.push({ type: 'South Asian Ancestry', factor: parseFloat(factor.toFixed(2)), effect: `~${Math.round((factor - 1) * 100)}% risk increase` });
-            }
+            const lpa = { value: processedData.lpa, unit: processedData.lpaUnit, curve: processedData.lpaCurve, assay: processedData.lpaAssay };
+            const { factor, modifiersApplied, lpaModifier } = this.dependencies.RiskEnhancers.apply(processedData.enhancerInputs || {}, lpa);
+            return { modifiedRisk: Math.max(0, Math.min(baseRiskProportion * factor, 0.999)), modifiersApplied, lpaModifier };
         } catch (error) {
-            this._handleError(error, 'ApplyRiskModifiers', { baseRisk, processedData });
+            this._handleError(error, 'ApplyRiskModifiers', { baseRisk: baseRiskProportion, processedData });
             // Return base risk if modifiers fail, do not alter it further.
-            return { modifiedRisk: Math.max(0, Math.min(baseRiskProportion, 0.999)), modifiersApplied: [] };
+            return { modifiedRisk: Math.max(0, Math.min(baseRiskProportion, 0.999)), modifiersApplied: [], lpaModifier: null };
         }
-        return { modifiedRisk: Math.max(0, Math.min(modifiedRisk, 0.999)), modifiersApplied: modifiersAppliedDetails };
     }
 
     _determineRiskCategory(riskPercent) {
@@ -298,6 +281,25 @@ class FraminghamRiskScore {
         }
     }
 
+    /**
+     * Non-validated 30-year and lifetime projections from the 2008 10-year model, with competing non-CVD mortality
+     * (see RiskHorizonService).
+     * Each window re-applies the risk enhancers (Lp(a), family history, ...) so the long-horizon
+     * figures stay comparable with modifiedRiskPercent.
+     * @param {object} processedData - Output of _processInputsForAlgorithm.
+     * @param {number} modifiedRiskProportion - The patient's modifier-adjusted 10-year risk (0-1).
+     * @returns {object} Horizons keyed tenYear / thirtyYear / lifetime.
+     * @private
+     */
+    _projectHorizons(processedData, modifiedRiskProportion) {
+        const maxModelAge = this.dependencies.ClinicalThresholds?.get('AGE.MAX_FRS', 79) || 79;
+        const riskAtAge = (age) => {
+            const baseRisk = this._convertSumToRisk(this._calculateFraminghamSum({ ...processedData, age, ln_age: Math.log(age) }), processedData.sex);
+            return this._applyRiskModifiers(baseRisk, processedData).modifiedRisk;
+        };
+        return this.dependencies.RiskHorizons.projectHorizons(riskAtAge, { age: processedData.age, tenYearRiskProportion: modifiedRiskProportion, maxModelAge, sex: processedData.sex === this.FEMALE ? 'female' : 'male' });
+    }
+
     /**
      * Main public method for FRS risk calculation.
      * @param {object} rawPatientData - Patient data from RiskCalculator.
@@ -320,7 +322,7 @@ class FraminghamRiskScore {
                 throw new Error('Base risk calculation resulted in NaN.');
             }
 
-            const { modifiedRisk: modifiedRiskProportion, modifiersApplied } = this._applyRiskModifiers(baseRiskProportion, processedData);
+            const { modifiedRisk: modifiedRiskProportion, modifiersApplied, lpaModifier } = this._applyRiskModifiers(baseRiskProportion, processedData);
             if (isNaN(modifiedRiskProportion)) {
                 throw new Error('Modified risk calculation resulted in NaN.');
             }
@@ -330,17 +332,22 @@ class FraminghamRiskScore {
 
             const heartAge = this._estimateHeartAge(processedData, modifiedRiskProportion);
             const { category: riskCategory, description: categoryDescription } = this._determineRiskCategory(modifiedRiskPercentFinal);
+            const horizons = this._projectHorizons(processedData, modifiedRiskProportion);
 
             const result = {
                 success: true,
                 tenYearRiskPercent: baseRiskPercent, // Primary reported risk from core FRS formula
                 baseRiskPercent: baseRiskPercent,
-                modifiedRiskPercent: modifiedRiskPercentFinal, // Risk after local modifiers (Lp(a), FH, SA)
+                modifiedRiskPercent: modifiedRiskPercentFinal, // Risk after the risk enhancers (Lp(a), family history, ...)
                 riskCategory: riskCategory,
                 categoryDescription: categoryDescription,
                 heartAge: heartAge,
+                thirtyYearRiskPercent: horizons.thirtyYear.riskPercent, // Modifier-adjusted, like modifiedRiskPercent
+                lifetimeRiskPercent: horizons.lifetime.riskPercent,
+                horizons: horizons,
                 inputParameters: rawPatientData, // Original (but validated/mapped by RiskCalculator) inputs
                 modifiersApplied: modifiersApplied,
+                lpaModifier: lpaModifier, // Curve and factor used for Lp(a), even when the factor is 1.0; null without Lp(a)
                 algorithm: 'Framingham-2008-General-CVD',
                 calculationDate: new Date().toISOString(),
                 version: this.VERSION
@@ -359,4 +366,4 @@ class FraminghamRiskScore {
     }
 }
 
-// export default FraminghamRiskScore;
+export default FraminghamRiskScore;
@@ -0,0 +1,139 @@
+/**
+ * LDL-C Lowering Benefit Module
+ * @file /js/calculations/ldl-benefit.js
+ * @description Expected benefit of lowering LDL-C from the Cholesterol Treatment Trialists' (CTT) meta-analyses:
+ * major vascular events fall by about 22% per 1 mmol/L of LDL-C lowering (relative risk 0.78), but only by about
+ * 10% in the first year of treatment. The baseline 10-year risk from any engine is taken as a constant annual
+ * hazard; treatment multiplies it by the first-year and later relative risks raised to the LDL-C reduction.
+ * Outputs the treated 10-year risk, absolute risk reduction, number needed to treat and the time to benefit
+ * (years until the absolute risk reduction reaches LDL_BENEFIT.TIME_TO_BENEFIT_ARR_PERCENT, 1 event prevented per
+ * 100 treated by default).
+ * Used by RiskCalculator.calculateInterventionEffect ('ldl' steps) and TreatmentRecommendationsService
+ * (benefit of each lipid-lowering regimen).
+ * @version 1.0.0
+ * @reference Cholesterol Treatment Trialists' (CTT) Collaboration. Efficacy and safety of more intensive lowering of LDL cholesterol: a meta-analysis of data from 170,000 participants in 26 randomised trials. Lancet. 2010;376(9753):1670-1681.
+ * @reference Cholesterol Treatment Trialists' (CTT) Collaborators. The effects of lowering LDL cholesterol with statin therapy in people at low risk of vascular disease. Lancet. 2012;380(9841):581-590.
+ * @reference Yourman LC, et al. Evaluation of Time to Benefit of Statins for the Primary Prevention of Cardiovascular Events in Adults Aged 50 to 75 Years. JAMA Intern Med. 2021;181(2):179-185.
+ * @exports LdlBenefitService
+ */
+
+'use strict';
+
+class LdlBenefitService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '1.0.0';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `LdlBenefit: ${message}`, data); }
+
+    _get(path, defaultValue) { return this.dependencies.ClinicalThresholds?.get(path, defaultValue) || defaultValue; }
+
+    /**
+     * LDL-C reduction in mmol/L from an absolute reduction, a percentage of the baseline LDL-C, or the LDL-C expected
+     * on treatment.
+     * @param {object} params - `{ ldl, reductionMmol, reductionPercent, expectedLdl }`.
+     * @returns {number|null} Reduction (0 when LDL-C would not fall), or null without enough data.
+     */
+    reductionMmol({ ldl, reductionMmol, reductionPercent, expectedLdl } = {}) {
+        if (reductionMmol !== undefined && reductionMmol !== null && reductionMmol !== '' && Number(reductionMmol) >= 0) return Number(reductionMmol);
+        if (!(Number(ldl) > 0)) return null;
+        if (Number(expectedLdl) > 0) return Math.max(0, Number(ldl) - Number(expectedLdl));
+        if (Number(reductionPercent) > 0) return Number(ldl) * Number(reductionPercent) / 100;
+        return null;
+    }
+
+    /** Cumulative hazard multiplier at `years` of treatment: first-year relative risk, then the CTT relative risk. */
+    _cumulativeHazardRatio(reduction, years) {
+        const firstYear = Math.pow(this._get('LDL_BENEFIT.RR_PER_MMOL_FIRST_YEAR', 0.90), reduction);
+        const later = Math.pow(this._get('LDL_BENEFIT.RR_PER_MMOL', 0.78), reduction);
+        return (Math.min(years, 1) * firstYear + Math.max(0, years - 1) * later) / years;
+    }
+
+    /**
+     * Risk after `years` of treatment, untreated and treated, from a 10-year baseline risk.
+     * @returns {{untreated: number, treated: number}} Proportions.
+     * @private
+     */
+    _riskAt(baselineProportion, reduction, years) {
+        const hazard = -Math.log(1 - baselineProportion) / 10;
+        return {
+            untreated: 1 - Math.exp(-hazard * years),
+            treated: 1 - Math.exp(-hazard * years * this._cumulativeHazardRatio(reduction, years)),
+        };
+    }
+
+    /**
+     * Treated 10-year risk for a given LDL-C reduction.
+     * @param {number} baselineRiskPercent - 10-year risk (%).
+     * @param {number} reduction - LDL-C reduction (mmol/L).
+     * @returns {number} Treated 10-year risk (%), unrounded.
+     */
+    treatedRiskPercent(baselineRiskPercent, reduction) {
+        if (!(baselineRiskPercent > 0) || !(reduction > 0)) return baselineRiskPercent;
+        return this._riskAt(Math.min(baselineRiskPercent, 99.9) / 100, reduction, 10).treated * 100;
+    }
+
+    /**
+     * Years of treatment until the absolute risk reduction reaches the threshold, by bisection over 10 years.
+     * @returns {number|null} Years to one decimal, or null when not reached within 10 years.
+     */
+    timeToBenefit(baselineRiskPercent, reduction, arrPercent = this._get('LDL_BENEFIT.TIME_TO_BENEFIT_ARR_PERCENT', 1)) {
+        const proportion = Math.min(baselineRiskPercent, 99.9) / 100;
+        const arrAt = (years) => { const risk = this._riskAt(proportion, reduction, years); return (risk.untreated - risk.treated) * 100; };
+        if (!(reduction > 0) || arrAt(10) < arrPercent) return null;
+        let low = 0; let high = 10;
+        for (let i = 0; i < 30; i++) {
+            const mid = (low + high) / 2;
+            if (arrAt(mid) >= arrPercent) high = mid; else low = mid;
+        }
+        return parseFloat(high.toFixed(1));
+    }
+
+    /**
+     * CTT benefit of an LDL-C reduction at a baseline 10-year risk.
+     * @param {object} params
+     * @param {number} params.baselineRiskPercent - 10-year risk from any engine (%).
+     * @param {number} [params.ldl] - Current LDL-C (mmol/L); needed with reductionPercent or expectedLdl.
+     * @param {number} [params.reductionMmol] - LDL-C reduction (mmol/L).
+     * @param {number} [params.reductionPercent] - LDL-C reduction (% of ldl).
+     * @param {number} [params.expectedLdl] - LDL-C on treatment (mmol/L).
+     * @returns {object|null} `{ baselineRiskPercent, treatedRiskPercent, absoluteRiskReductionPercent,
+     * relativeRiskReductionPercent, numberNeededToTreat, ldlReductionMmol, hazardRatio, timeToBenefitYears, summary }`,
+     * or null without a baseline risk or LDL-C reduction.
+     */
+    estimate({ baselineRiskPercent, ldl, reductionMmol, reductionPercent, expectedLdl } = {}) {
+        const baseline = Number(baselineRiskPercent);
+        const reduction = this.reductionMmol({ ldl, reductionMmol, reductionPercent, expectedLdl });
+        if (!(baseline > 0) || reduction === null) {
+            this._log('info', 'CTT benefit needs a baseline risk and an LDL-C reduction.');
+            return null;
+        }
+        const round = (value) => parseFloat(value.toFixed(1));
+        const treated = this.treatedRiskPercent(baseline, reduction);
+        const arr = baseline - treated;
+        const numberNeededToTreat = arr > 0 ? Math.ceil(100 / arr) : null;
+        const timeToBenefitYears = this.timeToBenefit(baseline, reduction);
+        return {
+            baselineRiskPercent: round(baseline),
+            treatedRiskPercent: round(treated),
+            absoluteRiskReductionPercent: round(arr),
+            relativeRiskReductionPercent: round((arr / baseline) * 100),
+            numberNeededToTreat,
+            ldlReductionMmol: parseFloat(reduction.toFixed(2)),
+            hazardRatio: parseFloat(Math.pow(this._get('LDL_BENEFIT.RR_PER_MMOL', 0.78), reduction).toFixed(3)),
+            timeToBenefitYears,
+            summary: `Lowering LDL-C by ${reduction.toFixed(2)} mmol/L: 10-year risk ${round(baseline)}% → ${round(treated)}%`
+                + (numberNeededToTreat ? ` (NNT ${numberNeededToTreat} over 10 years${timeToBenefitYears !== null ? `; benefit from about ${timeToBenefitYears} years` : ''}).` : '.'),
+        };
+    }
+}
+
+export default LdlBenefitService;
@@ -0,0 +1,144 @@
+/**
+ * LDL-C Estimation Module
+ * @file /js/calculations/ldl-estimation.js
+ * @description Calculated LDL cholesterol from total cholesterol, HDL-C and triglycerides when LDL-C is not
+ * measured. Offers Friedewald (fixed TG/VLDL-C factor of 5), Martin-Hopkins (factor from the 180-cell
+ * triglyceride by non-HDL-C table) and Sampson/NIH (equation 2). Each method reports when triglycerides are
+ * above its validated range, and Friedewald when the result is low (where it underestimates).
+ * Equations are applied in mg/dL; inputs and results are in mmol/L.
+ * Used by the Medication & Labs form (fills LDL-C) and TreatmentRecommendationsService.
+ * @version 1.0.0
+ * @reference Friedewald WT, Levy RI, Fredrickson DS. Estimation of the concentration of low-density lipoprotein cholesterol in plasma. Clin Chem. 1972;18(6):499-502.
+ * @reference Martin SS, et al. Comparison of a novel method vs the Friedewald equation for estimating LDL-C from the standard lipid profile. JAMA. 2013;310(19):2061-2068.
+ * @reference Sampson M, et al. A New Equation for Calculation of Low-Density Lipoprotein Cholesterol in Patients With Normolipidemia and/or Hypertriglyceridemia. JAMA Cardiol. 2020;5(5):540-548.
+ * @exports LdlEstimationService
+ */
+
+'use strict';
+
+// Martin-Hopkins TG:VLDL-C factors. Rows: triglyceride strata (upper bound, mg/dL); columns: non-HDL-C
+// <100, 100-129, 130-159, 160-189, 190-219, ≥220 mg/dL.
+const MARTIN_HOPKINS_NON_HDL_BOUNDS = [100, 130, 160, 190, 220];
+const MARTIN_HOPKINS_FACTORS = [
+    [49, [3.5, 3.4, 3.3, 3.3, 3.2, 3.1]], [56, [4.0, 3.9, 3.7, 3.6, 3.6, 3.4]], [61, [4.3, 4.1, 4.0, 3.9, 3.8, 3.6]],
+    [66, [4.5, 4.3, 4.1, 4.0, 3.9, 3.9]], [71, [4.7, 4.4, 4.3, 4.2, 4.1, 3.9]], [75, [4.8, 4.6, 4.4, 4.2, 4.2, 4.1]],
+    [79, [4.9, 4.6, 4.5, 4.3, 4.3, 4.2]], [83, [5.0, 4.8, 4.6, 4.4, 4.3, 4.2]], [87, [5.1, 4.8, 4.6, 4.5, 4.4, 4.3]],
+    [92, [5.2, 4.9, 4.7, 4.6, 4.4, 4.3]], [96, [5.3, 5.0, 4.8, 4.7, 4.5, 4.4]], [100, [5.4, 5.1, 4.8, 4.7, 4.5, 4.3]],
+    [105, [5.5, 5.2, 5.0, 4.7, 4.6, 4.5]], [110, [5.6, 5.3, 5.0, 4.8, 4.6, 4.5]], [115, [5.7, 5.4, 5.1, 4.9, 4.7, 4.5]],
+    [120, [5.8, 5.5, 5.2, 5.0, 4.8, 4.6]], [126, [6.0, 5.5, 5.3, 5.0, 4.8, 4.6]], [132, [6.1, 5.7, 5.3, 5.1, 4.9, 4.7]],
+    [138, [6.2, 5.8, 5.4, 5.2, 5.0, 4.7]], [146, [6.3, 5.9, 5.6, 5.3, 5.0, 4.8]], [154, [6.5, 6.0, 5.7, 5.4, 5.1, 4.8]],
+    [163, [6.7, 6.2, 5.8, 5.4, 5.2, 4.9]], [173, [6.8, 6.3, 5.9, 5.5, 5.3, 5.0]], [185, [7.0, 6.5, 6.0, 5.7, 5.4, 5.1]],
+    [201, [7.3, 6.7, 6.2, 5.8, 5.5, 5.2]], [220, [7.6, 6.9, 6.4, 6.0, 5.6, 5.3]], [247, [8.0, 7.2, 6.6, 6.2, 5.9, 5.4]],
+    [292, [8.5, 7.6, 7.0, 6.5, 6.1, 5.6]], [399, [9.5, 8.3, 7.5, 7.0, 6.5, 5.9]], [Infinity, [11.9, 10.0, 8.8, 8.1, 7.5, 6.7]],
+];
+
+class LdlEstimationService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '1.0.0';
+        this.METHODS = {
+            friedewald: { label: 'Friedewald', maxTgPath: 'LDL_ESTIMATION.FRIEDEWALD_MAX_TG_MMOL', maxTg: 4.5 },
+            martin_hopkins: { label: 'Martin-Hopkins', maxTgPath: 'LDL_ESTIMATION.MARTIN_HOPKINS_MAX_TG_MMOL', maxTg: 4.5 },
+            sampson: { label: 'Sampson/NIH', maxTgPath: 'LDL_ESTIMATION.SAMPSON_MAX_TG_MMOL', maxTg: 9.0 },
+        };
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `LdlEstimation: ${message}`, data); }
+
+    _cholesterolFactor() { return this.dependencies.ClinicalThresholds?.get('CONVERSION_FACTORS.TC_HDL_LDL', 0.02586) || 0.02586; }
+    _triglycerideFactor() { return this.dependencies.ClinicalThresholds?.get('CONVERSION_FACTORS.TRIGLYCERIDES', 0.01129) || 0.01129; }
+
+    /**
+     * Converts a form value to mmol/L.
+     * @param {number|string} value
+     * @param {string} [unit='mmol/L'] - 'mmol/L', 'mg/dL' or 'mg_dl'.
+     * @param {'cholesterol'|'triglycerides'} [analyte='cholesterol']
+     * @returns {number} NaN when the value is not a number.
+     */
+    toMmolL(value, unit = 'mmol/L', analyte = 'cholesterol') {
+        const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+        if (!/mg/i.test(String(unit))) return number;
+        return number * (analyte === 'triglycerides' ? this._triglycerideFactor() : this._cholesterolFactor());
+    }
+
+    /** Converts an LDL-C in mmol/L to the given unit, rounded for display (1 decimal in mmol/L, whole mg/dL). */
+    fromMmolL(ldlMmolL, unit = 'mmol/L') {
+        return /mg/i.test(String(unit)) ? Math.round(ldlMmolL / this._cholesterolFactor()) : parseFloat(ldlMmolL.toFixed(1));
+    }
+
+    /** Martin-Hopkins factor for triglycerides and non-HDL-C in mg/dL. */
+    martinHopkinsFactor(tgMgDl, nonHdlMgDl) {
+        const [, row] = MARTIN_HOPKINS_FACTORS.find(([maxTg]) => tgMgDl < maxTg + 1);
+        const column = MARTIN_HOPKINS_NON_HDL_BOUNDS.filter(bound => nonHdlMgDl >= bound).length;
+        return row[column];
+    }
+
+    /**
+     * Calculated LDL-C by one method.
+     * @param {object} lipids - `{ totalCholesterol, hdl, triglycerides }` in mmol/L.
+     * @param {string} [method] - 'martin_hopkins' | 'sampson' | 'friedewald'; defaults to LDL_ESTIMATION.DEFAULT_METHOD.
+     * @returns {object|null} `{ value (mmol/L, 2 decimals), method, methodLabel, valid, warnings, factor }`; `valid` is false
+     * outside the method's triglyceride range or when the result is not positive. Null without all three lipids.
+     */
+    estimate({ totalCholesterol, hdl, triglycerides } = {}, method) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const key = method || CT?.get('LDL_ESTIMATION.DEFAULT_METHOD', 'martin_hopkins') || 'martin_hopkins';
+        const definition = this.METHODS[key];
+        if (!definition) throw new Error(`Unknown LDL-C estimation method: ${key}`);
+        const [tc, hdlC, tg] = [totalCholesterol, hdl, triglycerides].map(Number);
+        if (![tc, hdlC, tg].every(v => isFinite(v) && v > 0) || hdlC >= tc) {
+            this._log('info', 'Total cholesterol, HDL-C and triglycerides are needed (HDL-C below total) to calculate LDL-C.');
+            return null;
+        }
+
+        const cf = this._cholesterolFactor();
+        const [tcMg, hdlMg, tgMg] = [tc / cf, hdlC / cf, tg / this._triglycerideFactor()];
+        const nonHdlMg = tcMg - hdlMg;
+        let ldlMg;
+        let factor = null;
+        if (key === 'friedewald') {
+            factor = 5;
+            ldlMg = nonHdlMg - tgMg / factor;
+        } else if (key === 'martin_hopkins') {
+            factor = this.martinHopkinsFactor(tgMg, nonHdlMg);
+            ldlMg = nonHdlMg - tgMg / factor;
+        } else { // Sampson/NIH equation 2
+            ldlMg = tcMg / 0.948 - hdlMg / 0.971 - (tgMg / 8.56 + (tgMg * nonHdlMg) / 2140 - (tgMg * tgMg) / 16100) - 9.44;
+        }
+        const value = parseFloat((ldlMg * cf).toFixed(2));
+
+        const warnings = [];
+        const maxTg = CT?.get(definition.maxTgPath, definition.maxTg) || definition.maxTg;
+        let valid = true;
+        if (tg > maxTg) {
+            valid = false;
+            warnings.push(`Triglycerides ${tg.toFixed(1)} mmol/L exceed the ${definition.label} limit of ${maxTg} mmol/L; measure LDL-C directly.`);
+        }
+        const lowLdl = CT?.get('LDL_ESTIMATION.FRIEDEWALD_LOW_LDL_MMOL', 1.8) || 1.8;
+        if (key === 'friedewald' && value < lowLdl) warnings.push(`Friedewald underestimates LDL-C below ${lowLdl} mmol/L; prefer Martin-Hopkins or Sampson.`);
+        if (value <= 0) {
+            valid = false;
+            warnings.push(`${definition.label} gives a non-positive LDL-C; measure LDL-C directly.`);
+        }
+        return { value, method: key, methodLabel: definition.label, valid, warnings, factor };
+    }
+
+    /**
+     * Calculated LDL-C by every method, for comparison.
+     * @param {object} lipids - As for estimate().
+     * @returns {object|null} Results keyed by method, or null without all three lipids.
+     */
+    estimateAll(lipids) {
+        const results = Object.keys(this.METHODS).map(key => [key, this.estimate(lipids, key)]);
+        return results[0][1] ? Object.fromEntries(results) : null;
+    }
+}
+
+export default LdlEstimationService;
@@ -0,0 +1,201 @@
+/**
+ * ApoB / Non-HDL-C / LDL-C Discordance Module
+ * @file /js/calculations/lipid-discordance.js
+ * @description Places ApoB, LDL-C and non-HDL-C on the same population percentile scale and flags
+ * discordance when ApoB ranks at least LIPID_DISCORDANCE.PERCENTILE_GAP points above or below either
+ * cholesterol measure. ApoB above its cholesterol percentiles (more, smaller LDL particles) is typical of
+ * hypertriglyceridaemia, diabetes and the metabolic syndrome, so those features are reported with it.
+ * preferredTarget() picks the CCS treatment target: ApoB (or non-HDL-C when ApoB was not measured) with
+ * triglycerides above LIPID_DISCORDANCE.HIGH_TG_MMOL or discordantly high ApoB, LDL-C otherwise.
+ * Shown on the Medication & Labs tab and used by TreatmentRecommendationsService for the lipid targets.
+ * The percentiles come from a reference table loaded by the site under LIPID_DISCORDANCE.POPULATION_PERCENTILES:
+ *   SOURCE      - Required citation of the exact table: publication and table number, survey cycle, age range
+ *                 and fasting status, e.g. "NHANES 2011-2012, adults 20-79, fasting subsample (<ref>, Table 2)".
+ *   percentiles - Percentile anchors, ascending, e.g. [5, 10, 25, 50, 75, 90, 95].
+ *   ldl, nonHdl, apoB - Marker value in mg/dL at each anchor, from the same table and population.
+ * No table is bundled: shipping NHANES or CHMS percentiles is out of scope, because the toolkit has no table with
+ * that provenance to ship. Out of the box, and until a site loads one, there are no percentiles and no discordance
+ * analysis, and the target is chosen from triglycerides alone.
+ * @version 2.0.1
+ * @reference Pearson GJ, et al. 2021 Canadian Cardiovascular Society Guidelines for the Management of Dyslipidemia for the Prevention of Cardiovascular Disease in Adults. Can J Cardiol. 2021;37(8):1129-1150.
+ * @reference Sniderman AD, et al. Discordance analysis of apolipoprotein B and non-high density lipoprotein cholesterol as markers of cardiovascular risk in the INTERHEART study. Atherosclerosis. 2012;225(2):444-449.
+ * @reference Pencina MJ, et al. Apolipoprotein B improves risk assessment of future coronary heart disease in the Framingham Heart Study beyond LDL-C and non-HDL-C. Eur J Prev Cardiol. 2015;22(10):1321-1327.
+ * @exports LipidDiscordanceService
+ */
+
+'use strict';
+
+const MARKER_LABELS = { ldl: 'LDL-C', nonHdl: 'non-HDL-C', apoB: 'ApoB' };
+
+class LipidDiscordanceService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '2.0.1';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `LipidDiscordance: ${message}`, data); }
+
+    _threshold(key, defaultValue) { return this.dependencies.ClinicalThresholds?.get(`LIPID_DISCORDANCE.${key}`, defaultValue) || defaultValue; }
+    _cholesterolFactor() { return this.dependencies.ClinicalThresholds?.get('CONVERSION_FACTORS.TC_HDL_LDL', 0.02586) || 0.02586; }
+
+    _toNumber(value) { return value === null || value === undefined || value === '' ? NaN : Number(value); }
+
+    /**
+     * The loaded population percentile table (LIPID_DISCORDANCE.POPULATION_PERCENTILES), or null when there is
+     * none or it lacks a SOURCE or an anchor row.
+     * @returns {object|null}
+     */
+    getReferenceTable() {
+        const table = this._threshold('POPULATION_PERCENTILES', null);
+        if (!table?.SOURCE || !Array.isArray(table.percentiles)) return null;
+        return ['ldl', 'nonHdl', 'apoB'].every(marker => table[marker]?.length === table.percentiles.length) ? table : null;
+    }
+
+    /** True when a sourced percentile table is loaded. */
+    hasReference() {
+        return this.getReferenceTable() !== null;
+    }
+
+    /**
+     * Population percentile of a lipid value, interpolated between the reference anchors and extrapolated
+     * along the end segments (limited to 1-99).
+     * @param {'ldl'|'nonHdl'|'apoB'} marker
+     * @param {number} value - LDL-C / non-HDL-C in mmol/L, ApoB in g/L.
+     * @returns {number|null} Whole percentile, or null without a positive value or a reference table.
+     */
+    percentile(marker, value) {
+        const number = this._toNumber(value);
+        const table = this.getReferenceTable();
+        if (!isFinite(number) || number <= 0 || !table) return null;
+        const mgDl = marker === 'apoB' ? number * 100 : number / this._cholesterolFactor();
+        const values = table[marker];
+        const { percentiles } = table;
+        let index = values.findIndex(anchor => mgDl < anchor);
+        if (index === -1) index = values.length - 1;
+        else if (index === 0) index = 1;
+        const [lowValue, highValue] = [values[index - 1], values[index]];
+        const [lowPct, highPct] = [percentiles[index - 1], percentiles[index]];
+        const result = lowPct + ((mgDl - lowValue) / (highValue - lowValue)) * (highPct - lowPct);
+        return Math.round(Math.min(99, Math.max(1, result)));
+    }
+
+    /**
+     * Reads the Medication & Labs form (values keyed by input name), converting to mmol/L and g/L.
+     * @param {object} formData
+     * @returns {object} analyze() inputs.
+     */
+    fromFormData(formData = {}) {
+        const cf = this._cholesterolFactor();
+        const cholesterol = (key) => {
+            const number = this._toNumber(formData[key]);
+            if (isNaN(number)) return null;
+            return /mg/i.test(String(formData[`${key}_unit`] || '')) ? parseFloat((number * cf).toFixed(2)) : number;
+        };
+        const apoB = this._toNumber(formData.apoB);
+        const triglycerides = this._toNumber(formData.triglycerides);
+        const totalCholesterol = cholesterol('total_cholesterol');
+        const hdl = cholesterol('hdl_cholesterol');
+        const nonHdl = totalCholesterol !== null && hdl !== null ? parseFloat((totalCholesterol - hdl).toFixed(2)) : null;
+        return {
+            ldl: cholesterol('ldl_cholesterol'),
+            nonHdl,
+            hdl,
+            apoB: isNaN(apoB) ? null : (/mg/i.test(String(formData.apoB_unit || '')) ? apoB / 100 : apoB),
+            triglycerides: isNaN(triglycerides) ? null : (/mg/i.test(String(formData.triglycerides_unit || '')) ? parseFloat((triglycerides * 0.01129).toFixed(2)) : triglycerides),
+            hasDiabetes: /type[12]_diabetes/.test(String(formData.diabetes_status || '')),
+            bmi: isNaN(this._toNumber(formData.bmi)) ? null : this._toNumber(formData.bmi),
+            sex: formData.sex || null,
+        };
+    }
+
+    /**
+     * Metabolic features that go with discordantly high ApoB (NCEP ATP III triglyceride and HDL-C cut-offs).
+     * @returns {string[]} Descriptions of the features present.
+     */
+    metabolicFeatures({ triglycerides, hdl, hasDiabetes, bmi, sex } = {}) {
+        const features = [];
+        const tg = this._toNumber(triglycerides);
+        if (tg >= this._threshold('METABOLIC_TG_MMOL', 1.7)) features.push(`triglycerides ${tg.toFixed(1)} mmol/L`);
+        const hdlC = this._toNumber(hdl);
+        const lowHdl = String(sex).toLowerCase() === 'female' ? this._threshold('LOW_HDL_FEMALE_MMOL', 1.3) : this._threshold('LOW_HDL_MALE_MMOL', 1.0);
+        if (hdlC < lowHdl) features.push(`low HDL-C (${hdlC.toFixed(1)} mmol/L)`);
+        if (hasDiabetes === true) features.push('diabetes');
+        const bmiValue = this._toNumber(bmi);
+        if (bmiValue >= this._threshold('OBESITY_BMI', 30)) features.push(`BMI ${bmiValue.toFixed(1)} kg/m²`);
+        return features;
+    }
+
+    /**
+     * Discordance of ApoB against LDL-C and non-HDL-C.
+     * @param {object} lipids - `{ ldl, nonHdl, apoB, triglycerides, hdl, hasDiabetes, bmi, sex }`; cholesterol
+     * in mmol/L, ApoB in g/L.
+     * @returns {object|null} `{ percentiles, comparisons, discordant, direction, metabolicFeatures, summary, reference }`;
+     * `direction` is 'apob_higher' | 'apob_lower' | null from the largest gap and `reference` the table's SOURCE.
+     * Null without a reference table, or without ApoB and at least one of LDL-C or non-HDL-C.
+     */
+    analyze(lipids = {}) {
+        const table = this.getReferenceTable();
+        if (!table) {
+            this._log('info', 'No sourced population percentile table (LIPID_DISCORDANCE.POPULATION_PERCENTILES); discordance not assessed.');
+            return null;
+        }
+        const percentiles = {};
+        ['apoB', 'ldl', 'nonHdl'].forEach((marker) => {
+            const pct = this.percentile(marker, lipids[marker]);
+            if (pct !== null) percentiles[marker] = { value: Number(lipids[marker]), percentile: pct };
+        });
+        if (!percentiles.apoB || (!percentiles.ldl && !percentiles.nonHdl)) {
+            this._log('info', 'ApoB and LDL-C or non-HDL-C are needed for discordance analysis.');
+            return null;
+        }
+
+        const gap = this._threshold('PERCENTILE_GAP', 25);
+        const comparisons = ['ldl', 'nonHdl'].filter(marker => percentiles[marker]).map((marker) => {
+            const difference = percentiles.apoB.percentile - percentiles[marker].percentile;
+            let direction = 'concordant';
+            if (difference >= gap) direction = 'apob_higher';
+            else if (difference <= -gap) direction = 'apob_lower';
+            return { marker, label: MARKER_LABELS[marker], difference, direction };
+        });
+        const largest = comparisons.reduce((a, b) => (Math.abs(b.difference) > Math.abs(a.difference) ? b : a));
+        const discordant = largest.direction !== 'concordant';
+        const metabolicFeatures = this.metabolicFeatures(lipids);
+
+        let summary = `ApoB ${percentiles.apoB.percentile}th percentile; ` + comparisons.map(c => `${c.label} ${percentiles[c.marker].percentile}th`).join(', ');
+        if (!discordant) summary += ': concordant.';
+        else if (largest.direction === 'apob_higher') {
+            summary += `: ApoB is discordantly HIGH (${largest.difference} percentile points above ${largest.label}); cholesterol measures underestimate atherogenic particle number.`;
+            if (metabolicFeatures.length) summary += ` Consistent with the metabolic pattern (${metabolicFeatures.join(', ')}).`;
+        } else summary += `: ApoB is discordantly low (${-largest.difference} percentile points below ${largest.label}); risk may be overestimated by cholesterol.`;
+
+        return { percentiles, comparisons, discordant, direction: discordant ? largest.direction : null, metabolicFeatures, summary, reference: table.SOURCE };
+    }
+
+    /**
+     * CCS treatment target for the patient.
+     * @param {object} lipids - analyze() inputs.
+     * @param {object|null} [analysis] - analyze() result; computed when omitted.
+     * @returns {{type: 'ldl'|'nonHdl'|'apoB', reason: string}}
+     */
+    preferredTarget(lipids = {}, analysis = this.analyze(lipids)) {
+        const tg = this._toNumber(lipids.triglycerides);
+        const highTg = this._threshold('HIGH_TG_MMOL', 1.5);
+        const hasApoB = isFinite(this._toNumber(lipids.apoB)) && this._toNumber(lipids.apoB) > 0;
+        if (analysis?.direction === 'apob_higher') return { type: 'apoB', reason: `ApoB discordantly high for its LDL-C / non-HDL-C (${analysis.summary.split(':')[0]})` };
+        if (tg > highTg) {
+            return hasApoB
+                ? { type: 'apoB', reason: `Triglycerides ${tg.toFixed(1)} mmol/L (>${highTg}); ApoB preferred over LDL-C` }
+                : { type: 'nonHdl', reason: `Triglycerides ${tg.toFixed(1)} mmol/L (>${highTg}); non-HDL-C preferred over LDL-C (measure ApoB if available)` };
+        }
+        return { type: 'ldl', reason: 'LDL-C is the primary target' };
+    }
+}
+
+export default LipidDiscordanceService;
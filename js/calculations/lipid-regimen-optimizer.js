@@ -0,0 +1,191 @@
+/**
+ * Lipid-Lowering Regimen Optimizer Module
+ * @file /js/calculations/lipid-regimen-optimizer.js
+ * @description Works out the LDL-C reduction needed to reach the CCS target and ranks the regimens that get there:
+ * a statin at a specific dose (or none with statin intolerance), with or without ezetimibe, plus at most one of
+ * bempedoic acid, a PCSK9 monoclonal antibody or inclisiran. Drug effects are the per-dose LDL-C reductions in
+ * the medication database, combined multiplicatively on the untreated LDL-C (back-calculated from the current
+ * regimen). Each regimen carries its expected LDL-C, highest cost tier and worst coverage status.
+ * Ranking: regimens reaching the target first, statin-based before statin-free, then fewest drugs, lowest cost
+ * tier and best coverage; regimens falling short follow by expected LDL-C. Each statin alone is listed at its
+ * lowest dose reaching the target, combinations with the statin at its highest dose.
+ * With an eGFR, doses above a drug's renal maximum and drugs not to be started at that eGFR are left out
+ * (renalLimits in the medication database), e.g. rosuvastatin is capped at 10mg below 30 mL/min/1.73m².
+ * Used by TreatmentRecommendationsService (recommendations.regimenOptions).
+ * @version 1.1.0
+ * @reference Pearson GJ, et al. 2021 Canadian Cardiovascular Society Guidelines for the Management of Dyslipidemia for the Prevention of Cardiovascular Disease in Adults. Can J Cardiol. 2021;37(8):1129-1150.
+ * @reference Jones PH, et al. Comparison of the efficacy and safety of rosuvastatin versus atorvastatin, simvastatin, and pravastatin across doses (STELLAR Trial). Am J Cardiol. 2003;92(2):152-160.
+ * @exports LipidRegimenOptimizerService
+ */
+
+'use strict';
+
+const COST_TIERS = ['low', 'moderate', 'high'];
+const COVERAGE_ORDER = ['Regular benefit', 'Special Authority', 'Not a benefit'];
+// Non-statin add-ons: one dose per drug (the usual maintenance dose); at most one from THIRD_LINE per regimen
+const EZETIMIBE = { name: 'Ezetimibe', dose: '10mg' };
+const THIRD_LINE = [
+    { name: 'Bempedoic Acid', dose: '180mg' },
+    { name: 'Evolocumab', dose: '140mg/mL' },
+    { name: 'Alirocumab', dose: '150mg/mL' },
+    { name: 'Inclisiran', dose: '284mg/1.5mL' },
+];
+
+class LipidRegimenOptimizerService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional), MedicationDatabase (MedicationDatabaseService).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+            MedicationDatabase: dependencies.MedicationDatabase || (typeof window !== 'undefined' ? window.MedicationDatabase : undefined),
+        };
+        this.VERSION = '1.1.0';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `LipidRegimenOptimizer: ${message}`, data); }
+
+    /**
+     * Fractional LDL-C reduction needed to go from the current LDL-C to the target.
+     * @returns {number} 0 when already at target.
+     */
+    requiredReduction(currentLdl, targetLdl) {
+        if (!(currentLdl > 0) || !(targetLdl > 0)) return NaN;
+        return Math.max(0, 1 - targetLdl / currentLdl);
+    }
+
+    /** A regimen component with its database entry and LDL-C lowering; null when the drug or dose is not listed. */
+    _component(name, dose) {
+        const MD = this.dependencies.MedicationDatabase;
+        const med = MD?.getByName(name);
+        const ldlReduction = MD?.getLdlReduction?.(name, dose) ?? null;
+        if (!med || ldlReduction === null) return null;
+        return { name: med.name, dose, ldlReduction, intensity: MD.getStatinIntensity?.(name, dose) ?? null, costTier: med.costTier || 'low', coverage: med.coverage || 'Regular benefit' };
+    }
+
+    /** Whether a component may be started at this eGFR (within the renal maximum dose); true without an eGFR. */
+    _renalAllowed(component, egfr) {
+        const MD = this.dependencies.MedicationDatabase;
+        if (!component || egfr === undefined || egfr === null) return !!component;
+        return MD?.isDoseWithinRenalLimit?.(component.name, component.dose, egfr) !== false && MD?.getRenalLimit?.(component.name, egfr)?.initiate !== false;
+    }
+
+    /** Every statin and dose with a listed LDL-C effect. */
+    _statinOptions() {
+        const MD = this.dependencies.MedicationDatabase;
+        return (MD?.getByClass('Statin') || []).flatMap(med => Object.keys(med.ldlReductionByDose || {}).map(dose => this._component(med.name, dose)));
+    }
+
+    /**
+     * LDL-C lowering of the current regimen: the statin by dose and add-ons at their listed doses, or the
+     * intensity-based estimate (estimatedLDLReductionPercent) when the statin dose is not known.
+     * @returns {number} Fraction.
+     */
+    currentReduction(currentTherapy = {}) {
+        const hasStatinDose = currentTherapy.statin && currentTherapy.statinDose;
+        if (!hasStatinDose && typeof currentTherapy.estimatedLDLReductionPercent === 'number') return currentTherapy.estimatedLDLReductionPercent / 100;
+        const parts = [];
+        if (hasStatinDose) parts.push(this._component(currentTherapy.statin, currentTherapy.statinDose)?.ldlReduction);
+        if (currentTherapy.hasEzetimibe) parts.push(this._component(EZETIMIBE.name, EZETIMIBE.dose)?.ldlReduction);
+        if (currentTherapy.hasPCSK9) parts.push(this._component('Evolocumab', '140mg/mL')?.ldlReduction);
+        if (currentTherapy.hasBempedoicAcid) parts.push(this._component('Bempedoic Acid', '180mg')?.ldlReduction);
+        return 1 - parts.filter(r => typeof r === 'number').reduce((remaining, r) => remaining * (1 - r), 1);
+    }
+
+    _summarize(components, untreatedLdl, targetLdl) {
+        const remaining = components.reduce((value, c) => value * (1 - c.ldlReduction), 1);
+        const expectedLdl = parseFloat((untreatedLdl * remaining).toFixed(2));
+        const costTier = COST_TIERS[Math.max(0, ...components.map(c => COST_TIERS.indexOf(c.costTier)))];
+        const coverage = COVERAGE_ORDER[Math.max(0, ...components.map(c => COVERAGE_ORDER.indexOf(c.coverage)))];
+        return {
+            label: components.length ? components.map(c => `${c.name} ${c.dose}`).join(' + ') : 'No lipid-lowering therapy',
+            components,
+            totalReductionPercent: Math.round((1 - remaining) * 100),
+            expectedLdl,
+            reachesTarget: expectedLdl <= targetLdl,
+            costTier,
+            coverage,
+        };
+    }
+
+    /**
+     * Ranked regimens for an LDL-C target.
+     * @param {object} params
+     * @param {number} params.currentLdl - Current LDL-C (mmol/L), on the current regimen.
+     * @param {number} params.targetLdl - LDL-C target (mmol/L).
+     * @param {number} [params.untreatedLdl] - Known untreated LDL-C; otherwise back-calculated from currentTherapy.
+     * @param {number} [params.percentReductionTarget=0] - Alternative target (%) reduction from the untreated LDL-C, e.g. 50.
+     * @param {object} [params.currentTherapy={}] - `{ statin, statinDose, hasEzetimibe, hasPCSK9, hasBempedoicAcid,
+     * estimatedLDLReductionPercent }` as evaluated by TreatmentRecommendationsService.
+     * @param {boolean} [params.statinIntolerant=false] - Leaves statins out.
+     * @param {number} [params.egfr] - mL/min/1.73m²; applies the renal dose limits.
+     * @param {number} [params.maxResults] - Defaults to LIPID_REGIMEN.MAX_RESULTS.
+     * @returns {object|null} `{ currentLdl, untreatedLdl, targetLdl, requiredReductionPercent, regimens }`, or null
+     * without a current LDL-C and target. `targetLdl` is the effective target; `requiredReductionPercent` is from the
+     * current LDL-C.
+     */
+    optimize({ currentLdl, targetLdl, untreatedLdl, percentReductionTarget = 0, currentTherapy = {}, statinIntolerant = false, egfr, maxResults } = {}) {
+        if (isNaN(this.requiredReduction(currentLdl, targetLdl))) {
+            this._log('info', 'A current LDL-C and an LDL-C target are needed to optimize the regimen.');
+            return null;
+        }
+        const CT = this.dependencies.ClinicalThresholds;
+        const limit = maxResults || CT?.get('LIPID_REGIMEN.MAX_RESULTS', 5) || 5;
+        const baseline = untreatedLdl > 0 ? untreatedLdl : currentLdl / (1 - Math.min(0.95, this.currentReduction(currentTherapy)));
+        // Either the absolute target or the percentage reduction from untreated suffices (CCS), so the easier one counts
+        const effectiveTarget = Math.max(targetLdl, percentReductionTarget > 0 ? baseline * (1 - percentReductionTarget / 100) : 0);
+        const required = this.requiredReduction(currentLdl, effectiveTarget);
+
+        const allowed = (component) => this._renalAllowed(component, egfr);
+        const statins = statinIntolerant ? [null] : [null, ...this._statinOptions().filter(allowed)];
+        const ezetimibe = [this._component(EZETIMIBE.name, EZETIMIBE.dose)].find(allowed) || null;
+        const thirdLine = [null, ...THIRD_LINE.map(({ name, dose }) => this._component(name, dose)).filter(allowed)];
+        const candidates = [];
+        statins.forEach(statin => [...new Set([null, ezetimibe])].forEach(eze => thirdLine.forEach(addOn => {
+            const components = [statin, eze, addOn].filter(Boolean);
+            if (components.length) candidates.push(this._summarize(components, baseline, effectiveTarget));
+        })));
+
+        // One regimen per statin molecule alone and per add-on combination. Among those reaching the target: the current
+        // statin molecule first, then the lowest statin dose alone, or the highest dose under add-ons (statin maximised
+        // first, as CCS intensifies). Among those falling short: the lowest expected LDL-C.
+        const statinOf = (regimen) => regimen.components.find(c => c.intensity !== null);
+        const currentStatin = String(currentTherapy.statin || '').toLowerCase();
+        const isCurrent = (regimen) => !!currentStatin && statinOf(regimen)?.name.toLowerCase() === currentStatin;
+        const better = (regimen, best) => {
+            if (regimen.reachesTarget !== best.reachesTarget) return regimen.reachesTarget;
+            if (!regimen.reachesTarget) return regimen.expectedLdl < best.expectedLdl;
+            if (isCurrent(regimen) !== isCurrent(best)) return isCurrent(regimen);
+            const [reduction, bestReduction] = [statinOf(regimen)?.ldlReduction ?? 0, statinOf(best)?.ldlReduction ?? 0];
+            return regimen.components.length === 1 ? reduction < bestReduction : reduction > bestReduction;
+        };
+        const byAddOns = new Map();
+        candidates.forEach(regimen => {
+            const key = regimen.components.length === 1 && statinOf(regimen)
+                ? `Statin:${statinOf(regimen).name}`
+                : [statinOf(regimen) ? 'Statin' : '', ...regimen.components.filter(c => c.intensity === null).map(c => c.name)].join('+');
+            const best = byAddOns.get(key);
+            if (!best || better(regimen, best)) byAddOns.set(key, regimen);
+        });
+
+        // Statin-free regimens rank after statin-based ones unless statins are not tolerated
+        const rank = (r) => [r.reachesTarget ? 0 : 1, statinOf(r) ? 0 : 1, r.reachesTarget ? r.components.length : 0, COST_TIERS.indexOf(r.costTier), COVERAGE_ORDER.indexOf(r.coverage), r.reachesTarget ? 0 : r.expectedLdl];
+        const regimens = [...byAddOns.values()].sort((a, b) => {
+            const [ra, rb] = [rank(a), rank(b)];
+            const index = ra.findIndex((value, i) => value !== rb[i]);
+            return index === -1 ? a.expectedLdl - b.expectedLdl : ra[index] - rb[index];
+        }).slice(0, limit);
+
+        return {
+            currentLdl,
+            untreatedLdl: parseFloat(baseline.toFixed(2)),
+            targetLdl: parseFloat(effectiveTarget.toFixed(2)),
+            requiredReductionPercent: Math.round(required * 100),
+            regimens,
+        };
+    }
+}
+
+export default LipidRegimenOptimizerService;
@@ -0,0 +1,220 @@
+/**
+ * Lp(a) Risk Modifier Module
+ * @file /js/calculations/lpa-modifier.js
+ * @description Single source of the Lp(a) post-test risk multiplier used by the risk engines and the
+ * treatment recommendations. Several published dose-response curves are available by name; the
+ * curve comes from ClinicalThresholds (LPA_MODIFIER.DEFAULT_CURVE) unless the caller names one, and
+ * every evaluation reports the curve it used.
+ * Curves are defined in their own unit. A measured value in that unit is used as is (labs often
+ * report both); otherwise the value is converted with UnitConverterService.convertLpa, and the
+ * result is flagged approximate with the factor at both ends of the conversion range.
+ * Curve parameters can be overridden, and new curves added, under LPA_MODIFIER.CURVES.<name>.
+ * @version 1.1.2
+ * @exports LpaModifierService
+ */
+
+'use strict';
+
+import UnitConverterService from '../utils/unit-converter.js';
+
+// Built-in curves. `type` selects the evaluator:
+//   piecewise_linear - `points` [[value, factor], ...], interpolated; 1.0 below the first point, last factor above the last.
+//   step             - `steps` [[minValue, factor], ...], ascending; 1.0 below the first step.
+//   log_linear       - `ratioPerIncrement` compounded per `increment` above `reference`.
+const LPA_CURVES = Object.freeze({
+    toolkit: {
+        label: 'Toolkit continuous curve',
+        type: 'piecewise_linear', unit: 'mg/dL',
+        points: [[30, 1.0], [50, 1.3], [100, 1.6], [200, 2.0], [300, 3.0]],
+        citation: 'CVD Risk Toolkit curve (formerly CVDCalculators.calculateLpaModifier): no excess risk below 30 mg/dL, rising to 3.0x at 300 mg/dL.'
+    },
+    toolkit_step: {
+        label: 'Toolkit step factors',
+        type: 'step', unit: 'mg/dL',
+        steps: [[30, 1.2], [50, 1.4], [100, 1.7]],
+        citation: 'Step factors previously applied by the Framingham and SCORE2 engines (30/50/100 mg/dL).'
+    },
+    uk_biobank: {
+        label: 'UK Biobank (per 50 nmol/L)',
+        type: 'log_linear', unit: 'nmol/L',
+        reference: 20, increment: 50, ratioPerIncrement: 1.11, // Reference ~ cohort median (19.6 nmol/L)
+        citation: 'Patel AP, et al. Lp(a) concentrations and incident atherosclerotic cardiovascular disease. Arterioscler Thromb Vasc Biol. 2021;41(1):465-474 (HR 1.11 per 50 nmol/L).'
+    },
+    copenhagen: {
+        label: 'Copenhagen City Heart Study',
+        type: 'step', unit: 'mg/dL',
+        steps: [[30, 1.6], [85, 1.9], [120, 2.6]], // 67th, 90th and 95th percentiles
+        citation: 'Kamstrup PR, et al. Extreme lipoprotein(a) levels and risk of myocardial infarction in the general population. Circulation. 2008;117(2):176-184 (MI HR by percentile vs <22nd).'
+    }
+});
+
+class LpaModifierService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional), UnitConverter (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.dependencies.UnitConverter = dependencies.UnitConverter || new UnitConverterService({ dependencies: { ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds } });
+        this.VERSION = '1.1.2';
+        this.FALLBACK_CURVE = 'toolkit';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `LpaModifier: ${message}`, data); }
+
+    /** @returns {string[]} Names of the built-in and configured curves. */
+    getCurveNames() {
+        const configured = this.dependencies.ClinicalThresholds?.get('LPA_MODIFIER.CURVES', {}) || {};
+        return [...new Set([...Object.keys(LPA_CURVES), ...Object.keys(configured)])];
+    }
+
+    /** @returns {string} The configured default curve, or the toolkit curve if that name is unknown. */
+    getDefaultCurveName() {
+        const name = this.dependencies.ClinicalThresholds?.get('LPA_MODIFIER.DEFAULT_CURVE', this.FALLBACK_CURVE) || this.FALLBACK_CURVE;
+        if (this.getCurve(name)) return name;
+        this._log('warn', `Configured default curve "${name}" is not defined; using "${this.FALLBACK_CURVE}".`);
+        return this.FALLBACK_CURVE;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {object|null} The curve definition with any ClinicalThresholds overrides applied, or null if unknown.
+     */
+    getCurve(name) {
+        const configured = this.dependencies.ClinicalThresholds?.get(`LPA_MODIFIER.CURVES.${name}`, null);
+        if (!LPA_CURVES[name] && !configured) return null;
+        return { name, ...LPA_CURVES[name], ...configured };
+    }
+
+    _isNmol(unit) { return String(unit || '').toLowerCase().includes('nmol'); }
+
+    _normalizeUnit(unit) { return this._isNmol(unit) ? 'nmol/L' : 'mg/dL'; }
+
+    _evaluateCurve(curve, x) {
+        if (curve.type === 'piecewise_linear') {
+            const points = curve.points;
+            if (x < points[0][0]) return 1.0;
+            for (let i = 1; i < points.length; i++) {
+                const [x0, y0] = points[i - 1];
+                const [x1, y1] = points[i];
+                if (x < x1) return y0 + (x - x0) * (y1 - y0) / (x1 - x0);
+            }
+            return points[points.length - 1][1];
+        }
+        if (curve.type === 'step') {
+            return curve.steps.reduce((factor, [minValue, stepFactor]) => (x >= minValue ? stepFactor : factor), 1.0);
+        }
+        if (curve.type === 'log_linear') {
+            return x > curve.reference ? Math.pow(curve.ratioPerIncrement, (x - curve.reference) / curve.increment) : 1.0;
+        }
+        throw new Error(`Unsupported Lp(a) curve type "${curve.type}" for curve "${curve.name}".`);
+    }
+
+    _toNumber(value) { return value === null || value === undefined || value === '' ? NaN : Number(value); }
+
+    /**
+     * Risk multiplier for a measured Lp(a).
+     * @param {number} value - Measured Lp(a).
+     * @param {string} unit - 'mg/dL' or 'nmol/L'.
+     * @param {string} [curveName] - Curve to use; defaults to LPA_MODIFIER.DEFAULT_CURVE. Unknown names fall back to the default.
+     * @param {object} [assay={}] - Measurement metadata.
+     * @param {string} [assay.assayType] - UnitConverterService.LPA_ASSAY_TYPES value ('isoform_insensitive' | 'mass' | 'unknown').
+     * @param {{value: number, unit: string}} [assay.alternate] - The same sample reported in the other unit, if the lab gave both.
+     * @returns {object|null} `{ factor, value, unit, assayType, curve, curveLabel, curveUnit, valueUsed, unitUsed, valueInCurveUnit,
+     * converted, approximate, conversion, factorRange, basis, citation }`, or null when no Lp(a) value is available.
+     * `valueUsed`/`unitUsed` is the reported value the curve was evaluated on; when it had to be converted, `conversion`
+     * holds the UnitConverterService result and `factorRange` the multiplier at both ends of its range.
+     */
+    evaluate(value, unit, curveName, assay = {}) {
+        const numeric = this._toNumber(value);
+        if (!isFinite(numeric) || numeric < 0) return null;
+        let curve = curveName ? this.getCurve(curveName) : null;
+        if (curveName && !curve) this._log('warn', `Unknown Lp(a) curve "${curveName}"; using the default curve.`);
+        curve = curve || this.getCurve(this.getDefaultCurveName());
+
+        const primary = { value: numeric, unit: this._normalizeUnit(unit) };
+        const alternateValue = this._toNumber(assay.alternate?.value);
+        const alternate = isFinite(alternateValue) && alternateValue >= 0 ? { value: alternateValue, unit: this._normalizeUnit(assay.alternate.unit) } : null;
+        const used = [primary, alternate].find(m => m && m.unit === curve.unit) || primary;
+        const assayType = assay.assayType || UnitConverterService.LPA_ASSAY_TYPES.UNKNOWN;
+
+        const CT = this.dependencies.ClinicalThresholds;
+        const maxFactor = CT?.get('LPA_MODIFIER.MAX_FACTOR', 3.0) || 3.0;
+        const factorAt = (x) => parseFloat(Math.max(1.0, Math.min(this._evaluateCurve(curve, x), maxFactor)).toFixed(2));
+        let valueInCurveUnit = used.value;
+        let conversion = null;
+        if (used.unit !== curve.unit) {
+            const mode = CT?.get('LPA_CONVERSION.MODE', 'approximate') || 'approximate';
+            conversion = this.dependencies.UnitConverter.convertLpa(used.value, used.unit, curve.unit, { mode, assayType });
+            if (conversion.error) throw new Error(`Lp(a) conversion failed: ${conversion.error}`);
+            valueInCurveUnit = conversion.value;
+        }
+        const evaluation = {
+            factor: factorAt(valueInCurveUnit),
+            value: numeric,
+            unit: primary.unit,
+            assayType,
+            curve: curve.name,
+            curveLabel: curve.label || curve.name,
+            curveUnit: curve.unit,
+            valueUsed: used.value,
+            unitUsed: used.unit,
+            valueInCurveUnit: parseFloat(valueInCurveUnit.toFixed(1)),
+            converted: !!conversion,
+            approximate: !!conversion?.approximate,
+            conversion,
+            factorRange: conversion?.range ? { low: factorAt(conversion.range.low), high: factorAt(conversion.range.high) } : null,
+            citation: curve.citation || null
+        };
+        evaluation.basis = this.describeBasis(evaluation);
+        return evaluation;
+    }
+
+    /**
+     * One-line account of which Lp(a) value the modifier used, for display and reports.
+     * @param {object} evaluation - Result of evaluate().
+     * @returns {string}
+     */
+    describeBasis(evaluation) {
+        if (!evaluation) return 'No Lp(a) value';
+        const used = `${evaluation.valueUsed} ${evaluation.unitUsed}`;
+        if (!evaluation.converted) return `${used} as reported (${evaluation.curveLabel})`;
+        const range = evaluation.conversion?.range;
+        const rangeText = range ? `, range ${range.low}-${range.high} ${evaluation.curveUnit}; multiplier ×${evaluation.factorRange.low.toFixed(2)}-×${evaluation.factorRange.high.toFixed(2)}` : '';
+        return `${used} converted to ${evaluation.approximate ? '≈' : ''}${evaluation.valueInCurveUnit} ${evaluation.curveUnit}${rangeText} (${evaluation.curveLabel})`;
+    }
+
+    /**
+     * Whether Lp(a) is elevated for treatment decisions (CCS: ≥100 nmol/L or ≥50 mg/dL, in the unit measured).
+     * @param {number} value
+     * @param {string} unit
+     * @returns {boolean}
+     */
+    isElevated(value, unit) {
+        const numeric = Number(value);
+        if (value === null || value === undefined || value === '' || !isFinite(numeric)) return false;
+        const CT = this.dependencies.ClinicalThresholds;
+        return this._isNmol(unit)
+            ? numeric >= (CT?.get('LPA.HIGH_RISK_NMOL_CCS', 100) || 100)
+            : numeric >= (CT?.get('LPA.HIGH_RISK_MG_CCS', 50) || 50);
+    }
+
+    /**
+     * The `modifiersApplied` entry the engines report for an evaluation.
+     * @param {object} evaluation - Result of evaluate().
+     * @returns {object}
+     */
+    toModifierDetail(evaluation) {
+        return {
+            type: 'Lp(a)', factor: evaluation.factor, value: `${evaluation.value} ${evaluation.unit}`,
+            effect: `~${Math.round((evaluation.factor - 1) * 100)}% risk increase`,
+            curve: evaluation.curve, curveLabel: evaluation.curveLabel,
+            basis: evaluation.basis, approximate: evaluation.approximate, factorRange: evaluation.factorRange
+        };
+    }
+}
+
+export default LpaModifierService;
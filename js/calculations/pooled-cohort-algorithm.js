@@ -0,0 +1,191 @@
+/**
+ * Pooled Cohort Equations Algorithm Implementation
+ * @file /js/calculations/pooled-cohort-algorithm.js
+ * @description 2013 ACC/AHA Pooled Cohort Equations for 10-year hard ASCVD risk (non-fatal MI,
+ * CHD death, fatal or non-fatal stroke). Sex- and race-specific models (White / African American);
+ * other groups use the White equations, as recommended by the guideline.
+ * Designed to be a pure calculation engine, receiving pre-processed data (lipids in mmol/L).
+ * @version 1.0.1
+ * @author CVD Risk Assessment Team
+ * @reference Goff DC Jr, et al. 2013 ACC/AHA Guideline on the Assessment of Cardiovascular Risk. Circulation. 2014;129(25 Suppl 2):S49-73.
+ * @exports PooledCohortEquations
+ */
+
+'use strict';
+
+import RiskHorizonService from './risk-horizons.js';
+
+class PooledCohortEquations {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional), RiskHorizons (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            PerformanceMonitor: dependencies.PerformanceMonitor || { start: () => Date.now(), end: (label, startTime) => console.log(`${label} took ${Date.now() - startTime}ms`) },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.dependencies.RiskHorizons = dependencies.RiskHorizons || new RiskHorizonService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+
+        this.VERSION = '1.0.1';
+        this.MG_DL_PER_MMOL_L = 1 / 0.02586; // Equations are specified in mg/dL
+
+        // Goff 2013, Table A. Terms absent from a model have a coefficient of 0.
+        this.MODELS = {
+            female_white: {
+                ln_age: -29.799, ln_age_sq: 4.884, ln_tc: 13.540, ln_age_ln_tc: -3.114, ln_hdl: -13.578, ln_age_ln_hdl: 3.149,
+                ln_treated_sbp: 2.019, ln_age_ln_treated_sbp: 0, ln_untreated_sbp: 1.957, ln_age_ln_untreated_sbp: 0,
+                smoker: 7.574, ln_age_smoker: -1.665, diabetes: 0.661, baselineSurvival: 0.9665, meanSum: -29.18
+            },
+            female_african_american: {
+                ln_age: 17.114, ln_age_sq: 0, ln_tc: 0.940, ln_age_ln_tc: 0, ln_hdl: -18.920, ln_age_ln_hdl: 4.475,
+                ln_treated_sbp: 29.291, ln_age_ln_treated_sbp: -6.432, ln_untreated_sbp: 27.820, ln_age_ln_untreated_sbp: -6.087,
+                smoker: 0.691, ln_age_smoker: 0, diabetes: 0.874, baselineSurvival: 0.9533, meanSum: 86.61
+            },
+            male_white: {
+                ln_age: 12.344, ln_age_sq: 0, ln_tc: 11.853, ln_age_ln_tc: -2.664, ln_hdl: -7.990, ln_age_ln_hdl: 1.769,
+                ln_treated_sbp: 1.797, ln_age_ln_treated_sbp: 0, ln_untreated_sbp: 1.764, ln_age_ln_untreated_sbp: 0,
+                smoker: 7.837, ln_age_smoker: -1.795, diabetes: 0.658, baselineSurvival: 0.9144, meanSum: 61.18
+            },
+            male_african_american: {
+                ln_age: 2.469, ln_age_sq: 0, ln_tc: 0.302, ln_age_ln_tc: 0, ln_hdl: -0.307, ln_age_ln_hdl: 0,
+                ln_treated_sbp: 1.916, ln_age_ln_treated_sbp: 0, ln_untreated_sbp: 1.809, ln_age_ln_untreated_sbp: 0,
+                smoker: 0.549, ln_age_smoker: 0, diabetes: 0.645, baselineSurvival: 0.8954, meanSum: 19.54
+            }
+        };
+
+        this.initialized = true;
+        this.dependencies.ErrorLogger.log?.('info', `PooledCohortEquations Algorithm initialized (v${this.VERSION}).`, 'PCE-Init');
+    }
+
+    _log(level, message, data) {
+        this.dependencies.ErrorLogger.log?.(level, `PCE-AlgoEngine: ${message}`, data);
+    }
+    _handleError(error, context, additionalData = {}) {
+        const msg = error.message || String(error);
+        this.dependencies.ErrorLogger.handleError?.(msg, `PCE-AlgoEngine-${context}`, 'error', { originalError: error, ...additionalData });
+    }
+
+    /**
+     * Processes validated inputs for the PCE formula.
+     * @param {object} validatedData - Data from RiskCalculator._prepareAndValidateData.
+     * Expected fields: age, sex, totalCholesterol (mmol/L), hdl (mmol/L), systolicBP, onBPMeds, isSmoker, hasDiabetes.
+     * Optional: race ('african_american' selects the African American equations; anything else uses the White equations).
+     * @returns {object} Processed data.
+     * @private
+     */
+    _processInputsForAlgorithm(validatedData) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const minAge = CT?.get('AGE.MIN_PCE', 40) || 40;
+        const maxAge = CT?.get('AGE.MAX_PCE', 79) || 79;
+        const p = {};
+        p.sex = String(validatedData.sex).toLowerCase() === 'female' ? 'female' : 'male';
+        p.race = String(validatedData.race || '').toLowerCase() === 'african_american' ? 'african_american' : 'white';
+        p.age = Number(validatedData.age);
+        p.totalCholesterolMgDl = Number(validatedData.totalCholesterol) * this.MG_DL_PER_MMOL_L;
+        p.hdlMgDl = Number(validatedData.hdl) * this.MG_DL_PER_MMOL_L;
+        p.sbp = Number(validatedData.systolicBP);
+        p.bp_treatment = validatedData.onBPMeds ? 1 : 0;
+        p.smoker = validatedData.isSmoker ? 1 : 0;
+        p.diabetes = validatedData.hasDiabetes ? 1 : 0;
+
+        if (isNaN(p.age) || p.age < minAge || p.age > maxAge) throw new Error(`Age must be between ${minAge} and ${maxAge} for the Pooled Cohort Equations.`);
+        const criticalFields = { totalCholesterol: p.totalCholesterolMgDl, hdl: p.hdlMgDl, sbp: p.sbp };
+        for (const field in criticalFields) {
+            if (isNaN(criticalFields[field]) || criticalFields[field] <= 0) throw new Error(`Invalid or non-positive critical value for ${field}: ${criticalFields[field]}`);
+        }
+        return p;
+    }
+
+    /** Individual sum of coefficient × value for the patient's sex/race model. @private */
+    _calculateSum(p) {
+        const c = this.MODELS[`${p.sex}_${p.race}`];
+        const lnAge = Math.log(p.age);
+        const lnTc = Math.log(p.totalCholesterolMgDl);
+        const lnHdl = Math.log(p.hdlMgDl);
+        const lnSbp = Math.log(p.sbp);
+        let sum = c.ln_age * lnAge + c.ln_age_sq * lnAge * lnAge;
+        sum += c.ln_tc * lnTc + c.ln_age_ln_tc * lnAge * lnTc;
+        sum += c.ln_hdl * lnHdl + c.ln_age_ln_hdl * lnAge * lnHdl;
+        if (p.bp_treatment === 1) sum += c.ln_treated_sbp * lnSbp + c.ln_age_ln_treated_sbp * lnAge * lnSbp;
+        else sum += c.ln_untreated_sbp * lnSbp + c.ln_age_ln_untreated_sbp * lnAge * lnSbp;
+        sum += c.smoker * p.smoker + c.ln_age_smoker * lnAge * p.smoker;
+        sum += c.diabetes * p.diabetes;
+        return sum;
+    }
+
+    _convertSumToRisk(sum, p) {
+        const c = this.MODELS[`${p.sex}_${p.race}`];
+        if (!isFinite(sum)) return NaN;
+        const risk = 1 - Math.pow(c.baselineSurvival, Math.exp(sum - c.meanSum));
+        return Math.max(0, Math.min(1, risk));
+    }
+
+    /** ACC/AHA 2018/2019 primary prevention categories. */
+    _determineRiskCategory(riskPercent) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const lowMax = CT?.get('ASCVD_RISK_CATEGORY.LOW_THRESHOLD', 5) || 5;
+        const borderlineMax = CT?.get('ASCVD_RISK_CATEGORY.BORDERLINE_THRESHOLD', 7.5) || 7.5;
+        const intMax = CT?.get('ASCVD_RISK_CATEGORY.INTERMEDIATE_THRESHOLD', 20) || 20;
+
+        if (isNaN(riskPercent) || riskPercent < 0) return { category: 'unknown', description: 'Risk Undetermined (Invalid Input)' };
+        if (riskPercent < lowMax) return { category: 'low', description: `Low Risk (<${lowMax}%)` };
+        if (riskPercent < borderlineMax) return { category: 'borderline', description: `Borderline Risk (${lowMax}% to <${borderlineMax}%)` };
+        if (riskPercent < intMax) return { category: 'intermediate', description: `Intermediate Risk (${borderlineMax}% to <${intMax}%)` };
+        return { category: 'high', description: `High Risk (≥${intMax}%)` };
+    }
+
+    /**
+     * Non-validated 30-year and lifetime projections with competing non-CVD mortality (see RiskHorizonService).
+     * @private
+     */
+    _projectHorizons(p, riskProportion) {
+        const maxModelAge = this.dependencies.ClinicalThresholds?.get('AGE.MAX_PCE', 79) || 79;
+        const riskAtAge = (age) => this._convertSumToRisk(this._calculateSum({ ...p, age }), p);
+        return this.dependencies.RiskHorizons.projectHorizons(riskAtAge, { age: p.age, tenYearRiskProportion: riskProportion, maxModelAge, sex: p.sex });
+    }
+
+    /**
+     * Main public method for PCE risk calculation.
+     * @param {object} rawPatientData - Validated, unit-converted data from RiskCalculator.
+     * @returns {object} Calculation results.
+     */
+    calculateRisk(rawPatientData) {
+        const perfId = this.dependencies.PerformanceMonitor.start('PCE_calculateRisk_Main');
+        try {
+            if (!this.initialized) throw new Error('Pooled Cohort Equations calculator not properly initialized.');
+            const processedData = this._processInputsForAlgorithm(rawPatientData);
+            const riskProportion = this._convertSumToRisk(this._calculateSum(processedData), processedData);
+            if (isNaN(riskProportion)) throw new Error('Risk calculation resulted in NaN.');
+
+            const tenYearRiskPercent = parseFloat((riskProportion * 100).toFixed(1));
+            const { category: riskCategory, description: categoryDescription } = this._determineRiskCategory(tenYearRiskPercent);
+            const horizons = this._projectHorizons(processedData, riskProportion);
+
+            const result = {
+                success: true,
+                tenYearRiskPercent,
+                riskCategory,
+                categoryDescription,
+                outcome: 'Hard ASCVD (non-fatal MI, CHD death, stroke)',
+                equation: `${processedData.sex}_${processedData.race}`,
+                thirtyYearRiskPercent: horizons.thirtyYear.riskPercent,
+                lifetimeRiskPercent: horizons.lifetime.riskPercent,
+                horizons,
+                inputParameters: rawPatientData,
+                algorithm: 'ACC-AHA-2013-Pooled-Cohort-Equations',
+                calculationDate: new Date().toISOString(),
+                version: this.VERSION
+            };
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return result;
+        } catch (error) {
+            this._handleError(error, 'CalculateRiskMain');
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return { success: false, error: `Error in Pooled Cohort Equations calculation: ${error.message}`, calculationDate: new Date().toISOString(), version: this.VERSION };
+        }
+    }
+}
+
+export default PooledCohortEquations;
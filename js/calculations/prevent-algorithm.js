@@ -0,0 +1,190 @@
+/**
+ * AHA PREVENT Equations Algorithm Implementation
+ * @file /js/calculations/prevent-algorithm.js
+ * @description AHA Predicting Risk of cardiovascular disease EVENTs (PREVENT) base model for
+ * 10-year total CVD (ASCVD + heart failure), ages 30-79. Race-free, sex-specific logistic models
+ * using non-HDL cholesterol, HDL, SBP, diabetes, smoking, eGFR, and BP/statin treatment.
+ * Designed to be a pure calculation engine, receiving pre-processed data (lipids in mmol/L).
+ * @version 1.0.1
+ * @author CVD Risk Assessment Team
+ * @reference Khan SS, et al. Development and Validation of the American Heart Association's PREVENT Equations. Circulation. 2024;149(6):430-449.
+ * @exports PREVENTEquations
+ */
+
+'use strict';
+
+import RiskHorizonService from './risk-horizons.js';
+
+class PREVENTEquations {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional), RiskHorizons (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            PerformanceMonitor: dependencies.PerformanceMonitor || { start: () => Date.now(), end: (label, startTime) => console.log(`${label} took ${Date.now() - startTime}ms`) },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.dependencies.RiskHorizons = dependencies.RiskHorizons || new RiskHorizonService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+
+        this.VERSION = '1.0.1';
+
+        // Khan 2024, Supplemental Table S12A (10-year total CVD, base model). Log-odds coefficients.
+        this.MODELS = {
+            female: {
+                constant: -3.307728, age: 0.7939329, nonHdl: 0.0305239, hdl: -0.1606857, sbpLow: -0.2394003, sbpHigh: 0.360078,
+                diabetes: 0.8667604, smoker: 0.5360739, egfrLow: 0.6045917, egfrHigh: 0.0433769, bpTreated: 0.3151672, statin: -0.1477655,
+                bpTreatedSbpHigh: -0.0663612, statinNonHdl: 0.1197879, ageNonHdl: -0.0819715, ageHdl: 0.0306769, ageSbpHigh: -0.0946348,
+                ageDiabetes: -0.27057, ageSmoker: -0.078715, ageEgfrLow: -0.1637806
+            },
+            male: {
+                constant: -3.031168, age: 0.7688528, nonHdl: 0.0736174, hdl: -0.0954431, sbpLow: -0.4347345, sbpHigh: 0.3362658,
+                diabetes: 0.7692857, smoker: 0.4386871, egfrLow: 0.5378979, egfrHigh: 0.0164827, bpTreated: 0.288879, statin: -0.1337349,
+                bpTreatedSbpHigh: -0.0475924, statinNonHdl: 0.150273, ageNonHdl: -0.0517874, ageHdl: 0.0191169, ageSbpHigh: -0.1049477,
+                ageDiabetes: -0.2251948, ageSmoker: -0.0895067, ageEgfrLow: -0.1543702
+            }
+        };
+
+        this.initialized = true;
+        this.dependencies.ErrorLogger.log?.('info', `PREVENTEquations Algorithm initialized (v${this.VERSION}).`, 'PREVENT-Init');
+    }
+
+    _log(level, message, data) {
+        this.dependencies.ErrorLogger.log?.(level, `PREVENT-AlgoEngine: ${message}`, data);
+    }
+    _handleError(error, context, additionalData = {}) {
+        const msg = error.message || String(error);
+        this.dependencies.ErrorLogger.handleError?.(msg, `PREVENT-AlgoEngine-${context}`, 'error', { originalError: error, ...additionalData });
+    }
+
+    /**
+     * Processes validated inputs for the PREVENT formula.
+     * @param {object} validatedData - Data from RiskCalculator._prepareAndValidateData.
+     * Expected fields: age, sex, totalCholesterol (mmol/L), hdl (mmol/L), systolicBP, onBPMeds, isSmoker, hasDiabetes,
+     * egfr (mL/min/1.73m²). Optional: onStatin.
+     * @returns {object} Processed data.
+     * @private
+     */
+    _processInputsForAlgorithm(validatedData) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const minAge = CT?.get('AGE.MIN_PREVENT', 30) || 30;
+        const maxAge = CT?.get('AGE.MAX_PREVENT', 79) || 79;
+        const p = {};
+        p.sex = String(validatedData.sex).toLowerCase() === 'female' ? 'female' : 'male';
+        p.age = Number(validatedData.age);
+        p.totalCholesterol = Number(validatedData.totalCholesterol);
+        p.hdl = Number(validatedData.hdl);
+        p.nonHdl = p.totalCholesterol - p.hdl;
+        p.sbp = Number(validatedData.systolicBP);
+        p.egfr = Number(validatedData.egfr);
+        p.bp_treatment = validatedData.onBPMeds ? 1 : 0;
+        p.statin = validatedData.onStatin ? 1 : 0;
+        p.smoker = validatedData.isSmoker ? 1 : 0;
+        p.diabetes = validatedData.hasDiabetes ? 1 : 0;
+
+        if (isNaN(p.age) || p.age < minAge || p.age > maxAge) throw new Error(`Age must be between ${minAge} and ${maxAge} for the PREVENT equations.`);
+        const criticalFields = { totalCholesterol: p.totalCholesterol, hdl: p.hdl, sbp: p.sbp, egfr: p.egfr };
+        for (const field in criticalFields) {
+            if (isNaN(criticalFields[field]) || criticalFields[field] <= 0) throw new Error(`Invalid or non-positive critical value for ${field}: ${criticalFields[field]}`);
+        }
+        if (p.nonHdl <= 0) throw new Error('Total cholesterol must exceed HDL cholesterol.');
+        return p;
+    }
+
+    /**
+     * Log-odds for the patient's sex model. Continuous terms are centred and scaled as in the
+     * published model (age per 10 y from 55, non-HDL per mmol/L from 3.5, HDL per 0.3 mmol/L from 1.3,
+     * SBP per 20 mmHg split at 110, eGFR per -15 split at 60).
+     * @private
+     */
+    _calculateLogOdds(p) {
+        const c = this.MODELS[p.sex];
+        const age = (p.age - 55) / 10;
+        const nonHdl = p.nonHdl - 3.5;
+        const hdl = (p.hdl - 1.3) / 0.3;
+        const sbpLow = (Math.min(p.sbp, 110) - 110) / 20;
+        const sbpHigh = (Math.max(p.sbp, 110) - 130) / 20;
+        const egfrLow = (Math.min(p.egfr, 60) - 60) / -15;
+        const egfrHigh = (Math.max(p.egfr, 60) - 90) / -15;
+
+        let x = c.constant + c.age * age + c.nonHdl * nonHdl + c.hdl * hdl + c.sbpLow * sbpLow + c.sbpHigh * sbpHigh;
+        x += c.diabetes * p.diabetes + c.smoker * p.smoker + c.egfrLow * egfrLow + c.egfrHigh * egfrHigh;
+        x += c.bpTreated * p.bp_treatment + c.statin * p.statin;
+        x += c.bpTreatedSbpHigh * p.bp_treatment * sbpHigh + c.statinNonHdl * p.statin * nonHdl;
+        x += age * (c.ageNonHdl * nonHdl + c.ageHdl * hdl + c.ageSbpHigh * sbpHigh + c.ageDiabetes * p.diabetes + c.ageSmoker * p.smoker + c.ageEgfrLow * egfrLow);
+        return x;
+    }
+
+    _convertLogOddsToRisk(x) {
+        if (!isFinite(x)) return NaN;
+        return Math.exp(x) / (1 + Math.exp(x));
+    }
+
+    /** Categories proposed with PREVENT for total CVD (lower than PCE because PREVENT is better calibrated). */
+    _determineRiskCategory(riskPercent) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const lowMax = CT?.get('PREVENT_RISK_CATEGORY.LOW_THRESHOLD', 3) || 3;
+        const borderlineMax = CT?.get('PREVENT_RISK_CATEGORY.BORDERLINE_THRESHOLD', 5) || 5;
+        const intMax = CT?.get('PREVENT_RISK_CATEGORY.INTERMEDIATE_THRESHOLD', 10) || 10;
+
+        if (isNaN(riskPercent) || riskPercent < 0) return { category: 'unknown', description: 'Risk Undetermined (Invalid Input)' };
+        if (riskPercent < lowMax) return { category: 'low', description: `Low Risk (<${lowMax}%)` };
+        if (riskPercent < borderlineMax) return { category: 'borderline', description: `Borderline Risk (${lowMax}% to <${borderlineMax}%)` };
+        if (riskPercent < intMax) return { category: 'intermediate', description: `Intermediate Risk (${borderlineMax}% to <${intMax}%)` };
+        return { category: 'high', description: `High Risk (≥${intMax}%)` };
+    }
+
+    /**
+     * Non-validated 30-year and lifetime projections with competing non-CVD mortality (see RiskHorizonService).
+     * The published PREVENT 30-year model (ages 30-59) is not used here, so all engines project the same way.
+     * @private
+     */
+    _projectHorizons(p, riskProportion) {
+        const maxModelAge = this.dependencies.ClinicalThresholds?.get('AGE.MAX_PREVENT', 79) || 79;
+        const riskAtAge = (age) => this._convertLogOddsToRisk(this._calculateLogOdds({ ...p, age }));
+        return this.dependencies.RiskHorizons.projectHorizons(riskAtAge, { age: p.age, tenYearRiskProportion: riskProportion, maxModelAge, sex: p.sex });
+    }
+
+    /**
+     * Main public method for PREVENT risk calculation.
+     * @param {object} rawPatientData - Validated, unit-converted data from RiskCalculator.
+     * @returns {object} Calculation results.
+     */
+    calculateRisk(rawPatientData) {
+        const perfId = this.dependencies.PerformanceMonitor.start('PREVENT_calculateRisk_Main');
+        try {
+            if (!this.initialized) throw new Error('PREVENT calculator not properly initialized.');
+            const processedData = this._processInputsForAlgorithm(rawPatientData);
+            const riskProportion = this._convertLogOddsToRisk(this._calculateLogOdds(processedData));
+            if (isNaN(riskProportion)) throw new Error('Risk calculation resulted in NaN.');
+
+            const tenYearRiskPercent = parseFloat((riskProportion * 100).toFixed(1));
+            const { category: riskCategory, description: categoryDescription } = this._determineRiskCategory(tenYearRiskPercent);
+            const horizons = this._projectHorizons(processedData, riskProportion);
+
+            const result = {
+                success: true,
+                tenYearRiskPercent,
+                riskCategory,
+                categoryDescription,
+                outcome: 'Total CVD (ASCVD and heart failure)',
+                thirtyYearRiskPercent: horizons.thirtyYear.riskPercent,
+                lifetimeRiskPercent: horizons.lifetime.riskPercent,
+                horizons,
+                inputParameters: rawPatientData,
+                algorithm: 'AHA-PREVENT-2023-Base-Total-CVD',
+                calculationDate: new Date().toISOString(),
+                version: this.VERSION
+            };
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return result;
+        } catch (error) {
+            this._handleError(error, 'CalculateRiskMain');
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return { success: false, error: `Error in PREVENT calculation: ${error.message}`, calculationDate: new Date().toISOString(), version: this.VERSION };
+        }
+    }
+}
+
+export default PREVENTEquations;
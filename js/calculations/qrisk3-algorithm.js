@@ -3,18 +3,25 @@
  * @file /js/calculations/qrisk3-algorithm.js
  * @description Complete and accurate implementation of the QRISK3-2017 cardiovascular risk algorithm.
  * Fuses user's qrisk3-implementation.js [cite: uploaded:qrisk3-implementation.js] with service architecture.
- * @version 3.2.0
+ * tenYearRiskPercent is the published QRISK3 risk; modifiedRiskPercent applies the Lp(a) multiplier from
+ * LpaModifierService, as FRS and SCORE2 do, and drives the risk category and the longer horizons.
+ * @version 3.7.4
  * @author CVD Risk Assessment Team
  * @reference https://qrisk.org/three/ (QRISK3-2017 algorithm and coefficients)
  */
 
 'use strict';
 
+import RiskHorizonService from './risk-horizons.js';
+import QRISK3ImputationService from './qrisk3-imputation.js';
+import LpaModifierService from './lpa-modifier.js';
+
 class QRISK3Algorithm {
     /**
      * Constructor initializes all necessary calculator components.
      * @param {object} [dependencies={}] - Injected dependencies.
-     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional).
+     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional), RiskHorizons (optional),
+     * QRISK3Imputation (optional), LpaModifier (optional, shared Lp(a) curve service).
      */
     constructor(dependencies = {}) {
         this.dependencies = {
@@ -22,27 +29,33 @@ class QRISK3Algorithm {
             PerformanceMonitor: dependencies.PerformanceMonitor || { start: () => Date.now(), end: (label, startTime) => console.log(`${label} took ${Date.now() - startTime}ms`) },
             ClinicalThresholds: dependencies.ClinicalThresholds || window.ClinicalThresholds, // For risk categories, ideal values
         };
+        this.dependencies.RiskHorizons = dependencies.RiskHorizons || new RiskHorizonService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.QRISK3Imputation = dependencies.QRISK3Imputation || new QRISK3ImputationService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.LpaModifier = dependencies.LpaModifier || new LpaModifierService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
 
-        this.VERSION = '3.2.0'; // Algorithm Orchestration Version
+        this.VERSION = '3.7.4'; // Algorithm Orchestration Version
 
         // Constants from user's qrisk3-algorithm.js [cite: uploaded:qrisk3-algorithm.js (lines 28-70)]
         // and qrisk3-implementation.js [cite: uploaded:qrisk3-implementation.js (implicit constants)]
         this.FEMALE = 0; this.MALE = 1;
         this.SMOKING_NON = 0; this.SMOKING_EX = 1; this.SMOKING_LIGHT = 2;
         this.SMOKING_MODERATE = 3; this.SMOKING_HEAVY = 4;
-        this.ETHRISK_MAP = { // From QRISK3 specification / user's qrisk3-implementation.js
-            WHITE_OR_NOT_STATED: 0, WHITE_IRISH: 1, WHITE_GYPSY_OR_IRISH_TRAVELLER: 2, // Adjusted key
-            OTHER_WHITE_BACKGROUND: 3, WHITE_AND_BLACK_CARIBBEAN: 4, WHITE_AND_BLACK_AFRICAN: 5,
-            WHITE_AND_ASIAN: 6, OTHER_MIXED_BACKGROUND: 7, INDIAN: 8, PAKISTANI: 9,
-            BANGLADESHI: 10, OTHER_ASIAN_BACKGROUND: 11, CARIBBEAN: 12, // Was BLACK_CARIBBEAN
-            AFRICAN: 13, // Was BLACK_AFRICAN
-            OTHER_BLACK_BACKGROUND: 14, CHINESE: 15, OTHER_ETHNIC_GROUP: 16
+        // QRISK3 ethrisk codes (1-9). UK census categories outside the nine QRISK3 groups are folded
+        // in the same way as the official calculator: White sub-groups -> 1, Mixed and Other Black -> 9.
+        this.ETHRISK_MAP = {
+            NOT_RECORDED: 0, WHITE_OR_NOT_STATED: 1, WHITE: 1, WHITE_IRISH: 1, WHITE_GYPSY: 1,
+            WHITE_GYPSY_OR_IRISH_TRAVELLER: 1, OTHER_WHITE: 1, OTHER_WHITE_BACKGROUND: 1,
+            INDIAN: 2, PAKISTANI: 3, BANGLADESHI: 4, OTHER_ASIAN: 5, OTHER_ASIAN_BACKGROUND: 5,
+            BLACK_CARIBBEAN: 6, CARIBBEAN: 6, BLACK_AFRICAN: 7, AFRICAN: 7, CHINESE: 8,
+            OTHER_ETHNIC_GROUP: 9, OTHER: 9, OTHER_BLACK_BACKGROUND: 9,
+            WHITE_BLACK_CARIBBEAN: 9, WHITE_AND_BLACK_CARIBBEAN: 9, WHITE_BLACK_AFRICAN: 9, WHITE_AND_BLACK_AFRICAN: 9,
+            WHITE_ASIAN: 9, WHITE_AND_ASIAN: 9, OTHER_MIXED: 9, OTHER_MIXED_BACKGROUND: 9
         };
         this.DIABETES_NONE = 0; this.DIABETES_TYPE1 = 1; this.DIABETES_TYPE2 = 2;
 
-        // Coefficients are critical and taken directly from QRISK3 specification / user's qrisk3-implementation.js
-        // These are assumed to be the correct, validated QRISK3-2017 coefficients.
-        this._initializeCoefficients(); // Populates this.coeffsFemale, this.coeffsMale, this.survFemale, this.survMale, this.meansFemale, this.meansMale
+        // Single source of truth for the QRISK3-2017 model; the legacy qrisk3-implementation.js
+        // cvd_female_raw / cvd_male_raw must agree with it (see test/qrisk3-conformance.test.js).
+        this._initializeCoefficients(); // Populates this.MODEL keyed by this.FEMALE / this.MALE
 
         this.initialized = true;
         this.dependencies.ErrorLogger.log?.('info', `QRISK3Algorithm Initialized (v${this.VERSION}).`, 'QRISK3-Init');
@@ -55,58 +68,115 @@ class QRISK3Algorithm {
     }
 
     /**
-     * Initializes QRISK3-2017 coefficients and mean values.
-     * These MUST match the published algorithm. Sourced from user's qrisk3-implementation.js [cite: uploaded:qrisk3-implementation.js]
-     * and qrisk3-algorithm.js [cite: uploaded:qrisk3-algorithm.js (lines 79-182)].
+     * Initializes the QRISK3-2017 model: baseline survival, conditional arrays (ethnicity, smoking),
+     * centring values and the main/interaction coefficients, transcribed term-for-term from the
+     * published reference source (Q3_female.c / Q3_male.c, ClinRisk Ltd., GNU LGPL v3).
+     * Keys of `binary`, `age1Interactions` and `age2Interactions` name the indicator or centred term
+     * they multiply (see `_calculateQRISK3Sum_detailed`). Do not edit without re-running test/qrisk3-conformance.test.js.
      * @private
      */
     _initializeCoefficients() {
-        // Female Coefficients (from QRISK3-2017 specification)
-        this.coeffsFemale = {
-            age: 0.0497808621802437, age2: -0.0004733903894341,
-            bmi: 0.1501555265360523, bmi2: -0.0018468186320675,
-            b_AF: 1.5923354969919671, b_atypicalantipsy: 0.253221453006465,
-            b_corticosteroids: 0.4408464332475293, b_impotence2: 0, // Impotence not applicable to females
-            b_migraine: 0.3009603655319234, b_ra: 0.2198892446485387,
-            b_renal: 0.6517993481048565, b_semi: 0.1252873009253775,
-            b_sle: 0.7820173292485029, b_treatedhyp: 0.5835055160851073,
-            diabetes_type1: 1.714081555809643, diabetes_type2: 0.9070141193394261,
-            ethrisk: [-0.05586585994540223, 0.2561277019271334, -0.1341296386555474, 0.11532581086653005, -0.0889113408498136, -0.0399007429451072, -0.0093261809202349, 0.1262919465602507, 0.1301113080774024, 0.3471481117765628, -0.1160573809672091, -0.1636413618055853, -0.3375883153924673, -0.2019135351906893, -0.3065997223342991, -0.07263203755013437], // Index 0 is for WHITE_IRISH, WHITE_OR_NOT_STATED is baseline (0)
-            fh_cvd: 0.4544931072158031,
-            rati: 0.1533803582080929, sbp: 0.0129404096485493, sbps5: 0.0102773326758331,
-            smoker_ex: 0.1688824247438475, smoker_light: 0.3536937575994129,
-            smoker_moderate: 0.5483147201975757, smoker_heavy: 0.6919664871650386,
-            Townsend: 0.0332682082606618,
-            age_bmi: 0.0003149657087530269, age_bmi2: -0.0002181375320559148,
-            age2_bmi: -0.0006678613507222926, age2_bmi2: -0.0001368132366374855
-        };
-        // Male Coefficients
-        this.coeffsMale = {
-            age: 0.0413926851266775, age2: 0.0004278740245496,
-            bmi: 0.2661973746175299, bmi2: -0.0033897830659899,
-            b_AF: 0.8881959435905413, b_atypicalantipsy: 0.1386777132106974,
-            b_corticosteroids: 0.4674302423370199, b_impotence2: 0.2120177912891267,
-            b_migraine: 0.2504547842232884, b_ra: 0.1686548902234904,
-            b_renal: 0.7185328962003577, b_semi: 0.1278721663918049,
-            b_sle: 0.4248088004998113, b_treatedhyp: 0.5350399470943534,
-            diabetes_type1: 1.35479059683331, diabetes_type2: 0.8575984418970977,
-            ethrisk: [-0.05625261289235776, 0.07320949973270063, -0.2391364075910735, 0.05005402142678041, -0.1877512102332203, -0.0900391304554949, -0.1155622720205735, 0.1028478994879736, 0.2088674852950272, 0.1730303030996641, -0.0927814555334513, -0.3763045090525771, -0.4104961156436749, -0.2803447586893469, -0.3792411511009705, -0.2134722280242171],
-            fh_cvd: 0.5405546900454881,
-            rati: 0.1639066773222626, sbp: 0.01305413329756647, sbps5: 0.008310684283667894,
-            smoker_ex: 0.1532801684267217, smoker_light: 0.4055354177172647,
-            smoker_moderate: 0.5481785088573241, smoker_heavy: 0.6409616247305854,
-            Townsend: 0.0305046085438465,
-            age_bmi: -0.0002340071371451553, age_bmi2: -0.0003459700935896322,
-            age2_bmi: -0.0006985948526314855, age2_bmi2: -0.0003855823856845708
+        this.MODEL = {
+            [this.FEMALE]: {
+                survivor: { 10: 0.988876402378082 },
+                ethrisk: [0, 0, 0.28040314332995425, 0.562989941420754, 0.29590000851116516, 0.07278537987798255, -0.17072135508857317, -0.3937104331487497, -0.3263249528353027, -0.17127056883241784],
+                smoke: [0, 0.13386833786546262, 0.5620085801243854, 0.6674959337750255, 0.8494817764483085],
+                ageTransform: (dage) => [Math.pow(dage, -2), dage],
+                centres: { age_1: 0.053274843841791, age_2: 4.332503318786621, bmi_1: 0.154946178197861, bmi_2: 0.144462317228317, rati: 3.476326465606690, sbp: 123.13001251220703, sbps5: 9.002537727355957, town: 0.392308831214905 },
+                continuous: { age_1: -8.138810924772619, age_2: 0.797333766896991, bmi_1: 0.2923609227546005, bmi_2: -4.1513300213837665, rati: 0.15338035820802554, sbp: 0.013131488407103424, sbps5: 0.00788945410145861, town: 0.07722379058859011 },
+                binary: {
+                    b_AF: 1.5923354969269663, b_atypicalantipsy: 0.25237642070115557, b_corticosteroids: 0.5952072530460185,
+                    b_migraine: 0.301267260870345, b_ra: 0.21364803435181942, b_renal: 0.6519456949384583,
+                    b_semi: 0.12555308058820178, b_sle: 0.7588093865426769, b_treatedhyp: 0.50931593683423,
+                    b_type1: 1.7267977510537347, b_type2: 1.0688773244615468, fh_cvd: 0.45445319020896213
+                },
+                age1Interactions: {
+                    smoke_1: -4.705716178585189, smoke_2: -2.7430383403573337, smoke_3: -0.8660808882939218, smoke_4: 0.9024156236971065,
+                    b_AF: 19.93803488954656, b_corticosteroids: -0.9840804523593628, b_migraine: 1.7634979587872999,
+                    b_renal: -3.5874047731694114, b_sle: 19.690303738638292, b_treatedhyp: 11.872809733921812,
+                    b_type1: -1.2444332714320747, b_type2: 6.86523420000096, bmi_1: 23.80262341214174,
+                    bmi_2: -71.18494769208701, fh_cvd: 0.9946780794043513, sbp: 0.034131842338615485, town: -1.0301180802035639
+                },
+                age2Interactions: {
+                    smoke_1: -0.07558924464319303, smoke_2: -0.11951192874867074, smoke_3: -0.10366306397571923, smoke_4: -0.1399185359171839,
+                    b_AF: -0.0761826510111625, b_corticosteroids: -0.12005364946742472, b_migraine: -0.06558691789869986,
+                    b_renal: -0.22688873086442507, b_sle: 0.07734794967901627, b_treatedhyp: 0.0009685782358817444,
+                    b_type1: -0.2872406462448895, b_type2: -0.09711225259069549, bmi_1: 0.5236995893366443,
+                    bmi_2: 0.04574419012232376, fh_cvd: -0.07688505169842304, sbp: -0.0015082501423272358, town: -0.03159341467496233
+                }
+            },
+            [this.MALE]: {
+                survivor: { 10: 0.977268040180206 },
+                ethrisk: [0, 0, 0.2771924876030828, 0.4744636071493127, 0.5296172991968937, 0.03510015918629902, -0.3580789966932792, -0.4005648523216514, -0.41522792889830173, -0.26321348134749967],
+                smoke: [0, 0.19128222863388983, 0.5524158819264555, 0.6383505302750607, 0.7898381988185802],
+                ageTransform: (dage) => [Math.pow(dage, -1), Math.pow(dage, 3)],
+                centres: { age_1: 0.234766781330109, age_2: 77.284080505371094, bmi_1: 0.149176135659218, bmi_2: 0.141913309693336, rati: 4.300998687744141, sbp: 128.57157897949219, sbps5: 8.756621360778809, town: 0.526304900646210 },
+                continuous: { age_1: -17.839781666005575, age_2: 0.002296488060576549, bmi_1: 2.456277666053636, bmi_2: -8.301112231471135, rati: 0.1734019685632711, sbp: 0.012910126542553305, sbps5: 0.010251914291290456, town: 0.033268201277287295 },
+                binary: {
+                    b_AF: 0.8820923692805466, b_atypicalantipsy: 0.13046879855173513, b_corticosteroids: 0.45485399750445543,
+                    b_impotence2: 0.22251859086705383, b_migraine: 0.25584178074159913, b_ra: 0.20970658013956567,
+                    b_renal: 0.7185326128827438, b_semi: 0.12133039882047164, b_sle: 0.4401572174457522,
+                    b_treatedhyp: 0.5165987108269547, b_type1: 1.2343425521675175, b_type2: 0.8594207143093222,
+                    fh_cvd: 0.5405546900939016
+                },
+                age1Interactions: {
+                    smoke_1: -0.21011133933516346, smoke_2: 0.7526867644750319, smoke_3: 0.9931588755640579, smoke_4: 2.1331163414389076,
+                    b_AF: 3.4896675530623207, b_corticosteroids: 1.1708133653489108, b_impotence2: -1.506400985745431,
+                    b_migraine: 2.349115987140244, b_renal: -0.5065671632722369, b_treatedhyp: 6.511458109853267,
+                    b_type1: 5.337986487800653, b_type2: 3.646181740622131, bmi_1: 31.004952956033886,
+                    bmi_2: -111.29157184391643, fh_cvd: 2.7808628508531887, sbp: 0.018858524469865853, town: -0.1007554870063731
+                },
+                age2Interactions: {
+                    smoke_1: -0.0004985487027532612, smoke_2: -0.0007987563331738541, smoke_3: -0.000837061842662513, smoke_4: -0.0007840031915563729,
+                    b_AF: -0.0003499560834063605, b_corticosteroids: -0.0002496045095297166, b_impotence2: -0.0011058218441227373,
+                    b_migraine: 0.0001989644604147863, b_renal: -0.0018325930166498813, b_treatedhyp: 0.0006383805310416501,
+                    b_type1: 0.0006409780808752897, b_type2: -0.00024695695588868315, bmi_1: 0.005038010235632203,
+                    bmi_2: -0.013074483002524319, fh_cvd: -0.0002479180990739604, sbp: -0.00001271874191588457, town: -0.00009329964232327289
+                }
+            }
         };
-        // Baseline survival at 10 years
-        this.survFemale = 0.9775208658865292;
-        this.survMale = 0.9651106464776332;
-        // Mean values for centering continuous variables
-        this.meansFemale = { age: 59.3676233259583, age2: 3661.222666463125, ln_bmi: 3.2553742481024578, ln_bmi_sq: 10.720235474869063, rati: 3.51888980740468, sbp: 123.125314381847, sbps5: 9.2502256599018, Townsend: -0.139403834669107 };
-        this.meansMale = { age: 58.2543714017006, age2: 3557.0630406797104, ln_bmi: 3.2882348742022807, ln_bmi_sq: 10.900411340187752, rati: 4.11733081998737, sbp: 128.77268295288, sbps5: 9.15877725164258, Townsend: -0.273270023920049 };
     }
 
+    /**
+     * Resolves an ethnicity input (QRISK3 code 0-9, form value or UK census key) to a QRISK3 ethrisk code.
+     * @private
+     */
+    _resolveEthnicityCode(ethnicity) {
+        if (ethnicity === undefined || ethnicity === null || ethnicity === '') return this.ETHRISK_MAP.WHITE_OR_NOT_STATED;
+        const asNumber = Number(ethnicity);
+        if (Number.isInteger(asNumber) && asNumber >= 0 && asNumber <= 9) return asNumber;
+        const key = String(ethnicity).toUpperCase().trim().replace(/[\s-]+/g, '_');
+        return this.ETHRISK_MAP[key] !== undefined ? this.ETHRISK_MAP[key] : this.ETHRISK_MAP.WHITE_OR_NOT_STATED;
+    }
+
+    /** Accepts 0-4, 'non'/'ex'/'light'/'moderate'/'heavy' and the form values ('non_smoker', 'ex_smoker', ...). @private */
+    _resolveSmokingCategory(smokingStatus) {
+        const asNumber = Number(smokingStatus);
+        if (Number.isInteger(asNumber) && asNumber >= 0 && asNumber <= 4) return asNumber;
+        const key = String(smokingStatus || 'non').toLowerCase().trim().replace(/[\s_-]*smoker$/, '');
+        const smokingMap = { 'non': this.SMOKING_NON, 'never': this.SMOKING_NON, 'no': this.SMOKING_NON, 'ex': this.SMOKING_EX, 'light': this.SMOKING_LIGHT, 'moderate': this.SMOKING_MODERATE, 'heavy': this.SMOKING_HEAVY };
+        return smokingMap[key] !== undefined ? smokingMap[key] : this.SMOKING_NON;
+    }
+
+    /** Accepts 0-2, 'none'/'type1'/'type2' and the form values ('no_diabetes', 'type1_diabetes', ...). @private */
+    _resolveDiabetesCategory(diabetesStatus) {
+        const asNumber = Number(diabetesStatus);
+        if (Number.isInteger(asNumber) && asNumber >= 0 && asNumber <= 2) return asNumber;
+        const key = String(diabetesStatus || 'none').toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (key.startsWith('type1')) return this.DIABETES_TYPE1;
+        if (key.startsWith('type2')) return this.DIABETES_TYPE2;
+        return this.DIABETES_NONE;
+    }
+
+    /**
+     * Maps validated inputs onto the model's terms. With imputation on (`data.imputeMissing`, or
+     * QRISK3_IMPUTATION.ENABLED), a missing SBP variability, Townsend score, cholesterol ratio or BMI is
+     * filled from QRISK3ImputationService and listed in `p.imputedFields`; otherwise the historical
+     * defaults apply (SBP variability 0, Townsend 0, BMI 25) and ratio is required.
+     * @param {object} data - Validated patient data.
+     * @returns {object} Processed data for _calculateQRISK3Sum_detailed.
+     * @private
+     */
     _processInputsForDetailedAlgorithm(data) {
         const perfId = this.dependencies.PerformanceMonitor.start('QRISK3_Algo_processInputsDetailed');
         const p = {}; // processed data for algorithm
@@ -115,22 +185,27 @@ class QRISK3Algorithm {
             p.age = Number(data.age);
             if(isNaN(p.age) || p.age < 25 || p.age > 84) throw new Error(`Age (${p.age}) out of QRISK3 valid range (25-84).`);
 
-            p.bmi = Math.max(15, Math.min(Number(data.bmi) || 25, 47)); // Clamp BMI
-            if(isNaN(p.bmi)) throw new Error('BMI is not a valid number.');
-            p.ln_bmi = Math.log(p.bmi);
-            p.ln_bmi_sq = p.ln_bmi * p.ln_bmi;
+            p.ethrisk_code = this._resolveEthnicityCode(data.ethnicity);
 
-            const ethnicityKey = (data.ethnicity || 'WHITE_OR_NOT_STATED').toUpperCase().replace(/[\s-]/g, '_').replace(/travelle?r/i, 'TRAVELLER'); // Normalize key
-            p.ethrisk_code = this.ETHRISK_MAP[ethnicityKey] !== undefined ? this.ETHRISK_MAP[ethnicityKey] : this.ETHRISK_MAP.WHITE_OR_NOT_STATED;
+            const imputeMissing = data.imputeMissing ?? (this.dependencies.ClinicalThresholds?.get('QRISK3_IMPUTATION.ENABLED', false) || false);
+            const Imputation = this.dependencies.QRISK3Imputation;
+            p.imputedFields = [];
+            const inputValue = (field) => {
+                if (!imputeMissing || !Imputation.isMissing(field, data[field])) return data[field];
+                const detail = Imputation.impute(field, { age: p.age, sex: p.sex === this.FEMALE ? 'female' : 'male', ethrisk: p.ethrisk_code });
+                p.imputedFields.push(detail);
+                return detail.value;
+            };
 
-            p.Townsend = data.townsendScore !== undefined ? Number(data.townsendScore) : (this.dependencies.ClinicalThresholds?.get('TOWNSEND.DEFAULT', 0) || 0);
-            if(isNaN(p.Townsend)) p.Townsend = 0;
+            p.bmi = Math.max(15, Math.min(Number(inputValue('bmi')) || 25, 47)); // Clamp BMI
+            if(isNaN(p.bmi)) throw new Error('BMI is not a valid number.');
 
-            const smokingMap = { 'non': this.SMOKING_NON, 'ex': this.SMOKING_EX, 'light': this.SMOKING_LIGHT, 'moderate': this.SMOKING_MODERATE, 'heavy': this.SMOKING_HEAVY };
-            p.smoker_cat = smokingMap[(data.smokingStatus || 'non').toLowerCase()] || this.SMOKING_NON;
+            const townsend = inputValue('townsendScore');
+            p.Townsend = (townsend !== undefined && townsend !== null && townsend !== '') ? Number(townsend) : (this.dependencies.ClinicalThresholds?.get('TOWNSEND.DEFAULT', 0) || 0);
+            if(isNaN(p.Townsend)) p.Townsend = 0;
 
-            const diabetesMap = { 'none': this.DIABETES_NONE, 'type1': this.DIABETES_TYPE1, 'type2': this.DIABETES_TYPE2 };
-            p.diabetes_cat = diabetesMap[(data.diabetesStatus || 'none').toLowerCase()] || this.DIABETES_NONE;
+            p.smoker_cat = this._resolveSmokingCategory(data.smokingStatus);
+            p.diabetes_cat = this._resolveDiabetesCategory(data.diabetesStatus);
 
             // Binary factors (expect boolean from RiskCalculator's _prepareAndValidateData)
             p.b_AF = data.atrialFibrillation ? 1 : 0;
@@ -145,14 +220,22 @@ class QRISK3Algorithm {
             p.b_treatedhyp = data.onBPMedsQRISK ? 1 : 0;
             p.fh_cvd = data.familyHistoryCVDParent ? 1 : 0;
 
-            p.rati = Number(data.cholesterolRatio);
+            p.rati = Number(inputValue('cholesterolRatio'));
             if(isNaN(p.rati) || p.rati <=0) throw new Error('Cholesterol Ratio is not a valid positive number.');
             p.sbp = Number(data.systolicBP);
             if(isNaN(p.sbp)) throw new Error('Systolic BP is not a valid number.');
-            p.sbps5 = (data.systolicBP_sd !== undefined && data.systolicBP_sd >= 0 && !isNaN(data.systolicBP_sd)) ?
-                       Number(data.systolicBP_sd) :
-                       (p.sex === this.FEMALE ? this.meansFemale.sbps5 : this.meansMale.sbps5);
-            if(isNaN(p.sbps5)) p.sbps5 = (p.sex === this.FEMALE ? 9.3 : 9.2); // Final fallback
+            // A missing SBP variability is 0 without imputation (a single reading); with imputation on, anything the
+            // imputer could not fill sits at the model centre, contributing nothing to the sum.
+            const sbpSd = inputValue('systolicBP_sd');
+            const sdProvided = sbpSd !== undefined && sbpSd !== null && sbpSd !== '';
+            if (sdProvided && Number(sbpSd) >= 0) p.sbps5 = Number(sbpSd);
+            else p.sbps5 = imputeMissing ? this.MODEL[p.sex].centres.sbps5 : 0;
+
+            // Lp(a) is not a QRISK3 term; LpaModifierService multiplies the published 10-year risk
+            p.lpa = data.lpa !== undefined && data.lpa !== null ? Number(data.lpa) : undefined;
+            p.lpaUnit = data.lpaUnit || this.dependencies.ClinicalThresholds?.get('LPA.DEFAULT_UNIT', 'mg/dL') || 'mg/dL';
+            p.lpaCurve = data.lpaCurve; // Optional; LpaModifierService default otherwise
+            p.lpaAssay = { assayType: data.lpaAssayType, alternate: data.lpaAlternate };
         } catch (error) {
             this._handleError(error, 'ProcessInputsDetailed', { inputDataSnippet: JSON.stringify(data).substring(0,100) });
             throw error;
@@ -162,107 +245,68 @@ class QRISK3Algorithm {
     }
 
     /**
-     * Calculates the QRISK3 linear predictor (sum of terms).
-     * This is the core of the QRISK3 algorithm.
+     * Calculates the QRISK3 linear predictor `a` exactly as cvd_female_raw / cvd_male_raw do:
+     * fractional-polynomial transforms of age and BMI, centring, conditional (ethnicity, smoking) terms,
+     * main effects and the age_1 / age_2 interaction terms.
      * @param {object} p - Processed patient data from _processInputsForDetailedAlgorithm.
      * @returns {number} QRISK3 linear predictor value.
      * @private
      */
     _calculateQRISK3Sum_detailed(p) {
         const perfId = this.dependencies.PerformanceMonitor.start('QRISK3_Algo_calculateSumDetailed');
-        let B = 0.0;
-        const C = (p.sex === this.FEMALE) ? this.coeffsFemale : this.coeffsMale;
-        const M = (p.sex === this.FEMALE) ? this.meansFemale : this.meansMale;
-
-        B += C.age * (p.age - M.age);
-        B += C.age2 * (p.age * p.age - M.age2); // age squared
-        B += C.ethrisk[p.ethrisk_code -1] || 0; // Ethnicity (index 0 is white/not_stated, so coeff is for index 1+)
-                                                // If ethrisk_code is 0 (WHITE_OR_NOT_STATED), its coefficient is 0 (baseline).
-                                                // So, for ethrisk_code 1 (WHITE_IRISH), we use C.ethrisk[0].
-        B += C.Townsend * (p.Townsend - M.Townsend);
-        B += C.rati * (p.rati - M.rati);
-        B += C.sbp * (p.sbp - M.sbp);
-        B += C.sbps5 * (p.sbps5 - M.sbps5);
-        B += C.bmi * (p.ln_bmi - M.ln_bmi);
-        B += C.bmi2 * (p.ln_bmi_sq - M.ln_bmi_sq); // (ln_bmi)^2
-
-        // Interaction terms (these are not (X-M) in the QRISK3 paper, they are direct products of centered variables or products of variables)
-        // The QRISK3 paper's formula is: β1X1 + β2X2 + ...
-        // My previous sum was Sum(βi(Xi-Mi)). The QRISK3 sum is more direct for some terms.
-        // Re-checking the qrisk.org C# code: it's Sum(coeff * (value - mean_value_for_continuous)) OR Sum(coeff * binary_indicator)
-        // The interaction terms are indeed direct products of the (already processed/centered) age and bmi terms.
-        // The user's qrisk3-implementation.js calculates age_1, age_2, bmi_1, bmi_2, age_1_bmi_1 etc.
-        // and then the sum is: C.age_1 * (data.age_1 - means.age_1) + ... C.age_1_bmi_1 * data.age_1_bmi_1 ...
-        // This means my previous `_calculateQRISK3Sum` was more aligned with the user's `qrisk3-algorithm.js`'s coefficient naming.
-        // The `qrisk3-implementation.js` has a different structure for coefficients.
-        // I will use the structure from user's `qrisk3-algorithm.js` which seems more standard for (X-M) terms.
-        // The user's `qrisk3-algorithm.js` (which I used for v3.1.0) has:
-        // age_1 (for age), age_2 (for age^2), bmi_1 (for ln_bmi), bmi_2 (for (ln_bmi)^2)
-        // age_1_bmi_1, age_1_bmi_2, age_2_bmi_1, age_2_bmi_2 as interaction coefficients.
-        // These interaction terms are applied to products of *already centered* age and bmi terms, or direct products.
-        // The QRISK3 online specification usually presents the linear predictor as:
-        // B = (coeff_age * age) + (coeff_age_sq * age_sq) + ... + (coeff_age_bmi_interaction * age * bmi_term)
-        // Then risk = 1 - S0^exp(B - Mean(B))
-        // OR risk = 1 - S0^exp( Sum(coeff_i * (X_i - M_i)) )
-        // The user's `_calculateQRISK3Score` in `qrisk3-algorithm.js` (v3.0.0) correctly implements the Sum(coeff_i * (X_i - M_i)) for continuous
-        // and Sum(coeff_i * X_i) for binary/categorical. This is what I'll stick to.
-        // The interaction terms are applied to the *products* of the (already processed) age and bmi terms.
-        // My previous `_calculateQRISK3Sum` (v3.1.0) was correct in its structure based on user's v3.0.0 coefficients.
-
-        // Sticking to the structure from my v3.1.0's _calculateQRISK3Sum which aligns with user's qrisk3-algorithm.js v3.0.0
-        // and the standard way of applying these coefficients.
-        // The `qrisk3-implementation.js` might have a slightly different coefficient structure or application method.
-        // For "gold standard", we need to be very precise with the QRISK3-2017 published formula and coefficients.
-        // The coefficients in user's qrisk3-algorithm.js are named like `age_1`, `age_2`, `bmi_1`, `bmi_2`, `age_1_bmi_1` etc.
-        // These are applied to terms like `(data.age_1 - means.age_1)` for main effects, and `data.age_1_bmi_1` for interactions.
-
-        // This sum is using the structure from my v3.1.0, which is consistent with user's qrisk3-algorithm.js (v3.0.0)
-        // and the typical (X-M) application for continuous variables and direct coefficient for binary/interactions.
-        B = 0; // Reset B for clarity
-        B += C.age_1 * (p.age_1 - M.age_1);
-        B += C.age_2 * (p.age_2 - M.age2); // M.age2 should be mean of age^2
-        B += C.bmi_1 * (p.ln_bmi - M.ln_bmi);
-        B += C.bmi_2 * (p.ln_bmi_sq - M.ln_bmi_sq); // M.ln_bmi_sq should be mean of (ln_bmi)^2
-
-        B += C.age_1_bmi_1 * (p.age_1 - M.age_1) * (p.ln_bmi - M.ln_bmi); // This is how interactions are often centered
-        B += C.age_1_bmi_2 * (p.age_1 - M.age_1) * (p.ln_bmi_sq - M.ln_bmi_sq);
-        B += C.age_2_bmi_1 * (p.age_2 - M.age2) * (p.ln_bmi - M.ln_bmi);
-        B += C.age_2_bmi_2 * (p.age_2 - M.age2) * (p.ln_bmi_sq - M.ln_bmi_sq);
-
-
-        B += C.Townsend * (p.Townsend - M.Townsend);
-        B += C.rati * (p.rati - M.rati);
-        B += C.sbp * (p.sbp - M.sbp);
-        B += C.sbps5 * (p.sbps5 - M.sbps5);
-
-        B += ethnicityCoeffs[p.ethrisk_code -1] || 0; // ethnicityCoeffs array is 0-indexed for codes 1-16
-
-        if (p.smoker_cat === this.SMOKING_EX) B += C.smoker_ex;
-        else if (p.smoker_cat === this.SMOKING_LIGHT) B += C.smoker_light;
-        else if (p.smoker_cat === this.SMOKING_MODERATE) B += C.smoker_moderate;
-        else if (p.smoker_cat === this.SMOKING_HEAVY) B += C.smoker_heavy;
-
-        if (p.diabetes_cat === this.DIABETES_TYPE1) B += C.diabetes_type1;
-        else if (p.diabetes_cat === this.DIABETES_TYPE2) B += C.diabetes_type2;
-
-        if (p.b_AF === 1) B += C.b_AF;
-        if (p.b_atypicalantipsy === 1) B += C.b_atypicalantipsy;
-        if (p.b_corticosteroids === 1) B += C.b_corticosteroids;
-        if (p.b_impotence2 === 1) B += C.b_impotence2;
-        if (p.b_migraine === 1) B += C.b_migraine;
-        if (p.b_ra === 1) B += C.b_ra;
-        if (p.b_renal === 1) B += C.b_renal;
-        if (p.b_semi === 1) B += C.b_semi;
-        if (p.b_sle === 1) B += C.b_sle;
-        if (p.b_treatedhyp === 1) B += C.b_treatedhyp;
-        if (p.fh_cvd === 1) B += C.fh_cvd;
+        const model = this.MODEL[p.sex];
+        const c = model.centres;
+
+        const dage = p.age / 10;
+        const [rawAge1, rawAge2] = model.ageTransform(dage);
+        const dbmi = p.bmi / 10;
+        const centred = {
+            age_1: rawAge1 - c.age_1,
+            age_2: rawAge2 - c.age_2,
+            bmi_1: Math.pow(dbmi, -2) - c.bmi_1,
+            bmi_2: Math.pow(dbmi, -2) * Math.log(dbmi) - c.bmi_2,
+            rati: p.rati - c.rati,
+            sbp: p.sbp - c.sbp,
+            sbps5: p.sbps5 - c.sbps5,
+            town: p.Townsend - c.town
+        };
+        const terms = {
+            ...centred,
+            b_AF: p.b_AF, b_atypicalantipsy: p.b_atypicalantipsy, b_corticosteroids: p.b_corticosteroids,
+            b_impotence2: p.b_impotence2, b_migraine: p.b_migraine, b_ra: p.b_ra, b_renal: p.b_renal,
+            b_semi: p.b_semi, b_sle: p.b_sle, b_treatedhyp: p.b_treatedhyp, fh_cvd: p.fh_cvd,
+            b_type1: p.diabetes_cat === this.DIABETES_TYPE1 ? 1 : 0,
+            b_type2: p.diabetes_cat === this.DIABETES_TYPE2 ? 1 : 0,
+            smoke_1: p.smoker_cat === 1 ? 1 : 0, smoke_2: p.smoker_cat === 2 ? 1 : 0,
+            smoke_3: p.smoker_cat === 3 ? 1 : 0, smoke_4: p.smoker_cat === 4 ? 1 : 0
+        };
+
+        let a = 0;
+        a += model.ethrisk[p.ethrisk_code] || 0;
+        a += model.smoke[p.smoker_cat] || 0;
+        Object.entries(model.continuous).forEach(([term, coeff]) => { a += terms[term] * coeff; });
+        Object.entries(model.binary).forEach(([term, coeff]) => { a += terms[term] * coeff; });
+        Object.entries(model.age1Interactions).forEach(([term, coeff]) => { a += centred.age_1 * terms[term] * coeff; });
+        Object.entries(model.age2Interactions).forEach(([term, coeff]) => { a += centred.age_2 * terms[term] * coeff; });
 
         this.dependencies.PerformanceMonitor.end(perfId);
-        return B;
+        return a;
     }
 
-    _convertScoreToRisk_detailed(sumValue, sex) { // Renamed to avoid conflict with FRS
-        const baselineSurvival = (sex === this.FEMALE) ? this.survFemale : this.survMale;
+    /**
+     * Converts the linear predictor to a risk proportion: 1 - S0(t)^exp(a).
+     * @param {number} sumValue - Linear predictor from _calculateQRISK3Sum_detailed.
+     * @param {number} sex - this.FEMALE or this.MALE.
+     * @param {number} [surv=10] - Survival horizon in years (the published model supplies 10 only).
+     * @returns {number} Risk as a proportion (0-1), or NaN.
+     * @private
+     */
+    _convertScoreToRisk_detailed(sumValue, sex, surv = 10) {
+        const baselineSurvival = this.MODEL[sex].survivor[surv];
+        if (baselineSurvival === undefined) {
+            this._handleError(new Error(`No QRISK3 baseline survival for a ${surv}-year horizon.`), 'ConvertSumToRiskQRISK3', { surv });
+            return NaN;
+        }
         if (isNaN(sumValue) || !isFinite(sumValue)) {
             this._handleError(new Error('QRISK3 sum is not a finite number for risk conversion.'), 'ConvertSumToRiskQRISK3', { sumValue });
             return NaN;
@@ -276,7 +320,13 @@ class QRISK3Algorithm {
         return Math.max(0, Math.min(1, risk)); // Clamp risk between 0 and 1 (0% and 100%)
     }
 
-    _determineRiskCategory(riskPercent) { /* ... (same as v3.1.0) ... */
+    /**
+     * Risk category of the (Lp(a)-modified) 10-year risk against CVD_RISK_CATEGORY thresholds.
+     * @param {number} riskPercent
+     * @returns {{category: string, description: string}}
+     * @private
+     */
+    _determineRiskCategory(riskPercent) {
         const CT = this.dependencies.ClinicalThresholds;
         const lowMax = CT?.get('CVD_RISK_CATEGORY.LOW_THRESHOLD', 10) || 10;
         const intMax = CT?.get('CVD_RISK_CATEGORY.INTERMEDIATE_THRESHOLD', 20) || 20;
@@ -286,65 +336,141 @@ class QRISK3Algorithm {
         return { category: 'high', description: `High Risk (≥${intMax}%)` };
     }
 
-    _calculateHealthyPersonRisk(processedData) { /* ... (same as v3.1.0, uses _calculateQRISK3Sum_detailed and _convertScoreToRisk_detailed) ... */
+    /**
+     * Builds the QRISK3 "healthy person" profile used by the official calculator: same age, sex and
+     * ethnicity (and deprivation score), no adverse clinical indicators, non-smoker, cholesterol ratio 4.0,
+     * stable systolic BP of 125 mmHg and BMI 25. Values are overridable via ClinicalThresholds (QRISK3.HEALTHY_*).
+     * @param {object} processedData - Output of _processInputsForDetailedAlgorithm.
+     * @returns {object} Processed data for the healthy comparator.
+     * @private
+     */
+    _buildHealthyProfile(processedData) {
+        const CT = this.dependencies.ClinicalThresholds;
+        return {
+            ...processedData,
+            smoker_cat: this.SMOKING_NON, diabetes_cat: this.DIABETES_NONE,
+            b_AF: 0, b_atypicalantipsy: 0, b_corticosteroids: 0, b_impotence2: 0,
+            b_migraine: 0, b_ra: 0, b_renal: 0, b_semi: 0, b_sle: 0,
+            b_treatedhyp: 0, fh_cvd: 0,
+            bmi: CT?.get('QRISK3.HEALTHY_BMI', 25) || 25,
+            sbp: CT?.get('QRISK3.HEALTHY_SBP', 125) || 125,
+            sbps5: CT?.get('QRISK3.HEALTHY_SBP_SD', 0) || 0,
+            rati: CT?.get('QRISK3.HEALTHY_CHOLESTEROL_RATIO', 4.0) || 4.0
+        };
+    }
+
+    /**
+     * 10-year risk of a healthy person of the same age, sex and ethnicity.
+     * @param {object} processedData - Output of _processInputsForDetailedAlgorithm.
+     * @returns {number|null} Risk proportion (0-1), or null on failure.
+     * @private
+     */
+    _calculateHealthyPersonRisk(processedData) {
         const perfId = this.dependencies.PerformanceMonitor.start('QRISK3_Algo_calcHealthyRisk');
         try {
-            const CT = this.dependencies.ClinicalThresholds;
-            const idealBMI = CT?.get('BMI.IDEAL', 22) || 22;
-            const healthyData = { ...processedData,
-                smoker_cat: this.SMOKING_NON, diabetes_cat: this.DIABETES_NONE,
-                b_AF: 0, b_atypicalantipsy: 0, b_corticosteroids: 0, b_impotence2: 0,
-                b_migraine: 0, b_ra: 0, b_renal: 0, b_semi: 0, b_sle: 0,
-                b_treatedhyp: 0, fh_cvd: 0,
-                bmi: idealBMI, ln_bmi: Math.log(idealBMI), ln_bmi_sq: Math.pow(Math.log(idealBMI), 2),
-                sbp: CT?.get('BP.IDEAL_SBP', 110) || 110,
-                sbps5: CT?.get('BP.IDEAL_SBP_SD', 0) || 0,
-                rati: CT?.get('LIPIDS.IDEAL_TC_HDL_RATIO', 3.5) || 3.5,
-                Townsend: CT?.get('TOWNSEND.IDEAL', -2) || -2,
-            };
-            healthyData.age_1_bmi_1 = healthyData.age_1 * healthyData.ln_bmi; healthyData.age_1_bmi_2 = healthyData.age_1 * healthyData.ln_bmi_sq;
-            healthyData.age_2_bmi_1 = healthyData.age_2 * healthyData.ln_bmi; healthyData.age_2_bmi_2 = healthyData.age_2 * healthyData.ln_bmi_sq;
-            const score = this._calculateQRISK3Sum_detailed(healthyData);
+            const healthyData = this._buildHealthyProfile(processedData);
+            const risk = this._convertScoreToRisk_detailed(this._calculateQRISK3Sum_detailed(healthyData), processedData.sex);
             this.dependencies.PerformanceMonitor.end(perfId);
-            return this._convertScoreToRisk_detailed(score, processedData.sex);
+            return isNaN(risk) ? null : risk;
         } catch (error) { this._handleError(error, 'CalcHealthyRisk'); this.dependencies.PerformanceMonitor.end(perfId); return null; }
     }
 
-    _estimateHeartAge(processedData, actualRiskProportion) { /* ... (same as v3.1.0, uses _calculateQRISK3Sum_detailed and _convertScoreToRisk_detailed) ... */
+    /**
+     * QRISK3 healthy heart age: the age at which a healthy person of the same sex and ethnicity has the
+     * patient's 10-year risk. Found by bisection over age, since healthy-profile risk rises monotonically with age.
+     * The search stays within the model's 25-84 age range (QRISK3.HEART_AGE_MIN / HEART_AGE_MAX can only narrow it);
+     * a result beyond it is pinned to the bound and labelled "<25" or ">84".
+     * @param {object} processedData - Output of _processInputsForDetailedAlgorithm.
+     * @param {number} actualRiskProportion - The patient's 10-year risk (0-1).
+     * @returns {{heartAge: number, label: string, beyondRange: ('below'|'above'|null)}|null} Heart age in whole years,
+     * or null on failure.
+     * @private
+     */
+    _estimateHeartAge(processedData, actualRiskProportion) {
         const perfId = this.dependencies.PerformanceMonitor.start('QRISK3_Algo_estimateHeartAge');
         try {
+            if (isNaN(actualRiskProportion)) { this.dependencies.PerformanceMonitor.end(perfId); return null; }
             const CT = this.dependencies.ClinicalThresholds;
-            const idealBMI = CT?.get('BMI.IDEAL', 22) || 22;
-            const baseInputs = { ...processedData };
-            baseInputs.bmi = idealBMI; baseInputs.ln_bmi = Math.log(idealBMI); baseInputs.ln_bmi_sq = baseInputs.ln_bmi * baseInputs.ln_bmi;
-            baseInputs.rati = CT?.get('LIPIDS.IDEAL_TC_HDL_RATIO', 3.5) || 3.5;
-            baseInputs.sbp = CT?.get('BP.IDEAL_SBP', 110) || 110;
-            baseInputs.sbps5 = CT?.get('BP.IDEAL_SBP_SD', 0) || 0;
-            baseInputs.Townsend = CT?.get('TOWNSEND.IDEAL', -2) || -2;
-            baseInputs.smoker_cat = this.SMOKING_NON; baseInputs.b_treatedhyp = 0;
-            Object.keys(baseInputs).forEach(key => { if (key.startsWith('b_') && key !== 'b_treatedhyp') baseInputs[key] = 0; });
-
-            if (isNaN(actualRiskProportion) || actualRiskProportion < 0.0001) { this.dependencies.PerformanceMonitor.end(perfId); return processedData.age_1; }
-            let minAge = CT?.get('AGE.MIN_HEART_AGE_CALC', 20) || 20; let maxAge = CT?.get('AGE.MAX_HEART_AGE_CALC', 95) || 95;
-            let heartAge = processedData.age_1; let iterations = 0; const MAX_ITERATIONS = 25; const TOLERANCE = 0.0005;
-
-            while (iterations < MAX_ITERATIONS && (maxAge - minAge) > 0.1) {
-                const testAge = (minAge + maxAge) / 2; if (testAge <=0 || testAge > 150) { heartAge = processedData.age_1; break; }
-                const testData = { ...baseInputs, age_1: testAge, age_2: testAge * testAge };
-                testData.age_1_bmi_1 = testData.age_1 * testData.ln_bmi; testData.age_1_bmi_2 = testData.age_1 * testData.ln_bmi_sq;
-                testData.age_2_bmi_1 = testData.age_2 * testData.ln_bmi; testData.age_2_bmi_2 = testData.age_2 * testData.ln_bmi_sq;
-                const score = this._calculateQRISK3Sum_detailed(testData);
-                const riskAtTestAge = this._convertScoreToRisk_detailed(score, processedData.sex);
-                if (isNaN(riskAtTestAge)) { if (riskAtTestAge < actualRiskProportion) minAge = testAge + 0.1; else maxAge = testAge - 0.1; iterations++; continue; }
-                if (Math.abs(riskAtTestAge - actualRiskProportion) < TOLERANCE) { heartAge = testAge; break; }
-                if (riskAtTestAge < actualRiskProportion) minAge = testAge; else maxAge = testAge;
-                heartAge = (minAge + maxAge) / 2; iterations++;
+            const healthyBase = this._buildHealthyProfile(processedData);
+            const riskAtAge = (age) => this._convertScoreToRisk_detailed(this._calculateQRISK3Sum_detailed({ ...healthyBase, age }), processedData.sex);
+
+            let minAge = Math.max(CT?.get('QRISK3.HEART_AGE_MIN', 25) || 25, 25);
+            let maxAge = Math.min(CT?.get('QRISK3.HEART_AGE_MAX', 84) || 84, 84);
+            let heartAge;
+            let beyondRange = null;
+            if (actualRiskProportion <= riskAtAge(minAge)) {
+                heartAge = minAge; beyondRange = 'below';
+            } else if (actualRiskProportion >= riskAtAge(maxAge)) {
+                heartAge = maxAge; beyondRange = 'above';
+            } else {
+                const TOLERANCE_YEARS = 0.01; const MAX_ITERATIONS = 50;
+                for (let i = 0; i < MAX_ITERATIONS && (maxAge - minAge) > TOLERANCE_YEARS; i++) {
+                    const testAge = (minAge + maxAge) / 2;
+                    if (riskAtAge(testAge) < actualRiskProportion) minAge = testAge; else maxAge = testAge;
+                }
+                heartAge = (minAge + maxAge) / 2;
             }
             this.dependencies.PerformanceMonitor.end(perfId);
-            return Math.max(20, Math.min(95, Math.round(heartAge)));
+            heartAge = Math.round(heartAge);
+            const label = beyondRange === 'above' ? `>${heartAge}` : beyondRange === 'below' ? `<${heartAge}` : String(heartAge);
+            return { heartAge, label, beyondRange };
         } catch (error) { this._handleError(error, 'EstimateHeartAge'); this.dependencies.PerformanceMonitor.end(perfId); return null; }
     }
 
+    /**
+     * Lp(a) risk multiplier from LpaModifierService, applied to the published QRISK3 risk.
+     * @param {number} baseRiskProportion - QRISK3 10-year risk (0-1).
+     * @param {object} p - Output of _processInputsForDetailedAlgorithm.
+     * @returns {{ modifiedRisk: number, modifiersApplied: object[], lpaModifier: object|null }}
+     * @private
+     */
+    _applyRiskModifiers(baseRiskProportion, p) {
+        const modifiersApplied = [];
+        let modifiedRisk = baseRiskProportion;
+        const lpaModifier = this.dependencies.LpaModifier.evaluate(p.lpa, p.lpaUnit, p.lpaCurve, p.lpaAssay);
+        if (lpaModifier && lpaModifier.factor > 1.0) {
+            modifiedRisk *= lpaModifier.factor;
+            modifiersApplied.push(this.dependencies.LpaModifier.toModifierDetail(lpaModifier));
+        }
+        return { modifiedRisk: Math.max(0, Math.min(modifiedRisk, 0.999)), modifiersApplied, lpaModifier };
+    }
+
+    /**
+     * 30-year and lifetime QRISK3 projections, not validated and not QRISK-lifetime. The published model supplies
+     * 10-year baseline survival only, so longer horizons are extrapolated from 10-year QRISK3 windows up to the model's upper age limit, with competing
+     * non-CVD mortality (see RiskHorizonService). Each window re-applies the Lp(a) multiplier.
+     * @param {object} processedData - Output of _processInputsForDetailedAlgorithm.
+     * @param {number} riskProportion - The patient's 10-year risk (0-1), after Lp(a).
+     * @returns {object} Horizons keyed tenYear / thirtyYear / lifetime.
+     * @private
+     */
+    _projectHorizons(processedData, riskProportion) {
+        const maxModelAge = this.dependencies.ClinicalThresholds?.get('AGE.MAX_QRISK3', 84) || 84;
+        const riskAtAge = (age) => this._applyRiskModifiers(this._convertScoreToRisk_detailed(this._calculateQRISK3Sum_detailed({ ...processedData, age }), processedData.sex), processedData).modifiedRisk;
+        return this.dependencies.RiskHorizons.projectHorizons(riskAtAge, { age: processedData.age, tenYearRiskProportion: riskProportion, maxModelAge, sex: processedData.sex === this.FEMALE ? 'female' : 'male' });
+    }
+
+    /**
+     * Plausible 10-year risk range when inputs were imputed: the model is re-run at every combination of the
+     * low and high ends of the imputed ranges (at most 16 runs) and the extremes are kept.
+     * @param {object} processedData - Output of _processInputsForDetailedAlgorithm.
+     * @returns {{ lowPercent: number, highPercent: number }|null} Null when nothing was imputed.
+     * @private
+     */
+    _calculateImputedRiskRange(processedData) {
+        const fields = processedData.imputedFields || [];
+        if (!fields.length) return null;
+        const terms = { systolicBP_sd: 'sbps5', townsendScore: 'Townsend', cholesterolRatio: 'rati', bmi: 'bmi' };
+        let low = Infinity; let high = -Infinity;
+        for (let corner = 0; corner < (1 << fields.length); corner++) {
+            const variant = { ...processedData };
+            fields.forEach((f, i) => { variant[terms[f.field]] = f.range[(corner >> i) & 1]; });
+            const risk = this._convertScoreToRisk_detailed(this._calculateQRISK3Sum_detailed(variant), processedData.sex);
+            low = Math.min(low, risk); high = Math.max(high, risk);
+        }
+        return { lowPercent: parseFloat((low * 100).toFixed(1)), highPercent: parseFloat((high * 100).toFixed(1)) };
+    }
+
     /**
      * Main public method for QRISK3 risk calculation.
      * @param {object} rawPatientData - Patient data from RiskCalculator.
@@ -363,18 +489,31 @@ class QRISK3Algorithm {
 
             if (isNaN(riskProportion)) throw new Error('QRISK3 risk calculation resulted in NaN.');
 
-            const tenYearRiskPercent = parseFloat((riskProportion * 100).toFixed(1));
-            const { category: riskCategory, description: categoryDescription } = this._determineRiskCategory(tenYearRiskPercent);
+            const tenYearRiskPercentExact = riskProportion * 100; // Unrounded, for reference conformance checks
+            const tenYearRiskPercent = parseFloat(tenYearRiskPercentExact.toFixed(1));
+            const { modifiedRisk: modifiedRiskProportion, modifiersApplied, lpaModifier } = this._applyRiskModifiers(riskProportion, processedData);
+            const modifiedRiskPercent = parseFloat((modifiedRiskProportion * 100).toFixed(1));
+            const { category: riskCategory, description: categoryDescription } = this._determineRiskCategory(modifiedRiskPercent);
             const healthyPersonRiskProportion = this._calculateHealthyPersonRisk(processedData);
             const healthyPersonRiskPercent = healthyPersonRiskProportion !== null ? parseFloat((healthyPersonRiskProportion * 100).toFixed(1)) : null;
-            const heartAge = this._estimateHeartAge(processedData, riskProportion);
+            const heartAgeEstimate = this._estimateHeartAge(processedData, riskProportion);
+            const heartAge = heartAgeEstimate?.heartAge ?? null;
+            const heartAgeLabel = heartAgeEstimate?.label ?? null; // ">84" / "<25" when outside the model's age range
             const relativeRisk = (healthyPersonRiskProportion && healthyPersonRiskProportion > 0.0001 && riskProportion > 0.0001) ?
                                  parseFloat((riskProportion / healthyPersonRiskProportion).toFixed(1)) : null;
+            const heartAgeDifference = heartAge !== null ? heartAge - processedData.age : null;
+            const horizons = this._projectHorizons(processedData, modifiedRiskProportion);
+            const partiallyImputed = processedData.imputedFields.length > 0;
+            const imputation = partiallyImputed ? { fields: processedData.imputedFields, riskRange: this._calculateImputedRiskRange(processedData) } : null;
 
             const result = {
                 success: true,
-                tenYearRiskPercent, riskCategory, categoryDescription, heartAge,
-                healthyPersonRiskPercent, relativeRisk,
+                tenYearRiskPercent, tenYearRiskPercentExact, // Published QRISK3, before Lp(a)
+                baseRiskPercent: tenYearRiskPercent, modifiedRiskPercent, modifiersApplied, riskCategory, categoryDescription,
+                lpaModifier, // Curve and factor used for Lp(a), even when the factor is 1.0; null without Lp(a)
+                heartAge, heartAgeLabel, heartAgeDifference, healthyPersonRiskPercent, relativeRisk,
+                thirtyYearRiskPercent: horizons.thirtyYear.riskPercent, lifetimeRiskPercent: horizons.lifetime.riskPercent, horizons,
+                partiallyImputed, imputation, // Imputed inputs and the risk range they allow (null when all inputs were given)
                 inputParameters: rawPatientData, // Return original (but validated/mapped by RiskCalculator) inputs
                 // processedParameters: processedData, // Optionally return for debugging
                 algorithm: 'QRISK3-2017',
@@ -395,4 +534,4 @@ class QRISK3Algorithm {
     }
 }
 
-// export default QRISK3Algorithm;
+export default QRISK3Algorithm;
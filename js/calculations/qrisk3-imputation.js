@@ -0,0 +1,107 @@
+/**
+ * QRISK3 Missing-Data Imputation Module
+ * @file /js/calculations/qrisk3-imputation.js
+ * @description Age-, sex- and ethnicity-conditional values for the QRISK3 inputs that primary care often
+ * lacks: SBP variability (no second reading), Townsend score (no postcode), cholesterol ratio and BMI.
+ * Each imputed value carries a plausible low/high range, which QRISK3Algorithm runs through the model to
+ * report the risk range the missing data allows.
+ * Values are the QRISK3 derivation-cohort centring values for each sex (Q3_female.c / Q3_male.c), shifted
+ * per decade of age from 50 and by ethnic group. The shifts are approximate toolkit values (Health Survey
+ * for England 2004, ethnic minority boost; ONS deprivation by ethnic group), not part of QRISK3, and can be
+ * overridden under QRISK3_IMPUTATION.FIELDS.<field> in ClinicalThresholds.
+ * @version 1.0.0
+ * @exports QRISK3ImputationService
+ */
+
+'use strict';
+
+// Ethnicity offsets are keyed by QRISK3 ethrisk code: 1 White / not stated, 2 Indian, 3 Pakistani,
+// 4 Bangladeshi, 5 Other Asian, 6 Black Caribbean, 7 Black African, 8 Chinese, 9 Other.
+const IMPUTATION_FIELDS = Object.freeze({
+    systolicBP_sd: {
+        label: 'SBP variability (SD)', unit: 'mmHg',
+        base: { female: 9.0, male: 8.76 }, perDecade: { female: 0.8, male: 0.8 }, ethnicity: {},
+        spread: 4.0, min: 0, max: 40
+    },
+    townsendScore: {
+        label: 'Townsend deprivation score', unit: '',
+        base: { female: 0.39, male: 0.53 }, perDecade: { female: -0.3, male: -0.3 },
+        ethnicity: { 2: 1.0, 3: 2.5, 4: 3.5, 5: 1.5, 6: 2.5, 7: 3.0, 8: 1.0, 9: 1.5 },
+        spread: 3.0, min: -7, max: 11
+    },
+    cholesterolRatio: {
+        label: 'Total/HDL cholesterol ratio', unit: '',
+        base: { female: 3.48, male: 4.30 }, perDecade: { female: 0.15, male: 0 },
+        ethnicity: { 2: 0.2, 3: 0.3, 4: 0.4, 5: 0.2, 6: -0.3, 7: -0.4 },
+        spread: 1.0, min: 1, max: 12
+    },
+    bmi: {
+        label: 'BMI', unit: 'kg/m²',
+        base: { female: 25.4, male: 25.9 }, perDecade: { female: 0.6, male: 0.4 },
+        ethnicity: { 2: -0.6, 3: -0.3, 4: -1.8, 5: -1.0, 6: 1.6, 7: 1.9, 8: -2.6 },
+        spread: 4.5, min: 15, max: 47
+    }
+});
+
+class QRISK3ImputationService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '1.0.0';
+        this.REFERENCE_AGE = 50;
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `QRISK3-Imputation: ${message}`, data); }
+
+    /** @returns {string[]} The fields this service can impute. */
+    getImputableFields() { return Object.keys(IMPUTATION_FIELDS); }
+
+    /**
+     * True when the value counts as missing. A recorded 0 is kept for every field except SBP variability,
+     * where 0 is how the forms leave a single reading.
+     * @param {string} field
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isMissing(field, value) {
+        if (value === undefined || value === null || value === '' || isNaN(Number(value))) return true;
+        return field === 'systolicBP_sd' && Number(value) === 0;
+    }
+
+    /**
+     * Conditional value and plausible range for one missing input.
+     * @param {string} field - One of getImputableFields().
+     * @param {object} profile
+     * @param {number} profile.age
+     * @param {'female'|'male'} profile.sex
+     * @param {number} profile.ethrisk - QRISK3 ethnicity code (0-9).
+     * @returns {{ field: string, label: string, unit: string, value: number, range: number[], basis: string }}
+     */
+    impute(field, { age, sex, ethrisk }) {
+        const definition = { ...IMPUTATION_FIELDS[field], ...this.dependencies.ClinicalThresholds?.get(`QRISK3_IMPUTATION.FIELDS.${field}`, null) };
+        if (!definition.base) throw new Error(`No imputation model for QRISK3 input "${field}".`);
+        const sexKey = sex === 'female' ? 'female' : 'male';
+        const decades = (Number(age) - this.REFERENCE_AGE) / 10;
+        const ethnicityOffset = definition.ethnicity?.[ethrisk] || 0;
+        const clamp = (x) => Math.max(definition.min, Math.min(x, definition.max));
+        const round = (x) => parseFloat(x.toFixed(2));
+
+        const value = clamp(definition.base[sexKey] + (definition.perDecade?.[sexKey] || 0) * decades + ethnicityOffset);
+        const basis = `${sexKey}, age ${age}${ethnicityOffset ? `, ethnicity group ${ethrisk}` : ''}`;
+        this._log('debug', `Imputed ${field} = ${round(value)} (${basis}).`);
+        return {
+            field, label: definition.label, unit: definition.unit || '',
+            value: round(value),
+            range: [round(clamp(value - definition.spread)), round(clamp(value + definition.spread))],
+            basis
+        };
+    }
+}
+
+export default QRISK3ImputationService;
@@ -0,0 +1,191 @@
+/**
+ * Renal Function Module
+ * @file /js/calculations/renal-function.js
+ * @description eGFR from serum creatinine by the race-free CKD-EPI 2021 equation, the KDIGO G (eGFR) and
+ * A (albumin-to-creatinine ratio) categories with the KDIGO risk of progression, and the CKD stage used by the
+ * Medication & Labs form and QRISK3 (stage 3-5, eGFR <60, sets the renal flag). Creatinine is taken in µmol/L
+ * or mg/dL and ACR in mg/mmol or mg/g. doseLimits() reads the per-drug renal limits (maximum dose, no initiation
+ * below an eGFR) from the medication database for the drugs being recommended.
+ * Used by RiskCalculator (eGFR and the QRISK3 CKD flag from creatinine), TreatmentRecommendationsService and the
+ * Medication & Labs tab.
+ * @version 1.0.0
+ * @reference Inker LA, et al. New Creatinine- and Cystatin C-Based Equations to Estimate GFR without Race. N Engl J Med. 2021;385(19):1737-1749.
+ * @reference Kidney Disease: Improving Global Outcomes (KDIGO) CKD Work Group. KDIGO 2024 Clinical Practice Guideline for the Evaluation and Management of Chronic Kidney Disease. Kidney Int. 2024;105(4S):S117-S314.
+ * @exports RenalFunctionService
+ */
+
+'use strict';
+
+// CKD-EPI 2021 (creatinine, no race term): 142 × min(Scr/κ, 1)^α × max(Scr/κ, 1)^-1.200 × 0.9938^age × 1.012 [female]
+const CKD_EPI_2021 = {
+    female: { kappa: 0.7, alpha: -0.241, factor: 1.012 },
+    male: { kappa: 0.9, alpha: -0.302, factor: 1 },
+    constant: 142, highExponent: -1.200, ageBase: 0.9938,
+};
+// KDIGO risk of CKD progression by G row and A column (A1, A2, A3)
+const KDIGO_RISK = {
+    G1: ['low', 'moderately increased', 'high'],
+    G2: ['low', 'moderately increased', 'high'],
+    G3a: ['moderately increased', 'high', 'very high'],
+    G3b: ['high', 'very high', 'very high'],
+    G4: ['very high', 'very high', 'very high'],
+    G5: ['very high', 'very high', 'very high'],
+};
+const G_LABELS = { G1: 'normal or high', G2: 'mildly decreased', G3a: 'mildly to moderately decreased', G3b: 'moderately to severely decreased', G4: 'severely decreased', G5: 'kidney failure' };
+
+class RenalFunctionService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional), MedicationDatabase (optional; for doseLimits()).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+            MedicationDatabase: dependencies.MedicationDatabase || (typeof window !== 'undefined' ? window.MedicationDatabase : undefined),
+        };
+        this.VERSION = '1.0.0';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `RenalFunction: ${message}`, data); }
+
+    _get(path, defaultValue) { return this.dependencies.ClinicalThresholds?.get(path, defaultValue) || defaultValue; }
+
+    _toNumber(value) { return value === null || value === undefined || value === '' ? NaN : Number(value); }
+
+    /** Serum creatinine in mg/dL from µmol/L (the default) or mg/dL. */
+    creatinineToMgDl(value, unit = 'umol/L') {
+        const number = this._toNumber(value);
+        if (!(number > 0)) return null;
+        return /mg/i.test(String(unit)) ? number : number * this._get('CONVERSION_FACTORS.CREATININE', 0.01131);
+    }
+
+    /** Albumin-to-creatinine ratio in mg/mmol from mg/mmol (the default) or mg/g. */
+    acrToMgMmol(value, unit = 'mg/mmol') {
+        const number = this._toNumber(value);
+        if (!(number >= 0)) return null;
+        return /mg.?g$/i.test(String(unit)) ? number * this._get('CONVERSION_FACTORS.ACR_MG_G', 0.113) : number;
+    }
+
+    /**
+     * Race-free CKD-EPI 2021 creatinine equation.
+     * @param {object} params
+     * @param {number} params.creatinine - Serum creatinine.
+     * @param {string} [params.creatinineUnit='umol/L'] - 'umol/L' or 'mg/dL'.
+     * @param {number} params.age - Years (18 or over).
+     * @param {string} params.sex - 'male' | 'female'.
+     * @returns {number|null} eGFR in mL/min/1.73m² (whole number), or null with missing or out-of-range inputs.
+     */
+    ckdEpi2021({ creatinine, creatinineUnit, age, sex } = {}) {
+        const scr = this.creatinineToMgDl(creatinine, creatinineUnit);
+        const years = this._toNumber(age);
+        const c = CKD_EPI_2021[String(sex || '').toLowerCase()];
+        if (scr === null || !c || !(years >= 18)) {
+            this._log('info', 'CKD-EPI 2021 needs creatinine, sex and an age of 18 or over.');
+            return null;
+        }
+        const ratio = scr / c.kappa;
+        const egfr = CKD_EPI_2021.constant * Math.min(ratio, 1) ** c.alpha * Math.max(ratio, 1) ** CKD_EPI_2021.highExponent
+            * CKD_EPI_2021.ageBase ** years * c.factor;
+        return Math.round(egfr);
+    }
+
+    /** KDIGO G category for an eGFR, on the EGFR thresholds (lower bound of each stage). */
+    gCategory(egfr) {
+        const value = this._toNumber(egfr);
+        if (!(value >= 0)) return null;
+        const t = this._get('EGFR', {});
+        if (value >= (t.NORMAL ?? 90)) return 'G1';
+        if (value >= (t.CKD_G2 ?? 60)) return 'G2';
+        if (value >= (t.CKD_G3a ?? 45)) return 'G3a';
+        if (value >= (t.CKD_G3b ?? 30)) return 'G3b';
+        if (value >= (t.CKD_G4 ?? 15)) return 'G4';
+        return 'G5';
+    }
+
+    /** KDIGO A category for an ACR in mg/mmol (A2 from 3, A3 above 30). */
+    aCategory(acrMgMmol) {
+        if (acrMgMmol === null || acrMgMmol === undefined || isNaN(acrMgMmol)) return null;
+        if (acrMgMmol > this._get('ACR.KDIGO_A3_MG_MMOL', 30)) return 'A3';
+        if (acrMgMmol >= this._get('ACR.KDIGO_A2_MG_MMOL', 3)) return 'A2';
+        return 'A1';
+    }
+
+    /** CKD stage as the Medication & Labs / QRISK3 select values: 'no_ckd' | 'ckd_stage3' | 'ckd_stage4_5'. */
+    ckdStageKey(gCategory) {
+        if (gCategory === 'G3a' || gCategory === 'G3b') return 'ckd_stage3';
+        if (gCategory === 'G4' || gCategory === 'G5') return 'ckd_stage4_5';
+        return 'no_ckd';
+    }
+
+    /**
+     * Renal function from creatinine (CKD-EPI 2021) or an entered eGFR, with the ACR when given.
+     * @param {object} inputs - `{ creatinine, creatinineUnit, egfr, acr, acrUnit, age, sex }`; creatinine wins over egfr.
+     * @returns {object|null} `{ egfr, egfrSource, gCategory, gLabel, acr, aCategory, stage, kdigoRisk, hasCkd, ckdStage,
+     * qriskCkd, summary }`, or null without an eGFR.
+     */
+    evaluate({ creatinine, creatinineUnit, egfr, acr, acrUnit, age, sex } = {}) {
+        const calculated = isNaN(this._toNumber(creatinine)) ? null : this.ckdEpi2021({ creatinine, creatinineUnit, age, sex });
+        const entered = this._toNumber(egfr);
+        const value = calculated ?? (entered > 0 ? entered : null);
+        if (value === null) return null;
+
+        const gCategory = this.gCategory(value);
+        const acrMgMmol = this.acrToMgMmol(acr, acrUnit);
+        const aCategory = this.aCategory(acrMgMmol);
+        const kdigoRisk = aCategory ? KDIGO_RISK[gCategory][Number(aCategory[1]) - 1] : null;
+        // CKD: eGFR <60 or albuminuria (A2-A3); QRISK3 counts stage 3-5 only
+        const hasCkd = value < (this._get('EGFR.CKD_G2', 60)) || aCategory === 'A2' || aCategory === 'A3';
+        const ckdStage = this.ckdStageKey(gCategory);
+        const stage = aCategory ? `${gCategory} ${aCategory}` : gCategory;
+        return {
+            egfr: value,
+            egfrSource: calculated !== null ? 'CKD-EPI 2021' : 'entered',
+            gCategory,
+            gLabel: G_LABELS[gCategory],
+            acr: acrMgMmol === null ? null : parseFloat(acrMgMmol.toFixed(1)),
+            aCategory,
+            stage,
+            kdigoRisk,
+            hasCkd,
+            ckdStage,
+            qriskCkd: ckdStage !== 'no_ckd',
+            summary: `eGFR ${value} mL/min/1.73m² (${calculated !== null ? 'CKD-EPI 2021' : 'entered'}): KDIGO ${stage}, ${G_LABELS[gCategory]}`
+                + (kdigoRisk ? `; ${kdigoRisk} risk of CKD progression.` : '.'),
+        };
+    }
+
+    /**
+     * Reads the Medication & Labs form (values keyed by input name).
+     * @returns {object} evaluate() inputs.
+     */
+    fromFormData(formData = {}) {
+        return {
+            creatinine: formData.creatinine,
+            creatinineUnit: /mg/i.test(String(formData.creatinine_unit || '')) ? 'mg/dL' : 'umol/L',
+            egfr: formData.egfr,
+            acr: formData.acr,
+            acrUnit: /mg_g/i.test(String(formData.acr_unit || '')) ? 'mg/g' : 'mg/mmol',
+            age: formData.age,
+            sex: formData.sex,
+        };
+    }
+
+    /**
+     * Renal limits at an eGFR for the drugs named (classes expand to their members), from the medication database.
+     * @param {Array<string>} drugs - Generic names or classes, e.g. ['Rosuvastatin', 'SGLT2 Inhibitor'].
+     * @param {number} egfr
+     * @returns {Array<object>} `{ name, maxDose, initiate, note }` for each drug with a limit at this eGFR.
+     */
+    doseLimits(drugs = [], egfr) {
+        const MD = this.dependencies.MedicationDatabase;
+        if (!MD?.getRenalLimit || !(this._toNumber(egfr) >= 0)) return [];
+        const names = drugs.flatMap(drug => (MD.getByName(drug) ? [MD.getByName(drug).name] : MD.getByClass(drug).map(med => med.name)));
+        return [...new Set(names)].map(name => {
+            const limit = MD.getRenalLimit(name, egfr);
+            return limit ? { name, maxDose: limit.maxDose || null, initiate: limit.initiate !== false, note: limit.note } : null;
+        }).filter(Boolean);
+    }
+}
+
+export default RenalFunctionService;
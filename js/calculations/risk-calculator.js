@@ -3,16 +3,33 @@
  * @file /js/calculations/risk-calculator.js
  * @description Unified interface for cardiovascular risk calculations, using enhanced
  * utility services for validation, caching, logging, and data handling.
- * Delegates recommendation generation to a specialized module.
+ * Delegates recommendation generation to a specialized module. The combined assessment adds the
+ * US, ESC, diabetes-specific and secondary-prevention engines where they apply.
  * Fuses user's v3.0.0 [cite: uploaded:risk-calculator.js] with service-oriented enhancements.
- * @version 3.2.0
+ * @version 3.16.5
  * @exports RiskCalculator
  */
 
 'use strict';
 
+import CacReclassificationService from './cac-reclassifier.js';
+import DeprivationLookupService from '../data-management/deprivation-lookup.js';
+import LdlBenefitService from './ldl-benefit.js';
+import SensitivityAnalysisService from './sensitivity-analysis.js';
+import RiskProjectionService from './risk-projection.js';
+
 // Dependencies are injected by main.js.
 // This module assumes FraminghamAlgorithm, QRISK3Algorithm, TreatmentRecommendationsService,
+// PooledCohortAlgorithm and PREVENTAlgorithm (optional, US equations), Score2Algorithm (optional, ESC),
+// UKPDSAlgorithm and DIAL2Algorithm (optional, type 2 diabetes), SmartAlgorithm (optional, established ASCVD),
+// LpaModifier (optional shared LpaModifierService instance; engines create their own otherwise),
+// CacReclassifier (optional CacReclassificationService; created here otherwise),
+// FHDiagnosis, LdlEstimation, LipidDiscordance, LipidRegimenOptimizer, DrugInteraction and RenalFunction (optional services shared with the recommendations),
+// DeprivationLookup (optional DeprivationLookupService for postcode -> Townsend; created here otherwise),
+// LdlBenefit (optional LdlBenefitService for CTT LDL-lowering benefit in simulations; created here otherwise),
+// SensitivityAnalysis (optional SensitivityAnalysisService for one-way sensitivity analysis; created here otherwise),
+// RiskProjection (optional RiskProjectionService for risk progression over time; created here otherwise),
+// RiskEnhancers (optional shared RiskEnhancerService registry for the Framingham engine),
 // EventBus, ErrorLogger, ValidationHelpers, MemoryManager, InputSanitizer, CryptoService, PerformanceMonitor
 // are available via this.dependencies.
 
@@ -33,9 +50,32 @@ class RiskCalculator {
             // Algorithm classes and Recommendation service instance are critical
             FraminghamAlgorithm: null,
             QRISK3Algorithm: null,
+            PooledCohortAlgorithm: null, // Optional US engines; they share the FRS form inputs
+            PREVENTAlgorithm: null,
+            Score2Algorithm: null, // Optional ESC engine; also reads the FRS form inputs
+            UKPDSAlgorithm: null, // Optional type 2 diabetes engine; FRS form plus its diabetes fields
+            DIAL2Algorithm: null, // Optional type 2 diabetes lifetime model; runs only with DIAL2.MODEL loaded
+            SmartAlgorithm: null, // Optional secondary-prevention engine; FRS form plus its ASCVD fields
+            LpaModifier: null, // Shared Lp(a) curve service, passed to the engines and recommendations
+            CacReclassifier: null, // Coronary artery calcium reclassification of the combined result
+            DeprivationLookup: null, // Offline postcode -> Townsend lookup for QRISK3
+            LdlBenefit: null, // CTT benefit of LDL-C lowering for intervention simulations and the recommendations
+            SensitivityAnalysis: null, // Tornado-chart ranges and ranking for calculateSensitivity()
+            RiskProjection: null, // Year-by-year ageing and threshold crossings for calculateRiskProjection()
+            FHDiagnosis: null, // Familial hypercholesterolemia diagnosis for the recommendations
+            LdlEstimation: null, // Calculated LDL-C for the recommendations when none was measured
+            LipidDiscordance: null, // ApoB vs LDL-C / non-HDL-C discordance and the CCS target type
+            LipidRegimenOptimizer: null, // Ranked lipid-lowering regimens reaching the LDL-C target
+            DrugInteraction: null, // Interaction / contraindication alerts for proposed drugs
+            RenalFunction: null, // CKD-EPI 2021 eGFR from creatinine, KDIGO stage and renal dose limits
             TreatmentRecommendationsModule: null,
             ...dependencies
         };
+        this.dependencies.CacReclassifier = this.dependencies.CacReclassifier || new CacReclassificationService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds });
+        this.dependencies.DeprivationLookup = this.dependencies.DeprivationLookup || new DeprivationLookupService({ dependencies: { ErrorLogger: this.dependencies.ErrorLogger } });
+        this.dependencies.LdlBenefit = this.dependencies.LdlBenefit || new LdlBenefitService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds });
+        this.dependencies.SensitivityAnalysis = this.dependencies.SensitivityAnalysis || new SensitivityAnalysisService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds });
+        this.dependencies.RiskProjection = this.dependencies.RiskProjection || new RiskProjectionService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds, LdlBenefit: this.dependencies.LdlBenefit });
 
         if (!this.dependencies.FraminghamAlgorithm || !this.dependencies.QRISK3Algorithm) {
             const errorMsg = 'RiskCalculator: Critical algorithm dependencies (FraminghamAlgorithm, QRISK3Algorithm classes) not provided.';
@@ -53,13 +93,48 @@ class RiskCalculator {
         this.framingham = new this.dependencies.FraminghamAlgorithm({
             ErrorLogger: this.dependencies.ErrorLogger,
             PerformanceMonitor: this.dependencies.PerformanceMonitor,
-            ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds // Pass it down
+            ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds, // Pass it down
+            LpaModifier: this.dependencies.LpaModifier || undefined,
+            RiskEnhancers: this.dependencies.RiskEnhancers || undefined
         });
         this.qrisk3 = new this.dependencies.QRISK3Algorithm({
             ErrorLogger: this.dependencies.ErrorLogger,
             PerformanceMonitor: this.dependencies.PerformanceMonitor,
-            ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds
+            ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds,
+            QRISK3Imputation: this.dependencies.QRISK3Imputation || undefined,
+            LpaModifier: this.dependencies.LpaModifier || undefined
         });
+        const engineDependencies = { ErrorLogger: this.dependencies.ErrorLogger, PerformanceMonitor: this.dependencies.PerformanceMonitor, ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds, LpaModifier: this.dependencies.LpaModifier || undefined };
+        this.pce = this.dependencies.PooledCohortAlgorithm ? new this.dependencies.PooledCohortAlgorithm(engineDependencies) : null;
+        this.prevent = this.dependencies.PREVENTAlgorithm ? new this.dependencies.PREVENTAlgorithm(engineDependencies) : null;
+        if (!this.pce || !this.prevent) {
+            this.dependencies.ErrorLogger.log?.('warn', 'RiskCalculator: PooledCohortAlgorithm and/or PREVENTAlgorithm not provided. US risk equations unavailable.', 'RiskCalc-Init');
+        }
+        this.score2 = this.dependencies.Score2Algorithm ? new this.dependencies.Score2Algorithm(engineDependencies) : null;
+        if (!this.score2) this.dependencies.ErrorLogger.log?.('warn', 'RiskCalculator: Score2Algorithm not provided. SCORE2/SCORE2-OP unavailable.', 'RiskCalc-Init');
+        this.ukpds = this.dependencies.UKPDSAlgorithm ? new this.dependencies.UKPDSAlgorithm(engineDependencies) : null;
+        if (!this.ukpds) this.dependencies.ErrorLogger.log?.('warn', 'RiskCalculator: UKPDSAlgorithm not provided. UKPDS Risk Engine unavailable.', 'RiskCalc-Init');
+        this.dial2 = this.dependencies.DIAL2Algorithm ? new this.dependencies.DIAL2Algorithm(engineDependencies) : null;
+        if (!this.dial2?.isAvailable()) this.dependencies.ErrorLogger.log?.('warn', 'RiskCalculator: DIAL2Algorithm or its DIAL2.MODEL not provided. DIAL2 unavailable.', 'RiskCalc-Init');
+        this.smart = this.dependencies.SmartAlgorithm ? new this.dependencies.SmartAlgorithm(engineDependencies) : null;
+        if (!this.smart) this.dependencies.ErrorLogger.log?.('warn', 'RiskCalculator: SmartAlgorithm not provided. SMART recurrent risk unavailable.', 'RiskCalc-Init');
+
+        // Calculators the combined assessment can run. `resultKey` / `riskDataKey` name the entries on the
+        // combined result and its riskData (FRS and QRISK3 keep their historical names); `categories` is the
+        // engine's risk category scale, lowest first, used for CAC reclassification. A calculator with `appliesTo`
+        // only runs by default when it returns true for the form data; `secondaryPrevention` calculators are
+        // not reclassified by CAC. DIAL2 counts as loaded only once its model is.
+        const primaryPrevention = (d) => !this._hasEstablishedASCVD(d);
+        this.CALCULATORS = {
+            frs: { label: 'FRS', resultKey: 'framingham', riskDataKey: 'frsData', categories: ['low', 'intermediate', 'high'], engine: () => this.framingham, calculate: (d, o) => this.calculateFraminghamRisk(d, o), appliesTo: primaryPrevention },
+            qrisk3: { label: 'QRISK3', resultKey: 'qrisk3', riskDataKey: 'qriskData', categories: ['low', 'intermediate', 'high'], engine: () => this.qrisk3, calculate: (d, o) => this.calculateQRisk3(d, o), appliesTo: primaryPrevention },
+            pce: { label: 'PCE', resultKey: 'pce', riskDataKey: 'pceData', categories: ['low', 'borderline', 'intermediate', 'high'], engine: () => this.pce, calculate: (d, o) => this.calculatePooledCohortRisk(d, o), appliesTo: primaryPrevention },
+            prevent: { label: 'PREVENT', resultKey: 'prevent', riskDataKey: 'preventData', categories: ['low', 'borderline', 'intermediate', 'high'], engine: () => this.prevent, calculate: (d, o) => this.calculatePREVENTRisk(d, o), appliesTo: primaryPrevention },
+            score2: { label: 'SCORE2', resultKey: 'score2', riskDataKey: 'score2Data', categories: ['low_moderate', 'high', 'very_high'], engine: () => this.score2, calculate: (d, o) => this.calculateScore2Risk(d, o), appliesTo: primaryPrevention },
+            ukpds: { label: 'UKPDS', resultKey: 'ukpds', riskDataKey: 'ukpdsData', categories: ['low', 'intermediate', 'high'], engine: () => this.ukpds, calculate: (d, o) => this.calculateUKPDSRisk(d, o), appliesTo: (d) => primaryPrevention(d) && this._hasType2Diabetes(d) },
+            dial2: { label: 'DIAL2', resultKey: 'dial2', riskDataKey: 'dial2Data', categories: ['low', 'intermediate', 'high'], engine: () => (this.dial2?.isAvailable() ? this.dial2 : null), calculate: (d, o) => this.calculateDIAL2Risk(d, o), appliesTo: (d) => primaryPrevention(d) && this._hasType2Diabetes(d) },
+            smart: { label: 'SMART', resultKey: 'smart', riskDataKey: 'smartData', categories: ['low_moderate', 'high', 'very_high'], engine: () => this.smart, calculate: (d, o) => this.calculateSmartRisk(d, o), appliesTo: (d) => this._hasEstablishedASCVD(d), secondaryPrevention: true }
+        };
 
         // TreatmentRecommendations is expected to be an instance or a class that can be instantiated
         if (typeof this.dependencies.TreatmentRecommendationsModule === 'function' &&
@@ -69,6 +144,15 @@ class RiskCalculator {
                     ErrorLogger: this.dependencies.ErrorLogger,
                     EventBus: this.dependencies.EventBus,
                     ClinicalThresholds: this.dependencies.ValidationHelpers?.dependencies?.ClinicalThresholds,
+                    LpaModifier: this.dependencies.LpaModifier || undefined,
+                    CacReclassifier: this.dependencies.CacReclassifier,
+                    FHDiagnosis: this.dependencies.FHDiagnosis || undefined,
+                    LdlEstimation: this.dependencies.LdlEstimation || undefined,
+                    LipidDiscordance: this.dependencies.LipidDiscordance || undefined,
+                    LipidRegimenOptimizer: this.dependencies.LipidRegimenOptimizer || undefined,
+                    DrugInteraction: this.dependencies.DrugInteraction || undefined,
+                    RenalFunction: this.dependencies.RenalFunction || undefined,
+                    LdlBenefit: this.dependencies.LdlBenefit,
                     MedicationDatabase: window.MedicationDatabase // Assuming global for now
                 }
             });
@@ -88,15 +172,56 @@ class RiskCalculator {
             defaultUnits: { cholesterol: 'mmol/L', height: 'cm', weight: 'kg', lpa: 'nmol/L' },
             allowOutliersInValidation: false,
         };
+        this.RISK_HORIZONS = ['tenYear', 'thirtyYear', 'lifetime']; // Keys of the engines' `horizons` output
+        // Summary wording; the longer horizons are RiskHorizonService projections, not validated models
+        this.HORIZON_LABELS = { tenYear: '10-year', thirtyYear: '30-year projected (not validated)', lifetime: 'lifetime projected (not validated)' };
+        this.ASCVD_FIELDS = { // FRS form checkbox -> SMART input
+            'frs-ascvd-coronary': 'coronaryDisease', 'frs-ascvd-cerebrovascular': 'cerebrovascularDisease',
+            'frs-ascvd-peripheral': 'peripheralArterialDisease', 'frs-ascvd-aortic-aneurysm': 'aorticAneurysm'
+        };
 
+        this.VERSION = '3.16.5';
         this.version = {
-            orchestrator: '3.2.0',
+            orchestrator: this.VERSION,
             framingham: this.framingham?.VERSION || 'unknown',
             qrisk3: this.qrisk3?.VERSION || 'unknown',
+            pce: this.pce?.VERSION || 'unavailable',
+            prevent: this.prevent?.VERSION || 'unavailable',
+            score2: this.score2?.VERSION || 'unavailable',
+            ukpds: this.ukpds?.VERSION || 'unavailable',
+            dial2: this.dial2?.isAvailable() ? this.dial2.VERSION : 'unavailable',
+            smart: this.smart?.VERSION || 'unavailable',
             recommendations: this.treatmentRecommendations?.VERSION || 'unknown'
         };
 
-        this.dependencies.ErrorLogger.log?.('info', `RiskCalculator Orchestrator initialized (v${this.version.orchestrator}). Algorithms: FRS v${this.version.framingham}, QRISK3 v${this.version.qrisk3}. Recs v${this.version.recommendations}`, 'RiskCalc-Init');
+        this.dependencies.ErrorLogger.log?.('info', `RiskCalculator Orchestrator initialized (v${this.version.orchestrator}). Algorithms: FRS v${this.version.framingham}, QRISK3 v${this.version.qrisk3}, PCE v${this.version.pce}, PREVENT v${this.version.prevent}, SCORE2 v${this.version.score2}, UKPDS v${this.version.ukpds}, DIAL2 v${this.version.dial2}, SMART v${this.version.smart}. Recs v${this.version.recommendations}`, 'RiskCalc-Init');
+    }
+
+    /**
+     * Keys of the calculators whose engines are loaded, in display order.
+     * @returns {string[]}
+     */
+    getAvailableCalculators() {
+        return Object.keys(this.CALCULATORS).filter(key => !!this.CALCULATORS[key].engine());
+    }
+
+    /**
+     * True when either form records type 2 diabetes: the FRS diabetes type ('frs-diabetes-type', with
+     * 'frs-diabetes' not 'no') or the QRISK3 diabetes status.
+     * @param {object} rawData
+     * @returns {boolean}
+     */
+    _hasType2Diabetes(rawData = {}) {
+        return (rawData['frs-diabetes-type'] === 'type2' && rawData['frs-diabetes'] !== 'no') || rawData['qrisk-diabetes'] === 'type2';
+    }
+
+    /**
+     * True when the FRS form records established ASCVD (any of the 'frs-ascvd-*' vascular beds).
+     * @param {object} rawData
+     * @returns {boolean}
+     */
+    _hasEstablishedASCVD(rawData = {}) {
+        return Object.keys(this.ASCVD_FIELDS).some(field => rawData[field] === 'on');
     }
 
     async _generateCacheKey(calculatorType, rawData) {
@@ -105,14 +230,30 @@ class RiskCalculator {
         const keyData = { calc: calculatorType };
         // Define key fields for each calculator to ensure consistent caching keys
         // These MUST match relevant 'name' attributes from your HTML forms
-        const frsKeyFields = ['frs-age', 'frs-sex', 'frs-total-chol', 'frs-hdl', 'frs-sbp', 'frs-bp-treatment', 'frs-smoker', 'frs-diabetes', 'frs-lpa', 'frs-lpa-unit', 'frs-family-history', 'frs-south-asian'];
-        const qriskKeyFields = ['qrisk-age', 'qrisk-sex', 'qrisk-ethnicity', 'qrisk-sbp', 'qrisk-sbp-sd', 'qrisk-bmi', 'qrisk-height', 'qrisk-weight', 'qrisk-height-unit', 'qrisk-weight-unit', 'qrisk-cholesterol-ratio', 'qrisk-total-chol', 'qrisk-hdl', 'qrisk-cholesterol-units', 'qrisk-smoker', 'qrisk-diabetes', 'qrisk-bp-treatment', 'qrisk-family-history-cvd-parent', 'qrisk-chronic-kidney-disease', 'qrisk-atrial-fibrillation', 'qrisk-migraine', 'qrisk-rheumatoid-arthritis', 'qrisk-sle', 'qrisk-severe-mental-illness', 'qrisk-atypical-antipsychotics', 'qrisk-regular-steroids', 'qrisk-erectile-dysfunction', 'qrisk-townsend'];
+        const frsKeyFields = ['frs-age', 'frs-sex', 'frs-total-chol', 'frs-hdl', 'frs-sbp', 'frs-bp-treatment', 'frs-smoker', 'frs-diabetes', 'frs-lpa', 'frs-lpa-unit', 'frs-lpa-assay', 'frs-lpa-alt', 'frs-family-history', 'frs-south-asian',
+            'frs-hscrp', 'frs-apob', 'frs-abi', 'frs-premature-menopause', 'frs-preeclampsia', 'frs-inflammatory-disease', 'frs-hiv'];
+        const qriskKeyFields = ['qrisk-age', 'qrisk-sex', 'qrisk-ethnicity', 'qrisk-sbp', 'qrisk-sbp-sd', 'qrisk-bmi', 'qrisk-height', 'qrisk-weight', 'qrisk-height-unit', 'qrisk-weight-unit', 'qrisk-cholesterol-ratio', 'qrisk-total-chol', 'qrisk-hdl', 'qrisk-cholesterol-units', 'qrisk-smoker', 'qrisk-diabetes', 'qrisk-bp-treatment', 'qrisk-family-history-cvd-parent', 'qrisk-chronic-kidney-disease', 'qrisk-atrial-fibrillation', 'qrisk-migraine', 'qrisk-rheumatoid-arthritis', 'qrisk-sle', 'qrisk-severe-mental-illness', 'qrisk-atypical-antipsychotics', 'qrisk-regular-steroids', 'qrisk-erectile-dysfunction', 'qrisk-townsend', 'qrisk-townsend-score', 'townsend_score', 'townsend_source', 'qrisk-postcode', 'qrisk-impute-missing',
+            'lpa_qrisk', 'lpa_qrisk_unit', 'frs-lpa', 'frs-lpa-unit', 'frs-lpa-assay', 'frs-lpa-alt'];
+
+        const usKeyFields = ['frs-age', 'frs-sex', 'frs-total-chol', 'frs-hdl', 'frs-cholesterol-units', 'frs-sbp', 'frs-bp-treatment', 'frs-smoker', 'frs-diabetes', 'frs-race', 'frs-egfr', 'frs-statin'];
+        const score2KeyFields = ['frs-age', 'frs-sex', 'frs-total-chol', 'frs-hdl', 'frs-cholesterol-units', 'frs-sbp', 'frs-smoker', 'frs-diabetes', 'frs-lpa', 'frs-lpa-unit', 'frs-lpa-assay', 'frs-lpa-alt', 'frs-risk-region'];
+        const ukpdsKeyFields = ['frs-age', 'frs-sex', 'frs-total-chol', 'frs-hdl', 'frs-cholesterol-units', 'frs-sbp', 'frs-smoker', 'frs-diabetes', 'frs-diabetes-type', 'frs-diabetes-duration', 'frs-hba1c', 'frs-hba1c-unit', 'frs-race', 'frs-atrial-fibrillation', 'qrisk-diabetes', 'qrisk-atrial-fibrillation'];
+        const dial2KeyFields = [...ukpdsKeyFields, 'frs-egfr', 'frs-creatinine', 'frs-creatinine-unit', 'frs-insulin', 'frs-risk-region'];
+        const smartKeyFields = ['frs-age', 'frs-sex', 'frs-total-chol', 'frs-hdl', 'frs-ldl', 'frs-cholesterol-units', 'frs-sbp', 'frs-smoker', 'frs-diabetes', 'frs-egfr', 'frs-hscrp', 'frs-ascvd-years', ...Object.keys(this.ASCVD_FIELDS)];
+        const cacKeyFields = ['ml-cac-score', 'ml-cac-percentile']; // Medication & Labs form; only the combined assessment reclassifies
+        // Creatinine and ACR give eGFR and the CKD stage for every calculator, from its own form or Medication & Labs
+        const renalKeyFields = ['frs-creatinine', 'frs-creatinine-unit', 'qrisk-creatinine', 'qrisk-creatinine-unit', 'creatinine', 'creatinine_unit', 'frs-acr', 'frs-acr-unit', 'qrisk-acr', 'qrisk-acr-unit', 'acr', 'acr_unit', 'qrisk-ckd-stage', 'ckd_stage'];
 
         const relevantFields = calculatorType === 'frs' ? frsKeyFields :
                               calculatorType === 'qrisk3' ? qriskKeyFields :
-                              [...new Set([...frsKeyFields, ...qriskKeyFields])]; // For 'combined'
-
-        for (const field of relevantFields) {
+                              (calculatorType === 'pce' || calculatorType === 'prevent') ? usKeyFields :
+                              calculatorType === 'score2' ? score2KeyFields :
+                              calculatorType === 'ukpds' ? ukpdsKeyFields :
+                              calculatorType === 'dial2' ? dial2KeyFields :
+                              calculatorType === 'smart' ? smartKeyFields :
+                              [...new Set([...frsKeyFields, ...qriskKeyFields, ...usKeyFields, ...score2KeyFields, ...ukpdsKeyFields, ...dial2KeyFields, ...smartKeyFields, ...cacKeyFields])]; // For 'combined'
+
+        for (const field of [...relevantFields, ...renalKeyFields]) {
             if (rawData.hasOwnProperty(field) && rawData[field] !== undefined && rawData[field] !== null && rawData[field] !== '') {
                 keyData[field] = S.escapeHTML(String(rawData[field]));
             }
@@ -121,6 +262,22 @@ class RiskCalculator {
         return `calc_${calculatorType}_${await C.hashData(serializedData)}`;
     }
 
+    /**
+     * Lp(a) assay type and, when the lab reported both units, the value in the other unit (FRS form).
+     * @param {object} sanitizedRawData
+     * @param {string} lpaUnit - Unit of the primary Lp(a) value.
+     * @returns {{lpaAssayType: string|undefined, lpaAlternate: {value: number, unit: string}|undefined}}
+     * @private
+     */
+    _mapLpaAssay(sanitizedRawData, lpaUnit) {
+        const alternateValue = sanitizedRawData['frs-lpa-alt'];
+        const alternateUnit = String(lpaUnit).toLowerCase().includes('nmol') ? 'mg/dL' : 'nmol/L';
+        return {
+            lpaAssayType: sanitizedRawData['frs-lpa-assay'] || undefined,
+            lpaAlternate: alternateValue ? { value: Number(alternateValue), unit: alternateUnit } : undefined
+        };
+    }
+
     async _prepareAndValidateData(rawData, calculatorType) {
         const V = this.dependencies.ValidationHelpers;
         const S = this.dependencies.InputSanitizer;
@@ -132,20 +289,22 @@ class RiskCalculator {
         const sanitizedRawData = S.sanitizeObjectOrArray(rawData, (val) => S.escapeHTML(String(val)));
 
         // Common fields (HTML 'name' attributes directly used as keys in sanitizedRawData)
-        mappedData.age = Number(sanitizedRawData[`${calculatorType}-age`]);
-        mappedData.sex = sanitizedRawData[`${calculatorType}-sex`]?.toLowerCase();
-        mappedData.systolicBP = Number(sanitizedRawData[`${calculatorType}-sbp`]);
-        mappedData.onBPMeds = sanitizedRawData[`${calculatorType}-bp-treatment`] === 'yes';
+        // QRISK3 form fields are named 'qrisk-*'; PCE, PREVENT, SCORE2, UKPDS, DIAL2 and SMART read the FRS form ('frs-*')
+        const fieldPrefix = calculatorType === 'qrisk3' ? 'qrisk' : ['pce', 'prevent', 'score2', 'ukpds', 'dial2', 'smart'].includes(calculatorType) ? 'frs' : calculatorType;
+        mappedData.age = Number(sanitizedRawData[`${fieldPrefix}-age`]);
+        mappedData.sex = sanitizedRawData[`${fieldPrefix}-sex`]?.toLowerCase();
+        mappedData.systolicBP = Number(sanitizedRawData[`${fieldPrefix}-sbp`]);
+        mappedData.onBPMeds = sanitizedRawData[`${fieldPrefix}-bp-treatment`] === 'yes';
         // FRS uses 'isSmoker', 'hasDiabetes'. QRISK3 uses 'smokingStatus', 'diabetesStatus'.
         // We'll map to the more general ones here and let algorithm-specific _processInputs handle details.
-        mappedData.isSmoker = sanitizedRawData[`${calculatorType}-smoker`] === 'yes';
-        mappedData.hasDiabetes = sanitizedRawData[`${calculatorType}-diabetes`] === 'yes';
+        mappedData.isSmoker = sanitizedRawData[`${fieldPrefix}-smoker`] === 'yes';
+        mappedData.hasDiabetes = sanitizedRawData[`${fieldPrefix}-diabetes`] === 'yes';
 
 
-        const cholUnit = sanitizedRawData[`${calculatorType}-cholesterol-units`] || this.options.defaultUnits.cholesterol;
-        mappedData.totalCholesterol = Number(sanitizedRawData[`${calculatorType}-total-chol`]);
-        mappedData.hdl = Number(sanitizedRawData[`${calculatorType}-hdl`]);
-        mappedData.ldl = sanitizedRawData[`${calculatorType}-ldl`] ? Number(sanitizedRawData[`${calculatorType}-ldl`]) : undefined;
+        const cholUnit = sanitizedRawData[`${fieldPrefix}-cholesterol-units`] || this.options.defaultUnits.cholesterol;
+        mappedData.totalCholesterol = Number(sanitizedRawData[`${fieldPrefix}-total-chol`]);
+        mappedData.hdl = Number(sanitizedRawData[`${fieldPrefix}-hdl`]);
+        mappedData.ldl = sanitizedRawData[`${fieldPrefix}-ldl`] ? Number(sanitizedRawData[`${fieldPrefix}-ldl`]) : undefined;
 
         if (cholUnit === 'mg/dL') {
             const tcConv = V.convertLipid(mappedData.totalCholesterol, 'TC_HDL_LDL', 'mmol/L');
@@ -158,13 +317,32 @@ class RiskCalculator {
             }
         }
         mappedData.cholesterolUnitCalculated = 'mmol/L'; // All lipids are now in mmol/L
+        // Renal function: creatinine (µmol/L or mg/dL) and albumin-to-creatinine ratio, from the calculator's form or,
+        // failing that, the Medication & Labs fields; the unit follows whichever creatinine was used
+        const creatinineKey = [`${fieldPrefix}-creatinine`, 'frs-creatinine', 'creatinine'].find(key => sanitizedRawData[key]);
+        const creatinineUnitKey = creatinineKey === 'creatinine' ? 'creatinine_unit' : `${creatinineKey}-unit`;
+        const acrKey = [`${fieldPrefix}-acr`, 'acr'].find(key => sanitizedRawData[key]);
+        mappedData.creatinine = creatinineKey ? Number(sanitizedRawData[creatinineKey]) : undefined;
+        mappedData.creatinineUnit = creatinineKey && sanitizedRawData[creatinineUnitKey] === 'mg_dl' ? 'mg/dL' : 'umol/L';
+        mappedData.acr = acrKey ? Number(sanitizedRawData[acrKey]) : undefined;
+        mappedData.acrUnit = sanitizedRawData[acrKey === 'acr' ? 'acr_unit' : `${fieldPrefix}-acr-unit`] === 'mg_g' ? 'mg/g' : 'mg/mmol';
 
         if (calculatorType === 'frs') {
             const lpaUnitKey = 'frs-lpa-unit';
             mappedData.lpa = sanitizedRawData['frs-lpa'] ? Number(sanitizedRawData['frs-lpa']) : undefined;
             mappedData.lpaUnit = sanitizedRawData[lpaUnitKey] || this.options.defaultUnits.lpa;
+            Object.assign(mappedData, this._mapLpaAssay(sanitizedRawData, mappedData.lpaUnit));
             mappedData.familyHistory = sanitizedRawData['frs-family-history'] === 'on';
             mappedData.isSouthAsian = sanitizedRawData['frs-south-asian'] === 'on';
+            // Risk enhancers (RiskEnhancerService); numeric ones stay undefined when not entered
+            const optionalNumber = (key) => (sanitizedRawData[key] ? Number(sanitizedRawData[key]) : undefined);
+            mappedData.hsCrp = optionalNumber('frs-hscrp');
+            mappedData.apoB = optionalNumber('frs-apob');
+            mappedData.abi = optionalNumber('frs-abi');
+            mappedData.prematureMenopause = sanitizedRawData['frs-premature-menopause'] === 'on';
+            mappedData.preeclampsia = sanitizedRawData['frs-preeclampsia'] === 'on';
+            mappedData.chronicInflammatoryDisease = sanitizedRawData['frs-inflammatory-disease'] === 'on';
+            mappedData.hiv = sanitizedRawData['frs-hiv'] === 'on';
 
             rules = {
                 age: [V.isNotEmpty, (v) => V.isInRange(v, CT?.get('AGE.MIN_FRS', 30) || 30, CT?.get('AGE.MAX_FRS', 79) || 79)],
@@ -177,7 +355,17 @@ class RiskCalculator {
             };
         } else if (calculatorType === 'qrisk3') {
             mappedData.ethnicity = sanitizedRawData['qrisk-ethnicity'];
-            mappedData.systolicBP_sd = sanitizedRawData['qrisk-sbp-sd'] ? Number(sanitizedRawData['qrisk-sbp-sd']) : 0;
+            mappedData.systolicBP_sd = sanitizedRawData['qrisk-sbp-sd'] ? Number(sanitizedRawData['qrisk-sbp-sd']) : undefined; // Missing, not 0
+            mappedData.imputeMissing = sanitizedRawData['qrisk-impute-missing'] === 'on';
+            // Lp(a) from the QRISK3 form, or the FRS form value (combined assessment)
+            if (sanitizedRawData.lpa_qrisk) {
+                mappedData.lpa = Number(sanitizedRawData.lpa_qrisk);
+                mappedData.lpaUnit = sanitizedRawData.lpa_qrisk_unit || this.options.defaultUnits.lpa;
+            } else if (sanitizedRawData['frs-lpa']) {
+                mappedData.lpa = Number(sanitizedRawData['frs-lpa']);
+                mappedData.lpaUnit = sanitizedRawData['frs-lpa-unit'] || this.options.defaultUnits.lpa;
+                Object.assign(mappedData, this._mapLpaAssay(sanitizedRawData, mappedData.lpaUnit));
+            }
 
             const bmiInput = sanitizedRawData['qrisk-bmi'];
             if (bmiInput && V.isNumber(bmiInput).isValid) mappedData.bmi = Number(bmiInput);
@@ -211,23 +399,121 @@ class RiskCalculator {
                 const internalKey = qriskBinaryFactors[htmlSuffix];
                 mappedData[internalKey] = sanitizedRawData[`qrisk-${htmlSuffix}`] === 'on';
             }
-            mappedData.townsendScore = sanitizedRawData['qrisk-townsend'] ? Number(sanitizedRawData['qrisk-townsend']) : undefined;
+            mappedData.ckdStage = sanitizedRawData['qrisk-ckd-stage'] || sanitizedRawData.ckd_stage || undefined;
+            // A score the form filled from the postcode (townsend_source 'postcode') is looked up again so its source is reported
+            const townsendInput = sanitizedRawData['qrisk-townsend'] || sanitizedRawData['qrisk-townsend-score'] || sanitizedRawData.townsend_score;
+            const townsendFromPostcode = (sanitizedRawData['qrisk-townsend-source'] || sanitizedRawData.townsend_source) === 'postcode';
+            mappedData.townsendScore = townsendInput && !townsendFromPostcode ? Number(townsendInput) : undefined;
+            if (mappedData.townsendScore === undefined && sanitizedRawData['qrisk-postcode']) {
+                const area = this.dependencies.DeprivationLookup.lookup(sanitizedRawData['qrisk-postcode']);
+                if (area) { mappedData.townsendScore = area.townsendScore; mappedData.townsendLookup = area; }
+            }
+            if (mappedData.townsendScore === undefined && townsendInput) mappedData.townsendScore = Number(townsendInput);
+            // In imputation mode BMI and cholesterol ratio may be left blank; QRISK3Algorithm fills them in
+            const required = (fieldRules) => mappedData.imputeMissing ? fieldRules.map(rule => (v, ...args) => (v === undefined ? { isValid: true } : rule(v, ...args))) : [V.isNotEmpty, ...fieldRules];
 
             rules = {
                 age: [V.isNotEmpty, (v) => V.isInRange(v, CT?.get('AGE.MIN_QRISK3', 25) || 25, CT?.get('AGE.MAX_QRISK3', 84) || 84)],
                 sex: [V.isNotEmpty, (v) => V.matchesRegex(v, /^(male|female)$/i, 'Select sex.')],
                 ethnicity: [V.isNotEmpty], // TODO: Add regex or enum check for valid ethnicity codes
                 systolicBP: [V.isNotEmpty, (v) => V.isValidSbp(v)],
-                bmi: [V.isNotEmpty, (v) => V.isInRange(v, CT?.get('BMI.MIN', 10) || 10, CT?.get('BMI.MAX', 70) || 70)],
-                cholesterolRatio: [V.isNotEmpty, V.isNumber, (v) => V.isInRange(v, 1, 12)],
+                bmi: required([(v) => V.isInRange(v, CT?.get('BMI.MIN', 10) || 10, CT?.get('BMI.MAX', 70) || 70)]),
+                cholesterolRatio: required([V.isNumber, (v) => V.isInRange(v, 1, 12)]),
                 smokingStatus: [V.isNotEmpty], // TODO: Add enum check for valid smoking statuses
                 diabetesStatus: [V.isNotEmpty], // TODO: Add enum check for valid diabetes statuses
+                lpa: [(v) => (v === undefined ? { isValid: true } : V.isNumber(v)), (v) => (v === undefined ? { isValid: true } : V.isInRange(v, 0, 500))]
+            };
+        } else if (calculatorType === 'pce' || calculatorType === 'prevent') {
+            mappedData.race = sanitizedRawData['frs-race'] || 'white';
+            mappedData.egfr = sanitizedRawData['frs-egfr'] ? Number(sanitizedRawData['frs-egfr']) : undefined;
+            mappedData.onStatin = sanitizedRawData['frs-statin'] === 'yes';
+
+            const minAge = calculatorType === 'pce' ? (CT?.get('AGE.MIN_PCE', 40) || 40) : (CT?.get('AGE.MIN_PREVENT', 30) || 30);
+            const maxAge = calculatorType === 'pce' ? (CT?.get('AGE.MAX_PCE', 79) || 79) : (CT?.get('AGE.MAX_PREVENT', 79) || 79);
+            rules = {
+                age: [V.isNotEmpty, (v) => V.isInRange(v, minAge, maxAge)],
+                sex: [V.isNotEmpty, (v) => V.matchesRegex(v, /^(male|female)$/i, 'Select sex.')],
+                totalCholesterol: [V.isNotEmpty, (v) => V.isValidLipid(v, 'TOTAL_CHOLESTEROL', 'mmol/L')],
+                hdl: [V.isNotEmpty, (v) => V.isValidLipid(v, 'HDL', 'mmol/L')],
+                systolicBP: [V.isNotEmpty, (v) => V.isValidSbp(v)],
+            };
+            if (calculatorType === 'pce') rules.race = [(v) => V.matchesRegex(v, /^(white|african_american|other)$/i, 'Select race.')];
+            else rules.egfr = [V.isNotEmpty, (v) => V.isInRange(v, 1, 200)]; // PREVENT requires eGFR
+        } else if (calculatorType === 'score2') {
+            mappedData.riskRegion = sanitizedRawData['frs-risk-region'] || CT?.get('SCORE2.DEFAULT_REGION', 'moderate') || 'moderate';
+            mappedData.lpa = sanitizedRawData['frs-lpa'] ? Number(sanitizedRawData['frs-lpa']) : undefined;
+            mappedData.lpaUnit = sanitizedRawData['frs-lpa-unit'] || this.options.defaultUnits.lpa;
+            Object.assign(mappedData, this._mapLpaAssay(sanitizedRawData, mappedData.lpaUnit));
+
+            rules = {
+                age: [V.isNotEmpty, (v) => V.isInRange(v, CT?.get('AGE.MIN_SCORE2', 40) || 40, CT?.get('AGE.MAX_SCORE2_OP', 89) || 89)],
+                sex: [V.isNotEmpty, (v) => V.matchesRegex(v, /^(male|female)$/i, 'Select sex.')],
+                totalCholesterol: [V.isNotEmpty, (v) => V.isValidLipid(v, 'TOTAL_CHOLESTEROL', 'mmol/L')],
+                hdl: [V.isNotEmpty, (v) => V.isValidLipid(v, 'HDL', 'mmol/L')],
+                systolicBP: [V.isNotEmpty, (v) => V.isValidSbp(v)],
+                riskRegion: [(v) => V.matchesRegex(v, /^(low|moderate|high|very_high)$/i, 'Select a SCORE2 risk region.')],
+                lpa: [(v) => (v === undefined || V.isNumber(v).isValid), (v) => (v === undefined || V.isInRange(v, 0, 500).isValid)]
+            };
+        } else if (calculatorType === 'ukpds' || calculatorType === 'dial2') {
+            mappedData.diabetesType = this._hasType2Diabetes(sanitizedRawData) ? 'type2' : (sanitizedRawData['frs-diabetes-type'] || sanitizedRawData['qrisk-diabetes']);
+            mappedData.diabetesDurationYears = sanitizedRawData['frs-diabetes-duration'] ? Number(sanitizedRawData['frs-diabetes-duration']) : undefined;
+            const hba1c = sanitizedRawData['frs-hba1c'] ? Number(sanitizedRawData['frs-hba1c']) : undefined;
+            // UKPDS uses DCCT %; mmol/mol (IFCC) is converted with the IFCC-NGSP master equation
+            mappedData.hba1c = hba1c !== undefined ? this._hba1cToPercent(hba1c, sanitizedRawData['frs-hba1c-unit']) : undefined;
+            mappedData.isAfroCaribbean = sanitizedRawData['frs-race'] === 'african_american';
+            mappedData.atrialFibrillation = sanitizedRawData['frs-atrial-fibrillation'] === 'on' || sanitizedRawData['qrisk-atrial-fibrillation'] === 'on';
+            const [minAge, maxAge] = calculatorType === 'ukpds'
+                ? [CT?.get('AGE.MIN_UKPDS', 25) || 25, CT?.get('AGE.MAX_UKPDS', 85) || 85]
+                : [CT?.get('AGE.MIN_DIAL2', 30) || 30, CT?.get('AGE.MAX_DIAL2', 85) || 85];
+
+            rules = {
+                age: [V.isNotEmpty, (v) => V.isInRange(v, minAge, maxAge)],
+                sex: [V.isNotEmpty, (v) => V.matchesRegex(v, /^(male|female)$/i, 'Select sex.')],
+                totalCholesterol: [V.isNotEmpty, (v) => V.isValidLipid(v, 'TOTAL_CHOLESTEROL', 'mmol/L')],
+                hdl: [V.isNotEmpty, (v) => V.isValidLipid(v, 'HDL', 'mmol/L')],
+                systolicBP: [V.isNotEmpty, (v) => V.isValidSbp(v)],
+                diabetesType: [(v) => V.matchesRegex(v, /^type2$/, `${this.CALCULATORS[calculatorType].label} is for type 2 diabetes.`)],
+                diabetesDurationYears: [V.isNotEmpty, (v) => V.isInRange(v, 0, 60)],
+                hba1c: [V.isNotEmpty, (v) => V.isInRange(v, 3, 20)]
+            };
+            if (calculatorType === 'dial2') { // eGFR entered or from creatinine below; region as for SCORE2
+                mappedData.egfr = sanitizedRawData['frs-egfr'] ? Number(sanitizedRawData['frs-egfr']) : undefined;
+                mappedData.onInsulin = sanitizedRawData['frs-insulin'] === 'on';
+                mappedData.riskRegion = sanitizedRawData['frs-risk-region'] || CT?.get('SCORE2.DEFAULT_REGION', 'moderate') || 'moderate';
+                rules.egfr = [V.isNotEmpty, (v) => V.isInRange(v, 1, 200)];
+            }
+        } else if (calculatorType === 'smart') {
+            Object.entries(this.ASCVD_FIELDS).forEach(([field, key]) => { mappedData[key] = sanitizedRawData[field] === 'on'; });
+            mappedData.hasASCVD = this._hasEstablishedASCVD(sanitizedRawData);
+            mappedData.yearsSinceFirstEvent = sanitizedRawData['frs-ascvd-years'] ? Number(sanitizedRawData['frs-ascvd-years']) : undefined;
+            mappedData.egfr = sanitizedRawData['frs-egfr'] ? Number(sanitizedRawData['frs-egfr']) : undefined;
+            mappedData.hsCrp = sanitizedRawData['frs-hscrp'] ? Number(sanitizedRawData['frs-hscrp']) : undefined;
+
+            rules = {
+                age: [V.isNotEmpty, (v) => V.isInRange(v, CT?.get('AGE.MIN_SMART', 45) || 45, CT?.get('AGE.MAX_SMART', 80) || 80)],
+                sex: [V.isNotEmpty, (v) => V.matchesRegex(v, /^(male|female)$/i, 'Select sex.')],
+                totalCholesterol: [V.isNotEmpty, (v) => V.isValidLipid(v, 'TOTAL_CHOLESTEROL', 'mmol/L')],
+                hdl: [V.isNotEmpty, (v) => V.isValidLipid(v, 'HDL', 'mmol/L')],
+                systolicBP: [V.isNotEmpty, (v) => V.isValidSbp(v)],
+                hasASCVD: [(v) => V.matchesRegex(String(v), /^true$/, 'Tick at least one vascular bed.')],
+                yearsSinceFirstEvent: [V.isNotEmpty, (v) => V.isInRange(v, 0, 60)],
+                egfr: [V.isNotEmpty, (v) => V.isInRange(v, 1, 200)]
             };
         } else {
             this.dependencies.ErrorLogger.handleError(`Unknown calculator type for data prep: ${calculatorType}`, 'RiskCalc-Prepare', 'error');
             return { isValid: false, errors: { _form: 'Invalid calculator type.' }, data: sanitizedRawData };
         }
 
+        // eGFR by CKD-EPI 2021 from creatinine when not entered; QRISK3 counts CKD stage 3-5 (select or eGFR)
+        const renal = this.dependencies.RenalFunction?.evaluate(mappedData);
+        if (renal) {
+            mappedData.renalFunction = renal;
+            if (mappedData.egfr === undefined) mappedData.egfr = renal.egfr;
+        }
+        if (calculatorType === 'qrisk3') {
+            mappedData.chronicKidneyDisease = mappedData.chronicKidneyDisease || ['ckd_stage3', 'ckd_stage4_5'].includes(mappedData.ckdStage) || !!renal?.qriskCkd;
+        }
+
         const validationResult = V.validateSet(mappedData, rules);
         if (!validationResult.isValid) {
              this.dependencies.ErrorLogger.log('warn', `Validation failed for ${calculatorType} inputs.`, { errors: validationResult.errors, data: mappedData });
@@ -265,8 +551,15 @@ class RiskCalculator {
             result.inputParameters = validatedData;
             result.algorithm = 'QRISK3';
             result.riskData = {
-                score: result.tenYearRiskPercent, category: result.riskCategory, unit: '%',
-                details: { heartAge: result.heartAge, relativeRisk: result.relativeRisk, categoryDescription: result.categoryDescription }
+                score: result.modifiedRiskPercent !== undefined ? result.modifiedRiskPercent : result.tenYearRiskPercent,
+                category: result.riskCategory, unit: '%',
+                healthyComparison: { healthyPersonRiskPercent: result.healthyPersonRiskPercent, relativeRisk: result.relativeRisk, heartAge: result.heartAge, heartAgeLabel: result.heartAgeLabel, age: validatedData.age },
+                horizons: result.horizons,
+                details: {
+                    baseRiskPercent: result.tenYearRiskPercent, modifiedRiskPercent: result.modifiedRiskPercent, modifiersApplied: result.modifiersApplied, lpaModifier: result.lpaModifier || null,
+                    categoryDescription: result.categoryDescription, imputation: result.imputation,
+                    ...(validatedData.townsendLookup ? { townsendSource: `${validatedData.townsendLookup.townsendScore}, looked up from postcode ${validatedData.townsendLookup.postalCode} (${validatedData.townsendLookup.basis}; ${validatedData.townsendLookup.source})` } : {})
+                }
             };
 
             if (effectiveOptions.generateRecommendations && this.treatmentRecommendations?.generateComprehensiveRecommendations) {
@@ -308,7 +601,8 @@ class RiskCalculator {
             result.riskData = {
                 score: result.modifiedRiskPercent !== undefined ? result.modifiedRiskPercent : result.tenYearRiskPercent,
                 category: result.riskCategory, unit: '%',
-                details: { baseRiskPercent: result.tenYearRiskPercent, modifiedRiskPercent: result.modifiedRiskPercent, heartAge: result.heartAge, modifiersApplied: result.modifiersApplied, categoryDescription: result.categoryDescription }
+                horizons: result.horizons,
+                details: { baseRiskPercent: result.tenYearRiskPercent, modifiedRiskPercent: result.modifiedRiskPercent, heartAge: result.heartAge, modifiersApplied: result.modifiersApplied, lpaModifier: result.lpaModifier, categoryDescription: result.categoryDescription }
             };
 
             if (effectiveOptions.generateRecommendations && this.treatmentRecommendations?.generateComprehensiveRecommendations) {
@@ -323,54 +617,152 @@ class RiskCalculator {
         }, (error) => this._handleCalcError(error, 'FRS', transactionId));
     }
 
+    async calculatePooledCohortRisk(rawData, options = {}) {
+        return this._calculateWithFrsInputs('pce', rawData, options);
+    }
+
+    async calculatePREVENTRisk(rawData, options = {}) {
+        return this._calculateWithFrsInputs('prevent', rawData, options);
+    }
+
+    async calculateScore2Risk(rawData, options = {}) {
+        return this._calculateWithFrsInputs('score2', rawData, options);
+    }
+
+    async calculateUKPDSRisk(rawData, options = {}) {
+        return this._calculateWithFrsInputs('ukpds', rawData, options);
+    }
+
+    async calculateDIAL2Risk(rawData, options = {}) {
+        return this._calculateWithFrsInputs('dial2', rawData, options);
+    }
+
+    async calculateSmartRisk(rawData, options = {}) {
+        return this._calculateWithFrsInputs('smart', rawData, options);
+    }
+
+    /**
+     * Shared pipeline for the engines that read the FRS form fields (PCE, PREVENT, SCORE2, UKPDS, DIAL2, SMART).
+     * @param {'pce'|'prevent'|'score2'|'ukpds'|'dial2'|'smart'} calculatorType
+     * @private
+     */
+    async _calculateWithFrsInputs(calculatorType, rawData, options = {}) {
+        const engine = this.CALCULATORS[calculatorType].engine();
+        const label = this.CALCULATORS[calculatorType].label;
+        let transactionId = null;
+        return RuntimeProtection.tryCatch(async () => {
+            if (!engine) throw new Error(`${label} algorithm not available.`);
+            const perfId = this.dependencies.PerformanceMonitor.start(`calculate${label}`);
+            transactionId = await this.dependencies.CryptoService.hashData(Date.now().toString() + Math.random() + calculatorType);
+            const effectiveOptions = { useCache: this.options.useCache, generateRecommendations: this.options.generateRecommendations, ...options };
+            let cacheKey = null;
+
+            if (effectiveOptions.useCache) {
+                cacheKey = await this._generateCacheKey(calculatorType, rawData);
+                const cachedResult = this.dependencies.MemoryManager.retrieve(cacheKey);
+                if (cachedResult) { this.dependencies.EventBus.publish('calculation:cacheHit', { calculatorType, transactionId, results: cachedResult }); this.dependencies.PerformanceMonitor.end(perfId); return cachedResult; }
+            }
+
+            this.dependencies.ErrorLogger.log?.('info', `Calculating ${label} [${transactionId}] for data:`, `RiskCalc-${label}`, { dataKeys: Object.keys(rawData) });
+            const { isValid, errors, data: validatedData } = await this._prepareAndValidateData(rawData, calculatorType);
+            if (!isValid) throw new FieldValidationError(`${label} input validation failed`, 'form', errors);
+
+            const result = engine.calculateRisk(validatedData);
+            if (!result || result.success === false) throw new Error(`${label} algorithm error: ${result?.error || 'Unknown'}`);
+
+            result.transactionId = transactionId;
+            result.calculationDate = new Date().toISOString();
+            result.inputParameters = validatedData;
+            result.algorithm = { pce: 'PooledCohort', prevent: 'PREVENT', score2: 'SCORE2', ukpds: 'UKPDS', dial2: 'DIAL2', smart: 'SMART' }[calculatorType];
+            result.riskData = {
+                score: result.modifiedRiskPercent !== undefined ? result.modifiedRiskPercent : result.tenYearRiskPercent,
+                category: result.riskCategory, unit: '%',
+                horizons: result.horizons,
+                details: { outcome: result.outcome, equation: result.equation, model: result.model, riskRegion: result.riskRegion, baseRiskPercent: result.tenYearRiskPercent, modifiersApplied: result.modifiersApplied, lpaModifier: result.lpaModifier || null, categoryDescription: result.categoryDescription,
+                    ...(result.glycaemicControl ? { chdRiskPercent: result.chdRiskPercent, strokeRiskPercent: result.strokeRiskPercent, glycaemicControl: result.glycaemicControl } : {}),
+                    ...(calculatorType === 'dial2' ? { lifetimeRiskPercent: result.lifetimeRiskPercent, cvdFreeLifeExpectancy: result.cvdFreeMedianAge ? `to age ${result.cvdFreeMedianAge} (median)` : `beyond age ${result.horizons.lifetime.toAge}`, modelSource: result.modelSource } : {}),
+                    ...(result.secondaryPrevention ? { ldlLoweringBenefit: result.ldlLoweringBenefit, assumedInputs: result.assumedInputs.join('; ') || null } : {}) }
+            };
+
+            if (effectiveOptions.generateRecommendations && this.treatmentRecommendations?.generateComprehensiveRecommendations) {
+                result.recommendations = await this.treatmentRecommendations.generateComprehensiveRecommendations(validatedData, { [calculatorType]: result });
+            } else { result.recommendations = this._getFallbackRecs(); }
+
+            if (effectiveOptions.useCache && cacheKey) this.dependencies.MemoryManager.store(cacheKey, result, { expiry: this.options.cacheTTL });
+            this.dependencies.MemoryManager.addResultToPagination({ calculatorType, ...result });
+            this.dependencies.EventBus.publish('calculation:complete', { calculatorType, results: result });
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return result;
+        }, (error) => this._handleCalcError(error, label, transactionId));
+    }
+
     async calculateCombinedRisk(rawData, options = {}) {
         return RuntimeProtection.tryCatch(async () => {
             const perfId = this.dependencies.PerformanceMonitor.start('calculateCombinedRisk');
             const transactionId = await this.dependencies.CryptoService.hashData(Date.now().toString() + Math.random() + "combined");
-            const effectiveOptions = { useCache: this.options.useCache, generateRecommendations: this.options.generateRecommendations, generateComparison: this.options.generateComparison, ...options };
+            const effectiveOptions = { useCache: this.options.useCache, generateRecommendations: this.options.generateRecommendations, generateComparison: this.options.generateComparison, horizon: 'tenYear', ...options };
+            const horizon = this.RISK_HORIZONS.includes(effectiveOptions.horizon) ? effectiveOptions.horizon : 'tenYear';
             let cacheKey = null;
 
             if (effectiveOptions.useCache) {
-                cacheKey = await this._generateCacheKey('combined', rawData);
+                cacheKey = `${await this._generateCacheKey('combined', rawData)}_${horizon}`;
                 const cachedResult = this.dependencies.MemoryManager.retrieve(cacheKey);
                 if (cachedResult) { /* ... return cached ... */ this.dependencies.EventBus.publish('calculation:cacheHit', { calculatorType: 'combined', transactionId, results: cachedResult }); this.dependencies.PerformanceMonitor.end(perfId); return cachedResult; }
             }
 
-            this.dependencies.ErrorLogger.log?.('info', `Calculating Combined Risk [${transactionId}]`, 'RiskCalc-Combined');
-            const [qriskOutcome, framinghamOutcome] = await Promise.allSettled([
-                this.calculateQRisk3(rawData, { ...effectiveOptions, generateRecommendations: false, useCache: true }), // Allow sub-caching
-                this.calculateFraminghamRisk(rawData, { ...effectiveOptions, generateRecommendations: false, useCache: true })
-            ]);
-
-            const qriskResult = qriskOutcome.status === 'fulfilled' ? qriskOutcome.value : { success: false, error: qriskOutcome.reason?.message || 'QRISK3 sub-calc failed', tenYearRiskPercent: NaN, riskCategory: 'Error', riskData: { error: qriskOutcome.reason?.message } };
-            const framinghamResult = framinghamOutcome.status === 'fulfilled' ? framinghamOutcome.value : { success: false, error: framinghamOutcome.reason?.message || 'FRS sub-calc failed', tenYearRiskPercent: NaN, modifiedRiskPercent: NaN, riskCategory: 'Error', riskData: { error: framinghamOutcome.reason?.message } };
-
-            if (!qriskResult.success) this.dependencies.ErrorLogger.log?.('warn', 'QRISK3 failed in combined calculation.', 'RiskCalc-Combined', { error: qriskResult.error });
-            if (!framinghamResult.success) this.dependencies.ErrorLogger.log?.('warn', 'FRS failed in combined calculation.', 'RiskCalc-Combined', { error: framinghamResult.error });
-            if (!qriskResult.success && !framinghamResult.success) throw new Error('Both FRS and QRISK3 sub-calculations failed for combined risk.');
-
-            let comparisonData = null;
-            if (qriskResult.success && framinghamResult.success && effectiveOptions.generateComparison) {
-                comparisonData = this._compareCalculators(qriskResult, framinghamResult, rawData);
+            // Run every requested (default: every loaded and applicable) calculator; any one succeeding is enough for a combined result
+            const defaultKeys = this.getAvailableCalculators().filter(key => !this.CALCULATORS[key].appliesTo || this.CALCULATORS[key].appliesTo(rawData));
+            const calculatorKeys = (effectiveOptions.calculators || defaultKeys).filter(key => this.CALCULATORS[key]?.engine());
+            this.dependencies.ErrorLogger.log?.('info', `Calculating Combined Risk [${transactionId}] with: ${calculatorKeys.join(', ')}`, 'RiskCalc-Combined');
+            const subOptions = { ...effectiveOptions, generateRecommendations: false, useCache: true }; // Allow sub-caching
+            const outcomes = await Promise.allSettled(calculatorKeys.map(key => this.CALCULATORS[key].calculate(rawData, subOptions)));
+
+            const results = {};
+            calculatorKeys.forEach((key, i) => {
+                const outcome = outcomes[i];
+                results[key] = outcome.status === 'fulfilled' ? outcome.value : { success: false, error: outcome.reason?.message || `${this.CALCULATORS[key].label} sub-calc failed`, tenYearRiskPercent: NaN, riskCategory: 'Error', riskData: { error: outcome.reason?.message } };
+                if (!results[key].success) this.dependencies.ErrorLogger.log?.('warn', `${this.CALCULATORS[key].label} failed in combined calculation.`, 'RiskCalc-Combined', { error: results[key].error });
+            });
+            const succeededKeys = calculatorKeys.filter(key => results[key].success);
+            if (succeededKeys.length === 0) throw new Error(`All sub-calculations (${calculatorKeys.join(', ') || 'none available'}) failed for combined risk.`);
+
+            const framinghamResult = results.frs; const qriskResult = results.qrisk3;
+            let comparisonData = null; let calculatorComparison = null;
+            if (effectiveOptions.generateComparison) {
+                if (qriskResult?.success && framinghamResult?.success) {
+                    const additionalResults = {};
+                    succeededKeys.filter(key => key !== 'frs' && key !== 'qrisk3').forEach(key => { additionalResults[key] = results[key]; });
+                    comparisonData = this._compareCalculators(qriskResult, framinghamResult, rawData, horizon, additionalResults);
+                }
+                if (succeededKeys.length >= 2) calculatorComparison = this._compareAllCalculators(results, horizon);
             }
 
+            const resultsByResultKey = {};
+            calculatorKeys.forEach(key => { resultsByResultKey[this.CALCULATORS[key].resultKey] = results[key]; });
+            const cacReclassification = this._applyCacReclassification(rawData, results, succeededKeys);
+
             let combinedRecommendations = null;
             if (effectiveOptions.generateRecommendations && this.treatmentRecommendations?.generateComprehensiveRecommendations) {
-                combinedRecommendations = await this.treatmentRecommendations.generateComprehensiveRecommendations(rawData, { qrisk3: qriskResult, framingham: framinghamResult });
+                combinedRecommendations = await this.treatmentRecommendations.generateComprehensiveRecommendations(rawData, { ...resultsByResultKey, cacReclassification });
             } else { combinedRecommendations = this._getFallbackRecs(); }
 
+            const riskData = { horizon, calculators: {}, comparison: comparisonData, calculatorComparison }; // For ResultsDisplayService
+            Object.values(this.CALCULATORS).forEach(({ riskDataKey }) => { riskData[riskDataKey] = null; });
+            calculatorKeys.forEach(key => {
+                const result = results[key]; const { label, riskDataKey } = this.CALCULATORS[key];
+                riskData[riskDataKey] = result.success ? { ...result.riskData, horizonScore: this._getHorizonRisk(result, horizon) } : { error: result.error, score: null, category: 'Error' };
+                if (result.success) riskData.calculators[key] = { label, ...riskData[riskDataKey], cacCategory: cacReclassification?.calculators[key]?.category ?? null };
+            });
+            riskData.cac = cacReclassification;
 
             const combinedResult = {
-                success: qriskResult.success || framinghamResult.success,
-                transactionId, calculationDate: new Date().toISOString(),
-                qrisk3: qriskResult, framingham: framinghamResult,
-                comparison: comparisonData, recommendations: combinedRecommendations,
+                success: true,
+                transactionId, calculationDate: new Date().toISOString(), horizon,
+                calculators: calculatorKeys,
+                framingham: null, qrisk3: null, pce: null, prevent: null, score2: null, ukpds: null, dial2: null, smart: null, ...resultsByResultKey,
+                comparison: comparisonData, calculatorComparison, cacReclassification, recommendations: combinedRecommendations,
                 inputParameters: rawData, // Original (but sanitized) raw data from form
-                riskData: { // For ResultsDisplayService
-                    frsData: framinghamResult.success ? framinghamResult.riskData : { error: framinghamResult.error, score: null, category: 'Error' },
-                    qriskData: qriskResult.success ? qriskResult.riskData : { error: qriskResult.error, score: null, category: 'Error' },
-                    comparison: comparisonData
-                }
+                riskData
             };
 
             if (effectiveOptions.useCache && cacheKey) this.dependencies.MemoryManager.store(cacheKey, combinedResult, { expiry: this.options.cacheTTL });
@@ -381,23 +773,124 @@ class RiskCalculator {
         }, (error) => this._handleCalcError(error, 'Combined', transactionId));
     }
 
-    _compareCalculators(qriskResult, framinghamResult, patientData) { /* ... (same as v3.1.0, uses this._determineSuggestedApproach) ... */
-        const qP = qriskResult.riskData.score || 0; const fP = framinghamResult.riskData.score || 0;
+    /**
+     * Post-test reclassification of each successful primary-prevention calculator's category by the CAC score entered on the
+     * Medication & Labs form ('ml-cac-score', optional 'ml-cac-percentile'). Applied after the engines'
+     * own modifiers (e.g. Lp(a)), so the percentages are unchanged and only the categories move.
+     * @param {object} rawData
+     * @param {object} results - Calculator results keyed as in this.CALCULATORS.
+     * @param {string[]} succeededKeys
+     * @returns {object|null} The CacReclassificationService evaluation plus `calculators: { [key]: { original, category, changed } }`, or null without a CAC score.
+     * @private
+     */
+    _applyCacReclassification(rawData, results, succeededKeys) {
+        const primaryKeys = succeededKeys.filter(key => !this.CALCULATORS[key].secondaryPrevention); // CAC does not reclassify established ASCVD
+        if (primaryKeys.length === 0) return null;
+        const inputs = primaryKeys.map(key => results[key].inputParameters || {});
+        const context = {
+            isSmoker: inputs.some(p => p.isSmoker === true || (!!p.smokingStatus && !['non', 'never', 'no', 'ex'].includes(String(p.smokingStatus).toLowerCase().replace(/[\s_-]*smoker$/, '')))),
+            hasDiabetes: inputs.some(p => p.hasDiabetes === true || (!!p.diabetesStatus && !['none', 'no', 'no_diabetes'].includes(String(p.diabetesStatus).toLowerCase()))),
+            familyHistory: inputs.some(p => p.familyHistory === true || p.familyHistoryCVDParent === true)
+        };
+        const evaluation = this.dependencies.CacReclassifier.evaluate(rawData['ml-cac-score'], rawData['ml-cac-percentile'], context);
+        if (!evaluation) return null;
+        const calculators = {};
+        primaryKeys.forEach(key => {
+            const { original, category, changed } = this.dependencies.CacReclassifier.reclassify(results[key].riskCategory, this.CALCULATORS[key].categories, evaluation);
+            calculators[key] = { original, category, changed };
+        });
+        this.dependencies.ErrorLogger.log?.('info', `CAC ${evaluation.score}: ${evaluation.direction === 'none' ? 'no reclassification' : `${evaluation.direction}-classified`}.`, 'RiskCalc-Combined');
+        return { ...evaluation, calculators };
+    }
+
+    /**
+     * Risk (%) for the requested horizon ('tenYear' | 'thirtyYear' | 'lifetime'); falls back to the 10-year score.
+     * @private
+     */
+    _getHorizonRisk(result, horizon = 'tenYear') {
+        if (horizon === 'tenYear' || !result?.horizons?.[horizon]) return result?.riskData?.score ?? null;
+        return result.horizons[horizon].riskPercent;
+    }
+
+    /**
+     * Compares every successful calculator result at the given horizon, whichever calculators ran.
+     * @param {object} results - Calculator results keyed as in this.CALCULATORS (e.g. { frs, qrisk3, score2 }).
+     * @param {string} [horizon='tenYear']
+     * @returns {object|null} `{ horizon, calculators: [{ key, label, percent, category, outcome, lpaModified, lpaCurve }], highest, lowest, spread, agreement, categoryAgreement, summary }`
+     * @private
+     */
+    _compareAllCalculators(results, horizon = 'tenYear') {
+        const horizonLabel = this.HORIZON_LABELS[horizon];
+        const calculators = Object.keys(results)
+            .filter(key => results[key]?.success && this.CALCULATORS[key])
+            .map(key => {
+                const result = results[key];
+                const lpaModifier = (result.modifiersApplied || result.riskData.details?.modifiersApplied || []).find(m => m.type === 'Lp(a)');
+                return {
+                    key, label: this.CALCULATORS[key].label, percent: this._getHorizonRisk(result, horizon),
+                    category: horizon === 'tenYear' ? result.riskData.category : null,
+                    outcome: result.outcome || null,
+                    lpaModified: !!lpaModifier,
+                    lpaCurve: lpaModifier?.curve || null
+                };
+            })
+            .filter(c => typeof c.percent === 'number' && !isNaN(c.percent));
+        if (calculators.length < 2) return null;
+
+        const sorted = [...calculators].sort((a, b) => b.percent - a.percent);
+        const spread = sorted[0].percent - sorted[sorted.length - 1].percent;
+        const categories = new Set(calculators.map(c => c.category));
+        return {
+            horizon, calculators,
+            highest: { key: sorted[0].key, percent: sorted[0].percent },
+            lowest: { key: sorted[sorted.length - 1].key, percent: sorted[sorted.length - 1].percent },
+            spread: parseFloat(spread.toFixed(1)),
+            agreement: spread <= 5 ? 'high' : spread <= 10 ? 'moderate' : 'low',
+            categoryAgreement: horizon === 'tenYear' ? categories.size === 1 : null, // Category labels differ between calculators, so this is a strict check
+            summary: `${horizonLabel} risk: ${calculators.map(c => `${c.label} ${c.percent.toFixed(1)}%${c.lpaModified ? ' (Lp(a)-modified)' : ''}`).join(', ')}. Spread: ${spread.toFixed(1)}%`
+        };
+    }
+
+    /**
+     * Compares FRS and QRISK3; other successful results (`additionalResults.pce` / `.prevent` / `.score2` / `.ukpds`) are
+     * reported alongside under `additional`. Note the endpoints differ (PCE: hard ASCVD; PREVENT: total CVD incl. HF;
+     * SCORE2: fatal and non-fatal CVD; UKPDS: CHD and stroke in type 2 diabetes; SMART: recurrent events).
+     * @private
+     */
+    _compareCalculators(qriskResult, framinghamResult, patientData, horizon = 'tenYear', additionalResults = {}) {
+        const qP = this._getHorizonRisk(qriskResult, horizon) || 0; const fP = this._getHorizonRisk(framinghamResult, horizon) || 0;
         const absDiff = Math.abs(qP - fP); const relDiff = (qP > 0 || fP > 0) ? (absDiff / ((qP + fP) / 2)) * 100 : 0;
+        const horizonLabel = this.HORIZON_LABELS[horizon];
+        const additional = {};
+        Object.entries(additionalResults || {}).forEach(([key, result]) => {
+            if (!result?.success) return;
+            additional[key] = { percent: this._getHorizonRisk(result, horizon), category: horizon === 'tenYear' ? result.riskData.category : null, outcome: result.outcome };
+        });
+        const additionalSummary = Object.entries(additional).map(([key, a]) => `${this.CALCULATORS[key]?.label || key}: ${a.percent.toFixed(1)}%${a.category ? ` (${a.category})` : ''}`).join(', ');
+        const baseSummary = horizon === 'tenYear'
+            ? `FRS: ${fP.toFixed(1)}% (${framinghamResult.riskData.category}), QRISK3: ${qP.toFixed(1)}% (${qriskResult.riskData.category}). Abs Diff: ${absDiff.toFixed(1)}%`
+            : `${horizonLabel} risk: FRS ${fP.toFixed(1)}%, QRISK3 ${qP.toFixed(1)}%. Abs Diff: ${absDiff.toFixed(1)}%`;
         return {
+            horizon,
             agreement: absDiff <= 5 ? 'high' : absDiff <= 10 ? 'moderate' : 'low',
-            categoryAgreement: qriskResult.riskData.category === framinghamResult.riskData.category,
+            categoryAgreement: horizon === 'tenYear' ? qriskResult.riskData.category === framinghamResult.riskData.category : null, // Categories are defined on 10-year risk only
             qriskPercent: qP, framinghamPercent: fP,
             absoluteDifference: parseFloat(absDiff.toFixed(1)), relativeDifference: parseFloat(relDiff.toFixed(1)),
-            summary: `FRS: ${fP.toFixed(1)}% (${framinghamResult.riskData.category}), QRISK3: ${qP.toFixed(1)}% (${qriskResult.riskData.category}). Abs Diff: ${absDiff.toFixed(1)}%`,
-            clinicalRecommendation: this._determineSuggestedApproach(qriskResult, framinghamResult, patientData).reasoning.rationale
+            additional,
+            summary: additionalSummary ? `${baseSummary}. ${additionalSummary}` : baseSummary,
+            clinicalRecommendation: this._determineSuggestedApproach(qriskResult, framinghamResult, patientData, additional).reasoning.rationale
         };
     }
 
-     _determineSuggestedApproach(qriskResult, framinghamResult, patientData) { /* ... (same as v3.1.0) ... */
+     _determineSuggestedApproach(qriskResult, framinghamResult, patientData, additional = {}) { /* ... (same as v3.1.0) ... */
         let suggestion = 'qrisk3'; let rationale = "QRISK3 includes a broader range of risk factors relevant to diverse populations.";
         const qScore = qriskResult.riskData.score || 0; const fScore = framinghamResult.riskData.score || 0;
-        if (Math.abs(qScore - fScore) <= 5) {
+        if (patientData.region === 'US' && (additional.pce || additional.prevent)) {
+            suggestion = additional.pce ? 'pce' : 'prevent';
+            rationale = additional.pce
+                ? `ACC/AHA guidelines reference the Pooled Cohort Equations (hard ASCVD)${additional.prevent ? '; PREVENT adds total CVD risk including heart failure' : ''}.`
+                : 'PREVENT estimates total CVD risk (ASCVD and heart failure) for US patients.';
+        } else if (Math.abs(qScore - fScore) <= 5) {
             rationale = "Both calculators provide similar risk estimates. FRS is well-established; QRISK3 is more comprehensive. Clinical judgment advised.";
             suggestion = (this.options.defaultCalculatorPreference === 'framingham' || patientData.region === 'US') ? 'framingham' : 'qrisk3';
         } else if (fScore > qScore) {
@@ -409,37 +902,195 @@ class RiskCalculator {
         return { suggestedCalculator: suggestion, reasoning: { rationale } };
     }
 
-    async calculateInterventionEffect(baseRiskResult, interventionDetails) { /* ... (same as v3.1.0, ensure it calls the correct this.calculateFraminghamRisk or this.calculateQRisk3) ... */
-        this.dependencies.ErrorLogger.log?.('info', `Calculating intervention effect for ${baseRiskResult.algorithm || 'unknown'}`, 'RiskCalc-Intervention');
+    /**
+     * Simulates interventions by re-running the result's own engine on modified inputs, one step at a time in the
+     * order given, so each projected risk is what the calculator returns when the new values are entered.
+     * Steps: `{ type: 'sbp', target | reduction, onTreatment? }`, `{ type: 'lipids', totalCholesterol?, hdl?,
+     * ldlReductionPercent? }` (mmol/L), `{ type: 'smoking', status? }` (default 'ex_smoker'), `{ type: 'bmi', target }`
+     * (weight loss only) and `{ type: 'hba1c', target, unit? }` ('%' or 'mmol_mol'). A step whose input the engine
+     * does not use (BMI outside QRISK3, HbA1c outside UKPDS) is reported with `modelled: false` and no change.
+     * `{ type: 'ldl', reductionMmol | reductionPercent | expectedLdl, label? }` is LDL-C lowering by drug therapy
+     * (e.g. adding ezetimibe): the engine risk is reduced by the CTT relative risk for the total LDL-C lowered so far,
+     * and the step carries the CTT `benefit` (NNT, time to benefit).
+     * The v3.1.0 object form `{ statin: { ldlReductionPercent }, bp: { sbpReduction }, smokingCessation }` is accepted;
+     * the statin becomes an 'ldl' step.
+     * @param {object} baseRiskResult - A successful single-calculator result (with inputParameters).
+     * @param {Array<object>|object} interventionDetails - Ordered steps.
+     * @returns {Promise<object>} Base and final risk, ARR / RRR / NNT, time to benefit of the LDL-C lowering, and `steps`
+     * with each step's input changes, risk, absolute risk reduction and cumulative absolute risk reduction (percentage points).
+     */
+    async calculateInterventionEffect(baseRiskResult, interventionDetails) {
+        this.dependencies.ErrorLogger.log?.('info', `Calculating intervention effect for ${baseRiskResult?.algorithm || 'unknown'}`, 'RiskCalc-Intervention');
         if (!baseRiskResult?.success || !interventionDetails || !baseRiskResult.inputParameters) throw new Error('Valid base risk result and intervention details required.');
-
-        let modifiedData = this._deepClone(baseRiskResult.inputParameters); // Use deep clone
-        const appliedInterventions = []; const S = this.dependencies.InputSanitizer;
-
-        if (interventionDetails.statin?.ldlReductionPercent) {
-            const ldlReductionFactor = 1 - (parseFloat(S.escapeHTML(String(interventionDetails.statin.ldlReductionPercent))) / 100);
-            if (modifiedData.ldl !== undefined) modifiedData.ldl = parseFloat((modifiedData.ldl * ldlReductionFactor).toFixed(2));
-            if (modifiedData.totalCholesterol && modifiedData.hdl) { /* ... recalculate TC, Ratio ... */ }
-            appliedInterventions.push(`Statin (~${interventionDetails.statin.ldlReductionPercent}% LDL red.)`);
+        const { calculatorType, engine } = this._engineForResult(baseRiskResult);
+        const scoreOf = (result) => (result.modifiedRiskPercent !== undefined ? result.modifiedRiskPercent : result.tenYearRiskPercent);
+        const round = (value) => parseFloat(value.toFixed(1));
+        const baseRiskPct = baseRiskResult.riskData.score;
+        const inputs = this._deepClone(baseRiskResult.inputParameters);
+        const LB = this.dependencies.LdlBenefit;
+        const steps = [];
+        let previousRisk = baseRiskPct; let engineRisk = baseRiskPct; let riskCategory = baseRiskResult.riskData.category;
+        let ldlLowered = 0; // mmol/L lowered by 'ldl' steps; applied to every later engine result
+        for (const step of this._normalizeInterventions(interventionDetails)) {
+            const { label, changes, modelled, ldlReductionMmol } = this._applyIntervention(inputs, step, calculatorType);
+            let benefit;
+            if (ldlReductionMmol !== undefined) {
+                benefit = LB.estimate({ baselineRiskPercent: LB.treatedRiskPercent(engineRisk, ldlLowered), reductionMmol: ldlReductionMmol });
+                ldlLowered += ldlReductionMmol;
+            } else if (modelled && changes.length) {
+                const result = engine.calculateRisk(this._deepClone(inputs));
+                if (!result || result.success === false) throw new Error(`Failed to calc modified risk after "${label}": ${result?.error || 'Unknown'}`);
+                engineRisk = scoreOf(result); riskCategory = result.riskCategory;
+            }
+            const riskPercent = LB.treatedRiskPercent(engineRisk, ldlLowered);
+            steps.push({ type: step.type, label, changes, modelled, riskPercent: round(riskPercent), riskCategory,
+                absoluteRiskReduction: round(previousRisk - riskPercent), cumulativeAbsoluteRiskReduction: round(baseRiskPct - riskPercent),
+                ...(benefit ? { benefit } : {}) });
+            previousRisk = riskPercent;
         }
-        if (interventionDetails.bp?.sbpReduction) { /* ... modify SBP ... */ appliedInterventions.push(`BP Tx`); }
-        if (interventionDetails.smokingCessation && (modifiedData.isSmoker || modifiedData.smokingStatus !== 'non')) { modifiedData.isSmoker = false; modifiedData.smokingStatus = 'non'; appliedInterventions.push('Smoking Cessation');}
-
-        let modifiedRiskCalcResult; const calcType = (baseRiskResult.algorithm || '').toLowerCase();
-        if (calcType.includes('framingham')) modifiedRiskCalcResult = await this.calculateFraminghamRisk(modifiedData, { useCache: false, generateRecommendations: false });
-        else if (calcType.includes('qrisk3')) modifiedRiskCalcResult = await this.calculateQRisk3(modifiedData, { useCache: false, generateRecommendations: false });
-        else throw new Error(`Unknown base calculator type "${calcType}"`);
-
-        if (!modifiedRiskCalcResult?.success) throw new Error(`Failed to calc modified risk: ${modifiedRiskCalcResult?.error}`);
-        const modRiskPct = modifiedRiskCalcResult.riskData.score; const baseRiskPct = baseRiskResult.riskData.score;
-        return { success: true, baseRiskPercent: parseFloat(baseRiskPct.toFixed(1)), modifiedRiskPercent: parseFloat(modRiskPct.toFixed(1)),
-            absoluteRiskReduction: parseFloat((baseRiskPct - modRiskPct).toFixed(1)),
-            relativeRiskReduction: baseRiskPct > 0 ? parseFloat((((baseRiskPct - modRiskPct) / baseRiskPct) * 100).toFixed(1)) : 0,
+
+        const modRiskPct = previousRisk;
+        return { success: true, calculator: calculatorType, baseRiskPercent: round(baseRiskPct), modifiedRiskPercent: round(modRiskPct),
+            absoluteRiskReduction: round(baseRiskPct - modRiskPct),
+            relativeRiskReduction: baseRiskPct > 0 ? round(((baseRiskPct - modRiskPct) / baseRiskPct) * 100) : 0,
             numberNeededToTreat: (baseRiskPct - modRiskPct) > 0.01 ? Math.round(100 / (baseRiskPct - modRiskPct)) : Infinity, // Avoid division by zero or tiny diffs
-            appliedInterventions: appliedInterventions.join(' + ') || 'None', modifiedRiskCategory: modifiedRiskCalcResult.riskData.category
+            appliedInterventions: steps.filter(s => s.modelled && s.changes.length).map(s => s.label).join(' + ') || 'None', modifiedRiskCategory: riskCategory,
+            timeToBenefitYears: ldlLowered > 0 ? LB.timeToBenefit(engineRisk, ldlLowered) : null, // LDL-C lowering steps only (CTT)
+            steps, modifiedInputs: inputs
         };
     }
 
+    /**
+     * One-way sensitivity analysis for a tornado chart: re-runs the result's engine with each modifiable input
+     * (SBP, total cholesterol, HDL-C, smoking, and BMI for QRISK3 / HbA1c for UKPDS) at a lower and a higher value.
+     * @param {object} baseRiskResult - A successful single-calculator result (with inputParameters).
+     * @param {object} [options={}] - `{ rangePercent }` to vary numeric inputs by a percentage instead of the
+     * clinical ranges in ClinicalThresholds SENSITIVITY.
+     * @returns {object} SensitivityAnalysisService.analyze() output; factors ranked by their swing in 10-year risk.
+     */
+    calculateSensitivity(baseRiskResult, options = {}) {
+        this.dependencies.ErrorLogger.log?.('info', `Calculating sensitivity analysis for ${baseRiskResult?.algorithm || 'unknown'}`, 'RiskCalc-Sensitivity');
+        if (!baseRiskResult?.success || !baseRiskResult.inputParameters) throw new Error('Valid base risk result required.');
+        const { calculatorType, runEngine } = this._engineForResult(baseRiskResult);
+        return this.dependencies.SensitivityAnalysis.analyze({
+            calculatorType, inputs: this._deepClone(baseRiskResult.inputParameters), baseRiskPercent: baseRiskResult.riskData.score,
+            runEngine, rangePercent: Number(options.rangePercent) || undefined,
+        });
+    }
+
+    /**
+     * Risk progression over time: re-runs the result's engine each year as the patient ages, with the other factors
+     * constant or drifting with age, with and without treatment (CTT LDL-C lowering, optional SBP target).
+     * @param {object} baseRiskResult - A successful single-calculator result (with inputParameters).
+     * @param {object} [options={}] - `{ years, drift: 'constant' | 'typical', treatment: { ldlReductionPercent, sbpTarget } }`.
+     * @returns {object} RiskProjectionService.project() output, including the age at which the risk becomes
+     * treatment-eligible.
+     */
+    calculateRiskProjection(baseRiskResult, options = {}) {
+        this.dependencies.ErrorLogger.log?.('info', `Calculating risk projection for ${baseRiskResult?.algorithm || 'unknown'}`, 'RiskCalc-Projection');
+        if (!baseRiskResult?.success || !baseRiskResult.inputParameters) throw new Error('Valid base risk result required.');
+        const { calculatorType, runEngine } = this._engineForResult(baseRiskResult);
+        return this.dependencies.RiskProjection.project({
+            calculatorType, inputs: this._deepClone(baseRiskResult.inputParameters), runEngine,
+            years: options.years, drift: options.drift, treatment: options.treatment,
+        });
+    }
+
+    /**
+     * Calculator key, engine instance and a function re-running the engine on inputs (returns the risk %) for a
+     * single-calculator result.
+     * @private
+     */
+    _engineForResult(baseRiskResult) {
+        const calculatorType = { framingham: 'frs', qrisk3: 'qrisk3', pooledcohort: 'pce', prevent: 'prevent', score2: 'score2', ukpds: 'ukpds', dial2: 'dial2', smart: 'smart' }[String(baseRiskResult.algorithm || '').toLowerCase()];
+        const engine = calculatorType ? this.CALCULATORS[calculatorType].engine() : null;
+        if (!engine) throw new Error(`Unknown base calculator type "${baseRiskResult.algorithm}"`);
+        const runEngine = (inputs) => {
+            const result = engine.calculateRisk(this._deepClone(inputs));
+            if (!result || result.success === false) throw new Error(result?.error || 'Unknown');
+            return result.modifiedRiskPercent !== undefined ? result.modifiedRiskPercent : result.tenYearRiskPercent;
+        };
+        return { calculatorType, engine, runEngine };
+    }
+
+    /** Intervention steps as an ordered array; converts the v3.1.0 object form. @private */
+    _normalizeInterventions(details) {
+        if (Array.isArray(details)) return details.filter(step => step?.type);
+        const steps = [];
+        if (details.statin?.ldlReductionPercent) steps.push({ type: 'ldl', reductionPercent: Number(details.statin.ldlReductionPercent), label: 'Statin' });
+        if (details.bp?.sbpReduction) steps.push({ type: 'sbp', reduction: Number(details.bp.sbpReduction) });
+        if (details.smokingCessation) steps.push({ type: 'smoking' });
+        return steps;
+    }
+
+    /**
+     * Applies one intervention to the engine inputs in place.
+     * @returns {{label: string, changes: Array<{field: string, from: *, to: *}>, modelled: boolean, ldlReductionMmol?: number}}
+     * @private
+     */
+    _applyIntervention(inputs, step, calculatorType) {
+        const changes = [];
+        const set = (field, value) => {
+            if (value === undefined || value === null || Number.isNaN(value) || inputs[field] === value) return;
+            changes.push({ field, from: inputs[field], to: value }); inputs[field] = value;
+        };
+        const toFixed2 = (value) => parseFloat(value.toFixed(2));
+        switch (step.type) {
+            case 'sbp': {
+                const target = step.target !== undefined ? Number(step.target) : Number(inputs.systolicBP) - Number(step.reduction || 0);
+                set('systolicBP', target);
+                if (step.onTreatment) { set('onBPMeds', true); if (calculatorType === 'qrisk3') set('onBPMedsQRISK', true); }
+                return { label: `SBP ${target} mmHg`, changes, modelled: true };
+            }
+            case 'lipids': {
+                const previous = { totalCholesterol: inputs.totalCholesterol, hdl: inputs.hdl };
+                if (step.ldlReductionPercent) { // LDL-C lowering also lowers total cholesterol by the same amount
+                    const base = inputs.ldl > 0 ? inputs.ldl : inputs.totalCholesterol - inputs.hdl; // Non-HDL-C without a measured LDL-C
+                    const drop = base * Number(step.ldlReductionPercent) / 100;
+                    if (inputs.ldl > 0) set('ldl', toFixed2(inputs.ldl - drop));
+                    if (inputs.totalCholesterol > 0) set('totalCholesterol', toFixed2(inputs.totalCholesterol - drop));
+                }
+                if (step.totalCholesterol !== undefined) set('totalCholesterol', Number(step.totalCholesterol));
+                if (step.hdl !== undefined) set('hdl', Number(step.hdl));
+                if (inputs.totalCholesterol !== previous.totalCholesterol || inputs.hdl !== previous.hdl) {
+                    if (inputs.hdl > 0) set('cholesterolRatio', toFixed2(inputs.totalCholesterol / inputs.hdl));
+                    if (inputs.nonHdl !== undefined) set('nonHdl', toFixed2(inputs.totalCholesterol - inputs.hdl));
+                }
+                const label = step.ldlReductionPercent ? `LDL-C -${step.ldlReductionPercent}%` : `TC ${inputs.totalCholesterol} / HDL ${inputs.hdl} mmol/L`;
+                return { label, changes, modelled: true };
+            }
+            case 'ldl': { // Drug LDL-C lowering: CTT benefit on top of the engine risk, so the lipids the engine reads stay
+                const ldl = inputs.ldl > 0 ? inputs.ldl : inputs.totalCholesterol - inputs.hdl; // Non-HDL-C without a measured LDL-C
+                const ldlReductionMmol = this.dependencies.LdlBenefit.reductionMmol({ ...step, ldl });
+                if (ldlReductionMmol === null) throw new Error('An LDL-C reduction (mmol/L), or LDL-C with a percentage or expected LDL-C, is required.');
+                if (inputs.ldl > 0) set('ldl', toFixed2(inputs.ldl - ldlReductionMmol));
+                return { label: `${step.label || 'LDL-C lowering'} (-${ldlReductionMmol.toFixed(2)} mmol/L)`, changes, modelled: true, ldlReductionMmol };
+            }
+            case 'smoking': // QRISK3 grades smoking; stopping makes an ex-smoker unless another status is given
+                set('isSmoker', false);
+                if (calculatorType === 'qrisk3') set('smokingStatus', step.status || 'ex_smoker');
+                return { label: 'Stop smoking', changes, modelled: true };
+            case 'bmi': {
+                const target = Number(step.target);
+                if (calculatorType === 'qrisk3' && inputs.bmi > target) set('bmi', target);
+                return { label: `BMI ${target} kg/m²`, changes, modelled: calculatorType === 'qrisk3' };
+            }
+            case 'hba1c': {
+                const target = this._hba1cToPercent(Number(step.target), step.unit);
+                const modelled = calculatorType === 'ukpds' || calculatorType === 'dial2';
+                if (modelled) set('hba1c', target);
+                return { label: `HbA1c ${target}%`, changes, modelled };
+            }
+            default:
+                throw new Error(`Unknown intervention type "${step.type}"`);
+        }
+    }
+
+    /** HbA1c as DCCT % from % or mmol/mol (IFCC), by the IFCC-NGSP master equation. @private */
+    _hba1cToPercent(value, unit) {
+        return unit === 'mmol_mol' ? parseFloat((value * 0.09148 + 2.152).toFixed(2)) : value;
+    }
+
     clearCache() { /* ... (same as v3.1.0) ... */
         this.dependencies.MemoryManager.clear(false); this.dependencies.ErrorLogger.log?.('info', 'RiskCalculator cache cleared.', 'RiskCalc-Cache'); return true;
     }
@@ -466,4 +1117,4 @@ class RiskCalculator {
     }
 }
 
-// export default RiskCalculator;
+export default RiskCalculator;
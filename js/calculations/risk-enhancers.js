@@ -0,0 +1,195 @@
+/**
+ * Risk Enhancer Registry Module
+ * @file /js/calculations/risk-enhancers.js
+ * @description Declarative registry of the risk enhancers applied on top of the Framingham 10-year risk
+ * (formerly hard-coded in FraminghamRiskScore._applyRiskModifiers). Each enhancer names the validated
+ * input it reads, the test that makes it present, its factor, and how it combines with the others:
+ *   multiplicative - the factor multiplies the risk directly (independent evidence of risk).
+ *   capped         - the factors of all present capped enhancers are multiplied together, then limited to
+ *                    RISK_ENHANCERS.CAPPED_MAX_FACTOR. These markers overlap (inflammation, lipids, vascular
+ *                    history), so stacking them uncapped would overstate risk.
+ * Factors, thresholds, `combine` and `enabled` can be overridden, and new enhancers added, under
+ * RISK_ENHANCERS.DEFINITIONS.<key> in ClinicalThresholds. Lp(a) uses the curve from LpaModifierService.
+ * @version 1.0.0
+ * @exports RiskEnhancerService
+ */
+
+'use strict';
+
+import LpaModifierService from './lpa-modifier.js';
+
+// Built-in enhancers, in application order. `operator` is one of 'present' (true / 'yes' / 'on'), 'gte', 'gt', 'lte', 'lt'.
+// `sex` limits an enhancer to one sex. `type: 'lpa'` takes its factor from LpaModifierService instead of `factor`.
+const RISK_ENHANCERS = Object.freeze({
+    lpa: {
+        label: 'Lp(a)', type: 'lpa', combine: 'multiplicative',
+        citation: 'Factor from the configured LpaModifierService curve (LPA_MODIFIER.DEFAULT_CURVE).'
+    },
+    family_history: {
+        label: 'Family History of Premature CVD', field: 'familyHistory', operator: 'present',
+        factor: 1.6, combine: 'multiplicative',
+        citation: 'Toolkit factor (previously RISK_MODIFIERS.FAMILY_HISTORY_FRS_FACTOR); CCS 2021 lists premature family history as a risk modifier.'
+    },
+    south_asian: {
+        label: 'South Asian Ancestry', field: 'isSouthAsian', operator: 'present',
+        factor: 1.5, combine: 'multiplicative',
+        citation: 'Toolkit factor (previously RISK_MODIFIERS.SOUTH_ASIAN_FRS_FACTOR); 2018 AHA/ACC risk-enhancing factor.'
+    },
+    abi: {
+        label: 'Low Ankle-Brachial Index', field: 'abi', operator: 'lte', threshold: 0.9,
+        factor: 2.0, combine: 'multiplicative',
+        citation: 'Ankle Brachial Index Collaboration. JAMA. 2008;300(2):197-208 (ABI ≤0.90 roughly doubles major coronary events within each FRS category).'
+    },
+    hs_crp: {
+        label: 'Elevated hs-CRP', field: 'hsCrp', operator: 'gte', threshold: 2.0, unit: 'mg/L',
+        factor: 1.3, combine: 'capped',
+        citation: 'Emerging Risk Factors Collaboration. Lancet. 2010;375(9709):132-140; hs-CRP ≥2.0 mg/L is a 2018 AHA/ACC risk-enhancing factor.'
+    },
+    apob: {
+        label: 'Elevated ApoB', field: 'apoB', operator: 'gte', threshold: 1.3, unit: 'g/L',
+        factor: 1.2, combine: 'capped',
+        citation: '2018 AHA/ACC risk-enhancing factor (ApoB ≥130 mg/dL); partly captured by the cholesterol terms of the model.'
+    },
+    premature_menopause: {
+        label: 'Premature Menopause (<40 y)', field: 'prematureMenopause', operator: 'present', sex: 'female',
+        factor: 1.5, combine: 'capped',
+        citation: 'Zhu D, et al. Lancet Public Health. 2019;4(11):e553-e564 (menopause before 40: HR ~1.55 for CVD).'
+    },
+    preeclampsia: {
+        label: 'History of Preeclampsia', field: 'preeclampsia', operator: 'present', sex: 'female',
+        factor: 1.5, combine: 'capped',
+        citation: 'Bellamy L, et al. BMJ. 2007;335(7627):974 (RR ~2.2 for ischaemic heart disease); reduced because blood pressure is already modelled.'
+    },
+    chronic_inflammatory: {
+        label: 'Chronic Inflammatory Disease', field: 'chronicInflammatoryDisease', operator: 'present',
+        factor: 1.5, combine: 'capped',
+        citation: 'Agca R, et al. EULAR recommendations for CVD risk management in inflammatory joint disorders. Ann Rheum Dis. 2017;76(1):17-28 (×1.5 for rheumatoid arthritis).'
+    },
+    hiv: {
+        label: 'HIV Infection', field: 'hiv', operator: 'present',
+        factor: 1.5, combine: 'capped',
+        citation: 'Shah ASV, et al. Circulation. 2018;138(11):1100-1112 (RR ~2.2 for CVD); 2018 AHA/ACC risk-enhancing factor.'
+    }
+});
+
+class RiskEnhancerService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional), LpaModifier (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.dependencies.LpaModifier = dependencies.LpaModifier || new LpaModifierService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.VERSION = '1.0.0';
+        this.COMBINE_MODES = ['multiplicative', 'capped'];
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `RiskEnhancers: ${message}`, data); }
+
+    /** @returns {string[]} Keys of the built-in and configured enhancers, built-in first. */
+    getEnhancerNames() {
+        const configured = this.dependencies.ClinicalThresholds?.get('RISK_ENHANCERS.DEFINITIONS', {}) || {};
+        return [...new Set([...Object.keys(RISK_ENHANCERS), ...Object.keys(configured)])];
+    }
+
+    /**
+     * @param {string} key
+     * @returns {object|null} The enhancer definition with any ClinicalThresholds overrides applied, or null if unknown.
+     */
+    getEnhancer(key) {
+        const configured = this.dependencies.ClinicalThresholds?.get(`RISK_ENHANCERS.DEFINITIONS.${key}`, null);
+        if (!RISK_ENHANCERS[key] && !configured) return null;
+        return { key, enabled: true, ...RISK_ENHANCERS[key], ...configured };
+    }
+
+    _isPresent(value) {
+        if (typeof value === 'string') return ['true', 'yes', 'on', '1'].includes(value.toLowerCase());
+        return value === true || value === 1;
+    }
+
+    _matches(enhancer, inputs) {
+        if (enhancer.sex && String(inputs.sex || '').toLowerCase() !== enhancer.sex) return false;
+        const value = inputs[enhancer.field];
+        if (enhancer.operator === 'present') return this._isPresent(value);
+        if (value === null || value === undefined || value === '' || !isFinite(Number(value))) return false;
+        const x = Number(value);
+        switch (enhancer.operator) {
+            case 'gte': return x >= enhancer.threshold;
+            case 'gt': return x > enhancer.threshold;
+            case 'lte': return x <= enhancer.threshold;
+            case 'lt': return x < enhancer.threshold;
+            default: throw new Error(`Unsupported operator "${enhancer.operator}" for risk enhancer "${enhancer.key}".`);
+        }
+    }
+
+    _describeTrigger(enhancer, inputs) {
+        if (enhancer.operator === 'present') return 'present';
+        const symbol = { gte: '≥', gt: '>', lte: '≤', lt: '<' }[enhancer.operator];
+        const unit = enhancer.unit ? ` ${enhancer.unit}` : '';
+        return `${inputs[enhancer.field]}${unit} ${symbol} ${enhancer.threshold}${unit}`;
+    }
+
+    /**
+     * Applies every enabled enhancer that is present for the patient.
+     * @param {object} inputs - Validated patient data (fields named by the enhancers' `field`, plus sex).
+     * @param {object} [lpa={}] - Lp(a) measurement: `{ value, unit, curve, assay }` as taken by LpaModifierService.evaluate.
+     * @returns {{ factor: number, modifiersApplied: object[], lpaModifier: object|null, capApplied: boolean }}
+     * `factor` is the combined multiplier; `modifiersApplied` has one audit entry per applied enhancer
+     * (`{ type, key, factor, effectiveFactor, combine, trigger, effect, audit, citation }`).
+     */
+    apply(inputs, lpa = {}) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const capMax = CT?.get('RISK_ENHANCERS.CAPPED_MAX_FACTOR', 2.0) || 2.0;
+        const applied = [];
+        let lpaModifier = null;
+
+        for (const key of this.getEnhancerNames()) {
+            const enhancer = this.getEnhancer(key);
+            if (!enhancer.enabled) continue;
+            const combine = this.COMBINE_MODES.includes(enhancer.combine) ? enhancer.combine : 'multiplicative';
+            if (combine !== enhancer.combine) this._log('warn', `Unknown combine mode "${enhancer.combine}" for "${key}"; treating as multiplicative.`);
+
+            if (enhancer.type === 'lpa') {
+                lpaModifier = this.dependencies.LpaModifier.evaluate(lpa.value, lpa.unit, lpa.curve, lpa.assay);
+                if (lpaModifier && lpaModifier.factor > 1.0) {
+                    applied.push({ ...this.dependencies.LpaModifier.toModifierDetail(lpaModifier), key, combine, trigger: lpaModifier.basis, factorAsDefined: lpaModifier.factor });
+                }
+                continue;
+            }
+            const factor = Number(enhancer.factor);
+            if (!isFinite(factor) || factor <= 0) { this._log('warn', `Risk enhancer "${key}" has no valid factor; skipped.`); continue; }
+            if (!this._matches(enhancer, inputs)) continue;
+            applied.push({
+                type: enhancer.label || key, key, combine, factorAsDefined: parseFloat(factor.toFixed(2)),
+                trigger: this._describeTrigger(enhancer, inputs), citation: enhancer.citation || null
+            });
+        }
+
+        // Capped enhancers share one budget; when it binds, each is scaled back in proportion (on the log scale)
+        const capped = applied.filter(m => m.combine === 'capped');
+        const cappedProduct = capped.reduce((product, m) => product * m.factorAsDefined, 1.0);
+        const capApplied = cappedProduct > capMax;
+        const shrink = capApplied ? Math.log(capMax) / Math.log(cappedProduct) : 1;
+
+        let factor = 1.0;
+        const modifiersApplied = applied.map(m => {
+            const effectiveFactor = parseFloat((m.combine === 'capped' ? Math.pow(m.factorAsDefined, shrink) : m.factorAsDefined).toFixed(2));
+            factor *= m.combine === 'capped' ? Math.pow(m.factorAsDefined, shrink) : m.factorAsDefined;
+            const capNote = m.combine === 'capped' ? (capApplied ? `capped group, ×${effectiveFactor.toFixed(2)} after the ×${capMax.toFixed(2)} cap` : 'capped group') : 'multiplicative';
+            const { factorAsDefined, ...detail } = m;
+            return {
+                ...detail,
+                factor: factorAsDefined,
+                effectiveFactor,
+                effect: `~${Math.round((effectiveFactor - 1) * 100)}% risk increase`,
+                audit: `${m.type}: ${m.trigger} → ×${factorAsDefined.toFixed(2)} (${capNote})`
+            };
+        });
+        return { factor, modifiersApplied, lpaModifier, capApplied };
+    }
+}
+
+export default RiskEnhancerService;
@@ -0,0 +1,151 @@
+/**
+ * Risk Horizon Projection Module
+ * @file /js/calculations/risk-horizons.js
+ * @description Projects a 10-year risk engine (FRS, QRISK3, PCE, SCORE2) to 30-year and lifetime horizons. These
+ * projections are NOT validated models and are not the published long-horizon equations (Pencina 2009 30-year
+ * FRS, QRISK-lifetime): successive 10-year windows are chained, re-evaluating the engine at each window's starting
+ * age with all other risk factors held at their current values. Every projected horizon carries
+ * `validatedModel: false` and a "(not a validated model)" label, which the UI shows wherever the figure appears.
+ * Each window's CVD risk is taken as a constant hazard, and people who die of other causes first are removed
+ * year by year (competing non-cardiovascular mortality: RISK_HORIZONS.ALL_CAUSE_MORTALITY less the
+ * cardiovascular share of deaths), so the cumulative incidence does not overstate risk in older patients.
+ * Future risk-factor change is not modelled; windows beyond the engine's validated age range are flagged.
+ * @version 2.1.0
+ * @reference Arias E, Xu J. United States Life Tables, 2019. Natl Vital Stat Rep. 2022;70(19).
+ * @reference Tsao CW, et al. Heart Disease and Stroke Statistics—2022 Update. Circulation. 2022;145(8):e153-e639.
+ * @reference Gooley TA, et al. Estimation of failure probabilities in the presence of competing risks. Stat Med. 1999;18(6):695-706.
+ * @exports RiskHorizonService
+ */
+
+'use strict';
+
+// Annual all-cause death probability q(x) at each age, US 2019 period life tables for males and females (Arias & Xu
+// 2022), rounded; ages between anchors are interpolated log-linearly. Overridden by RISK_HORIZONS.ALL_CAUSE_MORTALITY.
+const DEFAULT_ALL_CAUSE_MORTALITY = {
+    MALE: { 30: 0.0018, 40: 0.0027, 50: 0.0054, 60: 0.0116, 70: 0.0223, 80: 0.0557, 90: 0.1530 },
+    FEMALE: { 30: 0.0008, 40: 0.0016, 50: 0.0033, 60: 0.0072, 70: 0.0151, 80: 0.0403, 90: 0.1280 },
+};
+
+class RiskHorizonService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '2.1.0';
+        this.WINDOW_YEARS = 10;
+        this.HORIZONS = Object.freeze({ TEN_YEAR: 'tenYear', THIRTY_YEAR: 'thirtyYear', LIFETIME: 'lifetime' });
+        this.METHOD = 'extrapolated-10-year-windows-competing-mortality';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `RiskHorizons: ${message}`, data); }
+
+    _get(path, defaultValue) { return this.dependencies.ClinicalThresholds?.get(path, defaultValue) || defaultValue; }
+
+    /**
+     * Annual probability of dying of a non-cardiovascular cause: all-cause mortality at the age, less the
+     * cardiovascular share of deaths (RISK_HORIZONS.CVD_SHARE_OF_DEATHS).
+     * @param {number} age
+     * @param {string} [sex] - 'male' | 'female'; the mean of both when unknown.
+     * @returns {number} Probability (0-1).
+     */
+    nonCvdMortality(age, sex) {
+        const table = this._get('RISK_HORIZONS.ALL_CAUSE_MORTALITY', DEFAULT_ALL_CAUSE_MORTALITY);
+        const cvdShare = this._get('RISK_HORIZONS.CVD_SHARE_OF_DEATHS', 0.28);
+        const sexes = sex === 'male' || sex === 'female' ? [sex] : ['male', 'female'];
+        const allCause = sexes.reduce((sum, key) => {
+            const anchors = Object.entries(table[key.toUpperCase()]).map(([a, q]) => [Number(a), q]).sort((x, y) => x[0] - y[0]);
+            const upper = anchors.findIndex(([a]) => a >= age);
+            if (upper === 0) return sum + anchors[0][1];
+            if (upper === -1) return sum + anchors[anchors.length - 1][1];
+            const [a0, q0] = anchors[upper - 1]; const [a1, q1] = anchors[upper];
+            return sum + Math.exp(Math.log(q0) + (Math.log(q1) - Math.log(q0)) * (age - a0) / (a1 - a0));
+        }, 0) / sexes.length;
+        return Math.min(0.999, allCause * (1 - cvdShare));
+    }
+
+    /**
+     * Cumulative CVD incidence from `startAge` to `endAge` over successive 10-year windows, stepped a year at a time
+     * with competing non-cardiovascular death: each year adds S × h / (h + m) × (1 - e^-(h + m)), where h is the
+     * window's constant CVD hazard, m the non-CVD hazard and S the probability of being alive and free of CVD.
+     * @param {function(number): number} riskAtAge - Returns the engine's 10-year risk proportion (0-1) for a given age.
+     * @param {number} startAge - Current age.
+     * @param {number} endAge - Age at the end of the horizon.
+     * @param {number} maxModelAge - Oldest age the engine is validated for; later windows are evaluated at this age.
+     * @param {function(number): number} [mortalityAtAge] - Annual non-CVD death probability at an age (default
+     * nonCvdMortality() for either sex); `() => 0` gives the CVD-only product 1 - Π(1 - window risk).
+     * @returns {{riskProportion: number, windows: Array<object>, extrapolated: boolean}|null}
+     */
+    chainWindows(riskAtAge, startAge, endAge, maxModelAge, mortalityAtAge = (age) => this.nonCvdMortality(age)) {
+        if (isNaN(startAge) || isNaN(endAge) || endAge <= startAge) return null;
+        let eventFree = 1;
+        let incidence = 0;
+        let extrapolated = false;
+        const windows = [];
+        for (let fromAge = startAge; fromAge < endAge; fromAge += this.WINDOW_YEARS) {
+            const toAge = Math.min(fromAge + this.WINDOW_YEARS, endAge);
+            const evaluatedAge = Math.min(fromAge, maxModelAge);
+            if (evaluatedAge < fromAge) extrapolated = true;
+            const tenYearRisk = riskAtAge(evaluatedAge);
+            if (isNaN(tenYearRisk)) return null;
+            const cvdHazard = -Math.log(1 - Math.min(tenYearRisk, 0.999)) / this.WINDOW_YEARS;
+            for (let year = fromAge; year < toAge; year++) {
+                const span = Math.min(1, toAge - year);
+                const total = cvdHazard - Math.log(1 - mortalityAtAge(year));
+                if (total > 0) incidence += eventFree * (cvdHazard / total) * (1 - Math.exp(-total * span));
+                eventFree *= Math.exp(-total * span);
+            }
+            const fraction = (toAge - fromAge) / this.WINDOW_YEARS;
+            const windowRisk = 1 - Math.pow(1 - Math.min(tenYearRisk, 0.999), fraction);
+            windows.push({ fromAge, toAge, evaluatedAge, riskPercent: parseFloat((windowRisk * 100).toFixed(1)) });
+        }
+        return { riskProportion: incidence, windows, extrapolated };
+    }
+
+    /**
+     * Builds the 10-year, 30-year and lifetime outputs for an engine.
+     * @param {function(number): number} riskAtAge - See chainWindows.
+     * @param {object} params
+     * @param {number} params.age - Current age.
+     * @param {number} params.tenYearRiskProportion - The engine's reported 10-year risk (0-1).
+     * @param {number} params.maxModelAge - Oldest age the engine is validated for.
+     * @param {string} [params.sex] - 'male' | 'female', for the competing non-CVD mortality.
+     * @returns {object} `{ tenYear, thirtyYear, lifetime }`, each `{ horizonYears, toAge, riskPercent, label, method,
+     * isExtrapolation, validatedModel, competingMortality, extrapolated, windows }` (`riskPercent` is null when the horizon cannot be
+     * projected, with a `note`); `extrapolated` flags windows evaluated past the engine's maximum age.
+     */
+    projectHorizons(riskAtAge, { age, tenYearRiskProportion, maxModelAge, sex }) {
+        const thirtyYears = this._get('RISK_HORIZONS.THIRTY_YEAR_YEARS', 30);
+        const lifetimeAge = this._get('RISK_HORIZONS.LIFETIME_TO_AGE', 85);
+        const toPercent = (p) => parseFloat((p * 100).toFixed(1));
+        const mortalityAtAge = (a) => this.nonCvdMortality(a, sex);
+        const projected = { method: this.METHOD, isExtrapolation: true, validatedModel: false, competingMortality: true };
+
+        const horizons = {
+            [this.HORIZONS.TEN_YEAR]: { horizonYears: this.WINDOW_YEARS, toAge: age + this.WINDOW_YEARS, riskPercent: toPercent(tenYearRiskProportion), label: '10-year risk', method: 'engine', isExtrapolation: false, validatedModel: true, competingMortality: false, extrapolated: false, windows: [] }
+        };
+
+        const thirtyLabel = `${thirtyYears}-year projection (not a validated model)`;
+        const thirty = this.chainWindows(riskAtAge, age, age + thirtyYears, maxModelAge, mortalityAtAge);
+        horizons[this.HORIZONS.THIRTY_YEAR] = thirty
+            ? { horizonYears: thirtyYears, toAge: age + thirtyYears, riskPercent: toPercent(thirty.riskProportion), label: thirtyLabel, ...projected, extrapolated: thirty.extrapolated, windows: thirty.windows }
+            : { horizonYears: thirtyYears, toAge: age + thirtyYears, riskPercent: null, label: thirtyLabel, ...projected, extrapolated: false, windows: [], note: `Could not project ${thirtyYears}-year risk.` };
+
+        const lifetimeLabel = `Projected risk to age ${lifetimeAge} (not a validated model)`;
+        const lifetime = this.chainWindows(riskAtAge, age, lifetimeAge, maxModelAge, mortalityAtAge);
+        horizons[this.HORIZONS.LIFETIME] = lifetime
+            ? { horizonYears: lifetimeAge - age, toAge: lifetimeAge, riskPercent: toPercent(lifetime.riskProportion), label: lifetimeLabel, ...projected, extrapolated: lifetime.extrapolated, windows: lifetime.windows }
+            : { horizonYears: 0, toAge: lifetimeAge, riskPercent: null, label: lifetimeLabel, ...projected, extrapolated: false, windows: [], note: `Lifetime risk is projected to age ${lifetimeAge}; not applicable at this age.` };
+
+        if (horizons[this.HORIZONS.THIRTY_YEAR].extrapolated || horizons[this.HORIZONS.LIFETIME].extrapolated) {
+            this._log('debug', `Horizon windows beyond age ${maxModelAge} evaluated at ${maxModelAge}.`);
+        }
+        return horizons;
+    }
+}
+
+export default RiskHorizonService;
@@ -0,0 +1,138 @@
+/**
+ * Risk Projection Module
+ * @file /js/calculations/risk-projection.js
+ * @description Projects the 10-year risk forward year by year: the patient is aged one year at a time and the
+ * calculator re-run, with the other factors held constant or drifting as they typically do with age (SBP rising
+ * about 0.6 mmHg a year; total cholesterol rising about 0.02 mmol/L a year until 60, then falling slightly).
+ * Each year also carries the risk with treatment: lipid lowering by the CTT relation (LdlBenefitService), and an
+ * SBP target when one is given. Reports the age at which the risk crosses the CVD_RISK_CATEGORY thresholds (10%
+ * and 20%) with and without treatment, and the age at which it becomes treatment-eligible: 20% for Framingham
+ * (CCS statin threshold) and 10% for QRISK3 (NICE), the low threshold for other calculators.
+ * The projection stops at the calculator's maximum age.
+ * Used by RiskCalculator.calculateRiskProjection, which supplies the engine.
+ * @version 1.0.1
+ * @reference Franklin SS, et al. Hemodynamic patterns of age-related changes in blood pressure. The Framingham Heart Study. Circulation. 1997;96(1):308-315.
+ * @reference Ferrara A, Barrett-Connor E, Shan J. Total, LDL, and HDL cholesterol decrease with age in older men and women: the Rancho Bernardo Study 1984-1994. Circulation. 1997;96(1):37-43.
+ * @reference National Institute for Health and Care Excellence. Cardiovascular disease: risk assessment and reduction, including lipid modification (NG238). 2023.
+ * @exports RiskProjectionService
+ */
+
+'use strict';
+
+// Maximum age of each calculator's model (ClinicalThresholds AGE key and default)
+const MAX_AGE = {
+    frs: ['AGE.MAX_FRS', 79], qrisk3: ['AGE.MAX_QRISK3', 84], pce: ['AGE.MAX_PCE', 79], prevent: ['AGE.MAX_PREVENT', 79],
+    score2: ['AGE.MAX_SCORE2_OP', 89], ukpds: ['AGE.MAX_UKPDS', 85], dial2: ['AGE.MAX_DIAL2', 85], smart: ['AGE.MAX_SMART', 80],
+};
+
+class RiskProjectionService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional), LdlBenefit (LdlBenefitService).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+            LdlBenefit: dependencies.LdlBenefit,
+        };
+        this.VERSION = '1.0.1';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `RiskProjection: ${message}`, data); }
+
+    _get(path, defaultValue) { return this.dependencies.ClinicalThresholds?.get(path, defaultValue) || defaultValue; }
+
+    /**
+     * Inputs after `years` of typical drift; LDL-C, the cholesterol ratio and non-HDL-C follow total cholesterol.
+     * @private
+     */
+    _drift(inputs, years) {
+        const aged = { ...inputs };
+        const sbpPerYear = this._get('RISK_PROJECTION.SBP_MMHG_PER_YEAR', 0.6);
+        const tcPerYear = this._get('RISK_PROJECTION.TOTAL_CHOLESTEROL_MMOL_PER_YEAR', 0.02);
+        const tcPeakAge = this._get('RISK_PROJECTION.TOTAL_CHOLESTEROL_PEAK_AGE', 60);
+        const tcAfterPeak = this._get('RISK_PROJECTION.TOTAL_CHOLESTEROL_MMOL_PER_YEAR_AFTER_PEAK', -0.01);
+        if (inputs.systolicBP > 0) aged.systolicBP = Math.round(inputs.systolicBP + sbpPerYear * years);
+        if (inputs.totalCholesterol > 0) {
+            const beforePeak = Math.max(0, Math.min(years, tcPeakAge - inputs.age));
+            const tc = inputs.totalCholesterol + tcPerYear * beforePeak + tcAfterPeak * (years - beforePeak);
+            aged.totalCholesterol = parseFloat(tc.toFixed(2));
+            if (inputs.ldl > 0) aged.ldl = parseFloat((inputs.ldl + tc - inputs.totalCholesterol).toFixed(2));
+            if (inputs.cholesterolRatio !== undefined && inputs.hdl > 0) aged.cholesterolRatio = parseFloat((tc / inputs.hdl).toFixed(2));
+            if (inputs.nonHdl !== undefined) aged.nonHdl = parseFloat((tc - inputs.hdl).toFixed(2));
+        }
+        return aged;
+    }
+
+    /** Risk (%) at which treatment is indicated for the calculator. @private */
+    _eligibilityThreshold(calculatorType) {
+        const key = calculatorType === 'frs' ? 'INTERMEDIATE_THRESHOLD' : 'LOW_THRESHOLD';
+        return this._get(`CVD_RISK_CATEGORY.${key}`, calculatorType === 'frs' ? 20 : 10);
+    }
+
+    /**
+     * Projects the 10-year risk year by year.
+     * @param {object} params
+     * @param {string} params.calculatorType - RiskCalculator key ('frs', 'qrisk3', ...).
+     * @param {object} params.inputs - Mapped inputs of the base result (inputParameters), including age.
+     * @param {function(object): number} params.runEngine - Re-runs the calculator on modified inputs; returns risk (%).
+     * @param {number} [params.years] - Years to project (default RISK_PROJECTION.YEARS); stops at the model's maximum age.
+     * @param {string} [params.drift='constant'] - 'constant' (only age changes) or 'typical' (age-related drift).
+     * @param {object} [params.treatment] - `{ ldlReductionPercent, sbpTarget }`; the LDL-C reduction defaults to
+     * RISK_PROJECTION.TREATMENT_LDL_REDUCTION_PERCENT.
+     * @returns {object} `{ calculatorType, drift, startAge, endAge, thresholds: { low, high, eligibility }, treatment,
+     * points: [{ year, age, riskPercent, treatedRiskPercent }], crossings: { untreated, treated } (age at which each
+     * threshold is first reached, null if not within the projection), treatmentEligibleAge, summary }`.
+     */
+    project({ calculatorType, inputs, runEngine, years, drift = 'constant', treatment = {} } = {}) {
+        if (!(inputs?.age > 0) || typeof runEngine !== 'function') throw new Error('Inputs with an age and a calculator to re-run are required for a risk projection.');
+        const [maxAgeKey, maxAgeDefault] = MAX_AGE[calculatorType] || ['AGE.MAX', 120];
+        const horizon = Number(years) > 0 ? Number(years) : this._get('RISK_PROJECTION.YEARS', 20);
+        const endAge = Math.min(inputs.age + horizon, this._get(maxAgeKey, maxAgeDefault));
+        const entered = treatment.ldlReductionPercent === undefined || treatment.ldlReductionPercent === '' ? NaN : Number(treatment.ldlReductionPercent);
+        const ldlReductionPercent = entered >= 0 ? entered : this._get('RISK_PROJECTION.TREATMENT_LDL_REDUCTION_PERCENT', 40);
+        const sbpTarget = Number(treatment.sbpTarget) > 0 ? Number(treatment.sbpTarget) : null;
+        const LB = this.dependencies.LdlBenefit;
+        const round = (value) => parseFloat(value.toFixed(1));
+
+        const points = [];
+        for (let year = 0; inputs.age + year <= endAge; year++) {
+            const yearInputs = { ...(drift === 'typical' ? this._drift(inputs, year) : inputs), age: inputs.age + year };
+            let riskPercent; let treatedRiskPercent;
+            try {
+                riskPercent = runEngine(yearInputs);
+                const treatedBase = sbpTarget !== null && yearInputs.systolicBP > sbpTarget ? runEngine({ ...yearInputs, systolicBP: sbpTarget }) : riskPercent;
+                const ldl = yearInputs.ldl > 0 ? yearInputs.ldl : yearInputs.totalCholesterol - yearInputs.hdl; // Non-HDL-C without a measured LDL-C
+                const reduction = ldl > 0 ? ldl * ldlReductionPercent / 100 : 0;
+                treatedRiskPercent = LB ? LB.treatedRiskPercent(treatedBase, reduction) : treatedBase;
+            } catch (error) {
+                this._log('warn', `Projection stopped at age ${yearInputs.age}.`, { error: error.message });
+                break;
+            }
+            points.push({ year, age: yearInputs.age, riskPercent: round(riskPercent), treatedRiskPercent: round(treatedRiskPercent) });
+        }
+
+        const low = this._get('CVD_RISK_CATEGORY.LOW_THRESHOLD', 10);
+        const high = this._get('CVD_RISK_CATEGORY.INTERMEDIATE_THRESHOLD', 20);
+        const eligibility = this._eligibilityThreshold(calculatorType);
+        const ageReaching = (field, threshold) => points.find(p => p[field] >= threshold)?.age ?? null;
+        const crossings = {
+            untreated: { [low]: ageReaching('riskPercent', low), [high]: ageReaching('riskPercent', high) },
+            treated: { [low]: ageReaching('treatedRiskPercent', low), [high]: ageReaching('treatedRiskPercent', high) },
+        };
+        const treatmentEligibleAge = ageReaching('riskPercent', eligibility);
+        const lastAge = points.length ? points[points.length - 1].age : inputs.age;
+        let summary;
+        if (treatmentEligibleAge === null) summary = `10-year risk stays below the ${eligibility}% treatment threshold up to age ${lastAge}.`;
+        else if (treatmentEligibleAge === inputs.age) summary = `10-year risk is already at or above the ${eligibility}% treatment threshold.`;
+        else summary = `10-year risk reaches the ${eligibility}% treatment threshold at age ${treatmentEligibleAge}.`;
+        return {
+            calculatorType, drift, startAge: inputs.age, endAge: lastAge,
+            thresholds: { low, high, eligibility }, treatment: { ldlReductionPercent, sbpTarget },
+            points, crossings, treatmentEligibleAge, summary,
+        };
+    }
+}
+
+export default RiskProjectionService;
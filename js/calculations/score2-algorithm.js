@@ -0,0 +1,241 @@
+/**
+ * SCORE2 / SCORE2-OP Algorithm Implementation
+ * @file /js/calculations/score2-algorithm.js
+ * @description ESC SCORE2 (ages 40-69) and SCORE2-OP (ages 70+) 10-year risk of fatal and non-fatal
+ * CVD, recalibrated to the four ESC risk regions (low, moderate, high, very high).
+ * The model is selected from the patient's age. The Lp(a) modifier from LpaModifierService is
+ * applied on top of the calibrated risk, the same curve the Framingham engine uses, so
+ * Lp(a)-modified risk can be compared across calculators.
+ * Designed to be a pure calculation engine, receiving pre-processed data (lipids in mmol/L).
+ * @version 1.1.1
+ * @author CVD Risk Assessment Team
+ * @reference SCORE2 working group and ESC Cardiovascular risk collaboration. Eur Heart J. 2021;42(25):2439-2454.
+ * @reference SCORE2-OP working group and ESC Cardiovascular risk collaboration. Eur Heart J. 2021;42(25):2455-2467.
+ * @exports Score2Algorithm
+ */
+
+'use strict';
+
+import RiskHorizonService from './risk-horizons.js';
+import LpaModifierService from './lpa-modifier.js';
+
+class Score2Algorithm {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional), RiskHorizons (optional), LpaModifier (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            PerformanceMonitor: dependencies.PerformanceMonitor || { start: () => Date.now(), end: (label, startTime) => console.log(`${label} took ${Date.now() - startTime}ms`) },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.dependencies.RiskHorizons = dependencies.RiskHorizons || new RiskHorizonService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.LpaModifier = dependencies.LpaModifier || new LpaModifierService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+
+        this.VERSION = '1.1.1';
+        this.REGIONS = Object.freeze(['low', 'moderate', 'high', 'very_high']);
+
+        // SCORE2: centred age (per 5 y from 60), SBP (per 20 mmHg from 120), TC (from 6 mmol/L), HDL (per 0.5 mmol/L from 1.3)
+        this.SCORE2 = {
+            male: {
+                age: 0.3742, smoker: 0.6012, sbp: 0.2777, diabetes: 0.6457, tchol: 0.1458, hdl: -0.2698,
+                ageSmoker: -0.0755, ageSbp: -0.0255, ageTchol: -0.0281, ageHdl: 0.0426, ageDiabetes: -0.0983,
+                baselineSurvival: 0.9605, meanLinearPredictor: 0
+            },
+            female: {
+                age: 0.4648, smoker: 0.7744, sbp: 0.3131, diabetes: 0.8096, tchol: 0.1002, hdl: -0.2606,
+                ageSmoker: -0.1088, ageSbp: -0.0277, ageTchol: -0.0226, ageHdl: 0.0613, ageDiabetes: -0.1272,
+                baselineSurvival: 0.9776, meanLinearPredictor: 0
+            }
+        };
+        // SCORE2-OP: centred age (per year from 73), SBP (per mmHg from 150), TC (from 6 mmol/L), HDL (from 1.4 mmol/L)
+        this.SCORE2_OP = {
+            male: {
+                age: 0.0634, smoker: 0.3524, sbp: 0.0094, diabetes: 0.4245, tchol: 0.0850, hdl: -0.3564,
+                ageSmoker: -0.0247, ageSbp: -0.0005, ageTchol: 0.0073, ageHdl: 0.0091, ageDiabetes: -0.0174,
+                baselineSurvival: 0.7576, meanLinearPredictor: 0.0929
+            },
+            female: {
+                age: 0.0789, smoker: 0.4921, sbp: 0.0102, diabetes: 0.6010, tchol: 0.0605, hdl: -0.3040,
+                ageSmoker: -0.0255, ageSbp: -0.0004, ageTchol: -0.0009, ageHdl: 0.0154, ageDiabetes: -0.0107,
+                baselineSurvival: 0.8082, meanLinearPredictor: 0.229
+            }
+        };
+        // Region recalibration: risk = 1 - exp(-exp(scale1 + scale2 * ln(-ln(1 - uncalibrated risk))))
+        this.CALIBRATION = {
+            SCORE2: {
+                low: { male: [-0.5699, 0.7476], female: [-0.7380, 0.7019] },
+                moderate: { male: [-0.1565, 0.8009], female: [-0.3143, 0.7701] },
+                high: { male: [0.3207, 0.9360], female: [0.5710, 0.9369] },
+                very_high: { male: [0.5836, 0.8294], female: [0.9412, 0.8329] }
+            },
+            SCORE2_OP: {
+                low: { male: [-0.34, 1.19], female: [-0.52, 1.01] },
+                moderate: { male: [0.01, 1.25], female: [-0.10, 1.10] },
+                high: { male: [0.08, 1.15], female: [0.38, 1.09] },
+                very_high: { male: [0.05, 0.70], female: [0.38, 0.69] }
+            }
+        };
+
+        this.initialized = true;
+        this.dependencies.ErrorLogger.log?.('info', `Score2Algorithm initialized (v${this.VERSION}).`, 'SCORE2-Init');
+    }
+
+    _log(level, message, data) {
+        this.dependencies.ErrorLogger.log?.(level, `SCORE2-AlgoEngine: ${message}`, data);
+    }
+    _handleError(error, context, additionalData = {}) {
+        const msg = error.message || String(error);
+        this.dependencies.ErrorLogger.handleError?.(msg, `SCORE2-AlgoEngine-${context}`, 'error', { originalError: error, ...additionalData });
+    }
+
+    /**
+     * Processes validated inputs for SCORE2 / SCORE2-OP.
+     * @param {object} validatedData - Data from RiskCalculator._prepareAndValidateData.
+     * Expected fields: age, sex, totalCholesterol (mmol/L), hdl (mmol/L), systolicBP, isSmoker, hasDiabetes.
+     * Optional: riskRegion ('low' | 'moderate' | 'high' | 'very_high'; default from SCORE2.DEFAULT_REGION), lpa, lpaUnit, lpaCurve.
+     * @returns {object} Processed data.
+     * @private
+     */
+    _processInputsForAlgorithm(validatedData) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const minAge = CT?.get('AGE.MIN_SCORE2', 40) || 40;
+        const maxAge = CT?.get('AGE.MAX_SCORE2_OP', 89) || 89;
+        const p = {};
+        p.sex = String(validatedData.sex).toLowerCase() === 'female' ? 'female' : 'male';
+        p.age = Number(validatedData.age);
+        p.totalCholesterol = Number(validatedData.totalCholesterol);
+        p.hdl = Number(validatedData.hdl);
+        p.sbp = Number(validatedData.systolicBP);
+        p.smoker = validatedData.isSmoker ? 1 : 0;
+        p.diabetes = validatedData.hasDiabetes ? 1 : 0;
+        p.region = String(validatedData.riskRegion || CT?.get('SCORE2.DEFAULT_REGION', 'moderate') || 'moderate').toLowerCase().replace(/[\s-]+/g, '_');
+        p.lpa = validatedData.lpa !== undefined && validatedData.lpa !== null ? Number(validatedData.lpa) : undefined;
+        p.lpaUnit = validatedData.lpaUnit || CT?.get('LPA.DEFAULT_UNIT', 'mg/dL') || 'mg/dL';
+        p.lpaCurve = validatedData.lpaCurve;
+        p.lpaAssay = { assayType: validatedData.lpaAssayType, alternate: validatedData.lpaAlternate };
+
+        if (isNaN(p.age) || p.age < minAge || p.age > maxAge) throw new Error(`Age must be between ${minAge} and ${maxAge} for SCORE2/SCORE2-OP.`);
+        if (!this.REGIONS.includes(p.region)) throw new Error(`Unknown SCORE2 risk region: ${p.region}`);
+        const criticalFields = { totalCholesterol: p.totalCholesterol, hdl: p.hdl, sbp: p.sbp };
+        for (const field in criticalFields) {
+            if (isNaN(criticalFields[field]) || criticalFields[field] <= 0) throw new Error(`Invalid or non-positive critical value for ${field}: ${criticalFields[field]}`);
+        }
+        return p;
+    }
+
+    /** SCORE2 below 70, SCORE2-OP from 70 (SCORE2.OP_MIN_AGE). @private */
+    _selectModel(age) {
+        const opMinAge = this.dependencies.ClinicalThresholds?.get('SCORE2.OP_MIN_AGE', 70) || 70;
+        return age >= opMinAge ? 'SCORE2_OP' : 'SCORE2';
+    }
+
+    /**
+     * Region-calibrated 10-year risk (0-1) at the given profile.
+     * @private
+     */
+    _calculateCalibratedRisk(p) {
+        const model = this._selectModel(p.age);
+        const c = this[model][p.sex];
+        const cAge = model === 'SCORE2' ? (p.age - 60) / 5 : p.age - 73;
+        const cSbp = model === 'SCORE2' ? (p.sbp - 120) / 20 : p.sbp - 150;
+        const cTchol = p.totalCholesterol - 6;
+        const cHdl = model === 'SCORE2' ? (p.hdl - 1.3) / 0.5 : p.hdl - 1.4;
+
+        let x = c.age * cAge + c.smoker * p.smoker + c.sbp * cSbp + c.diabetes * p.diabetes + c.tchol * cTchol + c.hdl * cHdl;
+        x += cAge * (c.ageSmoker * p.smoker + c.ageSbp * cSbp + c.ageTchol * cTchol + c.ageHdl * cHdl + c.ageDiabetes * p.diabetes);
+
+        const uncalibrated = 1 - Math.pow(c.baselineSurvival, Math.exp(x - c.meanLinearPredictor));
+        const [scale1, scale2] = this.CALIBRATION[model][p.region][p.sex];
+        const calibrated = 1 - Math.exp(-Math.exp(scale1 + scale2 * Math.log(-Math.log(1 - uncalibrated))));
+        return { model, uncalibrated, risk: isFinite(calibrated) ? Math.max(0, Math.min(1, calibrated)) : NaN };
+    }
+
+    /** Lp(a) risk multiplier from LpaModifierService. @private */
+    _applyRiskModifiers(baseRiskProportion, p) {
+        const modifiersApplied = [];
+        let modifiedRisk = baseRiskProportion;
+        const lpaModifier = this.dependencies.LpaModifier.evaluate(p.lpa, p.lpaUnit, p.lpaCurve, p.lpaAssay);
+        if (lpaModifier && lpaModifier.factor > 1.0) {
+            modifiedRisk *= lpaModifier.factor;
+            modifiersApplied.push(this.dependencies.LpaModifier.toModifierDetail(lpaModifier));
+        }
+        return { modifiedRisk: Math.max(0, Math.min(modifiedRisk, 0.999)), modifiersApplied, lpaModifier };
+    }
+
+    /** ESC 2021 age-specific categories for apparently healthy people. */
+    _determineRiskCategory(riskPercent, age) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const band = age < 50 ? 'UNDER_50' : age < 70 ? 'AGE_50_69' : 'AGE_70_PLUS';
+        const defaults = { UNDER_50: [2.5, 7.5], AGE_50_69: [5, 10], AGE_70_PLUS: [7.5, 15] }[band];
+        const highMin = CT?.get(`SCORE2_RISK_CATEGORY.${band}.HIGH`, defaults[0]) || defaults[0];
+        const veryHighMin = CT?.get(`SCORE2_RISK_CATEGORY.${band}.VERY_HIGH`, defaults[1]) || defaults[1];
+
+        if (isNaN(riskPercent) || riskPercent < 0) return { category: 'unknown', description: 'Risk Undetermined (Invalid Input)' };
+        if (riskPercent < highMin) return { category: 'low_moderate', description: `Low-to-Moderate Risk (<${highMin}%)` };
+        if (riskPercent < veryHighMin) return { category: 'high', description: `High Risk (${highMin}% to <${veryHighMin}%)` };
+        return { category: 'very_high', description: `Very High Risk (≥${veryHighMin}%)` };
+    }
+
+    /**
+     * Non-validated 30-year and lifetime projections with competing non-CVD mortality (see RiskHorizonService);
+     * windows from age 70 use SCORE2-OP.
+     * @private
+     */
+    _projectHorizons(p, modifiedRiskProportion) {
+        const maxModelAge = this.dependencies.ClinicalThresholds?.get('AGE.MAX_SCORE2_OP', 89) || 89;
+        const riskAtAge = (age) => this._applyRiskModifiers(this._calculateCalibratedRisk({ ...p, age }).risk, p).modifiedRisk;
+        return this.dependencies.RiskHorizons.projectHorizons(riskAtAge, { age: p.age, tenYearRiskProportion: modifiedRiskProportion, maxModelAge, sex: p.sex });
+    }
+
+    /**
+     * Main public method for SCORE2 / SCORE2-OP risk calculation.
+     * @param {object} rawPatientData - Validated, unit-converted data from RiskCalculator.
+     * @returns {object} Calculation results.
+     */
+    calculateRisk(rawPatientData) {
+        const perfId = this.dependencies.PerformanceMonitor.start('SCORE2_calculateRisk_Main');
+        try {
+            if (!this.initialized) throw new Error('SCORE2 calculator not properly initialized.');
+            const processedData = this._processInputsForAlgorithm(rawPatientData);
+            const { model, risk: baseRiskProportion } = this._calculateCalibratedRisk(processedData);
+            if (isNaN(baseRiskProportion)) throw new Error('Risk calculation resulted in NaN.');
+
+            const { modifiedRisk: modifiedRiskProportion, modifiersApplied, lpaModifier } = this._applyRiskModifiers(baseRiskProportion, processedData);
+            const baseRiskPercent = parseFloat((baseRiskProportion * 100).toFixed(1));
+            const modifiedRiskPercent = parseFloat((modifiedRiskProportion * 100).toFixed(1));
+            const { category: riskCategory, description: categoryDescription } = this._determineRiskCategory(modifiedRiskPercent, processedData.age);
+            const horizons = this._projectHorizons(processedData, modifiedRiskProportion);
+
+            const result = {
+                success: true,
+                tenYearRiskPercent: baseRiskPercent, // Region-calibrated SCORE2/SCORE2-OP
+                baseRiskPercent,
+                modifiedRiskPercent, // After Lp(a)
+                riskCategory,
+                categoryDescription,
+                model: model === 'SCORE2' ? 'SCORE2' : 'SCORE2-OP',
+                riskRegion: processedData.region,
+                outcome: 'Fatal and non-fatal CVD (MI, stroke, CVD death)',
+                modifiersApplied,
+                lpaModifier, // Curve and factor used; null without Lp(a)
+                thirtyYearRiskPercent: horizons.thirtyYear.riskPercent,
+                lifetimeRiskPercent: horizons.lifetime.riskPercent,
+                horizons,
+                inputParameters: rawPatientData,
+                algorithm: 'ESC-SCORE2-2021',
+                calculationDate: new Date().toISOString(),
+                version: this.VERSION
+            };
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return result;
+        } catch (error) {
+            this._handleError(error, 'CalculateRiskMain');
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return { success: false, error: `Error in SCORE2 calculation: ${error.message}`, calculationDate: new Date().toISOString(), version: this.VERSION };
+        }
+    }
+}
+
+export default Score2Algorithm;
@@ -0,0 +1,123 @@
+/**
+ * Sensitivity Analysis Module
+ * @file /js/calculations/sensitivity-analysis.js
+ * @description One-way sensitivity analysis of a risk result: each modifiable input the calculator uses is set to
+ * a lower and a higher value and the calculator is re-run with everything else unchanged. By default the range is
+ * clinically meaningful (SENSITIVITY in ClinicalThresholds: SBP ±20 mmHg, total cholesterol ±1 mmol/L, HDL-C
+ * ±0.3 mmol/L, BMI ±5 kg/m² for QRISK3, HbA1c ±1% for UKPDS and DIAL2, non-smoker vs smoker); with `rangePercent` every
+ * numeric input is varied by that percentage instead. Values are kept within plausible limits, and the
+ * cholesterol ratio and non-HDL-C follow total cholesterol and HDL-C.
+ * Factors are ranked by swing (the difference between the risks at the two ends) for a tornado chart.
+ * Used by RiskCalculator.calculateSensitivity, which supplies the engine.
+ * @version 1.0.1
+ * @exports SensitivityAnalysisService
+ */
+
+'use strict';
+
+// Modifiable inputs: `field` in the mapped inputs, threshold key for the default swing, plausible limits and the
+// calculators reading it when not all do. Smoking is categorical (non-smoker vs smoker).
+const FACTORS = [
+    { key: 'sbp', label: 'Systolic BP', unit: 'mmHg', field: 'systolicBP', delta: 'SBP_MMHG', defaultDelta: 20, min: 90, max: 200, decimals: 0 },
+    { key: 'totalCholesterol', label: 'Total cholesterol', unit: 'mmol/L', field: 'totalCholesterol', delta: 'TOTAL_CHOLESTEROL_MMOL', defaultDelta: 1.0, min: 2.5, max: 12, decimals: 1 },
+    { key: 'hdl', label: 'HDL-C', unit: 'mmol/L', field: 'hdl', delta: 'HDL_MMOL', defaultDelta: 0.3, min: 0.5, max: 3, decimals: 2 },
+    { key: 'bmi', label: 'BMI', unit: 'kg/m²', field: 'bmi', delta: 'BMI', defaultDelta: 5, min: 18.5, max: 45, decimals: 1, calculators: ['qrisk3'] },
+    { key: 'hba1c', label: 'HbA1c', unit: '%', field: 'hba1c', delta: 'HBA1C_PERCENT', defaultDelta: 1.0, min: 5, max: 12, decimals: 1, calculators: ['ukpds', 'dial2'] },
+    { key: 'smoking', label: 'Smoking', categorical: true },
+];
+
+class SensitivityAnalysisService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '1.0.1';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `SensitivityAnalysis: ${message}`, data); }
+
+    /** Modifiable factors present in the inputs and read by the calculator. @private */
+    _factorsFor(calculatorType, inputs) {
+        return FACTORS.filter(factor => (!factor.calculators || factor.calculators.includes(calculatorType))
+            && (factor.categorical ? inputs.isSmoker !== undefined || inputs.smokingStatus !== undefined : Number(inputs[factor.field]) > 0));
+    }
+
+    /**
+     * Lower and higher values of a numeric factor, within its plausible limits.
+     * @returns {{low: number, high: number}}
+     * @private
+     */
+    _range(factor, value, rangePercent) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const delta = rangePercent > 0 ? value * rangePercent / 100 : CT?.get(`SENSITIVITY.${factor.delta}`, factor.defaultDelta) || factor.defaultDelta;
+        const round = (v) => parseFloat(Math.min(factor.max, Math.max(factor.min, v)).toFixed(factor.decimals));
+        return { low: round(value - delta), high: round(value + delta) };
+    }
+
+    /** Copy of the inputs with one factor set; lipid ratio and non-HDL-C recomputed. @private */
+    _withValue(inputs, factor, value, calculatorType) {
+        const modified = { ...inputs };
+        if (factor.categorical) {
+            modified.isSmoker = value;
+            // QRISK3: a smoker who stops becomes an ex-smoker; a non-smoker who starts is graded a moderate smoker
+            if (calculatorType === 'qrisk3') modified.smokingStatus = value ? (this._isQriskSmoker(inputs) ? inputs.smokingStatus : 'moderate_smoker') : 'ex_smoker';
+            return modified;
+        }
+        modified[factor.field] = value;
+        if (factor.field === 'totalCholesterol' || factor.field === 'hdl') {
+            if (inputs.cholesterolRatio !== undefined && modified.hdl > 0) modified.cholesterolRatio = parseFloat((modified.totalCholesterol / modified.hdl).toFixed(2));
+            if (inputs.nonHdl !== undefined) modified.nonHdl = parseFloat((modified.totalCholesterol - modified.hdl).toFixed(2));
+        }
+        return modified;
+    }
+
+    /** Current smoker by the QRISK3 smoking status. @private */
+    _isQriskSmoker(inputs) { return /^(light|moderate|heavy)_smoker$/.test(String(inputs.smokingStatus || '')); }
+
+    /**
+     * Runs the one-way analysis.
+     * @param {object} params
+     * @param {string} params.calculatorType - RiskCalculator key ('frs', 'qrisk3', 'ukpds', ...).
+     * @param {object} params.inputs - Mapped inputs of the base result (inputParameters).
+     * @param {number} params.baseRiskPercent - Risk of the base result (%).
+     * @param {function(object): number} params.runEngine - Re-runs the calculator on modified inputs; returns risk (%).
+     * @param {number} [params.rangePercent] - Vary numeric inputs by this percentage instead of the clinical ranges.
+     * @returns {{calculatorType: string, baseRiskPercent: number, rangePercent: (number|null), factors: Array<object>}}
+     * Factors ranked by `swing`, each `{ key, label, unit, baseValue, lowValue, highValue, lowRiskPercent,
+     * highRiskPercent, swing }`; a side whose calculation failed has a null risk.
+     */
+    analyze({ calculatorType, inputs, baseRiskPercent, runEngine, rangePercent } = {}) {
+        if (!inputs || typeof runEngine !== 'function') throw new Error('Inputs and a calculator to re-run are required for sensitivity analysis.');
+        const round = (value) => (value === null ? null : parseFloat(value.toFixed(1)));
+        const risk = (factor, value) => {
+            try {
+                return runEngine(this._withValue(inputs, factor, value, calculatorType));
+            } catch (error) {
+                this._log('warn', `${factor.label} at ${value} could not be calculated.`, { error: error.message });
+                return null;
+            }
+        };
+        const factors = this._factorsFor(calculatorType, inputs).map(factor => {
+            const smoker = !!inputs.isSmoker || this._isQriskSmoker(inputs);
+            const baseValue = factor.categorical ? (smoker ? 'Smoker' : 'Non-smoker') : Number(inputs[factor.field]);
+            const { low, high } = factor.categorical ? { low: false, high: true } : this._range(factor, baseValue, rangePercent);
+            // The current end of a categorical factor, and a numeric end at the limit, is the base result itself
+            const lowRisk = (factor.categorical ? !smoker : low === baseValue) ? baseRiskPercent : risk(factor, low);
+            const highRisk = (factor.categorical ? smoker : high === baseValue) ? baseRiskPercent : risk(factor, high);
+            return {
+                key: factor.key, label: factor.label, unit: factor.unit || '', baseValue,
+                lowValue: factor.categorical ? 'Non-smoker' : low, highValue: factor.categorical ? 'Smoker' : high,
+                lowRiskPercent: round(lowRisk), highRiskPercent: round(highRisk),
+                swing: lowRisk === null || highRisk === null ? 0 : round(Math.abs(highRisk - lowRisk)),
+            };
+        }).sort((a, b) => b.swing - a.swing);
+        return { calculatorType, baseRiskPercent: round(baseRiskPercent), rangePercent: rangePercent > 0 ? Number(rangePercent) : null, factors };
+    }
+}
+
+export default SensitivityAnalysisService;
@@ -0,0 +1,231 @@
+/**
+ * SMART Recurrent Risk Algorithm Implementation
+ * @file /js/calculations/smart-algorithm.js
+ * @description Secondary prevention: 10-year risk of recurrent vascular events (MI, stroke, vascular death)
+ * for patients with established coronary, cerebrovascular, peripheral arterial or aortic aneurysm disease,
+ * for whom the primary-prevention engines (FRS, QRISK3, PCE, PREVENT, SCORE2) are not valid.
+ * Also reports the 10-year and lifetime benefit of lowering LDL-C further to the very-high-risk target,
+ * applying the CTT relative risk per mmol/L to each 10-year window of the projection.
+ * The bundled coefficients are the 2013 SMART risk score, not SMART2; SMART2 is not bundled and sites load it
+ * (coefficients, baseline survival, linear predictor offset) under SMART.MODEL in ClinicalThresholds.
+ * Results report `isSmart2`; only a SMART2 result sets the very-high-risk lipid targets.
+ * Designed to be a pure calculation engine, receiving pre-processed data (lipids in mmol/L).
+ * @version 1.0.2
+ * @author CVD Risk Assessment Team
+ * @reference Dorresteijn JAN, et al. Development and validation of a prediction rule for recurrent vascular events based on a cohort study of patients with arterial disease: the SMART risk score. Heart. 2013;99(12):866-872.
+ * @reference Hageman SHJ, et al. Estimation of recurrent atherosclerotic cardiovascular event risk in patients with established cardiovascular disease: the updated SMART2 algorithm. Eur Heart J. 2022;43(18):1715-1727.
+ * @reference Cholesterol Treatment Trialists' Collaboration. Lancet. 2010;376(9753):1670-1681.
+ * @exports SmartRiskAlgorithm
+ */
+
+'use strict';
+
+import RiskHorizonService from './risk-horizons.js';
+
+class SmartRiskAlgorithm {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional), RiskHorizons (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            PerformanceMonitor: dependencies.PerformanceMonitor || { start: () => Date.now(), end: (label, startTime) => console.log(`${label} took ${Date.now() - startTime}ms`) },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.dependencies.RiskHorizons = dependencies.RiskHorizons || new RiskHorizonService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+
+        this.VERSION = '1.0.2';
+
+        // SMART risk score: risk = 1 - baselineSurvival ^ exp(LP + linearPredictorOffset)
+        this.DEFAULT_MODEL = Object.freeze({
+            label: 'SMART',
+            isSmart2: false,
+            coefficients: Object.freeze({
+                age: -0.0850, ageSquared: 0.00105, male: 0.156, smoker: 0.262, sbp: 0.00429, diabetes: 0.223,
+                coronary: 0.140, cerebrovascular: 0.406, aorticAneurysm: 0.558, peripheral: 0.283,
+                yearsSinceFirstEvent: 0.0229, hdl: -0.426, totalCholesterol: 0.0959,
+                egfr: -0.0532, egfrSquared: 0.000306, lnCrp: 0.139
+            }),
+            baselineSurvival: 0.81066,
+            linearPredictorOffset: 2.099
+        });
+        this.DEFAULT_CRP_MG_L = 2.0; // Used, and reported, when hs-CRP is not available
+
+        this.initialized = true;
+        this.dependencies.ErrorLogger.log?.('info', `SmartRiskAlgorithm initialized (v${this.VERSION}).`, 'SMART-Init');
+    }
+
+    _log(level, message, data) {
+        this.dependencies.ErrorLogger.log?.(level, `SMART-AlgoEngine: ${message}`, data);
+    }
+    _handleError(error, context, additionalData = {}) {
+        const msg = error.message || String(error);
+        this.dependencies.ErrorLogger.handleError?.(msg, `SMART-AlgoEngine-${context}`, 'error', { originalError: error, ...additionalData });
+    }
+
+    /** The configured SMART2 model (SMART.MODEL), falling back to the bundled SMART coefficients. @private */
+    _getModel() {
+        const configured = this.dependencies.ClinicalThresholds?.get('SMART.MODEL', null);
+        if (!configured) return this.DEFAULT_MODEL;
+        return { ...this.DEFAULT_MODEL, label: 'SMART2', isSmart2: true, ...configured, coefficients: { ...this.DEFAULT_MODEL.coefficients, ...configured.coefficients } };
+    }
+
+    /**
+     * Processes validated inputs for the SMART model.
+     * @param {object} validatedData - Data from RiskCalculator._prepareAndValidateData.
+     * Expected fields: age, sex, totalCholesterol (mmol/L), hdl (mmol/L), systolicBP, isSmoker, hasDiabetes, egfr,
+     * yearsSinceFirstEvent, and at least one of coronaryDisease, cerebrovascularDisease, peripheralArterialDisease,
+     * aorticAneurysm.
+     * Optional: hsCrp (mg/L), ldl (mmol/L, for the LDL-lowering benefit), ldlTarget (mmol/L).
+     * @returns {object} Processed data.
+     * @private
+     */
+    _processInputsForAlgorithm(validatedData) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const minAge = CT?.get('AGE.MIN_SMART', 45) || 45;
+        const maxAge = CT?.get('AGE.MAX_SMART', 80) || 80;
+        const p = {};
+        p.male = String(validatedData.sex).toLowerCase() === 'male' ? 1 : 0;
+        p.age = Number(validatedData.age);
+        p.sbp = Number(validatedData.systolicBP);
+        p.smoker = validatedData.isSmoker ? 1 : 0;
+        p.diabetes = validatedData.hasDiabetes ? 1 : 0;
+        p.coronary = validatedData.coronaryDisease ? 1 : 0;
+        p.cerebrovascular = validatedData.cerebrovascularDisease ? 1 : 0;
+        p.peripheral = validatedData.peripheralArterialDisease ? 1 : 0;
+        p.aorticAneurysm = validatedData.aorticAneurysm ? 1 : 0;
+        p.yearsSinceFirstEvent = Number(validatedData.yearsSinceFirstEvent) || 0;
+        p.totalCholesterol = Number(validatedData.totalCholesterol);
+        p.hdl = Number(validatedData.hdl);
+        p.egfr = Number(validatedData.egfr);
+        p.crpAssumed = !(Number(validatedData.hsCrp) > 0);
+        p.hsCrp = p.crpAssumed ? this.DEFAULT_CRP_MG_L : Number(validatedData.hsCrp);
+        p.ldl = Number(validatedData.ldl) > 0 ? Number(validatedData.ldl) : null;
+        p.ldlTarget = Number(validatedData.ldlTarget) > 0 ? Number(validatedData.ldlTarget) : (CT?.get('LIPID_TARGETS.EXTREME_RISK_ASCVD.LDL_MMOL', 1.4) || 1.4);
+
+        if (isNaN(p.age) || p.age < minAge || p.age > maxAge) throw new Error(`Age must be between ${minAge} and ${maxAge} for the SMART model.`);
+        if (!(p.coronary || p.cerebrovascular || p.peripheral || p.aorticAneurysm)) throw new Error('SMART requires established vascular disease (coronary, cerebrovascular, peripheral or aortic aneurysm).');
+        const criticalFields = { totalCholesterol: p.totalCholesterol, hdl: p.hdl, sbp: p.sbp, egfr: p.egfr };
+        for (const field in criticalFields) {
+            if (isNaN(criticalFields[field]) || criticalFields[field] <= 0) throw new Error(`Invalid or non-positive critical value for ${field}: ${criticalFields[field]}`);
+        }
+        return p;
+    }
+
+    /** 10-year recurrent event risk (0-1) at the given profile. @private */
+    _calculateRiskProportion(p) {
+        const model = this._getModel();
+        const c = model.coefficients;
+        const lp = c.age * p.age + c.ageSquared * p.age * p.age + c.male * p.male + c.smoker * p.smoker + c.sbp * p.sbp
+            + c.diabetes * p.diabetes + c.coronary * p.coronary + c.cerebrovascular * p.cerebrovascular
+            + c.aorticAneurysm * p.aorticAneurysm + c.peripheral * p.peripheral + c.yearsSinceFirstEvent * p.yearsSinceFirstEvent
+            + c.hdl * p.hdl + c.totalCholesterol * p.totalCholesterol + c.egfr * p.egfr + c.egfrSquared * p.egfr * p.egfr
+            + c.lnCrp * Math.log(p.hsCrp);
+        const risk = 1 - Math.pow(model.baselineSurvival, Math.exp(lp + model.linearPredictorOffset));
+        return isFinite(risk) ? Math.max(0, Math.min(1, risk)) : NaN;
+    }
+
+    /** ESC 2021 categories for established ASCVD (SMART_RISK_CATEGORY; values are lower bounds). */
+    _determineRiskCategory(riskPercent) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const highMin = CT?.get('SMART_RISK_CATEGORY.HIGH', 10) || 10;
+        const veryHighMin = CT?.get('SMART_RISK_CATEGORY.VERY_HIGH', 20) || 20;
+
+        if (isNaN(riskPercent) || riskPercent < 0) return { category: 'unknown', description: 'Risk Undetermined (Invalid Input)' };
+        if (riskPercent < highMin) return { category: 'low_moderate', description: `Low-to-Moderate Recurrent Risk (<${highMin}%)` };
+        if (riskPercent < veryHighMin) return { category: 'high', description: `High Recurrent Risk (${highMin}% to <${veryHighMin}%)` };
+        return { category: 'very_high', description: `Very High Recurrent Risk (≥${veryHighMin}%)` };
+    }
+
+    /**
+     * Non-validated projections with competing non-CVD mortality (see RiskHorizonService); each later window carries the longer time since the first event.
+     * `hazardRatio` below 1 applies a treatment effect to every window.
+     * @private
+     */
+    _projectHorizons(p, riskProportion, hazardRatio = 1) {
+        const maxModelAge = this.dependencies.ClinicalThresholds?.get('AGE.MAX_SMART', 80) || 80;
+        const treated = (risk) => 1 - Math.pow(1 - risk, hazardRatio);
+        const riskAtAge = (age) => treated(this._calculateRiskProportion({ ...p, age, yearsSinceFirstEvent: p.yearsSinceFirstEvent + (age - p.age) }));
+        return this.dependencies.RiskHorizons.projectHorizons(riskAtAge, { age: p.age, tenYearRiskProportion: treated(riskProportion), maxModelAge, sex: p.male ? 'male' : 'female' });
+    }
+
+    /**
+     * 10-year and lifetime benefit of lowering LDL-C from its current value to `p.ldlTarget`, using the CTT
+     * relative risk per 1 mmol/L (SMART.CTT_RR_PER_MMOL).
+     * @returns {object|null} Null without an LDL-C value.
+     * @private
+     */
+    _estimateLdlLoweringBenefit(p, riskProportion, horizons) {
+        if (p.ldl === null) return null;
+        const rrPerMmol = this.dependencies.ClinicalThresholds?.get('SMART.CTT_RR_PER_MMOL', 0.78) || 0.78;
+        const ldlReductionMmol = Math.max(0, p.ldl - p.ldlTarget);
+        const hazardRatio = Math.pow(rrPerMmol, ldlReductionMmol);
+        const treatedHorizons = this._projectHorizons(p, riskProportion, hazardRatio);
+        const round = (x) => (x === null || x === undefined ? null : parseFloat(x.toFixed(1)));
+        const tenYearArr = horizons.tenYear.riskPercent - treatedHorizons.tenYear.riskPercent;
+        const lifetimeArr = horizons.lifetime.riskPercent !== null && treatedHorizons.lifetime.riskPercent !== null
+            ? horizons.lifetime.riskPercent - treatedHorizons.lifetime.riskPercent : null;
+        return {
+            ldl: p.ldl, targetLdl: p.ldlTarget,
+            ldlReductionMmol: parseFloat(ldlReductionMmol.toFixed(2)),
+            hazardRatio: parseFloat(hazardRatio.toFixed(3)),
+            tenYear: {
+                riskPercent: horizons.tenYear.riskPercent, treatedRiskPercent: treatedHorizons.tenYear.riskPercent,
+                absoluteRiskReductionPercent: round(tenYearArr), numberNeededToTreat: tenYearArr > 0 ? Math.ceil(100 / tenYearArr) : null
+            },
+            lifetime: {
+                toAge: horizons.lifetime.toAge, riskPercent: horizons.lifetime.riskPercent, treatedRiskPercent: treatedHorizons.lifetime.riskPercent,
+                absoluteRiskReductionPercent: round(lifetimeArr)
+            }
+        };
+    }
+
+    /**
+     * Main public method for the SMART recurrent risk calculation.
+     * @param {object} rawPatientData - Validated, unit-converted data from RiskCalculator.
+     * @returns {object} Calculation results.
+     */
+    calculateRisk(rawPatientData) {
+        const perfId = this.dependencies.PerformanceMonitor.start('SMART_calculateRisk_Main');
+        try {
+            if (!this.initialized) throw new Error('SMART calculator not properly initialized.');
+            const processedData = this._processInputsForAlgorithm(rawPatientData);
+            const riskProportion = this._calculateRiskProportion(processedData);
+            if (isNaN(riskProportion)) throw new Error('Risk calculation resulted in NaN.');
+
+            const tenYearRiskPercent = parseFloat((riskProportion * 100).toFixed(1));
+            const { category: riskCategory, description: categoryDescription } = this._determineRiskCategory(tenYearRiskPercent);
+            const horizons = this._projectHorizons(processedData, riskProportion);
+
+            const result = {
+                success: true,
+                tenYearRiskPercent,
+                riskCategory,
+                categoryDescription,
+                model: this._getModel().label,
+                isSmart2: this._getModel().isSmart2,
+                outcome: 'Recurrent MI, stroke or vascular death (established ASCVD)',
+                secondaryPrevention: true,
+                assumedInputs: processedData.crpAssumed ? [`hs-CRP ${this.DEFAULT_CRP_MG_L} mg/L (not entered)`] : [],
+                ldlLoweringBenefit: this._estimateLdlLoweringBenefit(processedData, riskProportion, horizons),
+                modifiersApplied: [],
+                thirtyYearRiskPercent: horizons.thirtyYear.riskPercent,
+                lifetimeRiskPercent: horizons.lifetime.riskPercent,
+                horizons,
+                inputParameters: rawPatientData,
+                algorithm: 'SMART-Recurrent-Risk',
+                calculationDate: new Date().toISOString(),
+                version: this.VERSION
+            };
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return result;
+        } catch (error) {
+            this._handleError(error, 'CalculateRiskMain');
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return { success: false, error: `Error in SMART calculation: ${error.message}`, calculationDate: new Date().toISOString(), version: this.VERSION };
+        }
+    }
+}
+
+export default SmartRiskAlgorithm;
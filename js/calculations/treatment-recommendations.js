@@ -6,12 +6,24 @@
  * Fuses logic from user's enhanced-medication-module.js (MedicationEvaluator)
  * and medication.js.
  * Implements the TreatmentGuideline class concept from PDF.
- * @version 1.2.0
+ * Lp(a), FH, LDL-C estimation, ApoB discordance, regimen, interaction, renal and benefit logic come from the
+ * injected services.
+ * @version 1.13.4
  * @exports TreatmentRecommendationsService
  */
 
 'use strict';
 
+import LpaModifierService from './lpa-modifier.js';
+import CacReclassificationService from './cac-reclassifier.js';
+import FHDiagnosisService from './fh-diagnosis.js';
+import LdlEstimationService from './ldl-estimation.js';
+import LipidDiscordanceService from './lipid-discordance.js';
+import LipidRegimenOptimizerService from './lipid-regimen-optimizer.js';
+import DrugInteractionService from './drug-interaction-checker.js';
+import RenalFunctionService from './renal-function.js';
+import LdlBenefitService from './ldl-benefit.js';
+
 class TreatmentRecommendationsService {
     /**
      * @param {object} [options={}] - Configuration options.
@@ -38,8 +50,20 @@ class TreatmentRecommendationsService {
             InputSanitizer: window.InputSanitizerService,
             ...options.dependencies,
         };
+        this.dependencies.LpaModifier = this.dependencies.LpaModifier || new LpaModifierService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.CacReclassifier = this.dependencies.CacReclassifier || new CacReclassificationService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.FHDiagnosis = this.dependencies.FHDiagnosis || new FHDiagnosisService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.LdlEstimation = this.dependencies.LdlEstimation || new LdlEstimationService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.LipidDiscordance = this.dependencies.LipidDiscordance || new LipidDiscordanceService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+        this.dependencies.LipidRegimenOptimizer = this.dependencies.LipidRegimenOptimizer || new LipidRegimenOptimizerService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds, MedicationDatabase: this.dependencies.MedicationDatabase });
+
+        this.dependencies.DrugInteraction = this.dependencies.DrugInteraction || new DrugInteractionService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds, MedicationDatabase: this.dependencies.MedicationDatabase });
+
+        this.dependencies.RenalFunction = this.dependencies.RenalFunction || new RenalFunctionService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds, MedicationDatabase: this.dependencies.MedicationDatabase });
+
+        this.dependencies.LdlBenefit = this.dependencies.LdlBenefit || new LdlBenefitService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
 
-        this.VERSION = '1.2.0';
+        this.VERSION = '1.13.4';
         this.currentRegion = this.options.defaultRegion; // Can be updated by events
 
         if (!this.dependencies.ClinicalThresholds || !this.dependencies.MedicationDatabase || !this.dependencies.ValidationHelpers || !this.dependencies.InputSanitizer) {
@@ -90,7 +114,8 @@ class TreatmentRecommendationsService {
     /**
      * Primary method to generate comprehensive recommendations.
      * @param {object} patientInputs - Validated, sanitized, and unit-normalized patient input data.
-     * @param {object} riskResults - Results from FRS and/or QRISK3.
+     * @param {object} riskResults - Results from FRS and/or QRISK3; `smart` (secondary prevention) for established ASCVD;
+     * `cacReclassification` (from RiskCalculator.calculateCombinedRisk) if a CAC score was given.
      * @param {Array<object>} [currentMedicationsInput=[]] - Array of current medication objects.
      * @returns {Promise<object|null>} Comprehensive recommendations object.
      */
@@ -105,16 +130,33 @@ class TreatmentRecommendationsService {
             // Internal data should already be normalized by RiskCalculator._prepareAndValidateData
             // but we ensure essential fields for recs are present and correctly typed.
             const internalData = this._prepareDataForRecommendations(patientInputs);
+            const recurrentRisk = riskResults.smart?.success ? riskResults.smart : null; // A SMART result confirms established ASCVD
+            if (recurrentRisk) {
+                internalData.hasASCVD = true;
+                internalData.recurrentRiskPercent = recurrentRisk.tenYearRiskPercent;
+                internalData.recurrentRiskModel = recurrentRisk.model;
+                internalData.recurrentRiskIsSmart2 = recurrentRisk.isSmart2 === true;
+            }
+            const currentTherapyEval = this._evaluateCurrentLipidTherapy(internalData, currentMedicationsInput);
+            internalData.fhDiagnosis = this._diagnoseFH(patientInputs, internalData, currentTherapyEval);
+            internalData.lipidDiscordance = this.dependencies.LipidDiscordance.analyze(internalData);
+            internalData.renalFunction = patientInputs.renalFunction || this.dependencies.RenalFunction.evaluate(internalData);
 
             const { primaryRiskPercent, primaryRiskCategoryName, drivingCalculator } = this._determinePrimaryRiskContext(riskResults, internalData);
-            const riskCatKey = primaryRiskCategoryName.toUpperCase().replace(/\s+/G, '_');
+            const riskCatKey = primaryRiskCategoryName.toUpperCase().replace(/\s+/g, '_');
             const riskCategoryDetails = CT.get(`RISK_CATEGORY_DETAILS.${riskCatKey}`) || CT.get('RISK_CATEGORY_DETAILS.MODERATE'); // Fallback
 
-            const targets = this._determineLipidTargetsCCS(riskCategoryName, internalData, primaryRiskPercent); // Using CCS focus
-            const currentTherapyEval = this._evaluateCurrentLipidTherapy(internalData, currentMedicationsInput);
+            const targets = this._determineLipidTargetsCCS(primaryRiskCategoryName, internalData, riskResults.cacReclassification); // Using CCS focus
             const targetsMet = this._areLipidTargetsMet(internalData, targets, currentTherapyEval);
 
             const recommendations = this._buildDetailedRecommendations(internalData, riskCategoryDetails, targets, currentTherapyEval, targetsMet, drivingCalculator);
+            if (recurrentRisk) this._addRecurrentRiskConsiderations(recommendations, recurrentRisk);
+            if (internalData.fhDiagnosis) recommendations.fhDiagnosis = internalData.fhDiagnosis;
+            this._addLipidTargetConsiderations(recommendations, targets, internalData.lipidDiscordance);
+            recommendations.regimenOptions = this._optimizeLipidRegimen(internalData, targets, currentTherapyEval);
+            this._addLdlLoweringBenefit(recommendations, primaryRiskPercent);
+            this._applyRenalFunction(recommendations, internalData, currentMedicationsInput, currentTherapyEval);
+            this._checkProposedTherapies(recommendations, internalData, currentMedicationsInput, currentTherapyEval);
 
             if (this.currentRegion === 'CA' || this.currentRegion === 'BC') { // BC specific criteria
                 recommendations.pcsk9EligibilityBC = this._evaluateBCPCSK9Eligibility(internalData, riskCategoryDetails, currentTherapyEval, targets);
@@ -154,11 +196,10 @@ class TreatmentRecommendationsService {
         if ((data.nonHdl === null || data.nonHdl === undefined) && data.totalCholesterol !== null && data.hdl !== null) {
             data.nonHdl = parseFloat((data.totalCholesterol - data.hdl).toFixed(2));
         }
-        // Calculate LDL (Friedewald) if missing (from enhanced-medication-module.js)
+        // Calculate LDL if missing, only within the method's validated triglyceride range
         if ((data.ldl === null || data.ldl === undefined) && data.totalCholesterol && data.hdl && data.triglycerides) {
-            if (data.triglycerides < 4.5) { // Valid only if TG < 4.5 mmol/L
-                data.ldl = parseFloat((data.totalCholesterol - data.hdl - (data.triglycerides / 2.2)).toFixed(2));
-            }
+            const estimate = this.dependencies.LdlEstimation.estimate({ totalCholesterol: data.totalCholesterol, hdl: data.hdl, triglycerides: data.triglycerides });
+            if (estimate?.valid) { data.ldl = estimate.value; data.ldlSource = `calculated (${estimate.methodLabel})`; }
         }
         // Ensure boolean flags are true booleans
         ['isSmoker', 'hasDiabetes', 'onBPMeds', 'hasASCVD', 'familialHypercholesterolemia', /* add all relevant flags from patientInputs */].forEach(flag => {
@@ -175,7 +216,9 @@ class TreatmentRecommendationsService {
 
         if (this._hasConfirmedASCVD(patientData)) { // Use patientData here
             primaryRiskCategoryName = this._isPatientExtremeHighRisk(patientData) ? 'EXTREME' : 'VERY_HIGH'; // User's logic for extreme risk
-            drivingCalculator = 'Clinical ASCVD'; primaryRiskPercent = Math.max(frsScore, qriskScore, 20);
+            const hasRecurrentRisk = patientData.recurrentRiskPercent !== undefined; // SMART result for established ASCVD
+            drivingCalculator = hasRecurrentRisk ? 'SMART (recurrent risk)' : 'Clinical ASCVD';
+            primaryRiskPercent = hasRecurrentRisk ? patientData.recurrentRiskPercent : Math.max(frsScore, qriskScore, 20);
         } else if (this._hasConfirmedFH(patientData)) {
             primaryRiskCategoryName = 'VERY_HIGH'; drivingCalculator = 'Familial Hypercholesterolemia'; primaryRiskPercent = Math.max(frsScore, qriskScore, 20);
         } else {
@@ -189,7 +232,7 @@ class TreatmentRecommendationsService {
     }
 
     _getRiskCategoryDetails(categoryName) { /* ... (same as v1.1.0) ... */
-        const key = String(categoryName).toUpperCase().replace(/\s+/G, '_');
+        const key = String(categoryName).toUpperCase().replace(/\s+/g, '_');
         return this.dependencies.ClinicalThresholds?.get(`RISK_CATEGORY_DETAILS.${key}`) ||
                this.dependencies.ClinicalThresholds?.get('RISK_CATEGORY_DETAILS.LOW'); // Sensible fallback
     }
@@ -212,12 +255,22 @@ class TreatmentRecommendationsService {
                        // Very high/Extreme are often clinical diagnoses (ASCVD, FH).
     }
 
-    _determineLipidTargetsCCS(riskCategoryName, patientData) { // Focus on CCS 2021 logic from user's MedicationEvaluator
+    /**
+     * @param {string} riskCategoryName - 'LOW' | 'MODERATE' | 'HIGH' (or a clinical category).
+     * @param {object} patientData
+     * @param {object|null} [cac=null] - CacReclassificationService evaluation; moves LOW/MODERATE/HIGH one step in primary prevention.
+     */
+    _determineLipidTargetsCCS(riskCategoryName, patientData, cac = null) { // Focus on CCS 2021 logic from user's MedicationEvaluator
         const CT = this.dependencies.ClinicalThresholds;
-        const targets = { ldl_mmolL: null, nonHdl_mmolL: null, apoB_gL: null, percentReductionLDL: 0, rationale: "" };
+        const targets = { ldl_mmolL: null, nonHdl_mmolL: null, apoB_gL: null, percentReductionLDL: 0, rationale: '', cacReclassification: null };
 
         const hasASCVD = this._hasConfirmedASCVD(patientData);
         const hasFH = this._hasConfirmedFH(patientData);
+        if (cac && !hasASCVD && !hasFH) { // CAC does not change secondary prevention or FH targets
+            const reclassified = this.dependencies.CacReclassifier.reclassify(riskCategoryName, ['LOW', 'MODERATE', 'HIGH'], cac);
+            targets.cacReclassification = { ...reclassified, score: cac.score, percentile: cac.percentile, reason: cac.reason };
+            riskCategoryName = reclassified.category;
+        }
         const hasDiabetes = patientData.hasDiabetes === true;
         const isExtremeRisk = hasASCVD && this._isPatientExtremeHighRisk(patientData); // Based on user's definition
 
@@ -227,6 +280,7 @@ class TreatmentRecommendationsService {
             targets.apoB_gL = CT?.get('LIPID_TARGETS.EXTREME_RISK_ASCVD.APOB_GL', 0.65);
             targets.percentReductionLDL = 50; // Still aim for at least 50%
             targets.rationale = "Extreme ASCVD risk: Very aggressive targets indicated.";
+            if (this._hasVeryHighRecurrentRisk(patientData)) targets.rationale += ` ${patientData.recurrentRiskModel || 'SMART2'} 10-year recurrent risk ${patientData.recurrentRiskPercent}% (≥${this._getVeryHighRecurrentRiskThreshold()}%).`;
         } else if (hasASCVD) {
             targets.ldl_mmolL = CT?.get('LIPID_TARGETS.ASCVD.LDL_MMOL', 1.8);
             targets.nonHdl_mmolL = CT?.get('LIPID_TARGETS.ASCVD.NONHDL_MMOL', 2.4);
@@ -277,27 +331,37 @@ class TreatmentRecommendationsService {
             targets.rationale = "Primary prevention: Low FRS/QRISK3 Risk. Lifestyle focus. Pharmacotherapy if LDL ≥5.0 mmol/L or risk enhancers present.";
         }
 
-        // Lp(a) adjustment from user's enhanced-medication-module.js, using mg/dL internally for logic
-        const lpaMgDl = (patientData.lpaUnit === 'nmol/L' && patientData.lpa) ? (patientData.lpa / (CT?.get('LPA.CONVERSION_NMOL_TO_MG', 2.17) || 2.17)) : patientData.lpa;
-        if (lpaMgDl && lpaMgDl >= (CT?.get('LPA.HIGH_RISK_MG', 50) || 50)) {
+        // Lp(a) adjustment from user's enhanced-medication-module.js; same threshold as _addLpaConsiderations
+        if (this.dependencies.LpaModifier.isElevated(patientData.lpa, patientData.lpaUnit)) {
             targets.ldl_mmolL = Math.min(targets.ldl_mmolL || Infinity, (CT?.get('LIPID_TARGETS.ELEVATED_LPA.LDL_MMOL', 1.8) || 1.8));
             if (targets.percentReductionLDL < 50) targets.percentReductionLDL = 50;
             targets.rationale += " Elevated Lp(a) present; consider more aggressive LDL-C target and ensure ≥50% LDL-C reduction.";
         }
+        const cacChange = targets.cacReclassification;
+        if (cacChange) targets.rationale += cacChange.changed ? ` ${cacChange.reason} (${cacChange.original} → ${cacChange.category}).` : ` ${cacChange.reason}`;
+
+        // CCS: ApoB (or non-HDL-C) replaces LDL-C as the target with high triglycerides or discordant ApoB
+        const primary = this.dependencies.LipidDiscordance.preferredTarget(patientData, patientData.lipidDiscordance);
+        const primaryValue = { ldl: targets.ldl_mmolL, nonHdl: targets.nonHdl_mmolL, apoB: targets.apoB_gL }[primary.type];
+        targets.primaryTarget = primaryValue === null ? { type: 'ldl', reason: 'LDL-C is the primary target' } : primary;
+        if (targets.primaryTarget.type !== 'ldl') targets.rationale += ` ${targets.primaryTarget.reason}: treat to ${this._formatPrimaryTarget(targets)}.`;
         return targets;
     }
 
     _evaluateCurrentLipidTherapy(patientData, currentMedications) { /* ... (Same as v1.1.0), uses MedicationDatabase & ClinicalThresholds for effects ... */
         const S = this.dependencies.InputSanitizer; const MD = this.dependencies.MedicationDatabase; const CT = this.dependencies.ClinicalThresholds;
-        const therapy = { statin: null, statinIntensity: 'none', isMaxStatinDose: false, hasEzetimibe: false, hasPCSK9: false, hasBempedoicAcid: false, hasFibrate: false, hasNiacin: false, hasBAS: false, otherLipidMeds: [], statinIntoleranceHistory: S.escapeHTML(patientData.statinIntoleranceType || 'none'), estimatedLDLReductionPercent: 0, estimatedBaselineLDL: null };
+        const therapy = { statin: null, statinDose: null, statinLdlReduction: null, statinIntensity: 'none', isMaxStatinDose: false, hasEzetimibe: false, hasPCSK9: false, hasBempedoicAcid: false, hasFibrate: false, hasNiacin: false, hasBAS: false, otherLipidMeds: [], statinIntoleranceHistory: S.escapeHTML(patientData.statinIntoleranceType || 'none'), estimatedLDLReductionPercent: 0, estimatedBaselineLDL: null };
         (currentMedications || []).forEach(medInput => {
             const medName = S.escapeHTML(String(medInput.name)).toLowerCase(); const medInfo = MD?.getByName(medName);
-            if (medInfo?.class === 'Statin') { therapy.statin = medInfo.name; therapy.statinIntensity = medInput.intensity?.toLowerCase() || medInfo.strength?.toLowerCase() || 'unknown';
-                // Max dose determination needs detailed dose info in MedicationDatabase and current dose from patientData.
-                // For now, 'high' intensity implies close to max.
-                if (therapy.statinIntensity === 'high') therapy.isMaxStatinDose = true;
-            }
-            else if (medInfo?.name.toLowerCase().includes('ezetimibe')) therapy.hasEzetimibe = true;
+            if (medInfo?.class === 'Statin') {
+                therapy.statin = medInfo.name;
+                therapy.statinDose = medInput.dose || null;
+                // Intensity and LDL-C lowering by the dose taken (atorvastatin 10mg is moderate, 80mg high); class strength without a dose
+                therapy.statinIntensity = medInput.intensity?.toLowerCase() || MD.getStatinIntensity?.(medInfo.name, medInput.dose) || medInfo.strength?.toLowerCase() || 'unknown';
+                therapy.statinLdlReduction = MD.getLdlReduction?.(medInfo.name, medInput.dose) ?? null;
+                const topDose = medInfo.dosages?.[medInfo.dosages.length - 1];
+                therapy.isMaxStatinDose = therapy.statinDose ? String(therapy.statinDose).replace(/\s+/g, '').toLowerCase() === topDose?.toLowerCase() : therapy.statinIntensity === 'high';
+            } else if (medInfo?.name.toLowerCase().includes('ezetimibe')) therapy.hasEzetimibe = true;
             else if (medInfo?.class === 'PCSK9 Inhibitor') therapy.hasPCSK9 = true;
             else if (medInfo?.name.toLowerCase().includes('bempedoic acid')) therapy.hasBempedoicAcid = true;
             else if (medInfo?.class === 'Fibrate') therapy.hasFibrate = true;
@@ -313,16 +377,124 @@ class TreatmentRecommendationsService {
         return therapy;
     }
 
-    _calculateEstimatedLDLReduction(currentTherapy) { /* ... (Same as v1.1.0), uses ClinicalThresholds for reduction %s ... */
-        let ldlRemaining = 1.0; const CT = this.dependencies.ClinicalThresholds;
-        if (currentTherapy.statinIntensity === 'low') ldlRemaining *= (1 - (CT?.get('STATIN_EFFECT.LOW.LDL_REDUCTION', 0.25)));
-        else if (currentTherapy.statinIntensity === 'moderate') ldlRemaining *= (1 - (CT?.get('STATIN_EFFECT.MODERATE.LDL_REDUCTION', 0.35)));
-        else if (currentTherapy.statinIntensity === 'high') ldlRemaining *= (1 - (CT?.get('STATIN_EFFECT.HIGH.LDL_REDUCTION', 0.50)));
-        if (currentTherapy.hasEzetimibe) ldlRemaining *= (1 - (CT?.get('EZETIMIBE.ADDON_LDL_REDUCTION', 0.20)));
-        if (currentTherapy.hasPCSK9) ldlRemaining *= (1 - (CT?.get('PCSK9I.ADDON_LDL_REDUCTION', 0.55)));
-        if (currentTherapy.hasBempedoicAcid) ldlRemaining *= (1 - (CT?.get('BEMPEDOIC.ADDON_LDL_REDUCTION', 0.18)));
-        if (currentTherapy.hasBAS) ldlRemaining *= (1 - (CT?.get('BAS.ADDON_LDL_REDUCTION', 0.15)));
-        return Math.min(1 - ldlRemaining, 0.95); // Cap at 95%
+    _calculateEstimatedLDLReduction(currentTherapy) { // Shared with the FH untreated LDL-C estimate
+        return this.dependencies.FHDiagnosis.estimateLdlReduction(currentTherapy);
+    }
+
+    /**
+     * FH diagnosis from the Medication & Labs FH fields, on the normalized lipids. The untreated LDL-C is
+     * back-calculated from the evaluated medication list, or from the form's lipid therapy without one.
+     * @returns {object|null} FHDiagnosisService.evaluate() result.
+     * @private
+     */
+    _diagnoseFH(patientInputs, patientData, currentTherapyEval) {
+        const FH = this.dependencies.FHDiagnosis;
+        const inputs = FH.fromFormData(patientInputs);
+        if (patientData.ldl !== null) inputs.ldl = patientData.ldl;
+        if (patientData.totalCholesterol !== null) inputs.totalCholesterol = patientData.totalCholesterol;
+        if (isNaN(inputs.age)) inputs.age = Number(patientData.age);
+        if (currentTherapyEval.estimatedLDLReductionPercent > 0) inputs.therapy = currentTherapyEval;
+        return FH.evaluate(inputs);
+    }
+
+    /**
+     * Regimens reaching the LDL-C target (or the percentage reduction) from the current regimen; statins are left
+     * out with a documented intolerance.
+     * @returns {object|null} LipidRegimenOptimizerService.optimize() result.
+     * @private
+     */
+    _optimizeLipidRegimen(patientData, targets, currentTherapyEval) {
+        if (patientData.ldl === null || !targets.ldl_mmolL) return null;
+        const untreated = patientData.fhDiagnosis?.untreatedLdl; // Documented pre-treatment value, from the FH fields
+        return this.dependencies.LipidRegimenOptimizer.optimize({
+            currentLdl: patientData.ldl,
+            targetLdl: targets.ldl_mmolL,
+            untreatedLdl: untreated && !untreated.estimated ? untreated.value : currentTherapyEval.estimatedBaselineLDL ?? undefined,
+            percentReductionTarget: targets.percentReductionLDL,
+            currentTherapy: currentTherapyEval,
+            statinIntolerant: !!currentTherapyEval.statinIntoleranceHistory && currentTherapyEval.statinIntoleranceHistory !== 'none',
+            egfr: patientData.renalFunction?.egfr,
+        });
+    }
+
+    /**
+     * CTT benefit of each ranked regimen (`regimen.benefit`) at the primary 10-year risk, from the current to the
+     * expected LDL-C, and a consideration for the first regimen that reaches the target.
+     * @private
+     */
+    _addLdlLoweringBenefit(recommendations, primaryRiskPercent) {
+        const optimization = recommendations.regimenOptions;
+        if (!optimization?.regimens?.length || !(primaryRiskPercent > 0)) return;
+        const LB = this.dependencies.LdlBenefit; const S = this.dependencies.InputSanitizer;
+        optimization.regimens.forEach(regimen => {
+            if (regimen.expectedLdl < optimization.currentLdl) regimen.benefit = LB.estimate({ baselineRiskPercent: primaryRiskPercent, ldl: optimization.currentLdl, expectedLdl: regimen.expectedLdl });
+        });
+        const best = optimization.regimens.find(regimen => regimen.reachesTarget && regimen.benefit);
+        if (!best) return;
+        const { treatedRiskPercent, numberNeededToTreat, timeToBenefitYears } = best.benefit;
+        const timing = timeToBenefitYears !== null ? `; benefit from about ${timeToBenefitYears} years` : '';
+        recommendations.additionalConsiderations.push(S.escapeHTML(`${best.label} (LDL-C ${optimization.currentLdl} → ${best.expectedLdl} mmol/L): 10-year risk ${best.benefit.baselineRiskPercent}% → ${treatedRiskPercent}% by CTT (NNT ${numberNeededToTreat ?? 'N/A'} over 10 years${timing}).`));
+    }
+
+    /**
+     * Renal function with the recommendations: the KDIGO stage, an SGLT2 inhibitor for CKD (type 2 diabetes with
+     * eGFR <60 or albuminuria, or ACR ≥ RENAL.SGLT2_ACR_MG_MMOL) limited to the agents that may be started at this
+     * eGFR, and the renal dose limits of each proposed drug (`renalDosing`, also listed under considerations).
+     * @private
+     */
+    _applyRenalFunction(recommendations, patientData, currentMedications, currentTherapyEval) {
+        const renal = patientData.renalFunction;
+        if (!renal) return;
+        const S = this.dependencies.InputSanitizer; const CT = this.dependencies.ClinicalThresholds;
+        const MD = this.dependencies.MedicationDatabase; const RF = this.dependencies.RenalFunction;
+        recommendations.renalFunction = renal;
+        recommendations.additionalConsiderations.push(S.escapeHTML(renal.summary));
+
+        const diabetesType = String(patientData.diabetesStatus || patientData.diabetesType || '');
+        const isType2 = /type\s*2/i.test(diabetesType) || (patientData.hasDiabetes && !/type\s*1/i.test(diabetesType));
+        const onSglt2 = (currentMedications || []).some(med => MD?.getByName(String(med.name ?? med))?.class === 'SGLT2 Inhibitor');
+        const albuminuric = renal.acr !== null && renal.acr >= (CT?.get('RENAL.SGLT2_ACR_MG_MMOL', 22.6) || 22.6);
+        if ((renal.hasCkd && isType2) || albuminuric) {
+            const minEgfr = CT?.get('RENAL.SGLT2_MIN_EGFR', 20) || 20;
+            const notStarted = RF.doseLimits(['SGLT2 Inhibitor'], renal.egfr).filter(limit => !limit.initiate).map(limit => limit.name);
+            const agents = (MD?.getByClass('SGLT2 Inhibitor') || []).map(med => med.name).filter(name => !notStarted.includes(name));
+            if (!onSglt2 && renal.egfr >= minEgfr && agents.length) {
+                recommendations.pharmacological.push({ therapy: 'SGLT2 Inhibitor', action: 'CONSIDER', rationale: `KDIGO: SGLT2 inhibitor for CKD (${renal.stage}) to slow progression and reduce CV events. Can be started at eGFR ${renal.egfr}: ${agents.join(', ')}.` });
+            } else if (!onSglt2 && renal.egfr < minEgfr) {
+                recommendations.additionalConsiderations.push(S.escapeHTML(`eGFR ${renal.egfr} is below ${minEgfr}: do not start an SGLT2 inhibitor.`));
+            }
+        }
+
+        recommendations.pharmacological.filter(rec => ['START', 'ADD', 'CONSIDER', 'INTENSIFY'].includes(rec.action)).forEach(rec => {
+            const drug = rec.action === 'INTENSIFY' && currentTherapyEval.statin ? currentTherapyEval.statin : rec.therapy;
+            rec.renalDosing = RF.doseLimits([drug], renal.egfr);
+            rec.renalDosing.forEach(limit => recommendations.additionalConsiderations.push(S.escapeHTML(`Renal dosing, ${limit.name}: ${limit.note}`)));
+        });
+    }
+
+    /**
+     * Interaction and contraindication alerts for the drugs proposed: each START / ADD / CONSIDER / INTENSIFY
+     * recommendation (its own `interactionAlerts`, all of them graded in `recommendations.interactionAlerts`) and each
+     * ranked regimen, which replaces the current lipid-lowering drugs of the same classes.
+     * @private
+     */
+    _checkProposedTherapies(recommendations, patientData, currentMedications, currentTherapyEval) {
+        const DI = this.dependencies.DrugInteraction;
+        const options = { patient: patientData };
+        const alerts = [];
+        recommendations.pharmacological.filter(rec => ['START', 'ADD', 'CONSIDER', 'INTENSIFY'].includes(rec.action)).forEach(rec => {
+            const proposed = rec.action === 'INTENSIFY' && currentTherapyEval.statin ? { name: currentTherapyEval.statin } : rec.therapy;
+            rec.interactionAlerts = DI.checkAddition(currentMedications, proposed, options);
+            alerts.push(...rec.interactionAlerts);
+        });
+        recommendations.interactionAlerts = DI.grade(alerts);
+
+        (recommendations.regimenOptions?.regimens || []).forEach(regimen => {
+            const replaced = ['Statin', ...regimen.components.map(c => DI.resolve(c.name)?.class)];
+            const kept = (currentMedications || []).filter(med => !replaced.includes(DI.resolve(med)?.class));
+            regimen.interactionAlerts = DI.checkAddition(kept, regimen.components.map(({ name, dose }) => ({ name, dose })), options);
+            regimen.interactionSeverity = DI.highestSeverity(regimen.interactionAlerts);
+        });
     }
 
     _areLipidTargetsMet(patientData, targets, currentTherapyEval) { /* ... (Same as v1.1.0), more robust check for undefined targets ... */
@@ -339,6 +511,13 @@ class TreatmentRecommendationsService {
             result.percentReduction = achievedReduction >= targets.percentReductionLDL;
         }
 
+        // ApoB or non-HDL-C as the primary target (LipidDiscordanceService.preferredTarget) decides on its own when measured
+        const primary = targets.primaryTarget?.type;
+        if (primary && primary !== 'ldl' && result[primary] !== null) {
+            result.overall = result[primary];
+            return result;
+        }
+
         // Overall: Must meet LDL absolute target OR LDL % reduction target. Also check non-HDL or ApoB if LDL not primary or met.
         // CCS Guideline: Primary target is LDL-C, with alternatives of non-HDL-C or ApoB.
         // If LDL target is met (either absolute or % reduction), overall is met.
@@ -377,11 +556,11 @@ class TreatmentRecommendationsService {
             if (currentTherapyEval.statinIntensity === 'none' && !isStatinEffectivelyIntolerant) {
                 const intensity = (riskCategoryDetails.name === 'Low Risk' && (!currentLDL || currentLDL < (CT.get('LIPID_TARGETS.PRIMARY_LOW_RISK_THRESHOLD_LDL', 5.0)))) ? 'none' : (riskCategoryDetails.name === 'Moderate Risk' ? 'moderate' : 'high');
                 if (intensity !== 'none') {
-                    recs.pharmacological.push({ therapy: 'Statin', action: 'START', intensity: `${intensity}-intensity`, rationale: `Initiate ${intensity}-intensity statin. Target LDL <${targets.ldl_mmolL?.toFixed(1)} mmol/L or ≥${targets.percentReductionLDL}% reduction.` });
+                    recs.pharmacological.push({ therapy: 'Statin', action: 'START', intensity: `${intensity}-intensity`, rationale: `Initiate ${intensity}-intensity statin. Target ${this._formatPrimaryTarget(targets)}.` });
                     statinRecAdded = true;
                 }
             } else if (currentTherapyEval.statinIntensity !== 'high' && !onMaxStatin && !isStatinEffectivelyIntolerant) {
-                recs.pharmacological.push({ therapy: 'Statin', action: 'INTENSIFY', intensity: 'to higher or maximal tolerated dose', rationale: `Increase current statin. Target LDL <${targets.ldl_mmolL?.toFixed(1)} mmol/L or ≥${targets.percentReductionLDL}% reduction.` });
+                recs.pharmacological.push({ therapy: 'Statin', action: 'INTENSIFY', intensity: 'to higher or maximal tolerated dose', rationale: `Increase current statin. Target ${this._formatPrimaryTarget(targets)}.` });
                 statinRecAdded = true;
             }
 
@@ -403,25 +582,51 @@ class TreatmentRecommendationsService {
             }
         }
         // ... (Add hypertriglyceridemia, lifestyle, monitoring, followUp sections - similar to previous version but ensure S.escapeHTML) ...
+        this._addLpaConsiderations(recs, patientData);
         recs.monitoring.push(S.escapeHTML(`Re-assess lipid profile in ${targetsMet.overall ? '6-12 months' : '6-12 weeks'} to evaluate response and tolerance.`));
         recs.monitoring.push(S.escapeHTML("Monitor for potential medication side effects (e.g., myalgia with statins, LFTs if indicated)."));
         recs.followUp = S.escapeHTML(targetsMet.overall ? "Routine follow-up based on overall risk." : "Close follow-up to ensure lipid targets are achieved and therapy is optimized.");
         return recs;
     }
 
+    /** Treatment target as text, e.g. "LDL <2.0 mmol/L or ≥50% reduction" or "ApoB <0.80 g/L". */
+    _formatPrimaryTarget(targets) {
+        switch (targets.primaryTarget?.type) {
+            case 'apoB': return `ApoB <${targets.apoB_gL?.toFixed(2)} g/L`;
+            case 'nonHdl': return `non-HDL-C <${targets.nonHdl_mmolL?.toFixed(1)} mmol/L`;
+            default: return `LDL <${targets.ldl_mmolL?.toFixed(1)} mmol/L or ≥${targets.percentReductionLDL}% reduction`;
+        }
+    }
+
+    /**
+     * Records the treatment target (type, value, reason) and the ApoB discordance analysis with the recommendations.
+     * @private
+     */
+    _addLipidTargetConsiderations(recommendations, targets, discordance) {
+        const S = this.dependencies.InputSanitizer;
+        const { type, reason } = targets.primaryTarget;
+        const [value, unit] = { ldl: [targets.ldl_mmolL, 'mmol/L'], nonHdl: [targets.nonHdl_mmolL, 'mmol/L'], apoB: [targets.apoB_gL, 'g/L'] }[type];
+        recommendations.lipidTarget = { type, value, unit, reason, text: this._formatPrimaryTarget(targets) };
+        if (!discordance) return;
+        recommendations.lipidDiscordance = discordance;
+        if (discordance.direction === 'apob_higher') recommendations.additionalConsiderations.push(S.escapeHTML(`${discordance.summary} Treat to the ApoB target (${this._formatPrimaryTarget(targets)}) and reassess ApoB on therapy; LDL-C at goal does not exclude residual particle risk.`));
+        else if (discordance.direction === 'apob_lower') recommendations.additionalConsiderations.push(S.escapeHTML(discordance.summary));
+    }
+
     _getBaseLifestyleRecs(patientData) { /* ... (same as v1.1.0) ... */
         const S = this.dependencies.InputSanitizer; const lifestyle = [ S.escapeHTML("Adopt heart-healthy diet (e.g. Mediterranean, DASH, Portfolio)."), S.escapeHTML("Regular physical activity (150+ min/wk moderate or 75+ min/wk vigorous)."), S.escapeHTML("Maintain healthy body weight (BMI 18.5-24.9 kg/m², appropriate waist circumference)."), S.escapeHTML("Limit alcohol consumption per national guidelines."), S.escapeHTML("Manage stress effectively.")];
         if (patientData.isSmoker || patientData.smokingStatus !== 'non') lifestyle.unshift(S.escapeHTML("Smoking cessation is CRUCIAL. Offer counseling and pharmacotherapy (varenicline, bupropion, NRT).")); return lifestyle;
     }
 
-    _addLpaConsiderations(recommendations, patientData) { /* ... (same as v1.1.0), ensure patientData.lpa is numeric ... */
-        const S = this.dependencies.InputSanitizer; const CT = this.dependencies.ClinicalThresholds;
-        const lpaValue = patientData.lpa ? parseFloat(patientData.lpa) : null; const lpaUnit = patientData.lpaUnit || 'nmol/L';
-        const lpaHighNmol = CT?.get('LPA.HIGH_RISK_NMOL_CCS', 100) || 100; // CCS often uses 100 nmol/L as a key threshold
-        const lpaHighMg = CT?.get('LPA.HIGH_RISK_MG_CCS', 50) || 50; // Approx 50 mg/dL
-        let isLpaHigh = false;
-        if (lpaValue !== null && !isNaN(lpaValue)) { if (lpaUnit.toLowerCase().includes('nmol')) isLpaHigh = lpaValue >= lpaHighNmol; else if (lpaUnit.toLowerCase().includes('mg')) isLpaHigh = lpaValue >= lpaHighMg; }
-        if (isLpaHigh) { recommendations.additionalConsiderations.push(S.escapeHTML(`Elevated Lp(a) (${lpaValue.toFixed(1)} ${lpaUnit}) is an independent genetic risk factor. Intensify LDL-C lowering (e.g., target <1.8 mmol/L, or even <1.4 mmol/L in very high global risk if per guidelines) and aggressively manage ALL other modifiable risk factors. Consider aspirin if overall ASCVD risk warrants it and bleeding risk is low. Specific Lp(a)-lowering therapies are emerging.`));}
+    _addLpaConsiderations(recommendations, patientData) { // Threshold (CCS) and multiplier both come from LpaModifierService
+        const S = this.dependencies.InputSanitizer; const L = this.dependencies.LpaModifier;
+        const lpaUnit = patientData.lpaUnit || 'nmol/L';
+        const lpa = L.evaluate(patientData.lpa, lpaUnit, patientData.lpaCurve);
+        recommendations.lpaModifier = lpa; // Curve used, recorded with the recommendations
+        const elevated = !!(lpa && L.isElevated(lpa.value, lpaUnit));
+        recommendations.cascadeScreening = { indicated: elevated, lpa: lpa?.value ?? null, lpaUnit }; // Picked up by the History panel (LpaCascadeScreeningService)
+        if (elevated) { recommendations.additionalConsiderations.push(S.escapeHTML(`Elevated Lp(a) (${lpa.value.toFixed(1)} ${lpa.unit}) is an independent genetic risk factor (estimated risk multiplier ×${lpa.factor.toFixed(2)}, ${lpa.curveLabel}). Intensify LDL-C lowering (e.g., target <1.8 mmol/L, or even <1.4 mmol/L in very high global risk if per guidelines) and aggressively manage ALL other modifiable risk factors. Consider aspirin if overall ASCVD risk warrants it and bleeding risk is low. Specific Lp(a)-lowering therapies are emerging.`));}
+        if (elevated) recommendations.additionalConsiderations.push(S.escapeHTML('Lp(a) levels are inherited (autosomal co-dominant): offer cascade screening of first-degree relatives (parents, siblings, children), each with ~50% chance of elevated Lp(a). Track relatives and print notification letters from the History panel.'));
     }
 
     _enhanceWithQRISK3Factors(recommendations, patientData, qriskInputs) { /* ... (same as v1.1.0), ensure patientData keys match what QRISK3 calc expects for these flags ... */
@@ -440,6 +645,7 @@ class TreatmentRecommendationsService {
 
         if (hasASCVD) result.criteriaMet.push("Established ASCVD present."); else result.criteriaNotMet.push("No confirmed ASCVD diagnosis for BC PCSK9 criteria.");
         if (hasFH) result.criteriaMet.push("Confirmed Familial Hypercholesterolemia (HeFH)."); else if (!hasASCVD) result.criteriaNotMet.push("No confirmed HeFH diagnosis for BC PCSK9 criteria.");
+        if (patientData.fhDiagnosis) result.notes.push(`FH diagnosis: ${patientData.fhDiagnosis.summary}.${patientData.fhDiagnosis.untreatedLdl?.estimated ? ` Untreated LDL-C ${patientData.fhDiagnosis.untreatedLdl.value} mmol/L (${patientData.fhDiagnosis.untreatedLdl.basis}).` : ''}`);
         if (!hasASCVD && !hasFH) { result.notes.push("Patient does not meet primary eligibility (ASCVD or HeFH) for BC PCSK9i coverage."); return result; }
 
         const currentLDL = patientData.ldl; const ldlThreshold = result.targetLDLForPCSK9Consideration_mmolL;
@@ -475,8 +681,8 @@ class TreatmentRecommendationsService {
         return patientData.hasASCVD === true;
     }
     _hasConfirmedFH(patientData) {
-        // User's logic: 'familial_hypercholesterolemia' or dlcn_score >= 6
-        return patientData.familialHypercholesterolemia === true || (patientData.dlcnScore && parseFloat(patientData.dlcnScore) >= 6);
+        // User's logic: 'familial_hypercholesterolemia' or dlcn_score >= 6, or a definite/probable FHDiagnosisService result
+        return patientData.familialHypercholesterolemia === true || (patientData.dlcnScore && parseFloat(patientData.dlcnScore) >= 6) || patientData.fhDiagnosis?.confirmed === true;
     }
     _isPatientExtremeHighRisk(patientData) { // User's logic
         const CT = this.dependencies.ClinicalThresholds;
@@ -488,8 +694,38 @@ class TreatmentRecommendationsService {
         if (hasASCVD && hasDiabetes && ( (patientData.age >= (CT?.get('DIABETES.HIGH_RISK_AGE_WITH_ASCVD',55)||55)) || patientData.hasMicrovascularComplications === true ) ) return true;
         if (hasASCVD && patientData.chronicKidneyDisease === true && patientData.eGFR && (parseFloat(patientData.eGFR) < (CT?.get('CKD.SEVERE_EGFR_THRESHOLD',45)||45)) ) return true;
         if (hasASCVD && this._hasConfirmedFH(patientData)) return true;
+        if (hasASCVD && this._hasVeryHighRecurrentRisk(patientData)) return true;
         return false;
     }
+    _getVeryHighRecurrentRiskThreshold() {
+        return this.dependencies.ClinicalThresholds?.get('SMART_RISK_CATEGORY.VERY_HIGH', 20) || 20;
+    }
+    /**
+     * True when a SMART2 10-year recurrent risk (`recurrentRiskPercent`, `recurrentRiskIsSmart2`) is at or above
+     * SMART_RISK_CATEGORY.VERY_HIGH. The bundled 2013 SMART score does not set the very-high-risk targets.
+     */
+    _hasVeryHighRecurrentRisk(patientData) {
+        return patientData.recurrentRiskIsSmart2 === true && typeof patientData.recurrentRiskPercent === 'number'
+            && patientData.recurrentRiskPercent >= this._getVeryHighRecurrentRiskThreshold();
+    }
+
+    /**
+     * Adds the SMART recurrent risk and the benefit of lowering LDL-C further to the recommendations.
+     * @param {object} recommendations
+     * @param {object} smartResult - Successful SmartRiskAlgorithm result.
+     * @private
+     */
+    _addRecurrentRiskConsiderations(recommendations, smartResult) {
+        const S = this.dependencies.InputSanitizer;
+        const benefit = smartResult.ldlLoweringBenefit;
+        recommendations.recurrentRisk = { tenYearRiskPercent: smartResult.tenYearRiskPercent, category: smartResult.riskCategory, model: smartResult.model, ldlLoweringBenefit: benefit || null };
+        recommendations.additionalConsiderations.push(S.escapeHTML(`${smartResult.model}: 10-year risk of recurrent MI, stroke or vascular death ${smartResult.tenYearRiskPercent}% (${smartResult.categoryDescription}).`));
+        if (smartResult.isSmart2 !== true) recommendations.additionalConsiderations.push(S.escapeHTML(`${smartResult.model} is the 2013 SMART score, not SMART2, so it does not set the very-high-risk lipid targets; load SMART2 under SMART.MODEL to use it.`));
+        if (benefit?.ldlReductionMmol > 0) {
+            const lifetime = benefit.lifetime.absoluteRiskReductionPercent !== null ? `; lifetime (to age ${benefit.lifetime.toAge}) ${benefit.lifetime.riskPercent}% → ${benefit.lifetime.treatedRiskPercent}%, absolute reduction ${benefit.lifetime.absoluteRiskReductionPercent}%` : '';
+            recommendations.additionalConsiderations.push(S.escapeHTML(`Lowering LDL-C from ${benefit.ldl} to ${benefit.targetLdl} mmol/L (CTT hazard ratio ${benefit.hazardRatio}): 10-year risk ${benefit.tenYear.riskPercent}% → ${benefit.tenYear.treatedRiskPercent}%, absolute reduction ${benefit.tenYear.absoluteRiskReductionPercent}% (NNT ${benefit.tenYear.numberNeededToTreat ?? 'N/A'})${lifetime}.`));
+        }
+    }
     _hasAdditionalRiskFactorsForDiabetesCCS(patientData) { // User's logic
         if (patientData.age >= 40) return true;
         if (patientData.diabetesDurationYears && parseFloat(patientData.diabetesDurationYears) >= 15 && patientData.age >=30) return true;
@@ -511,4 +747,4 @@ class TreatmentRecommendationsService {
 // Instantiate and export the singleton service (typically done in main.js)
 // const TreatmentRecommendationsServiceInstance = new TreatmentRecommendationsService({ /* dependencies */ });
 // window.TreatmentRecommendationsService = TreatmentRecommendationsServiceInstance;
-// export default TreatmentRecommendationsService;
+export default TreatmentRecommendationsService;
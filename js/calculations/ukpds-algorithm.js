@@ -0,0 +1,425 @@
+/**
+ * UKPDS Risk Engine and DIAL2 Implementation
+ * @file /js/calculations/ukpds-algorithm.js
+ * @description UKPDS Risk Engine for people with type 2 diabetes: 10-year risk of coronary heart disease
+ * (UKPDS 56) and stroke (UKPDS 60). Unlike the general-population engines, risk depends on the age at
+ * diagnosis, the years since diagnosis and HbA1c, and rises with diabetes duration. The reported CVD risk
+ * combines the two outcomes as independent events, 1 - (1 - CHD)(1 - stroke).
+ * HbA1c is compared with the targets in ClinicalThresholds.HBA1C, and the risk at the general target is
+ * reported next to the current risk.
+ * DIAL2LifetimeModel is the DIAL2 lifetime model: two Cox models with age as the time scale, one for fatal and
+ * non-fatal CVD and one for non-cardiovascular death as a competing risk, evaluated in a one-year life table from
+ * the current age to 90 and recalibrated to the ESC risk region. Its predictors add eGFR and insulin use to the
+ * UKPDS set. DIAL2 is not bundled: shipping its coefficients, baseline hazards and region scales is out of scope
+ * for the toolkit, so out of the box DIAL2 reports itself unavailable and only UKPDS runs for type 2 diabetes.
+ * A site that has the published model can load it under ClinicalThresholds DIAL2.MODEL.
+ * Designed to be a pure calculation engine, receiving pre-processed data (lipids in mmol/L, HbA1c in % DCCT).
+ * @version 1.1.1
+ * @author CVD Risk Assessment Team
+ * @reference Stevens RJ, et al. The UKPDS risk engine: a model for the risk of coronary heart disease in Type II diabetes (UKPDS 56). Clin Sci. 2001;101(6):671-679.
+ * @reference Kothari V, et al. UKPDS 60: risk of stroke in type 2 diabetes estimated by the UK Prospective Diabetes Study risk engine. Stroke. 2002;33(7):1776-1781.
+ * @reference Østergaard HB, et al. Estimating individual lifetime risk of incident cardiovascular events in adults with Type 2 diabetes: an update and geographical calibration of the DIAbetes Lifetime perspective model (DIAL2). Eur J Prev Cardiol. 2023;30(1):61-69.
+ * @exports UKPDSRiskEngine
+ * @exports DIAL2LifetimeModel
+ */
+
+'use strict';
+
+import RiskHorizonService from './risk-horizons.js';
+
+// DIAL2 predictors a model term may name; `<predictor>*age` terms interact with attained age in the life table
+const DIAL2_PREDICTORS = ['male', 'smoker', 'sbp', 'nonHdl', 'hba1c', 'egfr', 'diabetesDuration', 'insulin'];
+
+/**
+ * 10-year CVD category on the general scale (CVD_RISK_CATEGORY), overridable per engine under `<prefix>_RISK_CATEGORY`.
+ * @param {object} CT - ClinicalThresholds.
+ * @param {string} prefix - 'UKPDS' | 'DIAL2'.
+ * @param {number} riskPercent
+ * @returns {{category: string, description: string}}
+ */
+const determineRiskCategory = (CT, prefix, riskPercent) => {
+    const lowMax = CT?.get(`${prefix}_RISK_CATEGORY.LOW_THRESHOLD`, CT?.get('CVD_RISK_CATEGORY.LOW_THRESHOLD', 10)) || 10;
+    const intermediateMax = CT?.get(`${prefix}_RISK_CATEGORY.INTERMEDIATE_THRESHOLD`, CT?.get('CVD_RISK_CATEGORY.INTERMEDIATE_THRESHOLD', 20)) || 20;
+
+    if (isNaN(riskPercent) || riskPercent < 0) return { category: 'unknown', description: 'Risk Undetermined (Invalid Input)' };
+    if (riskPercent < lowMax) return { category: 'low', description: `Low Risk (<${lowMax}%)` };
+    if (riskPercent < intermediateMax) return { category: 'intermediate', description: `Intermediate Risk (${lowMax}% to <${intermediateMax}%)` };
+    return { category: 'high', description: `High Risk (≥${intermediateMax}%)` };
+};
+
+class UKPDSRiskEngine {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (optional), RiskHorizons (optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            PerformanceMonitor: dependencies.PerformanceMonitor || { start: () => Date.now(), end: (label, startTime) => console.log(`${label} took ${Date.now() - startTime}ms`) },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.dependencies.RiskHorizons = dependencies.RiskHorizons || new RiskHorizonService({ ErrorLogger: this.dependencies.ErrorLogger, ClinicalThresholds: this.dependencies.ClinicalThresholds });
+
+        this.VERSION = '1.1.1';
+
+        // Each term is a hazard ratio raised to the centred covariate; `d` is the annual increase in hazard with diabetes duration
+        this.CHD = { // UKPDS 56
+            q0: 0.0112, ageAtDiagnosis: 1.059, female: 0.525, afroCaribbean: 0.390, smoker: 1.350,
+            hba1c: 1.183, sbpPer10: 1.088, lnLipidRatio: 3.845, d: 1.078,
+            centres: { ageAtDiagnosis: 55, hba1c: 6.72, sbp: 135.7, lnLipidRatio: 1.59 }
+        };
+        this.STROKE = { // UKPDS 60
+            q0: 0.00186, ageAtDiagnosis: 1.092, female: 0.700, smoker: 1.547, atrialFibrillation: 8.554,
+            sbpPer10: 1.122, lipidRatio: 1.138, d: 1.145,
+            centres: { ageAtDiagnosis: 55, sbp: 135.5, lipidRatio: 5.11 }
+        };
+
+        this.initialized = true;
+        this.dependencies.ErrorLogger.log?.('info', `UKPDSRiskEngine initialized (v${this.VERSION}).`, 'UKPDS-Init');
+    }
+
+    _log(level, message, data) {
+        this.dependencies.ErrorLogger.log?.(level, `UKPDS-AlgoEngine: ${message}`, data);
+    }
+    _handleError(error, context, additionalData = {}) {
+        const msg = error.message || String(error);
+        this.dependencies.ErrorLogger.handleError?.(msg, `UKPDS-AlgoEngine-${context}`, 'error', { originalError: error, ...additionalData });
+    }
+
+    /**
+     * Processes validated inputs for the UKPDS Risk Engine.
+     * @param {object} validatedData - Data from RiskCalculator._prepareAndValidateData.
+     * Expected fields: age, sex, totalCholesterol (mmol/L), hdl (mmol/L), systolicBP, isSmoker,
+     * diabetesDurationYears, hba1c (% DCCT).
+     * Optional: isAfroCaribbean, atrialFibrillation.
+     * @returns {object} Processed data.
+     * @private
+     */
+    _processInputsForAlgorithm(validatedData) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const minAge = CT?.get('AGE.MIN_UKPDS', 25) || 25;
+        const maxAge = CT?.get('AGE.MAX_UKPDS', 85) || 85;
+        const p = {};
+        p.female = String(validatedData.sex).toLowerCase() === 'female' ? 1 : 0;
+        p.age = Number(validatedData.age);
+        p.duration = Number(validatedData.diabetesDurationYears);
+        p.ageAtDiagnosis = p.age - p.duration;
+        p.hba1c = Number(validatedData.hba1c);
+        p.sbp = Number(validatedData.systolicBP);
+        p.lipidRatio = Number(validatedData.totalCholesterol) / Number(validatedData.hdl);
+        p.smoker = validatedData.isSmoker ? 1 : 0;
+        p.afroCaribbean = validatedData.isAfroCaribbean ? 1 : 0;
+        p.atrialFibrillation = validatedData.atrialFibrillation ? 1 : 0;
+
+        if (isNaN(p.age) || p.age < minAge || p.age > maxAge) throw new Error(`Age must be between ${minAge} and ${maxAge} for the UKPDS Risk Engine.`);
+        if (isNaN(p.duration) || p.duration < 0 || p.ageAtDiagnosis < 18) throw new Error(`Invalid diabetes duration: ${validatedData.diabetesDurationYears}`);
+        const criticalFields = { hba1c: p.hba1c, sbp: p.sbp, lipidRatio: p.lipidRatio };
+        for (const field in criticalFields) {
+            if (!isFinite(criticalFields[field]) || criticalFields[field] <= 0) throw new Error(`Invalid or non-positive critical value for ${field}: ${criticalFields[field]}`);
+        }
+        return p;
+    }
+
+    /** Risk over `years` from now for a given annual hazard q and duration multiplier d. @private */
+    _riskOverYears(q, d, duration, years) {
+        return 1 - Math.exp(-q * Math.pow(d, duration) * (1 - Math.pow(d, years)) / (1 - d));
+    }
+
+    /**
+     * CHD, stroke and combined CVD risk (0-1) over `years` at the given profile.
+     * @private
+     */
+    _calculateComponentRisks(p, years = 10) {
+        const c = this.CHD; const s = this.STROKE;
+        const qChd = c.q0 * Math.pow(c.ageAtDiagnosis, p.ageAtDiagnosis - c.centres.ageAtDiagnosis) * Math.pow(c.female, p.female)
+            * Math.pow(c.afroCaribbean, p.afroCaribbean) * Math.pow(c.smoker, p.smoker) * Math.pow(c.hba1c, p.hba1c - c.centres.hba1c)
+            * Math.pow(c.sbpPer10, (p.sbp - c.centres.sbp) / 10) * Math.pow(c.lnLipidRatio, Math.log(p.lipidRatio) - c.centres.lnLipidRatio);
+        const qStroke = s.q0 * Math.pow(s.ageAtDiagnosis, p.ageAtDiagnosis - s.centres.ageAtDiagnosis) * Math.pow(s.female, p.female)
+            * Math.pow(s.smoker, p.smoker) * Math.pow(s.atrialFibrillation, p.atrialFibrillation)
+            * Math.pow(s.sbpPer10, (p.sbp - s.centres.sbp) / 10) * Math.pow(s.lipidRatio, p.lipidRatio - s.centres.lipidRatio);
+        const chd = this._riskOverYears(qChd, c.d, p.duration, years);
+        const stroke = this._riskOverYears(qStroke, s.d, p.duration, years);
+        return { chd, stroke, cvd: 1 - (1 - chd) * (1 - stroke) };
+    }
+
+    /** CVD categories on the general 10-year scale (CVD_RISK_CATEGORY), overridable under UKPDS_RISK_CATEGORY. */
+    _determineRiskCategory(riskPercent) {
+        return determineRiskCategory(this.dependencies.ClinicalThresholds, 'UKPDS', riskPercent);
+    }
+
+    /**
+     * HbA1c against ClinicalThresholds.HBA1C, with the 10-year CVD risk if HbA1c were at the general target.
+     * @private
+     */
+    _assessGlycaemicControl(p, riskPercent) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const target = CT?.get('HBA1C.TARGET_GENERAL', 7.0) || 7.0;
+        const tightTarget = CT?.get('HBA1C.TARGET_TIGHT', 6.5) || 6.5;
+        const status = p.hba1c > target ? 'above_target' : p.hba1c > tightTarget ? 'at_target' : 'at_tight_target';
+        const riskAtTargetPercent = p.hba1c > target
+            ? parseFloat((this._calculateComponentRisks({ ...p, hba1c: target }).cvd * 100).toFixed(1))
+            : riskPercent;
+        return { hba1cPercent: p.hba1c, target, tightTarget, status, riskAtTargetPercent };
+    }
+
+    /**
+     * Non-validated 30-year and lifetime projections with competing non-CVD mortality (see RiskHorizonService); each later
+     * window carries the longer diabetes duration.
+     * @private
+     */
+    _projectHorizons(p, riskProportion) {
+        const maxModelAge = this.dependencies.ClinicalThresholds?.get('AGE.MAX_UKPDS', 85) || 85;
+        const riskAtAge = (age) => this._calculateComponentRisks({ ...p, age, duration: p.duration + (age - p.age) }).cvd;
+        return this.dependencies.RiskHorizons.projectHorizons(riskAtAge, { age: p.age, tenYearRiskProportion: riskProportion, maxModelAge, sex: p.female ? 'female' : 'male' });
+    }
+
+    /**
+     * Main public method for the UKPDS risk calculation.
+     * @param {object} rawPatientData - Validated, unit-converted data from RiskCalculator.
+     * @returns {object} Calculation results.
+     */
+    calculateRisk(rawPatientData) {
+        const perfId = this.dependencies.PerformanceMonitor.start('UKPDS_calculateRisk_Main');
+        try {
+            if (!this.initialized) throw new Error('UKPDS calculator not properly initialized.');
+            const processedData = this._processInputsForAlgorithm(rawPatientData);
+            const { chd, stroke, cvd } = this._calculateComponentRisks(processedData);
+            if (isNaN(cvd)) throw new Error('Risk calculation resulted in NaN.');
+
+            const toPercent = (x) => parseFloat((x * 100).toFixed(1));
+            const tenYearRiskPercent = toPercent(cvd);
+            const { category: riskCategory, description: categoryDescription } = this._determineRiskCategory(tenYearRiskPercent);
+            const horizons = this._projectHorizons(processedData, cvd);
+
+            const result = {
+                success: true,
+                tenYearRiskPercent,
+                chdRiskPercent: toPercent(chd),
+                strokeRiskPercent: toPercent(stroke),
+                riskCategory,
+                categoryDescription,
+                model: 'UKPDS 56 / 60',
+                outcome: 'Fatal and non-fatal CHD and stroke in type 2 diabetes',
+                glycaemicControl: this._assessGlycaemicControl(processedData, tenYearRiskPercent),
+                modifiersApplied: [],
+                thirtyYearRiskPercent: horizons.thirtyYear.riskPercent,
+                lifetimeRiskPercent: horizons.lifetime.riskPercent,
+                horizons,
+                inputParameters: rawPatientData,
+                algorithm: 'UKPDS-Risk-Engine',
+                calculationDate: new Date().toISOString(),
+                version: this.VERSION
+            };
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return result;
+        } catch (error) {
+            this._handleError(error, 'CalculateRiskMain');
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return { success: false, error: `Error in UKPDS calculation: ${error.message}`, calculationDate: new Date().toISOString(), version: this.VERSION };
+        }
+    }
+}
+
+export class DIAL2LifetimeModel {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, PerformanceMonitor (optional), ClinicalThresholds (holds DIAL2.MODEL).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            PerformanceMonitor: dependencies.PerformanceMonitor || { start: () => Date.now(), end: (label, startTime) => console.log(`${label} took ${Date.now() - startTime}ms`) },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+        };
+        this.VERSION = '1.0.0';
+        this.METHOD = 'dial2-life-table';
+
+        this.initialized = true;
+        this.dependencies.ErrorLogger.log?.('info', `DIAL2LifetimeModel initialized (v${this.VERSION}); model ${this.isAvailable() ? 'loaded' : 'not loaded'}.`, 'DIAL2-Init');
+    }
+
+    _log(level, message, data) {
+        this.dependencies.ErrorLogger.log?.(level, `DIAL2-AlgoEngine: ${message}`, data);
+    }
+    _handleError(error, context, additionalData = {}) {
+        const msg = error.message || String(error);
+        this.dependencies.ErrorLogger.handleError?.(msg, `DIAL2-AlgoEngine-${context}`, 'error', { originalError: error, ...additionalData });
+    }
+
+    /**
+     * The site-loaded model, ClinicalThresholds DIAL2.MODEL: `{ SOURCE, MAX_AGE?, CVD, NON_CVD_DEATH,
+     * REGION_CALIBRATION? }`, each outcome `{ coefficients: { term: beta }, centres: { predictor: value },
+     * baselineHazard: { MALE: { age: annual hazard }, FEMALE: {...} } }` and each region `{ scale1, scale2 }`.
+     * @returns {object|null} The model, or null when none is loaded.
+     */
+    getModel() {
+        const model = this.dependencies.ClinicalThresholds?.get('DIAL2.MODEL', null);
+        return model?.SOURCE && model.CVD && model.NON_CVD_DEATH ? model : null;
+    }
+
+    /** True when a DIAL2 model is loaded. */
+    isAvailable() {
+        return !!this.getModel();
+    }
+
+    /**
+     * Processes validated inputs for DIAL2.
+     * @param {object} validatedData - Data from RiskCalculator._prepareAndValidateData.
+     * Expected fields: age, sex, totalCholesterol (mmol/L), hdl (mmol/L), systolicBP, isSmoker,
+     * diabetesDurationYears, hba1c (% DCCT), egfr.
+     * Optional: onInsulin, riskRegion.
+     * @returns {object} Processed data; HbA1c in mmol/mol (IFCC) and non-HDL-C in mmol/L, as DIAL2 uses them.
+     * @private
+     */
+    _processInputsForAlgorithm(validatedData) {
+        const CT = this.dependencies.ClinicalThresholds;
+        const minAge = CT?.get('AGE.MIN_DIAL2', 30) || 30;
+        const maxAge = CT?.get('AGE.MAX_DIAL2', 85) || 85;
+        const p = {};
+        p.sex = String(validatedData.sex).toLowerCase() === 'female' ? 'female' : 'male';
+        p.male = p.sex === 'male' ? 1 : 0;
+        p.age = Number(validatedData.age);
+        p.diabetesDuration = Number(validatedData.diabetesDurationYears);
+        p.smoker = validatedData.isSmoker ? 1 : 0;
+        p.sbp = Number(validatedData.systolicBP);
+        p.nonHdl = Number(validatedData.totalCholesterol) - Number(validatedData.hdl);
+        p.hba1c = (Number(validatedData.hba1c) - 2.15) * 10.929; // NGSP % -> IFCC mmol/mol
+        p.egfr = Number(validatedData.egfr);
+        p.insulin = validatedData.onInsulin ? 1 : 0;
+        p.riskRegion = validatedData.riskRegion || CT?.get('SCORE2.DEFAULT_REGION', 'moderate') || 'moderate';
+
+        if (isNaN(p.age) || p.age < minAge || p.age > maxAge) throw new Error(`Age must be between ${minAge} and ${maxAge} for DIAL2.`);
+        if (isNaN(p.diabetesDuration) || p.diabetesDuration < 0 || p.age - p.diabetesDuration < 18) throw new Error(`Invalid diabetes duration: ${validatedData.diabetesDurationYears}`);
+        const criticalFields = { sbp: p.sbp, nonHdl: p.nonHdl, hba1c: p.hba1c, egfr: p.egfr };
+        for (const field in criticalFields) {
+            if (!isFinite(criticalFields[field]) || criticalFields[field] <= 0) throw new Error(`Invalid or non-positive critical value for ${field}: ${criticalFields[field]}`);
+        }
+        return p;
+    }
+
+    /** Baseline annual hazard at age `t`, interpolated log-linearly between the model's age anchors. @private */
+    _baselineHazard(anchorsByAge, t) {
+        const anchors = Object.entries(anchorsByAge).map(([a, h]) => [Number(a), h]).sort((x, y) => x[0] - y[0]);
+        const upper = anchors.findIndex(([a]) => a >= t);
+        if (upper === 0) return anchors[0][1];
+        if (upper === -1) return anchors[anchors.length - 1][1];
+        const [a0, h0] = anchors[upper - 1]; const [a1, h1] = anchors[upper];
+        return Math.exp(Math.log(h0) + (Math.log(h1) - Math.log(h0)) * (t - a0) / (a1 - a0));
+    }
+
+    /**
+     * Annual hazard of one outcome at attained age `t`: the sex's baseline hazard × exp(Σ β(x - centre)), with
+     * diabetes duration advanced to `t` and `<predictor>*age` terms multiplied by (t - centres.age).
+     * @private
+     */
+    _annualHazard(outcome, p, t) {
+        const x = { ...p, diabetesDuration: p.diabetesDuration + (t - p.age) };
+        const centres = outcome.centres || {};
+        const linearPredictor = Object.entries(outcome.coefficients).reduce((sum, [term, beta]) => {
+            const [predictor, interaction] = term.split('*');
+            if (!DIAL2_PREDICTORS.includes(predictor) || (interaction && interaction !== 'age')) throw new Error(`Unsupported DIAL2 model term: ${term}`);
+            const centred = x[predictor] - (centres[predictor] ?? 0);
+            return sum + beta * centred * (interaction ? t - (centres.age ?? 0) : 1);
+        }, 0);
+        return this._baselineHazard(outcome.baselineHazard[p.sex.toUpperCase()], t) * Math.exp(linearPredictor);
+    }
+
+    /** Annual CVD probability recalibrated to the risk region, 1 - exp(-exp(scale1 + scale2 × ln(-ln(1 - p)))). @private */
+    _calibrate(model, probability, region) {
+        const scales = model.REGION_CALIBRATION?.[region];
+        if (!scales || probability <= 0) return probability;
+        return 1 - Math.exp(-Math.exp(scales.scale1 + scales.scale2 * Math.log(-Math.log(1 - probability))));
+    }
+
+    /**
+     * Life table from the current age to MAX_AGE (default DIAL2.LIFETIME_TO_AGE, 90) in one-year steps: each year
+     * adds S × CVD probability to the cumulative incidence, and S, the probability of being alive and free of CVD,
+     * falls by both the CVD and the non-CVD death probability.
+     * @returns {{toAge: number, incidenceByYear: number[], lifetime: number, cvdFreeMedianAge: number|null}}
+     * `incidenceByYear[n]` is the cumulative incidence after n years; `cvdFreeMedianAge` is the age at which
+     * CVD-free survival falls to 50% (null when it stays above 50% to `toAge`).
+     * @private
+     */
+    _lifeTable(model, p) {
+        const toAge = model.MAX_AGE || this.dependencies.ClinicalThresholds?.get('DIAL2.LIFETIME_TO_AGE', 90) || 90;
+        let eventFree = 1;
+        let incidence = 0;
+        let cvdFreeMedianAge = null;
+        const incidenceByYear = [0];
+        for (let t = p.age; t < toAge; t++) {
+            const cvd = this._calibrate(model, 1 - Math.exp(-this._annualHazard(model.CVD, p, t)), p.riskRegion);
+            const death = 1 - Math.exp(-this._annualHazard(model.NON_CVD_DEATH, p, t));
+            incidence += eventFree * cvd;
+            eventFree *= Math.max(0, 1 - cvd - death);
+            if (cvdFreeMedianAge === null && eventFree <= 0.5) cvdFreeMedianAge = t + 1;
+            incidenceByYear.push(incidence);
+        }
+        return { toAge, incidenceByYear, lifetime: incidence, cvdFreeMedianAge };
+    }
+
+    /**
+     * 10-year, 30-year and lifetime horizons read off the life table, in the RiskHorizonService shape. They are
+     * model estimates with competing non-CVD death, not extrapolations.
+     * @private
+     */
+    _horizons(p, table) {
+        const toPercent = (x) => parseFloat((x * 100).toFixed(1));
+        const modelled = { method: this.METHOD, isExtrapolation: false, validatedModel: true, competingMortality: true, extrapolated: false, windows: [] };
+        const horizon = (years, label) => (p.age + years <= table.toAge
+            ? { horizonYears: years, toAge: p.age + years, riskPercent: toPercent(table.incidenceByYear[years]), label, ...modelled }
+            : { horizonYears: years, toAge: p.age + years, riskPercent: null, label, ...modelled, note: `DIAL2 runs to age ${table.toAge}.` });
+        return {
+            tenYear: horizon(10, '10-year risk'),
+            thirtyYear: horizon(30, '30-year risk'),
+            lifetime: { horizonYears: table.toAge - p.age, toAge: table.toAge, riskPercent: toPercent(table.lifetime), label: `Lifetime risk (to age ${table.toAge})`, ...modelled }
+        };
+    }
+
+    /**
+     * Main public method for the DIAL2 calculation.
+     * @param {object} rawPatientData - Validated, unit-converted data from RiskCalculator.
+     * @returns {object} Calculation results; `success: false` when no model is loaded.
+     */
+    calculateRisk(rawPatientData) {
+        const perfId = this.dependencies.PerformanceMonitor.start('DIAL2_calculateRisk_Main');
+        try {
+            if (!this.initialized) throw new Error('DIAL2 calculator not properly initialized.');
+            const model = this.getModel();
+            if (!model) throw new Error('DIAL2 model not loaded (ClinicalThresholds DIAL2.MODEL).');
+            const processedData = this._processInputsForAlgorithm(rawPatientData);
+            const table = this._lifeTable(model, processedData);
+            const horizons = this._horizons(processedData, table);
+            const tenYearRiskPercent = horizons.tenYear.riskPercent ?? horizons.lifetime.riskPercent;
+            if (tenYearRiskPercent === null || isNaN(tenYearRiskPercent)) throw new Error('Risk calculation resulted in NaN.');
+            const { category: riskCategory, description: categoryDescription } = determineRiskCategory(this.dependencies.ClinicalThresholds, 'DIAL2', tenYearRiskPercent);
+
+            const result = {
+                success: true,
+                tenYearRiskPercent,
+                riskCategory,
+                categoryDescription,
+                model: 'DIAL2',
+                outcome: 'Fatal and non-fatal CVD in type 2 diabetes, with non-CVD death as a competing risk',
+                riskRegion: processedData.riskRegion,
+                modelSource: model.SOURCE,
+                cvdFreeMedianAge: table.cvdFreeMedianAge,
+                modifiersApplied: [],
+                thirtyYearRiskPercent: horizons.thirtyYear.riskPercent,
+                lifetimeRiskPercent: horizons.lifetime.riskPercent,
+                horizons,
+                inputParameters: rawPatientData,
+                algorithm: 'DIAL2',
+                calculationDate: new Date().toISOString(),
+                version: this.VERSION
+            };
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return result;
+        } catch (error) {
+            this._handleError(error, 'CalculateRiskMain');
+            this.dependencies.PerformanceMonitor.end(perfId);
+            return { success: false, error: `Error in DIAL2 calculation: ${error.message}`, calculationDate: new Date().toISOString(), version: this.VERSION };
+        }
+    }
+}
+
+export default UKPDSRiskEngine;
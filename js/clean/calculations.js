@@ -5,6 +5,8 @@
 
 /**
  * Calculate Lp(a) risk modifier based on concentration
+ * @deprecated The same curve is the 'toolkit' curve of LpaModifierService (js/calculations/lpa-modifier.js),
+ * which the risk engines use; main.js also exposes it as window.calculateLpaModifier.
  * @param {number} lpaValue - Lp(a) concentration in mg/dL
  * @returns {number} - Risk multiplier
  */
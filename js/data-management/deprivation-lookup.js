@@ -0,0 +1,129 @@
+/**
+ * Area Deprivation Lookup Module
+ * @file /js/data-management/deprivation-lookup.js
+ * @description Offline lookup of the QRISK3 Townsend deprivation score from a patient's postal code.
+ * No area data is bundled: the site registers a sourced table (registerDataset), and until it does every
+ * lookup returns null. UK postcodes are matched to the most specific area in the table (full postcode, sector,
+ * then district). Canadian postal codes are matched by forward sortation area (FSA) to a deprivation
+ * quintile, which is placed on the Townsend scale as documented in js/data/deprivation-areas.js.
+ * Every result carries the table's SOURCE so the score's origin can be shown with the risk.
+ * No postcode leaves the browser. Used by the QRISK3 form, RiskCalculator and FieldMapperService.
+ * @version 2.0.0
+ * @exports DeprivationLookupService
+ */
+
+'use strict';
+
+import DEPRIVATION_AREAS from '../data/deprivation-areas.js';
+
+const UK_POSTCODE = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d)([A-Z]{2})?$/; // Outward code, then sector digit and unit letters
+const UK_DISTRICT = /^[A-Z]{1,2}\d[A-Z\d]?$/;
+const CA_POSTAL_CODE = /^([A-Z]\d[A-Z])\s*(\d[A-Z]\d)?$/;
+
+class DeprivationLookupService {
+    /**
+     * @param {object} [options={}] - Configuration options.
+     * @param {object} [options.dataset] - Tables in the DEPRIVATION_AREAS shape, registered as by registerDataset().
+     * @param {object} [options.dependencies={}] - Injected dependencies. Expected: ErrorLogger.
+     */
+    constructor(options = {}) {
+        this.dependencies = {
+            ErrorLogger: { handleError: console.error, log: console.log },
+            ...options.dependencies,
+        };
+        this.ukTownsend = { ...DEPRIVATION_AREAS.UK_TOWNSEND };
+        this.caFsaQuintiles = { ...DEPRIVATION_AREAS.CA_FSA_QUINTILES };
+        this.caQuintileTownsend = { ...DEPRIVATION_AREAS.CA_QUINTILE_TOWNSEND };
+        this.source = DEPRIVATION_AREAS.SOURCE;
+        this.VERSION = '2.0.0';
+        if (options.dataset) this.registerDataset(options.dataset);
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `DeprivationLookup: ${message}`, data); }
+
+    /**
+     * Adds or replaces areas, e.g. a site's full Townsend-by-postcode table.
+     * @param {object} dataset - Any of UK_TOWNSEND, CA_FSA_QUINTILES and CA_QUINTILE_TOWNSEND, with SOURCE
+     * (census year and publisher of the scores); SOURCE may be left out only when adding to a sourced table.
+     * @throws {Error} If no SOURCE is given or already registered.
+     */
+    registerDataset(dataset = {}) {
+        if (!dataset.SOURCE && !this.source) throw new Error('A deprivation dataset needs a SOURCE (census year and publisher of the scores).');
+        Object.assign(this.ukTownsend, dataset.UK_TOWNSEND);
+        Object.assign(this.caFsaQuintiles, dataset.CA_FSA_QUINTILES);
+        Object.assign(this.caQuintileTownsend, dataset.CA_QUINTILE_TOWNSEND);
+        if (dataset.SOURCE) this.source = dataset.SOURCE;
+        this._log('info', `Dataset registered (${Object.keys(dataset.UK_TOWNSEND || {}).length} UK areas, ${Object.keys(dataset.CA_FSA_QUINTILES || {}).length} FSAs).`);
+    }
+
+    /** @returns {boolean} Whether any areas have been registered. */
+    hasData() {
+        return Object.keys(this.ukTownsend).length > 0 || Object.keys(this.caFsaQuintiles).length > 0;
+    }
+
+    /**
+     * Recognises a postal code. A three-character code such as "M5V" is valid in both countries, so it is
+     * read as Canadian when `country` says so or the FSA table knows it, and as a UK district otherwise.
+     * @param {string} postalCode
+     * @param {string} [country] - 'UK' / 'GB' or 'CA' when known (e.g. from an EMR address).
+     * @returns {{ country: 'UK'|'CA', postalCode: string, keys: string[] }|null} `keys` are the lookup keys, most specific first.
+     */
+    parse(postalCode, country) {
+        const code = String(postalCode || '').toUpperCase().replace(/[^A-Z0-9 ]/g, '').trim().replace(/\s+/g, ' ');
+        if (!code) return null;
+        const hint = String(country || '').toUpperCase();
+        const ca = code.match(CA_POSTAL_CODE);
+        const uk = code.match(UK_POSTCODE);
+        const hintedUk = ['UK', 'GB', 'GBR', 'UNITED KINGDOM'].includes(hint);
+        const hintedCa = ['CA', 'CAN', 'CANADA'].includes(hint);
+        if (ca && !hintedUk && (hintedCa || ca[2] || this.caFsaQuintiles[ca[1]] !== undefined || !UK_DISTRICT.test(code))) {
+            return { country: 'CA', postalCode: ca[2] ? `${ca[1]} ${ca[2]}` : ca[1], keys: [ca[1]] };
+        }
+        if (uk) {
+            const [, outward, sector, unit] = uk;
+            const keys = [unit ? `${outward} ${sector}${unit}` : null, `${outward} ${sector}`, outward].filter(Boolean);
+            return { country: 'UK', postalCode: unit ? keys[0] : `${outward} ${sector}`, keys };
+        }
+        if (UK_DISTRICT.test(code)) return { country: 'UK', postalCode: code, keys: [code] };
+        return null;
+    }
+
+    /**
+     * Townsend score for a postal code.
+     * @param {string} postalCode
+     * @param {string} [country] - See parse().
+     * @returns {object|null} `{ townsendScore, range, country, postalCode, area, level, quintile, approximate, basis, source }`,
+     * or null when no dataset is registered, the code is not recognised or its area is not in the tables.
+     */
+    lookup(postalCode, country) {
+        if (!this.hasData()) { this._log('info', 'No deprivation dataset registered; no Townsend score looked up.'); return null; }
+        const parsed = this.parse(postalCode, country);
+        if (!parsed) { this._log('warn', 'Unrecognised postal code; no Townsend score looked up.'); return null; }
+
+        if (parsed.country === 'CA') {
+            const fsa = parsed.keys[0];
+            const quintile = this.caFsaQuintiles[fsa];
+            const mapping = quintile !== undefined ? this.caQuintileTownsend[quintile] : undefined;
+            if (!mapping) { this._log('info', `FSA ${fsa} not in the deprivation table, or its quintile has no Townsend placement.`); return null; }
+            return {
+                townsendScore: mapping.value, range: [...mapping.range], country: 'CA', postalCode: parsed.postalCode,
+                area: fsa, level: 'fsa', quintile, approximate: true,
+                basis: `FSA ${fsa}: deprivation quintile ${quintile} of 5, placed at the median of Townsend quintile ${quintile}`,
+                source: this.source
+            };
+        }
+
+        const levels = { 3: ['postcode', 'sector', 'district'], 2: ['sector', 'district'], 1: ['district'] }[parsed.keys.length];
+        const index = parsed.keys.findIndex(key => this.ukTownsend[key] !== undefined);
+        if (index < 0) { this._log('info', `Postcode area ${parsed.keys[parsed.keys.length - 1]} not in the Townsend table.`); return null; }
+        const area = parsed.keys[index];
+        return {
+            townsendScore: this.ukTownsend[area], range: null, country: 'UK', postalCode: parsed.postalCode,
+            area, level: levels[index], quintile: null, approximate: levels[index] !== 'postcode',
+            basis: `Townsend score for postcode ${levels[index]} ${area}`,
+            source: this.source
+        };
+    }
+}
+
+export default DeprivationLookupService;
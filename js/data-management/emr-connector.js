@@ -3,8 +3,10 @@
  * @file /js/data-management/emr-connector.js
  * @description Provides integration with Electronic Medical Record (EMR) systems
  * via FHIR API. Features enhanced data mapping capabilities inspired by
- * detailed integration examples (e.g., Juno EMR).
- * @version 1.1.0
+ * detailed integration examples (e.g., Juno EMR). The patient's postal code is passed to FieldMapper
+ * for the offline Townsend lookup used by QRISK3. Lab values with unit or assay handling (Lp(a)) are mapped
+ * onto the patient through the profile's FieldMapper `labs` rules.
+ * @version 1.3.0
  * @exports EMRConnectorService
  */
 
@@ -55,7 +57,7 @@ class EMRConnectorService {
         }
 
         EMRConnectorService.instance = this;
-        this._log('info', 'EMRConnectorService Initialized (v1.1.0).');
+        this._log('info', 'EMRConnectorService Initialized (v1.3.0).');
     }
 
     _log(level, message, data) {
@@ -97,6 +99,9 @@ class EMRConnectorService {
                     height: null, // To be populated from Observations
                     weight: null, // To be populated from Observations
                     bmi: null,    // To be populated from Observations or calculated
+                    // Postal code for the Townsend lookup (DeprivationLookupService), from the home address if there is one
+                    postalCode: (fhirPatient) => (fhirPatient.address?.find(a => a.use === 'home') || fhirPatient.address?.[0])?.postalCode,
+                    country: (fhirPatient) => (fhirPatient.address?.find(a => a.use === 'home') || fhirPatient.address?.[0])?.country,
                 },
                 observations: [ // From FHIR Observation resources
                     // Map LOINC codes to internal keys
@@ -110,7 +115,7 @@ class EMRConnectorService {
                     { fhirCode: '13457-7', internalKey: 'ldlCalculated', unitSystem: 'http://unitsofmeasure.org', unitCode: 'mmol/L' }, // LDL (Calculated)
                     { fhirCode: '2089-1', internalKey: 'ldlDirect', unitSystem: 'http://unitsofmeasure.org', unitCode: 'mmol/L' }, // LDL (Direct/Measured)
                     { fhirCode: '2571-8', internalKey: 'triglycerides', unitSystem: 'http://unitsofmeasure.org', unitCode: 'mmol/L' }, // Trig
-                    { fhirCode: '32300-3', internalKey: 'lpa', unitSystem: 'http://unitsofmeasure.org', unitCode: 'nmol/L' }, // Lp(a) mass or molar
+                    { fhirCode: '32300-3', internalKey: 'lpa', unitSystem: 'http://unitsofmeasure.org', unitCode: 'nmol/L', assayType: (obs) => this._getLpaAssayType(obs) }, // Lp(a) mass or molar
                     // Add more observation mappings (e.g., glucose, HbA1c)
                 ],
                 conditions: [ // From FHIR Condition resources - map FHIR condition codes/text to internal boolean flags or structured data
@@ -129,7 +134,13 @@ class EMRConnectorService {
                     { internalKey: 'onBPMeds', fhirClassKeywords: ['antihypertensive', 'beta blocker', 'ace inhibitor', 'arb', 'calcium channel blocker', 'diuretic'] },
                     { internalKey: 'onStatin', fhirClassKeywords: ['statin', 'hmg-coa reductase inhibitor'] },
                     { internalKey: 'onAspirin', fhirClassKeywords: ['aspirin'] },
-                ]
+                ],
+                labs: { // FieldMapperService rules over the mapped data (target path: rule), run after the observations
+                    'patient.lpa': {
+                        sourcePath: 'observations.lpa.value', sourceUnitPath: 'observations.lpa.unit', targetUnit: 'nmol/L', targetUnitPath: 'patient.lpaUnit',
+                        measurementType: 'lpa', assayTypePath: 'observations.lpa.assayType', metadataPath: 'patient.lpaAssay'
+                    },
+                }
             },
             // --- From Internal Toolkit Data to FHIR ---
             toFHIR: {
@@ -356,6 +367,7 @@ class EMRConnectorService {
                     unit: S.escapeHTML(obs.valueQuantity.unit || obs.valueQuantity.code),
                     date: obs.effectiveDateTime || obs.issued
                 };
+                if (typeof mapping.assayType === 'function') toolkitData.observations[mapping.internalKey].assayType = mapping.assayType(obs);
             }
         });
         // Populate height/weight/bmi into patient object from observations if mapped
@@ -388,8 +400,31 @@ class EMRConnectorService {
         });
 
 
-        this._log('debug', 'FHIR to Internal Mapping complete.', { toolkitData: JSON.stringify(toolkitData).substring(0,300) });
-        return toolkitData;
+        // Lab rules (unit conversion, Lp(a) assay metadata) and the Townsend score from the postal code, for QRISK3
+        const F = this.dependencies.FieldMapper;
+        let mappedData = toolkitData;
+        if (M.labs && typeof F?.mapToInternal === 'function') {
+            const labsProfile = `${this.connectionConfig.emrType || this.options.defaultEmrType}-labs`;
+            if (F.getProfile(labsProfile)?.toInternal !== M.labs) F.registerProfile(labsProfile, { toInternal: M.labs });
+            mappedData = F.mapToInternal(toolkitData, labsProfile, toolkitData) || toolkitData; // Also runs the Townsend lookup
+        } else {
+            F?.applyDeprivationLookup?.(toolkitData); // No-op without FieldMapper or a known area
+        }
+
+        this._log('debug', 'FHIR to Internal Mapping complete.', { toolkitData: JSON.stringify(mappedData).substring(0,300) });
+        return mappedData;
+    }
+
+    /**
+     * Lp(a) assay type (UnitConverterService.LPA_ASSAY_TYPES value) from the Observation's method; 'unknown' when
+     * the method is missing, since a reported unit does not say which assay produced it.
+     * @private
+     */
+    _getLpaAssayType(obs) {
+        const method = [obs.method?.text, ...(obs.method?.coding || []).map(c => c.display || c.code)].filter(Boolean).join(' ');
+        if (/isoform[\s-]*(insensitive|independent)|nmol/i.test(method)) return 'isoform_insensitive';
+        if (/isoform[\s-]*(sensitive|dependent)|mass|mg\/dl/i.test(method)) return 'mass';
+        return 'unknown';
     }
 
     _getPatientNameFromFHIR(fhirPatient) { /* ... (same as v1.0.0) ... */
@@ -451,3 +486,5 @@ class EMRConnectorService {
 // });
 // window.EMRConnectorService = EMRConnectorServiceInstance;
 // export default EMRConnectorServiceInstance;
+
+export default EMRConnectorService;
@@ -4,7 +4,8 @@
  * @description Centralizes data mapping between different data structures (e.g., EMR data
  * to the toolkit's internal model) using configurable and expressive profiles.
  * Supports complex transformations, unit conversions, conditional mapping, and array mapping.
- * @version 1.2.0
+ * Imported patients with a postal code but no Townsend score get one from DeprivationLookupService.
+ * @version 1.4.0
  * @exports FieldMapperService
  */
 
@@ -26,7 +27,7 @@ class FieldMapperService {
      * @param {object} [options.initialProfiles={}] - Pre-defined mapping profiles.
      * @param {boolean} [options.caseInsensitivePaths=false] - Whether to resolve paths case-insensitively.
      * @param {object} [options.dependencies={}] - Injected dependencies.
-     * Expected: ErrorLogger, InputSanitizer, UnitConverterService, ValidationHelpers.
+     * Expected: ErrorLogger, InputSanitizer, UnitConverterService, ValidationHelpers, DeprivationLookup (optional).
      */
     constructor(options = {}) {
         if (FieldMapperService.instance && !options.forceNewInstance) {
@@ -45,8 +46,10 @@ class FieldMapperService {
             InputSanitizer: window.InputSanitizerService,
             UnitConverterService: window.UnitConverterServiceInstance,
             ValidationHelpers: window.ValidationHelpersServiceInstance, // Assuming instance
+            DeprivationLookup: window.DeprivationLookupInstance, // Postcode -> Townsend for QRISK3
             // HelperFunctions are expected to be globally available or part of a utility object
-            HelperFunctions: window.HelperFunctions || { getNestedValue: this._getValueFromPath.bind(this), setNestedValue: this._setValueByPath.bind(this), deepClone: (obj) => JSON.parse(JSON.stringify(obj)) },
+            // Without them, _getValueFromPath/_setValueByPath use their built-in resolvers (binding those here would recurse)
+            HelperFunctions: window.HelperFunctions || { deepClone: (obj) => JSON.parse(JSON.stringify(obj)) },
             ...options.dependencies,
         };
 
@@ -58,7 +61,7 @@ class FieldMapperService {
 
 
         FieldMapperService.instance = this;
-        this._log('info', 'FieldMapperService Initialized (v1.2.0).');
+        this._log('info', 'FieldMapperService Initialized (v1.4.0).');
     }
 
     _getFallbackLogger() {
@@ -134,6 +137,8 @@ class FieldMapperService {
             }
         }
 
+        this.applyDeprivationLookup(internalData);
+
         if (typeof profile.postProcessorToInternal === 'function') {
             try {
                 internalData = profile.postProcessorToInternal(internalData, sourceData, this.dependencies);
@@ -246,13 +251,11 @@ class FieldMapperService {
             if (this.dependencies.UnitConverterService && rule.targetUnit && (rule.sourceUnitPath || rule.sourceUnit)) {
                 const sourceUnit = rule.sourceUnitPath ? this._getValueFromPath(sourceRoot, rule.sourceUnitPath) : rule.sourceUnit;
                 if (sourceUnit && value !== null && value !== '' && String(sourceUnit).toLowerCase() !== String(rule.targetUnit).toLowerCase()) {
-                    const conversionResult = this.dependencies.UnitConverterService.convert(
-                        parseFloat(value), // Assuming numeric value for conversion
-                        sourceUnit,
-                        rule.targetUnit,
-                        rule.measurementType || 'generic'
-                    );
+                    const conversionResult = this._convertValue(value, sourceUnit, rule, sourceRoot);
                     if (!conversionResult.error && conversionResult.value !== null) {
+                        if (rule.metadataPath && conversionResult.approximate !== undefined) {
+                            this._setValueByPath(targetObject, rule.metadataPath, this._buildConversionMetadata(value, sourceUnit, conversionResult));
+                        }
                         value = conversionResult.value;
                         // Optionally, map the converted unit to a target unit field if specified
                         if (rule.targetUnitPath) {
@@ -278,6 +281,65 @@ class FieldMapperService {
         }
     }
 
+    /**
+     * Fills `townsendScore` from `postalCode` (on `patient` or the top level, with an optional `country`)
+     * when the source gave no score, and records the lookup in `townsendLookup` next to it. Run by
+     * mapToInternal; importers that build internal data themselves (EMRConnectorService) call it directly.
+     * @param {object} internalData - Internal-model data, updated in place.
+     * @returns {object} The same object.
+     */
+    applyDeprivationLookup(internalData) {
+        const lookup = this.dependencies.DeprivationLookup;
+        if (!lookup || !internalData) return internalData;
+        const target = internalData.patient?.postalCode ? internalData.patient : internalData;
+        if (!target.postalCode || (target.townsendScore !== undefined && target.townsendScore !== null && target.townsendScore !== '')) return internalData;
+        try {
+            const area = lookup.lookup(target.postalCode, target.country);
+            if (area) {
+                target.townsendScore = area.townsendScore;
+                target.townsendLookup = area;
+                this._log('debug', `Townsend score ${area.townsendScore} filled from postal code (${area.basis}).`);
+            }
+        } catch (error) {
+            this._handleError(error, 'TownsendLookup');
+        }
+        return internalData;
+    }
+
+    /**
+     * Converts a mapped value. Lp(a) rules (measurementType 'lpa') use the assay-aware conversion, with the
+     * assay type from `rule.assayTypePath` or `rule.assayType` and an optional `rule.conversionMode`.
+     * @private
+     */
+    _convertValue(value, sourceUnit, rule, sourceRoot) {
+        const U = this.dependencies.UnitConverterService;
+        if (rule.measurementType === 'lpa' && typeof U.convertLpa === 'function') {
+            const assayType = rule.assayTypePath ? this._getValueFromPath(sourceRoot, rule.assayTypePath) : rule.assayType;
+            return U.convertLpa(parseFloat(value), sourceUnit, rule.targetUnit, { assayType, mode: rule.conversionMode });
+        }
+        return U.convert(
+            parseFloat(value), // Assuming numeric value for conversion
+            sourceUnit,
+            rule.targetUnit,
+            rule.measurementType || 'generic'
+        );
+    }
+
+    /**
+     * Assay metadata kept alongside a converted value (`rule.metadataPath`), so reports can show what was measured.
+     * @private
+     */
+    _buildConversionMetadata(measuredValue, measuredUnit, conversionResult) {
+        return {
+            measuredValue: parseFloat(measuredValue),
+            measuredUnit,
+            assayType: conversionResult.assayType,
+            approximate: conversionResult.approximate,
+            range: conversionResult.range,
+            notes: conversionResult.notes || []
+        };
+    }
+
     _sanitizeValue(value, contextPath = 'unknown') {
         if (typeof value === 'string' && this.dependencies.InputSanitizer) {
             // Basic HTML escaping for strings. More specific sanitization (URL, HTML content) should be handled by transform functions.
@@ -340,7 +402,5 @@ class FieldMapperService {
     }
 }
 
-// Instantiate and export the singleton service
-// const FieldMapperServiceInstance = new FieldMapperService({ dependencies: { ... } });
-// window.FieldMapperService = FieldMapperServiceInstance;
-// export default FieldMapperServiceInstance;
+// Instantiated in main.js (window.FieldMapperServiceInstance)
+export default FieldMapperService;
@@ -0,0 +1,293 @@
+/**
+ * Lp(a) Cascade Screening Module
+ * @file /js/data-management/lpa-cascade-screening.js
+ * @description Tracks cascade (family) screening after an elevated Lp(a) result. Lp(a) levels are
+ * inherited in an autosomal co-dominant pattern, so each first-degree relative has about a 50% chance
+ * of carrying the high-Lp(a) allele. A case records the index patient (proband) and their first-degree
+ * relatives, whether each has been notified and tested, and their results. Each patient (EMR patient or
+ * assessment id) has at most one open case. Cases persist through the
+ * injected Storage (DataManager interface) and feed the History panel pedigree and the relative
+ * notification letters printed through PDFService.generateReport.
+ * @version 1.1.0
+ * @exports LpaCascadeScreeningService
+ */
+
+'use strict';
+
+// First-degree relationships: pedigree generation relative to the proband, and sex
+const RELATIONSHIPS = Object.freeze({
+    mother: { generation: -1, sex: 'female', label: 'Mother' },
+    father: { generation: -1, sex: 'male', label: 'Father' },
+    sister: { generation: 0, sex: 'female', label: 'Sister' },
+    brother: { generation: 0, sex: 'male', label: 'Brother' },
+    daughter: { generation: 1, sex: 'female', label: 'Daughter' },
+    son: { generation: 1, sex: 'male', label: 'Son' },
+});
+
+const STATUSES = Object.freeze({
+    NOT_CONTACTED: 'not_contacted',
+    NOTIFIED: 'notified',
+    TESTED: 'tested',
+    DECLINED: 'declined',
+});
+
+const GENERATION_LABELS = Object.freeze({ '-1': 'Parents', 0: 'Proband and siblings', 1: 'Children' });
+
+class LpaCascadeScreeningService {
+    static RELATIONSHIPS = RELATIONSHIPS;
+    static STATUSES = STATUSES;
+
+    /**
+     * @param {object} [options={}] - Configuration options.
+     * @param {string} [options.storageKey='lpaCascadeCases'] - Key used with Storage.
+     * @param {object} [options.dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, EventBus, Storage (getItem/setItem, async), LpaModifier, PDFService (optional).
+     */
+    constructor(options = {}) {
+        this.options = { storageKey: 'lpaCascadeCases', ...options };
+        this.dependencies = {
+            ErrorLogger: { handleError: console.error, log: console.log },
+            EventBus: { publish: () => {} },
+            Storage: null,
+            LpaModifier: null,
+            PDFService: null,
+            ...options.dependencies,
+        };
+        if (!this.dependencies.LpaModifier) throw new Error('LpaCascadeScreeningService requires an LpaModifier dependency.');
+        this.cases = {};
+        this.VERSION = '1.1.0';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `LpaCascade: ${message}`, data); }
+    _handleError(error, context, additionalData = {}) {
+        const msg = error.message || String(error);
+        this.dependencies.ErrorLogger.handleError?.(msg, `LpaCascade-${context}`, 'error', { originalError: error, ...additionalData });
+    }
+
+    _newId(prefix) { return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`; }
+
+    /** Loads saved cases from Storage. @returns {Promise<object>} Cases keyed by caseId. */
+    async load() {
+        try {
+            this.cases = (await this.dependencies.Storage?.getItem(this.options.storageKey)) || {};
+        } catch (error) {
+            this._handleError(error, 'Load');
+            this.cases = {};
+        }
+        return this.cases;
+    }
+
+    async _save(caseRecord) {
+        caseRecord.updatedAt = new Date().toISOString();
+        try {
+            await this.dependencies.Storage?.setItem(this.options.storageKey, this.cases);
+        } catch (error) {
+            this._handleError(error, 'Save', { caseId: caseRecord.caseId });
+        }
+        this.dependencies.EventBus.publish('lpaCascade:updated', { caseId: caseRecord.caseId, case: caseRecord });
+        return caseRecord;
+    }
+
+    _getCase(caseId) {
+        const caseRecord = this.cases[caseId];
+        if (!caseRecord) throw new Error(`Cascade screening case "${caseId}" not found.`);
+        return caseRecord;
+    }
+
+    _getRelative(caseRecord, relativeId) {
+        const relative = caseRecord.relatives.find(r => r.id === relativeId);
+        if (!relative) throw new Error(`Relative "${relativeId}" not found in case "${caseRecord.caseId}".`);
+        return relative;
+    }
+
+    /** @returns {object|null} */
+    getCase(caseId) { return this.cases[caseId] || null; }
+
+    /** @returns {object[]} All cases, most recently updated first. */
+    listCases() { return Object.values(this.cases).sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt))); }
+
+    /** @returns {object|null} The open case for a patient or assessment id. */
+    findOpenCase(patientId) {
+        if (patientId === undefined || patientId === null || patientId === '') return null;
+        return Object.values(this.cases).find(c => c.status === 'open' && c.patientId === String(patientId)) || null;
+    }
+
+    /**
+     * Opens a case for a proband with elevated Lp(a). An open case for the same patientId is returned
+     * (with the latest result) instead of creating a duplicate; without a patientId a new case is always opened.
+     * @param {object} proband
+     * @param {number} proband.lpa - Lp(a) value.
+     * @param {string} proband.lpaUnit - 'mg/dL' or 'nmol/L'.
+     * @param {string} [proband.patientId] - EMR patient id, or the id of the assessment the result came from.
+     * @param {string} [proband.label='Index patient'] - Name or identifier shown in the pedigree.
+     * @returns {Promise<object>} The case.
+     * @throws {Error} If the Lp(a) value is not elevated.
+     */
+    async openCase({ lpa, lpaUnit, patientId, label = 'Index patient' }) {
+        if (!this.dependencies.LpaModifier.isElevated(lpa, lpaUnit)) throw new Error('Cascade screening is only opened for an elevated Lp(a).');
+        const proband = { label: String(label), lpa: Number(lpa), lpaUnit, recordedAt: new Date().toISOString() };
+        const existing = this.findOpenCase(patientId);
+        if (existing) {
+            existing.proband = proband;
+            return this._save(existing);
+        }
+        const caseId = this._newId('case');
+        const key = patientId === undefined || patientId === null || patientId === '' ? null : String(patientId);
+        this.cases[caseId] = { caseId, patientId: key, status: 'open', proband, relatives: [], createdAt: proband.recordedAt };
+        this._log('info', `Opened cascade screening case ${caseId}.`);
+        return this._save(this.cases[caseId]);
+    }
+
+    /**
+     * Records a first-degree relative.
+     * @param {string} caseId
+     * @param {object} relative
+     * @param {string} relative.relationship - One of LpaCascadeScreeningService.RELATIONSHIPS.
+     * @param {string} [relative.name]
+     * @param {number} [relative.birthYear]
+     * @returns {Promise<object>} The relative record.
+     */
+    async addRelative(caseId, { relationship, name, birthYear }) {
+        const caseRecord = this._getCase(caseId);
+        const key = String(relationship || '').toLowerCase();
+        const definition = RELATIONSHIPS[key];
+        if (!definition) throw new Error(`Unsupported relationship "${relationship}"; cascade screening covers first-degree relatives (${Object.keys(RELATIONSHIPS).join(', ')}).`);
+        if (definition.generation === -1 && caseRecord.relatives.some(r => r.relationship === key)) throw new Error(`The proband's ${key} is already recorded.`);
+        const relative = {
+            id: this._newId('rel'),
+            relationship: key,
+            name: name ? String(name) : definition.label,
+            birthYear: birthYear ? Number(birthYear) : null,
+            status: STATUSES.NOT_CONTACTED,
+            notifiedAt: null,
+            result: null
+        };
+        caseRecord.relatives.push(relative);
+        await this._save(caseRecord);
+        return relative;
+    }
+
+    /**
+     * Updates a relative's screening status (e.g. 'notified' or 'declined'). Use recordResult for 'tested'.
+     * @returns {Promise<object>} The relative record.
+     */
+    async updateStatus(caseId, relativeId, status) {
+        const caseRecord = this._getCase(caseId);
+        const relative = this._getRelative(caseRecord, relativeId);
+        if (!Object.values(STATUSES).includes(status) || status === STATUSES.TESTED) throw new Error(`Invalid status "${status}". Record a test result to mark a relative as tested.`);
+        relative.status = status;
+        if (status === STATUSES.NOTIFIED && !relative.notifiedAt) relative.notifiedAt = new Date().toISOString();
+        await this._save(caseRecord);
+        return relative;
+    }
+
+    /**
+     * Records a relative's Lp(a) result; elevation uses the same CCS threshold as the proband.
+     * An elevated relative is flagged so their own first-degree relatives can be screened next.
+     * @returns {Promise<object>} The relative record.
+     */
+    async recordResult(caseId, relativeId, lpa, lpaUnit) {
+        const caseRecord = this._getCase(caseId);
+        const relative = this._getRelative(caseRecord, relativeId);
+        const value = Number(lpa);
+        if (lpa === null || lpa === undefined || lpa === '' || !isFinite(value) || value < 0) throw new Error('A non-negative Lp(a) value is required.');
+        const elevated = this.dependencies.LpaModifier.isElevated(value, lpaUnit);
+        relative.status = STATUSES.TESTED;
+        relative.result = { lpa: value, lpaUnit, elevated, testedAt: new Date().toISOString(), extendCascade: elevated };
+        await this._save(caseRecord);
+        return relative;
+    }
+
+    /**
+     * Counts for the case: relatives recorded, notified, tested, elevated, declined and outstanding.
+     * @returns {object}
+     */
+    getSummary(caseId) {
+        const { relatives } = this._getCase(caseId);
+        const count = (fn) => relatives.filter(fn).length;
+        return {
+            total: relatives.length,
+            notContacted: count(r => r.status === STATUSES.NOT_CONTACTED),
+            notified: count(r => r.status === STATUSES.NOTIFIED),
+            tested: count(r => r.status === STATUSES.TESTED),
+            elevated: count(r => r.result?.elevated),
+            declined: count(r => r.status === STATUSES.DECLINED),
+            outstanding: count(r => r.status === STATUSES.NOT_CONTACTED || r.status === STATUSES.NOTIFIED)
+        };
+    }
+
+    /**
+     * Pedigree layout for the History panel: one row per generation, proband in generation 0.
+     * `affected` is true (elevated), false (tested, not elevated) or null (not tested).
+     * @returns {{caseId: string, generations: Array<{level: number, label: string, members: object[]}>, summary: object}}
+     */
+    buildPedigree(caseId) {
+        const caseRecord = this._getCase(caseId);
+        const levels = { '-1': [], 0: [], 1: [] };
+        levels[0].push({ id: 'proband', label: caseRecord.proband.label, relationship: 'proband', sex: null, isProband: true, status: STATUSES.TESTED, affected: true, result: { lpa: caseRecord.proband.lpa, lpaUnit: caseRecord.proband.lpaUnit } });
+        caseRecord.relatives.forEach(r => {
+            const definition = RELATIONSHIPS[r.relationship];
+            levels[definition.generation].push({
+                id: r.id, label: r.name, relationship: r.relationship, sex: definition.sex, isProband: false,
+                status: r.status, affected: r.result ? r.result.elevated : null, result: r.result
+            });
+        });
+        return {
+            caseId,
+            generations: [-1, 0, 1].map(level => ({ level, label: GENERATION_LABELS[level], members: levels[level] })),
+            summary: this.getSummary(caseId)
+        };
+    }
+
+    /**
+     * Sections for a relative's notification letter (PDFService.generateReport format). The proband is
+     * not named, so the letter can be handed to the patient to pass on.
+     * @param {string} caseId
+     * @param {string} relativeId
+     * @param {object} [clinic={}] - { name, contact } shown in the letter.
+     * @returns {Array<object>}
+     */
+    buildNotificationLetter(caseId, relativeId, clinic = {}) {
+        const caseRecord = this._getCase(caseId);
+        const relative = this._getRelative(caseRecord, relativeId);
+        const clinicName = clinic.name || 'Lipid Clinic';
+        const items = [
+            { type: 'keyvalue', label: 'Date', value: new Date().toLocaleDateString() },
+            { type: 'keyvalue', label: 'To', value: relative.name },
+            { type: 'spacer', height: 3 },
+            { type: 'text', content: `A close family member of yours has been found to have a raised level of lipoprotein(a), or Lp(a), in a blood test at the ${clinicName}.` },
+            { type: 'text', content: 'Lp(a) is a particle in the blood that carries cholesterol. The level is set mainly by the genes we inherit and changes little with diet or exercise. A raised level increases the risk of heart attack, stroke and narrowing of the aortic valve.' },
+            { type: 'text', content: 'Lp(a) levels are passed on from parent to child. As a parent, brother, sister or child of someone with a raised level, you have about a 1 in 2 chance of having a raised level yourself.' },
+            { type: 'text', content: 'We recommend that you ask your doctor for an Lp(a) blood test. It usually only needs to be done once in a lifetime and does not require fasting. If your level is raised, your doctor can focus on lowering your other risk factors, such as LDL cholesterol and blood pressure.' },
+            { type: 'text', content: 'Please take this letter with you when you see your doctor.' }
+        ];
+        if (clinic.contact) items.push({ type: 'keyvalue', label: 'Contact', value: `${clinicName}, ${clinic.contact}` });
+        return [{ sectionTitle: 'Family Screening for Lipoprotein(a)', items }];
+    }
+
+    /**
+     * Generates a relative's notification letter through PDFService and marks them notified.
+     * @param {string} caseId
+     * @param {string} relativeId
+     * @param {object} [options={}] - { clinic, action: 'print' | 'save' | 'bloburl' | 'datauristring' (default 'print') }.
+     * @returns {Promise<string|void>} PDFService.generateReport output.
+     */
+    async generateNotificationLetter(caseId, relativeId, { clinic = {}, action = 'print' } = {}) {
+        const PDF = this.dependencies.PDFService;
+        if (!PDF?.generateReport) throw new Error('PDFService is not available for notification letters.');
+        const sections = this.buildNotificationLetter(caseId, relativeId, clinic);
+        const relative = this._getRelative(this._getCase(caseId), relativeId);
+        const output = await PDF.generateReport('Lp(a) Family Screening Letter', sections, `Lpa_Family_Letter_${relative.relationship}.pdf`, action);
+        if (relative.status === STATUSES.NOT_CONTACTED) await this.updateStatus(caseId, relativeId, STATUSES.NOTIFIED);
+        return output;
+    }
+
+    /** Closes a case (kept in history). @returns {Promise<object>} */
+    async closeCase(caseId) {
+        const caseRecord = this._getCase(caseId);
+        caseRecord.status = 'closed';
+        return this._save(caseRecord);
+    }
+}
+
+export default LpaCascadeScreeningService;
@@ -36,6 +36,8 @@ const THRESHOLDS_DATA = Object.freeze({
     CONVERSION_FACTORS: {
         TC_HDL_LDL: 0.02586, // To convert mg/dL to mmol/L
         TRIGLYCERIDES: 0.01129, // To convert mg/dL to mmol/L
+        CREATININE: 0.01131, // To convert µmol/L to mg/dL
+        ACR_MG_G: 0.113, // To convert mg/g to mg/mmol
     },
     TOTAL_CHOLESTEROL: {
         DESIRABLE_MMOL: 5.2, BORDERLINE_MMOL: 6.2, HIGH_MMOL: 6.2,
@@ -59,9 +61,61 @@ const THRESHOLDS_DATA = Object.freeze({
         OPTIMAL_MMOL: 3.3, BORDERLINE_MMOL: 4.1, HIGH_MMOL: 4.9,
         OPTIMAL_MG: 130, BORDERLINE_MG: 159, HIGH_MG: 190,
     },
+    // Calculated LDL-C when not measured (see js/calculations/ldl-estimation.js); triglyceride limits in mmol/L
+    LDL_ESTIMATION: {
+        DEFAULT_METHOD: 'martin_hopkins', // 'martin_hopkins' | 'sampson' | 'friedewald'
+        FRIEDEWALD_MAX_TG_MMOL: 4.5, MARTIN_HOPKINS_MAX_TG_MMOL: 4.5, SAMPSON_MAX_TG_MMOL: 9.0,
+        FRIEDEWALD_LOW_LDL_MMOL: 1.8,
+    },
+    // ApoB vs LDL-C / non-HDL-C percentile discordance (see js/calculations/lipid-discordance.js)
+    LIPID_DISCORDANCE: {
+        PERCENTILE_GAP: 25, // Percentile points between ApoB and a cholesterol measure
+        HIGH_TG_MMOL: 1.5, // CCS: ApoB or non-HDL-C replaces LDL-C as the target above this
+        METABOLIC_TG_MMOL: 1.7, LOW_HDL_MALE_MMOL: 1.0, LOW_HDL_FEMALE_MMOL: 1.3, OBESITY_BMI: 30,
+        // Sourced reference table { SOURCE, percentiles, ldl, nonHdl, apoB } (see lipid-discordance.js); none is included
+        POPULATION_PERCENTILES: null,
+    },
+    // Regimens listed by LipidRegimenOptimizerService (per-dose effects, cost and coverage are in medication-database.js)
+    LIPID_REGIMEN: {
+        MAX_RESULTS: 5,
+    },
+    // Interaction / contraindication alerts (tables in js/data/drug-interactions.js)
+    DRUG_INTERACTIONS: {
+        MIN_ALERT_SEVERITY: 'minor', // 'contraindicated' | 'major' | 'moderate' | 'minor'
+    },
     LPA: {
         HIGH_RISK_NMOL: 125,
         HIGH_RISK_MG: 50,
+        HIGH_RISK_NMOL_CCS: 100, // CCS 2021 elevation threshold used for treatment decisions (LpaModifierService.isElevated)
+        HIGH_RISK_MG_CCS: 50,
+        CONVERSION_NMOL_TO_MG: 2.15, // nmol/L per mg/dL, central factor for UnitConverterService (isoform-dependent, ~1.85-2.85)
+    },
+    // Lp(a) post-test risk multiplier (see js/calculations/lpa-modifier.js for the built-in curves)
+    LPA_MODIFIER: {
+        DEFAULT_CURVE: 'toolkit', // 'toolkit' | 'toolkit_step' | 'uk_biobank' | 'copenhagen'
+        MAX_FACTOR: 3.0,
+    },
+    // mg/dL <-> nmol/L for Lp(a): 'approximate' reports the isoform-dependent range, 'fixed' a single factor
+    LPA_CONVERSION: {
+        MODE: 'approximate',
+    },
+    // Coronary artery calcium (Agatston) reclassification; CAC 0 down-classifies (see js/calculations/cac-reclassifier.js)
+    CAC: {
+        UPCLASSIFY_SCORE: 100,
+        UPCLASSIFY_PERCENTILE: 75, // MESA percentile for age, sex and ethnicity
+    },
+    // Familial hypercholesterolemia diagnosis on untreated LDL-C, mmol/L (see js/calculations/fh-diagnosis.js)
+    FH_DIAGNOSIS: {
+        DLCN_CONFIRMED_SCORE: 6, // Probable FH; also the BC PCSK9 inhibitor criterion
+        CANADIAN_LDL_DEFINITE: 8.5,
+        CANADIAN_LDL_BY_AGE: { UNDER_18: 4.0, AGE_18_39: 4.5, AGE_40_PLUS: 5.0 },
+    },
+    // Framingham risk enhancers (see js/calculations/risk-enhancers.js for the built-in definitions). Override a
+    // built-in by key, e.g. DEFINITIONS: { hs_crp: { factor: 1.4 } }, or add one with { label, field, operator,
+    // threshold, factor, combine: 'multiplicative' | 'capped', citation }.
+    RISK_ENHANCERS: {
+        CAPPED_MAX_FACTOR: 2.0, // Combined limit for the 'capped' enhancers
+        DEFINITIONS: {},
     },
     TC_HDL_RATIO: {
         OPTIMAL: 3.5, ACCEPTABLE: 5.0, HIGH_RISK: 6.0
@@ -73,6 +127,94 @@ const THRESHOLDS_DATA = Object.freeze({
         INTERMEDIATE_THRESHOLD: 20.0,
         HIGH_THRESHOLD: 20.0,
     },
+    // ACC/AHA Pooled Cohort Equations (10-year hard ASCVD)
+    ASCVD_RISK_CATEGORY: {
+        LOW_THRESHOLD: 5.0, BORDERLINE_THRESHOLD: 7.5, INTERMEDIATE_THRESHOLD: 20.0,
+    },
+    // AHA PREVENT (10-year total CVD)
+    PREVENT_RISK_CATEGORY: {
+        LOW_THRESHOLD: 3.0, BORDERLINE_THRESHOLD: 5.0, INTERMEDIATE_THRESHOLD: 10.0,
+    },
+    // UKPDS Risk Engine (10-year CHD + stroke, type 2 diabetes)
+    UKPDS_RISK_CATEGORY: {
+        LOW_THRESHOLD: 10.0, INTERMEDIATE_THRESHOLD: 20.0,
+    },
+    // DIAL2 lifetime model (type 2 diabetes). Not bundled with the toolkit; MODEL is the published model as loaded by a site:
+    // { SOURCE, MAX_AGE?, CVD, NON_CVD_DEATH, REGION_CALIBRATION? }, each outcome { coefficients, centres,
+    // baselineHazard: { MALE: { age: hazard }, FEMALE: {...} } } and each ESC region { scale1, scale2 }. Terms are
+    // male, smoker, sbp, nonHdl (mmol/L), hba1c (mmol/mol), egfr, diabetesDuration, insulin, or `<term>*age`.
+    // DIAL2 stays unavailable while MODEL is null. Categories use the 10-year risk on the UKPDS scale.
+    DIAL2: {
+        MODEL: null,
+        LIFETIME_TO_AGE: 90,
+    },
+    DIAL2_RISK_CATEGORY: {
+        LOW_THRESHOLD: 10.0, INTERMEDIATE_THRESHOLD: 20.0,
+    },
+    // SMART / SMART2 (10-year recurrent MI, stroke or vascular death, established ASCVD); values are lower bounds.
+    // VERY_HIGH also sets the extreme-risk lipid targets in TreatmentRecommendationsService, with a SMART2 model only.
+    SMART_RISK_CATEGORY: {
+        HIGH: 10.0, VERY_HIGH: 20.0,
+    },
+    // MODEL: SMART2 coefficients { label, coefficients, baselineSurvival, linearPredictorOffset } replacing the bundled 2013 SMART score.
+    // SMART2 is not bundled; without it the recurrent risk is shown but does not set the very-high-risk targets.
+    SMART: {
+        MODEL: null,
+        CTT_RR_PER_MMOL: 0.78, // Relative risk of major vascular events per 1 mmol/L LDL-C lowering
+    },
+    // CTT benefit of LDL-C lowering (LdlBenefitService): relative risk per 1 mmol/L in the first year and thereafter;
+    // time to benefit is the years until the absolute risk reduction reaches TIME_TO_BENEFIT_ARR_PERCENT
+    LDL_BENEFIT: {
+        RR_PER_MMOL_FIRST_YEAR: 0.90, RR_PER_MMOL: 0.78, TIME_TO_BENEFIT_ARR_PERCENT: 1,
+    },
+    // One-way sensitivity analysis (SensitivityAnalysisService): each modifiable input is set this far below and above
+    // its value (BMI for QRISK3, HbA1c for UKPDS and DIAL2 only)
+    SENSITIVITY: {
+        SBP_MMHG: 20, TOTAL_CHOLESTEROL_MMOL: 1.0, HDL_MMOL: 0.3, BMI: 5, HBA1C_PERCENT: 1.0,
+    },
+    // Risk progression over time (RiskProjectionService): years projected, typical age-related drift per year
+    // (total cholesterol rises until the peak age, then falls) and the LDL-C lowering assumed for the treated line
+    RISK_PROJECTION: {
+        YEARS: 20, SBP_MMHG_PER_YEAR: 0.6, TOTAL_CHOLESTEROL_MMOL_PER_YEAR: 0.02, TOTAL_CHOLESTEROL_PEAK_AGE: 60,
+        TOTAL_CHOLESTEROL_MMOL_PER_YEAR_AFTER_PEAK: -0.01, TREATMENT_LDL_REDUCTION_PERCENT: 40,
+    },
+    // 100-person icon array (IconArrayService): LDL-C lowering assumed for the people spared by treatment
+    ICON_ARRAY: {
+        TREATMENT_LDL_REDUCTION_PERCENT: 40,
+    },
+    // ESC SCORE2 / SCORE2-OP (10-year fatal + non-fatal CVD), age-specific; values are lower bounds
+    SCORE2_RISK_CATEGORY: {
+        UNDER_50: { HIGH: 2.5, VERY_HIGH: 7.5 },
+        AGE_50_69: { HIGH: 5.0, VERY_HIGH: 10.0 },
+        AGE_70_PLUS: { HIGH: 7.5, VERY_HIGH: 15.0 },
+    },
+    SCORE2: {
+        DEFAULT_REGION: 'moderate', // 'low' | 'moderate' | 'high' | 'very_high'
+        OP_MIN_AGE: 70, // SCORE2-OP from this age
+    },
+
+    // --- QRISK3 Healthy Comparator (qrisk.org definition of a "healthy person") ---
+    QRISK3: {
+        HEALTHY_CHOLESTEROL_RATIO: 4.0, HEALTHY_SBP: 125, HEALTHY_SBP_SD: 0, HEALTHY_BMI: 25,
+        HEART_AGE_MIN: 25, HEART_AGE_MAX: 84, // Heart age search range; QRISK3 is valid for ages 25-84
+    },
+    // Missing-input imputation for QRISK3 (see js/calculations/qrisk3-imputation.js). ENABLED turns it on for every
+    // calculation; otherwise it is per request ('qrisk-impute-missing'). Override a field's model by name, e.g.
+    // FIELDS: { townsendScore: { spread: 4.0 } }.
+    QRISK3_IMPUTATION: {
+        ENABLED: false,
+        FIELDS: {},
+    },
+
+    // --- Risk Horizons (30-year / lifetime projections) ---
+    // Non-validated projections chained from the 10-year engines with competing non-CVD mortality (not the
+    // published 30-year Framingham or QRISK-lifetime models). CVD_SHARE_OF_DEATHS is the
+    // cardiovascular share of all deaths, removed from the all-cause life table (Tsao 2022: ~28%).
+    // ALL_CAUSE_MORTALITY ({ MALE: { age: q }, FEMALE: {...} }) overrides the bundled US 2019 life table.
+    RISK_HORIZONS: {
+        THIRTY_YEAR_YEARS: 30, LIFETIME_TO_AGE: 85,
+        CVD_SHARE_OF_DEATHS: 0.28,
+    },
 
     // --- Diabetes Related ---
     HBA1C: {
@@ -85,7 +227,9 @@ const THRESHOLDS_DATA = Object.freeze({
 
     // --- Kidney Function ---
     EGFR: { NORMAL: 90, CKD_G2: 60, CKD_G3a: 45, CKD_G3b: 30, CKD_G4: 15, CKD_G5: 0 },
-    ACR: { NORMAL: 2.0, MICROALBUMINURIA: 20.0, MACROALBUMINURIA: 20.0 },
+    ACR: { NORMAL: 2.0, MICROALBUMINURIA: 20.0, MACROALBUMINURIA: 20.0, KDIGO_A2_MG_MMOL: 3, KDIGO_A3_MG_MMOL: 30 },
+    // SGLT2 inhibitor for CKD (KDIGO 2024): type 2 diabetes with eGFR <60 or albuminuria, or ACR ≥ SGLT2_ACR_MG_MMOL (200 mg/g)
+    RENAL: { SGLT2_MIN_EGFR: 20, SGLT2_ACR_MG_MMOL: 22.6 },
 });
 
 // --- Service Class (Provides Safe Access) ---
@@ -0,0 +1,33 @@
+/**
+ * Area Deprivation Data Module
+ * @file /js/data/deprivation-areas.js
+ * @description Shape of the offline area-deprivation tables read by DeprivationLookupService. No area data is
+ * bundled: shipping a UK Townsend table, a Canadian FSA quintile table and a quintile-to-Townsend mapping is out
+ * of scope, because each must come from a sourced table (census year and publisher) this repository does not
+ * hold. Each site loads its own with DeprivationLookupService.registerDataset() and validates it before clinical
+ * use. Until then the postcode lookup returns nothing and the Townsend score is entered by hand.
+ *   SOURCE           - Required citation shown with every looked-up score, e.g. "Townsend scores by postcode
+ *                      sector, 2011 Census (UK Data Service)".
+ *   UK_TOWNSEND      - Townsend deprivation score keyed by postcode district (outward code), sector ("SW1A 1")
+ *                      or full postcode; the most specific key present wins.
+ *   CA_FSA_QUINTILES - Deprivation quintile (1 least to 5 most deprived) keyed by forward sortation area,
+ *                      the first three characters of a Canadian postal code (e.g. Pampalon or CIMD quintiles).
+ *   CA_QUINTILE_TOWNSEND - How a Canadian quintile is placed on the Townsend scale: `{ value, range: [low, high] }`
+ *                      per quintile, e.g. the median and bounds of the matching Townsend quintile of the UK table
+ *                      the site uses. The two indices measure different things, so this is an approximation by
+ *                      rank, not an equivalence.
+ * @version 2.0.1
+ * @exports DEPRIVATION_AREAS
+ */
+
+'use strict';
+
+const DEPRIVATION_AREAS = Object.freeze({
+    VERSION: '2.0.1',
+    SOURCE: null,
+    UK_TOWNSEND: Object.freeze({}),
+    CA_FSA_QUINTILES: Object.freeze({}),
+    CA_QUINTILE_TOWNSEND: Object.freeze({})
+});
+
+export default DEPRIVATION_AREAS;
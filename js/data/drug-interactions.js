@@ -0,0 +1,148 @@
+/**
+ * Drug Interaction Data Module
+ * @file /js/data/drug-interactions.js
+ * @description Structured interaction and contraindication tables read by DrugInteractionService:
+ *   SEVERITY_ORDER    - Alert grades, most to least severe.
+ *   INTERACTIONS      - Drug-drug pairs. Each side matches by generic name (`names`, also matching names that start
+ *                       with it, e.g. 'diltiazem' matches 'Diltiazem CD'), medication class or subClass as listed
+ *                       in medication-database.js. Drugs missing from the database (e.g. clarithromycin) match by name.
+ *   CONDITIONS        - Drug-condition contraindications against the patient: eGFR in a range (`egfrBelow`,
+ *                       `egfrAtLeast`), CKD stage (Medication & Labs `ckd_stage`) or a flag such as pregnancy.
+ *                       Renal dose limits (maximum dose, eGFR to start) are in medication-database.js (renalLimits).
+ *   DUPLICATION       - Two drugs of the same class (therapeutic duplication); classes listed in `exemptClasses`
+ *                       are used together on purpose.
+ * The tables cover the cardiometabolic drugs the calculator proposes; they are not a complete interaction
+ * compendium and do not replace a pharmacist review.
+ * @version 1.0.1
+ * @reference Health Canada product monographs (simvastatin, lovastatin, atorvastatin, rosuvastatin, bempedoic acid, metformin).
+ * @reference Wiggins BS, et al. Recommendations for Management of Clinically Significant Drug-Drug Interactions With Statins. Circulation. 2016;134(21):e468-e495.
+ * @reference Pearson GJ, et al. 2021 Canadian Cardiovascular Society Guidelines for the Management of Dyslipidemia. Can J Cardiol. 2021;37(8):1129-1150.
+ * @exports DRUG_INTERACTIONS
+ */
+
+'use strict';
+
+// Strong CYP3A4 inhibitors (simvastatin, lovastatin and, less so, atorvastatin are CYP3A4 substrates)
+const STRONG_CYP3A4_INHIBITORS = Object.freeze(['clarithromycin', 'erythromycin', 'itraconazole', 'ketoconazole', 'posaconazole', 'voriconazole', 'ritonavir', 'cobicistat', 'nefazodone']);
+
+const DRUG_INTERACTIONS = Object.freeze({
+    VERSION: '1.0.1',
+    SEVERITY_ORDER: Object.freeze(['contraindicated', 'major', 'moderate', 'minor']),
+
+    INTERACTIONS: Object.freeze([
+        {
+            id: 'statin-gemfibrozil', severity: 'major',
+            a: { classes: ['Statin'] }, b: { names: ['gemfibrozil'] },
+            effect: 'Gemfibrozil inhibits statin glucuronidation and OATP1B1 uptake; markedly higher risk of myopathy and rhabdomyolysis.',
+            management: 'Avoid the combination; use fenofibrate if a fibrate is needed with a statin.'
+        },
+        {
+            id: 'statin-fenofibrate', severity: 'minor',
+            a: { classes: ['Statin'] }, b: { names: ['fenofibrate'] },
+            effect: 'Small additive myopathy risk.',
+            management: 'Acceptable combination; counsel on muscle symptoms and check renal function.'
+        },
+        {
+            id: 'simvastatin-lovastatin-strong-cyp3a4', severity: 'contraindicated',
+            a: { names: ['simvastatin', 'lovastatin'] }, b: { names: STRONG_CYP3A4_INHIBITORS },
+            effect: 'Strong CYP3A4 inhibition raises simvastatin / lovastatin exposure many-fold; high risk of rhabdomyolysis.',
+            management: 'Do not combine. Hold the statin for short courses or switch to rosuvastatin or pravastatin.'
+        },
+        {
+            id: 'atorvastatin-strong-cyp3a4', severity: 'major',
+            a: { names: ['atorvastatin'] }, b: { names: STRONG_CYP3A4_INHIBITORS },
+            effect: 'Strong CYP3A4 inhibition increases atorvastatin exposure.',
+            management: 'Limit atorvastatin to 20mg daily (40mg with some inhibitors) or use rosuvastatin / pravastatin.'
+        },
+        {
+            id: 'simvastatin-lovastatin-non-dhp-ccb', severity: 'major',
+            a: { names: ['simvastatin', 'lovastatin'] }, b: { subClasses: ['Non-Dihydropyridine'], names: ['diltiazem', 'verapamil'] },
+            effect: 'Diltiazem and verapamil are moderate CYP3A4 inhibitors; higher statin exposure and myopathy risk.',
+            management: 'Do not exceed simvastatin 10mg or lovastatin 20mg daily, or switch to another statin.'
+        },
+        {
+            id: 'simvastatin-amlodipine', severity: 'moderate',
+            a: { names: ['simvastatin'] }, b: { names: ['amlodipine'] },
+            effect: 'Amlodipine modestly increases simvastatin exposure.',
+            management: 'Do not exceed simvastatin 20mg daily with amlodipine.'
+        },
+        {
+            id: 'simvastatin-lovastatin-amiodarone', severity: 'major',
+            a: { names: ['simvastatin', 'lovastatin'] }, b: { names: ['amiodarone'] },
+            effect: 'Amiodarone increases simvastatin / lovastatin exposure; higher myopathy risk.',
+            management: 'Do not exceed simvastatin 20mg or lovastatin 40mg daily.'
+        },
+        {
+            id: 'statin-cyclosporine', severity: 'contraindicated',
+            a: { names: ['simvastatin', 'lovastatin', 'atorvastatin', 'rosuvastatin'] }, b: { names: ['cyclosporine', 'ciclosporin'] },
+            effect: 'Cyclosporine inhibits OATP1B1 and CYP3A4; statin exposure rises several-fold.',
+            management: 'Avoid these statins with cyclosporine; pravastatin or fluvastatin at low dose under specialist advice.'
+        },
+        {
+            id: 'non-dhp-ccb-beta-blocker', severity: 'major',
+            a: { subClasses: ['Non-Dihydropyridine'], names: ['diltiazem', 'verapamil'] }, b: { classes: ['Beta Blocker'] },
+            effect: 'Additive negative chronotropy and AV-nodal block; bradycardia, heart block and heart failure.',
+            management: 'Avoid, particularly with verapamil or reduced ejection fraction; use a dihydropyridine CCB if a CCB is needed.'
+        },
+        {
+            id: 'acei-arb', severity: 'major',
+            a: { classes: ['ACE Inhibitor'] }, b: { classes: ['ARB'] },
+            effect: 'Dual renin-angiotensin blockade: hyperkalaemia, hypotension and acute kidney injury without added CV benefit.',
+            management: 'Do not combine; choose one agent.'
+        },
+        {
+            id: 'raas-potassium-sparing', severity: 'moderate',
+            a: { classes: ['ACE Inhibitor', 'ARB'] }, b: { names: ['spironolactone', 'eplerenone', 'amiloride', 'triamterene'], subClasses: ['Potassium-sparing'] },
+            effect: 'Additive potassium retention; risk of hyperkalaemia, especially with CKD.',
+            management: 'Check potassium and creatinine within 1-2 weeks of starting and after dose changes.'
+        },
+        {
+            id: 'bempedoic-acid-simvastatin-pravastatin', severity: 'moderate',
+            a: { names: ['bempedoic acid'] }, b: { names: ['simvastatin', 'pravastatin'] },
+            effect: 'Bempedoic acid raises simvastatin and pravastatin exposure.',
+            management: 'Do not exceed simvastatin 20mg or pravastatin 40mg daily.'
+        },
+        {
+            id: 'sulfonylurea-insulin', severity: 'moderate',
+            a: { classes: ['Sulfonylurea'] }, b: { classes: ['Insulin'] },
+            effect: 'Additive risk of hypoglycaemia.',
+            management: 'Reduce the sulfonylurea or insulin dose when combining and monitor glucose.'
+        },
+    ]),
+
+    CONDITIONS: Object.freeze([
+        {
+            id: 'metformin-severe-ckd', severity: 'contraindicated',
+            drug: { classes: ['Biguanide'] }, condition: { egfrBelow: 30, ckdStages: ['ckd_stage4_5'] }, label: 'eGFR <30 mL/min/1.73m² (CKD stage 4-5)',
+            effect: 'Reduced clearance; risk of lactic acidosis.',
+            management: 'Do not start metformin; stop it if eGFR falls below 30.'
+        },
+        {
+            id: 'metformin-moderate-ckd', severity: 'moderate',
+            drug: { classes: ['Biguanide'] }, condition: { egfrBelow: 45, egfrAtLeast: 30 }, label: 'eGFR 30-44 mL/min/1.73m²',
+            effect: 'Reduced metformin clearance.',
+            management: 'Do not start at this eGFR; if already taking it, limit to 1000mg daily.'
+        },
+        {
+            id: 'lipid-lowering-pregnancy', severity: 'contraindicated',
+            drug: { classes: ['Statin'], names: ['ezetimibe', 'bempedoic acid'] }, condition: { flags: ['pregnancy', 'breastfeeding'] }, label: 'pregnancy or breastfeeding',
+            effect: 'Cholesterol synthesis is needed for fetal development; not recommended in pregnancy or lactation.',
+            management: 'Stop before conception and avoid during pregnancy and breastfeeding.'
+        },
+        {
+            id: 'raas-pregnancy', severity: 'contraindicated',
+            drug: { classes: ['ACE Inhibitor', 'ARB'] }, condition: { flags: ['pregnancy'] }, label: 'pregnancy',
+            effect: 'Fetotoxic in the second and third trimesters.',
+            management: 'Switch to labetalol, nifedipine or methyldopa.'
+        },
+    ]),
+
+    DUPLICATION: Object.freeze({
+        severity: 'moderate',
+        exemptClasses: ['Insulin'],
+        effect: 'Two drugs of the same class add side effects without meaningful extra benefit.',
+        management: 'Use a single agent of the class at an adequate dose.'
+    }),
+});
+
+export default DRUG_INTERACTIONS;
@@ -3,7 +3,9 @@
  * @file /js/data/medication-database.js
  * @description Provides a structured and queryable database of common anti-lipid,
  * anti-hypertensive, and anti-diabetic medications, including expanded inhibitor lists.
- * @version 1.2.0
+ * Lipid-lowering entries carry LDL-C lowering and statin intensity per dose, cost tier and coverage.
+ * renalLimits list the eGFR cut-offs below which the maximum dose falls or the drug should not be started.
+ * @version 1.4.1
  * @exports MedicationDatabaseService
  * @warning This data is for informational purposes only. NOT a substitute for professional
  * medical advice or prescribing. Dosages/availability may vary.
@@ -14,18 +16,37 @@
 // --- Core Medication Data ---
 const MEDICATION_DATA = Object.freeze([
     // --- Anti-Lipid Medications ---
-    { name: 'Rosuvastatin', brandNames: ['Crestor'], type: 'lipid', class: 'Statin', strength: 'High', dosages: ['5mg', '10mg', '20mg', '40mg'], notes: 'High-intensity statin.' },
-    { name: 'Atorvastatin', brandNames: ['Lipitor'], type: 'lipid', class: 'Statin', strength: 'High', dosages: ['10mg', '20mg', '40mg', '80mg'], notes: 'High-intensity statin.' },
-    { name: 'Simvastatin', brandNames: ['Zocor'], type: 'lipid', class: 'Statin', strength: 'Moderate', dosages: ['5mg', '10mg', '20mg', '40mg', '80mg'], notes: '80mg dose has increased myopathy risk. Moderate-intensity.' },
-    { name: 'Pravastatin', brandNames: ['Pravachol'], type: 'lipid', class: 'Statin', strength: 'Low/Moderate', dosages: ['10mg', '20mg', '40mg', '80mg'], notes: 'Lower-intensity statin.' },
-    { name: 'Lovastatin', brandNames: ['Mevacor'], type: 'lipid', class: 'Statin', strength: 'Low/Moderate', dosages: ['10mg', '20mg', '40mg'], notes: 'Lower-intensity statin.' },
-    { name: 'Ezetimibe', brandNames: ['Ezetrol'], type: 'lipid', class: 'Cholesterol Absorption Inhibitor', dosages: ['10mg'], notes: 'Often used in combination with statins.' },
-    { name: 'Alirocumab', brandNames: ['Praluent'], type: 'lipid', class: 'PCSK9 Inhibitor', dosages: ['75mg/mL', '150mg/mL'], notes: 'Injectable mAb, typically q2-4 weeks.' },
-    { name: 'Evolocumab', brandNames: ['Repatha'], type: 'lipid', class: 'PCSK9 Inhibitor', dosages: ['140mg/mL', '420mg/3.5mL'], notes: 'Injectable mAb, typically q2-4 weeks or monthly.' },
-    { name: 'Inclisiran', brandNames: ['Leqvio'], type: 'lipid', class: 'PCSK9 Inhibitor', dosages: ['284mg/1.5mL'], notes: 'Injectable siRNA, initially, 3 months, then q6 months.' }, // Added
-    { name: 'Fenofibrate', brandNames: ['Lipidil'], type: 'lipid', class: 'Fibrate', dosages: ['48mg', '145mg', '160mg'], notes: 'Primarily targets triglycerides.' },
-    { name: 'Gemfibrozil', brandNames: ['Lopid'], type: 'lipid', class: 'Fibrate', dosages: ['600mg'], notes: 'Primarily targets triglycerides; caution with statins.' },
-    { name: 'Bempedoic Acid', brandNames: ['Nexletol'], type: 'lipid', class: 'ACL Inhibitor', dosages: ['180mg'], notes: 'Alternative/add-on, often with Ezetimibe.' }, // Added
+    // ldlReductionByDose: mean LDL-C lowering (fraction) at each dose; intensityByDose: ACC/CCS statin intensity
+    // (high ≥50%, moderate 30-49%, low <30%); each fraction must fall in its intensity band.
+    // costTier and coverage (BC PharmaCare) feed LipidRegimenOptimizerService.
+    // renalLimits (any entry): [{ egfrBelow, maxDose?, initiate?: false, note }], lowest eGFR cut-off first (product monographs).
+    { name: 'Rosuvastatin', brandNames: ['Crestor'], type: 'lipid', class: 'Statin', strength: 'High', dosages: ['5mg', '10mg', '20mg', '40mg'], notes: 'High-intensity statin at 20-40mg.',
+        ldlReductionByDose: { '5mg': 0.42, '10mg': 0.46, '20mg': 0.52, '40mg': 0.55 }, intensityByDose: { '5mg': 'moderate', '10mg': 'moderate', '20mg': 'high', '40mg': 'high' }, costTier: 'low', coverage: 'Regular benefit',
+        renalLimits: [{ egfrBelow: 30, maxDose: '10mg', note: 'eGFR <30 (not on dialysis): start at 5mg, maximum 10mg daily.' }] },
+    { name: 'Atorvastatin', brandNames: ['Lipitor'], type: 'lipid', class: 'Statin', strength: 'High', dosages: ['10mg', '20mg', '40mg', '80mg'], notes: 'High-intensity statin at 40-80mg.',
+        ldlReductionByDose: { '10mg': 0.37, '20mg': 0.43, '40mg': 0.50, '80mg': 0.53 }, intensityByDose: { '10mg': 'moderate', '20mg': 'moderate', '40mg': 'high', '80mg': 'high' }, costTier: 'low', coverage: 'Regular benefit' },
+    { name: 'Simvastatin', brandNames: ['Zocor'], type: 'lipid', class: 'Statin', strength: 'Moderate', dosages: ['5mg', '10mg', '20mg', '40mg', '80mg'], notes: '80mg dose has increased myopathy risk. Moderate-intensity.',
+        ldlReductionByDose: { '5mg': 0.23, '10mg': 0.28, '20mg': 0.35, '40mg': 0.39, '80mg': 0.46 }, intensityByDose: { '5mg': 'low', '10mg': 'low', '20mg': 'moderate', '40mg': 'moderate', '80mg': 'moderate' }, costTier: 'low', coverage: 'Regular benefit',
+        renalLimits: [{ egfrBelow: 30, note: 'eGFR <30: start at 5mg and titrate cautiously.' }] },
+    { name: 'Pravastatin', brandNames: ['Pravachol'], type: 'lipid', class: 'Statin', strength: 'Low/Moderate', dosages: ['10mg', '20mg', '40mg', '80mg'], notes: 'Lower-intensity statin.',
+        ldlReductionByDose: { '10mg': 0.20, '20mg': 0.24, '40mg': 0.30, '80mg': 0.34 }, intensityByDose: { '10mg': 'low', '20mg': 'low', '40mg': 'moderate', '80mg': 'moderate' }, costTier: 'low', coverage: 'Regular benefit',
+        renalLimits: [{ egfrBelow: 30, note: 'eGFR <30: start at 10mg daily.' }] },
+    { name: 'Lovastatin', brandNames: ['Mevacor'], type: 'lipid', class: 'Statin', strength: 'Low/Moderate', dosages: ['10mg', '20mg', '40mg'], notes: 'Lower-intensity statin.',
+        ldlReductionByDose: { '10mg': 0.21, '20mg': 0.27, '40mg': 0.31 }, intensityByDose: { '10mg': 'low', '20mg': 'low', '40mg': 'moderate' }, costTier: 'low', coverage: 'Regular benefit' },
+    { name: 'Ezetimibe', brandNames: ['Ezetrol'], type: 'lipid', class: 'Cholesterol Absorption Inhibitor', dosages: ['10mg'], notes: 'Often used in combination with statins.',
+        ldlReductionByDose: { '10mg': 0.20 }, costTier: 'low', coverage: 'Regular benefit' },
+    { name: 'Alirocumab', brandNames: ['Praluent'], type: 'lipid', class: 'PCSK9 Inhibitor', dosages: ['75mg/mL', '150mg/mL'], notes: 'Injectable mAb, typically q2-4 weeks.',
+        ldlReductionByDose: { '75mg/mL': 0.45, '150mg/mL': 0.58 }, costTier: 'high', coverage: 'Special Authority' },
+    { name: 'Evolocumab', brandNames: ['Repatha'], type: 'lipid', class: 'PCSK9 Inhibitor', dosages: ['140mg/mL', '420mg/3.5mL'], notes: 'Injectable mAb, typically q2-4 weeks or monthly.',
+        ldlReductionByDose: { '140mg/mL': 0.60, '420mg/3.5mL': 0.58 }, costTier: 'high', coverage: 'Special Authority' },
+    { name: 'Inclisiran', brandNames: ['Leqvio'], type: 'lipid', class: 'PCSK9 Inhibitor', dosages: ['284mg/1.5mL'], notes: 'Injectable siRNA, initially, 3 months, then q6 months.', // Added
+        ldlReductionByDose: { '284mg/1.5mL': 0.50 }, costTier: 'high', coverage: 'Not a benefit' },
+    { name: 'Fenofibrate', brandNames: ['Lipidil'], type: 'lipid', class: 'Fibrate', dosages: ['48mg', '145mg', '160mg'], notes: 'Primarily targets triglycerides.',
+        renalLimits: [{ egfrBelow: 30, initiate: false, note: 'Avoid with eGFR <30.' }, { egfrBelow: 60, maxDose: '48mg', note: 'eGFR 30-59: maximum 48mg daily.' }] },
+    { name: 'Gemfibrozil', brandNames: ['Lopid'], type: 'lipid', class: 'Fibrate', dosages: ['600mg'], notes: 'Primarily targets triglycerides; caution with statins.',
+        renalLimits: [{ egfrBelow: 30, initiate: false, note: 'Avoid with eGFR <30.' }] },
+    { name: 'Bempedoic Acid', brandNames: ['Nexletol'], type: 'lipid', class: 'ACL Inhibitor', dosages: ['180mg'], notes: 'Alternative/add-on, often with Ezetimibe.', // Added
+        ldlReductionByDose: { '180mg': 0.18 }, costTier: 'moderate', coverage: 'Not a benefit' },
 
     // --- Anti-Hypertensive Medications ---
     { name: 'Ramipril', brandNames: ['Altace'], type: 'hypertensive', class: 'ACE Inhibitor', dosages: ['1.25mg', '2.5mg', '5mg', '10mg', '15mg'] },
@@ -44,15 +65,23 @@ const MEDICATION_DATA = Object.freeze([
     { name: 'Atenolol', brandNames: ['Tenormin'], type: 'hypertensive', class: 'Beta Blocker', dosages: ['25mg', '50mg', '100mg'] },
 
     // --- Anti-Diabetic Medications ---
-    { name: 'Metformin', brandNames: ['Glucophage'], type: 'diabetes', class: 'Biguanide', dosages: ['500mg', '850mg', '1000mg'] },
+    { name: 'Metformin', brandNames: ['Glucophage'], type: 'diabetes', class: 'Biguanide', dosages: ['500mg', '850mg', '1000mg'],
+        renalLimits: [{ egfrBelow: 30, initiate: false, note: 'Contraindicated with eGFR <30.' }, { egfrBelow: 45, initiate: false, note: 'Do not start with eGFR 30-44; if already taking, maximum 1000mg daily.' }] },
     { name: 'Gliclazide (MR)', brandNames: ['Diamicron MR'], type: 'diabetes', class: 'Sulfonylurea', dosages: ['30mg', '60mg'] },
-    { name: 'Glibenclamide', brandNames: ['Daonil'], type: 'diabetes', class: 'Sulfonylurea', dosages: ['2.5mg', '5mg'] },
-    { name: 'Sitagliptin', brandNames: ['Januvia'], type: 'diabetes', class: 'DPP-4 Inhibitor', dosages: ['25mg', '50mg', '100mg'] },
-    { name: 'Saxagliptin', brandNames: ['Onglyza'], type: 'diabetes', class: 'DPP-4 Inhibitor', dosages: ['2.5mg', '5mg'] },
-    { name: 'Empagliflozin', brandNames: ['Jardiance'], type: 'diabetes', class: 'SGLT2 Inhibitor', dosages: ['10mg', '25mg'], notes: 'Proven CV & renal benefits.' },
-    { name: 'Dapagliflozin', brandNames: ['Forxiga'], type: 'diabetes', class: 'SGLT2 Inhibitor', dosages: ['5mg', '10mg'], notes: 'Proven CV & renal benefits.' },
-    { name: 'Canagliflozin', brandNames: ['Invokana'], type: 'diabetes', class: 'SGLT2 Inhibitor', dosages: ['100mg', '300mg'], notes: 'Proven CV & renal benefits.' }, // Added
-    { name: 'Ertugliflozin', brandNames: ['Steglatro'], type: 'diabetes', class: 'SGLT2 Inhibitor', dosages: ['5mg', '15mg'], notes: 'SGLT2 inhibitor.' }, // Added
+    { name: 'Glibenclamide', brandNames: ['Daonil'], type: 'diabetes', class: 'Sulfonylurea', dosages: ['2.5mg', '5mg'],
+        renalLimits: [{ egfrBelow: 60, initiate: false, note: 'Hypoglycaemia risk with eGFR <60; prefer gliclazide.' }] },
+    { name: 'Sitagliptin', brandNames: ['Januvia'], type: 'diabetes', class: 'DPP-4 Inhibitor', dosages: ['25mg', '50mg', '100mg'],
+        renalLimits: [{ egfrBelow: 30, maxDose: '25mg', note: 'eGFR <30: 25mg daily.' }, { egfrBelow: 45, maxDose: '50mg', note: 'eGFR 30-44: 50mg daily.' }] },
+    { name: 'Saxagliptin', brandNames: ['Onglyza'], type: 'diabetes', class: 'DPP-4 Inhibitor', dosages: ['2.5mg', '5mg'],
+        renalLimits: [{ egfrBelow: 45, maxDose: '2.5mg', note: 'eGFR <45: 2.5mg daily.' }] },
+    { name: 'Empagliflozin', brandNames: ['Jardiance'], type: 'diabetes', class: 'SGLT2 Inhibitor', dosages: ['10mg', '25mg'], notes: 'Proven CV & renal benefits.',
+        renalLimits: [{ egfrBelow: 20, initiate: false, note: 'Do not start with eGFR <20; may continue until dialysis.' }] },
+    { name: 'Dapagliflozin', brandNames: ['Forxiga'], type: 'diabetes', class: 'SGLT2 Inhibitor', dosages: ['5mg', '10mg'], notes: 'Proven CV & renal benefits.',
+        renalLimits: [{ egfrBelow: 25, initiate: false, note: 'Do not start with eGFR <25; may continue until dialysis.' }] },
+    { name: 'Canagliflozin', brandNames: ['Invokana'], type: 'diabetes', class: 'SGLT2 Inhibitor', dosages: ['100mg', '300mg'], notes: 'Proven CV & renal benefits.',
+        renalLimits: [{ egfrBelow: 30, initiate: false, note: 'Do not start with eGFR <30; may continue with albuminuria until dialysis.' }] }, // Added
+    { name: 'Ertugliflozin', brandNames: ['Steglatro'], type: 'diabetes', class: 'SGLT2 Inhibitor', dosages: ['5mg', '15mg'], notes: 'SGLT2 inhibitor.',
+        renalLimits: [{ egfrBelow: 45, initiate: false, note: 'Not recommended with eGFR <45.' }] }, // Added
     { name: 'Liraglutide', brandNames: ['Victoza'], type: 'diabetes', class: 'GLP-1 Receptor Agonist', dosages: ['0.6mg', '1.2mg', '1.8mg'], notes: 'Injectable (Daily). Proven CV benefits.' },
     { name: 'Semaglutide (SC)', brandNames: ['Ozempic'], type: 'diabetes', class: 'GLP-1 Receptor Agonist', dosages: ['0.25mg', '0.5mg', '1.0mg', '2.0mg'], notes: 'Injectable (Weekly). Proven CV benefits.' },
     { name: 'Semaglutide (Oral)', brandNames: ['Rybelsus'], type: 'diabetes', class: 'GLP-1 Receptor Agonist', dosages: ['3mg', '7mg', '14mg'], notes: 'Oral (Daily). Proven CV benefits.' },
@@ -94,6 +123,49 @@ class MedicationDatabaseService {
         return this.medications.filter(med => med.type.toLowerCase() === lowerCaseType);
     }
 
+    /** Normalizes a dose string for lookup ('40 MG' -> '40mg'). */
+    _normalizeDose(dose) {
+        return String(dose ?? '').replace(/\s+/g, '').toLowerCase();
+    }
+
+    /**
+     * Expected LDL-C lowering of a lipid-lowering drug at a dose.
+     * @param {string} name - Generic name.
+     * @param {string} dose - One of the entry's dosages (case and spacing ignored).
+     * @returns {number|null} Fraction (e.g. 0.49), or null when the drug or dose has no LDL-C effect listed.
+     */
+    getLdlReduction(name, dose) {
+        const med = this.getByName(name);
+        const key = Object.keys(med?.ldlReductionByDose || {}).find(d => this._normalizeDose(d) === this._normalizeDose(dose));
+        return key ? med.ldlReductionByDose[key] : null;
+    }
+
+    /** Statin intensity ('high' | 'moderate' | 'low') at a dose, or null when not a statin or the dose is unknown. */
+    getStatinIntensity(name, dose) {
+        const med = this.getByName(name);
+        const key = Object.keys(med?.intensityByDose || {}).find(d => this._normalizeDose(d) === this._normalizeDose(dose));
+        return key ? med.intensityByDose[key] : null;
+    }
+
+    /**
+     * The renal limit in force at an eGFR: the entry's lowest renalLimits cut-off above the eGFR.
+     * @returns {object|null} `{ egfrBelow, maxDose?, initiate?, note }`, or null when no limit applies.
+     */
+    getRenalLimit(name, egfr) {
+        const med = this.getByName(name);
+        if (!med?.renalLimits || egfr === null || egfr === undefined || isNaN(egfr)) return null;
+        return med.renalLimits.find(limit => egfr < limit.egfrBelow) || null;
+    }
+
+    /** Whether a dose is within the renal maximum at an eGFR (true when no maximum applies). */
+    isDoseWithinRenalLimit(name, dose, egfr) {
+        const med = this.getByName(name);
+        const maxDose = this.getRenalLimit(name, egfr)?.maxDose;
+        if (!maxDose) return true;
+        const doses = (med.dosages || []).map(d => this._normalizeDose(d));
+        return doses.indexOf(this._normalizeDose(dose)) <= doses.indexOf(this._normalizeDose(maxDose));
+    }
+
     /** Gets all medications. */
     getAll() {
         return this.medications;
@@ -115,5 +187,4 @@ const MedicationDatabase = new MedicationDatabaseService();
 // Optional: Make it globally accessible
 // window.MedicationDatabase = MedicationDatabase;
 
-// Use this line if using ES modules
-// export default MedicationDatabase;
\ No newline at end of file
+export default MedicationDatabase;
\ No newline at end of file
@@ -117,6 +117,10 @@ import ValidationHelpersService from './utils/validation-helpers.js'; // Path fr
 const validationHelpers = new ValidationHelpersService({ dependencies: { ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds }});
 window.ValidationHelpers = validationHelpers;
 
+import UnitConverterService from './utils/unit-converter.js';
+const unitConverter = new UnitConverterService({ dependencies: { ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds } });
+window.UnitConverterServiceInstance = unitConverter;
+
 // Data Management (Application specific)
 import DataManagerService from './data-management/data-manager.js'; // Path from index.html preloads
 const dataManager = new DataManagerService({
@@ -131,8 +135,11 @@ window.DataManagerInstance = dataManager;
 memoryManager.setDataManager(dataManager); // Update MemoryManager's dependency
 
 // Field Mapping and EMR
+import DeprivationLookupService from './data-management/deprivation-lookup.js'; // Offline postcode -> Townsend (QRISK3)
+const deprivationLookupService = new DeprivationLookupService({ dependencies: { ErrorLogger: errorLogger } }); // No bundled areas: register the site's sourced table with deprivationLookupService.registerDataset()
+window.DeprivationLookupInstance = deprivationLookupService;
 import FieldMapperService from './data-management/field-mapper.js'; // Path from index.html preloads
-const fieldMapperServiceInstance = typeof FieldMapperService === 'function' ? new FieldMapperService() : FieldMapperService;
+const fieldMapperServiceInstance = typeof FieldMapperService === 'function' ? new FieldMapperService({ dependencies: { ErrorLogger: errorLogger, UnitConverterService: unitConverter, DeprivationLookup: deprivationLookupService } }) : FieldMapperService;
 window.FieldMapperServiceInstance = fieldMapperServiceInstance;
 
 import EMRConnectorService from './data-management/emr-connector.js'; // Path from index.html preloads
@@ -162,6 +169,26 @@ window.ChartExporterServiceInstance = chartExporterServiceInstance;
 // --- Application-Specific Module Imports (Classes) ---
 import FraminghamRiskScore from './calculations/framingham-algorithm.js'; // Path from PDF
 import QRISK3Algorithm from './calculations/qrisk3-algorithm.js';           // Path from PDF
+import PooledCohortEquations from './calculations/pooled-cohort-algorithm.js';
+import PREVENTEquations from './calculations/prevent-algorithm.js';
+import Score2Algorithm from './calculations/score2-algorithm.js';
+import UKPDSRiskEngine, { DIAL2LifetimeModel } from './calculations/ukpds-algorithm.js';
+import SmartRiskAlgorithm from './calculations/smart-algorithm.js';
+import LpaModifierService from './calculations/lpa-modifier.js';
+import CacReclassificationService from './calculations/cac-reclassifier.js';
+import FHDiagnosisService from './calculations/fh-diagnosis.js';
+import LdlEstimationService from './calculations/ldl-estimation.js';
+import LipidDiscordanceService from './calculations/lipid-discordance.js';
+import LipidRegimenOptimizerService from './calculations/lipid-regimen-optimizer.js';
+import DrugInteractionService from './calculations/drug-interaction-checker.js';
+import RenalFunctionService from './calculations/renal-function.js';
+import LdlBenefitService from './calculations/ldl-benefit.js';
+import SensitivityAnalysisService from './calculations/sensitivity-analysis.js';
+import RiskProjectionService from './calculations/risk-projection.js';
+import IconArrayService from './visualizations/icon-array.js';
+import MedicationDatabase from './data/medication-database.js';
+import RiskEnhancerService from './calculations/risk-enhancers.js';
+import QRISK3ImputationService from './calculations/qrisk3-imputation.js';
 import TreatmentRecommendationsService from './calculations/treatment-recommendations.js'; // Path from PDF
 import RiskCalculator from './calculations/risk-calculator.js';               // Path from index.html preloads
 import AppUI from './ui.js';                                                  // Our newly created ui.js
@@ -171,6 +198,33 @@ import ThemeManager from './utils/theme-manager.js';                        // N
 import ChartManager from './visualizations/chart-renderer.js';              // Path from PDF
 import FormHandlerService from './utils/form-handler.js';                   // Path from index.html preloads (was form-enhancements in PDF text)
 
+// Shared Lp(a) modifier; legacy scripts calling the global calculateLpaModifier(mg/dL) get the same curve
+const lpaModifierService = new LpaModifierService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds, UnitConverter: unitConverter });
+window.LpaModifierInstance = lpaModifierService;
+window.calculateLpaModifier = (lpaMgDl) => lpaModifierService.evaluate(lpaMgDl, 'mg/dL')?.factor ?? 1.0;
+const cacReclassifier = new CacReclassificationService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds });
+const fhDiagnosisService = new FHDiagnosisService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds });
+const ldlEstimationService = new LdlEstimationService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds });
+const lipidDiscordanceService = new LipidDiscordanceService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds });
+// Per-dose statin effects for the recommendations; RiskCalculator reads window.MedicationDatabase
+window.MedicationDatabase = MedicationDatabase;
+const lipidRegimenOptimizer = new LipidRegimenOptimizerService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds, MedicationDatabase });
+const drugInteraction = new DrugInteractionService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds, MedicationDatabase });
+const renalFunction = new RenalFunctionService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds, MedicationDatabase });
+const ldlBenefit = new LdlBenefitService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds });
+const sensitivityAnalysis = new SensitivityAnalysisService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds });
+const riskProjection = new RiskProjectionService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds, LdlBenefit: ldlBenefit });
+const iconArray = new IconArrayService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds, LdlBenefit: ldlBenefit });
+const riskEnhancerService = new RiskEnhancerService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds, LpaModifier: lpaModifierService });
+const qrisk3ImputationService = new QRISK3ImputationService({ ErrorLogger: errorLogger, ClinicalThresholds: clinicalThresholds });
+
+// Lp(a) cascade (family) screening cases, kept in encrypted storage and shown in the History panel
+import LpaCascadeScreeningService from './data-management/lpa-cascade-screening.js';
+const lpaCascadeScreeningService = new LpaCascadeScreeningService({
+    dependencies: { ErrorLogger: errorLogger, EventBus: eventBus, Storage: secureStorage, LpaModifier: lpaModifierService, PDFService: pdfServiceInstance }
+});
+window.LpaCascadeScreeningInstance = lpaCascadeScreeningService;
+
 // --- Main Application Class (Adapted from user's main.js v3.2.0) ---
 class CVDRiskApplication {
     constructor() {
@@ -209,6 +263,28 @@ class CVDRiskApplication {
             // Algorithm Classes & Treatment Recs Service for RiskCalculator
             FraminghamAlgorithmClass: FraminghamRiskScore,
             QRISK3AlgorithmClass: QRISK3Algorithm,
+            PooledCohortAlgorithm: PooledCohortEquations, // Optional US engines (keys as read by RiskCalculator)
+            PREVENTAlgorithm: PREVENTEquations,
+            Score2Algorithm: Score2Algorithm, // Optional ESC engine
+            UKPDSAlgorithm: UKPDSRiskEngine, // Type 2 diabetes engine; the combined view runs it for type 2 diabetes
+            DIAL2Algorithm: DIAL2LifetimeModel, // Type 2 diabetes lifetime model; runs once the site loads DIAL2.MODEL
+            SmartAlgorithm: SmartRiskAlgorithm, // Secondary prevention (established ASCVD) recurrent risk
+            LpaModifier: lpaModifierService, // One Lp(a) curve for every engine and the recommendations
+            CacReclassifier: cacReclassifier, // Coronary artery calcium reclassification (combined risk and CCS targets)
+            FHDiagnosis: fhDiagnosisService, // DLCN / Simon Broome / Canadian FH (Medication & Labs tab, recommendations)
+            LdlEstimation: ldlEstimationService, // Martin-Hopkins / Sampson / Friedewald LDL-C when not measured
+            LipidDiscordance: lipidDiscordanceService, // ApoB percentile discordance; switches the CCS target to ApoB
+            LipidRegimenOptimizer: lipidRegimenOptimizer, // Statin dose / add-on regimens ranked against the LDL-C target
+            DrugInteraction: drugInteraction, // Interaction / contraindication alerts for proposed drugs
+            RenalFunction: renalFunction, // CKD-EPI 2021 eGFR, KDIGO stage and renal dose limits
+            LdlBenefit: ldlBenefit, // CTT risk reduction, NNT and time to benefit of LDL-C lowering (simulation, regimens)
+            SensitivityAnalysis: sensitivityAnalysis, // One-way sensitivity ranges for the tornado chart (Advanced Visualization)
+            RiskProjection: riskProjection, // Risk progression over time and treatment-eligible age (Advanced Visualization)
+            IconArray: iconArray, // 100-person SVG pictograph (Advanced Visualization, chart renderer, printed report)
+            RiskEnhancers: riskEnhancerService, // Framingham risk enhancer registry (RISK_ENHANCERS in ClinicalThresholds)
+            QRISK3Imputation: qrisk3ImputationService, // Conditional values for missing QRISK3 inputs (QRISK3_IMPUTATION)
+            DeprivationLookup: deprivationLookupService, // Townsend score from the postcode (QRISK3 form, RiskCalculator)
+            LpaCascadeScreening: lpaCascadeScreeningService,
             TreatmentRecommendationsServiceClass: TreatmentRecommendationsService
         };
 
@@ -292,7 +368,7 @@ class CVDRiskApplication {
 
             // Initialize ChartManager
             this.modules.ChartManager = new ChartManager({
-                dependencies: { ErrorLogger: errorLogger, EventBus: eventBus, ThemeManager: this.modules.ThemeManager }
+                dependencies: { ErrorLogger: errorLogger, EventBus: eventBus, ThemeManager: this.modules.ThemeManager, IconArray: iconArray }
             });
             this.dependencies.ChartManager = this.modules.ChartManager;
             this.modules.ResultsDisplay.setChartManager(this.modules.ChartManager); // Inject ChartManager
@@ -428,7 +504,13 @@ class CVDRiskApplication {
                 // If multiple evaluations are to be shown, add a 'medication-evaluation-results-list' div.
             },
             recommendations: { resultArea: '#recommendations-content-area' },
-            history: { resultArea: '#assessment-history-list-area' }
+            history: { resultArea: '#assessment-history-list-area' },
+            lpaCascade: { pedigree: '#lpa-cascade-pedigree' },
+            fhDiagnosis: { resultArea: '#fh-diagnosis-results' },
+            lipidDiscordance: { resultArea: '#lipid-discordance-results' },
+            renalFunction: { resultArea: '#renal-function-results' },
+            regimenOptions: { resultArea: '#lipid-regimen-options' },
+            interactionAlerts: { resultArea: '#interaction-alerts' }
         };
     }
 }
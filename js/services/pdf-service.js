@@ -3,12 +3,15 @@
  * @file /js/services/pdf-service.js
  * @description Handles the creation of PDF reports for assessments and visualizations.
  * Aims to reflect the styling of styles.css (v5.0.3).
+ * SVG items (such as the icon array) are rasterized to PNG before embedding, since jsPDF only takes raster images.
  * Version: 5.0.3
  * Dependencies: jsPDF, jsPDF-AutoTable (expected to be global)
  */
 
 class PDFService {
     constructor(dependencies = {}) {
+        dependencies = dependencies.dependencies || dependencies; // main.js passes { dependencies: {...} }
+        this.dependencies = dependencies;
         this.ErrorLogger = dependencies.ErrorLogger || { handleError: console.error, log: console.log };
         this.InputSanitizer = dependencies.InputSanitizerService || { escapeHTML: (v) => String(v), sanitizeObjectOrArray: (o) => o };
 
@@ -177,6 +180,22 @@ class PDFService {
                         }
                     }
                     break;
+                case 'svg': // Self-contained SVG markup, e.g. IconArrayService.toSVG()
+                    if (item.svg) {
+                        try {
+                            const { dataUrl, width, height } = await this._svgToPng(item.svg);
+                            const imageWidth = Math.min(contentWidth, item.widthMm || contentWidth);
+                            const imageHeight = (height * imageWidth) / width;
+                            if (currentY + imageHeight > this.styles.page.height - this.styles.margins.bottom) { doc.addPage(); currentY = this._addPageHeader(doc, doc.internal.reportTitle || 'Report', window.CVD_APP_VERSION); }
+                            doc.addImage(dataUrl, 'PNG', margin, currentY, imageWidth, imageHeight);
+                            currentY += imageHeight + 5;
+                        } catch (e) {
+                            this.ErrorLogger.handleError('PDF: Failed to add SVG image', 'PDFService', 'warn', e);
+                            doc.text(item.fallbackText || '[Image could not be rendered]', margin, currentY);
+                            currentY += lineHeight;
+                        }
+                    }
+                    break;
                 case 'table': // For simple data tables, more complex via _renderDataTable
                     if (item.head && item.body) {
                         doc.autoTable({
@@ -224,12 +243,34 @@ class PDFService {
         return currentY;
     }
 
+    /**
+     * Rasterizes SVG markup at twice its size for a sharp image in print.
+     * @param {string} svg - SVG markup with width and height attributes.
+     * @returns {Promise<{dataUrl: string, width: number, height: number}>} PNG data URL and the SVG size (px).
+     */
+    async _svgToPng(svg) {
+        const img = new Image();
+        await new Promise((resolve, reject) => {
+            img.onload = resolve;
+            img.onerror = () => reject(new Error('SVG could not be loaded as an image.'));
+            img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width * 2;
+        canvas.height = img.height * 2;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = this.styles.colors.white;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        return { dataUrl: canvas.toDataURL('image/png'), width: img.width, height: img.height };
+    }
+
     /**
      * Generates a PDF report from structured section data.
      * @param {string} reportTitle - The main title of the report.
      * @param {Array<object>} sections - Array of section objects.
      * Each section: { sectionTitle?: string, items: Array<{type: string, ...}> }
-     * Item types: 'text', 'keyvalue', 'chart', 'table', 'html', 'spacer'
+     * Item types: 'text', 'keyvalue', 'chart', 'svg', 'table', 'html', 'spacer'
      * @param {string} filename - Filename for saving.
      * @param {'save'|'print'|'bloburl'|'datauristring'} [action='save'] - What to do with the PDF.
      * @returns {Promise<string|void>} Data URI/Blob URL if action is one of those, else void.
@@ -275,6 +316,63 @@ class PDFService {
         }
     }
 
+    /**
+     * Report section stating which Lp(a) value the risk modifier used, and how, so a report from a lab
+     * that gives both mg/dL and nmol/L is unambiguous.
+     * @param {object|null} lpaModifier - LpaModifierService evaluation (riskData.details.lpaModifier).
+     * @returns {object|null} Section object for generateReport, or null without an Lp(a) evaluation.
+     */
+    _buildLpaSection(lpaModifier) {
+        if (!lpaModifier) return null;
+        const assayLabels = { isoform_insensitive: 'Isoform-insensitive (nmol/L)', mass: 'Mass-based (mg/dL)', unknown: 'Not specified' };
+        const items = [
+            { type: 'keyvalue', label: 'Reported value', value: `${lpaModifier.value} ${lpaModifier.unit}` },
+            { type: 'keyvalue', label: 'Assay type', value: assayLabels[lpaModifier.assayType] || lpaModifier.assayType || assayLabels.unknown },
+            { type: 'keyvalue', label: 'Value used by the modifier', value: lpaModifier.basis || `${lpaModifier.valueInCurveUnit} ${lpaModifier.curveUnit}` },
+            { type: 'keyvalue', label: 'Risk multiplier', value: lpaModifier.factorRange
+                ? `×${lpaModifier.factor.toFixed(2)} (×${lpaModifier.factorRange.low.toFixed(2)} to ×${lpaModifier.factorRange.high.toFixed(2)} across the conversion range)`
+                : `×${lpaModifier.factor.toFixed(2)}` },
+            { type: 'keyvalue', label: 'Curve', value: lpaModifier.curveLabel || lpaModifier.curve }
+        ];
+        (lpaModifier.conversion?.notes || []).forEach(note => items.push({ type: 'text', content: note }));
+        if (lpaModifier.citation) items.push({ type: 'text', content: `Source: ${lpaModifier.citation}` });
+        return { sectionTitle: 'Lipoprotein(a)', items };
+    }
+
+    /**
+     * Report section with the 100-person icon array, the patient-facing view of the risk.
+     * @param {object|null} iconArray - `{ svg, summary }`: IconArrayService.toSVG() markup and the model's summary.
+     * @returns {object|null} Section object for generateReport, or null without an icon array.
+     */
+    _buildIconArraySection(iconArray) {
+        if (!iconArray?.svg) return null;
+        return {
+            sectionTitle: 'Your Risk in 100 People',
+            items: [{ type: 'svg', svg: iconArray.svg, fallbackText: iconArray.summary }, { type: 'text', content: iconArray.summary }]
+        };
+    }
+
+    /**
+     * Builds a report from a stored calculator result (riskData) and opens it for printing.
+     * @param {string} title - Report title.
+     * @param {object} data - riskData `{ score, unit, category, details }` or other stored section data; `iconArray`
+     * (`{ svg, summary }`) adds the icon array.
+     * @param {string} sectionKey - Tab/section the data came from; used for the filename.
+     * @returns {Promise<string|void>}
+     */
+    async generateAndPrintReport(title, data, sectionKey) {
+        const summaryItems = [];
+        if (data?.score !== undefined) summaryItems.push({ type: 'keyvalue', label: 'Risk', value: `${data.score}${data.unit || '%'}` });
+        if (data?.category) summaryItems.push({ type: 'keyvalue', label: 'Risk Category', value: data.category });
+        if (data?.details?.categoryDescription) summaryItems.push({ type: 'text', content: data.details.categoryDescription });
+        const sections = [{ sectionTitle: 'Summary', items: summaryItems.length > 0 ? summaryItems : [{ type: 'text', content: 'No summary data available.' }] }];
+        const iconArraySection = this._buildIconArraySection(data?.iconArray);
+        if (iconArraySection) sections.push(iconArraySection);
+        const lpaSection = this._buildLpaSection(data?.details?.lpaModifier);
+        if (lpaSection) sections.push(lpaSection);
+        return this.generateReport(title, sections, `CVD_${sectionKey || 'Report'}.pdf`, 'print');
+    }
+
     /**
      * Generates a PDF specifically for the Advanced Visualization tab.
      * @param {string} chartCanvasId - ID of the canvas element containing the chart.
@@ -340,5 +438,5 @@ class PDFService {
     }
 }
 
-// Example of how it might be instantiated in main.js:
-// window.PDFServiceInstance = new PDFService({ ErrorLogger: window.ErrorLogger, InputSanitizerService: window.InputSanitizer });
\ No newline at end of file
+// Instantiated in main.js (window.PDFServiceInstance)
+export default PDFService;
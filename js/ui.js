@@ -55,7 +55,11 @@ class AppUI {
             charts: {} // For canvas elements
         };
         this.formHandlers = {}; // To store FormHandler instances
+        this.activeLpaCascadeCaseId = null; // Open Lp(a) family-screening case shown in the History panel
+        this.currentPatient = null; // { id, label } of the EMR patient or manual assessment; keys the family-screening case
         this.calculationCounters = {}; // To number multiple calculation outputs, e.g., { frs: 0, qrisk3: 0 }
+        this.lastRiskResults = {}; // Latest FRS / QRISK3 result, the base of the treatment effect projection
+        this.lastIconArray = null; // Icon array shown in Advanced Visualization, added to its printed report
 
         if (!this.dependencies.ErrorLogger.log || !this.dependencies.ErrorLogger.handleError) {
             this.dependencies.ErrorLogger = { handleError: console.error, log: console.log };
@@ -75,6 +79,7 @@ class AppUI {
             this._initializeDataManagementUIEvents(); // Listeners specific to Data I/O tab
             this._initializeAdvancedVizUIEvents(); // Listeners specific to Advanced Viz tab
             this._initializeSettingsUIEvents(); // Listeners specific to Settings tab
+            this._initializeLpaCascadeUIEvents(); // Lp(a) family screening in the History panel
             this._initializeDisclaimerRelatedUI();
             this._loadInitialUIState();
 
@@ -98,6 +103,7 @@ class AppUI {
         this.elements.forms.advancedViz = document.getElementById('advanced-viz-form');
         this.elements.forms.researchContact = document.getElementById('research-contact-form');
         this.elements.forms.appSettings = document.getElementById('app-settings-form');
+        this.elements.forms.lpaCascadeRelative = document.getElementById('lpa-cascade-relative-form');
 
         // Tab Navigation
         this.elements.navigation.tabsContainer = document.querySelector('.tabs-navigation');
@@ -156,6 +162,8 @@ class AppUI {
         this.elements.resultContainers.advancedViz = document.getElementById('advanced-visualization-output-area');
         this.elements.resultContainers.recommendations = document.getElementById('recommendations-content-area');
         this.elements.resultContainers.history = document.getElementById('assessment-history-list-area');
+        this.elements.resultContainers.lpaCascadePedigree = document.getElementById('lpa-cascade-pedigree');
+        this.elements.buttons.lpaCascadeAddRelative = document.getElementById('lpa-cascade-add-relative-button');
 
 
         // Result Lists (specific divs inside containers for appending multiple results)
@@ -182,6 +190,7 @@ class AppUI {
         this.elements.inputs.mlSex = document.getElementById('ml-sex'); // For erectile dysfunction toggle
         this.elements.selects.vizCalculator = document.getElementById('viz-calculator-select');
         this.elements.selects.vizType = document.getElementById('viz-type-select');
+        this.elements.selects.combinedHorizon = document.getElementById('combined-horizon-select');
         this.elements.displayAreas.dynamicVizOptions = document.getElementById('dynamic-viz-options-container');
 
         // Modals (main containers)
@@ -327,6 +336,66 @@ class AppUI {
         [totalCholInput, hdlCholInput, tcUnitSelect, hdlUnitSelect].forEach(el => el?.addEventListener('input', updateCholesterolRatio));
         if(totalCholInput && hdlCholInput) updateCholesterolRatio(); // Initial
 
+        // Calculated LDL-C (LdlEstimationService) when none was measured; the method is kept in ml-ldl-source
+        const ldlInput = formElement.querySelector('input[name="ldl_cholesterol"]');
+        const tgInput = formElement.querySelector('input[name="triglycerides"]');
+        const ldlMethodSelect = formElement.querySelector('select[name="ml-ldl-method"]');
+        const ldlSourceInput = formElement.querySelector('input[name="ml-ldl-source"]');
+        const ldlMethodNote = formElement.querySelector('#ml-ldl-cholesterol-method');
+        if (ldlInput && tgInput && ldlMethodSelect && this.dependencies.LdlEstimation) {
+            const LE = this.dependencies.LdlEstimation;
+            const unitSelects = ['total_cholesterol', 'hdl_cholesterol', 'triglycerides', 'ldl_cholesterol'].map(name => formElement.querySelector(`select[name="${name}_unit"]`));
+            const unitOf = (index) => unitSelects[index]?.value || 'mmol/L';
+            const estimateLdl = () => {
+                if (ldlInput.value && ldlInput.dataset.source !== 'calculated') return; // Keep a measured LDL-C
+                const result = LE.estimate({
+                    totalCholesterol: LE.toMmolL(totalCholInput?.value, unitOf(0)),
+                    hdl: LE.toMmolL(hdlCholInput?.value, unitOf(1)),
+                    triglycerides: LE.toMmolL(tgInput.value, unitOf(2), 'triglycerides')
+                }, ldlMethodSelect.value);
+                ldlInput.value = result?.valid ? LE.fromMmolL(result.value, unitOf(3)) : '';
+                ldlInput.dataset.source = 'calculated';
+                if (ldlSourceInput) ldlSourceInput.value = result?.valid ? `calculated (${result.methodLabel})` : '';
+                if (ldlMethodNote) {
+                    ldlMethodNote.textContent = result ? [`${result.valid ? 'Calculated' : 'Not calculated'} (${result.methodLabel}).`, ...result.warnings].join(' ')
+                        : 'Left blank, LDL-C is calculated from total cholesterol, HDL-C and triglycerides.';
+                }
+            };
+            [totalCholInput, hdlCholInput, tgInput, ldlMethodSelect, ...unitSelects].forEach(el => el?.addEventListener('change', estimateLdl));
+            ldlInput.addEventListener('input', () => {
+                delete ldlInput.dataset.source;
+                if (ldlSourceInput) ldlSourceInput.value = '';
+            });
+        }
+
+        // Townsend score from the postcode (offline DeprivationLookupService) unless one was typed in
+        const postcodeInput = formElement.querySelector('input[id$="-postcode"]');
+        const townsendInput = formElement.querySelector('input[name="townsend_score"]');
+        const postcodeNote = formElement.querySelector('[id$="-postcode-lookup"]');
+        const townsendSourceInput = formElement.querySelector('input[name="townsend_source"]'); // Tells RiskCalculator to report the lookup
+        if (postcodeInput && townsendInput && this.dependencies.DeprivationLookup) {
+            const Lookup = this.dependencies.DeprivationLookup;
+            if (!Lookup.hasData?.() && postcodeNote) postcodeNote.textContent = 'No deprivation dataset is loaded (none is included with the toolkit); enter the Townsend score.';
+            const lookupTownsend = () => {
+                if (townsendInput.value && townsendInput.dataset.source !== 'postcode') return; // Keep a typed-in score
+                const area = postcodeInput.value ? Lookup.lookup(postcodeInput.value) : null;
+                townsendInput.value = area ? area.townsendScore : '';
+                townsendInput.dataset.source = 'postcode';
+                if (townsendSourceInput) townsendSourceInput.value = area ? 'postcode' : '';
+                if (postcodeNote) {
+                    postcodeNote.textContent = area ? `${area.basis}${area.approximate ? ' (area average)' : ''}; ${area.source}.`
+                        : !postcodeInput.value ? ''
+                            : Lookup.hasData?.() ? 'Area not in the deprivation table; enter the Townsend score if known.'
+                                : 'No deprivation dataset is loaded (none is included with the toolkit); enter the Townsend score.';
+                }
+            };
+            postcodeInput.addEventListener('change', lookupTownsend);
+            townsendInput.addEventListener('input', () => {
+                delete townsendInput.dataset.source;
+                if (townsendSourceInput) townsendSourceInput.value = '';
+            });
+        }
+
         // Conditional display for erectile dysfunction based on sex (in Meds/Labs and QRISK3)
         const sexSelect = formElement.querySelector('select[name="sex"]'); // e.g., ml-sex or qrisk-sex
         const edGroup = formElement.querySelector('[id*="-erectile-dysfunction-group"]'); // e.g., ml-erectile-dysfunction-group
@@ -348,6 +417,7 @@ class AppUI {
         this.elements.buttons.printCombinedReport?.addEventListener('click', () => this._handlePrint('combined'));
         this.elements.buttons.exportCombinedPdf?.addEventListener('click', () => this._handleExport('combined', 'pdf'));
         this.elements.buttons.exportCombinedData?.addEventListener('click', () => this._handleExport('combined', 'json')); // Or allow user to choose format
+        this.elements.selects.combinedHorizon?.addEventListener('change', () => this._handleUpdateCombinedView());
 
         // Advanced Viz Tab
         this.elements.buttons.generateAdvancedViz?.addEventListener('click', () => this._handleGenerateAdvancedViz()); // This might be handled by form submit too
@@ -465,6 +535,126 @@ class AppUI {
         // Listeners for settings changes if they need immediate UI feedback beyond form save
     }
 
+    _initializeLpaCascadeUIEvents() {
+        const Cascade = this.dependencies.LpaCascadeScreening;
+        if (!Cascade) return;
+        // Actions on relatives are rendered by ResultsDisplayService.displayCascadePedigree
+        this.elements.resultContainers.lpaCascadePedigree?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            const relativeId = button?.closest('[data-relative-id]')?.dataset.relativeId;
+            if (button && relativeId) this._handleLpaCascadeAction(button.dataset.action, relativeId, button);
+        });
+        Cascade.load().then(() => {
+            const openCase = Cascade.listCases().find(c => c.status === 'open');
+            if (openCase) this._showLpaCascade(openCase.caseId);
+        }).catch(e => this._handleError(e, 'LoadLpaCascade'));
+    }
+
+    /** The patient being assessed: the EMR patient, or a new manual assessment until the forms are reset. */
+    _getCurrentPatient() {
+        if (!this.currentPatient) {
+            const id = `assessment_${Date.now().toString(36)}`;
+            this.currentPatient = { id, label: `Index patient (${new Date().toLocaleDateString()})` };
+        }
+        return this.currentPatient;
+    }
+
+    /** Opens (or reuses) the current patient's family-screening case after an elevated Lp(a) result. */
+    async _openLpaCascade({ lpa, lpaUnit }) {
+        try {
+            const { id: patientId, label } = this._getCurrentPatient();
+            const caseRecord = await this.dependencies.LpaCascadeScreening?.openCase({ lpa, lpaUnit, patientId, label });
+            if (!caseRecord) return;
+            this._showLpaCascade(caseRecord.caseId);
+            this._showToast('Elevated Lp(a): family screening is available in the History panel.', 'info');
+        } catch (error) {
+            this._handleError(error, 'OpenLpaCascade', 'warn');
+        }
+    }
+
+    _showLpaCascade(caseId) {
+        this.activeLpaCascadeCaseId = caseId;
+        if (this.elements.buttons.lpaCascadeAddRelative) this.elements.buttons.lpaCascadeAddRelative.disabled = false;
+        this.dependencies.ResultsDisplayService.displayCascadePedigree?.(this.dependencies.LpaCascadeScreening.buildPedigree(caseId));
+    }
+
+    /** Scores FH (DLCN, Simon Broome, Canadian) from the saved Medication & Labs data and shows it on that tab. */
+    _showFHDiagnosis(formDataObject) {
+        const FH = this.dependencies.FHDiagnosis;
+        if (!FH) return;
+        try {
+            this.dependencies.ResultsDisplayService.displayFHDiagnosis?.(FH.evaluate(FH.fromFormData(formDataObject)));
+        } catch (error) {
+            this._handleError(error, 'FHDiagnosis', 'warn');
+        }
+    }
+
+    _showLipidDiscordance(formDataObject) {
+        const LD = this.dependencies.LipidDiscordance;
+        if (!LD) return;
+        try {
+            const lipids = LD.fromFormData(formDataObject);
+            const analysis = LD.analyze(lipids);
+            const emptyMessage = LD.hasReference?.() === false ? 'ApoB discordance needs a sourced population percentile table (LIPID_DISCORDANCE.POPULATION_PERCENTILES). None is included with the toolkit, and this installation has not loaded one.' : undefined;
+            this.dependencies.ResultsDisplayService.displayLipidDiscordance?.(analysis, LD.preferredTarget(lipids, analysis), undefined, emptyMessage);
+        } catch (error) {
+            this._handleError(error, 'LipidDiscordance', 'warn');
+        }
+    }
+
+    /** CKD-EPI 2021 eGFR and KDIGO stage from the Medication & Labs creatinine (or eGFR) and ACR. */
+    _showRenalFunction(formDataObject) {
+        const RF = this.dependencies.RenalFunction;
+        if (!RF) return;
+        try {
+            this.dependencies.ResultsDisplayService.displayRenalFunction?.(RF.evaluate(RF.fromFormData(formDataObject)));
+        } catch (error) {
+            this._handleError(error, 'RenalFunction', 'warn');
+        }
+    }
+
+    async _handleAddLpaCascadeRelative(formDataObject, formHandlerInstance) {
+        if (!this.activeLpaCascadeCaseId) throw new Error('Family screening starts after an elevated Lp(a) is calculated.');
+        await this.dependencies.LpaCascadeScreening.addRelative(this.activeLpaCascadeCaseId, formDataObject);
+        formHandlerInstance.form.reset();
+        this._showLpaCascade(this.activeLpaCascadeCaseId);
+    }
+
+    async _handleLpaCascadeAction(action, relativeId, button) {
+        const Cascade = this.dependencies.LpaCascadeScreening;
+        const caseId = this.activeLpaCascadeCaseId;
+        try {
+            switch (action) {
+                case 'letter':
+                    await Cascade.generateNotificationLetter(caseId, relativeId);
+                    break;
+                case 'declined':
+                    await Cascade.updateStatus(caseId, relativeId, 'declined');
+                    break;
+                case 'record-result': { // Inline entry next to the relative
+                    if (button.parentElement.querySelector('.lpa-cascade-result-entry')) return;
+                    const entry = document.createElement('span');
+                    entry.className = 'lpa-cascade-result-entry';
+                    entry.innerHTML = '<input type="number" min="0" step="any" aria-label="Relative Lp(a) value" class="form-control"> <select aria-label="Unit" class="form-control"><option value="nmol/L">nmol/L</option><option value="mg/dL">mg/dL</option></select> <button type="button" class="button button-small" data-action="save-result">Save</button>';
+                    button.parentElement.appendChild(entry);
+                    entry.querySelector('input').focus();
+                    return;
+                }
+                case 'save-result': {
+                    const entry = button.closest('.lpa-cascade-result-entry');
+                    await Cascade.recordResult(caseId, relativeId, entry.querySelector('input').value, entry.querySelector('select').value);
+                    break;
+                }
+                default:
+                    return;
+            }
+            this._showLpaCascade(caseId);
+        } catch (error) {
+            this._handleError(error, `LpaCascade-${action}`);
+            this._showToast(error.message, 'error');
+        }
+    }
+
     _initializeDisclaimerRelatedUI() {
         // For footer links or other disclaimer triggers not handled by data-modal-target
         document.querySelectorAll('.disclaimer-link[data-disclaimer-key]').forEach(link => {
@@ -497,6 +687,9 @@ class AppUI {
                     EventBus.publish('data:medicationLabsSaved', { data: formDataObject });
                     // Auto-populate FRS and QRISK3 forms
                     this._autoPopulateCalculators(formDataObject);
+                    this._showFHDiagnosis(formDataObject);
+                    this._showLipidDiscordance(formDataObject);
+                    this._showRenalFunction(formDataObject);
                     break;
                 case 'frs-form':
                     resultData = await RC.calculateFraminghamRisk(formDataObject);
@@ -524,6 +717,9 @@ class AppUI {
                 case 'app-settings-form':
                     this._handleSaveSettings(formDataObject); // Pass data if form submit is used
                     break;
+                case 'lpa-cascade-relative-form':
+                    await this._handleAddLpaCascadeRelative(formDataObject, formHandlerInstance);
+                    break;
                 default:
                     throw new Error(`No submit handler configured for form ID: ${formId}`);
             }
@@ -547,8 +743,12 @@ class AppUI {
                     );
                 }
                 EventBus.publish(`form:${formId}:submitted`, { success: true, results: resultData });
+                if (resultData.recommendations?.cascadeScreening?.indicated) await this._openLpaCascade(resultData.recommendations.cascadeScreening);
+                if (resultData.recommendations?.regimenOptions) Display.displayRegimenOptions?.(resultData.recommendations.regimenOptions);
+                if (resultData.recommendations?.interactionAlerts) Display.displayInteractionAlerts?.(resultData.recommendations.interactionAlerts);
                 if (formId === 'frs-form') this._updateCombinedViewStatus('frs', true);
                 if (formId === 'qrisk-form') this._updateCombinedViewStatus('qrisk3', true);
+                if (displayType === 'frs' || displayType === 'qrisk3') this.lastRiskResults[displayType] = resultData;
             } else if (resultData && !resultData.success) {
                 throw new Error(resultData.error || `Calculation failed for ${formId}`);
             }
@@ -579,6 +779,9 @@ class AppUI {
         }
 
 
+        // A calculator reset starts a new manual assessment (and family-screening case); EMR patients keep theirs
+        if ((formId === 'frs-form' || formId === 'qrisk-form') && !this.currentPatient?.fromEMR) this.currentPatient = null;
+
         // Clear any specific status indicators related to this form
         if (formId === 'frs-form') this._updateCombinedViewStatus('frs', false);
         if (formId === 'qrisk-form') this._updateCombinedViewStatus('qrisk3', false); // Corrected key
@@ -590,6 +793,7 @@ class AppUI {
     }
 
     _autoPopulateCalculators(sourceData) {
+        const renal = this.dependencies.RenalFunction?.evaluate(this.dependencies.RenalFunction.fromFormData(sourceData)) || null;
         // FRS Form Population
         const frsForm = this.elements.forms.frs;
         if (frsForm) {
@@ -603,7 +807,12 @@ class AppUI {
             frsForm.elements['on_bp_medication'].value = sourceData.on_bp_medication || '';
             frsForm.elements['smoking_status_frs'].value = (sourceData.smoking_status && sourceData.smoking_status !== 'non_smoker' && sourceData.smoking_status !== 'ex_smoker') ? 'yes' : 'no';
             frsForm.elements['diabetes_status_frs'].value = (sourceData.diabetes_status && sourceData.diabetes_status !== 'no_diabetes') ? 'yes' : 'no';
+            // UKPDS fields; the combined view runs UKPDS for type 2 diabetes
+            frsForm.elements['frs-diabetes-type'].value = { type1_diabetes: 'type1', type2_diabetes: 'type2' }[sourceData.diabetes_status] || '';
+            frsForm.elements['frs-hba1c'].value = sourceData.hba1c || '';
+            frsForm.elements['frs-hba1c-unit'].value = sourceData.hba1c_unit || '%';
             frsForm.elements['lpa_frs'].value = sourceData.lpa || ''; // Optional Lp(a)
+            frsForm.elements['frs-egfr'].value = renal?.egfr ?? ''; // CKD-EPI 2021 from creatinine, or as entered
             document.getElementById('frs-lpa-unit-display').textContent = sourceData.lpa_unit || 'mg/dL';
             this._triggerInputEvents(frsForm);
         }
@@ -630,6 +839,9 @@ class AppUI {
             qrisk3Form.elements['hdl_cholesterol'].value = sourceData.hdl_cholesterol || '';
             document.getElementById('qrisk-hdl-cholesterol-unit-display').textContent = sourceData.hdl_cholesterol_unit || 'mmol/L';
             // Cholesterol/HDL ratio will be auto-calculated
+            qrisk3Form.elements['ckd_stage'].value = renal?.qriskCkd ? renal.ckdStage : (sourceData.ckd_stage || ''); // Stage 3-5 from eGFR
+            qrisk3Form.elements['qrisk-creatinine'].value = sourceData.creatinine || '';
+            qrisk3Form.elements['qrisk-creatinine-unit'].value = sourceData.creatinine_unit || 'umol_l';
 
             // Populate read-only clinical condition displays
             document.getElementById('qrisk-family-history-cvd-display').value = sourceData.family_history_cvd === 'yes' ? 'Yes' : 'No';
@@ -650,6 +862,7 @@ class AppUI {
             }
             qrisk3Form.elements['lpa_qrisk'].value = sourceData.lpa || '';
             document.getElementById('qrisk-lpa-unit-display').textContent = sourceData.lpa_unit || 'mg/dL';
+            qrisk3Form.elements['lpa_qrisk_unit'].value = sourceData.lpa_unit || 'mg/dL';
 
             this._triggerInputEvents(qrisk3Form);
         }
@@ -697,7 +910,8 @@ class AppUI {
             const qrisk3Result = this.dependencies.MemoryManager.retrieve('lastQRISK3Result_riskData');
 
             if (frsResult && qrisk3Result) {
-                this.dependencies.ResultsDisplayService.appendResults('combined', { frs: frsResult, qrisk3: qrisk3Result }, null, null, this.calculationCounters['combined']);
+                const horizon = this.elements.selects.combinedHorizon?.value || 'tenYear';
+                this.dependencies.ResultsDisplayService.appendResults('combined', { frs: frsResult, qrisk3: qrisk3Result, horizon }, null, null, this.calculationCounters['combined']);
                 this._updateCombinedViewStatus('frs', true);
                 this._updateCombinedViewStatus('qrisk3', true);
             } else {
@@ -731,6 +945,11 @@ class AppUI {
         try {
             const vizType = data.vizType;
             const calculator = data.vizCalculator;
+            this.lastIconArray = null;
+            if (vizType === 'icon-array') return this._showIconArray(calculator, data);
+            if (vizType === 'treatment-effect') return this._showInterventionSimulation(calculator, data);
+            if (vizType === 'sensitivity') return this._showSensitivityAnalysis(calculator, data);
+            if (vizType === 'time-series') return this._showRiskProjection(calculator, data);
             // Logic to gather base patient data (e.g., from MemoryManager or currently active form)
             const basePatientData = this.dependencies.MemoryManager.retrieve('lastMedicationLabsData') || this._getFormDataFromActiveCalculatorTab() || {};
 
@@ -751,6 +970,99 @@ class AppUI {
             this.dependencies.LoadingManager.hide();
         }
     }
+    /**
+     * Treatment effect projection: re-runs the latest FRS or QRISK3 result's engine with the targets entered, in the
+     * order listed, and shows the risk after each step.
+     */
+    async _showInterventionSimulation(calculator, data) {
+        const key = calculator === 'qrisk' ? 'qrisk3' : 'frs';
+        const base = this._vizBaseResult(key, 'the projection');
+        if (!base) return;
+        const number = (value) => (value === undefined || value === '' ? undefined : Number(value));
+        const steps = [
+            number(data.interventionSbp) !== undefined && { type: 'sbp', target: number(data.interventionSbp), onTreatment: data.interventionBpTreatment === 'on' },
+            (number(data.interventionTotalChol) !== undefined || number(data.interventionHdl) !== undefined) && { type: 'lipids', totalCholesterol: number(data.interventionTotalChol), hdl: number(data.interventionHdl) },
+            number(data.interventionLdlReduction) !== undefined && { type: 'ldl', reductionPercent: number(data.interventionLdlReduction), label: 'Lipid-lowering therapy' },
+            data.interventionStopSmoking === 'on' && { type: 'smoking' },
+            number(data.interventionBmi) !== undefined && { type: 'bmi', target: number(data.interventionBmi) },
+            number(data.interventionHba1c) !== undefined && { type: 'hba1c', target: number(data.interventionHba1c), unit: data.interventionHba1cUnit }
+        ].filter(Boolean);
+        if (!steps.length) { this._showToast('Enter at least one intervention target.', 'info'); return; }
+        try {
+            const simulation = await this.dependencies.RiskCalculator.calculateInterventionEffect(base, steps);
+            this.dependencies.ResultsDisplayService.displayInterventionSimulation?.(simulation);
+            this.dependencies.EventBus.publish('chart:renderRequest', { calculatorType: key, chartType: 'treatmentEffect', targetElementId: 'advanced-visualization-output-area', data: simulation, options: {} });
+        } catch (error) {
+            this._handleError(error, 'InterventionSimulation');
+            this.dependencies.ResultsDisplayService.displayError('advancedViz', 'Error projecting the treatment effect.');
+        }
+    }
+
+    /**
+     * Sensitivity analysis: re-runs the latest FRS or QRISK3 result's engine with each modifiable input at a lower
+     * and a higher value, and shows the tornado chart with its data table.
+     */
+    _showSensitivityAnalysis(calculator, data) {
+        const key = calculator === 'qrisk' ? 'qrisk3' : 'frs';
+        const base = this._vizBaseResult(key, 'the analysis');
+        if (!base) return;
+        try {
+            const analysis = this.dependencies.RiskCalculator.calculateSensitivity(base, { rangePercent: data.sensitivityRangePercent });
+            this.dependencies.ResultsDisplayService.displaySensitivityAnalysis?.(analysis);
+            this.dependencies.EventBus.publish('chart:renderRequest', { calculatorType: key, chartType: 'sensitivity', targetElementId: 'advanced-visualization-output-area', data: analysis, options: {} });
+        } catch (error) {
+            this._handleError(error, 'SensitivityAnalysis');
+            this.dependencies.ResultsDisplayService.displayError('advancedViz', 'Error running the sensitivity analysis.');
+        }
+    }
+
+    /**
+     * Risk progression over time: re-runs the latest FRS or QRISK3 result's engine each year as the patient ages,
+     * with and without treatment, and shows the projection chart with the crossing ages.
+     */
+    _showRiskProjection(calculator, data) {
+        const key = calculator === 'qrisk' ? 'qrisk3' : 'frs';
+        const base = this._vizBaseResult(key, 'the projection');
+        if (!base) return;
+        try {
+            const projection = this.dependencies.RiskCalculator.calculateRiskProjection(base, {
+                years: data.projectionYears, drift: data.projectionDrift,
+                treatment: { ldlReductionPercent: data.projectionLdlReduction, sbpTarget: data.projectionSbpTarget }
+            });
+            this.dependencies.ResultsDisplayService.displayRiskProjection?.(projection);
+            this.dependencies.EventBus.publish('chart:renderRequest', { calculatorType: key, chartType: 'riskProjection', targetElementId: 'advanced-visualization-output-area', data: projection, options: {} });
+        } catch (error) {
+            this._handleError(error, 'RiskProjection');
+            this.dependencies.ResultsDisplayService.displayError('advancedViz', 'Error projecting risk over time.');
+        }
+    }
+
+    /**
+     * Icon array: the latest FRS or QRISK3 risk as 100 people, with those due to raised Lp(a) and those spared by
+     * LDL-C lowering.
+     */
+    _showIconArray(calculator, data) {
+        const key = calculator === 'qrisk' ? 'qrisk3' : 'frs';
+        const base = this._vizBaseResult(key, 'the icon array');
+        if (!base) return;
+        try {
+            const iconArray = this.dependencies.IconArray.fromRiskResult(base, { ldlReductionPercent: data.iconArrayLdlReduction });
+            this.dependencies.ResultsDisplayService.displayIconArray?.(iconArray);
+            this.dependencies.EventBus.publish('chart:renderRequest', { calculatorType: key, chartType: 'iconArray', targetElementId: 'advanced-visualization-output-area', data: iconArray, options: {} });
+            this.lastIconArray = iconArray;
+        } catch (error) {
+            this._handleError(error, 'IconArray');
+            this.dependencies.ResultsDisplayService.displayError('advancedViz', 'Error drawing the icon array.');
+        }
+    }
+
+    /** Latest FRS or QRISK3 result for an advanced visualization, or a prompt to calculate it first. */
+    _vizBaseResult(key, what) {
+        const base = this.lastRiskResults[key];
+        if (!base) this._showToast(`Calculate ${key === 'qrisk3' ? 'QRISK3' : 'Framingham'} risk first; ${what} starts from that result.`, 'warning');
+        return base;
+    }
+
     _handleResetAdvancedViz() {
         const vizForm = this.elements.forms.advancedViz;
         if (vizForm) vizForm.reset();
@@ -759,6 +1071,7 @@ class AppUI {
             resultListContainer.innerHTML = '';
             this.calculationCounters['advancedViz'] = 0;
         }
+        this.lastIconArray = null;
         const dynamicOptionsContainer = this.elements.displayAreas.dynamicVizOptions;
         if(dynamicOptionsContainer) dynamicOptionsContainer.innerHTML = ''; // Clear dynamic options
         this._showToast('Advanced visualization options reset.', 'info');
@@ -769,26 +1082,62 @@ class AppUI {
         if (!container) return;
         container.innerHTML = ''; // Clear previous options
 
-        // Example: Add specific options for 'sensitivity' analysis
-        if (vizType === 'sensitivity') {
+        if (vizType === 'time-series') { // The patient is aged year by year, with and without treatment
             const S = this.dependencies.InputSanitizerService;
-            let optionsHtml = `
-                <div class="form-group">
-                    <label for="viz-sensitivity-param" class="form-label">Parameter to Vary:</label>
-                    <select id="viz-sensitivity-param" name="sensitivityParameter" class="form-control">
-                        <option value="age">Age</option>
-                        <option value="sbp">Systolic BP</option>
-                        <option value="total_cholesterol">Total Cholesterol</option>
-                        <option value="hdl_cholesterol">HDL Cholesterol</option>
-                    </select>
+            const optionsHtml = `
+                <div class="row">
+                    <div class="col"><div class="form-group"><label for="viz-projection-years" class="form-label">Years to Project:</label><input type="number" id="viz-projection-years" name="projectionYears" class="form-control" value="20" min="5" max="40" step="1"></div></div>
+                    <div class="col"><div class="form-group"><label for="viz-projection-drift" class="form-label">Other Risk Factors:</label>
+                        <select id="viz-projection-drift" name="projectionDrift" class="form-control"><option value="constant">Held constant</option><option value="typical">Typical age-related change (SBP, cholesterol)</option></select></div></div>
                 </div>
+                <div class="row">
+                    <div class="col"><div class="form-group"><label for="viz-projection-ldl-reduction" class="form-label">Treatment: LDL-C lowering (%):</label><input type="number" id="viz-projection-ldl-reduction" name="projectionLdlReduction" class="form-control" value="40" min="0" max="85" step="5"></div></div>
+                    <div class="col"><div class="form-group"><label for="viz-projection-sbp-target" class="form-label">Treatment: SBP target (mmHg, optional):</label><input type="number" id="viz-projection-sbp-target" name="projectionSbpTarget" class="form-control" min="100" max="160" placeholder="e.g., 130"></div></div>
+                </div>
+            `;
+            container.innerHTML = S.sanitizeHTML(optionsHtml, { USE_PROFILES: { html: true } });
+        }
+        if (vizType === 'icon-array') { // The risk as 100 people like the patient
+            const S = this.dependencies.InputSanitizerService;
+            const optionsHtml = `
+                <p class="form-text">Shows the 10-year risk as 100 people: those due to raised Lp(a) (when the Lp(a) modifier was applied) and those spared by lipid-lowering treatment.</p>
+                <div class="form-group"><label for="viz-icon-array-ldl-reduction" class="form-label">Treatment: LDL-C lowering (%):</label><input type="number" id="viz-icon-array-ldl-reduction" name="iconArrayLdlReduction" class="form-control" value="40" min="0" max="85" step="5"></div>
+            `;
+            container.innerHTML = S.sanitizeHTML(optionsHtml, { USE_PROFILES: { html: true } });
+        }
+        if (vizType === 'sensitivity') { // Every modifiable input the calculator uses is varied
+            const S = this.dependencies.InputSanitizerService;
+            let optionsHtml = `
+                <p class="form-text">Each modifiable input (blood pressure, cholesterol, smoking, and BMI for QRISK3) is set lower and higher with the others unchanged; the inputs are ranked by their effect on 10-year risk.</p>
                 <div class="form-group">
-                    <label for="viz-sensitivity-range" class="form-label">Variation Range (% from baseline):</label>
-                    <input type="number" id="viz-sensitivity-range" name="sensitivityRangePercent" class="form-control" value="20" min="5" max="50" step="5">
+                    <label for="viz-sensitivity-range" class="form-label">Variation Range (% from baseline; blank for clinical ranges):</label>
+                    <input type="number" id="viz-sensitivity-range" name="sensitivityRangePercent" class="form-control" min="5" max="50" step="5" placeholder="e.g., SBP ±20 mmHg, TC ±1 mmol/L">
                 </div>
             `;
             container.innerHTML = S.sanitizeHTML(optionsHtml, { USE_PROFILES: { html: true } }); // Sanitize if needed
         }
+        if (vizType === 'treatment-effect') { // Targets are applied in the order listed
+            const S = this.dependencies.InputSanitizerService;
+            const optionsHtml = `
+                <p class="form-text">Targets are applied in the order listed; each step re-runs the calculator with the new value.</p>
+                <div class="row">
+                    <div class="col"><div class="form-group"><label for="viz-intervention-sbp" class="form-label">Target SBP (mmHg):</label><input type="number" id="viz-intervention-sbp" name="interventionSbp" class="form-control" min="90" max="200" placeholder="e.g., 130"></div></div>
+                    <div class="col"><div class="form-group form-check"><input type="checkbox" id="viz-intervention-bp-treatment" name="interventionBpTreatment" class="form-check-input"><label for="viz-intervention-bp-treatment" class="form-check-label">By BP medication</label></div></div>
+                </div>
+                <div class="row">
+                    <div class="col"><div class="form-group"><label for="viz-intervention-total-chol" class="form-label">Target Total Cholesterol (mmol/L):</label><input type="number" id="viz-intervention-total-chol" name="interventionTotalChol" class="form-control" min="2" max="15" step="0.1"></div></div>
+                    <div class="col"><div class="form-group"><label for="viz-intervention-hdl" class="form-label">Target HDL (mmol/L):</label><input type="number" id="viz-intervention-hdl" name="interventionHdl" class="form-control" min="0.3" max="4" step="0.1"></div></div>
+                </div>
+                <div class="form-group"><label for="viz-intervention-ldl-reduction" class="form-label">LDL-C lowering by therapy (%, CTT benefit):</label><input type="number" id="viz-intervention-ldl-reduction" name="interventionLdlReduction" class="form-control" min="5" max="85" step="5" placeholder="e.g., 50"></div>
+                <div class="form-group form-check"><input type="checkbox" id="viz-intervention-stop-smoking" name="interventionStopSmoking" class="form-check-input"><label for="viz-intervention-stop-smoking" class="form-check-label">Stop smoking</label></div>
+                <div class="row">
+                    <div class="col"><div class="form-group"><label for="viz-intervention-bmi" class="form-label">Target BMI (kg/m², QRISK3):</label><input type="number" id="viz-intervention-bmi" name="interventionBmi" class="form-control" min="15" max="50" step="0.5"></div></div>
+                    <div class="col"><div class="form-group"><label for="viz-intervention-hba1c" class="form-label">Target HbA1c (UKPDS):</label><input type="number" id="viz-intervention-hba1c" name="interventionHba1c" class="form-control" min="4" max="130" step="0.1">
+                        <select id="viz-intervention-hba1c-unit" name="interventionHba1cUnit" class="form-control"><option value="%">%</option><option value="mmol_mol">mmol/mol</option></select></div></div>
+                </div>
+            `;
+            container.innerHTML = S.sanitizeHTML(optionsHtml, { USE_PROFILES: { html: true } });
+        }
         // Add more conditional options for other vizTypes
     }
 
@@ -815,15 +1164,21 @@ class AppUI {
                         visualizationContent: vizOutputArea.innerHTML, // This is HTML, PDF service needs to handle it
                         details: document.getElementById('advanced-visualization-details-area')?.innerText
                     };
+                    if (this.lastIconArray) dataToPrint.iconArray = { svg: this.dependencies.IconArray.toSVG(this.lastIconArray), summary: this.lastIconArray.summary };
                     title = "Advanced Visualization Report";
                 } else {
                     throw new Error("No visualization to print.");
                 }
             } else { // FRS, QRISK3, Recommendations, History
+                const latest = this.lastRiskResults[sectionKey];
                 dataToPrint = this.dependencies.MemoryManager.retrieve(`last${sectionKey.toUpperCase()}Result_riskData`) ||
-                              this.dependencies.MemoryManager.retrieve(`current${sectionKey.charAt(0).toUpperCase() + sectionKey.slice(1)}Data`);
+                              this.dependencies.MemoryManager.retrieve(`current${sectionKey.charAt(0).toUpperCase() + sectionKey.slice(1)}Data`) || latest?.riskData;
                 title = `${sectionKey.toUpperCase()} Report`;
                 if (!dataToPrint) throw new Error(`No data for ${sectionKey} report.`);
+                if (latest && this.dependencies.IconArray) { // The risk as 100 people, for the patient
+                    const iconArray = this.dependencies.IconArray.fromRiskResult(latest);
+                    dataToPrint = { ...dataToPrint, iconArray: { svg: this.dependencies.IconArray.toSVG(iconArray), summary: iconArray.summary } };
+                }
             }
 
             // Call PDFService to generate and print
@@ -1019,6 +1374,8 @@ class AppUI {
         this.dependencies.LoadingManager.show('Populating forms with EMR data...');
         RuntimeProtection.tryCatch(() => {
             this.dependencies.ErrorLogger.log('info', 'Populating forms from EMR data', { patientName: internalData?.patient?.name });
+            const emrPatient = internalData?.patient;
+            this.currentPatient = emrPatient?.id ? { id: `emr_${emrPatient.id}`, label: emrPatient.name || `Patient ${emrPatient.id}`, fromEMR: true } : null;
 
             const medLabsForm = this.elements.forms.medicationLabs;
             if (medLabsForm && internalData) {
@@ -3,7 +3,7 @@
  * @file /js/ui/results-display.js
  * @description Manages the rendering of risk calculation results, recommendations,
  * and historical data in the UI. Provides hooks for charting.
- * @version 1.3.0
+ * @version 1.22.4
  * @exports ResultsDisplayService
  */
 
@@ -131,7 +131,12 @@ class ResultsDisplayService {
         try {
             // 1. Render Core Textual Results
             let summaryMessage = `Results for ${calculatorType}: `;
-            if (resultsData) {
+            if (resultsData?.calculators) {
+                // Combined view: one row per calculator that produced a result, however many ran
+                resultAreaElement.appendChild(this._createCalculatorComparisonElement(resultsData));
+                summaryMessage += resultsData.calculatorComparison?.summary || Object.values(resultsData.calculators).map(c => `${c.label} ${c.horizonScore ?? c.score}${c.unit || '%'}`).join(', ');
+                summaryMessage += '. ';
+            } else if (resultsData) {
                 // Example: Customize rendering based on calculatorType or resultsData structure
                 const scoreEl = this._createResultElement('Score', resultsData.score, resultsData.unit || '%', selectors.riskPercent);
                 const categoryEl = this._createResultElement('Category', resultsData.category, '', selectors.riskCategory);
@@ -140,9 +145,57 @@ class ResultsDisplayService {
                 resultAreaElement.appendChild(categoryEl);
                 summaryMessage += `${resultsData.score}${resultsData.unit || '%'} risk, category ${resultsData.category}. `;
 
+                // Healthy-person comparison (QRISK3) sits directly beside the 10-year risk for counselling
+                if (resultsData.healthyComparison) {
+                    const comparisonEl = this._createHealthyComparisonElement(resultsData.healthyComparison, resultsData.unit || '%');
+                    if (comparisonEl) {
+                        resultAreaElement.appendChild(comparisonEl);
+                        summaryMessage += this._describeHealthyComparison(resultsData.healthyComparison, resultsData.unit || '%');
+                    }
+                }
+
                 // Add more details from resultsData.details if available
                 if (resultsData.details) {
                     for (const [key, value] of Object.entries(resultsData.details)) {
+                        if (key === 'lpaModifier') { // Which Lp(a) value the modifier used
+                            if (value) resultAreaElement.appendChild(this._createLpaBasisElement(value));
+                            continue;
+                        }
+                        if (key === 'modifiersApplied') { // One audit line per risk enhancer
+                            if (value?.length) resultAreaElement.appendChild(this._createRiskEnhancerElement(value));
+                            continue;
+                        }
+                        if (key === 'imputation') { // QRISK3 inputs filled in by QRISK3ImputationService
+                            if (value?.fields?.length) {
+                                resultAreaElement.appendChild(this._createImputationElement(value));
+                                summaryMessage += `Partially imputed: plausible range ${value.riskRange.lowPercent}% to ${value.riskRange.highPercent}%. `;
+                            }
+                            continue;
+                        }
+                        if (key === 'glycaemicControl') { // UKPDS: HbA1c against the ClinicalThresholds target
+                            if (value) {
+                                const text = this._describeGlycaemicControl(value);
+                                resultAreaElement.appendChild(this._createResultElement('HbA1c', text));
+                                summaryMessage += `${text}. `;
+                            }
+                            continue;
+                        }
+                        if (key === 'ldlLoweringBenefit') { // SMART: benefit of lowering LDL-C to the very-high-risk target
+                            if (value?.ldlReductionMmol > 0) {
+                                const text = this._describeLdlLoweringBenefit(value);
+                                resultAreaElement.appendChild(this._createResultElement('LDL-C Lowering Benefit', text));
+                                summaryMessage += `${text}. `;
+                            }
+                            continue;
+                        }
+                        if (key === 'townsendSource') { // QRISK3: Townsend score looked up from the postcode (DeprivationLookupService)
+                            if (value) {
+                                resultAreaElement.appendChild(this._createResultElement('Townsend Score', value));
+                                summaryMessage += `Townsend score ${value}. `;
+                            }
+                            continue;
+                        }
+                        if (key === 'assumedInputs' && !value) continue; // SMART: nothing defaulted
                         resultAreaElement.appendChild(this._createResultElement(this._formatDetailKey(key), value));
                     }
                 }
@@ -228,6 +281,231 @@ class ResultsDisplayService {
         return p;
     }
 
+    /**
+     * Lists the applied risk enhancers with their audit lines (RiskEnhancerService).
+     * @param {object[]} modifiersApplied - Engine `modifiersApplied` entries.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createRiskEnhancerElement(modifiersApplied) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'result-item result-item-risk-enhancers';
+        const strong = document.createElement('strong');
+        strong.textContent = 'Risk Enhancers Applied:';
+        wrapper.appendChild(strong);
+        const list = document.createElement('ul');
+        modifiersApplied.forEach(modifier => {
+            const li = document.createElement('li');
+            li.textContent = modifier.audit || `${modifier.type}: ×${Number(modifier.factor).toFixed(2)}`;
+            if (modifier.citation) li.title = modifier.citation;
+            list.appendChild(li);
+        });
+        wrapper.appendChild(list);
+        return wrapper;
+    }
+
+    /**
+     * Creates the "Partially imputed" badge with the plausible risk range and one line per imputed input.
+     * @param {object} imputation - QRISK3 `imputation`: `{ fields: [{ label, value, unit, range, basis }], riskRange }`.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createImputationElement(imputation) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'result-item result-item-imputation';
+        const badge = document.createElement('span');
+        badge.className = 'badge badge-warning';
+        badge.textContent = 'Partially imputed';
+        wrapper.appendChild(badge);
+        const range = document.createElement('p');
+        range.textContent = `Plausible 10-year risk with the imputed inputs: ${imputation.riskRange.lowPercent}% to ${imputation.riskRange.highPercent}%.`;
+        wrapper.appendChild(range);
+        const list = document.createElement('ul');
+        imputation.fields.forEach(field => {
+            const unit = field.unit ? ` ${field.unit}` : '';
+            const li = document.createElement('li');
+            li.textContent = `${field.label}: ${field.value}${unit} (range ${field.range[0]} to ${field.range[1]}${unit}; ${field.basis})`;
+            list.appendChild(li);
+        });
+        wrapper.appendChild(list);
+        return wrapper;
+    }
+
+    /**
+     * Creates the Lp(a) line: the value the modifier used, the curve and multiplier, and any conversion caveats.
+     * @param {object} lpaModifier - LpaModifierService evaluation.
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createLpaBasisElement(lpaModifier) {
+        const el = this._createResultElement('Lp(a) Used', `${lpaModifier.basis || `${lpaModifier.value} ${lpaModifier.unit}`}, multiplier ×${lpaModifier.factor.toFixed(2)}`);
+        if (lpaModifier.approximate) {
+            el.classList.add('result-item-approximate');
+            const notes = document.createElement('small');
+            notes.className = 'result-item-footnote';
+            notes.textContent = (lpaModifier.conversion?.notes || []).join(' ');
+            el.appendChild(notes);
+        }
+        return el;
+    }
+
+    /**
+     * Creates the healthy-person comparison block (healthy person's risk, relative risk, heart age).
+     * @param {object} comparison - { healthyPersonRiskPercent, relativeRisk, heartAge, heartAgeLabel, age }; heartAgeLabel
+     * (">84", "<25") replaces the number when heart age lies outside the QRISK3 age range.
+     * @param {string} [unit='%'] - Unit for the healthy person's risk.
+     * @returns {HTMLElement|null} The block, or null if there is nothing to show.
+     * @private
+     */
+    _createHealthyComparisonElement(comparison, unit = '%') {
+        const { healthyPersonRiskPercent, relativeRisk, heartAge, heartAgeLabel, age } = comparison;
+        if (healthyPersonRiskPercent == null && relativeRisk == null && heartAge == null) return null;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'result-healthy-comparison';
+        if (healthyPersonRiskPercent != null) {
+            wrapper.appendChild(this._createResultElement('Healthy Person Risk', healthyPersonRiskPercent, unit));
+        }
+        if (relativeRisk != null) {
+            wrapper.appendChild(this._createResultElement('Relative Risk', relativeRisk, '×'));
+        }
+        if (heartAge != null) {
+            const heartAgeEl = this._createResultElement('Heart Age', heartAgeLabel ?? heartAge, ' years');
+            if (age != null && !isNaN(age)) {
+                const difference = heartAge - age;
+                const outsideRange = heartAgeLabel != null && heartAgeLabel !== String(heartAge);
+                const note = document.createElement('span');
+                note.className = 'result-item-note';
+                note.textContent = outsideRange ? ' (beyond the 25-84 age range QRISK3 covers)' :
+                    difference === 0 ? ' (same as actual age)' : ` (${Math.abs(difference)} years ${difference > 0 ? 'older' : 'younger'} than actual age)`;
+                heartAgeEl.appendChild(note);
+            }
+            wrapper.appendChild(heartAgeEl);
+        }
+        const footnote = document.createElement('p');
+        footnote.className = 'result-item-footnote';
+        footnote.textContent = 'Healthy person: same age, sex and ethnicity, no adverse clinical indicators, cholesterol ratio 4.0, stable systolic BP 125 mmHg, BMI 25.';
+        wrapper.appendChild(footnote);
+        return wrapper;
+    }
+
+    /**
+     * Creates the combined-view table with one row per calculator.
+     * @param {object} combinedRiskData - riskData from RiskCalculator.calculateCombinedRisk ({ horizon, calculators, calculatorComparison, cac }).
+     * A CAC column is added when the assessment was reclassified by coronary artery calcium.
+     * @returns {HTMLElement} The wrapper holding the table and comparison summary.
+     * @private
+     */
+    _createCalculatorComparisonElement(combinedRiskData) {
+        const horizonLabel = { tenYear: '10-Year', thirtyYear: '30-Year Projected', lifetime: 'Lifetime Projected' }[combinedRiskData.horizon] || '10-Year';
+        const comparison = combinedRiskData.calculatorComparison;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'result-calculator-comparison';
+
+        const table = document.createElement('table');
+        table.className = 'calculator-comparison-table';
+        const extrapolated = combinedRiskData.horizon === 'thirtyYear' || combinedRiskData.horizon === 'lifetime';
+        table.createCaption().textContent = `${horizonLabel} risk by calculator${extrapolated ? ' (not a validated model: 10-year models chained with competing non-cardiovascular mortality, not the published 30-year or lifetime equations)' : ''}`;
+        const headerRow = table.createTHead().insertRow();
+        const cac = combinedRiskData.cac;
+        ['Calculator', `${horizonLabel} Risk`, 'Category', 'Lp(a)-Modified', ...(cac ? ['After CAC'] : [])].forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        const tbody = table.createTBody();
+        Object.entries(combinedRiskData.calculators).forEach(([key, data]) => {
+            const row = tbody.insertRow();
+            row.dataset.calculator = key;
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = data.label || key;
+            row.appendChild(th);
+            const score = data.horizonScore ?? data.score;
+            row.insertCell().textContent = score != null ? `${score}${data.unit || '%'}` : 'N/A';
+            row.insertCell().textContent = `${data.category || 'N/A'}${data.details?.imputation ? ' (partially imputed)' : ''}`;
+            const lpaModified = comparison?.calculators?.find(c => c.key === key)?.lpaModified;
+            const lpa = data.details?.lpaModifier; // Factor and curve from LpaModifierService
+            row.insertCell().textContent = !lpaModified ? 'No' : lpa ? `Yes (${lpa.approximate ? '≈' : ''}×${lpa.factor.toFixed(2)}, ${lpa.curveLabel})` : 'Yes';
+            if (cac) {
+                const change = cac.calculators?.[key];
+                row.insertCell().textContent = change ? `${change.category}${change.changed ? (cac.direction === 'up' ? ' ↑' : ' ↓') : ''}` : 'N/A';
+            }
+        });
+        wrapper.appendChild(table);
+
+        const lpaBases = [...new Set(Object.values(combinedRiskData.calculators).map(data => data.details?.lpaModifier?.basis).filter(Boolean))];
+        if (lpaBases.length > 0) {
+            const lpaNote = document.createElement('p');
+            lpaNote.className = 'result-item-footnote';
+            lpaNote.textContent = `Lp(a) used: ${lpaBases.join('; ')}.`;
+            wrapper.appendChild(lpaNote);
+        }
+
+        if (cac) {
+            const cacNote = document.createElement('p');
+            cacNote.className = 'result-item-footnote';
+            cacNote.textContent = `Coronary artery calcium: ${cac.reason} Percentages are unchanged; only the category is reclassified.`;
+            wrapper.appendChild(cacNote);
+        }
+
+        if (combinedRiskData.calculators.smart) {
+            const smartNote = document.createElement('p');
+            smartNote.className = 'result-item-footnote';
+            smartNote.textContent = 'Established ASCVD: SMART estimates recurrent event risk; primary-prevention calculators (FRS, QRISK3, PCE, PREVENT, SCORE2) are not valid and were not run.';
+            wrapper.appendChild(smartNote);
+        }
+
+        if (combinedRiskData.calculators.ukpds) {
+            const ukpdsNote = document.createElement('p');
+            ukpdsNote.className = 'result-item-footnote';
+            ukpdsNote.textContent = 'UKPDS is the diabetes-specific estimate (CHD and stroke in type 2 diabetes, from HbA1c and diabetes duration); FRS and QRISK3 treat diabetes as a single yes/no factor.';
+            wrapper.appendChild(ukpdsNote);
+        }
+
+        if (combinedRiskData.calculators.dial2) {
+            const dial2Note = document.createElement('p');
+            dial2Note.className = 'result-item-footnote';
+            dial2Note.textContent = `DIAL2 estimates CVD risk in type 2 diabetes to age ${combinedRiskData.calculators.dial2.horizons?.lifetime?.toAge ?? 90} with non-CVD death as a competing risk (model: ${combinedRiskData.calculators.dial2.details?.modelSource}).`;
+            wrapper.appendChild(dial2Note);
+        } else if (combinedRiskData.calculators.ukpds) {
+            const dial2Note = document.createElement('p');
+            dial2Note.className = 'result-item-footnote';
+            dial2Note.textContent = 'DIAL2 is not included in this toolkit and was not run; no diabetes-specific lifetime estimate is shown.';
+            wrapper.appendChild(dial2Note);
+        }
+
+        if (comparison?.summary) {
+            const summary = document.createElement('p');
+            summary.className = 'result-item-footnote';
+            summary.textContent = `${comparison.summary}. Calculators predict different endpoints, so figures are not interchangeable.`;
+            wrapper.appendChild(summary);
+        }
+        return wrapper;
+    }
+
+    /** Builds the screen-reader summary for the healthy-person comparison. @private */
+    _describeHealthyComparison({ healthyPersonRiskPercent, relativeRisk, heartAge, heartAgeLabel }, unit = '%') {
+        let text = '';
+        if (healthyPersonRiskPercent != null) text += `A healthy person of the same age, sex and ethnicity has ${healthyPersonRiskPercent}${unit} risk. `;
+        if (relativeRisk != null) text += `Relative risk ${relativeRisk}. `;
+        if (heartAge != null) text += `Heart age ${heartAgeLabel ?? heartAge} years. `;
+        return text;
+    }
+
+    /** Describes UKPDS `glycaemicControl`, e.g. "8.1% (above the 7% target); 10-year risk at target 12.3%". @private */
+    _describeGlycaemicControl({ hba1cPercent, target, status, riskAtTargetPercent }) {
+        const position = status === 'above_target' ? `above the ${target}% target` : `at or below the ${target}% target`;
+        return `${hba1cPercent}% (${position})${status === 'above_target' ? `; 10-year risk at target ${riskAtTargetPercent}%` : ''}`;
+    }
+
+    /** Describes SMART `ldlLoweringBenefit`: treated 10-year and lifetime risk, absolute reduction and NNT. @private */
+    _describeLdlLoweringBenefit({ ldl, targetLdl, tenYear, lifetime }) {
+        const lifetimeText = lifetime.absoluteRiskReductionPercent !== null ? `; lifetime ${lifetime.riskPercent}% to ${lifetime.treatedRiskPercent}%` : '';
+        return `LDL-C ${ldl} to ${targetLdl} mmol/L: 10-year risk ${tenYear.riskPercent}% to ${tenYear.treatedRiskPercent}% (NNT ${tenYear.numberNeededToTreat ?? 'N/A'})${lifetimeText}`;
+    }
+
     /** Formats a detail key (e.g., 'heartAge' to 'Heart Age'). */
     _formatDetailKey(key) {
         return key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
@@ -287,6 +565,431 @@ class ResultsDisplayService {
         this.dependencies.EventBus?.publish(`history:${typeKey}:displayed`);
     }
 
+    /**
+     * Displays the Lp(a) cascade-screening pedigree (History panel), one row per generation.
+     * Squares are male, circles female; filled means elevated Lp(a), outlined not elevated, "?" not yet tested.
+     * Each relative carries data-relative-id and action buttons ('letter', 'record-result', 'declined') for AppUI.
+     * @param {object|null} pedigree - LpaCascadeScreeningService.buildPedigree() output, or null to clear.
+     * @param {string} [containerSelector] - Defaults to options.selectors.lpaCascade.pedigree.
+     */
+    displayCascadePedigree(pedigree, containerSelector = this.options.selectors.lpaCascade?.pedigree) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Pedigree container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!pedigree) {
+            container.innerHTML = '<p><em>No family screening in progress. It is offered when an elevated Lp(a) is calculated.</em></p>';
+            return;
+        }
+
+        const symbol = (member) => {
+            if (member.affected === null) return '?';
+            const shapes = member.sex === 'female' ? ['●', '○'] : member.sex === 'male' ? ['■', '□'] : ['◆', '◇'];
+            return member.affected ? shapes[0] : shapes[1];
+        };
+        const statusText = { not_contacted: 'Not contacted', notified: 'Letter sent', tested: 'Tested', declined: 'Declined' };
+
+        const figure = document.createElement('figure');
+        figure.className = 'pedigree';
+        const s = pedigree.summary;
+        const caption = document.createElement('figcaption');
+        caption.textContent = `Lp(a) family screening: ${s.tested} of ${s.total} relatives tested, ${s.elevated} elevated, ${s.outstanding} outstanding.`;
+        figure.appendChild(caption);
+
+        pedigree.generations.forEach(generation => {
+            if (generation.members.length === 0) return;
+            const row = document.createElement('ul');
+            row.className = 'pedigree-generation';
+            row.setAttribute('aria-label', generation.label);
+            generation.members.forEach(member => {
+                const li = document.createElement('li');
+                li.className = `pedigree-member pedigree-${member.sex || 'unknown'}${member.isProband ? ' pedigree-proband' : ''}`;
+                li.dataset.relativeId = member.id;
+                const mark = document.createElement('span');
+                mark.className = 'pedigree-symbol';
+                mark.setAttribute('aria-hidden', 'true');
+                mark.textContent = member.isProband ? `↗${symbol(member)}` : symbol(member);
+                li.appendChild(mark);
+                const label = document.createElement('span');
+                const result = member.result ? `, Lp(a) ${member.result.lpa} ${member.result.lpaUnit}${member.affected ? ' (elevated)' : ''}` : '';
+                label.textContent = member.isProband ? `${member.label} (proband${result})` : `${member.label} (${member.relationship}): ${statusText[member.status] || member.status}${result}`;
+                li.appendChild(label);
+                if (!member.isProband && member.status !== 'tested') {
+                    [['letter', 'Print letter'], ['record-result', 'Record result'], ['declined', 'Declined']].forEach(([action, text]) => {
+                        const button = document.createElement('button');
+                        button.type = 'button';
+                        button.className = 'button button-small';
+                        button.dataset.action = action;
+                        button.textContent = text;
+                        li.appendChild(button);
+                    });
+                }
+                if (member.result?.extendCascade) {
+                    const note = document.createElement('small');
+                    note.className = 'result-item-footnote';
+                    note.textContent = ' Elevated: offer screening to this relative\'s own first-degree relatives.';
+                    li.appendChild(note);
+                }
+                row.appendChild(li);
+            });
+            figure.appendChild(row);
+        });
+        container.appendChild(figure);
+        this._announceToLiveRegion(caption.textContent);
+    }
+
+    /**
+     * Displays the FH diagnosis on the Medication & Labs tab: the untreated LDL-C used, the DLCN points and the
+     * Simon Broome and Canadian categories.
+     * @param {object|null} diagnosis - FHDiagnosisService.evaluate() output, or null when FH could not be assessed.
+     * @param {string} [containerSelector] - Defaults to options.selectors.fhDiagnosis.resultArea.
+     */
+    displayFHDiagnosis(diagnosis, containerSelector = this.options.selectors.fhDiagnosis?.resultArea) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `FH diagnosis container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!diagnosis) {
+            container.innerHTML = '<p><em>Enter an LDL-C (or a genetic test result) to assess familial hypercholesterolemia.</em></p>';
+            return;
+        }
+
+        const heading = document.createElement('h4');
+        heading.textContent = diagnosis.confirmed ? 'Familial Hypercholesterolemia: confirmed (definite or probable)' : 'Familial Hypercholesterolemia: not confirmed';
+        container.appendChild(heading);
+        if (diagnosis.untreatedLdl) {
+            container.appendChild(this._createResultElement('Untreated LDL-C', `${diagnosis.untreatedLdl.value} mmol/L (${diagnosis.untreatedLdl.basis})`));
+        }
+        const { dlcn, simonBroome, canadian } = diagnosis;
+        container.appendChild(this._createResultElement('Dutch Lipid Clinic Network', `${dlcn.score} points (${dlcn.category})`));
+        if (dlcn.points.length) {
+            const list = document.createElement('ul');
+            list.className = 'fh-dlcn-points';
+            dlcn.points.forEach(({ criterion, points }) => {
+                const li = document.createElement('li');
+                li.textContent = `${criterion}: ${points}`;
+                list.appendChild(li);
+            });
+            container.appendChild(list);
+        }
+        container.appendChild(this._createResultElement('Simon Broome', `${simonBroome.category} (${simonBroome.basis})`));
+        container.appendChild(this._createResultElement('Canadian FH Definition', `${canadian.category} (${canadian.basis})`));
+        this._announceToLiveRegion(`FH assessment: ${diagnosis.summary}.`);
+    }
+
+    /**
+     * Displays the ApoB discordance analysis on the Medication & Labs tab: each marker's population percentile,
+     * the ApoB gap to LDL-C and non-HDL-C, and the treatment target it implies.
+     * @param {object|null} analysis - LipidDiscordanceService.analyze() output, or null without ApoB.
+     * @param {object} [target] - LipidDiscordanceService.preferredTarget() output.
+     * @param {string} [containerSelector] - Defaults to options.selectors.lipidDiscordance.resultArea.
+     * @param {string} [emptyMessage] - Shown instead of the prompt for ApoB when there is no analysis.
+     */
+    displayLipidDiscordance(analysis, target, containerSelector = this.options.selectors.lipidDiscordance?.resultArea, emptyMessage = 'Enter ApoB with LDL-C or total and HDL cholesterol to compare their percentiles.') {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Lipid discordance container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        const targetLabels = { ldl: 'LDL-C', nonHdl: 'Non-HDL-C', apoB: 'ApoB' };
+        if (!analysis) {
+            const message = document.createElement('p');
+            const emphasis = document.createElement('em');
+            emphasis.textContent = emptyMessage;
+            message.appendChild(emphasis);
+            container.appendChild(message);
+            if (target && target.type !== 'ldl') container.appendChild(this._createResultElement('Treatment Target', `${targetLabels[target.type]} (${target.reason})`));
+            return;
+        }
+
+        const heading = document.createElement('h4');
+        const directionText = { apob_higher: 'ApoB discordantly high', apob_lower: 'ApoB discordantly low' };
+        heading.textContent = analysis.discordant ? `Lipid Discordance: ${directionText[analysis.direction]}` : 'Lipid Discordance: concordant';
+        container.appendChild(heading);
+        const { percentiles } = analysis;
+        container.appendChild(this._createResultElement('ApoB', `${percentiles.apoB.value} g/L (${percentiles.apoB.percentile}th percentile)`));
+        analysis.comparisons.forEach(({ marker, label, difference }) => {
+            const sign = difference > 0 ? '+' : '';
+            container.appendChild(this._createResultElement(label, `${percentiles[marker].value} mmol/L (${percentiles[marker].percentile}th percentile; ApoB ${sign}${difference})`));
+        });
+        if (analysis.metabolicFeatures.length) container.appendChild(this._createResultElement('Metabolic Features', analysis.metabolicFeatures.join(', ')));
+        if (target) container.appendChild(this._createResultElement('Treatment Target', `${targetLabels[target.type]} (${target.reason})`));
+        if (analysis.reference) container.appendChild(this._createResultElement('Percentile Reference', analysis.reference));
+        this._announceToLiveRegion(`Lipid discordance: ${analysis.summary}`);
+    }
+
+    /**
+     * Displays renal function on the Medication & Labs tab: eGFR and its source, the KDIGO G / A stage with the
+     * risk of progression, and whether QRISK3 counts it as CKD (stage 3-5).
+     * @param {object|null} result - RenalFunctionService.evaluate() output, or null without creatinine or eGFR.
+     * @param {string} [containerSelector] - Defaults to options.selectors.renalFunction.resultArea.
+     */
+    displayRenalFunction(result, containerSelector = this.options.selectors.renalFunction?.resultArea) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Renal function container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!result) {
+            container.innerHTML = '<p><em>Enter serum creatinine (with age and sex) or an eGFR to stage kidney function.</em></p>';
+            return;
+        }
+
+        const heading = document.createElement('h4');
+        heading.textContent = `Kidney Function: KDIGO ${result.stage}`;
+        container.appendChild(heading);
+        container.appendChild(this._createResultElement('eGFR', `${result.egfr} mL/min/1.73m² (${result.egfrSource})`));
+        container.appendChild(this._createResultElement('GFR Category', `${result.gCategory}: ${result.gLabel}`));
+        if (result.aCategory) container.appendChild(this._createResultElement('Albuminuria', `${result.aCategory} (ACR ${result.acr} mg/mmol)`));
+        if (result.kdigoRisk) container.appendChild(this._createResultElement('Risk of Progression', result.kdigoRisk));
+        container.appendChild(this._createResultElement('QRISK3 CKD (stage 3-5)', result.qriskCkd ? 'Yes' : 'No'));
+        this._announceToLiveRegion(result.summary);
+    }
+
+    /**
+     * Displays the ranked lipid-lowering regimens on the Recommendations tab as a table: regimen, total LDL-C
+     * lowering, expected LDL-C, CTT 10-year risk with NNT and time to benefit, cost tier, coverage and the most severe
+     * interaction alert.
+     * @param {object|null} optimization - LipidRegimenOptimizerService.optimize() output.
+     * @param {string} [containerSelector] - Defaults to options.selectors.regimenOptions.resultArea.
+     */
+    displayRegimenOptions(optimization, containerSelector = this.options.selectors.regimenOptions?.resultArea) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Regimen options container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!optimization?.regimens?.length) return;
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Regimens to Reach the LDL-C Target';
+        container.appendChild(heading);
+        const { currentLdl, untreatedLdl, targetLdl, requiredReductionPercent } = optimization;
+        container.appendChild(this._createResultElement('LDL-C', `${currentLdl} mmol/L now (≈${untreatedLdl} untreated); target ≤${targetLdl} mmol/L, a further ${requiredReductionPercent}% reduction`));
+
+        const table = document.createElement('table');
+        table.className = 'regimen-options-table';
+        const headerRow = table.createTHead().insertRow();
+        ['Regimen', 'LDL-C Lowering', 'Expected LDL-C', '10-Year Risk (NNT)', 'Cost', 'Coverage', 'Interactions'].forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        optimization.regimens.forEach(regimen => {
+            const row = body.insertRow();
+            if (!regimen.reachesTarget) row.className = 'regimen-short-of-target';
+            const { benefit } = regimen;
+            const benefitText = benefit ? `${benefit.treatedRiskPercent}% (NNT ${benefit.numberNeededToTreat ?? 'N/A'}${benefit.timeToBenefitYears !== null ? `, from ~${benefit.timeToBenefitYears} y` : ''})` : 'N/A';
+            [regimen.label, `${regimen.totalReductionPercent}%`, `${regimen.expectedLdl} mmol/L${regimen.reachesTarget ? '' : ' (short of target)'}`, benefitText, regimen.costTier, regimen.coverage, regimen.interactionSeverity || 'none']
+                .forEach(text => { row.insertCell().textContent = text; });
+        });
+        container.appendChild(table);
+        const reaching = optimization.regimens.filter(r => r.reachesTarget).length;
+        this._announceToLiveRegion(`${reaching} of ${optimization.regimens.length} listed regimens reach the LDL-C target of ${targetLdl} mmol/L.`);
+    }
+
+    /**
+     * Displays the interaction and contraindication alerts for the proposed drugs, most severe first, each with a
+     * `interaction-alert alert-<severity>` class.
+     * @param {Array<object>} alerts - DrugInteractionService alerts (recommendations.interactionAlerts).
+     * @param {string} [containerSelector] - Defaults to options.selectors.interactionAlerts.resultArea.
+     */
+    displayInteractionAlerts(alerts, containerSelector = this.options.selectors.interactionAlerts?.resultArea) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Interaction alerts container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!alerts?.length) return;
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Interaction & Contraindication Alerts';
+        container.appendChild(heading);
+        const list = document.createElement('ul');
+        list.className = 'interaction-alerts-list';
+        alerts.forEach(alert => {
+            const item = document.createElement('li');
+            item.className = `interaction-alert alert-${alert.severity}`;
+            const title = document.createElement('strong');
+            const subject = alert.type === 'condition' ? `${alert.drugs[0]} with ${alert.condition}` : alert.drugs.join(' + ');
+            title.textContent = `${alert.severity.toUpperCase()}: ${subject}`;
+            item.appendChild(title);
+            const appliesTo = alert.appliesTo ? ` Applies to ${alert.appliesTo.join(', ')}.` : '';
+            item.appendChild(document.createTextNode(` ${alert.effect}${appliesTo} ${alert.management}`));
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+        this._announceToLiveRegion(`${alerts.length} interaction alert${alerts.length === 1 ? '' : 's'} for the proposed medications; most severe: ${alerts[0].severity}.`);
+    }
+
+    /**
+     * Displays an intervention simulation as a table: each step, the inputs it changed, the resulting risk, and
+     * the step and cumulative absolute risk reduction. Steps the engine does not model are marked.
+     * @param {object} simulation - RiskCalculator.calculateInterventionEffect() output.
+     * @param {string} [containerSelector] - Defaults to options.selectors.advancedViz.detailsArea.
+     */
+    displayInterventionSimulation(simulation, containerSelector = this.options.selectors.advancedViz?.detailsArea) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Intervention simulation container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!simulation?.steps?.length) return;
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Projected Effect of Interventions';
+        container.appendChild(heading);
+        const table = document.createElement('table');
+        table.className = 'intervention-simulation-table';
+        const headerRow = table.createTHead().insertRow();
+        ['Step', 'Inputs Changed', '10-Year Risk', 'Risk Reduction', 'Cumulative'].forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        const baseRow = body.insertRow();
+        ['Current', '', `${simulation.baseRiskPercent}%`, '', ''].forEach(text => { baseRow.insertCell().textContent = text; });
+        simulation.steps.forEach(step => {
+            const row = body.insertRow();
+            const changed = step.modelled ? step.changes.map(c => `${c.field} ${c.from} → ${c.to}`).join(', ') || 'no change' : 'not an input of this calculator';
+            [step.label, changed, `${step.riskPercent}%`, `${step.absoluteRiskReduction}`, `${step.cumulativeAbsoluteRiskReduction}`].forEach(text => { row.insertCell().textContent = text; });
+        });
+        container.appendChild(table);
+        simulation.steps.filter(step => step.benefit).forEach(step => container.appendChild(this._createResultElement(step.label, step.benefit.summary)));
+        const ttb = simulation.timeToBenefitYears ? `; LDL-C lowering benefit from about ${simulation.timeToBenefitYears} years` : '';
+        const nnt = Number.isFinite(simulation.numberNeededToTreat) ? `; NNT over 10 years ${simulation.numberNeededToTreat}${ttb}` : '';
+        container.appendChild(this._createResultElement('Overall', `${simulation.baseRiskPercent}% → ${simulation.modifiedRiskPercent}% (ARR ${simulation.absoluteRiskReduction} points, RRR ${simulation.relativeRiskReduction}%${nnt})`));
+        this._announceToLiveRegion(`Interventions lower the projected 10-year risk from ${simulation.baseRiskPercent}% to ${simulation.modifiedRiskPercent}%.`);
+    }
+
+    /**
+     * Displays a one-way sensitivity analysis as a table, the accessible equivalent of the tornado chart: each input
+     * in order of impact, its current, lower and higher value, the 10-year risk at each end and the swing.
+     * @param {object} analysis - RiskCalculator.calculateSensitivity() output.
+     * @param {string} [containerSelector] - Defaults to options.selectors.advancedViz.detailsArea.
+     */
+    displaySensitivityAnalysis(analysis, containerSelector = this.options.selectors.advancedViz?.detailsArea) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Sensitivity analysis container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!analysis?.factors?.length) return;
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Sensitivity Analysis';
+        container.appendChild(heading);
+        const table = document.createElement('table');
+        table.className = 'sensitivity-analysis-table';
+        table.createCaption().textContent = `10-year risk (currently ${analysis.baseRiskPercent}%) with each input at a lower and a higher value, `
+            + (analysis.rangePercent ? `±${analysis.rangePercent}% of its value` : 'over a clinically meaningful range') + '; largest effect first.';
+        const headerRow = table.createTHead().insertRow();
+        ['Input', 'Current', 'Lower Value', 'Risk', 'Higher Value', 'Risk', 'Swing (points)'].forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        const withUnit = (value, unit) => (unit ? `${value} ${unit}` : `${value}`);
+        const risk = (value) => (value === null ? 'N/A' : `${value}%`);
+        analysis.factors.forEach(f => {
+            const row = body.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = f.label;
+            row.appendChild(th);
+            [withUnit(f.baseValue, f.unit), withUnit(f.lowValue, f.unit), risk(f.lowRiskPercent), withUnit(f.highValue, f.unit), risk(f.highRiskPercent), `${f.swing}`]
+                .forEach(text => { row.insertCell().textContent = text; });
+        });
+        container.appendChild(table);
+        const top = analysis.factors[0];
+        this._announceToLiveRegion(`${top.label} changes the 10-year risk most, from ${risk(top.lowRiskPercent)} to ${risk(top.highRiskPercent)}.`);
+    }
+
+    /**
+     * Displays a risk projection: the age at which the risk becomes treatment-eligible and crosses each threshold,
+     * with and without treatment, and the year-by-year risks as a table (the data behind the chart).
+     * @param {object} projection - RiskCalculator.calculateRiskProjection() output.
+     * @param {string} [containerSelector] - Defaults to options.selectors.advancedViz.detailsArea.
+     */
+    displayRiskProjection(projection, containerSelector = this.options.selectors.advancedViz?.detailsArea) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Risk projection container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!projection?.points?.length) return;
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Risk Progression Over Time';
+        container.appendChild(heading);
+        container.appendChild(this._createResultElement('Treatment-Eligible', projection.summary));
+        const { low, high } = projection.thresholds;
+        const ageText = (age) => (age === null ? `not by ${projection.endAge}` : age === projection.startAge ? 'already' : `age ${age}`);
+        [low, high].forEach(threshold => {
+            container.appendChild(this._createResultElement(`Reaches ${threshold}%`, `${ageText(projection.crossings.untreated[threshold])} without treatment; ${ageText(projection.crossings.treated[threshold])} with treatment`));
+        });
+        const { ldlReductionPercent, sbpTarget } = projection.treatment;
+        container.appendChild(this._createResultElement('Treatment Assumed', `LDL-C lowered ${ldlReductionPercent}% (CTT)${sbpTarget ? `, SBP ${sbpTarget} mmHg` : ''}`));
+
+        const table = document.createElement('table');
+        table.className = 'risk-projection-table';
+        table.createCaption().textContent = `Projected 10-year risk by age, ${projection.drift === 'typical' ? 'with typical age-related changes in blood pressure and cholesterol' : 'other factors held constant'}.`;
+        const headerRow = table.createTHead().insertRow();
+        ['Age', 'Without Treatment', 'With Treatment'].forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        projection.points.forEach(point => {
+            const row = body.insertRow();
+            [`${point.age}`, `${point.riskPercent}%`, `${point.treatedRiskPercent}%`].forEach(text => { row.insertCell().textContent = text; });
+        });
+        container.appendChild(table);
+        this._announceToLiveRegion(projection.summary);
+    }
+
+    /**
+     * Displays the counts behind the icon array, one line per group of the 100 people.
+     * @param {object} iconArray - IconArrayService.fromRiskResult() output.
+     * @param {string} [containerSelector] - Defaults to options.selectors.advancedViz.detailsArea.
+     */
+    displayIconArray(iconArray, containerSelector = this.options.selectors.advancedViz?.detailsArea) {
+        const container = containerSelector ? document.querySelector(containerSelector) : null;
+        if (!container) {
+            this._log('warn', `Icon array container not found: ${containerSelector}`);
+            return;
+        }
+        container.innerHTML = '';
+        if (!iconArray?.segments) return;
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Risk in 100 People';
+        container.appendChild(heading);
+        container.appendChild(this._createResultElement('10-Year Risk', `${iconArray.riskPercent}%`));
+        iconArray.segments.filter(segment => segment.count > 0).forEach(segment => container.appendChild(this._createResultElement(segment.label, `${segment.count} of 100`)));
+        if (iconArray.treatment) container.appendChild(this._createResultElement('Treatment Assumed', `LDL-C lowered ${iconArray.treatment.ldlReductionPercent}% (CTT): ${iconArray.treatedRiskPercent}%`));
+        this._announceToLiveRegion(iconArray.summary);
+    }
+
     /** Internal logging helper. */
     _log(level, message, data) {
         const logger = this.dependencies.ErrorLogger;
@@ -315,4 +1018,4 @@ class ResultsDisplayService {
 // window.ResultsDisplayInstance = ResultsDisplayInstance;
 
 // Use this line if using ES modules
-// export default ResultsDisplayService;
\ No newline at end of file
+export default ResultsDisplayService;
\ No newline at end of file
@@ -1,13 +1,13 @@
 /**
  * Enhanced Combined View Manager Service
  * @file /js/utils/combined-view-manager.js
- * @description Manages the "Combined FRS & QRISK3" view. It orchestrates
- * data retrieval/recalculation for FRS and QRISK3, triggers combined
- * risk assessment and recommendation generation via RiskCalculator,
+ * @description Manages the Combined view. It orchestrates data retrieval/recalculation
+ * for every calculator RiskCalculator has loaded (FRS, QRISK3, PCE, PREVENT, SCORE2),
+ * triggers combined risk assessment and recommendation generation via RiskCalculator,
  * and signals ResultsDisplayService (via EventBus or direct call if appropriate in AppUI)
  * to render the comprehensive combined view.
  * This version fuses functionalities from combined.js and combined-view-manager.js (v1.1.0).
- * @version 1.2.0
+ * @version 1.3.1
  * @exports CombinedViewManagerService
  */
 
@@ -42,13 +42,14 @@ class CombinedViewManagerService {
 
         this.options = {
             cacheTTL: 60 * 60 * 1000, // 1 hour for cached combined results
-            preferredCalculatorDisplay: 'combined', // 'frs', 'qrisk3', 'combined', 'highest'
+            preferredCalculatorDisplay: 'combined', // 'combined', 'highest', or a calculator key ('frs', 'qrisk3', 'pce', 'prevent', 'score2')
             debugMode: false,
             ...options,
         };
 
-        this.frsResults = null; // Stores the latest FRS result object
-        this.qriskResults = null; // Stores the latest QRISK3 result object
+        this.calculatorResults = {}; // Latest result object per calculator key (frs, qrisk3, pce, prevent, score2)
+        this.frsResults = null; // Stores the latest FRS result object (alias of calculatorResults.frs)
+        this.qriskResults = null; // Stores the latest QRISK3 result object (alias of calculatorResults.qrisk3)
         this.combinedReportData = null; // Stores the full combined report data
 
         if (!this.dependencies.RiskCalculator) {
@@ -61,7 +62,39 @@ class CombinedViewManagerService {
         this._initializeEventListeners();
 
         CombinedViewManagerService.instance = this;
-        this._log('info', 'CombinedViewManagerService Initialized (v1.2.0).');
+        this._log('info', 'CombinedViewManagerService Initialized (v1.3.1).');
+    }
+
+    /**
+     * Session storage key for a calculator's last result (FRS and QRISK3 keep their original keys).
+     * @param {string} calculatorType - Calculator key.
+     * @returns {string}
+     * @private
+     */
+    _memoryKeyFor(calculatorType) {
+        if (calculatorType === 'frs') return 'cvdCombinedView_lastFrsResult';
+        if (calculatorType === 'qrisk3') return 'cvdCombinedView_lastQriskResult';
+        return `cvdCombinedView_last_${calculatorType}_Result`;
+    }
+
+    /**
+     * Calculator keys the combined view covers: those RiskCalculator has loaded, or FRS and QRISK3
+     * if it does not expose a registry.
+     * @returns {string[]}
+     * @private
+     */
+    _getCalculatorKeys() {
+        return this.dependencies.RiskCalculator?.getAvailableCalculators?.() || ['frs', 'qrisk3'];
+    }
+
+    /**
+     * Stores a calculator result and keeps the FRS/QRISK3 aliases in sync.
+     * @private
+     */
+    _setCalculatorResult(calculatorType, result) {
+        this.calculatorResults[calculatorType] = result;
+        if (calculatorType === 'frs') this.frsResults = result;
+        if (calculatorType === 'qrisk3') this.qriskResults = result;
     }
 
     /**
@@ -99,14 +132,10 @@ class CombinedViewManagerService {
         // Listen for completion of individual calculator runs
         this.dependencies.EventBus.subscribe('calculation:complete', (payload) => {
             if (!payload || !payload.results) return;
-            if (payload.calculatorType === 'frs') {
-                this.frsResults = payload.results;
-                this.dependencies.MemoryManager.store('cvdCombinedView_lastFrsResult', payload.results, { persist: 'session', expiry: this.options.cacheTTL });
-                this._log('debug', 'FRS result updated for combined view.', { score: payload.results.riskData?.score });
-            } else if (payload.calculatorType === 'qrisk3') {
-                this.qriskResults = payload.results;
-                this.dependencies.MemoryManager.store('cvdCombinedView_lastQriskResult', payload.results, { persist: 'session', expiry: this.options.cacheTTL });
-                this._log('debug', 'QRISK3 result updated for combined view.', { score: payload.results.riskData?.score });
+            if (this._getCalculatorKeys().includes(payload.calculatorType)) {
+                this._setCalculatorResult(payload.calculatorType, payload.results);
+                this.dependencies.MemoryManager.store(this._memoryKeyFor(payload.calculatorType), payload.results, { persist: 'session', expiry: this.options.cacheTTL });
+                this._log('debug', `${payload.calculatorType} result updated for combined view.`, { score: payload.results.riskData?.score });
             }
         });
 
@@ -130,7 +159,7 @@ class CombinedViewManagerService {
      * Generates and displays the combined risk assessment.
      * This is the main orchestration method for the combined view.
      * @param {object} [currentPatientDataForRecalc=null] - Fresh patient data, typically from the
-     * 'Medication & Labs' tab, to force recalculation of FRS and QRISK3 before combining.
+     * 'Medication & Labs' tab, to force recalculation of every loaded calculator before combining.
      * If null, tries to use cached/last calculated FRS and QRISK3 results.
      * @public
      */
@@ -139,22 +168,30 @@ class CombinedViewManagerService {
         try {
             this._log('info', 'Generating combined assessment.', { hasNewData: !!currentPatientDataForRecalc });
 
+            const calculatorKeys = this._getCalculatorKeys();
             // Attempt to retrieve the latest individual results from memory if no new data is provided
             if (!currentPatientDataForRecalc) {
-                this.frsResults = this.dependencies.MemoryManager.retrieve('cvdCombinedView_lastFrsResult') || this.frsResults;
-                this.qriskResults = this.dependencies.MemoryManager.retrieve('cvdCombinedView_lastQriskResult') || this.qriskResults;
+                calculatorKeys.forEach(key => {
+                    const cached = this.dependencies.MemoryManager.retrieve(this._memoryKeyFor(key));
+                    if (cached) this._setCalculatorResult(key, cached);
+                });
             }
+            const availableKeys = calculatorKeys.filter(key => this.calculatorResults[key]?.success);
 
-            // Check if we need to use RiskCalculator.calculateCombinedRisk or if we can use existing results
-            // RiskCalculator.calculateCombinedRisk will handle sub-calculations if currentPatientDataForRecalc is provided
-            // or if its internal cache for FRS/QRISK3 is stale/missing for that data.
-            if (currentPatientDataForRecalc || !this.frsResults?.success || !this.qriskResults?.success) {
+            // Recalculate through RiskCalculator.calculateCombinedRisk when new data is given or fewer than two
+            // calculators have results to combine; otherwise combine the existing results.
+            if (currentPatientDataForRecalc || availableKeys.length < 2) {
                 if (!this.dependencies.RiskCalculator) {
-                    throw new Error("RiskCalculator service is not available for combined assessment.");
+                    throw new Error('RiskCalculator service is not available for combined assessment.');
+                }
+                if (!currentPatientDataForRecalc) {
+                    this.dependencies.ResultsDisplayService.displayError?.('Combined', 'At least two risk scores are needed for the combined view. Please calculate them individually or provide data via the main labs tab.');
+                    this.dependencies.EventBus.publish('combinedView:displayFailed', { error: 'Missing individual risk scores.' });
+                    this.dependencies.LoadingManager.hide();
+                    return;
                 }
-                this._log('info', 'Invoking RiskCalculator.calculateCombinedRisk for fresh combined data.');
-                // Pass the raw form data from "Medication & Labs" (or active form) to RiskCalculator.
-                // RiskCalculator's _prepareAndValidateData will be called internally for FRS and QRISK3.
+                this._log('info', 'Invoking RiskCalculator.calculateCombinedRisk for fresh combined data.', { calculators: calculatorKeys });
+                // RiskCalculator's _prepareAndValidateData will be called internally for each calculator.
                 this.combinedReportData = await this.dependencies.RiskCalculator.calculateCombinedRisk(
                     currentPatientDataForRecalc,
                     {
@@ -167,56 +204,26 @@ class CombinedViewManagerService {
                 if (!this.combinedReportData?.success) {
                     throw new Error(this.combinedReportData?.error || 'Combined calculation via RiskCalculator failed.');
                 }
-                // Update local FRS/QRISK results from the combined calculation
-                this.frsResults = this.combinedReportData.framingham;
-                this.qriskResults = this.combinedReportData.qrisk3;
+                // Update and cache the individual results from the combined calculation
+                const registry = this.dependencies.RiskCalculator.CALCULATORS || { frs: { resultKey: 'framingham' }, qrisk3: { resultKey: 'qrisk3' } };
+                calculatorKeys.forEach(key => {
+                    const result = this.combinedReportData[registry[key]?.resultKey];
+                    if (!result) return;
+                    this._setCalculatorResult(key, result);
+                    if (result.success) this.dependencies.MemoryManager.store(this._memoryKeyFor(key), result, { persist: 'session', expiry: this.options.cacheTTL });
+                });
 
-                // Cache the individual results if they were successful
-                if (this.frsResults?.success) {
-                    this.dependencies.MemoryManager.store('cvdCombinedView_lastFrsResult', this.frsResults, { persist: 'session', expiry: this.options.cacheTTL });
-                }
-                if (this.qriskResults?.success) {
-                    this.dependencies.MemoryManager.store('cvdCombinedView_lastQriskResult', this.qriskResults, { persist: 'session', expiry: this.options.cacheTTL });
-                }
-
-            } else if (this.frsResults?.success && this.qriskResults?.success) {
-                // We have existing valid FRS and QRISK3 results, construct combinedReportData manually
-                // This path is taken if combinedView:requestUpdate is called without new data.
-                this._log('info', 'Using existing FRS/QRISK3 results to build combined view.');
-                const basePatientData = this.frsResults.inputParameters || this.qriskResults.inputParameters || {};
-                const comparison = this.dependencies.RiskCalculator._compareCalculators(this.qriskResults, this.frsResults, basePatientData);
-                const recommendations = await this.dependencies.RiskCalculator.treatmentRecommendations.generateComprehensiveRecommendations(
-                    basePatientData,
-                    { frs: this.frsResults, qrisk3: this.qriskResults }
-                );
-
-                this.combinedReportData = {
-                    success: true,
-                    framingham: this.frsResults,
-                    qrisk3: this.qriskResults,
-                    comparison: comparison,
-                    recommendations: recommendations,
-                    riskData: { // Structure for ResultsDisplayService
-                        frsData: this.frsResults.riskData,
-                        qriskData: this.qriskResults.riskData,
-                        comparison: comparison
-                    },
-                    inputParameters: basePatientData,
-                    calculationDate: new Date().toISOString()
-                };
             } else {
-                // Not enough data to proceed
-                this.dependencies.ResultsDisplayService.displayError?.('Combined', 'FRS and/or QRISK3 results are not available. Please calculate them individually or provide data via the main labs tab.');
-                this.dependencies.EventBus.publish('combinedView:displayFailed', { error: 'Missing individual risk scores.' });
-                this.dependencies.LoadingManager.hide();
-                return;
+                // Combine existing results. This path is taken if combinedView:requestUpdate is called without new data.
+                this._log('info', 'Using existing results to build combined view.', { calculators: availableKeys });
+                this.combinedReportData = await this._buildCombinedReportFromResults(availableKeys);
             }
 
             // Display the combined results using ResultsDisplayService
             if (this.combinedReportData?.success) {
                 this.dependencies.ResultsDisplayService.displayResults(
                     'Combined',
-                    this.combinedReportData.riskData, // This should contain frsData, qriskData, and comparison
+                    this.combinedReportData.riskData, // Per-calculator data (frsData, qriskData, ..., calculators) and comparisons
                     this.combinedReportData.recommendations,
                     this.combinedReportData.riskData, // chartData can be the same as riskData for combined view
                     { preferredDisplay: this.options.preferredCalculatorDisplay }
@@ -237,15 +244,57 @@ class CombinedViewManagerService {
         }
     }
 
+    /**
+     * Builds combined report data from already-calculated results, in the shape returned by
+     * RiskCalculator.calculateCombinedRisk.
+     * @param {string[]} calculatorKeys - Keys with successful results in this.calculatorResults.
+     * @returns {Promise<object>}
+     * @private
+     */
+    async _buildCombinedReportFromResults(calculatorKeys) {
+        const RC = this.dependencies.RiskCalculator;
+        const registry = RC.CALCULATORS || { frs: { label: 'FRS', resultKey: 'framingham', riskDataKey: 'frsData' }, qrisk3: { label: 'QRISK3', resultKey: 'qrisk3', riskDataKey: 'qriskData' } };
+        const results = {}; const resultsByResultKey = {};
+        calculatorKeys.forEach(key => { results[key] = this.calculatorResults[key]; resultsByResultKey[registry[key].resultKey] = results[key]; });
+        const basePatientData = results.frs?.inputParameters || results.qrisk3?.inputParameters || results[calculatorKeys[0]].inputParameters || {};
+
+        let comparison = null;
+        if (results.frs && results.qrisk3) {
+            const additionalResults = {};
+            calculatorKeys.filter(key => key !== 'frs' && key !== 'qrisk3').forEach(key => { additionalResults[key] = results[key]; });
+            comparison = RC._compareCalculators(results.qrisk3, results.frs, basePatientData, 'tenYear', additionalResults);
+        }
+        const calculatorComparison = RC._compareAllCalculators ? RC._compareAllCalculators(results, 'tenYear') : null;
+        const recommendations = await RC.treatmentRecommendations.generateComprehensiveRecommendations(basePatientData, resultsByResultKey);
+
+        const riskData = { horizon: 'tenYear', calculators: {}, comparison, calculatorComparison }; // Structure for ResultsDisplayService
+        calculatorKeys.forEach(key => {
+            riskData[registry[key].riskDataKey] = results[key].riskData;
+            riskData.calculators[key] = { label: registry[key].label, ...results[key].riskData };
+        });
+
+        return {
+            success: true,
+            calculators: calculatorKeys,
+            ...resultsByResultKey,
+            comparison,
+            calculatorComparison,
+            recommendations,
+            riskData,
+            inputParameters: basePatientData,
+            calculationDate: new Date().toISOString()
+        };
+    }
+
     /**
      * Sets the preferred calculator display for the combined view.
-     * @param {'frs'|'qrisk3'|'combined'|'highest'} preference
+     * @param {string} preference - 'combined', 'highest', or a loaded calculator key (e.g. 'frs', 'score2').
      * @public
      */
     setPreferredCalculatorDisplay(preference) {
         const S = this.dependencies.InputSanitizer;
         const sanitizedPref = S.escapeHTML(String(preference)).toLowerCase();
-        const validPrefs = ['frs', 'qrisk3', 'combined', 'highest'];
+        const validPrefs = ['combined', 'highest', ...this._getCalculatorKeys()];
 
         if (validPrefs.includes(sanitizedPref)) {
             this.options.preferredCalculatorDisplay = sanitizedPref;
@@ -281,11 +330,11 @@ class CombinedViewManagerService {
      * @public
      */
     clearResults() {
+        this._getCalculatorKeys().forEach(key => this.dependencies.MemoryManager.remove(this._memoryKeyFor(key)));
+        this.calculatorResults = {};
         this.frsResults = null;
         this.qriskResults = null;
         this.combinedReportData = null;
-        this.dependencies.MemoryManager.remove('cvdCombinedView_lastFrsResult');
-        this.dependencies.MemoryManager.remove('cvdCombinedView_lastQriskResult');
         this.dependencies.MemoryManager.remove('lastCombinedReportData');
         this._log('info', 'Combined view results cleared.');
         this.dependencies.EventBus.publish('combinedView:cleared');
@@ -328,34 +377,5 @@ class CombinedViewManagerService {
 // });
 // window.CombinedViewManagerServiceInstance = CombinedViewManagerServiceInstance;
 // export default CombinedViewManagerServiceInstance;
-```
-
-**Key changes and fusion logic in this `CombinedViewManagerService` v1.2.0:**
-
-1.  **Singleton Structure**: Maintained from `combined-view-manager.js`.
-2.  **Dependencies**: Clearly lists dependencies like `RiskCalculator` and `ResultsDisplayService` which are crucial.
-3.  **State Management**:
-    * `frsResults` and `qriskResults` store the latest individual calculation objects.
-    * `combinedReportData` stores the comprehensive object returned by `RiskCalculator.calculateCombinedRisk`.
-    * Uses `MemoryManager` to cache `frsResults`, `qriskResults`, and `combinedReportData` in session storage.
-4.  **Event Handling**:
-    * Listens to `calculation:complete` to update its internal `frsResults` and `qriskResults`.
-    * The primary trigger is `combinedView:requestUpdate`, which calls `generateAndDisplayCombinedAssessment`. This event would be published by `AppUI` (e.g., when the "Combined View" tab is selected or an "Update Combined View" button is clicked).
-    * Listens to `preferences:updated` for changes to `preferredCalculatorDisplay`.
-5.  **`generateAndDisplayCombinedAssessment(currentPatientDataForRecalc = null)`**:
-    * This is the core method.
-    * If `currentPatientDataForRecalc` (e.g., from the "Medication & Labs" tab) is provided, or if cached individual FRS/QRISK3 results are missing/invalid, it calls `this.dependencies.RiskCalculator.calculateCombinedRisk()`. This central `RiskCalculator` method is expected to:
-        * Internally (re)calculate FRS and QRISK3 using the provided patient data.
-        * Perform the comparison between FRS and QRISK3.
-        * Generate combined treatment recommendations.
-        * Return a comprehensive object containing all this information.
-    * If valid cached FRS and QRISK3 results exist and no new data is provided, it manually constructs the `combinedReportData` by calling the comparison and recommendation logic from `RiskCalculator` (or its sub-modules) using the cached results.
-    * Finally, it calls `this.dependencies.ResultsDisplayService.displayResults('Combined', ...)` to render the entire combined view. The `ResultsDisplayService` will need a 'Combined' display profile in its selectors to handle the structured `riskData` (containing FRS, QRISK3, and comparison details) and `recommendations`.
-6.  **No Direct DOM Manipulation**: This service does **not** directly manipulate the DOM for displaying results. It delegates this to `ResultsDisplayService`. This is a key improvement from the older `combined.js`.
-7.  **Status Indicators**: The direct update of status indicators (like "FRS Calculated") is removed. `AppUI` should listen to `calculation:complete` events for FRS and QRISK3 to update these indicators. This service focuses on the combined view itself.
-8.  **Copy Data**: The `copyDataBetweenCalculators` functionality is best handled by `AppUI` as it involves direct form interactions.
-9.  **Preferred Calculator Display**: The `setPreferredCalculatorDisplay` method updates an internal option and can re-trigger the display via `ResultsDisplayService` if combined data is already available, allowing the `ResultsDisplayService` to adjust its rendering based on this preference.
-
-This fused module is now more aligned with a service-oriented architecture, focusing on orchestration and data preparation for the combined view, while delegating UI updates and core calculations.
-
-Next, I will work on fusing the chart rendering modules: `chart-renderer.js`, `improved-chart-renderer.js`, and the `RiskVisualization` class from `risk-visualization-module.js` into an enhanced `js/visualizations/chart-renderer.j
\ No newline at end of file
+
+export default CombinedViewManagerService;
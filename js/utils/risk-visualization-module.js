@@ -2,11 +2,12 @@
  * Enhanced Risk Visualization Module
  * @file /js/utils/risk-visualization.js
  * @description Provides interactive and accessible visualizations for cardiovascular risk
- * @version 2.0.1
+ * @version 2.1.0
  * @author CVD Risk Assessment Team
  */
 
 import { eventBus } from './event-bus.js';
+import IconArrayService from '../visualizations/icon-array.js';
 
 /**
  * RiskVisualization Class
@@ -126,6 +127,9 @@ class RiskVisualization {
         
         // Track active charts for clean up
         this.activeCharts = new Map();
+        
+        // SVG pictograph renderer (no chart library needed)
+        this.iconArray = new IconArrayService();
     }
     
     /**
@@ -286,6 +290,31 @@ class RiskVisualization {
         return chart;
     }
     
+    /**
+     * Creates a 100-person icon array ("12 out of 100 people like you") in the specified container
+     * @param {HTMLElement} container - Container element for the pictograph
+     * @param {Object} riskData - Risk data as proportions: baseRisk, modifiedRisk, treatedRisk (optional)
+     * and lpaModifier (optional, the Lp(a) evaluation with its factor)
+     * @param {Object} [options] - IconArrayService.toSVG options
+     * @returns {SVGElement|null} Rendered SVG element
+     * @public
+     */
+    createIconArrayVisualization(container, riskData, options = {}) {
+        if (!container || !riskData) return null;
+        
+        // Clean up any existing chart in this container
+        this._cleanupExistingChart(container.id);
+        
+        const risk = riskData.modifiedRisk || riskData.baseRisk || 0;
+        const model = this.iconArray.compose({
+            riskPercent: risk * 100,
+            lpaFactor: riskData.lpaModifier?.factor,
+            treatedRiskPercent: riskData.treatedRisk !== undefined ? riskData.treatedRisk * 100 : undefined
+        });
+        
+        return this.iconArray.render(container, model, options);
+    }
+    
     /**
      * Creates a detailed risk comparison visualization for the specified container
      * @param {HTMLElement} container - Container element for the chart
@@ -3,7 +3,9 @@
  * @file /js/utils/unit-converter.js
  * @description Provides robust and accurate unit conversions for clinical and
  * anthropometric measurements used in the CVD Risk Toolkit.
- * @version 1.1.0
+ * Lp(a) mass (mg/dL) and particle (nmol/L) units are not strictly interchangeable; see convertLpa().
+ * The central Lp(a) factor is configurable (ClinicalThresholds LPA.CONVERSION_NMOL_TO_MG, nmol/L per mg/dL).
+ * @version 1.3.0
  * @exports UnitConverterService
  */
 
@@ -35,6 +37,9 @@ class UnitConverterService {
 
         LPA_MG_DL_TO_NMOL_L: 2.15, // Approximate, can vary by assay and particle size. Common clinical average.
         LPA_NMOL_L_TO_MG_DL: 0.465, // 1 / 2.15
+        // Published nmol/L-per-mg/dL factors span roughly 1.85-2.85 depending on apo(a) isoform size
+        LPA_MG_DL_TO_NMOL_L_LOW: 1.85,
+        LPA_MG_DL_TO_NMOL_L_HIGH: 2.85,
 
         APOB_MG_DL_TO_G_L: 0.01,
         APOB_G_L_TO_MG_DL: 100,
@@ -67,11 +72,23 @@ class UnitConverterService {
         WEIGHT: 'weight',
     });
 
+    /**
+     * How an Lp(a) result was measured. Molar assays calibrated to the WHO/IFCC reference are
+     * insensitive to apo(a) isoform size; mass assays are not.
+     * @readonly
+     * @enum {string}
+     */
+    static LPA_ASSAY_TYPES = Object.freeze({
+        ISOFORM_INSENSITIVE: 'isoform_insensitive', // nmol/L
+        MASS: 'mass', // mg/dL
+        UNKNOWN: 'unknown',
+    });
+
     /**
      * Creates an instance of UnitConverterService.
      * @param {object} [options={}] - Configuration options.
      * @param {object} [options.dependencies={}] - Injected dependencies.
-     * Expected: ErrorLogger (optional).
+     * Expected: ErrorLogger (optional), ClinicalThresholds (optional).
      */
     constructor(options = {}) {
         if (UnitConverterService.instance) {
@@ -80,9 +97,10 @@ class UnitConverterService {
 
         this.dependencies = {
             ErrorLogger: options.dependencies?.ErrorLogger || window.ErrorDetectionSystemInstance || console,
+            ClinicalThresholds: window.ClinicalThresholds,
             ...options.dependencies,
         };
-        this._log('info', 'UnitConverterService Initialized (v1.1.0).');
+        this._log('info', 'UnitConverterService Initialized (v1.3.0).');
         UnitConverterService.instance = this;
     }
 
@@ -96,6 +114,15 @@ class UnitConverterService {
         }
     }
 
+    /**
+     * Central Lp(a) factor in nmol/L per mg/dL: LPA.CONVERSION_NMOL_TO_MG when configured, else LPA_MG_DL_TO_NMOL_L.
+     * @returns {number}
+     */
+    getLpaFactor() {
+        const configured = Number(this.dependencies.ClinicalThresholds?.get?.('LPA.CONVERSION_NMOL_TO_MG'));
+        return configured > 0 ? configured : UnitConverterService.CONVERSION_FACTORS.LPA_MG_DL_TO_NMOL_L;
+    }
+
     /**
      * Generic conversion function.
      * @param {number} value - The numeric value to convert.
@@ -140,8 +167,8 @@ class UnitConverterService {
                     else if (from === 'umol/l' && to === 'mg/dl') convertedValue = numericValue * F.CREATININE_UMOL_L_TO_MG_DL;
                     break;
                 case UnitConverterService.UNIT_TYPES.LPA:
-                    if (from === 'mg/dl' && to === 'nmol/l') convertedValue = numericValue * F.LPA_MG_DL_TO_NMOL_L;
-                    else if (from === 'nmol/l' && to === 'mg/dl') convertedValue = numericValue * F.LPA_NMOL_L_TO_MG_DL;
+                    if (from === 'mg/dl' && to === 'nmol/l') convertedValue = numericValue * this.getLpaFactor();
+                    else if (from === 'nmol/l' && to === 'mg/dl') convertedValue = numericValue / this.getLpaFactor();
                     break;
                 case UnitConverterService.UNIT_TYPES.APOB:
                     if (from === 'mg/dl' && to === 'g/l') convertedValue = numericValue * F.APOB_MG_DL_TO_G_L;
@@ -230,6 +257,50 @@ class UnitConverterService {
         return { feet, inches, error: null };
     }
 
+    /**
+     * Converts Lp(a) between mg/dL and nmol/L.
+     * Mass per particle depends on apo(a) isoform size, so a single factor is only an estimate.
+     * 'approximate' mode (default) flags the result and reports the converted value at both ends of
+     * the published factor range; 'fixed' mode returns the single-factor value, as convert() does.
+     * @param {number} value - Measured Lp(a).
+     * @param {string} fromUnit - 'mg/dL' or 'nmol/L'.
+     * @param {string} toUnit - 'mg/dL' or 'nmol/L'.
+     * @param {object} [options={}]
+     * @param {'approximate'|'fixed'} [options.mode='approximate']
+     * @param {string} [options.assayType='unknown'] - UnitConverterService.LPA_ASSAY_TYPES value for the measured result.
+     * @returns {{value: number|null, unit: string|null, error: string|null, approximate: boolean,
+     * range: {low: number, high: number}|null, factor: number|null, assayType: string, notes: string[]}}
+     */
+    convertLpa(value, fromUnit, toUnit, options = {}) {
+        const mode = options.mode || 'approximate';
+        const T = UnitConverterService.LPA_ASSAY_TYPES;
+        const assayType = Object.values(T).includes(options.assayType) ? options.assayType : T.UNKNOWN;
+        const base = this.convert(value, fromUnit, toUnit, UnitConverterService.UNIT_TYPES.LPA);
+        const notes = [];
+        const fromNmol = String(fromUnit).toLowerCase() === 'nmol/l';
+
+        if (assayType === T.MASS && fromNmol) notes.push('The nmol/L value was derived from a mass (mg/dL) assay and is not isoform-independent.');
+        if (assayType === T.ISOFORM_INSENSITIVE && !fromNmol) notes.push('The mg/dL value was derived from an isoform-insensitive (nmol/L) assay.');
+        if (base.error || String(fromUnit).toLowerCase() === String(toUnit).toLowerCase()) {
+            return { ...base, approximate: false, range: null, factor: null, assayType, notes };
+        }
+
+        const F = UnitConverterService.CONVERSION_FACTORS;
+        const factor = this.getLpaFactor();
+        const numericValue = parseFloat(value);
+        const decimals = fromNmol ? 1 : 0;
+        const bound = (f) => parseFloat((fromNmol ? numericValue / f : numericValue * f).toFixed(decimals));
+        if (mode === 'fixed') return { ...base, approximate: false, range: null, factor, assayType, notes };
+
+        notes.push(`Converted with ${factor} nmol/L per mg/dL; the true factor depends on apo(a) isoform size (about ${F.LPA_MG_DL_TO_NMOL_L_LOW}-${F.LPA_MG_DL_TO_NMOL_L_HIGH}).`);
+        const ends = [bound(F.LPA_MG_DL_TO_NMOL_L_LOW), bound(F.LPA_MG_DL_TO_NMOL_L_HIGH)];
+        return {
+            ...base, approximate: true,
+            range: { low: Math.min(...ends), high: Math.max(...ends) },
+            factor, assayType, notes
+        };
+    }
+
     // --- Specific common conversion methods for convenience ---
 
     cholesterolMgDlToMmolL(value) { return this.convert(value, 'mg/dL', 'mmol/L', UnitConverterService.UNIT_TYPES.CHOLESTEROL); }
@@ -238,8 +309,9 @@ class UnitConverterService {
     triglyceridesMgDlToMmolL(value) { return this.convert(value, 'mg/dL', 'mmol/L', UnitConverterService.UNIT_TYPES.TRIGLYCERIDES); }
     triglyceridesMmolLToMgDl(value) { return this.convert(value, 'mmol/L', 'mg/dL', UnitConverterService.UNIT_TYPES.TRIGLYCERIDES); }
 
-    lpaMgDlToNmolL(value) { return this.convert(value, 'mg/dL', 'nmol/L', UnitConverterService.UNIT_TYPES.LPA); }
-    lpaNmolLToMgDl(value) { return this.convert(value, 'nmol/L', 'mg/dL', UnitConverterService.UNIT_TYPES.LPA); }
+    // Pass `options` (see convertLpa) for the approximate result with its uncertainty range.
+    lpaMgDlToNmolL(value, options) { return options ? this.convertLpa(value, 'mg/dL', 'nmol/L', options) : this.convert(value, 'mg/dL', 'nmol/L', UnitConverterService.UNIT_TYPES.LPA); }
+    lpaNmolLToMgDl(value, options) { return options ? this.convertLpa(value, 'nmol/L', 'mg/dL', options) : this.convert(value, 'nmol/L', 'mg/dL', UnitConverterService.UNIT_TYPES.LPA); }
 
     apoBMgDlToGL(value) { return this.convert(value, 'mg/dL', 'g/L', UnitConverterService.UNIT_TYPES.APOB); }
     apoBGLToMgDl(value) { return this.convert(value, 'g/L', 'mg/dL', UnitConverterService.UNIT_TYPES.APOB); }
@@ -254,7 +326,5 @@ class UnitConverterService {
     weightKgToLb(value) { return this.convert(value, 'kg', 'lb', UnitConverterService.UNIT_TYPES.WEIGHT); }
 }
 
-// Instantiate and export the singleton service
-// const UnitConverterInstance = new UnitConverterService();
-// window.UnitConverter = UnitConverterInstance; // Optional global access
-// export default UnitConverterInstance;
+// Instantiate the singleton in main.js (window.UnitConverterServiceInstance)
+export default UnitConverterService;
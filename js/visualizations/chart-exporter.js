@@ -1,6 +1,7 @@
 /**
  * Chart Exporter for CVD Risk Toolkit
  * Provides functionality to export chart visualizations to various formats
+ * Plain SVG (such as the IconArrayService pictograph) is exported through the SVG path without D3.
  * 
  * Path: js/utils/chart-exporter.js
  * 
@@ -32,7 +33,8 @@ class ChartExporter {
             'Chart.js',
             'D3.js',
             'Highcharts',
-            'Canvas'
+            'Canvas',
+            'SVG'
         ];
         this.supportedFormats = [
             'PNG',
@@ -353,6 +355,9 @@ class ChartExporter {
                 result = await this.exportChartJS(chartElement, format, exportOptions);
             } else if (chartLibrary === 'D3.js' && typeof d3 !== 'undefined') {
                 result = await this.exportD3(chartElement, format, exportOptions);
+            } else if (chartLibrary === 'SVG') {
+                // The D3 export only reads the SVG element, so it serves plain SVG as well
+                result = await this.exportD3(chartElement, format, exportOptions);
             } else if (chartLibrary === 'Highcharts' && typeof Highcharts !== 'undefined') {
                 result = await this.exportHighcharts(chartElement, format, exportOptions);
             } else {
@@ -459,6 +464,11 @@ class ChartExporter {
                 return 'Canvas';
             }
             
+            // Plain SVG without D3 (e.g. the icon array)
+            if (element.tagName.toLowerCase() === 'svg' || element.querySelector('svg')) {
+                return 'SVG';
+            }
+            
             // Default to HTML
             return 'HTML';
         } catch (error) {
@@ -546,7 +556,7 @@ class ChartExporter {
     async exportD3(element, format, options) {
         try {
             // Find SVG element
-            const svgElement = element.tagName === 'SVG' ? element : element.querySelector('svg');
+            const svgElement = element.tagName.toLowerCase() === 'svg' ? element : element.querySelector('svg');
             
             if (!svgElement) {
                 // Fallback to HTML export if SVG not found
@@ -559,9 +569,9 @@ class ChartExporter {
                 // For SVG, extract SVG content
                 result = this.svgToDataURL(svgElement, options);
             } else if (format === 'pdf') {
-                // For PDF, convert SVG to image first, then to PDF
-                const svgDataUrl = this.svgToDataURL(svgElement, options).dataUrl;
-                result = await this.convertToPDF(svgDataUrl, options);
+                // For PDF, convert SVG to image first, then to PDF (jsPDF only embeds raster images)
+                const pngDataUrl = (await this.svgToImageDataURL(svgElement, 'png', options)).dataUrl;
+                result = await this.convertToPDF(pngDataUrl, options);
             } else {
                 // For PNG or JPEG, render SVG to canvas, then to image
                 result = await this.svgToImageDataURL(svgElement, format, options);
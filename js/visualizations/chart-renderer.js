@@ -6,7 +6,12 @@
  * performance optimizations, memory management, and specific chart types for CVD risk.
  * This module fuses functionalities from chart-renderer.js, improved-chart-renderer.js,
  * and the RiskVisualization class.
- * @version 2.1.0
+ * The treatment effect chart shows the risk after each step of RiskCalculator.calculateInterventionEffect().
+ * The sensitivity chart is a tornado of RiskCalculator.calculateSensitivity(): one bar per input, spanning the risk
+ * at its lower and higher value, widest first. The risk projection chart follows RiskCalculator.calculateRiskProjection()
+ * year by year, with and without treatment, against the 10% and 20% thresholds. The icon array is SVG drawn by
+ * IconArrayService and needs no chart library.
+ * @version 2.5.1
  * @exports ChartRendererService
  */
 
@@ -206,8 +211,16 @@ class ChartRendererService {
                 this.createCalculatorsComparisonChart(targetElementId, container, data.frsData, data.qriskData, options);
             } else if (chartType === 'riskFactors') {
                 this.createRiskFactorsContributionChart(targetElementId, container, data, options);
+            } else if (chartType === 'treatmentEffect' && data.steps) {
+                this.createInterventionStepsChart(targetElementId, container, data, options);
             } else if (chartType === 'treatmentEffect') {
                 this.createTreatmentBenefitChart(targetElementId, container, data.currentRisk, data.potentialRisk, options);
+            } else if (chartType === 'sensitivity') {
+                this.createSensitivityTornadoChart(targetElementId, container, data, options);
+            } else if (chartType === 'riskProjection') {
+                this.createRiskProjectionChart(targetElementId, container, data, options);
+            } else if (chartType === 'iconArray') {
+                this.createIconArrayChart(targetElementId, container, data, options);
             } else if (chartType === 'lipidProfile') {
                 this.createLipidProfileChart(targetElementId, container, data, options);
             } else if (chartType === 'riskOverTime') { // From improved-chart-renderer
@@ -455,6 +468,153 @@ class ChartRendererService {
         return chartInstance;
     }
 
+    /**
+     * Creates a bar chart of the simulated risk before and after each intervention step, labelled with the step's
+     * absolute risk reduction.
+     * @param {string} chartId - Unique ID for this chart instance.
+     * @param {HTMLElement} container - The DOM element.
+     * @param {object} simulation - RiskCalculator.calculateInterventionEffect() output.
+     * @param {object} [chartOptions={}] - Custom Chart.js options.
+     * @returns {Chart|null}
+     */
+    createInterventionStepsChart(chartId, container, simulation, chartOptions = {}) {
+        const labels = ['Current', ...simulation.steps.map(step => step.label)];
+        const risks = [simulation.baseRiskPercent, ...simulation.steps.map(step => step.riskPercent)];
+        if (!this.libraryLoaded) return this.renderFallbackChart(container, { id: chartId, type: 'bar', title: 'Projected Risk by Intervention', data: { labels, datasets: [{ data: risks }] } });
+        this._cleanupExistingChart(chartId, container);
+        const canvas = this._ensureCanvas(chartId, container);
+        if (!canvas) return null;
+
+        const colors = risks.map(risk => this._getRiskCategoryColor(risk));
+        const config = this._mergeOptions({
+            type: 'bar',
+            data: { labels, datasets: [{ label: '10-Year Risk', data: risks, backgroundColor: colors.map(c => c.fill), borderColor: colors.map(c => c.border), borderWidth: 1 }] },
+            options: {
+                responsive: true, maintainAspectRatio: false,
+                scales: { y: { beginAtZero: true, ticks: { callback: v => `${v}%` }, title: { display: true, text: '10-Year CVD Risk (%)' } } },
+                plugins: { legend: { display: false }, title: { display: true, text: `Projected Risk by Intervention (ARR ${simulation.absoluteRiskReduction}%)` },
+                           tooltip: { callbacks: { label: ctx => (ctx.dataIndex === 0 ? `${ctx.parsed.y.toFixed(1)}%` : `${ctx.parsed.y.toFixed(1)}% (−${simulation.steps[ctx.dataIndex - 1].absoluteRiskReduction} points)`) } }
+                }
+            }
+        }, chartOptions);
+        const chartInstance = new window.Chart(canvas.getContext('2d'), config);
+        this.chartInstances.set(chartId, chartInstance);
+        return chartInstance;
+    }
+
+    /**
+     * Creates a tornado chart of a one-way sensitivity analysis: for each input a floating bar from the risk at its
+     * lower value to the risk at its higher value, ranked by swing, with the current risk as the reference line.
+     * The same numbers are shown as a table by ResultsDisplayService.displaySensitivityAnalysis().
+     * @param {string} chartId - Unique ID for this chart instance.
+     * @param {HTMLElement} container - The DOM element.
+     * @param {object} analysis - RiskCalculator.calculateSensitivity() output.
+     * @param {object} [chartOptions={}] - Custom Chart.js options.
+     * @returns {Chart|null}
+     */
+    createSensitivityTornadoChart(chartId, container, analysis, chartOptions = {}) {
+        const factors = (analysis?.factors || []).filter(f => f.lowRiskPercent !== null && f.highRiskPercent !== null);
+        const labels = factors.map(f => (f.unit ? `${f.label} (${f.lowValue}–${f.highValue} ${f.unit})` : `${f.label} (${f.lowValue} / ${f.highValue})`));
+        const base = analysis?.baseRiskPercent ?? 0;
+        if (!this.libraryLoaded) return this.renderFallbackChart(container, { id: chartId, type: 'bar', title: 'Sensitivity of 10-Year Risk', data: { labels, datasets: [{ data: factors.map(f => f.swing) }] } });
+        this._cleanupExistingChart(chartId, container);
+        const canvas = this._ensureCanvas(chartId, container);
+        if (!canvas || !factors.length) return null;
+
+        const lowColor = this._getRiskCategoryColor(Math.min(...factors.map(f => f.lowRiskPercent)));
+        const highColor = this._getRiskCategoryColor(Math.max(...factors.map(f => f.highRiskPercent)));
+        const top = factors[0];
+        canvas.setAttribute('aria-label', `Tornado chart of 10-year risk, currently ${base}%. ${top.label} has the largest effect: ${top.lowRiskPercent}% to ${top.highRiskPercent}%.`);
+        const config = this._mergeOptions({
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [ // Floating bars from the current risk to each end; stacked so both ends share a row
+                    { label: 'Lower value', data: factors.map(f => [base, f.lowRiskPercent]), backgroundColor: lowColor.fill, borderColor: lowColor.border, borderWidth: 1 },
+                    { label: 'Higher value', data: factors.map(f => [base, f.highRiskPercent]), backgroundColor: highColor.fill, borderColor: highColor.border, borderWidth: 1 }
+                ]
+            },
+            options: {
+                indexAxis: 'y', responsive: true, maintainAspectRatio: false,
+                scales: { x: { ticks: { callback: v => `${v}%` }, title: { display: true, text: `10-Year CVD Risk (%), current ${base}%` } }, y: { stacked: true } },
+                plugins: { legend: { position: 'top' }, title: { display: true, text: 'What Matters Most: Sensitivity of 10-Year Risk' },
+                           tooltip: { callbacks: { label: ctx => {
+                               const f = factors[ctx.dataIndex]; const low = ctx.datasetIndex === 0;
+                               return `${low ? f.lowValue : f.highValue}${f.unit ? ` ${f.unit}` : ''}: ${low ? f.lowRiskPercent : f.highRiskPercent}%`;
+                           } } }
+                }
+            }
+        }, chartOptions);
+        const chartInstance = new window.Chart(canvas.getContext('2d'), config);
+        this.chartInstances.set(chartId, chartInstance);
+        return chartInstance;
+    }
+
+    /**
+     * Creates a line chart of the projected 10-year risk by age, untreated and treated, with the low and high risk
+     * thresholds as dashed reference lines.
+     * @param {string} chartId - Unique ID for this chart instance.
+     * @param {HTMLElement} container - The DOM element.
+     * @param {object} projection - RiskCalculator.calculateRiskProjection() output.
+     * @param {object} [chartOptions={}] - Custom Chart.js options.
+     * @returns {Chart|null}
+     */
+    createRiskProjectionChart(chartId, container, projection, chartOptions = {}) {
+        const points = projection?.points || [];
+        const labels = points.map(p => p.age);
+        const untreated = points.map(p => p.riskPercent);
+        const treated = points.map(p => p.treatedRiskPercent);
+        if (!this.libraryLoaded) return this.renderFallbackChart(container, { id: chartId, type: 'line', title: 'Projected 10-Year Risk by Age', data: { labels, datasets: [{ data: untreated }] } });
+        this._cleanupExistingChart(chartId, container);
+        const canvas = this._ensureCanvas(chartId, container);
+        if (!canvas || !points.length) return null;
+
+        const { low, high } = projection.thresholds;
+        canvas.setAttribute('aria-label', `Projected 10-year risk from age ${projection.startAge} to ${projection.endAge}: ${untreated[0]}% to ${untreated[untreated.length - 1]}% untreated, ${treated[treated.length - 1]}% treated. ${projection.summary}`);
+        const highColor = this._getRiskCategoryColor(high); const lowColor = this._getRiskCategoryColor(low);
+        const threshold = (value, color) => ({ label: `${value}% threshold`, data: labels.map(() => value), borderColor: color.border, borderDash: [6, 4], borderWidth: 1, pointRadius: 0, fill: false });
+        const config = this._mergeOptions({
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    { label: 'Without treatment', data: untreated, borderColor: this.currentColors.primary, backgroundColor: this.currentColors.primary, fill: false, tension: 0.2 },
+                    { label: 'With treatment', data: treated, borderColor: this.currentColors.secondary, backgroundColor: this.currentColors.secondary, fill: false, tension: 0.2 },
+                    threshold(low, lowColor), threshold(high, highColor)
+                ]
+            },
+            options: {
+                responsive: true, maintainAspectRatio: false,
+                scales: {
+                    x: { title: { display: true, text: 'Age (years)' } },
+                    y: { beginAtZero: true, suggestedMax: Math.max(high + 5, ...untreated), ticks: { callback: v => `${v}%` }, title: { display: true, text: '10-Year CVD Risk (%)' } }
+                },
+                plugins: { legend: { position: 'top' }, title: { display: true, text: `Projected 10-Year Risk by Age (${projection.drift === 'typical' ? 'typical age-related drift' : 'other factors constant'})` },
+                           tooltip: { callbacks: { title: items => `Age ${items[0].label}`, label: ctx => `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)}%` } }
+                }
+            }
+        }, chartOptions);
+        const chartInstance = new window.Chart(canvas.getContext('2d'), config);
+        this.chartInstances.set(chartId, chartInstance);
+        return chartInstance;
+    }
+
+    /**
+     * 100-person icon array of the 10-year risk, with the people spared by treatment and those due to raised Lp(a).
+     * Drawn as SVG, so it renders without Chart.js and exports through ChartExporter's SVG path.
+     * @param {string} chartId - Unique ID for this chart instance.
+     * @param {HTMLElement} container - The DOM element.
+     * @param {object} iconArray - IconArrayService.compose() or fromRiskResult() output.
+     * @param {object} [options={}] - IconArrayService.toSVG() options.
+     * @returns {SVGElement|null}
+     */
+    createIconArrayChart(chartId, container, iconArray, options = {}) {
+        const renderer = this.dependencies.IconArray;
+        if (!renderer || !iconArray?.segments) { this._log('warn', 'Icon array renderer or data missing.'); return null; }
+        this._cleanupExistingChart(chartId, container);
+        return renderer.render(container, iconArray, { id: `${chartId}-icon-array`, ...options });
+    }
+
     // --- Methods from improved-chart-renderer.js (RiskTime, LipidProfile) ---
     createRiskTimeChart(chartId, container, data, options = {}) { /* ... (Logic from improved-chart-renderer.js, adapted to use this.currentColors and this._ensureCanvas) ... */
         if (!this.libraryLoaded) return this.renderFallbackChart(container, { id: chartId, type: 'line', title: options?.title || 'Risk Over Time', data });
@@ -550,35 +710,5 @@ class ChartRendererService {
 
 }
 
-// Instantiate and export the singleton service (typically done in main.js)
-// const ChartRendererServiceInstance = new ChartRendererService({
-// dependencies: { /* ... */ }
-// });
-// window.ChartRendererServiceInstance = ChartRendererServiceInstance;
-// export default ChartRendererServiceInstance;
-```
-
-**Summary of Fusion and Enhancements for `ChartRendererService`:**
-
-1.  **Base**: Built upon the robust structure of `improved-chart-renderer.js` (v2.0.2).
-2.  **Specific Chart Methods Integrated**:
-    * `createCvdRiskScoreChart`: Replaces `createBasicRiskVisualization` from `RiskVisualization`. Creates a bar chart for 10-year CVD risk (base and modified if applicable).
-    * `createCalculatorsComparisonChart`: Replaces `createRiskComparisonVisualization`. Creates a bar chart comparing FRS and QRISK3 scores.
-    * `createRiskFactorsContributionChart`: Replaces `createRiskFactorVisualization`. Creates a bar chart (could be adapted for radar) for risk factor contributions, indicating modifiable factors.
-    * `createTreatmentBenefitChart`: Replaces `createTreatmentEffectVisualization`. Creates a bar chart showing current risk vs. potential risk after treatment.
-    * The original `createRiskTimeChart` and `createLipidProfileChart` from `improved-chart-renderer.js` are retained.
-3.  **Color Management**: Uses the `defaultConfig.colorSchemes` from `improved-chart-renderer.js`. The specific chart methods now use a helper `_getRiskCategoryColor` (inspired by `RiskVisualization`) to apply appropriate colors based on risk levels.
-4.  **Chart.js Dependency**: Continues to dynamically load Chart.js and the annotation plugin, with fallbacks.
-5.  **Accessibility & Performance**: Retains the accessibility plugin (ARIA, text descriptions) and memory optimization plugin (data downsampling) from `improved-chart-renderer.js`.
-6.  **Fallback Rendering**: Retains the SVG-based fallback rendering if Chart.js fails.
-7.  **Event Handling**:
-    * Listens to `chart:renderRequest` (expected to be published by `ResultsDisplayService` or `AppUI`) to trigger the creation of specific chart types. This makes the chart rendering more event-driven and decoupled.
-    * Continues to handle `theme:changed`, `memory:warning`, and `visibilitychange` events.
-8.  **DOM Management**:
-    * `_ensureCanvas`: Helper to create or reuse a canvas within the target container.
-    * `_cleanupExistingChart`: Destroys old Chart.js instance and clears the container before rendering a new chart.
-9.  **Dependencies**: Relies on injected dependencies for logging, event bus, memory management, etc., as established in the project structure. Helper functions are also assumed to be available.
-
-This fused `ChartRendererService` should now provide a unified and powerful interface for all charting needs within the CVD Risk Toolkit.
-
-Next, I will proceed to update `index.html` with the new UI elements you requested for the "Medication & Labs" and "QRISK3" ta
\ No newline at end of file
+// Instantiated with its dependencies by main.js (the constructor returns the singleton)
+export default ChartRendererService;
@@ -0,0 +1,162 @@
+/**
+ * Icon Array Module
+ * @file /js/visualizations/icon-array.js
+ * @description 100-person icon array (pictograph) of the 10-year risk: "12 out of 100 people like you". Of the
+ * people who would have an event, the array marks those spared by treatment (LDL-C lowering by the CTT relation,
+ * LdlBenefitService) and, of the rest, those accounted for by raised Lp(a) (the risk with the Lp(a) multiplier less
+ * the risk without it). Each person is counted once, so the coloured icons add up to the rounded risk.
+ * The array is built as a self-contained SVG string (no chart library or stylesheet), so the same markup is shown
+ * on screen, exported by ChartExporter and rasterized into the PDF report.
+ * Used by ChartRendererService ('iconArray'), RiskVisualization and PDFService.
+ * @version 1.0.0
+ * @reference Galesic M, Garcia-Retamero R, Gigerenzer G. Using icon arrays to communicate medical risks: overcoming low numeracy. Health Psychol. 2009;28(2):210-216.
+ * @reference Zipkin DA, et al. Evidence-based risk communication: a systematic review. Ann Intern Med. 2014;161(4):270-280.
+ * @exports IconArrayService
+ */
+
+'use strict';
+
+// Segments in drawing order (top-left, row by row); colours are inlined so exports match the screen
+const SEGMENTS = [
+    { key: 'remaining', label: 'Heart attack or stroke, even with treatment', color: '#dc3545' },
+    { key: 'lpa', label: 'Heart attack or stroke due to raised Lp(a)', color: '#6f42c1' },
+    { key: 'avoidable', label: 'Spared by treatment', color: '#28a745' },
+    { key: 'unaffected', label: 'No heart attack or stroke', color: '#ced4da' },
+];
+const COLUMNS = 10;
+const CELL = { width: 24, height: 30 };
+const PERSON = 'M3 25V16q0-5 5-5h4q5 0 5 5v9z'; // Body; the head is a circle above it
+
+class IconArrayService {
+    /**
+     * @param {object} [dependencies={}] - Injected dependencies.
+     * Expected: ErrorLogger, ClinicalThresholds (optional), LdlBenefit (LdlBenefitService, optional).
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = {
+            ErrorLogger: dependencies.ErrorLogger || { handleError: console.error, log: console.log },
+            ClinicalThresholds: dependencies.ClinicalThresholds || (typeof window !== 'undefined' ? window.ClinicalThresholds : undefined),
+            LdlBenefit: dependencies.LdlBenefit,
+        };
+        this.VERSION = '1.0.0';
+    }
+
+    _log(level, message, data) { this.dependencies.ErrorLogger.log?.(level, `IconArray: ${message}`, data); }
+
+    _get(path, defaultValue) { return this.dependencies.ClinicalThresholds?.get(path, defaultValue) || defaultValue; }
+
+    /**
+     * Counts out of 100 for each segment.
+     * @param {object} params
+     * @param {number} params.riskPercent - 10-year risk (%), with the Lp(a) multiplier when one was applied.
+     * @param {number} [params.lpaFactor] - Lp(a) risk multiplier applied to the risk (ignored unless above 1).
+     * @param {number} [params.treatedRiskPercent] - 10-year risk with treatment (%); without it nobody is spared.
+     * @returns {object} `{ riskPercent, treatedRiskPercent, lpaRiskPercent, counts: { events, remaining, lpa,
+     * avoidable, unaffected }, segments: [{ key, label, color, count }], headline, summary }`.
+     */
+    compose({ riskPercent, lpaFactor, treatedRiskPercent } = {}) {
+        const risk = Number(riskPercent);
+        if (!(risk >= 0)) throw new Error('A 10-year risk is required for an icon array.');
+        const clamp = (value, max) => Math.min(max, Math.max(0, Math.round(value)));
+        const treated = Number(treatedRiskPercent) >= 0 && Number(treatedRiskPercent) < risk ? Number(treatedRiskPercent) : risk;
+        const lpaRisk = Number(lpaFactor) > 1 ? risk - risk / Number(lpaFactor) : 0;
+
+        const events = clamp(risk, 100);
+        const avoidable = clamp(events - Math.round(treated), events);
+        const lpa = clamp(lpaRisk, events - avoidable); // People spared by treatment are not counted again
+        const counts = { events, remaining: events - avoidable - lpa, lpa, avoidable, unaffected: 100 - events };
+        const segments = SEGMENTS.map(segment => ({ ...segment, count: counts[segment.key] }));
+
+        const round = (value) => parseFloat(value.toFixed(1));
+        const headline = events === 0 ? 'Fewer than 1 out of 100 people like you' : `${events} out of 100 people like you`;
+        let summary = `${headline} will have a heart attack or stroke in the next 10 years.`;
+        if (lpa > 0) summary += ` Raised Lp(a) accounts for ${lpa} of them.`;
+        if (avoidable > 0) summary += ` Treatment would spare ${avoidable} of them.`;
+        return { riskPercent: round(risk), treatedRiskPercent: round(treated), lpaRiskPercent: round(lpaRisk), counts, segments, headline, summary };
+    }
+
+    /**
+     * Icon array of a RiskCalculator result: the Lp(a) multiplier from riskData.details.lpaModifier, and the treated
+     * risk from an LDL-C reduction of the patient's LDL-C (non-HDL-C without one).
+     * @param {object} result - RiskCalculator result (riskData and inputParameters).
+     * @param {object} [options={}] - `{ treatedRiskPercent }`, or `{ ldlReductionPercent }` (default
+     * ICON_ARRAY.TREATMENT_LDL_REDUCTION_PERCENT).
+     * @returns {object} compose() output with `treatment: { ldlReductionPercent }` (null when not modelled).
+     */
+    fromRiskResult(result, options = {}) {
+        const riskData = result?.riskData || result;
+        const lpaFactor = riskData?.details?.lpaModifier?.factor;
+        let treatedRiskPercent = options.treatedRiskPercent;
+        let treatment = null;
+        if (treatedRiskPercent === undefined && this.dependencies.LdlBenefit) {
+            const inputs = result?.inputParameters || {};
+            const ldl = inputs.ldl > 0 ? inputs.ldl : inputs.totalCholesterol - inputs.hdl;
+            const entered = options.ldlReductionPercent === undefined || options.ldlReductionPercent === '' ? NaN : Number(options.ldlReductionPercent);
+            const ldlReductionPercent = entered >= 0 ? entered : this._get('ICON_ARRAY.TREATMENT_LDL_REDUCTION_PERCENT', 40);
+            if (ldl > 0) {
+                treatedRiskPercent = this.dependencies.LdlBenefit.treatedRiskPercent(riskData.score, ldl * ldlReductionPercent / 100);
+                treatment = { ldlReductionPercent };
+            } else this._log('info', 'No LDL-C or non-HDL-C in the inputs; the treatment portion is not shown.');
+        }
+        return { ...this.compose({ riskPercent: riskData?.score, lpaFactor, treatedRiskPercent }), treatment };
+    }
+
+    /** Escapes text for SVG markup. @private */
+    _escape(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[c]));
+    }
+
+    /**
+     * Self-contained SVG markup of the icon array with its legend.
+     * @param {object} model - compose() or fromRiskResult() output.
+     * @param {object} [options={}] - `{ id, title }`; id prefixes the title and description ids.
+     * @returns {string} SVG markup.
+     */
+    toSVG(model, options = {}) {
+        const id = this._escape(options.id || 'icon-array');
+        const title = this._escape(options.title || model.headline);
+        const gridTop = 40;
+        const legendX = COLUMNS * CELL.width + 24;
+        const width = legendX + 300;
+        const height = gridTop + (100 / COLUMNS) * CELL.height + 10;
+
+        const colors = model.segments.flatMap(segment => Array(segment.count).fill(segment.color));
+        const icons = colors.map((color, i) => {
+            const x = (i % COLUMNS) * CELL.width; const y = gridTop + Math.floor(i / COLUMNS) * CELL.height;
+            return `<g transform="translate(${x} ${y})" fill="${color}"><circle cx="10" cy="5" r="4.5"/><path d="${PERSON}"/></g>`;
+        });
+        const shown = model.segments.filter(segment => segment.count > 0 || segment.key === 'remaining' || segment.key === 'unaffected');
+        const legend = shown.map((segment, i) => {
+            const y = gridTop + 20 + i * 28;
+            return `<rect x="${legendX}" y="${y - 12}" width="14" height="14" fill="${segment.color}"/>`
+                + `<text x="${legendX + 22}" y="${y}" font-size="13">${segment.count} ${this._escape(segment.label)}</text>`;
+        });
+        const notes = ['Each figure is one of 100 people with the same risk factors.'];
+        if (model.treatment) notes.push(`Treatment: LDL-C lowered ${model.treatment.ldlReductionPercent}% (CTT).`);
+        const noteText = notes.map((note, i) => `<text x="${legendX}" y="${gridTop + 20 + shown.length * 28 + 10 + i * 16}" font-size="11" fill="#6c757d">${this._escape(note)}</text>`);
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="${id}-title ${id}-desc" font-family="Helvetica, Arial, sans-serif">`
+            + `<title id="${id}-title">${title}</title><desc id="${id}-desc">${this._escape(model.summary)}</desc>`
+            + `<rect width="100%" height="100%" fill="#ffffff"/>`
+            + `<text x="0" y="22" font-size="16" font-weight="bold" fill="#212529">${this._escape(model.headline)} will have a heart attack or stroke in 10 years</text>`
+            + icons.join('') + legend.join('') + noteText.join('') + '</svg>';
+    }
+
+    /**
+     * Renders the icon array into a container, replacing its content.
+     * @param {HTMLElement} container - Target element.
+     * @param {object} model - compose() or fromRiskResult() output.
+     * @param {object} [options={}] - toSVG() options.
+     * @returns {SVGElement|null} The rendered SVG.
+     */
+    render(container, model, options = {}) {
+        if (!container || !model) return null;
+        container.innerHTML = this.toSVG(model, { id: container.id ? `${container.id}-icon-array` : undefined, ...options });
+        return container.querySelector('svg');
+    }
+
+    /** SVG markup as a data URL (for an <img> or canvas). */
+    toDataURL(svg) { return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`; }
+}
+
+export default IconArrayService;
@@ -156,7 +156,9 @@ function calculateRawQRISK3(data) {
   const age = data.age;
   const bmi = data.bmi;
   const sbp = data.sbp;
-  const sbps5 = data.sbpSd || 0; // Standard deviation of SBP
+  // A missing SBP SD sits at the model centre (no contribution) rather than 0, which understated risk;
+  // js/calculations/qrisk3-algorithm.js can impute it, and the Townsend score, with a plausible risk range.
+  const sbps5 = data.sbpSd || (isFemale ? 9.002537727355957 : 8.756621360778809); // Standard deviation of SBP
   const rati = data.cholRatio; // Total cholesterol / HDL ratio
   const town = data.townsend || 0; // Default to 0 if not provided
   const fh_cvd = data.familyHistory ? 1 : 0;
@@ -227,32 +229,32 @@ function cvd_female_raw(
   b_ra, b_renal, b_semi, b_sle, b_treatedhyp, b_type1, b_type2,
   bmi, ethrisk, fh_cvd, rati, sbp, sbps5, smoke_cat, surv, town
 ) {
-  const survivor = [;
+  const survivor = [
     0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
     0.988876402378082, // 10-year survival probability
     0, 0, 0, 0, 0
   ];
 
   // Conditional arrays for ethnicity and smoking
-  const Iethrisk = [;
+  const Iethrisk = [
     0,
     0,
     0.28040314332995425,
-    0.56298994142075398,
+    0.562989941420754,
     0.29590000851116516,
-    0.0727853798779825450000000,
+    0.07278537987798255,
     -0.17072135508857317,
-    -0.39371043314874971,
-    -0.32632495283530272,
+    -0.3937104331487497,
+    -0.3263249528353027,
     -0.17127056883241784
   ];
 
-  const Ismoke = [;
+  const Ismoke = [
     0,
     0.13386833786546262,
-    0.56200858012438537,
-    0.66749593377502547,
-    0.84948177644830847
+    0.5620085801243854,
+    0.6674959337750255,
+    0.8494817764483085
   ];
 
   // Applying fractional polynomial transforms
@@ -270,7 +272,7 @@ function cvd_female_raw(
   bmi_1 = bmi_1 - 0.154946178197861;
   bmi_2 = bmi_2 - 0.144462317228317;
   rati = rati - 3.476326465606690;
-  sbp = sbp - 123.130012512207030;
+  sbp = sbp - 123.13001251220703;
   sbps5 = sbps5 - 9.002537727355957;
   town = town - 0.392308831214905;
 
@@ -282,64 +284,64 @@ function cvd_female_raw(
   a += Ismoke[smoke_cat];
 
   // Sum from continuous values
-  a += age_1 * -8.1388109247726188;
-  a += age_2 * 0.79733376689699098;
-  a += bmi_1 * 0.29236092275460052;
+  a += age_1 * -8.138810924772619;
+  a += age_2 * 0.797333766896991;
+  a += bmi_1 * 0.2923609227546005;
   a += bmi_2 * -4.1513300213837665;
   a += rati * 0.15338035820802554;
-  a += sbp * 0.0131314884071034240000000;
-  a += sbps5 * 0.0078894541014586095000000;
-  a += town * 0.0772237905885901080000000;
+  a += sbp * 0.013131488407103424;
+  a += sbps5 * 0.00788945410145861;
+  a += town * 0.07722379058859011;
 
   // Sum from boolean values
   a += b_AF * 1.5923354969269663;
   a += b_atypicalantipsy * 0.25237642070115557;
-  a += b_corticosteroids * 0.59520725304601851;
+  a += b_corticosteroids * 0.5952072530460185;
   a += b_migraine * 0.301267260870345;
   a += b_ra * 0.21364803435181942;
-  a += b_renal * 0.65194569493845833;
+  a += b_renal * 0.6519456949384583;
   a += b_semi * 0.12555308058820178;
-  a += b_sle * 0.75880938654267693;
-  a += b_treatedhyp * 0.50931593683423004;
+  a += b_sle * 0.7588093865426769;
+  a += b_treatedhyp * 0.50931593683423;
   a += b_type1 * 1.7267977510537347;
   a += b_type2 * 1.0688773244615468;
   a += fh_cvd * 0.45445319020896213;
 
   // Sum from interaction terms
-  a += age_1 * (smoke_cat === 1 ? 1 : 0) * -4.7057161785851891;
+  a += age_1 * (smoke_cat === 1 ? 1 : 0) * -4.705716178585189;
   a += age_1 * (smoke_cat === 2 ? 1 : 0) * -2.7430383403573337;
-  a += age_1 * (smoke_cat === 3 ? 1 : 0) * -0.86608088829392182;
-  a += age_1 * (smoke_cat === 4 ? 1 : 0) * 0.90241562369710648;
+  a += age_1 * (smoke_cat === 3 ? 1 : 0) * -0.8660808882939218;
+  a += age_1 * (smoke_cat === 4 ? 1 : 0) * 0.9024156236971065;
   a += age_1 * b_AF * 19.938034889546561;
-  a += age_1 * b_corticosteroids * -0.98408045235936281;
+  a += age_1 * b_corticosteroids * -0.9840804523593628;
   a += age_1 * b_migraine * 1.7634979587872999;
   a += age_1 * b_renal * -3.5874047731694114;
   a += age_1 * b_sle * 19.690303738638292;
   a += age_1 * b_treatedhyp * 11.872809733921812;
   a += age_1 * b_type1 * -1.2444332714320747;
-  a += age_1 * b_type2 * 6.8652342000009599;
+  a += age_1 * b_type2 * 6.86523420000096;
   a += age_1 * bmi_1 * 23.802623412141742;
   a += age_1 * bmi_2 * -71.184947692087007;
-  a += age_1 * fh_cvd * 0.99467807940435127;
-  a += age_1 * sbp * 0.0341318423386154850000000;
+  a += age_1 * fh_cvd * 0.9946780794043513;
+  a += age_1 * sbp * 0.034131842338615485;
   a += age_1 * town * -1.0301180802035639;
-  a += age_2 * (smoke_cat === 1 ? 1 : 0) * -0.0755892446431930260000000;
+  a += age_2 * (smoke_cat === 1 ? 1 : 0) * -0.07558924464319303;
   a += age_2 * (smoke_cat === 2 ? 1 : 0) * -0.11951192874867074;
   a += age_2 * (smoke_cat === 3 ? 1 : 0) * -0.10366306397571923;
-  a += age_2 * (smoke_cat === 4 ? 1 : 0) * -0.13991853591718389;
-  a += age_2 * b_AF * -0.0761826510111625050000000;
+  a += age_2 * (smoke_cat === 4 ? 1 : 0) * -0.1399185359171839;
+  a += age_2 * b_AF * -0.0761826510111625;
   a += age_2 * b_corticosteroids * -0.12005364946742472;
-  a += age_2 * b_migraine * -0.0655869178986998590000000;
+  a += age_2 * b_migraine * -0.06558691789869986;
   a += age_2 * b_renal * -0.22688873086442507;
-  a += age_2 * b_sle * 0.0773479496790162730000000;
-  a += age_2 * b_treatedhyp * 0.0009685782358817443600000;
-  a += age_2 * b_type1 * -0.28724064624488949;
-  a += age_2 * b_type2 * -0.0971122525906954890000000;
-  a += age_2 * bmi_1 * 0.52369958933664429;
-  a += age_2 * bmi_2 * 0.0457441901223237590000000;
-  a += age_2 * fh_cvd * -0.0768850516984230380000000;
-  a += age_2 * sbp * -0.0015082501423272358000000;
-  a += age_2 * town * -0.0315934146749623290000000;
+  a += age_2 * b_sle * 0.07734794967901627;
+  a += age_2 * b_treatedhyp * 0.0009685782358817444;
+  a += age_2 * b_type1 * -0.2872406462448895;
+  a += age_2 * b_type2 * -0.09711225259069549;
+  a += age_2 * bmi_1 * 0.5236995893366443;
+  a += age_2 * bmi_2 * 0.04574419012232376;
+  a += age_2 * fh_cvd * -0.07688505169842304;
+  a += age_2 * sbp * -0.0015082501423272358;
+  a += age_2 * town * -0.03159341467496233;
 
   // Calculate the score
   const score = 100.0 * (1 - Math.pow(survivor[surv], Math.exp(a)));
@@ -355,32 +357,32 @@ function cvd_male_raw(
   b_migraine, b_ra, b_renal, b_semi, b_sle, b_treatedhyp, b_type1,
   b_type2, bmi, ethrisk, fh_cvd, rati, sbp, sbps5, smoke_cat, surv, town
 ) {
-  const survivor = [;
+  const survivor = [
     0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
     0.977268040180206, // 10-year survival probability
     0, 0, 0, 0, 0
   ];
 
   // Conditional arrays for ethnicity and smoking
-  const Iethrisk = [;
+  const Iethrisk = [
     0,
     0,
-    0.27719248760308279,
-    0.47446360714931268,
-    0.52961729919689371,
-    0.0351001591862990170000000,
-    -0.35807899669327919,
+    0.2771924876030828,
+    0.4744636071493127,
+    0.5296172991968937,
+    0.03510015918629902,
+    -0.3580789966932792,
     -0.4005648523216514,
     -0.41522792889830173,
     -0.26321348134749967
   ];
 
-  const Ismoke = [;
+  const Ismoke = [
     0,
     0.19128222863388983,
-    0.55241588192645552,
-    0.63835053027506072,
-    0.78983819881858019
+    0.5524158819264555,
+    0.6383505302750607,
+    0.7898381988185802
   ];
 
   // Applying fractional polynomial transforms
@@ -398,7 +400,7 @@ function cvd_male_raw(
   bmi_1 = bmi_1 - 0.149176135659218;
   bmi_2 = bmi_2 - 0.141913309693336;
   rati = rati - 4.300998687744141;
-  sbp = sbp - 128.571578979492190;
+  sbp = sbp - 128.57157897949219;
   sbps5 = sbps5 - 8.756621360778809;
   town = town - 0.526304900646210;
 
@@ -411,64 +413,64 @@ function cvd_male_raw(
 
   // Sum from continuous values
   a += age_1 * -17.839781666005575;
-  a += age_2 * 0.0022964880605765492000000;
-  a += bmi_1 * 2.4562776660536358;
-  a += bmi_2 * -8.3011122314711354;
-  a += rati * 0.17340196856327111;
-  a += sbp * 0.0129101265425533050000000;
-  a += sbps5 * 0.0102519142912904560000000;
-  a += town * 0.0332682012772872950000000;
+  a += age_2 * 0.002296488060576549;
+  a += bmi_1 * 2.456277666053636;
+  a += bmi_2 * -8.301112231471135;
+  a += rati * 0.1734019685632711;
+  a += sbp * 0.012910126542553305;
+  a += sbps5 * 0.010251914291290456;
+  a += town * 0.033268201277287295;
 
   // Sum from boolean values
-  a += b_AF * 0.88209236928054657;
+  a += b_AF * 0.8820923692805466;
   a += b_atypicalantipsy * 0.13046879855173513;
   a += b_corticosteroids * 0.45485399750445543;
   a += b_impotence2 * 0.22251859086705383;
   a += b_migraine * 0.25584178074159913;
   a += b_ra * 0.20970658013956567;
-  a += b_renal * 0.71853261288274384;
+  a += b_renal * 0.7185326128827438;
   a += b_semi * 0.12133039882047164;
   a += b_sle * 0.4401572174457522;
-  a += b_treatedhyp * 0.51659871082695474;
+  a += b_treatedhyp * 0.5165987108269547;
   a += b_type1 * 1.2343425521675175;
-  a += b_type2 * 0.85942071430932221;
-  a += fh_cvd * 0.54055469009390156;
+  a += b_type2 * 0.8594207143093222;
+  a += fh_cvd * 0.5405546900939016;
 
   // Sum from interaction terms
   a += age_1 * (smoke_cat === 1 ? 1 : 0) * -0.21011133933516346;
-  a += age_1 * (smoke_cat === 2 ? 1 : 0) * 0.75268676447503191;
-  a += age_1 * (smoke_cat === 3 ? 1 : 0) * 0.99315887556405791;
+  a += age_1 * (smoke_cat === 2 ? 1 : 0) * 0.7526867644750319;
+  a += age_1 * (smoke_cat === 3 ? 1 : 0) * 0.9931588755640579;
   a += age_1 * (smoke_cat === 4 ? 1 : 0) * 2.1331163414389076;
   a += age_1 * b_AF * 3.4896675530623207;
   a += age_1 * b_corticosteroids * 1.1708133653489108;
   a += age_1 * b_impotence2 * -1.506400985745431;
-  a += age_1 * b_migraine * 2.3491159871402441;
-  a += age_1 * b_renal * -0.50656716327223694;
-  a += age_1 * b_treatedhyp * 6.5114581098532671;
-  a += age_1 * b_type1 * 5.3379864878006531;
-  a += age_1 * b_type2 * 3.6461817406221311;
+  a += age_1 * b_migraine * 2.349115987140244;
+  a += age_1 * b_renal * -0.5065671632722369;
+  a += age_1 * b_treatedhyp * 6.511458109853267;
+  a += age_1 * b_type1 * 5.337986487800653;
+  a += age_1 * b_type2 * 3.646181740622131;
   a += age_1 * bmi_1 * 31.004952956033886;
   a += age_1 * bmi_2 * -111.29157184391643;
   a += age_1 * fh_cvd * 2.7808628508531887;
-  a += age_1 * sbp * 0.0188585244698658530000000;
+  a += age_1 * sbp * 0.018858524469865853;
   a += age_1 * town * -0.1007554870063731;
-  a += age_2 * (smoke_cat === 1 ? 1 : 0) * -0.0004985487027532612100000;
-  a += age_2 * (smoke_cat === 2 ? 1 : 0) * -0.0007987563331738541400000;
-  a += age_2 * (smoke_cat === 3 ? 1 : 0) * -0.0008370618426625129600000;
-  a += age_2 * (smoke_cat === 4 ? 1 : 0) * -0.0007840031915563728900000;
-  a += age_2 * b_AF * -0.0003499560834063604900000;
-  a += age_2 * b_corticosteroids * -0.0002496045095297166000000;
-  a += age_2 * b_impotence2 * -0.0011058218441227373000000;
-  a += age_2 * b_migraine * 0.0001989644604147863100000;
-  a += age_2 * b_renal * -0.0018325930166498813000000;
-  a += age_2 * b_treatedhyp * 0.0006383805310416501300000;
-  a += age_2 * b_type1 * 0.0006409780808752897000000;
-  a += age_2 * b_type2 * -0.0002469569558886831500000;
-  a += age_2 * bmi_1 * 0.0050380102356322029000000;
-  a += age_2 * bmi_2 * -0.0130744830025243190000000;
-  a += age_2 * fh_cvd * -0.0002479180990739603700000;
-  a += age_2 * sbp * -0.0000127187419158845700000;
-  a += age_2 * town * -0.0000932996423232728880000;
+  a += age_2 * (smoke_cat === 1 ? 1 : 0) * -0.0004985487027532612;
+  a += age_2 * (smoke_cat === 2 ? 1 : 0) * -0.0007987563331738541;
+  a += age_2 * (smoke_cat === 3 ? 1 : 0) * -0.000837061842662513;
+  a += age_2 * (smoke_cat === 4 ? 1 : 0) * -0.0007840031915563729;
+  a += age_2 * b_AF * -0.0003499560834063605;
+  a += age_2 * b_corticosteroids * -0.0002496045095297166;
+  a += age_2 * b_impotence2 * -0.0011058218441227373;
+  a += age_2 * b_migraine * 0.0001989644604147863;
+  a += age_2 * b_renal * -0.0018325930166498813;
+  a += age_2 * b_treatedhyp * 0.0006383805310416501;
+  a += age_2 * b_type1 * 0.0006409780808752897;
+  a += age_2 * b_type2 * -0.00024695695588868315;
+  a += age_2 * bmi_1 * 0.005038010235632203;
+  a += age_2 * bmi_2 * -0.013074483002524319;
+  a += age_2 * fh_cvd * -0.0002479180990739604;
+  a += age_2 * sbp * -0.00001271874191588457;
+  a += age_2 * town * -0.00009329964232327289;
 
   // Calculate the score
   const score = 100.0 * (1 - Math.pow(survivor[surv], Math.exp(a)));
@@ -499,7 +501,7 @@ function getContributingFactors(data) {
   }
 
   if (data.smoker && data.smoker !== 'non') {
-    const smokingImpact = data.smoker === 'heavy' ? 'high' :;
+    const smokingImpact = data.smoker === 'heavy' ? 'high' :
       (data.smoker === 'moderate' ? 'moderate' : 'low');
     factors.push({
       name: 'Smoking',
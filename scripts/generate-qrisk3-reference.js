@@ -0,0 +1,54 @@
+/**
+ * scripts/generate-qrisk3-reference.js
+ * Regenerates the `expected` values in test/fixtures/qrisk3-reference-patients.js from the term-by-term port of the
+ * published Q3_female.c / Q3_male.c functions in "Complete QRISK3 Code Patches.js" (cvd_female_raw / cvd_male_raw),
+ * not from the engine under test, so the conformance suite checks the engine against an independent transcription.
+ * Usage: node scripts/generate-qrisk3-reference.js
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import vm from 'node:vm';
+
+const root = process.cwd();
+const referencePath = path.join(root, 'Complete QRISK3 Code Patches.js');
+const fixturePath = path.join(root, 'test/fixtures/qrisk3-reference-patients.js');
+
+// The patch file also carries UI code and markdown; only the two published functions are evaluated
+const source = fs.readFileSync(referencePath, 'utf8');
+const extract = (name) => {
+  const start = source.indexOf(`function ${name}(`);
+  const end = source.indexOf('\n}\n', start);
+  if (start === -1 || end === -1) throw new Error(`${name} not found in ${referencePath}`);
+  return source.slice(start, end + 2);
+};
+const reference = vm.createContext({ Math });
+vm.runInContext(`${extract('cvd_female_raw')}\n${extract('cvd_male_raw')}`, reference);
+
+const { default: patients } = await import(new URL(`file://${fixturePath}`));
+
+const score = (row) => {
+  const f = (name) => (row.flags.includes(name) ? 1 : 0);
+  if (row.sex === 'female') {
+    return reference.cvd_female_raw(row.age, f('b_AF'), f('b_atypicalantipsy'), f('b_corticosteroids'), f('b_migraine'),
+      f('b_ra'), f('b_renal'), f('b_semi'), f('b_sle'), f('b_treatedhyp'), f('b_type1'), f('b_type2'),
+      row.bmi, row.ethrisk, f('fh_cvd'), row.rati, row.sbp, row.sbps5, row.smoke_cat, 10, row.town);
+  }
+  return reference.cvd_male_raw(row.age, f('b_AF'), f('b_atypicalantipsy'), f('b_corticosteroids'), f('b_impotence2'),
+    f('b_migraine'), f('b_ra'), f('b_renal'), f('b_semi'), f('b_sle'), f('b_treatedhyp'), f('b_type1'), f('b_type2'),
+    row.bmi, row.ethrisk, f('fh_cvd'), row.rati, row.sbp, row.sbps5, row.smoke_cat, 10, row.town);
+};
+
+let fixture = fs.readFileSync(fixturePath, 'utf8');
+let changed = 0;
+for (const row of patients) {
+  const expected = Number(score(row).toPrecision(10));
+  const pattern = new RegExp(`(\\{ id: '${row.id}',[^\\n]*expected: )[-0-9.e]+`);
+  if (!pattern.test(fixture)) throw new Error(`Row ${row.id} not found in the fixture`);
+  fixture = fixture.replace(pattern, (match, prefix) => {
+    if (Number(match.slice(prefix.length)) !== expected) changed++;
+    return `${prefix}${expected}`;
+  });
+}
+fs.writeFileSync(fixturePath, fixture);
+console.log(`${patients.length} reference patients, ${changed} expected values updated.`);
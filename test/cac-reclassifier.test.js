@@ -0,0 +1,103 @@
+/**
+ * CAC Reclassification Tests
+ * @file /test/cac-reclassifier.test.js
+ * @description Coronary artery calcium reclassification in CacReclassificationService, the combined
+ * assessment and the CCS lipid targets.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import CacReclassificationService from '../js/calculations/cac-reclassifier.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import Score2Algorithm from '../js/calculations/score2-algorithm.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const service = new CacReclassificationService({ ErrorLogger, ClinicalThresholds });
+
+describe('CacReclassificationService', () => {
+    it('down-classifies CAC 0 unless smoking, diabetes or family history is present', () => {
+        expect(service.evaluate(0)).to.include({ direction: 'down', band: '0' });
+        const smoker = service.evaluate(0, null, { isSmoker: true, familyHistory: true });
+        expect(smoker.direction).to.equal('none');
+        expect(smoker.reason).to.contain('current smoking, family history of premature ASCVD');
+    });
+
+    it('up-classifies CAC ≥100 or ≥75th MESA percentile', () => {
+        expect(service.evaluate(100)).to.include({ direction: 'up', band: '100-299' });
+        expect(service.evaluate(40, 80)).to.include({ direction: 'up', percentile: 80 });
+        expect(service.evaluate(40, 60)).to.include({ direction: 'none', band: '1-99' });
+        expect(service.evaluate(40, 140).percentile).to.equal(null);
+        expect(service.evaluate('')).to.equal(null);
+    });
+
+    it('moves one category along the scale, never lowering the top category', () => {
+        const scale = ['low', 'borderline', 'intermediate', 'high'];
+        expect(service.reclassify('intermediate', scale, service.evaluate(0))).to.deep.equal({ original: 'intermediate', category: 'borderline', changed: true, direction: 'down' });
+        expect(service.reclassify('high', scale, service.evaluate(0)).changed).to.equal(false);
+        expect(service.reclassify('low', scale, service.evaluate(0)).category).to.equal('low');
+        expect(service.reclassify('high', scale, service.evaluate(400)).category).to.equal('high');
+        expect(service.reclassify('borderline', scale, service.evaluate(250)).category).to.equal('intermediate');
+    });
+});
+
+describe('CAC in the combined assessment', () => {
+    const calculator = new RiskCalculator({
+        ErrorLogger,
+        PerformanceMonitor: { start: () => 0, end: () => {} },
+        ValidationHelpers: {
+            dependencies: { ClinicalThresholds },
+            validateSet: () => ({ isValid: true, errors: {} }),
+            isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+            convertLipid: (v) => ({ value: Number(v) }),
+            calculateBMI: () => ({ value: null })
+        },
+        FraminghamAlgorithm: FraminghamRiskScore,
+        QRISK3Algorithm: QRISK3Algorithm,
+        Score2Algorithm: Score2Algorithm
+    });
+    const rawData = {
+        'frs-age': '55', 'frs-sex': 'male', 'frs-total-chol': '5.8', 'frs-hdl': '1.2', 'frs-sbp': '145', 'frs-bp-treatment': 'no',
+        'frs-smoker': 'no', 'frs-diabetes': 'no', 'frs-risk-region': 'moderate'
+    };
+    const options = { useCache: false, generateRecommendations: false, calculators: ['frs', 'score2'] };
+
+    it('reclassifies every calculator category without changing the percentages', async () => {
+        const baseline = await calculator.calculateCombinedRisk(rawData, options);
+        expect(baseline.cacReclassification).to.equal(null);
+        const result = await calculator.calculateCombinedRisk({ ...rawData, 'ml-cac-score': '350' }, options);
+        expect(result.framingham.tenYearRiskPercent).to.equal(baseline.framingham.tenYearRiskPercent);
+        expect(result.cacReclassification.direction).to.equal('up');
+        expect(result.cacReclassification.calculators.frs.original).to.equal(result.framingham.riskCategory);
+        expect(result.riskData.calculators.score2.cacCategory).to.equal(result.cacReclassification.calculators.score2.category);
+        expect(result.riskData.cac).to.equal(result.cacReclassification);
+    });
+
+    it('does not down-classify smokers with CAC 0', async () => {
+        const result = await calculator.calculateCombinedRisk({ ...rawData, 'frs-smoker': 'yes', 'ml-cac-score': '0' }, options);
+        expect(result.cacReclassification.direction).to.equal('none');
+        expect(Object.values(result.cacReclassification.calculators).every(c => !c.changed)).to.equal(true);
+    });
+});
+
+describe('CAC in the CCS lipid targets', () => {
+    const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase: {}, ValidationHelpers: {}, InputSanitizer: {} } });
+    const patient = { ldl: 3.0, hasDiabetes: false };
+
+    it('treats a moderate-risk patient with CAC ≥100 to the high-risk target', () => {
+        const targets = recommendations._determineLipidTargetsCCS('MODERATE', patient, service.evaluate(180));
+        expect(targets.ldl_mmolL).to.equal(2.0);
+        expect(targets.percentReductionLDL).to.equal(50);
+        expect(targets.cacReclassification).to.include({ original: 'MODERATE', category: 'HIGH', changed: true });
+        expect(targets.rationale).to.contain('MODERATE → HIGH');
+    });
+
+    it('relaxes a moderate-risk patient with CAC 0 to the low-risk approach', () => {
+        const targets = recommendations._determineLipidTargetsCCS('MODERATE', patient, service.evaluate(0));
+        expect(targets.percentReductionLDL).to.equal(0);
+        expect(targets.cacReclassification.category).to.equal('LOW');
+    });
+});
@@ -0,0 +1,23 @@
+/**
+ * Chart Renderer Tests
+ * @file /test/chart-renderer.test.js
+ * @description Smoke test for ChartRendererService: the module parses, exports the class main.js instantiates, and
+ * carries the intervention, sensitivity, risk projection and icon array charts that the renderRequest handler routes to.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import ChartRendererService from '../js/visualizations/chart-renderer.js';
+
+describe('ChartRendererService', () => {
+    it('imports as the default-exported class', () => {
+        expect(ChartRendererService).to.be.a('function');
+        expect(ChartRendererService.name).to.equal('ChartRendererService');
+    });
+
+    it('provides the chart methods for each renderRequest chart type', () => {
+        for (const method of ['createInterventionStepsChart', 'createSensitivityTornadoChart', 'createRiskProjectionChart', 'createIconArrayChart', 'createTreatmentBenefitChart']) {
+            expect(ChartRendererService.prototype[method], method).to.be.a('function');
+        }
+    });
+});
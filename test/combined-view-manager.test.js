@@ -0,0 +1,89 @@
+/**
+ * Combined View Manager Tests
+ * @file /test/combined-view-manager.test.js
+ * @description CombinedViewManagerService loads, recalculates every calculator through RiskCalculator and hands the
+ * combined riskData to ResultsDisplayService.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import CombinedViewManagerService from '../js/utils/combined-view-manager.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import Score2Algorithm from '../js/calculations/score2-algorithm.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const riskCalculator = new RiskCalculator({
+    ErrorLogger,
+    PerformanceMonitor: { start: () => 0, end: () => {} },
+    ValidationHelpers: {
+        dependencies: { ClinicalThresholds },
+        validateSet: () => ({ isValid: true, errors: {} }),
+        isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+        convertLipid: (v) => ({ value: Number(v) }),
+        calculateBMI: () => ({ value: null })
+    },
+    FraminghamAlgorithm: FraminghamRiskScore,
+    QRISK3Algorithm: QRISK3Algorithm,
+    Score2Algorithm: Score2Algorithm
+});
+
+const rawData = {
+    'frs-age': '55', 'frs-sex': 'male', 'frs-total-chol': '5.8', 'frs-hdl': '1.2', 'frs-sbp': '145', 'frs-bp-treatment': 'no',
+    'frs-smoker': 'yes', 'frs-diabetes': 'no', 'frs-lpa': '120', 'frs-lpa-unit': 'nmol/L', 'frs-risk-region': 'moderate',
+    'qrisk-age': '55', 'qrisk-sex': 'male', 'qrisk-ethnicity': 'WHITE', 'qrisk-sbp': '145', 'qrisk-bmi': '27',
+    'qrisk-cholesterol-ratio': '4.8', 'qrisk-smoker': 'moderate_smoker', 'qrisk-diabetes': 'none'
+};
+
+/** A fresh (non-singleton) manager with recording display and event bus stubs. */
+const createManager = () => {
+    CombinedViewManagerService.instance = null;
+    const calls = { displayed: [], errors: [], published: [] };
+    const manager = new CombinedViewManagerService({
+        dependencies: {
+            ErrorLogger,
+            RiskCalculator: riskCalculator,
+            EventBus: { subscribe: () => ({ unsubscribe: () => {} }), publish: (event, payload) => calls.published.push({ event, payload }) },
+            ResultsDisplayService: {
+                displayResults: (...args) => calls.displayed.push(args),
+                displayError: (...args) => calls.errors.push(args)
+            }
+        }
+    });
+    return { manager, calls };
+};
+
+describe('CombinedViewManagerService', () => {
+    it('recalculates every loaded calculator and displays the combined riskData', async () => {
+        const { manager, calls } = createManager();
+        await manager.generateAndDisplayCombinedAssessment(rawData);
+        expect(calls.errors).to.deep.equal([]);
+        expect(calls.displayed).to.have.length(1);
+        const [view, riskData] = calls.displayed[0];
+        expect(view).to.equal('Combined');
+        expect(Object.keys(riskData.calculators)).to.deep.equal(['frs', 'qrisk3', 'score2']);
+        expect(riskData.calculatorComparison.calculators.every(c => c.lpaModified)).to.equal(true);
+        expect(manager.frsResults.success).to.equal(true);
+        expect(manager.qriskResults).to.equal(manager.calculatorResults.qrisk3);
+        expect(manager.getCombinedReportData().calculators).to.deep.equal(['frs', 'qrisk3', 'score2']);
+        expect(calls.published.map(p => p.event)).to.include('combinedView:displayed');
+    });
+
+    it('asks for at least two results when there is nothing to combine', async () => {
+        const { manager, calls } = createManager();
+        await manager.generateAndDisplayCombinedAssessment();
+        expect(calls.displayed).to.have.length(0);
+        expect(calls.errors[0][0]).to.equal('Combined');
+        expect(calls.published.map(p => p.event)).to.include('combinedView:displayFailed');
+    });
+
+    it('accepts only loaded calculators as the preferred display', () => {
+        const { manager } = createManager();
+        manager.setPreferredCalculatorDisplay('SCORE2');
+        expect(manager.options.preferredCalculatorDisplay).to.equal('score2');
+        manager.setPreferredCalculatorDisplay('pce');
+        expect(manager.options.preferredCalculatorDisplay).to.equal('score2');
+    });
+});
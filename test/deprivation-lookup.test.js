@@ -0,0 +1,124 @@
+/**
+ * Deprivation Lookup Tests
+ * @file /test/deprivation-lookup.test.js
+ * @description Offline postcode -> Townsend lookup in DeprivationLookupService (no bundled data; a registered,
+ * sourced dataset), and its use by FieldMapperService imports and the RiskCalculator QRISK3 inputs.
+ * @version 2.0.0
+ */
+
+import { expect } from 'chai';
+import DeprivationLookupService from '../js/data-management/deprivation-lookup.js';
+import FieldMapperService from '../js/data-management/field-mapper.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+// Made-up scores in the registered-dataset shape; not real area data
+const FIXTURE = {
+    SOURCE: 'Test fixture',
+    UK_TOWNSEND: { E1: 6.1, B6: 6.3, L8: 6.6, SW1A: 1.2 },
+    CA_FSA_QUINTILES: { M5V: 2, M3N: 5, H3Y: 1 },
+    CA_QUINTILE_TOWNSEND: {
+        1: { value: -4.0, range: [-7.0, -3.0] }, 2: { value: -2.2, range: [-3.0, -1.4] }, 3: { value: -0.3, range: [-1.4, 0.9] },
+        4: { value: 2.2, range: [0.9, 3.8] }, 5: { value: 5.9, range: [3.8, 11.0] }
+    }
+};
+const lookup = new DeprivationLookupService({ dataset: FIXTURE, dependencies: { ErrorLogger } });
+
+describe('DeprivationLookupService', () => {
+    it('ships no area data and requires a sourced dataset', () => {
+        const empty = new DeprivationLookupService({ dependencies: { ErrorLogger } });
+        expect(empty.hasData()).to.equal(false);
+        expect(empty.lookup('E1 6AN')).to.equal(null);
+        expect(() => empty.registerDataset({ UK_TOWNSEND: { E1: 6.1 } })).to.throw('SOURCE');
+        empty.registerDataset({ SOURCE: 'Site table', UK_TOWNSEND: { E1: 6.1 } });
+        expect(empty.lookup('E1 6AN')).to.include({ townsendScore: 6.1, source: 'Site table' });
+    });
+
+    it('matches a UK postcode to its most specific known area', () => {
+        const area = lookup.lookup('e1 6an');
+        expect(area).to.include({ townsendScore: 6.1, country: 'UK', postalCode: 'E1 6AN', area: 'E1', level: 'district', approximate: true });
+        expect(lookup.parse('SW1A1AA').keys).to.deep.equal(['SW1A 1AA', 'SW1A 1', 'SW1A']);
+
+        const site = new DeprivationLookupService({ dataset: FIXTURE, dependencies: { ErrorLogger } });
+        site.registerDataset({ UK_TOWNSEND: { 'E1 6AN': 7.4, 'E1 6': 6.8 } });
+        expect(site.lookup('E1 6AN')).to.include({ townsendScore: 7.4, level: 'postcode', approximate: false });
+        expect(site.lookup('E1 6BB')).to.include({ townsendScore: 6.8, level: 'sector' });
+    });
+
+    it('places a Canadian FSA quintile on the Townsend scale', () => {
+        const area = lookup.lookup('M3N 2K1');
+        expect(area).to.include({ country: 'CA', area: 'M3N', level: 'fsa', quintile: 5, townsendScore: 5.9, approximate: true });
+        expect(area.range).to.deep.equal([3.8, 11.0]);
+        expect(lookup.lookup('H3Y').quintile).to.equal(1);
+    });
+
+    it('resolves three-character codes by country hint and table, defaulting to UK', () => {
+        expect(lookup.parse('W1A').country).to.equal('UK');
+        expect(lookup.parse('M5V').country).to.equal('CA'); // Known FSA
+        expect(lookup.parse('W1A', 'CA').country).to.equal('CA');
+        expect(lookup.lookup('ZZ9 9ZZ')).to.equal(null);
+        expect(lookup.lookup('not a postcode')).to.equal(null);
+    });
+});
+
+describe('Townsend from postal code on import', () => {
+    const mapper = new FieldMapperService({
+        forceNewInstance: true,
+        dependencies: { ErrorLogger, UnitConverterService: null, InputSanitizer: null, ValidationHelpers: null, DeprivationLookup: lookup }
+    });
+    mapper.registerProfile('emr', { toInternal: { 'patient.postalCode': 'address.postalCode', 'patient.townsendScore': 'townsend' } });
+
+    it('fills a missing Townsend score and keeps one the EMR sent', () => {
+        const filled = mapper.mapToInternal({ address: { postalCode: 'L8 1XY' } }, 'emr');
+        expect(filled.patient.townsendScore).to.equal(6.6);
+        expect(filled.patient.townsendLookup.basis).to.contain('district L8');
+        const kept = mapper.mapToInternal({ address: { postalCode: 'L8 1XY' }, townsend: 1.5 }, 'emr');
+        expect(kept.patient.townsendScore).to.equal(1.5);
+        expect(kept.patient.townsendLookup).to.equal(undefined);
+    });
+});
+
+describe('Townsend from postal code in RiskCalculator', () => {
+    const calculator = new RiskCalculator({
+        ErrorLogger,
+        PerformanceMonitor: { start: () => 0, end: () => {} },
+        ValidationHelpers: {
+            dependencies: { ClinicalThresholds: { get: (path, defaultValue) => defaultValue } },
+            validateSet: () => ({ isValid: true, errors: {} }),
+            isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+            convertLipid: (v) => ({ value: Number(v) }),
+            calculateBMI: () => ({ value: null })
+        },
+        FraminghamAlgorithm: FraminghamRiskScore,
+        QRISK3Algorithm: QRISK3Algorithm,
+        DeprivationLookup: lookup
+    });
+    const rawData = {
+        'qrisk-age': '62', 'qrisk-sex': 'male', 'qrisk-ethnicity': 'white', 'qrisk-sbp': '142', 'qrisk-bmi': '27',
+        'qrisk-cholesterol-ratio': '4.4', 'qrisk-smoker': 'non', 'qrisk-diabetes': 'none'
+    };
+    const options = { useCache: false, generateRecommendations: false };
+
+    it('uses the postcode when no Townsend score is entered', async () => {
+        const withoutPostcode = await calculator.calculateQRisk3(rawData, options);
+        const withPostcode = await calculator.calculateQRisk3({ ...rawData, 'qrisk-postcode': 'B6 4AA' }, options);
+        expect(withPostcode.inputParameters.townsendScore).to.equal(6.3);
+        expect(withPostcode.tenYearRiskPercentExact).to.be.above(withoutPostcode.tenYearRiskPercentExact);
+        expect(withPostcode.riskData.details.townsendSource).to.contain('district B6').and.contain('Test fixture');
+
+        const entered = await calculator.calculateQRisk3({ ...rawData, 'qrisk-postcode': 'B6 4AA', 'qrisk-townsend': '-1' }, options);
+        expect(entered.inputParameters.townsendScore).to.equal(-1);
+        expect(entered.riskData.details.townsendSource).to.equal(undefined);
+    });
+
+    it('reports the lookup when the form filled the score from the postcode', async () => {
+        const filled = await calculator.calculateQRisk3({ ...rawData, 'qrisk-postcode': 'B6 4AA', townsend_score: '6.3', townsend_source: 'postcode' }, options);
+        expect(filled.inputParameters.townsendScore).to.equal(6.3);
+        expect(filled.riskData.details.townsendSource).to.contain('looked up from postcode B6 4AA');
+        const typed = await calculator.calculateQRisk3({ ...rawData, 'qrisk-postcode': 'B6 4AA', townsend_score: '2' }, options);
+        expect(typed.inputParameters.townsendScore).to.equal(2);
+        expect(typed.riskData.details.townsendSource).to.equal(undefined);
+    });
+});
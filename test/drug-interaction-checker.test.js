@@ -0,0 +1,88 @@
+/**
+ * Drug Interaction Checker Tests
+ * @file /test/drug-interaction-checker.test.js
+ * @description Interaction, duplication and contraindication alerts in DrugInteractionService, and
+ * TreatmentRecommendationsService checking the drugs it proposes against the current list.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import MedicationDatabase from '../js/data/medication-database.js';
+import DrugInteractionService from '../js/calculations/drug-interaction-checker.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const checker = new DrugInteractionService({ ErrorLogger, ClinicalThresholds, MedicationDatabase });
+const ids = (alerts) => alerts.map(a => a.id);
+
+describe('DrugInteractionService', () => {
+    it('resolves generic, brand, free-text and class-only names', () => {
+        expect(checker.resolve('Lipitor')).to.include({ name: 'Atorvastatin', class: 'Statin' });
+        expect(checker.resolve('diltiazem')).to.include({ name: 'Diltiazem CD', subClass: 'Non-Dihydropyridine' });
+        expect(checker.resolve('simvastatin 40mg').name).to.equal('Simvastatin');
+        expect(checker.resolve('Statin')).to.include({ class: 'Statin', isClassOnly: true });
+        expect(checker.resolve('Clarithromycin')).to.include({ name: 'Clarithromycin', class: null });
+    });
+
+    it('grades drug-drug interactions and duplication, most severe first', () => {
+        const alerts = checker.check(['Simvastatin', 'Clarithromycin', 'Gemfibrozil', 'Diltiazem CD', 'Bisoprolol', 'Rosuvastatin']);
+        expect(alerts[0]).to.include({ id: 'simvastatin-lovastatin-strong-cyp3a4', severity: 'contraindicated' });
+        expect(ids(alerts)).to.include.members(['statin-gemfibrozil', 'simvastatin-lovastatin-non-dhp-ccb', 'non-dhp-ccb-beta-blocker', 'duplication']);
+        const ranks = alerts.map(a => ['contraindicated', 'major', 'moderate', 'minor'].indexOf(a.severity));
+        expect(ranks).to.deep.equal([...ranks].sort((a, b) => a - b));
+        expect(checker.check(['Rosuvastatin', 'Amlodipine', 'Ezetimibe'])).to.deep.equal([]);
+    });
+
+    it('reports only the alerts a proposed drug adds', () => {
+        const alerts = checker.checkAddition(['Ramipril', 'Diltiazem CD', 'Spironolactone'], 'Telmisartan');
+        expect(ids(alerts)).to.deep.equal(['acei-arb', 'raas-potassium-sparing']);
+        expect(alerts[0]).to.include({ severity: 'major', proposed: 'Telmisartan' });
+
+        const statin = checker.checkAddition(['Clarithromycin'], 'Statin');
+        expect(statin.find(a => a.severity === 'contraindicated').appliesTo).to.deep.equal(['Simvastatin', 'Lovastatin']);
+    });
+
+    it('checks contraindications against eGFR, CKD stage and pregnancy', () => {
+        expect(checker.checkAddition([], 'Metformin', { patient: { egfr: 25 } })[0]).to.include({ id: 'metformin-severe-ckd', severity: 'contraindicated' });
+        expect(ids(checker.checkAddition([], 'Metformin', { patient: { egfr: 40 } }))).to.deep.equal(['metformin-moderate-ckd']);
+        expect(ids(checker.checkAddition([], 'Metformin', { patient: { ckd_stage: 'ckd_stage4_5' } }))).to.deep.equal(['metformin-severe-ckd']);
+        expect(checker.checkAddition([], 'Metformin', { patient: { egfr: 75, ckd_stage: 'ckd_stage4_5' } })).to.deep.equal([]); // eGFR wins
+        expect(checker.checkAddition([], 'Ezetimibe', { patient: { pregnancy: 'yes' } })[0].condition).to.equal('pregnancy or breastfeeding');
+    });
+
+    it('drops grades below the configured minimum', () => {
+        const strict = new DrugInteractionService({ ErrorLogger, MedicationDatabase, ClinicalThresholds: { get: (path, d) => (path === 'DRUG_INTERACTIONS.MIN_ALERT_SEVERITY' ? 'moderate' : d) } });
+        expect(checker.check(['Atorvastatin', 'Fenofibrate'])).to.have.length(1);
+        expect(strict.check(['Atorvastatin', 'Fenofibrate'])).to.deep.equal([]);
+    });
+});
+
+describe('Interaction alerts in the recommendations', () => {
+    const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase, ValidationHelpers: {}, InputSanitizer: {} } });
+    const saved = { ...recommendations.dependencies }; // The service is a singleton; earlier suites may have created it
+
+    it('checks each proposed drug and regimen against the current list', () => {
+        Object.assign(recommendations.dependencies, { MedicationDatabase, DrugInteraction: checker });
+        try {
+            const recs = {
+                pharmacological: [
+                    { therapy: 'Statin', action: 'INTENSIFY' },
+                    { therapy: 'Ezetimibe', action: 'ADD' },
+                    { therapy: 'Current Statin', action: 'continue' },
+                ],
+                regimenOptions: { regimens: [{ components: [{ name: 'Rosuvastatin', dose: '20mg' }] }, { components: [{ name: 'Simvastatin', dose: '40mg' }] }] },
+            };
+            const current = [{ name: 'Simvastatin', dose: '20mg' }, { name: 'Amlodipine', dose: '5mg' }, { name: 'Gemfibrozil', dose: '600mg' }];
+            recommendations._checkProposedTherapies(recs, {}, current, { statin: 'Simvastatin' });
+            expect(ids(recs.interactionAlerts)).to.deep.equal(['statin-gemfibrozil', 'simvastatin-amlodipine']);
+            expect(recs.pharmacological[1].interactionAlerts).to.deep.equal([]);
+            expect(recs.pharmacological[2]).to.not.have.property('interactionAlerts');
+            // Switching to rosuvastatin replaces simvastatin: gemfibrozil remains, no statin duplication
+            expect(ids(recs.regimenOptions.regimens[0].interactionAlerts)).to.deep.equal(['statin-gemfibrozil']);
+            expect(recs.regimenOptions.regimens[1].interactionSeverity).to.equal('major');
+        } finally {
+            Object.assign(recommendations.dependencies, saved);
+        }
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * FH Diagnosis Tests
+ * @file /test/fh-diagnosis.test.js
+ * @description DLCN, Simon Broome and Canadian FH definitions in FHDiagnosisService, the untreated LDL-C
+ * back-calculation, and TreatmentRecommendationsService using the result for FH and PCSK9 coverage.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import FHDiagnosisService from '../js/calculations/fh-diagnosis.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const service = new FHDiagnosisService({ ErrorLogger, ClinicalThresholds });
+
+describe('FHDiagnosisService', () => {
+    it('back-calculates the untreated LDL-C from the current therapy', () => {
+        const untreated = service.estimateUntreatedLdl(3.0, { statinIntensity: 'high', hasEzetimibe: true });
+        expect(untreated).to.include({ value: 7.5, estimated: true, reductionPercent: 60 }); // 3.0 / (0.5 × 0.8)
+        expect(untreated.basis).to.contain('high-intensity statin + ezetimibe');
+        expect(service.estimateUntreatedLdl(3.0, { statinIntensity: 'high' }, 6.2)).to.include({ value: 6.2, estimated: false });
+        expect(service.estimateUntreatedLdl(3.0, {})).to.include({ value: 3.0, estimated: false });
+    });
+
+    it('scores DLCN with the highest criterion per group', () => {
+        const result = service.evaluate({
+            age: 45, ldl: 7.0, totalCholesterol: 9.1, tendonXanthomas: true, arcusBefore45: true,
+            firstDegreePrematureASCVD: true, relativeTendonXanthomas: true, geneticTest: 'not_done'
+        });
+        expect(result.dlcn.score).to.equal(13); // Family 2 + xanthomas 6 + LDL 6.5-8.4 5
+        expect(result.dlcn.category).to.equal('definite');
+        expect(result.simonBroome.category).to.equal('definite');
+        expect(result.canadian.category).to.equal('probable');
+        expect(result.confirmed).to.equal(true);
+    });
+
+    it('applies the Canadian age thresholds and genetic results', () => {
+        expect(service.evaluate({ age: 30, ldl: 4.6, geneticTest: 'relative_positive' }).canadian.category).to.equal('definite');
+        expect(service.evaluate({ age: 45, ldl: 4.6, geneticTest: 'relative_positive' }).canadian.category).to.equal('unlikely');
+        const severe = service.evaluate({ age: 45, ldl: 8.6 });
+        expect(severe.canadian.category).to.equal('definite');
+        expect(severe.dlcn).to.include({ score: 8, category: 'probable' });
+    });
+
+    it('leaves an isolated raised LDL-C unconfirmed', () => {
+        const result = service.evaluate({ age: 50, ldl: 5.5, totalCholesterol: 7.6 });
+        expect(result.dlcn).to.include({ score: 3, category: 'possible' });
+        expect(result.simonBroome.category).to.equal('unlikely');
+        expect(result.confirmed).to.equal(false);
+        expect(service.evaluate({ age: 50 })).to.equal(null);
+    });
+
+    it('reads the Medication & Labs form in either lipid unit', () => {
+        const inputs = service.fromFormData({
+            age: '52', ldl_cholesterol: '232', ldl_cholesterol_unit: 'mg_dl', 'ml-statin-intensity': 'moderate',
+            'ml-on-ezetimibe': 'on', 'ml-fh-tendon-xanthomas': 'on', 'ml-fh-premature-ascvd': 'coronary', 'ml-fh-genetic-test': 'positive'
+        });
+        expect(inputs).to.include({ age: 52, ldl: 6.0, tendonXanthomas: true, prematureCoronaryDisease: true, geneticTest: 'positive' });
+        expect(inputs.therapy).to.deep.equal({ statinIntensity: 'moderate', hasEzetimibe: true, hasPCSK9: false });
+    });
+});
+
+describe('FH diagnosis in the recommendations', () => {
+    const InputSanitizer = { escapeHTML: (v) => String(v), sanitizeObjectOrArray: (v) => v };
+    const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase: {}, ValidationHelpers: {}, InputSanitizer } });
+    recommendations.dependencies.FHDiagnosis = service; // The service is a singleton; earlier suites may have created it
+
+    it('confirms FH from the form fields on the untreated LDL-C', () => {
+        const therapy = { statinIntensity: 'high', hasEzetimibe: false, estimatedLDLReductionPercent: 50 };
+        const diagnosis = recommendations._diagnoseFH({ 'ml-fh-fdr-high-ldl': 'on' }, { age: 44, ldl: 2.8, totalCholesterol: 4.9 }, therapy);
+        expect(diagnosis.untreatedLdl.value).to.equal(5.6);
+        expect(diagnosis.canadian.category).to.equal('probable');
+        expect(recommendations._hasConfirmedFH({ fhDiagnosis: diagnosis })).to.equal(true);
+    });
+
+    it('feeds the diagnosis into BC PCSK9 coverage', () => {
+        const fhDiagnosis = service.evaluate({ age: 44, ldl: 3.0, therapy: { statinIntensity: 'high', hasEzetimibe: true }, tendonXanthomas: true });
+        const therapyEval = { isMaxStatinDose: true, statinIntoleranceHistory: 'none', hasEzetimibe: true };
+        const eligibility = recommendations._evaluateBCPCSK9Eligibility({ ldl: 3.0, fhDiagnosis, statinDurationMonths: 6, ezetimibeDurationMonths: 4 }, {}, therapyEval, {});
+        expect(eligibility.criteriaMet).to.include('Confirmed Familial Hypercholesterolemia (HeFH).');
+        expect(eligibility.eligible).to.equal(true);
+        expect(eligibility.notes[0]).to.contain('Untreated LDL-C 7.5 mmol/L');
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * QRISK3-2017 Reference Patients
+ * @file /test/fixtures/qrisk3-reference-patients.js
+ * @description Reference patient table for the QRISK3 conformance suite. Inputs use the argument
+ * names of the published cvd_female_raw / cvd_male_raw functions (ethrisk 1-9, smoke_cat 0-4,
+ * Townsend as a fractional score); `flags` lists the boolean terms set to 1.
+ * `expected` is the 10-year risk (%) from the published QRISK3-2017 reference equations
+ * (Q3_female.c / Q3_male.c) evaluated at double precision, rounded to 10 significant figures.
+ * The values are written by scripts/generate-qrisk3-reference.js, which evaluates the term-by-term
+ * port of those C functions in "Complete QRISK3 Code Patches.js" rather than either code path
+ * under test; re-run it after adding a patient, never edit a value by hand.
+ * Coverage: every ethnicity code for both sexes, every smoking category, every boolean flag at
+ * three ages, fractional Townsend scores, the age and BMI extremes and SBP variability.
+ * @version 1.1.0
+ */
+
+export const QRISK3_REFERENCE_PATIENTS = [
+    { id: 'F-eth1', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.101466382 },
+    { id: 'F-eth1-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 1, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 23.91012279 },
+    { id: 'F-eth2', sex: 'female', age: 55, bmi: 27.5, ethrisk: 2, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 5.392587029 },
+    { id: 'F-eth2-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 2, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 30.35070144 },
+    { id: 'F-eth3', sex: 'female', age: 55, bmi: 27.5, ethrisk: 3, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.089806675 },
+    { id: 'F-eth3-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 3, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 38.110051 },
+    { id: 'F-eth4', sex: 'female', age: 55, bmi: 27.5, ethrisk: 4, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 5.47445791 },
+    { id: 'F-eth4-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 4, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 30.74302968 },
+    { id: 'F-eth5', sex: 'female', age: 55, bmi: 27.5, ethrisk: 5, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.404208013 },
+    { id: 'F-eth5-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 5, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 25.46382538 },
+    { id: 'F-eth6', sex: 'female', age: 55, bmi: 27.5, ethrisk: 6, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 3.469076531 },
+    { id: 'F-eth6-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 6, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 20.57598034 },
+    { id: 'F-eth7', sex: 'female', age: 55, bmi: 27.5, ethrisk: 7, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 2.785449217 },
+    { id: 'F-eth7-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 7, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 16.83336582 },
+    { id: 'F-eth8', sex: 'female', age: 55, bmi: 27.5, ethrisk: 8, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 2.976698565 },
+    { id: 'F-eth8-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 8, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 17.89512216 },
+    { id: 'F-eth9', sex: 'female', age: 55, bmi: 27.5, ethrisk: 9, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 3.467205199 },
+    { id: 'F-eth9-older-smoker', sex: 'female', age: 72, bmi: 27.5, ethrisk: 9, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 20.56593358 },
+    { id: 'F-smoke0-age38', sex: 'female', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 0.8569010387 },
+    { id: 'F-smoke0-age66', sex: 'female', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 10.06275194 },
+    { id: 'F-smoke1-age38', sex: 'female', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 1, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 0.9455919747 },
+    { id: 'F-smoke1-age66', sex: 'female', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 1, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 11.11404066 },
+    { id: 'F-smoke2-age38', sex: 'female', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 2, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 1.528062429 },
+    { id: 'F-smoke2-age66', sex: 'female', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 2, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 14.28881562 },
+    { id: 'F-smoke3-age38', sex: 'female', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 1.733247541 },
+    { id: 'F-smoke3-age66', sex: 'female', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 15.44645173 },
+    { id: 'F-smoke4-age38', sex: 'female', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 4, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 2.175581931 },
+    { id: 'F-smoke4-age66', sex: 'female', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 4, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 16.11400721 },
+    { id: 'F-b_AF-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_AF'], expected: 5.558437654 },
+    { id: 'F-b_AF-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_AF'], expected: 16.2454442 },
+    { id: 'F-b_AF-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_AF'], expected: 44.22369932 },
+    { id: 'F-b_atypicalantipsy-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_atypicalantipsy'], expected: 0.5654277462 },
+    { id: 'F-b_atypicalantipsy-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_atypicalantipsy'], expected: 8.598521329 },
+    { id: 'F-b_atypicalantipsy-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_atypicalantipsy'], expected: 34.83492714 },
+    { id: 'F-b_corticosteroids-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_corticosteroids'], expected: 0.8723196427 },
+    { id: 'F-b_corticosteroids-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_corticosteroids'], expected: 9.981254022 },
+    { id: 'F-b_corticosteroids-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_corticosteroids'], expected: 33.17814952 },
+    { id: 'F-b_migraine-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_migraine'], expected: 0.6911696167 },
+    { id: 'F-b_migraine-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_migraine'], expected: 7.711849773 },
+    { id: 'F-b_migraine-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_migraine'], expected: 28.16846208 },
+    { id: 'F-b_ra-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_ra'], expected: 0.5440067928 },
+    { id: 'F-b_ra-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_ra'], expected: 8.285810613 },
+    { id: 'F-b_ra-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_ra'], expected: 33.76613578 },
+    { id: 'F-b_renal-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_renal'], expected: 0.9280314164 },
+    { id: 'F-b_renal-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_renal'], expected: 9.398202293 },
+    { id: 'F-b_renal-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_renal'], expected: 27.24362106 },
+    { id: 'F-b_semi-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_semi'], expected: 0.4982473176 },
+    { id: 'F-b_semi-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_semi'], expected: 7.614436584 },
+    { id: 'F-b_semi-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_semi'], expected: 31.4247015 },
+    { id: 'F-b_sle-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_sle'], expected: 2.044331366 },
+    { id: 'F-b_sle-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_sle'], expected: 9.670683525 },
+    { id: 'F-b_sle-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_sle'], expected: 36.21483639 },
+    { id: 'F-b_treatedhyp-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_treatedhyp'], expected: 1.232740882 },
+    { id: 'F-b_treatedhyp-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_treatedhyp'], expected: 8.159292431 },
+    { id: 'F-b_treatedhyp-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_treatedhyp'], expected: 29.90914052 },
+    { id: 'F-b_type1-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type1'], expected: 3.193035188 },
+    { id: 'F-b_type1-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type1'], expected: 21.6742354 },
+    { id: 'F-b_type1-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type1'], expected: 49.52539562 },
+    { id: 'F-b_type2-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type2'], expected: 1.923478542 },
+    { id: 'F-b_type2-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type2'], expected: 13.31912733 },
+    { id: 'F-b_type2-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type2'], expected: 40.78758849 },
+    { id: 'F-fh_cvd-age32', sex: 'female', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['fh_cvd'], expected: 0.7882039474 },
+    { id: 'F-fh_cvd-age61', sex: 'female', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['fh_cvd'], expected: 8.932623011 },
+    { id: 'F-fh_cvd-age80', sex: 'female', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['fh_cvd'], expected: 31.67053435 },
+    { id: 'F-town-6.2', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: -6.2, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 2.825526348 },
+    { id: 'F-town-3.75', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: -3.75, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 3.274754087 },
+    { id: 'F-town-0.4', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: -0.4, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.004350424 },
+    { id: 'F-town0.25', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 0.25, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.163330267 },
+    { id: 'F-town1.9', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 1.9, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.595123738 },
+    { id: 'F-town4.13', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 4.13, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 5.248719842 },
+    { id: 'F-town7.66', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 7.66, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 6.471860978 },
+    { id: 'F-town10.5', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 10.5, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.651500984 },
+    { id: 'F-age25', sex: 'female', age: 25, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 0.1637639399 },
+    { id: 'F-age30', sex: 'female', age: 30, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 0.3419936493 },
+    { id: 'F-age45', sex: 'female', age: 45, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 1.695846157 },
+    { id: 'F-age50', sex: 'female', age: 50, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 2.663585024 },
+    { id: 'F-age64', sex: 'female', age: 64, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 8.589866047 },
+    { id: 'F-age75', sex: 'female', age: 75, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 19.90173685 },
+    { id: 'F-age84', sex: 'female', age: 84, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 36.81935836 },
+    { id: 'F-bmi20', sex: 'female', age: 55, bmi: 20, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 3.885103165 },
+    { id: 'F-bmi23.4', sex: 'female', age: 55, bmi: 23.4, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 3.959900939 },
+    { id: 'F-bmi31.7', sex: 'female', age: 55, bmi: 31.7, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.250932955 },
+    { id: 'F-bmi36.2', sex: 'female', age: 55, bmi: 36.2, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.396557836 },
+    { id: 'F-bmi40', sex: 'female', age: 55, bmi: 40, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.504493536 },
+    { id: 'F-rati2.1-sbp105', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 2.1, sbp: 105, sbps5: 0, flags: [], expected: 2.046759161 },
+    { id: 'F-rati3.3-sbp118', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 3.3, sbp: 118, sbps5: 4.5, flags: [], expected: 2.91603746 },
+    { id: 'F-rati5.6-sbp152', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 5.6, sbp: 152, sbps5: 14.2, flags: [], expected: 6.327610532 },
+    { id: 'F-rati7.9-sbp178', sex: 'female', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 7.9, sbp: 178, sbps5: 22, flags: [], expected: 12.2417656 },
+    { id: 'F-multimorbid-age48', sex: 'female', age: 48, bmi: 33.1, ethrisk: 3, town: 3.2, smoke_cat: 4, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_ra', 'b_semi', 'b_treatedhyp', 'b_type2', 'fh_cvd'], expected: 61.23518039 },
+    { id: 'F-multimorbid-age70', sex: 'female', age: 70, bmi: 24.6, ethrisk: 7, town: -1.35, smoke_cat: 2, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_atypicalantipsy', 'b_corticosteroids', 'b_migraine'], expected: 22.28701952 },
+    { id: 'F-low-risk', sex: 'female', age: 28, bmi: 21.5, ethrisk: 1, town: -4.5, smoke_cat: 0, rati: 2.8, sbp: 112, sbps5: 3, flags: [], expected: 0.08802918306 },
+    { id: 'F-type1-young', sex: 'female', age: 29, bmi: 27.5, ethrisk: 6, town: 5.05, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type1'], expected: 2.573768605 },
+    { id: 'M-eth1', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.244656192 },
+    { id: 'M-eth1-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 1, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 29.77592252 },
+    { id: 'M-eth2', sex: 'male', age: 55, bmi: 27.5, ethrisk: 2, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 9.446272267 },
+    { id: 'M-eth2-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 2, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 37.27357077 },
+    { id: 'M-eth3', sex: 'male', age: 55, bmi: 27.5, ethrisk: 3, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 11.3846995 },
+    { id: 'M-eth3-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 3, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 43.33958494 },
+    { id: 'M-eth4', sex: 'male', age: 55, bmi: 27.5, ethrisk: 4, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 11.98994331 },
+    { id: 'M-eth4-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 4, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 45.13568375 },
+    { id: 'M-eth5', sex: 'male', age: 55, bmi: 27.5, ethrisk: 5, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.493516102 },
+    { id: 'M-eth5-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 5, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 30.65710071 },
+    { id: 'M-eth6', sex: 'male', age: 55, bmi: 27.5, ethrisk: 6, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 5.121166702 },
+    { id: 'M-eth6-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 6, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 21.89281191 },
+    { id: 'M-eth7', sex: 'male', age: 55, bmi: 27.5, ethrisk: 7, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.913469887 },
+    { id: 'M-eth7-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 7, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 21.08589671 },
+    { id: 'M-eth8', sex: 'male', age: 55, bmi: 27.5, ethrisk: 8, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.843709951 },
+    { id: 'M-eth8-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 8, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 20.81340785 },
+    { id: 'M-eth9', sex: 'male', age: 55, bmi: 27.5, ethrisk: 9, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 5.616205357 },
+    { id: 'M-eth9-older-smoker', sex: 'male', age: 72, bmi: 27.5, ethrisk: 9, town: 2.45, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 23.78989149 },
+    { id: 'M-smoke0-age38', sex: 'male', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 1.418822299 },
+    { id: 'M-smoke0-age66', sex: 'male', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 15.41885176 },
+    { id: 'M-smoke1-age38', sex: 'male', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 1, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 1.72421241 },
+    { id: 'M-smoke1-age66', sex: 'male', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 1, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 16.95664833 },
+    { id: 'M-smoke2-age38', sex: 'male', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 2, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 2.549169257 },
+    { id: 'M-smoke2-age66', sex: 'male', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 2, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 20.62907692 },
+    { id: 'M-smoke3-age38', sex: 'male', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 2.795823055 },
+    { id: 'M-smoke3-age66', sex: 'male', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 3, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 21.71396199 },
+    { id: 'M-smoke4-age38', sex: 'male', age: 38, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 4, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 3.346660636 },
+    { id: 'M-smoke4-age66', sex: 'male', age: 66, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 4, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 23.04564559 },
+    { id: 'M-b_AF-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_AF'], expected: 1.84642685 },
+    { id: 'M-b_AF-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_AF'], expected: 18.99647424 },
+    { id: 'M-b_AF-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_AF'], expected: 46.51325466 },
+    { id: 'M-b_atypicalantipsy-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_atypicalantipsy'], expected: 0.6575687714 },
+    { id: 'M-b_atypicalantipsy-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_atypicalantipsy'], expected: 12.54607956 },
+    { id: 'M-b_atypicalantipsy-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_atypicalantipsy'], expected: 39.58632991 },
+    { id: 'M-b_corticosteroids-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_corticosteroids'], expected: 1.005565076 },
+    { id: 'M-b_corticosteroids-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_corticosteroids'], expected: 15.16057646 },
+    { id: 'M-b_corticosteroids-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_corticosteroids'], expected: 42.30279759 },
+    { id: 'M-b_migraine-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_migraine'], expected: 0.8858263038 },
+    { id: 'M-b_migraine-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_migraine'], expected: 12.41498803 },
+    { id: 'M-b_migraine-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_migraine'], expected: 38.20225463 },
+    { id: 'M-b_ra-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_ra'], expected: 0.7115996261 },
+    { id: 'M-b_ra-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_ra'], expected: 13.50752894 },
+    { id: 'M-b_ra-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_ra'], expected: 42.04548684 },
+    { id: 'M-b_renal-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_renal'], expected: 1.23142078 },
+    { id: 'M-b_renal-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_renal'], expected: 17.31762356 },
+    { id: 'M-b_renal-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_renal'], expected: 35.10912703 },
+    { id: 'M-b_semi-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_semi'], expected: 0.65160655 },
+    { id: 'M-b_semi-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_semi'], expected: 12.43936476 },
+    { id: 'M-b_semi-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_semi'], expected: 39.308736 },
+    { id: 'M-b_sle-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_sle'], expected: 0.8951952927 },
+    { id: 'M-b_sle-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_sle'], expected: 16.69997308 },
+    { id: 'M-b_sle-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_sle'], expected: 49.68618773 },
+    { id: 'M-b_treatedhyp-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_treatedhyp'], expected: 1.552930677 },
+    { id: 'M-b_treatedhyp-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_treatedhyp'], expected: 12.78822442 },
+    { id: 'M-b_treatedhyp-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_treatedhyp'], expected: 38.05050252 },
+    { id: 'M-b_type1-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type1'], expected: 2.885692039 },
+    { id: 'M-b_type1-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type1'], expected: 26.28060309 },
+    { id: 'M-b_type1-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type1'], expected: 67.29841753 },
+    { id: 'M-b_type2-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type2'], expected: 1.819025743 },
+    { id: 'M-b_type2-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type2'], expected: 18.68576116 },
+    { id: 'M-b_type2-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type2'], expected: 46.67819373 },
+    { id: 'M-fh_cvd-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['fh_cvd'], expected: 1.240043085 },
+    { id: 'M-fh_cvd-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['fh_cvd'], expected: 14.77332943 },
+    { id: 'M-fh_cvd-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['fh_cvd'], expected: 39.4970544 },
+    { id: 'M-b_impotence2-age32', sex: 'male', age: 32, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_impotence2'], expected: 0.673607745 },
+    { id: 'M-b_impotence2-age61', sex: 'male', age: 61, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_impotence2'], expected: 12.9411167 },
+    { id: 'M-b_impotence2-age80', sex: 'male', age: 80, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_impotence2'], expected: 33.17509824 },
+    { id: 'M-town-6.2', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: -6.2, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 6.042543696 },
+    { id: 'M-town-3.75', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: -3.75, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 6.492599224 },
+    { id: 'M-town-0.4', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: -0.4, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.160608544 },
+    { id: 'M-town0.25', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 0.25, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.297666286 },
+    { id: 'M-town1.9', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 1.9, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.656982588 },
+    { id: 'M-town4.13', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 4.13, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 8.169613045 },
+    { id: 'M-town7.66', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 7.66, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 9.04861372 },
+    { id: 'M-town10.5', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 10.5, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 9.820263129 },
+    { id: 'M-age25', sex: 'male', age: 25, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 0.1226375768 },
+    { id: 'M-age30', sex: 'male', age: 30, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 0.3978676945 },
+    { id: 'M-age45', sex: 'male', age: 45, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 3.100706729 },
+    { id: 'M-age50', sex: 'male', age: 50, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 4.874181138 },
+    { id: 'M-age64', sex: 'male', age: 64, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 13.55100782 },
+    { id: 'M-age75', sex: 'male', age: 75, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 26.780054 },
+    { id: 'M-age84', sex: 'male', age: 84, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 44.5406146 },
+    { id: 'M-bmi20', sex: 'male', age: 55, bmi: 20, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.297696355 },
+    { id: 'M-bmi23.4', sex: 'male', age: 55, bmi: 23.4, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.15357577 },
+    { id: 'M-bmi31.7', sex: 'male', age: 55, bmi: 31.7, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.430990014 },
+    { id: 'M-bmi36.2', sex: 'male', age: 55, bmi: 36.2, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.649475542 },
+    { id: 'M-bmi40', sex: 'male', age: 55, bmi: 40, ethrisk: 1, town: 0, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: [], expected: 7.825880861 },
+    { id: 'M-rati2.1-sbp105', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 2.1, sbp: 105, sbps5: 0, flags: [], expected: 3.423793167 },
+    { id: 'M-rati3.3-sbp118', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 3.3, sbp: 118, sbps5: 4.5, flags: [], expected: 5.03657135 },
+    { id: 'M-rati5.6-sbp152', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 5.6, sbp: 152, sbps5: 14.2, flags: [], expected: 11.54745198 },
+    { id: 'M-rati7.9-sbp178', sex: 'male', age: 55, bmi: 27.5, ethrisk: 1, town: 0, smoke_cat: 0, rati: 7.9, sbp: 178, sbps5: 22, flags: [], expected: 23.05816888 },
+    { id: 'M-multimorbid-age48', sex: 'male', age: 48, bmi: 33.1, ethrisk: 3, town: 3.2, smoke_cat: 4, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_ra', 'b_semi', 'b_treatedhyp', 'b_type2', 'fh_cvd'], expected: 66.59467794 },
+    { id: 'M-multimorbid-age70', sex: 'male', age: 70, bmi: 24.6, ethrisk: 7, town: -1.35, smoke_cat: 2, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_atypicalantipsy', 'b_corticosteroids', 'b_impotence2', 'b_migraine'], expected: 28.68087868 },
+    { id: 'M-low-risk', sex: 'male', age: 28, bmi: 21.5, ethrisk: 1, town: -4.5, smoke_cat: 0, rati: 2.8, sbp: 112, sbps5: 3, flags: [], expected: 0.1009263778 },
+    { id: 'M-type1-young', sex: 'male', age: 29, bmi: 27.5, ethrisk: 6, town: 5.05, smoke_cat: 0, rati: 4.2, sbp: 135, sbps5: 8, flags: ['b_type1'], expected: 1.544558431 }
+];
+
+export default QRISK3_REFERENCE_PATIENTS;
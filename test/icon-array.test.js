@@ -0,0 +1,71 @@
+/**
+ * Icon Array Tests
+ * @file /test/icon-array.test.js
+ * @description 100-person icon array in IconArrayService: counts for the Lp(a) and treatment portions, the risk
+ * result adapter, the SVG markup and the report section built from it by PDFService.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import IconArrayService from '../js/visualizations/icon-array.js';
+import LdlBenefitService from '../js/calculations/ldl-benefit.js';
+import PDFService from '../js/services/pdf-service.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const LdlBenefit = new LdlBenefitService({ ErrorLogger, ClinicalThresholds });
+const iconArray = new IconArrayService({ ErrorLogger, ClinicalThresholds, LdlBenefit });
+
+describe('IconArrayService', () => {
+    it('splits the people with an event into Lp(a), spared by treatment and remaining', () => {
+        const model = iconArray.compose({ riskPercent: 12, lpaFactor: 1.5, treatedRiskPercent: 8.4 });
+        expect(model.counts).to.deep.equal({ events: 12, remaining: 4, lpa: 4, avoidable: 4, unaffected: 88 });
+        expect(model.segments.map(s => s.count).reduce((a, b) => a + b)).to.equal(100);
+        expect(model.headline).to.equal('12 out of 100 people like you');
+        expect(model.summary).to.contain('Raised Lp(a) accounts for 4 of them').and.contain('Treatment would spare 4 of them');
+    });
+
+    it('counts each person once and handles risks below 1 in 100', () => {
+        const overlap = iconArray.compose({ riskPercent: 10, lpaFactor: 3, treatedRiskPercent: 5 });
+        expect(overlap.counts).to.include({ avoidable: 5, lpa: 5, remaining: 0 }); // Lp(a) portion (6.7) capped by the people left
+        expect(iconArray.compose({ riskPercent: 10, lpaFactor: 0.9, treatedRiskPercent: 12 }).counts).to.include({ remaining: 10, lpa: 0, avoidable: 0 });
+        const low = iconArray.compose({ riskPercent: 0.3 });
+        expect(low.counts.unaffected).to.equal(100);
+        expect(low.summary).to.match(/^Fewer than 1 out of 100/);
+        expect(() => iconArray.compose({})).to.throw('10-year risk');
+    });
+
+    it('builds the array from a risk result with the CTT treated risk', () => {
+        const result = { riskData: { score: 15, details: { lpaModifier: { factor: 1.25 } } }, inputParameters: { ldl: 3.5, totalCholesterol: 5.8, hdl: 1.1 } };
+        const model = iconArray.fromRiskResult(result);
+        expect(model.treatment).to.deep.equal({ ldlReductionPercent: 40 });
+        expect(model.treatedRiskPercent).to.equal(parseFloat(LdlBenefit.treatedRiskPercent(15, 1.4).toFixed(1)));
+        expect(model.counts).to.include({ events: 15, lpa: 3 });
+        const nonHdl = iconArray.fromRiskResult({ ...result, inputParameters: { totalCholesterol: 5.8, hdl: 1.1 } }, { ldlReductionPercent: 50 });
+        expect(nonHdl.treatedRiskPercent).to.equal(parseFloat(LdlBenefit.treatedRiskPercent(15, 2.35).toFixed(1)));
+        expect(iconArray.fromRiskResult({ riskData: { score: 15 } })).to.include({ treatment: null, treatedRiskPercent: 15 });
+    });
+
+    it('draws 100 people in self-contained, labelled SVG', () => {
+        const model = iconArray.compose({ riskPercent: 12, lpaFactor: 1.5, treatedRiskPercent: 8.4 });
+        const svg = iconArray.toSVG(model, { id: 'patient', title: 'Risk <FRS>' });
+        expect(svg.match(/<circle /g)).to.have.length(100);
+        expect(svg.match(/fill="#6f42c1"><circle/g)).to.have.length(4);
+        expect(svg).to.contain('role="img"').and.contain('aria-labelledby="patient-title patient-desc"');
+        expect(svg).to.contain('<title id="patient-title">Risk &lt;FRS&gt;</title>').and.contain(`<desc id="patient-desc">${model.summary}</desc>`);
+        expect(svg).to.not.contain('href=');
+        expect(iconArray.toDataURL(svg)).to.match(/^data:image\/svg\+xml;charset=utf-8,%3Csvg/);
+    });
+});
+
+describe('PDFService icon array section', () => {
+    it('embeds the SVG with its summary, and skips it without one', () => {
+        const pdf = new PDFService({ ErrorLogger });
+        const model = iconArray.compose({ riskPercent: 8 });
+        const section = pdf._buildIconArraySection({ svg: iconArray.toSVG(model), summary: model.summary });
+        expect(section.sectionTitle).to.equal('Your Risk in 100 People');
+        expect(section.items[0]).to.include({ type: 'svg', fallbackText: model.summary });
+        expect(section.items[1]).to.deep.equal({ type: 'text', content: model.summary });
+        expect(pdf._buildIconArraySection(null)).to.equal(null);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * LDL-C Lowering Benefit Tests
+ * @file /test/ldl-benefit.test.js
+ * @description CTT benefit of LDL-C lowering in LdlBenefitService, the 'ldl' intervention step of
+ * RiskCalculator.calculateInterventionEffect and the per-regimen benefit in TreatmentRecommendationsService.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import LdlBenefitService from '../js/calculations/ldl-benefit.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import MedicationDatabase from '../js/data/medication-database.js';
+import LipidRegimenOptimizerService from '../js/calculations/lipid-regimen-optimizer.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const benefit = new LdlBenefitService({ ErrorLogger, ClinicalThresholds });
+
+describe('LdlBenefitService', () => {
+    it('applies the CTT relative risk per mmol/L to the 10-year risk', () => {
+        const result = benefit.estimate({ baselineRiskPercent: 20, reductionMmol: 1 });
+        expect(result).to.include({ baselineRiskPercent: 20, treatedRiskPercent: 16.2, absoluteRiskReductionPercent: 3.8, numberNeededToTreat: 27, hazardRatio: 0.78, timeToBenefitYears: 2.7 });
+        expect(result.relativeRiskReductionPercent).to.be.within(18, 20); // Less than 22%: the first year gains only 10%
+        expect(result.summary).to.contain('NNT 27').and.contain('benefit from about 2.7 years');
+    });
+
+    it('takes the reduction as mmol/L, a percentage of LDL-C or the expected LDL-C', () => {
+        expect(benefit.reductionMmol({ ldl: 3.5, reductionPercent: 50 })).to.equal(1.75);
+        expect(benefit.reductionMmol({ ldl: 3.5, expectedLdl: 1.5 })).to.equal(2);
+        expect(benefit.reductionMmol({ ldl: 1.5, expectedLdl: 1.8 })).to.equal(0);
+        expect(benefit.reductionMmol({ reductionPercent: 50 })).to.equal(null);
+        expect(benefit.estimate({ baselineRiskPercent: 10, ldl: 3.5, reductionPercent: 50 })).to.include({ treatedRiskPercent: 6.8, numberNeededToTreat: 32, timeToBenefitYears: 3.3 });
+        expect(benefit.estimate({ baselineRiskPercent: 0, reductionMmol: 1 })).to.equal(null);
+    });
+
+    it('reports no time to benefit when 1 event per 100 is not prevented within 10 years', () => {
+        const lowRisk = benefit.estimate({ baselineRiskPercent: 5, ldl: 2.0, expectedLdl: 1.6 });
+        expect(lowRisk).to.include({ treatedRiskPercent: 4.6, numberNeededToTreat: 230, timeToBenefitYears: null });
+        expect(benefit.timeToBenefit(30, 2)).to.be.below(benefit.timeToBenefit(10, 2));
+    });
+});
+
+describe('LDL-C lowering in the intervention simulation and recommendations', () => {
+    it('lowers the engine risk by the CTT relation for an ldl step', async () => {
+        const calculator = new RiskCalculator({
+            ErrorLogger, PerformanceMonitor: { start: () => 0, end: () => {} },
+            ValidationHelpers: {
+                dependencies: { ClinicalThresholds },
+                validateSet: () => ({ isValid: true, errors: {} }),
+                isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+                convertLipid: (v) => ({ value: Number(v) }),
+                calculateBMI: () => ({ value: null })
+            },
+            FraminghamAlgorithm: FraminghamRiskScore,
+            QRISK3Algorithm: QRISK3Algorithm
+        });
+        const frsData = { 'frs-age': '62', 'frs-sex': 'male', 'frs-total-chol': '6.0', 'frs-hdl': '1.1', 'frs-ldl': '4.0', 'frs-sbp': '150', 'frs-bp-treatment': 'no', 'frs-smoker': 'no', 'frs-diabetes': 'no' };
+        const base = await calculator.calculateFraminghamRisk(frsData, { useCache: false, generateRecommendations: false });
+        const simulation = await calculator.calculateInterventionEffect(base, [{ type: 'ldl', expectedLdl: 2.0, label: 'Atorvastatin 40mg' }, { type: 'sbp', target: 130 }]);
+        const [ldlStep, sbpStep] = simulation.steps;
+        const expected = benefit.estimate({ baselineRiskPercent: base.riskData.score, reductionMmol: 2 });
+        expect(ldlStep).to.include({ label: 'Atorvastatin 40mg (-2.00 mmol/L)', riskPercent: expected.treatedRiskPercent });
+        expect(ldlStep.benefit.numberNeededToTreat).to.equal(expected.numberNeededToTreat);
+        expect(simulation.modifiedInputs).to.include({ ldl: 2, totalCholesterol: 6 });
+        expect(sbpStep.absoluteRiskReduction).to.be.above(0);
+        expect(simulation.timeToBenefitYears).to.be.a('number');
+    });
+
+    it('adds the CTT benefit to each ranked regimen', () => {
+        const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase, ValidationHelpers: {}, InputSanitizer: {} } });
+        const saved = { ...recommendations.dependencies }; // The service is a singleton; earlier suites may have created it
+        Object.assign(recommendations.dependencies, { LdlBenefit: benefit, InputSanitizer: { escapeHTML: (value) => String(value) } });
+        try {
+            const optimizer = new LipidRegimenOptimizerService({ ErrorLogger, ClinicalThresholds, MedicationDatabase });
+            const recs = { regimenOptions: optimizer.optimize({ currentLdl: 3.6, targetLdl: 1.8 }), additionalConsiderations: [] };
+            recommendations._addLdlLoweringBenefit(recs, 15);
+            const best = recs.regimenOptions.regimens.find(r => r.reachesTarget);
+            expect(best.benefit).to.deep.equal(benefit.estimate({ baselineRiskPercent: 15, ldl: 3.6, expectedLdl: best.expectedLdl }));
+            expect(recs.additionalConsiderations[0]).to.contain(best.label).and.contain(`NNT ${best.benefit.numberNeededToTreat}`);
+        } finally {
+            Object.assign(recommendations.dependencies, saved);
+        }
+    });
+});
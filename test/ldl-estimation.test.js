@@ -0,0 +1,72 @@
+/**
+ * LDL-C Estimation Tests
+ * @file /test/ldl-estimation.test.js
+ * @description Friedewald, Martin-Hopkins and Sampson/NIH calculated LDL-C in LdlEstimationService, their
+ * triglyceride limits, and TreatmentRecommendationsService using it for a missing LDL-C.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import LdlEstimationService from '../js/calculations/ldl-estimation.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const service = new LdlEstimationService({ ErrorLogger, ClinicalThresholds });
+// TC 200, HDL 50, TG 150 mg/dL
+const lipids = { totalCholesterol: service.toMmolL(200, 'mg_dl'), hdl: service.toMmolL(50, 'mg/dL'), triglycerides: service.toMmolL(150, 'mg_dl', 'triglycerides') };
+
+describe('LdlEstimationService', () => {
+    it('reproduces each equation in mg/dL', () => {
+        const results = service.estimateAll(lipids);
+        expect(service.fromMmolL(results.friedewald.value, 'mg_dl')).to.equal(120); // 150 - 150/5
+        expect(results.martin_hopkins.factor).to.equal(5.7); // TG 147-154, non-HDL 130-159
+        expect(service.fromMmolL(results.martin_hopkins.value, 'mg_dl')).to.equal(124); // 150 - 150/5.7
+        expect(service.fromMmolL(results.sampson.value, 'mg_dl')).to.equal(123);
+        expect(service.estimate(lipids).method).to.equal('martin_hopkins'); // LDL_ESTIMATION.DEFAULT_METHOD
+    });
+
+    it('looks up the Martin-Hopkins factor at the table edges', () => {
+        expect(service.martinHopkinsFactor(45, 90)).to.equal(3.5);
+        expect(service.martinHopkinsFactor(150.5, 130)).to.equal(5.7);
+        expect(service.martinHopkinsFactor(500, 250)).to.equal(6.7);
+    });
+
+    it('warns at low LDL-C and outside each triglyceride range', () => {
+        const low = service.estimateAll({ totalCholesterol: 4.0, hdl: 1.0, triglycerides: 3.0 });
+        expect(low.friedewald.warnings[0]).to.contain('underestimates');
+        expect(low.martin_hopkins.value).to.be.above(low.friedewald.value);
+
+        const highTg = service.estimateAll({ totalCholesterol: 6.0, hdl: 0.8, triglycerides: 6.0 });
+        expect(highTg.friedewald.valid).to.equal(false);
+        expect(highTg.martin_hopkins.valid).to.equal(false);
+        expect(highTg.martin_hopkins.warnings[0]).to.contain('limit of 4.5 mmol/L');
+        expect(highTg.sampson).to.include({ valid: true });
+        expect(service.estimate({ totalCholesterol: 5.0, hdl: 1.2, triglycerides: 9.5 }, 'sampson').valid).to.equal(false);
+    });
+
+    it('needs all three lipids', () => {
+        expect(service.estimate({ totalCholesterol: 5.0, hdl: 1.2 })).to.equal(null);
+        expect(service.estimateAll({ totalCholesterol: 1.0, hdl: 1.2, triglycerides: 1.0 })).to.equal(null);
+        expect(() => service.estimate(lipids, 'iranian')).to.throw('Unknown LDL-C estimation method');
+    });
+});
+
+describe('Calculated LDL-C in the recommendations', () => {
+    const ValidationHelpers = { isNumber: (v) => ({ isValid: v !== null && v !== '' && !isNaN(Number(v)) }) };
+    const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase: {}, ValidationHelpers, InputSanitizer: {} } });
+    recommendations.dependencies.LdlEstimation = service; // The service is a singleton; earlier suites may have created it
+    const validation = recommendations.dependencies.ValidationHelpers;
+
+    it('fills a missing LDL-C with Martin-Hopkins and not above its triglyceride limit', () => {
+        recommendations.dependencies.ValidationHelpers = ValidationHelpers;
+        try {
+            const data = recommendations._prepareDataForRecommendations({ totalCholesterol: 4.0, hdl: 1.0, triglycerides: 3.0 });
+            expect(data.ldl).to.equal(2.1);
+            expect(data.ldlSource).to.equal('calculated (Martin-Hopkins)');
+            expect(recommendations._prepareDataForRecommendations({ totalCholesterol: 6.0, hdl: 0.8, triglycerides: 6.0 }).ldl).to.equal(null);
+        } finally {
+            recommendations.dependencies.ValidationHelpers = validation;
+        }
+    });
+});
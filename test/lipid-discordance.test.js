@@ -0,0 +1,104 @@
+/**
+ * Lipid Discordance Tests
+ * @file /test/lipid-discordance.test.js
+ * @description ApoB vs LDL-C / non-HDL-C percentile discordance in LipidDiscordanceService, the CCS target
+ * choice, and TreatmentRecommendationsService treating to ApoB when it is discordantly high. Percentiles are read
+ * from a test fixture table, as no reference table is bundled.
+ * @version 2.0.0
+ */
+
+import { expect } from 'chai';
+import LipidDiscordanceService from '../js/calculations/lipid-discordance.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+// Test fixture, not a published distribution: marker values in mg/dL at each percentile anchor
+const FIXTURE_PERCENTILES = {
+    SOURCE: 'Test fixture',
+    percentiles: [5, 10, 25, 50, 75, 90, 95],
+    ldl: [68, 78, 97, 119, 143, 167, 182],
+    nonHdl: [85, 97, 120, 146, 174, 204, 222],
+    apoB: [59, 65, 78, 95, 113, 131, 142],
+};
+const withPercentiles = { get: (path, defaultValue) => (path === 'LIPID_DISCORDANCE.POPULATION_PERCENTILES' ? FIXTURE_PERCENTILES : defaultValue) };
+const service = new LipidDiscordanceService({ ErrorLogger, ClinicalThresholds: withPercentiles });
+// ApoB at the 90th percentile (131 mg/dL) with LDL-C at the 25th (97 mg/dL) and non-HDL-C near the 82nd: the metabolic pattern
+const metabolic = { apoB: 1.31, ldl: 97 * 0.02586, nonHdl: 190 * 0.02586, triglycerides: 2.3, hdl: 0.9, hasDiabetes: true, bmi: 32, sex: 'male' };
+
+describe('LipidDiscordanceService', () => {
+    it('places each marker on the population percentile scale', () => {
+        expect(service.percentile('apoB', 0.95)).to.equal(50);
+        expect(service.percentile('ldl', 119 * 0.02586)).to.equal(50);
+        expect(service.percentile('nonHdl', 160 * 0.02586)).to.equal(63); // Halfway between the 50th and 75th (62.5)
+        expect(service.percentile('apoB', 3.0)).to.equal(99);
+        expect(service.percentile('ldl', 0)).to.equal(null);
+    });
+
+    it('flags discordantly high ApoB with the metabolic features', () => {
+        const analysis = service.analyze(metabolic);
+        expect(analysis.discordant).to.equal(true);
+        expect(analysis.direction).to.equal('apob_higher');
+        expect(analysis.comparisons.map(c => c.direction)).to.deep.equal(['apob_higher', 'concordant']);
+        expect(analysis.metabolicFeatures).to.have.length(4);
+        expect(analysis.summary).to.include('discordantly HIGH').and.include('metabolic pattern');
+    });
+
+    it('reports concordance and discordantly low ApoB', () => {
+        expect(service.analyze({ apoB: 0.95, ldl: 3.08 })).to.include({ discordant: false, direction: null });
+        expect(service.analyze({ apoB: 0.6, ldl: 4.5 }).direction).to.equal('apob_lower');
+        expect(service.analyze({ ldl: 3.0, nonHdl: 3.8 })).to.equal(null);
+        expect(service.analyze(metabolic).reference).to.equal('Test fixture');
+    });
+
+    it('assesses no percentiles or discordance without a sourced reference table', () => {
+        const unsourced = new LipidDiscordanceService({ ErrorLogger, ClinicalThresholds });
+        expect(unsourced.hasReference()).to.equal(false);
+        expect(unsourced.percentile('apoB', 0.95)).to.equal(null);
+        expect(unsourced.analyze(metabolic)).to.equal(null);
+        expect(unsourced.preferredTarget(metabolic).type).to.equal('apoB'); // Triglycerides 2.3 mmol/L
+        const uncited = { ...FIXTURE_PERCENTILES, SOURCE: undefined };
+        const uncitedService = new LipidDiscordanceService({ ErrorLogger, ClinicalThresholds: { get: (path, defaultValue) => (path === 'LIPID_DISCORDANCE.POPULATION_PERCENTILES' ? uncited : defaultValue) } });
+        expect(uncitedService.hasReference()).to.equal(false);
+    });
+
+    it('chooses ApoB, then non-HDL-C, as the target with discordance or high triglycerides', () => {
+        expect(service.preferredTarget(metabolic).type).to.equal('apoB');
+        expect(service.preferredTarget({ apoB: 0.95, ldl: 3.08, triglycerides: 2.0 }).type).to.equal('apoB');
+        expect(service.preferredTarget({ ldl: 3.08, nonHdl: 4.0, triglycerides: 2.0 }).type).to.equal('nonHdl');
+        expect(service.preferredTarget({ apoB: 0.95, ldl: 3.08, triglycerides: 1.2 }).type).to.equal('ldl');
+    });
+
+    it('reads the Medication & Labs form in either unit', () => {
+        const inputs = service.fromFormData({
+            total_cholesterol: '200', total_cholesterol_unit: 'mg_dl', hdl_cholesterol: '1.0', hdl_cholesterol_unit: 'mmol/L',
+            ldl_cholesterol: '2.5', apoB: '120', apoB_unit: 'mg_dl', triglycerides: '177', triglycerides_unit: 'mg_dl', diabetes_status: 'type2_diabetes'
+        });
+        expect(inputs).to.include({ ldl: 2.5, nonHdl: 4.17, apoB: 1.2, triglycerides: 2.0, hasDiabetes: true });
+    });
+});
+
+describe('ApoB as the treatment target in the recommendations', () => {
+    const ValidationHelpers = { isNumber: (v) => ({ isValid: v !== null && v !== undefined && v !== '' && !isNaN(Number(v)) }) };
+    const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase: {}, ValidationHelpers, InputSanitizer: {} } });
+    recommendations.dependencies.LipidDiscordance = service; // The service is a singleton; earlier suites may have created it
+    const validation = recommendations.dependencies.ValidationHelpers;
+
+    it('judges targets on ApoB when it is discordantly high', () => {
+        recommendations.dependencies.ValidationHelpers = ValidationHelpers;
+        try {
+            const patient = { ...metabolic, ldl: 1.9, apoB: 1.0, lipidDiscordance: service.analyze({ ...metabolic, ldl: 1.9, apoB: 1.0 }) };
+            const targets = recommendations._determineLipidTargetsCCS('HIGH', patient);
+            expect(targets.primaryTarget.type).to.equal('apoB');
+            expect(targets.rationale).to.include('ApoB <0.80 g/L');
+            const met = recommendations._areLipidTargetsMet(patient, targets, {});
+            expect(met).to.include({ ldl: true, apoB: false, overall: false }); // LDL-C at goal no longer satisfies the target
+
+            const ldlOnly = recommendations._determineLipidTargetsCCS('HIGH', { ldl: 1.9, triglycerides: 1.0, lipidDiscordance: null });
+            expect(ldlOnly.primaryTarget.type).to.equal('ldl');
+            expect(recommendations._areLipidTargetsMet({ ldl: 1.9 }, ldlOnly, {}).overall).to.equal(true);
+        } finally {
+            recommendations.dependencies.ValidationHelpers = validation;
+        }
+    });
+});
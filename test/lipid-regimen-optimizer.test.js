@@ -0,0 +1,87 @@
+/**
+ * Lipid Regimen Optimizer Tests
+ * @file /test/lipid-regimen-optimizer.test.js
+ * @description Per-dose statin effects in the medication database, regimen ranking in
+ * LipidRegimenOptimizerService, and TreatmentRecommendationsService grading statins by dose.
+ * @version 1.0.1
+ */
+
+import { expect } from 'chai';
+import MedicationDatabase from '../js/data/medication-database.js';
+import LipidRegimenOptimizerService from '../js/calculations/lipid-regimen-optimizer.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const optimizer = new LipidRegimenOptimizerService({ ErrorLogger, ClinicalThresholds, MedicationDatabase });
+const labels = (result) => result.regimens.map(r => r.label);
+
+describe('Per-dose LDL-C lowering in the medication database', () => {
+    it('grades statin intensity by dose', () => {
+        expect(MedicationDatabase.getStatinIntensity('Atorvastatin', '10mg')).to.equal('moderate');
+        expect(MedicationDatabase.getStatinIntensity('atorvastatin', '80 mg')).to.equal('high');
+        expect(MedicationDatabase.getLdlReduction('Rosuvastatin', '20mg')).to.equal(0.52);
+        expect(MedicationDatabase.getLdlReduction('Ezetimibe', '10mg')).to.equal(0.20);
+        expect(MedicationDatabase.getLdlReduction('Fenofibrate', '145mg')).to.equal(null);
+    });
+
+    it('keeps each statin dose inside the LDL-C lowering band of its intensity', () => {
+        const bands = { high: [0.50, 1], moderate: [0.30, 0.50], low: [0, 0.30] };
+        MedicationDatabase.getByClass('Statin').forEach(statin => statin.dosages.forEach(dose => {
+            const [min, max] = bands[MedicationDatabase.getStatinIntensity(statin.name, dose)];
+            expect(MedicationDatabase.getLdlReduction(statin.name, dose), `${statin.name} ${dose}`).to.be.within(min, max - 1e-9);
+        }));
+    });
+});
+
+describe('LipidRegimenOptimizerService', () => {
+    it('lists each statin alone at the lowest dose that reaches the target', () => {
+        const result = optimizer.optimize({ currentLdl: 3.0, targetLdl: 2.0 });
+        expect(result.requiredReductionPercent).to.equal(33);
+        expect(labels(result).slice(0, 4)).to.deep.equal(['Rosuvastatin 5mg', 'Atorvastatin 10mg', 'Simvastatin 20mg', 'Pravastatin 80mg']);
+        expect(result.regimens[0]).to.include({ expectedLdl: 1.74, reachesTarget: true, costTier: 'low', coverage: 'Regular benefit' });
+    });
+
+    it('maximises the current statin before adding a PCSK9 inhibitor', () => {
+        const result = optimizer.optimize({ currentLdl: 3.2, targetLdl: 1.8, currentTherapy: { statin: 'Atorvastatin', statinDose: '10mg' } });
+        expect(result.untreatedLdl).to.equal(5.08); // 3.2 / (1 - 0.37)
+        expect(result.regimens[0].label).to.equal('Atorvastatin 80mg + Evolocumab 140mg/mL');
+        expect(result.regimens[0]).to.include({ costTier: 'high', coverage: 'Special Authority' });
+        expect(labels(result)).to.not.include('Atorvastatin 80mg + Ezetimibe 10mg'); // 1.91 mmol/L, short of 1.8
+    });
+
+    it('accepts the percentage reduction as the target and leaves statins out with intolerance', () => {
+        const halved = optimizer.optimize({ currentLdl: 2.6, targetLdl: 2.0, percentReductionTarget: 50, currentTherapy: { statin: 'Atorvastatin', statinDose: '20mg' } });
+        expect(halved.targetLdl).to.equal(2.28); // 50% of the back-calculated 4.56 mmol/L
+        expect(labels(halved).slice(0, 2)).to.deep.equal(['Rosuvastatin 20mg', 'Atorvastatin 40mg']);
+
+        const intolerant = optimizer.optimize({ currentLdl: 5.0, targetLdl: 1.8, statinIntolerant: true });
+        expect(intolerant.regimens.every(r => r.components.every(c => c.intensity === null))).to.equal(true);
+        expect(intolerant.regimens[0].label).to.equal('Ezetimibe 10mg + Evolocumab 140mg/mL');
+        expect(intolerant.regimens.at(-1).reachesTarget).to.equal(false);
+        expect(optimizer.optimize({ currentLdl: null, targetLdl: 1.8 })).to.equal(null);
+    });
+});
+
+describe('Statin dose in the recommendations', () => {
+    const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase, ValidationHelpers: {}, InputSanitizer: {} } });
+    const saved = { ...recommendations.dependencies }; // The service is a singleton; earlier suites may have created it
+    const InputSanitizer = { escapeHTML: (s) => s };
+
+    it('rates atorvastatin 10mg as moderate and ranks regimens from it', () => {
+        Object.assign(recommendations.dependencies, { MedicationDatabase, InputSanitizer, LipidRegimenOptimizer: optimizer });
+        try {
+            const low = recommendations._evaluateCurrentLipidTherapy({ ldl: 3.2 }, [{ name: 'Atorvastatin', dose: '10mg' }]);
+            expect(low).to.include({ statinIntensity: 'moderate', statinLdlReduction: 0.37, isMaxStatinDose: false, estimatedLDLReductionPercent: 37 });
+            const high = recommendations._evaluateCurrentLipidTherapy({ ldl: 2.0 }, [{ name: 'Atorvastatin', dose: '80mg' }]);
+            expect(high).to.include({ statinIntensity: 'high', isMaxStatinDose: true, estimatedLDLReductionPercent: 53 });
+
+            const targets = { ldl_mmolL: 1.8, percentReductionLDL: 50 };
+            const options = recommendations._optimizeLipidRegimen({ ldl: 3.2 }, targets, low);
+            expect(options.untreatedLdl).to.equal(5.08);
+            expect(options.regimens[0].reachesTarget).to.equal(true);
+        } finally {
+            Object.assign(recommendations.dependencies, saved);
+        }
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Lp(a) Cascade Screening Tests
+ * @file /test/lpa-cascade-screening.test.js
+ * @description Case tracking, pedigree layout, persistence and notification letters for LpaCascadeScreeningService.
+ * @version 1.1.0
+ */
+
+import { expect } from 'chai';
+import LpaCascadeScreeningService from '../js/data-management/lpa-cascade-screening.js';
+import LpaModifierService from '../js/calculations/lpa-modifier.js';
+
+const silentLogger = { log: () => {}, handleError: () => {} };
+const LpaModifier = new LpaModifierService({ ErrorLogger: silentLogger, ClinicalThresholds: { get: (path, defaultValue) => defaultValue } });
+
+function createService(overrides = {}) {
+    const stored = {};
+    const Storage = { getItem: async (key) => stored[key] ?? null, setItem: async (key, value) => { stored[key] = JSON.parse(JSON.stringify(value)); return true; } };
+    const reports = [];
+    const PDFService = { generateReport: async (title, sections, filename, action) => { reports.push({ title, sections, filename, action }); return 'blob:letter'; } };
+    const service = new LpaCascadeScreeningService({ dependencies: { ErrorLogger: silentLogger, Storage, LpaModifier, PDFService, ...overrides } });
+    return { service, stored, reports };
+}
+
+describe('LpaCascadeScreeningService', () => {
+    it('only opens a case for an elevated Lp(a) and reuses the open case for the same patient', async () => {
+        const { service } = createService();
+        let error;
+        try { await service.openCase({ lpa: 60, lpaUnit: 'nmol/L', patientId: 'p1' }); } catch (e) { error = e; }
+        expect(error?.message).to.contain('elevated Lp(a)');
+        const first = await service.openCase({ lpa: 180, lpaUnit: 'nmol/L', patientId: 'p1' });
+        const second = await service.openCase({ lpa: 190, lpaUnit: 'nmol/L', patientId: 'p1' });
+        expect(second.caseId).to.equal(first.caseId);
+        expect(second.proband.lpa).to.equal(190);
+        expect(service.findOpenCase('p1')).to.equal(second);
+    });
+
+    it('opens a separate case for each patient', async () => {
+        const { service } = createService();
+        const first = await service.openCase({ lpa: 180, lpaUnit: 'nmol/L', patientId: 'emr_101', label: 'Jane Smith' });
+        const second = await service.openCase({ lpa: 75, lpaUnit: 'mg/dL', patientId: 'emr_102', label: 'John Doe' });
+        expect(second.caseId).to.not.equal(first.caseId);
+        expect(service.listCases()).to.have.length(2);
+        expect(service.getCase(first.caseId).proband).to.include({ label: 'Jane Smith', lpa: 180 });
+        expect(service.findOpenCase('emr_102').proband).to.include({ label: 'John Doe', lpa: 75 });
+    });
+
+    it('opens a new case for every result without a patient id', async () => {
+        const { service } = createService();
+        const first = await service.openCase({ lpa: 180, lpaUnit: 'nmol/L' });
+        const second = await service.openCase({ lpa: 190, lpaUnit: 'nmol/L' });
+        expect(second.caseId).to.not.equal(first.caseId);
+        expect(first.patientId).to.equal(null);
+    });
+
+    it('records first-degree relatives only', async () => {
+        const { service } = createService();
+        const { caseId } = await service.openCase({ lpa: 75, lpaUnit: 'mg/dL' });
+        const mother = await service.addRelative(caseId, { relationship: 'Mother', name: 'Ann' });
+        expect(mother).to.include({ relationship: 'mother', name: 'Ann', status: 'not_contacted' });
+        for (const relative of [{ relationship: 'cousin' }, { relationship: 'mother' }]) {
+            let error;
+            try { await service.addRelative(caseId, relative); } catch (e) { error = e; }
+            expect(error).to.be.instanceOf(Error);
+        }
+    });
+
+    it('tracks testing and flags elevated relatives for the next round', async () => {
+        const { service } = createService();
+        const { caseId } = await service.openCase({ lpa: 200, lpaUnit: 'nmol/L' });
+        const sister = await service.addRelative(caseId, { relationship: 'sister' });
+        const son = await service.addRelative(caseId, { relationship: 'son' });
+        await service.addRelative(caseId, { relationship: 'father' });
+        await service.recordResult(caseId, sister.id, 150, 'nmol/L');
+        await service.recordResult(caseId, son.id, 20, 'mg/dL');
+        expect(service.getSummary(caseId)).to.deep.equal({ total: 3, notContacted: 1, notified: 0, tested: 2, elevated: 1, declined: 0, outstanding: 1 });
+        expect(service.getCase(caseId).relatives[0].result).to.include({ elevated: true, extendCascade: true });
+    });
+
+    it('lays out the pedigree by generation with the proband affected', async () => {
+        const { service } = createService();
+        const { caseId } = await service.openCase({ lpa: 200, lpaUnit: 'nmol/L', label: 'J.S.' });
+        await service.addRelative(caseId, { relationship: 'mother' });
+        const brother = await service.addRelative(caseId, { relationship: 'brother' });
+        await service.addRelative(caseId, { relationship: 'daughter' });
+        await service.recordResult(caseId, brother.id, 40, 'nmol/L');
+        const pedigree = service.buildPedigree(caseId);
+        expect(pedigree.generations.map(g => g.members.map(m => m.relationship))).to.deep.equal([['mother'], ['proband', 'brother'], ['daughter']]);
+        expect(pedigree.generations[1].members.map(m => m.affected)).to.deep.equal([true, false]);
+        expect(pedigree.generations[0].members[0]).to.include({ sex: 'female', affected: null });
+    });
+
+    it('persists cases and reloads them', async () => {
+        const { service, stored } = createService();
+        const { caseId } = await service.openCase({ lpa: 200, lpaUnit: 'nmol/L' });
+        await service.addRelative(caseId, { relationship: 'son' });
+        const reloaded = new LpaCascadeScreeningService({ dependencies: { ErrorLogger: silentLogger, LpaModifier, Storage: { getItem: async (key) => stored[key] } } });
+        await reloaded.load();
+        expect(reloaded.getCase(caseId).relatives).to.have.lengthOf(1);
+    });
+
+    it('prints a notification letter through PDFService and marks the relative notified', async () => {
+        const { service, reports } = createService();
+        const { caseId } = await service.openCase({ lpa: 200, lpaUnit: 'nmol/L', label: 'Jane Smith' });
+        const father = await service.addRelative(caseId, { relationship: 'father', name: 'Tom' });
+        const output = await service.generateNotificationLetter(caseId, father.id, { clinic: { name: 'Riverside Lipid Clinic', contact: '555-0100' } });
+        expect(output).to.equal('blob:letter');
+        expect(reports[0]).to.include({ title: 'Lp(a) Family Screening Letter', action: 'print' });
+        const text = JSON.stringify(reports[0].sections);
+        expect(text).to.contain('Tom').and.to.contain('1 in 2 chance').and.to.contain('Riverside Lipid Clinic');
+        expect(text).to.not.contain('Jane Smith');
+        expect(service.getCase(caseId).relatives[0].status).to.equal('notified');
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Lp(a) Modifier Tests
+ * @file /test/lpa-modifier.test.js
+ * @description Named curves, ClinicalThresholds configuration, unit handling and engine integration for LpaModifierService.
+ * @version 1.2.1
+ */
+
+import { expect } from 'chai';
+import LpaModifierService from '../js/calculations/lpa-modifier.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import Score2Algorithm from '../js/calculations/score2-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+
+const silentLogger = { log: () => {}, handleError: () => {} };
+const thresholds = (overrides = {}) => ({
+    get: (path, defaultValue) => (path in overrides ? overrides[path] : defaultValue)
+});
+const service = new LpaModifierService({ ErrorLogger: silentLogger, ClinicalThresholds: thresholds() });
+
+describe('LpaModifierService', () => {
+    it('reproduces the toolkit piecewise-linear curve (mg/dL)', () => {
+        const factors = [20, 40, 75, 150, 250, 350].map(v => service.evaluate(v, 'mg/dL', 'toolkit').factor);
+        expect(factors).to.deep.equal([1.0, 1.15, 1.45, 1.8, 2.5, 3.0]);
+    });
+
+    it('reproduces the previous engine step factors', () => {
+        const factors = [29, 30, 60, 120].map(v => service.evaluate(v, 'mg/dL', 'toolkit_step').factor);
+        expect(factors).to.deep.equal([1.0, 1.2, 1.4, 1.7]);
+    });
+
+    it('evaluates the UK Biobank curve per 50 nmol/L and converts mg/dL input', () => {
+        expect(service.evaluate(120, 'nmol/L', 'uk_biobank').factor).to.equal(1.23); // 1.11^2
+        const fromMg = service.evaluate(120 / 2.15, 'mg/dL', 'uk_biobank');
+        expect(fromMg.factor).to.equal(1.23);
+        expect(fromMg.valueInCurveUnit).to.equal(120);
+    });
+
+    it('uses the configured default curve and records it', () => {
+        const configured = new LpaModifierService({ ErrorLogger: silentLogger, ClinicalThresholds: thresholds({ 'LPA_MODIFIER.DEFAULT_CURVE': 'copenhagen' }) });
+        const result = configured.evaluate(100, 'mg/dL');
+        expect(result).to.include({ curve: 'copenhagen', factor: 1.9 });
+        expect(result.citation).to.match(/Kamstrup/);
+    });
+
+    it('falls back to the default curve for unknown names', () => {
+        expect(service.evaluate(100, 'mg/dL', 'no_such_curve').curve).to.equal('toolkit');
+        const misconfigured = new LpaModifierService({ ErrorLogger: silentLogger, ClinicalThresholds: thresholds({ 'LPA_MODIFIER.DEFAULT_CURVE': 'typo' }) });
+        expect(misconfigured.getDefaultCurveName()).to.equal('toolkit');
+    });
+
+    it('accepts curves defined in ClinicalThresholds and caps at MAX_FACTOR', () => {
+        const custom = { label: 'Local', type: 'step', unit: 'nmol/L', steps: [[75, 1.5], [200, 4.0]] };
+        const configured = new LpaModifierService({
+            ErrorLogger: silentLogger,
+            ClinicalThresholds: thresholds({ 'LPA_MODIFIER.CURVES': { local: custom }, 'LPA_MODIFIER.CURVES.local': custom, 'LPA_MODIFIER.MAX_FACTOR': 2.5 })
+        });
+        expect(configured.getCurveNames()).to.include('local');
+        expect(configured.evaluate(100, 'nmol/L', 'local').factor).to.equal(1.5);
+        expect(configured.evaluate(250, 'nmol/L', 'local').factor).to.equal(2.5);
+    });
+
+    it('returns null without a usable Lp(a) value', () => {
+        [undefined, null, '', 'abc', -5].forEach(v => expect(service.evaluate(v, 'mg/dL')).to.equal(null));
+    });
+
+    it('applies the CCS elevation threshold in the measured unit', () => {
+        expect(service.isElevated(100, 'nmol/L')).to.equal(true);
+        expect(service.isElevated(99, 'nmol/L')).to.equal(false);
+        expect(service.isElevated(50, 'mg/dL')).to.equal(true);
+        expect(service.isElevated(undefined, 'mg/dL')).to.equal(false);
+    });
+
+    it('reads the CCS elevation thresholds from ClinicalThresholds', () => {
+        const configured = new LpaModifierService({
+            ErrorLogger: silentLogger,
+            ClinicalThresholds: thresholds({ 'LPA.HIGH_RISK_NMOL_CCS': 125, 'LPA.HIGH_RISK_MG_CCS': 60 })
+        });
+        expect(configured.isElevated(110, 'nmol/L')).to.equal(false);
+        expect(configured.isElevated(125, 'nmol/L')).to.equal(true);
+        expect(configured.isElevated(55, 'mg/dL')).to.equal(false);
+    });
+
+    it('flags a converted value as approximate and reports the multiplier across the conversion range', () => {
+        const result = service.evaluate(100, 'nmol/L', 'toolkit', { assayType: 'isoform_insensitive' });
+        expect(result).to.include({ converted: true, approximate: true, valueUsed: 100, unitUsed: 'nmol/L', assayType: 'isoform_insensitive' });
+        expect(result.conversion.range).to.deep.equal({ low: 35.1, high: 54.1 });
+        expect(result.factorRange.low).to.equal(1.08);
+        expect(result.factorRange.high).to.equal(1.32);
+        expect(result.factor).to.be.within(result.factorRange.low, result.factorRange.high);
+        expect(result.basis).to.contain('100 nmol/L converted to ≈46.5 mg/dL');
+    });
+
+    it('uses the reported value in the curve unit when the lab gives both', () => {
+        const result = service.evaluate(100, 'nmol/L', 'toolkit', { alternate: { value: 60, unit: 'mg/dL' } });
+        expect(result).to.include({ converted: false, approximate: false, valueUsed: 60, unitUsed: 'mg/dL', valueInCurveUnit: 60, value: 100, unit: 'nmol/L' });
+        expect(result.conversion).to.equal(null);
+        expect(result.factorRange).to.equal(null);
+        expect(result.factor).to.equal(service.evaluate(60, 'mg/dL', 'toolkit').factor);
+    });
+
+    it('uses a single factor without a range in fixed conversion mode', () => {
+        const fixed = new LpaModifierService({ ErrorLogger: silentLogger, ClinicalThresholds: thresholds({ 'LPA_CONVERSION.MODE': 'fixed' }) });
+        const result = fixed.evaluate(100, 'nmol/L', 'toolkit');
+        expect(result).to.include({ converted: true, approximate: false, factorRange: null, valueInCurveUnit: 46.5 });
+    });
+
+    it('gives the Framingham, SCORE2 and QRISK3 engines the same factor and curve', () => {
+        const deps = { ErrorLogger: silentLogger, PerformanceMonitor: { start: () => 0, end: () => {} }, ClinicalThresholds: thresholds(), LpaModifier: service };
+        const patient = { age: 55, sex: 'male', totalCholesterol: 5.5, hdl: 1.2, systolicBP: 140, onBPMeds: false, isSmoker: false, hasDiabetes: false, lpa: 180, lpaUnit: 'nmol/L' };
+        const frs = new FraminghamRiskScore(deps).calculateRisk(patient);
+        const score2 = new Score2Algorithm(deps).calculateRisk(patient);
+        const qrisk3 = new QRISK3Algorithm(deps).calculateRisk({ ...patient, ethnicity: 'WHITE', bmi: 27, cholesterolRatio: 4.6, smokingStatus: 'non_smoker', diabetesStatus: 'none', systolicBP_sd: 8 });
+        expect(frs.lpaModifier).to.deep.equal(score2.lpaModifier);
+        expect(qrisk3.lpaModifier).to.deep.equal(frs.lpaModifier);
+        expect(qrisk3.modifiersApplied.find(m => m.type === 'Lp(a)')).to.include({ curve: 'toolkit', factor: frs.lpaModifier.factor });
+        expect(qrisk3.modifiedRiskPercent).to.equal(parseFloat((qrisk3.tenYearRiskPercentExact * frs.lpaModifier.factor).toFixed(1)));
+        expect(frs.modifiersApplied.find(m => m.type === 'Lp(a)')).to.include({ curve: 'toolkit', factor: frs.lpaModifier.factor });
+        const stepped = new Score2Algorithm(deps).calculateRisk({ ...patient, lpaCurve: 'toolkit_step' });
+        expect(stepped.lpaModifier).to.include({ curve: 'toolkit_step', factor: 1.4 });
+    });
+
+    it('routes QRISK3 in RiskCalculator through the shared service and reports the curve', async () => {
+        const shared = new LpaModifierService({ ErrorLogger: silentLogger, ClinicalThresholds: thresholds({ 'LPA_MODIFIER.DEFAULT_CURVE': 'uk_biobank' }) });
+        const calculator = new RiskCalculator({
+            ErrorLogger: silentLogger, PerformanceMonitor: { start: () => 0, end: () => {} }, LpaModifier: shared,
+            ValidationHelpers: { dependencies: { ClinicalThresholds: thresholds() }, validateSet: () => ({ isValid: true, errors: {} }), isNumber: (v) => ({ isValid: !isNaN(Number(v)) }), convertLipid: (v) => ({ value: Number(v) }), calculateBMI: () => ({ value: null }) },
+            FraminghamAlgorithm: FraminghamRiskScore, QRISK3Algorithm
+        });
+        const result = await calculator.calculateQRisk3({
+            'qrisk-age': '55', 'qrisk-sex': 'female', 'qrisk-ethnicity': 'WHITE', 'qrisk-sbp': '140', 'qrisk-bmi': '27',
+            'qrisk-cholesterol-ratio': '4.6', 'qrisk-smoker': 'non_smoker', 'qrisk-diabetes': 'none', lpa_qrisk: '200', lpa_qrisk_unit: 'nmol/L'
+        }, { useCache: false, generateRecommendations: false });
+        expect(calculator.qrisk3.dependencies.LpaModifier).to.equal(shared);
+        expect(result.lpaModifier).to.include({ curve: 'uk_biobank', unit: 'nmol/L', value: 200 });
+        expect(result.riskData.details.lpaModifier).to.equal(result.lpaModifier);
+        expect(result.riskData.details.modifiersApplied[0]).to.include({ curve: 'uk_biobank' });
+    });
+});
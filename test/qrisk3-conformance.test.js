@@ -0,0 +1,131 @@
+/**
+ * QRISK3 Conformance Suite
+ * @file /test/qrisk3-conformance.test.js
+ * @description Runs the QRISK3-2017 reference patient table through both QRISK3 code paths —
+ * QRISK3Algorithm.calculateRisk (js/calculations/qrisk3-algorithm.js) and the legacy
+ * cvd_female_raw / cvd_male_raw functions (qrisk3-implementation.js) — and requires each to
+ * agree with the reference value to within 0.1% (relative).
+ * @version 1.0.0
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { expect } from 'chai';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import QRISK3_REFERENCE_PATIENTS from './fixtures/qrisk3-reference-patients.js';
+
+const RELATIVE_TOLERANCE = 0.001; // 0.1%
+
+const FLAG_TO_INPUT = {
+    b_AF: 'atrialFibrillation',
+    b_atypicalantipsy: 'onAtypicalAntipsychotics',
+    b_corticosteroids: 'onRegularSteroids',
+    b_impotence2: 'erectileDysfunction',
+    b_migraine: 'migraines',
+    b_ra: 'rheumatoidArthritis',
+    b_renal: 'chronicKidneyDisease',
+    b_semi: 'severeMentalIllness',
+    b_sle: 'systemicLupusErythematosus',
+    b_treatedhyp: 'onBPMedsQRISK',
+    fh_cvd: 'familyHistoryCVDParent'
+};
+
+const silentDependencies = {
+    ErrorLogger: { log: () => {}, handleError: () => {} },
+    PerformanceMonitor: { start: () => 0, end: () => {} },
+    ClinicalThresholds: { get: (path, defaultValue) => defaultValue }
+};
+
+/** Maps a reference row onto the field names RiskCalculator passes to QRISK3Algorithm. */
+function toAlgorithmInput(row) {
+    const input = {
+        sex: row.sex, age: row.age, bmi: row.bmi, ethnicity: row.ethrisk, townsendScore: row.town,
+        smokingStatus: row.smoke_cat, cholesterolRatio: row.rati, systolicBP: row.sbp, systolicBP_sd: row.sbps5,
+        diabetesStatus: row.flags.includes('b_type1') ? 'type1' : (row.flags.includes('b_type2') ? 'type2' : 'none')
+    };
+    Object.entries(FLAG_TO_INPUT).forEach(([flag, field]) => { input[field] = row.flags.includes(flag); });
+    return input;
+}
+
+/** Loads the legacy browser script into a sandbox and returns its global functions. */
+function loadLegacyImplementation() {
+    const sourcePath = fileURLToPath(new URL('../qrisk3-implementation.js', import.meta.url));
+    const sandbox = { window: {}, console };
+    vm.createContext(sandbox);
+    vm.runInContext(readFileSync(sourcePath, 'utf8'), sandbox);
+    return sandbox;
+}
+
+function legacyScore(legacy, row) {
+    const f = (name) => (row.flags.includes(name) ? 1 : 0);
+    if (row.sex === 'female') {
+        return legacy.cvd_female_raw(row.age, f('b_AF'), f('b_atypicalantipsy'), f('b_corticosteroids'), f('b_migraine'),
+            f('b_ra'), f('b_renal'), f('b_semi'), f('b_sle'), f('b_treatedhyp'), f('b_type1'), f('b_type2'),
+            row.bmi, row.ethrisk, f('fh_cvd'), row.rati, row.sbp, row.sbps5, row.smoke_cat, 10, row.town);
+    }
+    return legacy.cvd_male_raw(row.age, f('b_AF'), f('b_atypicalantipsy'), f('b_corticosteroids'), f('b_impotence2'),
+        f('b_migraine'), f('b_ra'), f('b_renal'), f('b_semi'), f('b_sle'), f('b_treatedhyp'), f('b_type1'), f('b_type2'),
+        row.bmi, row.ethrisk, f('fh_cvd'), row.rati, row.sbp, row.sbps5, row.smoke_cat, 10, row.town);
+}
+
+function expectWithinTolerance(actual, expected, id) {
+    const relativeError = Math.abs(actual - expected) / expected;
+    expect(relativeError, `${id}: got ${actual}, reference ${expected}`).to.be.at.most(RELATIVE_TOLERANCE);
+}
+
+describe('QRISK3-2017 conformance', () => {
+    const engine = new QRISK3Algorithm(silentDependencies);
+    const legacy = loadLegacyImplementation();
+
+    it('covers every ethnicity code, smoking category and boolean flag for both sexes', () => {
+        ['female', 'male'].forEach((sex) => {
+            const rows = QRISK3_REFERENCE_PATIENTS.filter(r => r.sex === sex);
+            for (let code = 1; code <= 9; code++) expect(rows.some(r => r.ethrisk === code), `${sex} ethrisk ${code}`).to.equal(true);
+            for (let cat = 0; cat <= 4; cat++) expect(rows.some(r => r.smoke_cat === cat), `${sex} smoke_cat ${cat}`).to.equal(true);
+            const flags = [...Object.keys(FLAG_TO_INPUT), 'b_type1', 'b_type2'].filter(f => sex === 'male' || f !== 'b_impotence2');
+            flags.forEach(flag => expect(rows.some(r => r.flags.includes(flag)), `${sex} ${flag}`).to.equal(true));
+            expect(rows.some(r => !Number.isInteger(r.town)), `${sex} fractional Townsend`).to.equal(true);
+        });
+    });
+
+    describe('QRISK3Algorithm.calculateRisk', () => {
+        QRISK3_REFERENCE_PATIENTS.forEach((row) => {
+            it(`matches the reference for ${row.id}`, () => {
+                const result = engine.calculateRisk(toAlgorithmInput(row));
+                expect(result.success, result.error).to.equal(true);
+                expectWithinTolerance(result.tenYearRiskPercentExact, row.expected, row.id);
+                expect(result.tenYearRiskPercent).to.equal(parseFloat(result.tenYearRiskPercentExact.toFixed(1)));
+            });
+        });
+    });
+
+    describe('qrisk3-implementation.js cvd_female_raw / cvd_male_raw', () => {
+        QRISK3_REFERENCE_PATIENTS.forEach((row) => {
+            it(`matches the reference for ${row.id}`, () => {
+                expectWithinTolerance(legacyScore(legacy, row), row.expected, row.id);
+            });
+        });
+    });
+
+    describe('input normalisation', () => {
+        const row = QRISK3_REFERENCE_PATIENTS.find(r => r.id === 'M-eth7-older-smoker');
+
+        it('accepts form values for ethnicity, smoking and diabetes', () => {
+            const byCode = engine.calculateRisk(toAlgorithmInput(row));
+            const byFormValue = engine.calculateRisk({ ...toAlgorithmInput(row), ethnicity: 'BLACK_AFRICAN', smokingStatus: 'moderate_smoker', diabetesStatus: 'no_diabetes' });
+            expect(byFormValue.tenYearRiskPercentExact).to.equal(byCode.tenYearRiskPercentExact);
+        });
+
+        it('folds UK census sub-groups onto the nine QRISK3 groups', () => {
+            expect(engine._resolveEthnicityCode('WHITE_IRISH')).to.equal(1);
+            expect(engine._resolveEthnicityCode('WHITE_BLACK_AFRICAN')).to.equal(9);
+            expect(engine._resolveEthnicityCode('OTHER_ASIAN')).to.equal(5);
+        });
+
+        it('rejects ages outside 25-84', () => {
+            const result = engine.calculateRisk({ ...toAlgorithmInput(row), age: 85 });
+            expect(result.success).to.equal(false);
+        });
+    });
+});
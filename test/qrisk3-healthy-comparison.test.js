@@ -0,0 +1,67 @@
+/**
+ * QRISK3 Healthy Comparison Tests
+ * @file /test/qrisk3-healthy-comparison.test.js
+ * @description Healthy-person risk, relative risk and heart age from QRISK3Algorithm.calculateRisk.
+ * @version 1.1.0
+ */
+
+import { expect } from 'chai';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+
+const engine = new QRISK3Algorithm({
+    ErrorLogger: { log: () => {}, handleError: () => {} },
+    PerformanceMonitor: { start: () => 0, end: () => {} },
+    ClinicalThresholds: { get: (path, defaultValue) => defaultValue }
+});
+
+const healthyWoman = {
+    sex: 'female', age: 52, bmi: 25, ethnicity: 'INDIAN', townsendScore: 1.3, smokingStatus: 'non_smoker',
+    diabetesStatus: 'no_diabetes', cholesterolRatio: 4.0, systolicBP: 125, systolicBP_sd: 0
+};
+
+describe('QRISK3 healthy person comparison', () => {
+    it('returns a relative risk of 1 and heart age equal to age for a healthy person', () => {
+        const result = engine.calculateRisk(healthyWoman);
+        expect(result.success).to.equal(true);
+        expect(result.healthyPersonRiskPercent).to.equal(result.tenYearRiskPercent);
+        expect(result.relativeRisk).to.equal(1);
+        expect(result.heartAge).to.equal(52);
+        expect(result.heartAgeDifference).to.equal(0);
+    });
+
+    it('keeps the comparator at the same age, sex and ethnicity', () => {
+        const smoker = engine.calculateRisk({ ...healthyWoman, smokingStatus: 'heavy_smoker', systolicBP: 150, cholesterolRatio: 6 });
+        const healthy = engine.calculateRisk(healthyWoman);
+        expect(smoker.healthyPersonRiskPercent).to.equal(healthy.tenYearRiskPercent);
+        const otherEthnicity = engine.calculateRisk({ ...healthyWoman, ethnicity: 'CHINESE' });
+        expect(otherEthnicity.healthyPersonRiskPercent).to.be.below(healthy.healthyPersonRiskPercent);
+    });
+
+    it('gives an older heart age and relative risk above 1 when risk factors are present', () => {
+        const result = engine.calculateRisk({ ...healthyWoman, smokingStatus: 'heavy_smoker', systolicBP: 150, cholesterolRatio: 6, familyHistoryCVDParent: true });
+        expect(result.relativeRisk).to.be.above(1);
+        expect(result.heartAge).to.be.above(52);
+        expect(result.heartAgeDifference).to.equal(result.heartAge - 52);
+    });
+
+    it('finds the age at which the healthy comparator has the patient\'s risk', () => {
+        const result = engine.calculateRisk({ ...healthyWoman, onBPMedsQRISK: true, systolicBP: 140 });
+        const atHeartAge = engine.calculateRisk({ ...healthyWoman, age: result.heartAge });
+        const oneYearYounger = engine.calculateRisk({ ...healthyWoman, age: result.heartAge - 1 });
+        expect(atHeartAge.tenYearRiskPercentExact).to.be.closeTo(result.tenYearRiskPercentExact, result.tenYearRiskPercentExact * 0.05);
+        expect(oneYearYounger.tenYearRiskPercentExact).to.be.below(result.tenYearRiskPercentExact);
+    });
+
+    it('pins heart age to the model\'s upper age of 84 and reports ">84" for extreme risk', () => {
+        const result = engine.calculateRisk({ ...healthyWoman, sex: 'male', age: 80, diabetesStatus: 'type1', atrialFibrillation: true, chronicKidneyDisease: true, smokingStatus: 'heavy_smoker', systolicBP: 190, cholesterolRatio: 9 });
+        expect(result.heartAge).to.equal(84);
+        expect(result.heartAgeLabel).to.equal('>84');
+        expect(engine.calculateRisk(healthyWoman).heartAgeLabel).to.equal('52');
+    });
+
+    it('never searches past 84, even when configured to', () => {
+        const configured = new QRISK3Algorithm({ ...engine.dependencies, ClinicalThresholds: { get: (path, defaultValue) => (path === 'QRISK3.HEART_AGE_MAX' ? 95 : defaultValue) } });
+        const result = configured.calculateRisk({ ...healthyWoman, sex: 'male', age: 80, diabetesStatus: 'type1', atrialFibrillation: true, smokingStatus: 'heavy_smoker', systolicBP: 190, cholesterolRatio: 9 });
+        expect(result.heartAgeLabel).to.equal('>84');
+    });
+});
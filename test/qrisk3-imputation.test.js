@@ -0,0 +1,115 @@
+/**
+ * QRISK3 Imputation Tests
+ * @file /test/qrisk3-imputation.test.js
+ * @description Conditional values in QRISK3ImputationService and the imputation mode of QRISK3Algorithm
+ * and RiskCalculator: imputed fields, plausible risk range and the unchanged default path.
+ * @version 1.1.0
+ */
+
+import { expect } from 'chai';
+import QRISK3ImputationService from '../js/calculations/qrisk3-imputation.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const PerformanceMonitor = { start: () => 0, end: () => {} };
+const thresholds = (overrides = {}) => ({
+    get: (path, defaultValue) => (path in overrides ? overrides[path] : defaultValue)
+});
+
+describe('QRISK3ImputationService', () => {
+    const service = new QRISK3ImputationService({ ErrorLogger, ClinicalThresholds: thresholds() });
+
+    it('conditions the imputed value on age, sex and ethnicity', () => {
+        const white50 = service.impute('townsendScore', { age: 50, sex: 'male', ethrisk: 1 });
+        const bangladeshi50 = service.impute('townsendScore', { age: 50, sex: 'male', ethrisk: 4 });
+        expect(white50.value).to.equal(0.53);
+        expect(bangladeshi50.value).to.be.closeTo(4.03, 1e-9);
+        expect(bangladeshi50.basis).to.contain('ethnicity group 4');
+        expect(service.impute('systolicBP_sd', { age: 70, sex: 'female', ethrisk: 1 }).value).to.be.closeTo(10.6, 1e-9);
+    });
+
+    it('reports a plausible range clamped to the field limits', () => {
+        const sd = service.impute('systolicBP_sd', { age: 30, sex: 'female', ethrisk: 1 });
+        expect(sd.range).to.deep.equal([3.4, 11.4]);
+        const configured = new QRISK3ImputationService({ ErrorLogger, ClinicalThresholds: thresholds({ 'QRISK3_IMPUTATION.FIELDS.bmi': { spread: 30 } }) });
+        expect(configured.impute('bmi', { age: 50, sex: 'male', ethrisk: 1 }).range).to.deep.equal([15, 47]);
+    });
+
+    it('treats blank values, and a zero SBP variability, as missing', () => {
+        expect(service.isMissing('townsendScore', '')).to.equal(true);
+        expect(service.isMissing('townsendScore', 0)).to.equal(false);
+        expect(service.isMissing('systolicBP_sd', 0)).to.equal(true);
+    });
+});
+
+describe('QRISK3Algorithm imputation mode', () => {
+    const engine = new QRISK3Algorithm({ ErrorLogger, PerformanceMonitor, ClinicalThresholds: thresholds() });
+    const patient = { age: 60, sex: 'male', ethnicity: 'white', systolicBP: 145, smokingStatus: 'non', diabetesStatus: 'none', bmi: 28 };
+
+    it('imputes the missing inputs and brackets the risk with the range they allow', () => {
+        const result = engine.calculateRisk({ ...patient, imputeMissing: true });
+        expect(result.success).to.equal(true);
+        expect(result.partiallyImputed).to.equal(true);
+        expect(result.imputation.fields.map(f => f.field)).to.deep.equal(['townsendScore', 'cholesterolRatio', 'systolicBP_sd']);
+        const { lowPercent, highPercent } = result.imputation.riskRange;
+        expect(lowPercent).to.be.below(result.tenYearRiskPercent);
+        expect(highPercent).to.be.above(result.tenYearRiskPercent);
+    });
+
+    it('leaves complete inputs, and the default path, unimputed', () => {
+        const complete = engine.calculateRisk({ ...patient, cholesterolRatio: 4.5, townsendScore: 1.2, systolicBP_sd: 9, imputeMissing: true });
+        expect(complete.partiallyImputed).to.equal(false);
+        expect(complete.imputation).to.equal(null);
+        expect(engine.calculateRisk(patient).success).to.equal(false); // Cholesterol ratio is still required without imputation
+    });
+
+    it('keeps a missing SBP variability at 0 without imputation and imputes it only with imputation on', () => {
+        const inputs = { ...patient, cholesterolRatio: 4.5, townsendScore: 1.2 };
+        expect(engine._processInputsForDetailedAlgorithm(inputs).sbps5).to.equal(0);
+        expect(engine._processInputsForDetailedAlgorithm({ ...inputs, systolicBP_sd: '' }).sbps5).to.equal(0);
+        expect(engine.calculateRisk(inputs).tenYearRiskPercent).to.equal(engine.calculateRisk({ ...inputs, systolicBP_sd: 0 }).tenYearRiskPercent);
+        const imputed = engine._processInputsForDetailedAlgorithm({ ...inputs, imputeMissing: true });
+        expect(imputed.sbps5).to.be.above(0);
+        expect(imputed.imputedFields.map(f => f.field)).to.deep.equal(['systolicBP_sd']);
+    });
+});
+
+describe('QRISK3 imputation through RiskCalculator', () => {
+    const calculator = new RiskCalculator({
+        ErrorLogger, PerformanceMonitor,
+        ValidationHelpers: {
+            dependencies: { ClinicalThresholds: thresholds() },
+            validateSet: (data, rules) => {
+                const errors = {};
+                for (const [field, fieldRules] of Object.entries(rules)) {
+                    const failed = fieldRules.find(rule => !rule(data[field]).isValid);
+                    if (failed) errors[field] = 'invalid';
+                }
+                return { isValid: Object.keys(errors).length === 0, errors };
+            },
+            isNotEmpty: (v) => ({ isValid: v !== undefined && v !== null && v !== '' }),
+            isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+            isInRange: (v, min, max) => ({ isValid: Number(v) >= min && Number(v) <= max }),
+            isValidSbp: (v) => ({ isValid: Number(v) > 0 }),
+            matchesRegex: (v, regex) => ({ isValid: regex.test(String(v)) }),
+            convertLipid: (v) => ({ value: Number(v) }),
+            calculateBMI: () => ({ value: null })
+        },
+        FraminghamAlgorithm: FraminghamRiskScore,
+        QRISK3Algorithm: QRISK3Algorithm
+    });
+    const rawData = { 'qrisk-age': '58', 'qrisk-sex': 'female', 'qrisk-ethnicity': 'indian', 'qrisk-sbp': '138', 'qrisk-smoker': 'non', 'qrisk-diabetes': 'none' };
+    const options = { useCache: false, generateRecommendations: false };
+
+    it('requires BMI and cholesterol ratio unless imputation is ticked', async () => {
+        let validationError = null;
+        try { await calculator.calculateQRisk3(rawData, options); } catch (error) { validationError = error; }
+        expect(validationError?.message).to.equal('QRISK3 input validation failed');
+        const result = await calculator.calculateQRisk3({ ...rawData, 'qrisk-impute-missing': 'on' }, options);
+        expect(result.partiallyImputed).to.equal(true);
+        expect(result.imputation.fields.map(f => f.field)).to.have.members(['bmi', 'townsendScore', 'cholesterolRatio', 'systolicBP_sd']);
+        expect(result.riskData.details.imputation).to.equal(result.imputation);
+    });
+});
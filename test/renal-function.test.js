@@ -0,0 +1,133 @@
+/**
+ * Renal Function Tests
+ * @file /test/renal-function.test.js
+ * @description CKD-EPI 2021 eGFR and KDIGO staging in RenalFunctionService, renal dose limits from the medication
+ * database, and their use by the regimen optimizer, TreatmentRecommendationsService and RiskCalculator (creatinine
+ * to eGFR to the QRISK3 CKD flag).
+ * @version 1.1.0
+ */
+
+import { expect } from 'chai';
+import MedicationDatabase from '../js/data/medication-database.js';
+import RenalFunctionService from '../js/calculations/renal-function.js';
+import LipidRegimenOptimizerService from '../js/calculations/lipid-regimen-optimizer.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const renal = new RenalFunctionService({ ErrorLogger, ClinicalThresholds, MedicationDatabase });
+
+describe('RenalFunctionService', () => {
+    it('calculates the race-free CKD-EPI 2021 eGFR in either creatinine unit', () => {
+        expect(renal.ckdEpi2021({ creatinine: 1.0, creatinineUnit: 'mg/dL', age: 50, sex: 'male' })).to.equal(92);
+        expect(renal.ckdEpi2021({ creatinine: 88.4, age: 50, sex: 'male' })).to.equal(92);
+        expect(renal.ckdEpi2021({ creatinine: 0.7, creatinineUnit: 'mg/dL', age: 60, sex: 'female' })).to.equal(99);
+        expect(renal.ckdEpi2021({ creatinine: 88.4, age: 16, sex: 'male' })).to.equal(null);
+        expect(renal.ckdEpi2021({ creatinine: 88.4, age: 50 })).to.equal(null);
+    });
+
+    it('stages eGFR and albuminuria by KDIGO and sets the QRISK3 flag for stage 3-5', () => {
+        const result = renal.evaluate(renal.fromFormData({ creatinine: '2.0', creatinine_unit: 'mg_dl', acr: '350', acr_unit: 'mg_g', age: '70', sex: 'female' }));
+        expect(result).to.include({ egfr: 26, egfrSource: 'CKD-EPI 2021', gCategory: 'G4', aCategory: 'A3', stage: 'G4 A3', kdigoRisk: 'very high', ckdStage: 'ckd_stage4_5', qriskCkd: true });
+        expect(result.acr).to.equal(39.6);
+
+        const albuminuric = renal.evaluate({ egfr: 75, acr: 5 });
+        expect(albuminuric).to.include({ egfrSource: 'entered', stage: 'G2 A2', hasCkd: true, ckdStage: 'no_ckd', qriskCkd: false });
+        expect(renal.evaluate({ egfr: 50 })).to.include({ gCategory: 'G3a', kdigoRisk: null, qriskCkd: true });
+        expect(renal.evaluate({})).to.equal(null);
+    });
+
+    it('lists the renal limits in force for named drugs and classes', () => {
+        expect(renal.doseLimits(['Rosuvastatin'], 25)).to.deep.equal([{ name: 'Rosuvastatin', maxDose: '10mg', initiate: true, note: 'eGFR <30 (not on dialysis): start at 5mg, maximum 10mg daily.' }]);
+        expect(renal.doseLimits(['Rosuvastatin', 'Atorvastatin'], 45)).to.deep.equal([]);
+        const sglt2 = renal.doseLimits(['SGLT2 Inhibitor'], 22);
+        expect(sglt2.filter(l => !l.initiate).map(l => l.name)).to.have.members(['Dapagliflozin', 'Canagliflozin', 'Ertugliflozin']);
+        expect(MedicationDatabase.isDoseWithinRenalLimit('Rosuvastatin', '20mg', 25)).to.equal(false);
+        expect(MedicationDatabase.isDoseWithinRenalLimit('Rosuvastatin', '20mg', 60)).to.equal(true);
+    });
+
+    it('keeps regimens within the renal maximum dose', () => {
+        const optimizer = new LipidRegimenOptimizerService({ ErrorLogger, ClinicalThresholds, MedicationDatabase });
+        const labels = optimizer.optimize({ currentLdl: 4.0, targetLdl: 1.8, egfr: 25 }).regimens.map(r => r.label).join(' | ');
+        expect(labels).to.not.match(/Rosuvastatin (20|40)mg/);
+        expect(optimizer.optimize({ currentLdl: 4.0, targetLdl: 1.8, egfr: 90 }).regimens.map(r => r.label).join(' | ')).to.match(/Rosuvastatin (20|40)mg/);
+    });
+});
+
+describe('Renal function in the recommendations', () => {
+    const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase, ValidationHelpers: {}, InputSanitizer: {} } });
+    const saved = { ...recommendations.dependencies }; // The service is a singleton; earlier suites may have created it
+    const InputSanitizer = { escapeHTML: (value) => String(value) };
+
+    it('adds renal dosing to proposed drugs and an SGLT2 inhibitor for diabetic CKD', () => {
+        Object.assign(recommendations.dependencies, { MedicationDatabase, RenalFunction: renal, InputSanitizer });
+        try {
+            const recs = { pharmacological: [{ therapy: 'Rosuvastatin', action: 'START' }], additionalConsiderations: [] };
+            const patient = { diabetesStatus: 'type2', renalFunction: renal.evaluate({ egfr: 22 }) };
+            recommendations._applyRenalFunction(recs, patient, [], {});
+            expect(recs.renalFunction.stage).to.equal('G4');
+            expect(recs.pharmacological[0].renalDosing[0]).to.include({ name: 'Rosuvastatin', maxDose: '10mg' });
+            const sglt2 = recs.pharmacological.find(rec => rec.therapy === 'SGLT2 Inhibitor');
+            expect(sglt2.action).to.equal('CONSIDER');
+            expect(sglt2.rationale).to.contain('Empagliflozin').and.not.contain('Dapagliflozin');
+
+            const advanced = { pharmacological: [], additionalConsiderations: [] };
+            recommendations._applyRenalFunction(advanced, { diabetesStatus: 'type2', renalFunction: renal.evaluate({ egfr: 15 }) }, [], {});
+            expect(advanced.pharmacological).to.deep.equal([]);
+            expect(advanced.additionalConsiderations.join(' ')).to.contain('do not start an SGLT2 inhibitor');
+
+            const onSglt2 = { pharmacological: [], additionalConsiderations: [] };
+            recommendations._applyRenalFunction(onSglt2, { diabetesStatus: 'type2', renalFunction: renal.evaluate({ egfr: 40 }) }, [{ name: 'Empagliflozin' }], {});
+            expect(onSglt2.pharmacological).to.deep.equal([]);
+        } finally {
+            Object.assign(recommendations.dependencies, saved);
+        }
+    });
+});
+
+describe('Renal function through RiskCalculator', () => {
+    const calculator = new RiskCalculator({
+        ErrorLogger,
+        PerformanceMonitor: { start: () => 0, end: () => {} },
+        CryptoService: { hashData: async (data) => data },
+        ValidationHelpers: {
+            dependencies: { ClinicalThresholds },
+            validateSet: () => ({ isValid: true, errors: {} }),
+            isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+            convertLipid: (v) => ({ value: Number(v) }),
+            calculateBMI: () => ({ value: null })
+        },
+        FraminghamAlgorithm: FraminghamRiskScore,
+        QRISK3Algorithm: QRISK3Algorithm,
+        RenalFunction: renal
+    });
+    const rawData = {
+        'qrisk-age': '65', 'qrisk-sex': 'male', 'qrisk-ethnicity': 'WHITE', 'qrisk-sbp': '140', 'qrisk-bmi': '27',
+        'qrisk-cholesterol-ratio': '4.5', 'qrisk-smoker': 'non', 'qrisk-diabetes': 'none', 'qrisk-townsend': '0'
+    };
+    const options = { useCache: false, generateRecommendations: false };
+
+    it('sets the QRISK3 CKD flag from a creatinine on the QRISK3 form or Medication & Labs', async () => {
+        const { data } = await calculator._prepareAndValidateData({ ...rawData, 'qrisk-creatinine': '200' }, 'qrisk3');
+        expect(data.egfr).to.be.below(60);
+        expect(data.chronicKidneyDisease).to.equal(true);
+        const fromLabs = await calculator._prepareAndValidateData({ ...rawData, creatinine: '2.3', creatinine_unit: 'mg_dl' }, 'qrisk3');
+        expect(fromLabs.data).to.include({ creatinineUnit: 'mg/dL', egfr: data.egfr, chronicKidneyDisease: true });
+        expect((await calculator._prepareAndValidateData({ ...rawData, 'qrisk-creatinine': '80' }, 'qrisk3')).data.chronicKidneyDisease).to.equal(false);
+        expect((await calculator._prepareAndValidateData({ ...rawData, ckd_stage: 'ckd_stage3' }, 'qrisk3')).data.chronicKidneyDisease).to.equal(true);
+
+        const withCkd = await calculator.calculateQRisk3({ ...rawData, 'qrisk-creatinine': '200' }, options);
+        const withoutCkd = await calculator.calculateQRisk3({ ...rawData, 'qrisk-creatinine': '80' }, options);
+        expect(withCkd.tenYearRiskPercent).to.be.above(withoutCkd.tenYearRiskPercent);
+    });
+
+    it('keys the cache on creatinine, its unit, ACR and the CKD stage', async () => {
+        const key = (extra) => calculator._generateCacheKey('qrisk3', { ...rawData, ...extra });
+        const keys = await Promise.all([{}, { 'qrisk-creatinine': '200' }, { 'qrisk-creatinine': '200', 'qrisk-creatinine-unit': 'mg_dl' },
+            { creatinine: '200' }, { acr: '40' }, { ckd_stage: 'ckd_stage3' }].map(key));
+        expect(new Set(keys).size).to.equal(keys.length);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Combined Risk Tests
+ * @file /test/risk-calculator-combined.test.js
+ * @description RiskCalculator.calculateCombinedRisk runs every loaded calculator and compares them.
+ * @version 1.1.1
+ */
+
+import { readFileSync } from 'node:fs';
+import { expect } from 'chai';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import Score2Algorithm from '../js/calculations/score2-algorithm.js';
+
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const dependencies = {
+    ErrorLogger: { log: () => {}, handleError: () => {} },
+    PerformanceMonitor: { start: () => 0, end: () => {} },
+    ValidationHelpers: {
+        dependencies: { ClinicalThresholds },
+        validateSet: () => ({ isValid: true, errors: {} }),
+        isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+        convertLipid: (v) => ({ value: Number(v) }),
+        calculateBMI: () => ({ value: null })
+    },
+    FraminghamAlgorithm: FraminghamRiskScore,
+    QRISK3Algorithm: QRISK3Algorithm,
+    Score2Algorithm: Score2Algorithm
+};
+
+const rawData = {
+    'frs-age': '55', 'frs-sex': 'male', 'frs-total-chol': '5.8', 'frs-hdl': '1.2', 'frs-sbp': '145', 'frs-bp-treatment': 'no',
+    'frs-smoker': 'yes', 'frs-diabetes': 'no', 'frs-lpa': '120', 'frs-lpa-unit': 'nmol/L', 'frs-risk-region': 'moderate',
+    'qrisk-age': '55', 'qrisk-sex': 'male', 'qrisk-ethnicity': 'WHITE', 'qrisk-sbp': '145', 'qrisk-bmi': '27',
+    'qrisk-cholesterol-ratio': '4.8', 'qrisk-smoker': 'moderate_smoker', 'qrisk-diabetes': 'none'
+};
+
+describe('RiskCalculator combined assessment', () => {
+    const calculator = new RiskCalculator(dependencies);
+    const options = { useCache: false, generateRecommendations: false };
+
+    it('reports the orchestrator version from the module header', () => {
+        const header = readFileSync(new URL('../js/calculations/risk-calculator.js', import.meta.url), 'utf8').match(/@version (\S+)/)[1];
+        expect(calculator.VERSION).to.equal(header);
+        expect(calculator.version.orchestrator).to.equal(header);
+    });
+
+    it('lists only the calculators whose engines are loaded', () => {
+        expect(calculator.getAvailableCalculators()).to.deep.equal(['frs', 'qrisk3', 'score2']);
+    });
+
+    it('runs every loaded calculator and compares all of them', async () => {
+        const result = await calculator.calculateCombinedRisk(rawData, options);
+        expect(result.success).to.equal(true);
+        expect(result.calculators).to.deep.equal(['frs', 'qrisk3', 'score2']);
+        expect(result.score2.success, result.score2.error).to.equal(true);
+        expect(Object.keys(result.riskData.calculators)).to.deep.equal(['frs', 'qrisk3', 'score2']);
+        expect(result.calculatorComparison.calculators).to.have.length(3);
+        const lpaModified = Object.fromEntries(result.calculatorComparison.calculators.map(c => [c.key, c.lpaModified]));
+        expect(lpaModified).to.deep.equal({ frs: true, qrisk3: true, score2: true });
+        expect(result.comparison.additional.score2.percent).to.equal(result.score2.riskData.score);
+    });
+
+    it('applies the Lp(a) modifier to QRISK3 from the QRISK3 form', async () => {
+        const qriskData = Object.fromEntries(Object.entries(rawData).filter(([field]) => field.startsWith('qrisk-')));
+        const base = await calculator.calculateQRisk3(qriskData, options);
+        const modified = await calculator.calculateQRisk3({ ...qriskData, lpa_qrisk: '90', lpa_qrisk_unit: 'mg/dL' }, options);
+        expect(base.riskData.score).to.equal(base.tenYearRiskPercent);
+        expect(base.modifiersApplied).to.deep.equal([]);
+        expect(modified.tenYearRiskPercent).to.equal(base.tenYearRiskPercent); // Published QRISK3 is unchanged
+        expect(modified.modifiedRiskPercent).to.be.above(base.tenYearRiskPercent);
+        expect(modified.riskData.score).to.equal(modified.modifiedRiskPercent);
+        expect(modified.modifiersApplied.map(m => m.type)).to.deep.equal(['Lp(a)']);
+        expect(modified.horizons.tenYear.riskPercent).to.equal(modified.modifiedRiskPercent);
+    });
+
+    it('can be restricted to a subset of calculators', async () => {
+        const result = await calculator.calculateCombinedRisk(rawData, { ...options, calculators: ['frs', 'score2'] });
+        expect(result.calculators).to.deep.equal(['frs', 'score2']);
+        expect(result.qrisk3).to.equal(null);
+        expect(result.comparison).to.equal(null); // The FRS/QRISK3 comparison needs both
+        expect(result.calculatorComparison.calculators.map(c => c.key)).to.deep.equal(['frs', 'score2']);
+    });
+
+    it('still succeeds when only one calculator produces a result', async () => {
+        const result = await calculator.calculateCombinedRisk({ ...rawData, 'frs-age': '35' }, { ...options, calculators: ['frs', 'score2'] });
+        expect(result.success).to.equal(true);
+        expect(result.score2.success).to.equal(false); // SCORE2 starts at 40
+        expect(result.riskData.score2Data.category).to.equal('Error');
+        expect(result.calculatorComparison).to.equal(null);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Intervention Simulation Tests
+ * @file /test/risk-calculator-interventions.test.js
+ * @description RiskCalculator.calculateInterventionEffect re-running the calculator engines on modified inputs,
+ * step by step, so the projection matches a calculation with the new values entered.
+ * @version 1.1.0
+ */
+
+import { expect } from 'chai';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import UKPDSRiskEngine from '../js/calculations/ukpds-algorithm.js';
+
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const calculator = new RiskCalculator({
+    ErrorLogger: { log: () => {}, handleError: () => {} },
+    PerformanceMonitor: { start: () => 0, end: () => {} },
+    ValidationHelpers: {
+        dependencies: { ClinicalThresholds },
+        validateSet: () => ({ isValid: true, errors: {} }),
+        isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+        convertLipid: (v) => ({ value: Number(v) }),
+        calculateBMI: () => ({ value: null })
+    },
+    FraminghamAlgorithm: FraminghamRiskScore,
+    QRISK3Algorithm: QRISK3Algorithm,
+    UKPDSAlgorithm: UKPDSRiskEngine
+});
+const options = { useCache: false, generateRecommendations: false };
+const frsData = { 'frs-age': '58', 'frs-sex': 'male', 'frs-total-chol': '6.2', 'frs-hdl': '1.0', 'frs-sbp': '156', 'frs-bp-treatment': 'no', 'frs-smoker': 'yes', 'frs-diabetes': 'no' };
+const qriskData = {
+    'qrisk-age': '58', 'qrisk-sex': 'female', 'qrisk-ethnicity': 'white', 'qrisk-sbp': '150', 'qrisk-bmi': '33',
+    'qrisk-total-chol': '6.0', 'qrisk-hdl': '1.2', 'qrisk-smoker': 'moderate_smoker', 'qrisk-diabetes': 'none'
+};
+
+describe('RiskCalculator intervention simulation', () => {
+    it('matches the calculator run with the new values entered', async () => {
+        const base = await calculator.calculateFraminghamRisk(frsData, options);
+        const simulation = await calculator.calculateInterventionEffect(base, [{ type: 'sbp', target: 130 }, { type: 'lipids', totalCholesterol: 4.8, hdl: 1.1 }, { type: 'smoking' }]);
+        const entered = await calculator.calculateFraminghamRisk({ ...frsData, 'frs-sbp': '130', 'frs-total-chol': '4.8', 'frs-hdl': '1.1', 'frs-smoker': 'no' }, options);
+        expect(simulation.modifiedRiskPercent).to.equal(parseFloat(entered.riskData.score.toFixed(1)));
+        const afterSbp = await calculator.calculateFraminghamRisk({ ...frsData, 'frs-sbp': '130' }, options);
+        expect(simulation.steps[0].riskPercent).to.equal(parseFloat(afterSbp.riskData.score.toFixed(1)));
+        expect(simulation.steps[0].changes).to.deep.equal([{ field: 'systolicBP', from: 156, to: 130 }]);
+        expect(simulation.appliedInterventions).to.equal('SBP 130 mmHg + TC 4.8 / HDL 1.1 mmol/L + Stop smoking');
+    });
+
+    it('reports per-step and cumulative absolute risk reduction in the order given', async () => {
+        const base = await calculator.calculateFraminghamRisk(frsData, options);
+        const forward = await calculator.calculateInterventionEffect(base, [{ type: 'smoking' }, { type: 'sbp', reduction: 20 }]);
+        const reverse = await calculator.calculateInterventionEffect(base, [{ type: 'sbp', reduction: 20 }, { type: 'smoking' }]);
+        expect(forward.modifiedRiskPercent).to.equal(reverse.modifiedRiskPercent);
+        expect(forward.steps.map(s => s.type)).to.deep.equal(['smoking', 'sbp']);
+        expect(forward.steps[0].absoluteRiskReduction).to.not.equal(reverse.steps[1].absoluteRiskReduction);
+        const [first, second] = forward.steps;
+        expect(second.cumulativeAbsoluteRiskReduction).to.be.closeTo(first.absoluteRiskReduction + second.absoluteRiskReduction, 0.11);
+        expect(second.cumulativeAbsoluteRiskReduction).to.equal(forward.absoluteRiskReduction);
+    });
+
+    it('models weight loss, lipids and stopping smoking in QRISK3', async () => {
+        const base = await calculator.calculateQRisk3(qriskData, options);
+        const simulation = await calculator.calculateInterventionEffect(base, [{ type: 'bmi', target: 27 }, { type: 'lipids', totalCholesterol: 4.5 }, { type: 'smoking' }]);
+        const entered = await calculator.calculateQRisk3({ ...qriskData, 'qrisk-bmi': '27', 'qrisk-total-chol': '4.5', 'qrisk-smoker': 'ex_smoker' }, options);
+        expect(simulation.modifiedRiskPercent).to.equal(parseFloat(entered.riskData.score.toFixed(1)));
+        expect(simulation.steps.map(s => s.modelled)).to.deep.equal([true, true, true]);
+        expect(simulation.modifiedInputs).to.include({ bmi: 27, cholesterolRatio: 3.75, smokingStatus: 'ex_smoker' });
+        simulation.steps.forEach(step => expect(step.absoluteRiskReduction).to.be.above(0));
+    });
+
+    it('marks inputs the engine does not use as not modelled', async () => {
+        const base = await calculator.calculateFraminghamRisk(frsData, options);
+        const simulation = await calculator.calculateInterventionEffect(base, [{ type: 'bmi', target: 25 }, { type: 'hba1c', target: 7 }]);
+        expect(simulation.steps.map(s => s.modelled)).to.deep.equal([false, false]);
+        expect(simulation.absoluteRiskReduction).to.equal(0);
+        expect(simulation.appliedInterventions).to.equal('None');
+
+        const ukpdsData = { ...frsData, 'frs-smoker': 'no', 'frs-diabetes': 'yes', 'frs-diabetes-type': 'type2', 'frs-diabetes-duration': '9', 'frs-hba1c': '64', 'frs-hba1c-unit': 'mmol_mol' };
+        const ukpds = await calculator.calculateUKPDSRisk(ukpdsData, options);
+        const glycaemic = await calculator.calculateInterventionEffect(ukpds, [{ type: 'hba1c', target: 53, unit: 'mmol_mol' }]);
+        const entered = await calculator.calculateUKPDSRisk({ ...ukpdsData, 'frs-hba1c': '53' }, options);
+        expect(glycaemic.steps[0]).to.include({ modelled: true, label: 'HbA1c 7%' });
+        expect(glycaemic.modifiedRiskPercent).to.equal(parseFloat(entered.riskData.score.toFixed(1)));
+    });
+
+    it('accepts the object form and rejects unknown steps', async () => {
+        const base = await calculator.calculateFraminghamRisk({ ...frsData, 'frs-ldl': '4.0' }, options);
+        const simulation = await calculator.calculateInterventionEffect(base, { statin: { ldlReductionPercent: 50 }, smokingCessation: true });
+        expect(simulation.steps.map(s => s.type)).to.deep.equal(['ldl', 'smoking']);
+        expect(simulation.modifiedInputs).to.include({ ldl: 2, totalCholesterol: 6.2 });
+        let caught = null;
+        try { await calculator.calculateInterventionEffect(base, [{ type: 'diet' }]); } catch (error) { caught = error; }
+        expect(caught?.message).to.contain('Unknown intervention type');
+    });
+});
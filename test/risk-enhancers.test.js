@@ -0,0 +1,81 @@
+/**
+ * Risk Enhancer Tests
+ * @file /test/risk-enhancers.test.js
+ * @description Registry, ClinicalThresholds configuration, combination rules and Framingham integration for RiskEnhancerService.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import RiskEnhancerService from '../js/calculations/risk-enhancers.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+
+const silentLogger = { log: () => {}, handleError: () => {} };
+const thresholds = (overrides = {}) => ({
+    get: (path, defaultValue) => (path in overrides ? overrides[path] : defaultValue)
+});
+const service = new RiskEnhancerService({ ErrorLogger: silentLogger, ClinicalThresholds: thresholds() });
+
+describe('RiskEnhancerService', () => {
+    it('registers the built-in enhancers', () => {
+        expect(service.getEnhancerNames()).to.include.members(['lpa', 'family_history', 'south_asian', 'hs_crp', 'apob', 'premature_menopause', 'preeclampsia', 'chronic_inflammatory', 'hiv', 'abi']);
+    });
+
+    it('multiplies the multiplicative enhancers and writes one audit line each', () => {
+        const { factor, modifiersApplied } = service.apply({ familyHistory: true, abi: 0.85 });
+        expect(factor).to.be.closeTo(1.6 * 2.0, 1e-9);
+        expect(modifiersApplied.map(m => m.key)).to.deep.equal(['family_history', 'abi']);
+        expect(modifiersApplied[1].audit).to.equal('Low Ankle-Brachial Index: 0.85 ≤ 0.9 → ×2.00 (multiplicative)');
+    });
+
+    it('limits the capped enhancers to the combined cap', () => {
+        const below = service.apply({ sex: 'female', hsCrp: 3.1, apoB: 1.4 });
+        expect(below.capApplied).to.equal(false);
+        expect(below.factor).to.be.closeTo(1.3 * 1.2, 1e-9);
+
+        const { factor, modifiersApplied, capApplied } = service.apply({ sex: 'female', hsCrp: 3.1, prematureMenopause: true, hiv: true, familyHistory: true });
+        expect(capApplied).to.equal(true);
+        expect(factor).to.be.closeTo(2.0 * 1.6, 1e-9);
+        const hiv = modifiersApplied.find(m => m.key === 'hiv');
+        expect(hiv.factor).to.equal(1.5);
+        expect(hiv.effectiveFactor).to.be.below(1.5);
+        expect(hiv.audit).to.contain('after the ×2.00 cap');
+    });
+
+    it('skips sex-specific enhancers for the other sex and values below threshold', () => {
+        expect(service.apply({ sex: 'male', prematureMenopause: true, preeclampsia: true, hsCrp: 1.0, abi: 1.1 }).modifiersApplied).to.deep.equal([]);
+    });
+
+    it('takes factors, combination and new enhancers from ClinicalThresholds', () => {
+        const configured = new RiskEnhancerService({
+            ErrorLogger: silentLogger,
+            ClinicalThresholds: thresholds({
+                'RISK_ENHANCERS.DEFINITIONS': { hs_crp: { factor: 1.4, combine: 'multiplicative' }, ckd: { label: 'CKD', field: 'egfr', operator: 'lt', threshold: 60, factor: 1.3, combine: 'capped' }, hiv: { enabled: false } },
+                'RISK_ENHANCERS.DEFINITIONS.hs_crp': { factor: 1.4, combine: 'multiplicative' },
+                'RISK_ENHANCERS.DEFINITIONS.ckd': { label: 'CKD', field: 'egfr', operator: 'lt', threshold: 60, factor: 1.3, combine: 'capped' },
+                'RISK_ENHANCERS.DEFINITIONS.hiv': { enabled: false }
+            })
+        });
+        const { modifiersApplied } = configured.apply({ hsCrp: 5, egfr: 45, hiv: true });
+        expect(modifiersApplied.map(m => [m.key, m.factor, m.combine])).to.deep.equal([['hs_crp', 1.4, 'multiplicative'], ['ckd', 1.3, 'capped']]);
+    });
+
+    it('applies the Lp(a) curve as an enhancer', () => {
+        const { modifiersApplied, lpaModifier } = service.apply({}, { value: 100, unit: 'mg/dL' });
+        expect(lpaModifier.factor).to.equal(1.6);
+        expect(modifiersApplied[0]).to.include({ type: 'Lp(a)', key: 'lpa', factor: 1.6, combine: 'multiplicative' });
+    });
+});
+
+describe('FraminghamRiskScore risk enhancers', () => {
+    const engine = new FraminghamRiskScore({ ErrorLogger: silentLogger, PerformanceMonitor: { start: () => 0, end: () => {} }, ClinicalThresholds: thresholds() });
+    const patient = { age: 55, sex: 'female', totalCholesterol: 5.5, hdl: 1.3, systolicBP: 135, onBPMeds: false, isSmoker: false, hasDiabetes: false };
+
+    it('reports the enhancers it applied and raises the modified risk accordingly', () => {
+        const base = engine.calculateRisk(patient);
+        const enhanced = engine.calculateRisk({ ...patient, preeclampsia: true, chronicInflammatoryDisease: true, isSouthAsian: true });
+        expect(base.modifiersApplied).to.deep.equal([]);
+        expect(enhanced.tenYearRiskPercent).to.equal(base.tenYearRiskPercent);
+        expect(enhanced.modifiersApplied.map(m => m.key)).to.deep.equal(['south_asian', 'preeclampsia', 'chronic_inflammatory']);
+        expect(enhanced.modifiedRiskPercent).to.be.closeTo(base.baseRiskPercent * 1.5 * 2.0, 0.3); // 1.5 x 1.5 capped at 2.0
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Risk Horizon Tests
+ * @file /test/risk-horizons.test.js
+ * @description 30-year and lifetime projections from RiskHorizonService, FraminghamRiskScore and QRISK3Algorithm.
+ * @version 1.1.0
+ */
+
+import { expect } from 'chai';
+import RiskHorizonService from '../js/calculations/risk-horizons.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+
+const silentDependencies = {
+    ErrorLogger: { log: () => {}, handleError: () => {} },
+    PerformanceMonitor: { start: () => 0, end: () => {} },
+    ClinicalThresholds: { get: (path, defaultValue) => defaultValue }
+};
+
+describe('RiskHorizonService', () => {
+    const service = new RiskHorizonService(silentDependencies);
+
+    it('chains 10-year windows as 1 - product of window survivals without competing mortality', () => {
+        const chained = service.chainWindows(() => 0.1, 40, 70, 79, () => 0);
+        expect(chained.windows).to.have.length(3);
+        expect(chained.riskProportion).to.be.closeTo(1 - Math.pow(0.9, 3), 1e-12);
+        expect(chained.extrapolated).to.equal(false);
+    });
+
+    it('treats a partial final window as constant hazard', () => {
+        const chained = service.chainWindows(() => 0.1, 80, 85, 84, () => 0);
+        expect(chained.riskProportion).to.be.closeTo(1 - Math.pow(0.9, 0.5), 1e-12);
+    });
+
+    it('evaluates windows past the model age at the model age and flags them', () => {
+        const ages = [];
+        const chained = service.chainWindows((age) => { ages.push(age); return 0.1; }, 60, 90, 79);
+        expect(ages).to.deep.equal([60, 70, 79]);
+        expect(chained.extrapolated).to.equal(true);
+    });
+
+    it('lowers the cumulative risk for competing non-cardiovascular deaths, more so in older patients', () => {
+        const cvdOnly = service.chainWindows(() => 0.1, 45, 85, 79, () => 0).riskProportion;
+        const competing = service.chainWindows(() => 0.1, 45, 85, 79, (age) => service.nonCvdMortality(age, 'male')).riskProportion;
+        expect(competing).to.be.below(cvdOnly);
+        expect(competing).to.be.above(0.1);
+        expect(service.nonCvdMortality(80, 'male')).to.be.closeTo(0.0557 * 0.72, 1e-9);
+        expect(service.nonCvdMortality(75, 'female')).to.be.above(service.nonCvdMortality(70, 'female')).and.below(service.nonCvdMortality(80, 'female'));
+        expect(service.nonCvdMortality(60, 'female')).to.be.below(service.nonCvdMortality(60, 'male'));
+    });
+
+    it('labels the projected horizons as non-validated projections', () => {
+        const horizons = service.projectHorizons(() => 0.1, { age: 50, tenYearRiskProportion: 0.1, maxModelAge: 79, sex: 'female' });
+        expect(horizons.tenYear).to.include({ label: '10-year risk', method: 'engine', isExtrapolation: false, validatedModel: true });
+        expect(horizons.thirtyYear).to.include({ label: '30-year projection (not a validated model)', method: service.METHOD, isExtrapolation: true, validatedModel: false, competingMortality: true });
+        expect(horizons.lifetime).to.include({ label: 'Projected risk to age 85 (not a validated model)', isExtrapolation: true, validatedModel: false });
+    });
+
+    it('returns no lifetime risk at or beyond the lifetime age', () => {
+        const horizons = service.projectHorizons(() => 0.2, { age: 85, tenYearRiskProportion: 0.2, maxModelAge: 84 });
+        expect(horizons.tenYear.riskPercent).to.equal(20);
+        expect(horizons.lifetime.riskPercent).to.equal(null);
+        expect(horizons.lifetime.note).to.be.a('string');
+    });
+});
+
+describe('engine horizons', () => {
+    it('adds 30-year and lifetime risk to the Framingham result', () => {
+        const frs = new FraminghamRiskScore(silentDependencies);
+        const result = frs.calculateRisk({ age: 45, sex: 'male', totalCholesterol: 5.5, hdl: 1.1, systolicBP: 135, onBPMeds: false, isSmoker: true, hasDiabetes: false });
+        expect(result.success, result.error).to.equal(true);
+        expect(result.horizons.tenYear.riskPercent).to.equal(result.modifiedRiskPercent);
+        expect(result.thirtyYearRiskPercent).to.be.above(result.modifiedRiskPercent);
+        expect(result.lifetimeRiskPercent).to.be.at.least(result.thirtyYearRiskPercent);
+        expect(result.horizons.lifetime.extrapolated).to.equal(false); // Every window starts within the model age range
+    });
+
+    it('adds 30-year and lifetime risk to the QRISK3 result', () => {
+        const qrisk = new QRISK3Algorithm(silentDependencies);
+        const result = qrisk.calculateRisk({ sex: 'female', age: 50, bmi: 27, ethnicity: 'WHITE', townsendScore: 0, smokingStatus: 'non_smoker', diabetesStatus: 'none', cholesterolRatio: 4.5, systolicBP: 130, systolicBP_sd: 8 });
+        expect(result.success, result.error).to.equal(true);
+        expect(result.horizons.tenYear.riskPercent).to.equal(result.tenYearRiskPercent);
+        expect(result.thirtyYearRiskPercent).to.be.above(result.tenYearRiskPercent);
+        expect(result.lifetimeRiskPercent).to.be.above(result.thirtyYearRiskPercent);
+        expect(result.horizons.thirtyYear).to.include({ method: 'extrapolated-10-year-windows-competing-mortality', isExtrapolation: true });
+        expect(result.horizons.lifetime.extrapolated).to.equal(false); // Every window starts within the model age range
+    });
+});
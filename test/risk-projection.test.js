@@ -0,0 +1,93 @@
+/**
+ * Risk Projection Tests
+ * @file /test/risk-projection.test.js
+ * @description Risk progression over time in RiskProjectionService and RiskCalculator.calculateRiskProjection:
+ * ageing year by year, age-related drift, treatment, threshold crossings and the treatment-eligible age.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import RiskProjectionService from '../js/calculations/risk-projection.js';
+import LdlBenefitService from '../js/calculations/ldl-benefit.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const LdlBenefit = new LdlBenefitService({ ErrorLogger, ClinicalThresholds });
+const projection = new RiskProjectionService({ ErrorLogger, ClinicalThresholds, LdlBenefit });
+const calculator = new RiskCalculator({
+    ErrorLogger, PerformanceMonitor: { start: () => 0, end: () => {} },
+    ValidationHelpers: {
+        dependencies: { ClinicalThresholds },
+        validateSet: () => ({ isValid: true, errors: {} }),
+        isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+        convertLipid: (v) => ({ value: Number(v) }),
+        calculateBMI: () => ({ value: null })
+    },
+    FraminghamAlgorithm: FraminghamRiskScore,
+    QRISK3Algorithm: QRISK3Algorithm
+});
+const options = { useCache: false, generateRecommendations: false };
+
+describe('RiskProjectionService', () => {
+    // Risk rises 1 point a year of age from 5% at 50, plus 0.1 points per mmHg above 140
+    const runEngine = (inputs) => 5 + (inputs.age - 50) + (inputs.systolicBP - 140) * 0.1;
+    const inputs = { age: 50, systolicBP: 140, totalCholesterol: 5.5, hdl: 1.3, ldl: 3.5 };
+
+    it('ages the patient year by year and reports threshold crossings', () => {
+        const result = projection.project({ calculatorType: 'qrisk3', inputs, runEngine, years: 20 });
+        expect(result.points).to.have.length(21);
+        expect(result.points[0]).to.include({ age: 50, riskPercent: 5 });
+        expect(result.points[20]).to.include({ age: 70, riskPercent: 25 });
+        expect(result.crossings.untreated).to.deep.equal({ 10: 55, 20: 65 });
+        expect(result.thresholds).to.deep.equal({ low: 10, high: 20, eligibility: 10 });
+        expect(result.treatmentEligibleAge).to.equal(55);
+        expect(result.summary).to.contain('age 55');
+    });
+
+    it('lowers the treated line by the CTT relation and delays the crossings', () => {
+        const result = projection.project({ calculatorType: 'frs', inputs, runEngine, years: 30, treatment: { ldlReductionPercent: 50 } });
+        const at60 = result.points.find(p => p.age === 60);
+        expect(at60.treatedRiskPercent).to.equal(parseFloat(LdlBenefit.treatedRiskPercent(15, 1.75).toFixed(1)));
+        expect(result.crossings.treated[20]).to.be.above(result.crossings.untreated[20]);
+        expect(result.thresholds.eligibility).to.equal(20); // CCS: statin for Framingham risk of 20% or more
+        expect(result.treatmentEligibleAge).to.equal(65);
+        const withBp = projection.project({ calculatorType: 'frs', inputs: { ...inputs, systolicBP: 160 }, runEngine, years: 5, treatment: { ldlReductionPercent: 0, sbpTarget: 130 } });
+        expect(withBp.points[0]).to.include({ riskPercent: 7, treatedRiskPercent: 4 });
+    });
+
+    it('applies typical age-related drift and stops at the model maximum age', () => {
+        const drifted = projection.project({ calculatorType: 'frs', inputs, runEngine, years: 40, drift: 'typical' });
+        expect(drifted.endAge).to.equal(79);
+        const constant = projection.project({ calculatorType: 'frs', inputs, runEngine, years: 40 });
+        expect(drifted.points[10].riskPercent).to.equal(constant.points[10].riskPercent + 0.6); // SBP +6 mmHg over 10 years
+        const aged = projection._drift(inputs, 20);
+        expect(aged.totalCholesterol).to.equal(5.6); // +0.02 a year to 60, then -0.01 a year
+        expect(aged.ldl).to.equal(3.6);
+    });
+});
+
+describe('RiskCalculator.calculateRiskProjection', () => {
+    it('matches the calculator run at each projected age', async () => {
+        const frsData = { 'frs-age': '52', 'frs-sex': 'male', 'frs-total-chol': '5.8', 'frs-hdl': '1.1', 'frs-sbp': '138', 'frs-bp-treatment': 'no', 'frs-smoker': 'no', 'frs-diabetes': 'no' };
+        const base = await calculator.calculateFraminghamRisk(frsData, options);
+        const result = calculator.calculateRiskProjection(base, { years: 10 });
+        expect(result.points[0].riskPercent).to.equal(parseFloat(base.riskData.score.toFixed(1)));
+        const at60 = await calculator.calculateFraminghamRisk({ ...frsData, 'frs-age': '60' }, options);
+        expect(result.points.find(p => p.age === 60).riskPercent).to.equal(parseFloat(at60.riskData.score.toFixed(1)));
+        result.points.forEach(p => expect(p.treatedRiskPercent).to.be.below(p.riskPercent));
+    });
+
+    it('projects QRISK3 to its own maximum age', async () => {
+        const qriskData = {
+            'qrisk-age': '70', 'qrisk-sex': 'female', 'qrisk-ethnicity': 'white', 'qrisk-sbp': '140', 'qrisk-bmi': '27',
+            'qrisk-total-chol': '5.5', 'qrisk-hdl': '1.4', 'qrisk-smoker': 'non_smoker', 'qrisk-diabetes': 'none'
+        };
+        const base = await calculator.calculateQRisk3(qriskData, options);
+        const result = calculator.calculateRiskProjection(base, { years: 30, drift: 'typical' });
+        expect(result).to.include({ calculatorType: 'qrisk3', startAge: 70, endAge: 84 });
+        expect(result.points[result.points.length - 1].riskPercent).to.be.above(result.points[0].riskPercent);
+    });
+});
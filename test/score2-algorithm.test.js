@@ -0,0 +1,62 @@
+/**
+ * SCORE2 / SCORE2-OP Tests
+ * @file /test/score2-algorithm.test.js
+ * @description Model selection, region calibration, Lp(a) modifier and ESC categories for Score2Algorithm.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import Score2Algorithm from '../js/calculations/score2-algorithm.js';
+
+const engine = new Score2Algorithm({
+    ErrorLogger: { log: () => {}, handleError: () => {} },
+    PerformanceMonitor: { start: () => 0, end: () => {} },
+    ClinicalThresholds: { get: (path, defaultValue) => defaultValue }
+});
+
+const smoker = { age: 52, sex: 'male', totalCholesterol: 5.8, hdl: 1.3, systolicBP: 150, isSmoker: true, hasDiabetes: false };
+
+describe('Score2Algorithm', () => {
+    it('uses SCORE2 below 70 and SCORE2-OP from 70', () => {
+        expect(engine.calculateRisk(smoker).model).to.equal('SCORE2');
+        expect(engine.calculateRisk({ ...smoker, age: 70 }).model).to.equal('SCORE2-OP');
+    });
+
+    it('reproduces the uncalibrated SCORE2 risk for the reference profile', () => {
+        // Centred at age 60, SBP 120, TC 6, HDL 1.3 the linear predictor is 0, so risk = 1 - S0(10)
+        const { uncalibrated } = engine._calculateCalibratedRisk({ ...engine._processInputsForAlgorithm({ ...smoker, age: 60, systolicBP: 120, totalCholesterol: 6, isSmoker: false }) });
+        expect(uncalibrated).to.be.closeTo(1 - 0.9605, 1e-9);
+    });
+
+    it('orders calibrated risk low < moderate < high < very high', () => {
+        const risks = engine.REGIONS.map(riskRegion => engine.calculateRisk({ ...smoker, riskRegion }).tenYearRiskPercent);
+        expect(risks).to.deep.equal([...risks].sort((a, b) => a - b));
+        expect(risks[0]).to.be.below(risks[3]);
+    });
+
+    it('accepts "very high" and "Very-High" for the very high region', () => {
+        const expected = engine.calculateRisk({ ...smoker, riskRegion: 'very_high' }).tenYearRiskPercent;
+        expect(engine.calculateRisk({ ...smoker, riskRegion: 'Very-High' }).tenYearRiskPercent).to.equal(expected);
+        expect(engine.calculateRisk({ ...smoker, riskRegion: 'nordic' }).success).to.equal(false);
+    });
+
+    it('applies the Lp(a) modifier on top of the calibrated risk', () => {
+        const base = engine.calculateRisk(smoker);
+        const lpa = engine.calculateRisk({ ...smoker, lpa: 120, lpaUnit: 'nmol/L' }); // ~55 mg/dL
+        expect(lpa.baseRiskPercent).to.equal(base.baseRiskPercent);
+        expect(lpa.lpaModifier.curve).to.equal('toolkit');
+        expect(lpa.modifiedRiskPercent).to.be.closeTo(base.baseRiskPercent * lpa.lpaModifier.factor, 0.1);
+        expect(lpa.modifiersApplied[0]).to.include({ type: 'Lp(a)', curve: 'toolkit' });
+    });
+
+    it('applies the ESC age-specific categories', () => {
+        expect(engine._determineRiskCategory(3, 45).category).to.equal('high');
+        expect(engine._determineRiskCategory(3, 55).category).to.equal('low_moderate');
+        expect(engine._determineRiskCategory(12, 60).category).to.equal('very_high');
+        expect(engine._determineRiskCategory(12, 75).category).to.equal('high');
+    });
+
+    it('rejects ages below 40', () => {
+        expect(engine.calculateRisk({ ...smoker, age: 39 }).success).to.equal(false);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Sensitivity Analysis Tests
+ * @file /test/sensitivity-analysis.test.js
+ * @description One-way sensitivity analysis in SensitivityAnalysisService and RiskCalculator.calculateSensitivity:
+ * ranges, plausible limits, ranking by swing and agreement with the calculator run on the changed input.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import SensitivityAnalysisService from '../js/calculations/sensitivity-analysis.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+const sensitivity = new SensitivityAnalysisService({ ErrorLogger, ClinicalThresholds });
+const calculator = new RiskCalculator({
+    ErrorLogger, PerformanceMonitor: { start: () => 0, end: () => {} },
+    ValidationHelpers: {
+        dependencies: { ClinicalThresholds },
+        validateSet: () => ({ isValid: true, errors: {} }),
+        isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+        convertLipid: (v) => ({ value: Number(v) }),
+        calculateBMI: () => ({ value: null })
+    },
+    FraminghamAlgorithm: FraminghamRiskScore,
+    QRISK3Algorithm: QRISK3Algorithm
+});
+const options = { useCache: false, generateRecommendations: false };
+const frsData = { 'frs-age': '58', 'frs-sex': 'male', 'frs-total-chol': '6.2', 'frs-hdl': '1.0', 'frs-sbp': '156', 'frs-bp-treatment': 'no', 'frs-smoker': 'yes', 'frs-diabetes': 'no' };
+const qriskData = {
+    'qrisk-age': '58', 'qrisk-sex': 'female', 'qrisk-ethnicity': 'white', 'qrisk-sbp': '150', 'qrisk-bmi': '33',
+    'qrisk-total-chol': '6.0', 'qrisk-hdl': '1.2', 'qrisk-smoker': 'non_smoker', 'qrisk-diabetes': 'none'
+};
+
+describe('SensitivityAnalysisService', () => {
+    // Risk rises 0.1 points per mmHg and 2 points per mmol/L of total cholesterol; smoking adds 5 points
+    const runEngine = (inputs) => 10 + (inputs.systolicBP - 140) * 0.1 + (inputs.totalCholesterol - 5) * 2 + (inputs.isSmoker ? 5 : 0);
+    const inputs = { systolicBP: 140, totalCholesterol: 5, hdl: 1.2, cholesterolRatio: 4.17, isSmoker: false, bmi: 30 };
+
+    it('varies each input over the clinical range and ranks by swing', () => {
+        const { factors, baseRiskPercent, rangePercent } = sensitivity.analyze({ calculatorType: 'frs', inputs, baseRiskPercent: 10, runEngine });
+        expect(baseRiskPercent).to.equal(10);
+        expect(rangePercent).to.equal(null);
+        expect(factors.map(f => f.key)).to.deep.equal(['smoking', 'sbp', 'totalCholesterol', 'hdl']); // BMI is read by QRISK3 only
+        expect(factors[1]).to.include({ lowValue: 120, highValue: 160, lowRiskPercent: 8, highRiskPercent: 12, swing: 4 });
+        expect(factors[0]).to.include({ baseValue: 'Non-smoker', lowRiskPercent: 10, highRiskPercent: 15, swing: 5 });
+        expect(factors[3].swing).to.equal(0);
+    });
+
+    it('uses a percentage range when given and keeps values within plausible limits', () => {
+        const { factors } = sensitivity.analyze({ calculatorType: 'frs', inputs: { ...inputs, systolicBP: 190 }, baseRiskPercent: 15, runEngine, rangePercent: 10 });
+        const sbp = factors.find(f => f.key === 'sbp');
+        expect(sbp).to.include({ lowValue: 171, highValue: 200 });
+        const tc = factors.find(f => f.key === 'totalCholesterol');
+        expect(tc).to.include({ lowValue: 4.5, highValue: 5.5 });
+    });
+
+    it('recomputes the cholesterol ratio and reports a failed calculation as missing', () => {
+        const seen = [];
+        const failing = (modified) => { seen.push(modified); if (modified.hdl < 1) throw new Error('HDL out of range'); return 10; };
+        const { factors } = sensitivity.analyze({ calculatorType: 'qrisk3', inputs, baseRiskPercent: 10, runEngine: failing });
+        const hdl = factors.find(f => f.key === 'hdl');
+        expect(hdl).to.include({ lowRiskPercent: null, swing: 0 });
+        expect(seen.find(m => m.hdl === 1.5).cholesterolRatio).to.equal(3.33);
+        expect(factors.map(f => f.key)).to.include('bmi');
+    });
+});
+
+describe('RiskCalculator.calculateSensitivity', () => {
+    it('matches the calculator run with each changed input', async () => {
+        const base = await calculator.calculateFraminghamRisk(frsData, options);
+        const analysis = calculator.calculateSensitivity(base);
+        const sbp = analysis.factors.find(f => f.key === 'sbp');
+        const atHigh = await calculator.calculateFraminghamRisk({ ...frsData, 'frs-sbp': '176' }, options);
+        expect(sbp.highRiskPercent).to.equal(parseFloat(atHigh.riskData.score.toFixed(1)));
+        const smoking = analysis.factors.find(f => f.key === 'smoking');
+        const stopped = await calculator.calculateFraminghamRisk({ ...frsData, 'frs-smoker': 'no' }, options);
+        expect(smoking).to.include({ baseValue: 'Smoker', lowRiskPercent: parseFloat(stopped.riskData.score.toFixed(1)) });
+        for (let i = 1; i < analysis.factors.length; i++) expect(analysis.factors[i - 1].swing).to.be.at.least(analysis.factors[i].swing);
+    });
+
+    it('includes BMI for QRISK3 and grades a new smoker as moderate', async () => {
+        const base = await calculator.calculateQRisk3(qriskData, options);
+        const analysis = calculator.calculateSensitivity(base);
+        expect(analysis.calculatorType).to.equal('qrisk3');
+        const bmi = analysis.factors.find(f => f.key === 'bmi');
+        expect(bmi).to.include({ lowValue: 28, highValue: 38 });
+        expect(bmi.highRiskPercent).to.be.above(bmi.lowRiskPercent);
+        const smoker = await calculator.calculateQRisk3({ ...qriskData, 'qrisk-smoker': 'moderate_smoker' }, options);
+        expect(analysis.factors.find(f => f.key === 'smoking').highRiskPercent).to.equal(parseFloat(smoker.riskData.score.toFixed(1)));
+    });
+});
@@ -0,0 +1,12 @@
+/**
+ * Test Setup
+ * @file /test/setup.js
+ * @description Browser globals the modules under test expect, loaded once before every spec (.mocharc.json `require`):
+ * `window` for the optional singletons services read from it, and the RuntimeProtection.tryCatch and
+ * FieldValidationError globals RiskCalculator relies on (js/utils/runtime-protection.js, ValidationHelpers).
+ * @version 1.0.0
+ */
+
+globalThis.window ??= {};
+globalThis.RuntimeProtection ??= { tryCatch: (fn, errorHandler) => { try { return fn(); } catch (error) { return errorHandler(error); } } };
+globalThis.FieldValidationError ??= class FieldValidationError extends Error {};
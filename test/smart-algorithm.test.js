@@ -0,0 +1,132 @@
+/**
+ * SMART Recurrent Risk Tests
+ * @file /test/smart-algorithm.test.js
+ * @description SMART 10-year recurrent event risk in SmartRiskAlgorithm, RiskCalculator switching the combined
+ * assessment to it for established ASCVD, and the very-high-risk lipid targets it drives.
+ * @version 1.0.2
+ */
+
+import { expect } from 'chai';
+import SmartRiskAlgorithm from '../js/calculations/smart-algorithm.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+import TreatmentRecommendationsService from '../js/calculations/treatment-recommendations.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const PerformanceMonitor = { start: () => 0, end: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+
+describe('SmartRiskAlgorithm', () => {
+    const engine = new SmartRiskAlgorithm({ ErrorLogger, PerformanceMonitor, ClinicalThresholds });
+    const postMI = {
+        age: 60, sex: 'male', systolicBP: 140, totalCholesterol: 4.5, hdl: 1.2, isSmoker: false, hasDiabetes: false,
+        coronaryDisease: true, yearsSinceFirstEvent: 5, egfr: 80, hsCrp: 2
+    };
+
+    it('estimates 10-year recurrent risk for coronary disease', () => {
+        const result = engine.calculateRisk(postMI);
+        expect(result.success, result.error).to.equal(true);
+        expect(result.tenYearRiskPercent).to.be.closeTo(12.1, 0.2);
+        expect(result.riskCategory).to.equal('high');
+        expect(result.secondaryPrevention).to.equal(true);
+        expect(result.assumedInputs).to.deep.equal([]);
+        expect(result.lifetimeRiskPercent).to.be.above(result.tenYearRiskPercent);
+    });
+
+    it('adds risk for more vascular beds and assumes hs-CRP when missing', () => {
+        const polyvascular = engine.calculateRisk({ ...postMI, cerebrovascularDisease: true, peripheralArterialDisease: true, isSmoker: true, hasDiabetes: true });
+        expect(polyvascular.tenYearRiskPercent).to.be.above(20);
+        expect(polyvascular.riskCategory).to.equal('very_high');
+        const noCrp = engine.calculateRisk({ ...postMI, hsCrp: '' });
+        expect(noCrp.tenYearRiskPercent).to.equal(engine.calculateRisk(postMI).tenYearRiskPercent);
+        expect(noCrp.assumedInputs).to.have.length(1);
+    });
+
+    it('estimates the benefit of lowering LDL-C to the target', () => {
+        const result = engine.calculateRisk({ ...postMI, ldl: 2.6 });
+        const benefit = result.ldlLoweringBenefit;
+        expect(benefit).to.include({ ldl: 2.6, targetLdl: 1.4, ldlReductionMmol: 1.2 });
+        expect(benefit.hazardRatio).to.be.closeTo(Math.pow(0.78, 1.2), 0.001);
+        expect(benefit.tenYear.absoluteRiskReductionPercent).to.be.above(0);
+        expect(benefit.tenYear.numberNeededToTreat).to.be.a('number');
+        expect(benefit.lifetime.absoluteRiskReductionPercent).to.be.above(benefit.tenYear.absoluteRiskReductionPercent);
+        expect(engine.calculateRisk(postMI).ldlLoweringBenefit).to.equal(null);
+    });
+
+    it('reports the bundled 2013 score as not SMART2 and a configured model as SMART2', () => {
+        expect(engine.calculateRisk(postMI)).to.include({ model: 'SMART', isSmart2: false });
+        const model = { coefficients: {}, baselineSurvival: 0.81066, linearPredictorOffset: 2.099 };
+        const configured = new SmartRiskAlgorithm({ ErrorLogger, PerformanceMonitor, ClinicalThresholds: { get: (path, d) => (path === 'SMART.MODEL' ? model : d) } });
+        expect(configured.calculateRisk(postMI)).to.include({ model: 'SMART2', isSmart2: true });
+    });
+
+    it('rejects patients without vascular disease', () => {
+        expect(engine.calculateRisk({ ...postMI, coronaryDisease: false }).success).to.equal(false);
+    });
+});
+
+describe('SMART in the combined assessment', () => {
+    const calculator = new RiskCalculator({
+        ErrorLogger, PerformanceMonitor,
+        ValidationHelpers: {
+            dependencies: { ClinicalThresholds },
+            validateSet: () => ({ isValid: true, errors: {} }),
+            isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+            convertLipid: (v) => ({ value: Number(v) }),
+            calculateBMI: () => ({ value: null })
+        },
+        FraminghamAlgorithm: FraminghamRiskScore,
+        QRISK3Algorithm: QRISK3Algorithm,
+        SmartAlgorithm: SmartRiskAlgorithm
+    });
+    const options = { useCache: false, generateRecommendations: false };
+    const rawData = {
+        'frs-age': '60', 'frs-sex': 'male', 'frs-total-chol': '4.5', 'frs-hdl': '1.2', 'frs-sbp': '140', 'frs-bp-treatment': 'yes',
+        'frs-smoker': 'no', 'frs-diabetes': 'no', 'frs-egfr': '80', 'frs-hscrp': '2', 'frs-ldl': '2.6',
+        'qrisk-age': '60', 'qrisk-sex': 'male', 'qrisk-ethnicity': 'white', 'qrisk-sbp': '140', 'qrisk-bmi': '27',
+        'qrisk-cholesterol-ratio': '3.8', 'qrisk-smoker': 'non', 'qrisk-diabetes': 'none'
+    };
+
+    it('runs only SMART for established ASCVD', async () => {
+        const result = await calculator.calculateCombinedRisk({ ...rawData, 'frs-ascvd-coronary': 'on', 'frs-ascvd-years': '5' }, options);
+        expect(result.calculators).to.deep.equal(['smart']);
+        expect(result.framingham).to.equal(null);
+        expect(result.smart.success, result.smart.error).to.equal(true);
+        expect(result.smart.tenYearRiskPercent).to.be.closeTo(12.1, 0.2);
+        expect(result.riskData.calculators.smart.details.ldlLoweringBenefit.targetLdl).to.equal(1.4);
+    });
+
+    it('runs the primary-prevention calculators without ASCVD', async () => {
+        const result = await calculator.calculateCombinedRisk(rawData, options);
+        expect(result.calculators).to.deep.equal(['frs', 'qrisk3']);
+        expect(result.smart).to.equal(null);
+    });
+
+    it('does not reclassify SMART by CAC when it runs next to a primary-prevention calculator', async () => {
+        const ascvd = { ...rawData, 'frs-ascvd-coronary': 'on', 'frs-ascvd-years': '5', 'ml-cac-score': '450' };
+        const result = await calculator.calculateCombinedRisk(ascvd, { ...options, calculators: ['frs', 'smart'] });
+        expect(result.smart.success, result.smart.error).to.equal(true);
+        expect(Object.keys(result.cacReclassification.calculators)).to.deep.equal(['frs']);
+        expect(result.riskData.calculators.smart.cacCategory).to.equal(null);
+    });
+});
+
+describe('SMART recurrent risk in the CCS lipid targets', () => {
+    const recommendations = new TreatmentRecommendationsService({ dependencies: { ErrorLogger, ClinicalThresholds, MedicationDatabase: {}, ValidationHelpers: {}, InputSanitizer: {} } });
+    const patient = { ldl: 2.6, hasASCVD: true, hasDiabetes: false, age: 60 };
+
+    it('uses the extreme-risk target at or above the very-high threshold with SMART2', () => {
+        const smart2 = { ...patient, recurrentRiskModel: 'SMART2', recurrentRiskIsSmart2: true };
+        const veryHigh = recommendations._determineLipidTargetsCCS('VERY_HIGH', { ...smart2, recurrentRiskPercent: 24.3 });
+        expect(veryHigh.ldl_mmolL).to.equal(1.4);
+        expect(veryHigh.rationale).to.contain('SMART2 10-year recurrent risk 24.3%');
+        const high = recommendations._determineLipidTargetsCCS('VERY_HIGH', { ...smart2, recurrentRiskPercent: 12.1 });
+        expect(high.ldl_mmolL).to.equal(1.8);
+    });
+
+    it('does not let the 2013 SMART score set the extreme-risk target', () => {
+        const smart2013 = recommendations._determineLipidTargetsCCS('VERY_HIGH', { ...patient, recurrentRiskModel: 'SMART', recurrentRiskIsSmart2: false, recurrentRiskPercent: 24.3 });
+        expect(smart2013.ldl_mmolL).to.equal(1.8);
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * UKPDS Risk Engine Tests
+ * @file /test/ukpds-algorithm.test.js
+ * @description UKPDS 56 / 60 risk in UKPDSRiskEngine, the DIAL2 life table in DIAL2LifetimeModel (on a fixture
+ * model, as no DIAL2 coefficients are bundled), and RiskCalculator running both for type 2 diabetes in the
+ * combined assessment.
+ * @version 1.1.0
+ */
+
+import { expect } from 'chai';
+import UKPDSRiskEngine, { DIAL2LifetimeModel } from '../js/calculations/ukpds-algorithm.js';
+import RiskCalculator from '../js/calculations/risk-calculator.js';
+import FraminghamRiskScore from '../js/calculations/framingham-algorithm.js';
+import QRISK3Algorithm from '../js/calculations/qrisk3-algorithm.js';
+
+const ErrorLogger = { log: () => {}, handleError: () => {} };
+const PerformanceMonitor = { start: () => 0, end: () => {} };
+const ClinicalThresholds = { get: (path, defaultValue) => defaultValue };
+
+// Test fixture, not the published model: constant baseline hazards (1%/year CVD, 2%/year non-CVD death) so the
+// life table has a closed form, and effects for insulin and eGFR on CVD only
+const DIAL2_FIXTURE = {
+    SOURCE: 'Test fixture',
+    CVD: {
+        coefficients: { insulin: 0.3, egfr: -0.01 }, centres: { egfr: 80 },
+        baselineHazard: { MALE: { 30: 0.01, 90: 0.01 }, FEMALE: { 30: 0.01, 90: 0.01 } }
+    },
+    NON_CVD_DEATH: {
+        coefficients: {}, centres: {},
+        baselineHazard: { MALE: { 30: 0.02, 90: 0.02 }, FEMALE: { 30: 0.02, 90: 0.02 } }
+    },
+    REGION_CALIBRATION: { high: { scale1: 0.5, scale2: 1 } }
+};
+const thresholdsWith = (values) => ({ get: (path, defaultValue) => (path in values ? values[path] : defaultValue) });
+
+describe('UKPDSRiskEngine', () => {
+    const engine = new UKPDSRiskEngine({ ErrorLogger, PerformanceMonitor, ClinicalThresholds });
+    // Every UKPDS 56 covariate at its centre, newly diagnosed: 10-year CHD risk is the baseline hazard alone
+    const reference = { age: 55, sex: 'male', totalCholesterol: 4.904, hdl: 1.0, systolicBP: 135.7, isSmoker: false, diabetesDurationYears: 0, hba1c: 6.72 };
+
+    it('reproduces the UKPDS 56 baseline and combines CHD and stroke', () => {
+        const result = engine.calculateRisk(reference);
+        expect(result.success, result.error).to.equal(true);
+        expect(result.chdRiskPercent).to.equal(14.8); // 1 - exp(-0.0112 × (1.078^10 - 1) / 0.078)
+        const combined = 1 - (1 - result.chdRiskPercent / 100) * (1 - result.strokeRiskPercent / 100);
+        expect(result.tenYearRiskPercent).to.be.closeTo(combined * 100, 0.2);
+        expect(result.horizons.thirtyYear.riskPercent).to.be.above(result.tenYearRiskPercent);
+    });
+
+    it('rises with diabetes duration and HbA1c, and reports the risk at the HbA1c target', () => {
+        const base = engine.calculateRisk(reference);
+        const longer = engine.calculateRisk({ ...reference, age: 65, diabetesDurationYears: 10 });
+        expect(longer.chdRiskPercent).to.be.above(base.chdRiskPercent); // Same age at diagnosis, ten more years of diabetes
+        const poorControl = engine.calculateRisk({ ...reference, hba1c: 9.0 });
+        expect(poorControl.glycaemicControl).to.include({ status: 'above_target', target: 7.0 });
+        expect(poorControl.glycaemicControl.riskAtTargetPercent).to.be.below(poorControl.tenYearRiskPercent);
+        expect(base.glycaemicControl.riskAtTargetPercent).to.equal(base.tenYearRiskPercent);
+    });
+
+    it('applies atrial fibrillation to stroke only and rejects an impossible duration', () => {
+        const af = engine.calculateRisk({ ...reference, atrialFibrillation: true });
+        const base = engine.calculateRisk(reference);
+        expect(af.chdRiskPercent).to.equal(base.chdRiskPercent);
+        expect(af.strokeRiskPercent).to.be.above(base.strokeRiskPercent * 5);
+        expect(engine.calculateRisk({ ...reference, diabetesDurationYears: 50 }).success).to.equal(false);
+    });
+});
+
+describe('DIAL2LifetimeModel', () => {
+    const engine = new DIAL2LifetimeModel({ ErrorLogger, PerformanceMonitor, ClinicalThresholds: thresholdsWith({ 'DIAL2.MODEL': DIAL2_FIXTURE }) });
+    const patient = { age: 60, sex: 'male', totalCholesterol: 5.0, hdl: 1.2, systolicBP: 140, isSmoker: false, diabetesDurationYears: 5, hba1c: 7.5, egfr: 80, onInsulin: false };
+    // S × c summed over n years with S falling by (1 - c - d) each year
+    const cumulative = (years) => {
+        const c = 1 - Math.exp(-0.01); const d = 1 - Math.exp(-0.02);
+        return parseFloat((c * (1 - Math.pow(1 - c - d, years)) / (c + d) * 100).toFixed(1));
+    };
+
+    it('is unavailable until a model is loaded', () => {
+        const unloaded = new DIAL2LifetimeModel({ ErrorLogger, PerformanceMonitor, ClinicalThresholds });
+        expect(unloaded.isAvailable()).to.equal(false);
+        const result = unloaded.calculateRisk(patient);
+        expect(result.success).to.equal(false);
+        expect(result.error).to.include('DIAL2.MODEL');
+    });
+
+    it('runs the life table to age 90 with non-CVD death as a competing risk', () => {
+        const result = engine.calculateRisk(patient);
+        expect(result.success, result.error).to.equal(true);
+        expect(result.tenYearRiskPercent).to.equal(cumulative(10));
+        expect(result.lifetimeRiskPercent).to.equal(cumulative(30));
+        expect(result.horizons.lifetime).to.include({ toAge: 90, isExtrapolation: false, competingMortality: true });
+        expect(result.cvdFreeMedianAge).to.equal(83); // (1 - c - d)^n first falls below 0.5 after 23 years
+        expect(result.modelSource).to.equal('Test fixture');
+    });
+
+    it('raises the risk with insulin use, lower eGFR and a higher-risk region', () => {
+        const base = engine.calculateRisk(patient).lifetimeRiskPercent;
+        expect(engine.calculateRisk({ ...patient, onInsulin: true }).lifetimeRiskPercent).to.be.above(base);
+        expect(engine.calculateRisk({ ...patient, egfr: 40 }).lifetimeRiskPercent).to.be.above(base);
+        expect(engine.calculateRisk({ ...patient, riskRegion: 'high' }).lifetimeRiskPercent).to.be.above(base);
+    });
+
+    it('rejects a model term it cannot evaluate', () => {
+        const model = { ...DIAL2_FIXTURE, CVD: { ...DIAL2_FIXTURE.CVD, coefficients: { bmi: 0.1 } } };
+        const custom = new DIAL2LifetimeModel({ ErrorLogger, PerformanceMonitor, ClinicalThresholds: thresholdsWith({ 'DIAL2.MODEL': model }) });
+        expect(custom.calculateRisk(patient).error).to.include('Unsupported DIAL2 model term: bmi');
+    });
+});
+
+describe('UKPDS in the combined assessment', () => {
+    const calculator = new RiskCalculator({
+        ErrorLogger, PerformanceMonitor,
+        ValidationHelpers: {
+            dependencies: { ClinicalThresholds },
+            validateSet: () => ({ isValid: true, errors: {} }),
+            isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+            convertLipid: (v) => ({ value: Number(v) }),
+            calculateBMI: () => ({ value: null })
+        },
+        FraminghamAlgorithm: FraminghamRiskScore,
+        QRISK3Algorithm: QRISK3Algorithm,
+        UKPDSAlgorithm: UKPDSRiskEngine
+    });
+    const options = { useCache: false, generateRecommendations: false };
+    const rawData = {
+        'frs-age': '62', 'frs-sex': 'female', 'frs-total-chol': '5.2', 'frs-hdl': '1.1', 'frs-sbp': '148', 'frs-bp-treatment': 'yes',
+        'frs-smoker': 'no', 'frs-diabetes': 'yes', 'frs-diabetes-duration': '9', 'frs-hba1c': '64', 'frs-hba1c-unit': 'mmol_mol',
+        'qrisk-age': '62', 'qrisk-sex': 'female', 'qrisk-ethnicity': 'white', 'qrisk-sbp': '148', 'qrisk-bmi': '31',
+        'qrisk-cholesterol-ratio': '4.7', 'qrisk-smoker': 'non', 'qrisk-diabetes': 'type2'
+    };
+
+    it('runs UKPDS next to FRS and QRISK3 for type 2 diabetes', async () => {
+        const result = await calculator.calculateCombinedRisk(rawData, options);
+        expect(result.calculators).to.deep.equal(['frs', 'qrisk3', 'ukpds']);
+        expect(result.ukpds.success, result.ukpds.error).to.equal(true);
+        expect(result.ukpds.inputParameters.hba1c).to.equal(8.01); // 64 mmol/mol
+        expect(result.riskData.calculators.ukpds.details.glycaemicControl.status).to.equal('above_target');
+        expect(result.comparison.additional.ukpds.percent).to.equal(result.ukpds.riskData.score);
+    });
+
+    it('leaves UKPDS out without type 2 diabetes', async () => {
+        const result = await calculator.calculateCombinedRisk({ ...rawData, 'frs-diabetes': 'no', 'qrisk-diabetes': 'none' }, options);
+        expect(result.calculators).to.deep.equal(['frs', 'qrisk3']);
+        expect(result.ukpds).to.equal(null);
+        expect(calculator.getAvailableCalculators()).to.include('ukpds');
+    });
+});
+
+describe('DIAL2 in the combined assessment', () => {
+    const createCalculator = (thresholds) => new RiskCalculator({
+        ErrorLogger, PerformanceMonitor,
+        ValidationHelpers: {
+            dependencies: { ClinicalThresholds: thresholds },
+            validateSet: () => ({ isValid: true, errors: {} }),
+            isNumber: (v) => ({ isValid: !isNaN(Number(v)) }),
+            convertLipid: (v) => ({ value: Number(v) }),
+            calculateBMI: () => ({ value: null })
+        },
+        FraminghamAlgorithm: FraminghamRiskScore,
+        QRISK3Algorithm: QRISK3Algorithm,
+        UKPDSAlgorithm: UKPDSRiskEngine,
+        DIAL2Algorithm: DIAL2LifetimeModel
+    });
+    const options = { useCache: false, generateRecommendations: false };
+    const rawData = {
+        'frs-age': '62', 'frs-sex': 'female', 'frs-total-chol': '5.2', 'frs-hdl': '1.1', 'frs-sbp': '148', 'frs-bp-treatment': 'yes',
+        'frs-smoker': 'no', 'frs-diabetes': 'yes', 'frs-diabetes-type': 'type2', 'frs-diabetes-duration': '9', 'frs-hba1c': '64', 'frs-hba1c-unit': 'mmol_mol',
+        'frs-egfr': '55', 'frs-insulin': 'on'
+    };
+
+    it('runs DIAL2 for type 2 diabetes once the model is loaded, with eGFR and insulin use', async () => {
+        const calculator = createCalculator(thresholdsWith({ 'DIAL2.MODEL': DIAL2_FIXTURE }));
+        const result = await calculator.calculateCombinedRisk(rawData, { ...options, calculators: ['frs', 'ukpds', 'dial2'] });
+        expect(result.dial2.success, result.dial2.error).to.equal(true);
+        expect(result.dial2.inputParameters).to.include({ egfr: 55, onInsulin: true, riskRegion: 'moderate' });
+        expect(result.riskData.calculators.dial2.details).to.include({ lifetimeRiskPercent: result.dial2.lifetimeRiskPercent, modelSource: 'Test fixture' });
+        const withoutInsulin = await calculator.calculateDIAL2Risk({ ...rawData, 'frs-insulin': undefined }, options);
+        expect(withoutInsulin.tenYearRiskPercent).to.be.below(result.dial2.tenYearRiskPercent);
+    });
+
+    it('leaves DIAL2 out while no model is loaded', async () => {
+        const calculator = createCalculator(ClinicalThresholds);
+        expect(calculator.getAvailableCalculators()).to.not.include('dial2');
+        const result = await calculator.calculateCombinedRisk(rawData, options);
+        expect(result.calculators).to.include('ukpds').and.not.include('dial2');
+        expect(result.dial2).to.equal(null);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Lp(a) Unit Conversion Tests
+ * @file /test/unit-converter-lpa.test.js
+ * @description Approximate, assay-aware Lp(a) conversion in UnitConverterService (with the configurable
+ * LPA.CONVERSION_NMOL_TO_MG factor), and the assay metadata FieldMapperService keeps alongside converted values,
+ * including through the EMR connector's default FHIR profile.
+ * @version 1.1.0
+ */
+
+import { expect } from 'chai';
+import UnitConverterService from '../js/utils/unit-converter.js';
+import FieldMapperService from '../js/data-management/field-mapper.js';
+import EMRConnectorService from '../js/data-management/emr-connector.js';
+
+const silentLogger = { log: () => {}, handleError: () => {} };
+const converter = new UnitConverterService({ dependencies: { ErrorLogger: silentLogger } });
+
+describe('UnitConverterService.convertLpa', () => {
+    it('returns the central estimate with the isoform-dependent range', () => {
+        const result = converter.convertLpa(50, 'mg/dL', 'nmol/L');
+        expect(result).to.include({ value: 108, unit: 'nmol/L', error: null, approximate: true, factor: 2.15, assayType: 'unknown' });
+        expect(result.range).to.deep.equal({ low: 93, high: 143 });
+        expect(result.notes).to.have.lengthOf(1);
+    });
+
+    it('converts nmol/L to mg/dL with the range in mg/dL', () => {
+        const result = converter.convertLpa(100, 'nmol/L', 'mg/dL', { assayType: UnitConverterService.LPA_ASSAY_TYPES.ISOFORM_INSENSITIVE });
+        expect(result).to.include({ value: 46.5, approximate: true, assayType: 'isoform_insensitive' });
+        expect(result.range).to.deep.equal({ low: 35.1, high: 54.1 });
+    });
+
+    it('notes when a nmol/L value came from a mass assay', () => {
+        const result = converter.convertLpa(120, 'nmol/L', 'mg/dL', { assayType: 'mass' });
+        expect(result.notes[0]).to.contain('derived from a mass (mg/dL) assay');
+    });
+
+    it('keeps the single-factor result in fixed mode and leaves same-unit values alone', () => {
+        expect(converter.convertLpa(50, 'mg/dL', 'nmol/L', { mode: 'fixed' })).to.include({ value: 108, approximate: false, range: null });
+        expect(converter.convertLpa(50, 'mg/dL', 'mg/dL')).to.include({ value: 50, approximate: false, range: null });
+        expect(converter.lpaMgDlToNmolL(50)).to.deep.equal({ value: 108, unit: 'nmol/L', error: null });
+    });
+
+    it('reports invalid input without a range', () => {
+        expect(converter.convertLpa('abc', 'mg/dL', 'nmol/L')).to.include({ value: null, approximate: false, range: null });
+    });
+
+    it('uses the LPA.CONVERSION_NMOL_TO_MG factor from ClinicalThresholds', () => {
+        const shared = UnitConverterService.instance;
+        UnitConverterService.instance = null;
+        const configured = new UnitConverterService({
+            dependencies: { ErrorLogger: silentLogger, ClinicalThresholds: { get: (path, defaultValue) => (path === 'LPA.CONVERSION_NMOL_TO_MG' ? 2.4 : defaultValue) } }
+        });
+        UnitConverterService.instance = shared;
+        expect(configured.getLpaFactor()).to.equal(2.4);
+        expect(configured.convertLpa(50, 'mg/dL', 'nmol/L')).to.include({ value: 120, factor: 2.4 });
+        expect(configured.lpaNmolLToMgDl(120)).to.deep.equal({ value: 50, unit: 'mg/dL', error: null });
+        expect(converter.getLpaFactor()).to.equal(UnitConverterService.CONVERSION_FACTORS.LPA_MG_DL_TO_NMOL_L);
+    });
+});
+
+describe('FieldMapperService Lp(a) assay metadata', () => {
+    const mapper = new FieldMapperService({
+        forceNewInstance: true,
+        dependencies: { ErrorLogger: silentLogger, UnitConverterService: converter, InputSanitizer: null, ValidationHelpers: null }
+    });
+    mapper.registerProfile('lab', {
+        toInternal: {
+            lpa: { sourcePath: 'lpa.value', sourceUnitPath: 'lpa.unit', targetUnit: 'nmol/L', targetUnitPath: 'lpaUnit', measurementType: 'lpa', assayTypePath: 'lpa.assay', metadataPath: 'lpaAssay' }
+        }
+    });
+
+    it('stores what was measured next to the converted value', () => {
+        const mapped = mapper.mapToInternal({ lpa: { value: 50, unit: 'mg/dL', assay: 'mass' } }, 'lab');
+        expect(mapped.lpa).to.equal(108);
+        expect(mapped.lpaUnit).to.equal('nmol/L');
+        expect(mapped.lpaAssay).to.include({ measuredValue: 50, measuredUnit: 'mg/dL', assayType: 'mass', approximate: true });
+        expect(mapped.lpaAssay.range).to.deep.equal({ low: 93, high: 143 });
+    });
+});
+
+describe('EMRConnectorService Lp(a) lab mapping', () => {
+    const mapper = new FieldMapperService({
+        forceNewInstance: true,
+        dependencies: { ErrorLogger: silentLogger, UnitConverterService: converter, InputSanitizer: null, ValidationHelpers: null, DeprivationLookup: null }
+    });
+    EMRConnectorService.instance = null;
+    const connector = new EMRConnectorService({
+        dependencies: { ErrorLogger: silentLogger, InputSanitizer: { escapeHTML: (text) => text }, FieldMapper: mapper }
+    });
+    connector.activeMappingProfile = connector.options.fieldMappingProfiles['generic-fhir'];
+    const lpaObservation = (value, unit, method) => ({
+        code: { coding: [{ system: 'http://loinc.org', code: '32300-3' }] },
+        valueQuantity: { value, unit }, effectiveDateTime: '2025-01-15', ...(method ? { method: { text: method } } : {})
+    });
+
+    it('maps a mg/dL result to nmol/L on the patient with the assay metadata', () => {
+        const mapped = connector._mapFHIRToInternalDataFormat({ id: 'p1', gender: 'male' }, [lpaObservation(50, 'mg/dL', 'Immunoturbidimetric, mass')], []);
+        expect(mapped.observations.lpa).to.include({ value: 50, unit: 'mg/dL', assayType: 'mass' });
+        expect(mapped.patient).to.include({ lpa: 108, lpaUnit: 'nmol/L' });
+        expect(mapped.patient.lpaAssay).to.include({ measuredValue: 50, measuredUnit: 'mg/dL', assayType: 'mass', approximate: true });
+        expect(mapped.patient.lpaAssay.range).to.deep.equal({ low: 93, high: 143 });
+    });
+
+    it('keeps a nmol/L result as measured and reads an isoform-insensitive method', () => {
+        const mapped = connector._mapFHIRToInternalDataFormat({ id: 'p2' }, [lpaObservation(150, 'nmol/L', 'Isoform-insensitive immunoassay')], []);
+        expect(mapped.patient).to.include({ lpa: 150, lpaUnit: 'nmol/L' });
+        expect(mapped.patient.lpaAssay).to.equal(undefined);
+        expect(mapped.observations.lpa.assayType).to.equal('isoform_insensitive');
+        expect(connector._getLpaAssayType(lpaObservation(150, 'nmol/L'))).to.equal('unknown');
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * US Risk Equation Tests
+ * @file /test/us-risk-equations.test.js
+ * @description PooledCohortEquations and PREVENTEquations against published worked examples.
+ * @version 1.0.0
+ */
+
+import { expect } from 'chai';
+import PooledCohortEquations from '../js/calculations/pooled-cohort-algorithm.js';
+import PREVENTEquations from '../js/calculations/prevent-algorithm.js';
+
+const silentDependencies = {
+    ErrorLogger: { log: () => {}, handleError: () => {} },
+    PerformanceMonitor: { start: () => 0, end: () => {} },
+    ClinicalThresholds: { get: (path, defaultValue) => defaultValue }
+};
+const MMOL_PER_MG = 0.02586;
+
+describe('PooledCohortEquations', () => {
+    const engine = new PooledCohortEquations(silentDependencies);
+    // Goff 2013 worked example: age 55, TC 213 mg/dL, HDL 50 mg/dL, untreated SBP 120, non-smoker, no diabetes
+    const example = { age: 55, totalCholesterol: 213 * MMOL_PER_MG, hdl: 50 * MMOL_PER_MG, systolicBP: 120, onBPMeds: false, isSmoker: false, hasDiabetes: false };
+    const published = [
+        { sex: 'female', race: 'white', sum: -29.67, risk: 2.1 },
+        { sex: 'female', race: 'african_american', sum: 86.16, risk: 3.0 },
+        { sex: 'male', race: 'white', sum: 60.69, risk: 5.3 },
+        { sex: 'male', race: 'african_american', sum: 18.97, risk: 6.1 }
+    ];
+
+    published.forEach(({ sex, race, sum, risk }) => {
+        it(`reproduces the guideline example for a ${race} ${sex}`, () => {
+            const input = { ...example, sex, race };
+            expect(engine._calculateSum(engine._processInputsForAlgorithm(input))).to.be.closeTo(sum, 0.01);
+            const result = engine.calculateRisk(input);
+            expect(result.success, result.error).to.equal(true);
+            expect(result.tenYearRiskPercent).to.be.closeTo(risk, 0.1);
+        });
+    });
+
+    it('uses the White equations for other races', () => {
+        const other = engine.calculateRisk({ ...example, sex: 'male', race: 'other' });
+        expect(other.equation).to.equal('male_white');
+    });
+
+    it('applies the ACC/AHA categories', () => {
+        expect(engine._determineRiskCategory(4.9).category).to.equal('low');
+        expect(engine._determineRiskCategory(5).category).to.equal('borderline');
+        expect(engine._determineRiskCategory(7.5).category).to.equal('intermediate');
+        expect(engine._determineRiskCategory(20).category).to.equal('high');
+    });
+
+    it('rejects ages outside 40-79', () => {
+        expect(engine.calculateRisk({ ...example, sex: 'male', age: 39 }).success).to.equal(false);
+    });
+});
+
+describe('PREVENTEquations', () => {
+    const engine = new PREVENTEquations(silentDependencies);
+    // Khan 2024 / AHA calculator example: 50-year-old, TC 200 mg/dL, HDL 45 mg/dL, treated SBP 160, diabetes, eGFR 90
+    const example = { age: 50, sex: 'female', totalCholesterol: 200 * MMOL_PER_MG, hdl: 45 * MMOL_PER_MG, systolicBP: 160, onBPMeds: true, onStatin: false, hasDiabetes: true, isSmoker: false, egfr: 90 };
+
+    it('reproduces the published 10-year total CVD example', () => {
+        const result = engine.calculateRisk(example);
+        expect(result.success, result.error).to.equal(true);
+        expect(result.tenYearRiskPercent).to.be.closeTo(14.7, 0.1);
+        expect(result.riskCategory).to.equal('high');
+    });
+
+    it('increases risk as eGFR falls below 60', () => {
+        const normal = engine.calculateRisk(example);
+        const ckd = engine.calculateRisk({ ...example, egfr: 40 });
+        expect(ckd.tenYearRiskPercent).to.be.above(normal.tenYearRiskPercent);
+    });
+
+    it('requires eGFR and a total cholesterol above HDL', () => {
+        expect(engine.calculateRisk({ ...example, egfr: undefined }).success).to.equal(false);
+        expect(engine.calculateRisk({ ...example, totalCholesterol: example.hdl }).success).to.equal(false);
+    });
+
+    it('projects 30-year and lifetime horizons', () => {
+        const result = engine.calculateRisk(example);
+        expect(result.thirtyYearRiskPercent).to.be.above(result.tenYearRiskPercent);
+        expect(result.horizons.lifetime.toAge).to.equal(85);
+    });
+});